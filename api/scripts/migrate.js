@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Tick Tock Inc. — Database Migrations
+ * Usage: node scripts/migrate.js [command] [arg]
+ *
+ *   up [version]        apply pending migrations (through version)   — default
+ *   down [steps]        roll back the latest applied migration(s) with db/migrations/down/
+ *   status              list every migration and whether it is applied, pending or drifted
+ *   verify              exit 1 if an applied migration file has changed or disappeared
+ *   baseline <version>  record migrations through <version> as applied without running them
+ *                       (databases built by hand with psql or by docker initdb.d)
+ *
+ * Connects with MIGRATION_DATABASE_URL, else DATABASE_URL — it needs DDL
+ * rights, so use the owner / superuser rather than erp_app.
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const { Client } = require('pg');
+const migrator   = require('../src/db/migrator');
+
+const DB_URL = process.env.MIGRATION_DATABASE_URL || process.env.DATABASE_URL;
+
+async function run() {
+    const [command = 'up', arg] = process.argv.slice(2);
+    if (!DB_URL) throw new Error('Set MIGRATION_DATABASE_URL or DATABASE_URL');
+
+    const client = new Client({ connectionString: DB_URL });
+    await client.connect();
+    client.on('notice', () => {});
+    const log = (line) => console.log(`  ${line}`);
+
+    console.log(`\n  Tick Tock Inc. — Migrations (${command})`);
+    console.log(`  ──────────────────────────────────`);
+    try {
+        switch (command) {
+            case 'up': {
+                const done = await migrator.up(client, { to: arg, log });
+                console.log(done.length ? `\n  ${done.length} migration(s) applied.\n` : '  Database is up to date.\n');
+                break;
+            }
+            case 'down': {
+                const steps = arg ? parseInt(arg, 10) : 1;
+                if (!(steps > 0)) throw new Error('down takes a positive number of steps');
+                const undone = await migrator.down(client, { steps, log });
+                console.log(`\n  ${undone.length} migration(s) rolled back.\n`);
+                break;
+            }
+            case 'status':
+            case 'verify': {
+                const rows = await migrator.status(client);
+                for (const r of rows) {
+                    const when = r.applied_at ? r.applied_at.toISOString().slice(0, 16).replace('T', ' ') : '';
+                    const note = [r.baselined && 'baselined', r.has_down && 'down'].filter(Boolean).join(', ');
+                    console.log(`  ${r.state.padEnd(8)}  ${r.name.padEnd(40)} ${when.padEnd(16)}  ${note}`.trimEnd());
+                }
+                const bad = rows.filter(r => r.state === 'drifted' || r.state === 'missing');
+                if (bad.length) {
+                    console.error(`\n  ${bad.length} applied migration(s) no longer match their files.\n`);
+                    if (command === 'verify') process.exitCode = 1;
+                } else {
+                    console.log(`\n  ${rows.filter(r => r.state === 'pending').length} pending.\n`);
+                }
+                break;
+            }
+            case 'baseline': {
+                const marked = await migrator.baseline(client, { to: arg, log });
+                console.log(`\n  ${marked.length} migration(s) recorded as applied.\n`);
+                break;
+            }
+            default:
+                throw new Error(`Unknown command "${command}" — use up, down, status, verify or baseline`);
+        }
+    } finally {
+        await client.end();
+    }
+}
+
+run().catch(err => {
+    console.error(`\n  ✗ ${err.message}\n`);
+    process.exit(1);
+});
@@ -0,0 +1,284 @@
+'use strict';
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+// ─────────────────────────────────────────────────────────────────────────
+// Schema migrations
+//
+//   db/migrations/NNN_name.sql        forward migration
+//   db/migrations/down/NNN_name.sql   optional rollback script for it
+//
+// Applied migrations are recorded in schema_migrations with a checksum of
+// the file as it was run. Each file runs in its own transaction together
+// with its schema_migrations row, so a failing migration leaves nothing
+// behind — migration files must therefore not BEGIN / COMMIT themselves.
+// An applied file whose contents later change (drift) stops `up` until the
+// change is reverted or moved into a new migration.
+//
+// 001–017 predate the runner: they were applied by hand with psql, and some
+// of their statements fail on a fresh database (psql reported them and went
+// on). The runner applies those files the same way — see runLikePsql — so a
+// new database ends up where the existing ones are, and what they got wrong
+// is fixed by later migrations rather than by editing them.
+//
+// Every function takes a connected pg Client with DDL rights (the owner /
+// superuser, not erp_app). The CLI is api/scripts/migrate.js.
+// ─────────────────────────────────────────────────────────────────────────
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', '..', 'db', 'migrations');
+const FILE_RE        = /^(\d+)_([\w-]+)\.sql$/;
+const TX_CONTROL_RE  = /^\s*(BEGIN|COMMIT|ROLLBACK|START\s+TRANSACTION)\s*;/im;
+// pg_advisory_lock key — two runners (e.g. two API containers starting) never overlap
+const LOCK_KEY       = 8_260_311;
+// Last migration applied with psql before the runner existed
+const PSQL_ERA       = 17;
+
+const fail = (message) => Object.assign(new Error(message), { status: 500 });
+
+// Line endings are normalised so a CRLF checkout does not read as drift
+const checksum = (sql) => crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+
+// ─────────────────────────────────────────────────────────────────────────
+// load — Migration files on disk, in version order.
+// ─────────────────────────────────────────────────────────────────────────
+function load(dir = MIGRATIONS_DIR) {
+  const seen = new Map();
+  const migrations = fs.readdirSync(dir)
+    .filter(f => FILE_RE.test(f))
+    .sort()
+    .map(file => {
+      const [, version] = file.match(FILE_RE);
+      if (seen.has(version)) throw fail(`Migrations ${seen.get(version)} and ${file} share version ${version}`);
+      seen.set(version, file);
+
+      const sql      = fs.readFileSync(path.join(dir, file), 'utf8');
+      const downFile = path.join(dir, 'down', file);
+      return {
+        version,
+        name:     file.replace(/\.sql$/, ''),
+        file,
+        sql,
+        checksum: checksum(sql),
+        down:     fs.existsSync(downFile) ? fs.readFileSync(downFile, 'utf8') : null,
+      };
+    });
+  return migrations;
+}
+
+async function ensureTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version      VARCHAR(20)  PRIMARY KEY,
+      name         TEXT         NOT NULL,
+      checksum     CHAR(64)     NOT NULL,
+      applied_at   TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+      applied_by   TEXT         NOT NULL DEFAULT current_user,
+      duration_ms  INT,
+      baselined    BOOLEAN      NOT NULL DEFAULT FALSE   -- recorded, not run (see baseline)
+    )`);
+}
+
+async function applied(client) {
+  const { rows } = await client.query(`SELECT * FROM schema_migrations ORDER BY version`);
+  return rows;
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// status — Every migration on disk or on record, with its state:
+//   applied | pending | drifted (file changed since it ran) | missing (ran, file gone)
+// ─────────────────────────────────────────────────────────────────────────
+async function status(client, { dir } = {}) {
+  await ensureTable(client);
+  const files = load(dir);
+  const done  = new Map((await applied(client)).map(r => [r.version, r]));
+
+  const rows = files.map(m => {
+    const r = done.get(m.version);
+    const state = !r ? 'pending' : r.checksum === m.checksum ? 'applied' : 'drifted';
+    return { version: m.version, name: m.name, state, applied_at: r?.applied_at || null,
+             baselined: r?.baselined || false, has_down: m.down != null };
+  });
+  for (const r of done.values())
+    if (!files.some(m => m.version === r.version))
+      rows.push({ version: r.version, name: r.name, state: 'missing', applied_at: r.applied_at,
+                  baselined: r.baselined, has_down: false });
+  return rows.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+async function withLock(client, fn) {
+  await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_KEY]);
+  try {
+    await ensureTable(client);
+    return await fn();
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_KEY]);
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// statements — Split a SQL file into its statements, as psql does: on
+// semicolons outside quotes, dollar-quoted bodies and comments. Statements
+// come back without their leading comments; empty ones are dropped.
+// ─────────────────────────────────────────────────────────────────────────
+function statements(sql) {
+  const out = [];
+  let start = 0;
+  let i     = 0;
+  const push = (end) => {
+    const text = sql.slice(start, end).replace(/^(\s+|--[^\n]*|\/\*[\s\S]*?\*\/)+/, '').trim();
+    if (text) out.push(text);
+    start = end + 1;
+  };
+  while (i < sql.length) {
+    const c = sql[i];
+    if (c === '-' && sql[i + 1] === '-') {
+      const eol = sql.indexOf('\n', i);
+      i = eol < 0 ? sql.length : eol + 1;
+    } else if (c === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end < 0 ? sql.length : end + 2;
+    } else if (c === "'" || c === '"') {
+      let j = i + 1;
+      while (j < sql.length && !(sql[j] === c && sql[j + 1] !== c)) j += sql[j] === c ? 2 : 1;
+      i = j + 1;
+    } else if (c === '$' && !/[\w$]/.test(sql[i - 1] || '')) {
+      const tag = sql.slice(i).match(/^\$([A-Za-z_]\w*)?\$/);
+      if (tag) {
+        const end = sql.indexOf(tag[0], i + tag[0].length);
+        i = end < 0 ? sql.length : end + tag[0].length;
+      } else i++;
+    } else if (c === ';') {
+      push(i++);
+    } else i++;
+  }
+  push(sql.length);
+  return out;
+}
+
+// Run a psql-era file statement by statement inside the runner's
+// transaction. A failing statement is rolled back to its savepoint and
+// logged, and the file carries on; its own BEGIN / COMMIT are left out.
+async function runLikePsql(client, m, log) {
+  for (const stmt of statements(m.sql)) {
+    if (TX_CONTROL_RE.test(`${stmt};`)) continue;
+    await client.query('SAVEPOINT psql_statement');
+    try {
+      await client.query(stmt);
+      await client.query('RELEASE SAVEPOINT psql_statement');
+    } catch (err) {
+      await client.query('ROLLBACK TO SAVEPOINT psql_statement');
+      log(`skipped  ${m.name}: ${stmt.split('\n')[0].slice(0, 60)} — ${err.message}`);
+    }
+  }
+}
+
+async function runInTransaction(client, work, after) {
+  await client.query('BEGIN');
+  try {
+    await (typeof work === 'function' ? work() : client.query(work));
+    await after();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// up — Apply pending migrations in order (through `to`, when given).
+// Returns the migrations applied.
+// ─────────────────────────────────────────────────────────────────────────
+async function up(client, { dir, to, log = () => {} } = {}) {
+  return withLock(client, async () => {
+    const states = await status(client, { dir });
+    const drifted = states.filter(s => s.state === 'drifted' || s.state === 'missing');
+    if (drifted.length) throw fail(
+      `Applied migrations changed on disk: ${drifted.map(s => `${s.name} (${s.state})`).join(', ')}. ` +
+      'Restore the original files and put the change in a new migration.'
+    );
+
+    if (!states.some(s => s.state === 'applied')) {
+      const { rows: [{ count }] } = await client.query(
+        `SELECT COUNT(*) FROM information_schema.tables
+         WHERE  table_schema = 'public' AND table_name <> 'schema_migrations'`
+      );
+      if (parseInt(count, 10) > 0) throw fail(
+        'The database already has tables but no migration history. Record what it was built ' +
+        'from with `migrate baseline <version>` first.'
+      );
+    }
+
+    const pending = load(dir).filter(m =>
+      states.find(s => s.version === m.version).state === 'pending' && (!to || Number(m.version) <= Number(to)));
+    const done = [];
+    for (const m of pending) {
+      const psqlEra = Number(m.version) <= PSQL_ERA;
+      if (!psqlEra && TX_CONTROL_RE.test(m.sql))
+        throw fail(`${m.file} controls its own transaction — remove BEGIN / COMMIT, the runner wraps each file`);
+      const started = Date.now();
+      try {
+        await runInTransaction(client, psqlEra ? () => runLikePsql(client, m, log) : m.sql, () => client.query(
+          `INSERT INTO schema_migrations (version, name, checksum, duration_ms) VALUES ($1,$2,$3,$4)`,
+          [m.version, m.name, m.checksum, Date.now() - started]
+        ));
+      } catch (err) {
+        throw fail(`Migration ${m.file} failed: ${err.message}`);
+      }
+      log(`applied  ${m.name}  (${Date.now() - started} ms)`);
+      done.push(m);
+    }
+    return done;
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// down — Roll back the latest `steps` applied migrations with their
+// db/migrations/down/ scripts, newest first. Returns the migrations undone.
+// ─────────────────────────────────────────────────────────────────────────
+async function down(client, { dir, steps = 1, log = () => {} } = {}) {
+  return withLock(client, async () => {
+    const files  = load(dir);
+    const latest = (await applied(client)).reverse().slice(0, steps);
+    const undone = [];
+    for (const r of latest) {
+      const m = files.find(f => f.version === r.version);
+      if (!m?.down) throw fail(`${r.name} has no rollback script (db/migrations/down/${r.name}.sql)`);
+      if (TX_CONTROL_RE.test(m.down))
+        throw fail(`down/${m.file} controls its own transaction — remove BEGIN / COMMIT`);
+      try {
+        await runInTransaction(client, m.down, () => client.query(
+          `DELETE FROM schema_migrations WHERE version = $1`, [r.version]
+        ));
+      } catch (err) {
+        throw fail(`Rollback of ${m.file} failed: ${err.message}`);
+      }
+      log(`reverted ${m.name}`);
+      undone.push(m);
+    }
+    return undone;
+  });
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// baseline — Record migrations through `to` as applied without running
+// them. For databases built before the runner (psql, docker initdb.d).
+// ─────────────────────────────────────────────────────────────────────────
+async function baseline(client, { dir, to, log = () => {} } = {}) {
+  if (!to) throw fail('baseline needs the version the database is at, e.g. `baseline 017`');
+  return withLock(client, async () => {
+    if ((await applied(client)).length) throw fail('Migration history already exists — baseline is for untracked databases');
+    const marked = load(dir).filter(m => Number(m.version) <= Number(to));
+    for (const m of marked) {
+      await client.query(
+        `INSERT INTO schema_migrations (version, name, checksum, baselined) VALUES ($1,$2,$3,true)`,
+        [m.version, m.name, m.checksum]
+      );
+      log(`recorded ${m.name}`);
+    }
+    return marked;
+  });
+}
+
+module.exports = { up, down, status, baseline, load, checksum, statements, MIGRATIONS_DIR };
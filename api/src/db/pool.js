@@ -117,4 +117,65 @@ async function withTenantClient(tenantId) {
   return { client, done };
 }
 
-module.exports = { pool, query, withTenant, withTenantClient };
+// ─────────────────────────────────────────────────────────────────────────
+// tenantClient — pool.connect() for code that runs its own BEGIN / COMMIT.
+//
+// The tenant is set for the session rather than the transaction, so it
+// survives the caller's BEGIN, and is cleared again on release() so the
+// pooled connection never carries one tenant's id into the next request.
+//
+// Usage:
+//   const client = await tenantClient(req.tenantId);
+//   try {
+//     await client.query('BEGIN');
+//     ...
+//     await client.query('COMMIT');
+//   } catch (e) {
+//     await client.query('ROLLBACK');
+//   } finally {
+//     client.release();
+//   }
+// ─────────────────────────────────────────────────────────────────────────
+async function tenantClient(tenantId) {
+  if (!tenantId) {
+    throw Object.assign(new Error('tenantClient: tenantId is required'), { status: 401 });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT set_config('app.tenant_id', $1, false)", [tenantId]);
+  } catch (err) {
+    client.release(err);
+    throw err;
+  }
+
+  // pg-pool assigns a fresh release() on every checkout, so wrapping it here is per-use
+  const release = client.release;
+  client.release = (err) => {
+    if (err) return release(err);
+    client.query("SELECT set_config('app.tenant_id', '', false)")
+      .then(() => release(), (resetErr) => release(resetErr));
+  };
+  return client;
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// tenantDb — { query, connect } bound to one tenant. A drop-in for the
+// module-level query() / pool.connect() in route handlers; tenantMiddleware
+// attaches one as req.db.
+//
+//   query(text, params) — runs inside withTenant(), one short transaction
+//   connect()           — tenantClient(), for multi-statement transactions
+//
+// The object also works wherever a lib takes a client for one-off reads
+// (it has a query method), e.g. bins.stockedBins(req.db, {...}).
+// ─────────────────────────────────────────────────────────────────────────
+function tenantDb(tenantId) {
+  return {
+    tenantId,
+    query:   (text, params) => withTenant(tenantId, (client) => client.query(text, params)),
+    connect: () => tenantClient(tenantId),
+  };
+}
+
+module.exports = { pool, query, withTenant, withTenantClient, tenantClient, tenantDb };
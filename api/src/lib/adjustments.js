@@ -0,0 +1,360 @@
+'use strict';
+
+// lib/adjustments.js
+// Stock adjustments — drafting one from counted quantities and posting it to
+// the stock ledger, cost layers and GL. Used by the adjustments routes and
+// by cycle counts (lib/cycle-counts.js), which post their approved variances
+// as an adjustment.
+//
+// Every line carries a reason code from the company's adjustment_reason_codes,
+// or DEFAULT_REASON_CODES for a company without any.
+//
+// Submitting a draft posts it, unless it is worth more than the company's
+// adjustment_approval_threshold preference (DEFAULT_APPROVAL_THRESHOLD when
+// unset, empty = never), or its lines under a reason code are worth more than
+// that code's approval_threshold, and the submitter cannot approve. Then it
+// waits in pending_approval for an admin or manager to approve (post) or
+// reject it. An adjustment's worth is the gross value of its differences: a
+// gain of 10 and a loss of 10 are worth 20. Gains count at the line's cost,
+// losses at what posting will take them out at (costing.quote) — never at a
+// cost the client sent.
+//
+// Usage:
+//   const adjustments = require('../lib/adjustments');
+//   const adj = await adjustments.create(client, { warehouseId, reasonCode: 'DAMAGE', lines });
+//   const { adjustment, pending } = await adjustments.submit(client, adj.id, { userId, canApprove });
+
+const gl        = require('./gl-posting');
+const lots      = require('./lots');
+const bins      = require('./bins');
+const costing   = require('./costing');
+const kits      = require('./kits');
+const numbering = require('./numbering');
+const webhooks  = require('./webhooks');
+
+/** Used when a company has no adjustment_reason_codes rows. */
+const DEFAULT_REASON_CODES = [
+    { code: 'COUNT',     name: 'Count correction',  approval_threshold: null },
+    { code: 'DAMAGE',    name: 'Damaged',           approval_threshold: null },
+    { code: 'THEFT',     name: 'Theft / shrinkage', approval_threshold: null },
+    { code: 'SAMPLE',    name: 'Sample',            approval_threshold: null },
+    { code: 'FOUND',     name: 'Found stock',       approval_threshold: null },
+    { code: 'RECEIVING', name: 'Receiving error',   approval_threshold: null },
+    { code: 'PICKING',   name: 'Picking error',     approval_threshold: null },
+    { code: 'EXPIRED',   name: 'Expired',           approval_threshold: null },
+    { code: 'OTHER',     name: 'Other',             approval_threshold: null },
+];
+
+/** Used when the company has no adjustment_approval_threshold preference. */
+const DEFAULT_APPROVAL_THRESHOLD = 1000;
+
+const num   = n => parseFloat(n) || 0;
+const money = n => num(n).toFixed(2);
+const fail  = (message, status = 400) => Object.assign(new Error(message), { status });
+
+/** The company's reason codes, or the defaults. */
+async function reasonCodes(db) {
+    const { rows } = await db.query(
+        `SELECT code, name, approval_threshold::float AS approval_threshold, updated_by, updated_at
+         FROM   adjustment_reason_codes ORDER BY code`
+    );
+    return rows.length
+        ? { is_default: false, codes: rows }
+        : { is_default: true,  codes: DEFAULT_REASON_CODES };
+}
+
+/** Refuse codes that are not among the company's reason codes. */
+async function assertReasonCodes(db, codes) {
+    const used = [...new Set(codes.filter(Boolean))];
+    if (!used.length) return;
+    const known   = new Set((await reasonCodes(db)).codes.map(c => c.code));
+    const unknown = used.filter(c => !known.has(c));
+    if (unknown.length) throw fail(`Unknown reason code(s): ${unknown.join(', ')}`);
+}
+
+/**
+ * Draft an adjustment. Each line is { item_id, qty_actual, cost_per_unit,
+ * notes, lot_number, expiry_date, bin_id, reason_code }; qty_system is what
+ * the ledger holds now unless the line brings its own (a frozen count).
+ * Returns the adjustment row.
+ */
+async function create(client, {
+    warehouseId, adjustmentDate, reason, reasonCode, notes, lines, createdBy, cycleCountId = null,
+}) {
+    const missing = lines.findIndex(l => !l.reason_code && !reasonCode);
+    if (missing >= 0) throw fail(`Line ${missing + 1} needs a reason_code`);
+    await assertReasonCodes(client, [reasonCode, ...lines.map(l => l.reason_code)]);
+    await kits.assertStockable(client, lines.map(l => l.item_id));
+    const number = await numbering.next(client, 'stock_adjustment');
+    const date   = adjustmentDate || new Date().toISOString().slice(0,10);
+
+    const { rows: [adj] } = await client.query(
+        `INSERT INTO stock_adjustments
+            (number, warehouse_id, adjustment_date, reason, reason_code, notes, created_by, cycle_count_id)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+        [number, warehouseId, date, reason, reasonCode || null, notes, createdBy || null, cycleCountId]
+    );
+
+    const lotTracked = await lots.trackedItemIds(client, lines.map(l => l.item_id));
+
+    for (const line of lines) {
+        const { item_id, qty_actual, cost_per_unit, notes: lnotes, lot_number, bin_id } = line;
+        if (!item_id || qty_actual == null)
+            throw fail('Each line requires item_id and qty_actual');
+
+        // Lot-tracked items are counted per lot
+        const isLot = lotTracked.has(item_id);
+        if (isLot && !lot_number)
+            throw fail(`Item ${item_id} is lot-tracked — each line needs a lot_number`);
+        if (!isLot && lot_number)
+            throw fail(`Item ${item_id} is not lot-tracked`);
+
+        // A line naming a bin counts that bin only; otherwise the whole warehouse
+        if (bin_id) await bins.assertBin(client, bin_id, warehouseId);
+        let qty_system = line.qty_system;
+        if (qty_system == null) {
+            const conds  = ['item_id = $1', 'warehouse_id = $2'];
+            const params = [item_id, warehouseId];
+            if (isLot)  { params.push(lot_number); conds.push(`lot_number = $${params.length}`); }
+            if (bin_id) { params.push(bin_id);     conds.push(`bin_id = $${params.length}`); }
+            const { rows: soh } = await client.query(
+                `SELECT COALESCE(SUM(qty), 0) AS qty_on_hand
+                 FROM   stock_ledger
+                 WHERE  ${conds.join(' AND ')}`, params
+            );
+            qty_system = soh.length ? parseFloat(soh[0].qty_on_hand) : 0;
+        }
+        const expiry_date = isLot
+            ? await lots.resolveExpiry(client, {
+                itemId: item_id, lotNumber: lot_number,
+                expiryDate: line.expiry_date, receivedOn: date,
+            })
+            : null;
+
+        const { rows: [itemRow] } = await client.query(
+            `SELECT standard_cost FROM items WHERE id = $1`, [item_id]
+        );
+        const cpu = cost_per_unit != null ? cost_per_unit
+                   : (itemRow ? itemRow.standard_cost : 0);
+
+        await client.query(
+            `INSERT INTO stock_adjustment_lines
+                (adjustment_id, item_id, qty_system, qty_actual, cost_per_unit, notes,
+                 lot_number, expiry_date, bin_id, reason_code)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
+            [adj.id, item_id, qty_system, qty_actual, cpu, lnotes || null,
+             lot_number || null, expiry_date, bin_id || null, line.reason_code || reasonCode || null]
+        );
+    }
+    return adj;
+}
+
+/** The company's approval threshold, or null when approvals are off. */
+async function approvalThreshold(db) {
+    const { rows: [pref] } = await db.query(
+        `SELECT value FROM company_preferences WHERE key = 'adjustment_approval_threshold'`
+    );
+    if (!pref) return DEFAULT_APPROVAL_THRESHOLD;
+    if (pref.value == null || String(pref.value).trim() === '') return null;
+    const threshold = parseFloat(pref.value);
+    return Number.isFinite(threshold) && threshold >= 0 ? threshold : null;
+}
+
+/**
+ * What an adjustment is worth and why it needs approval:
+ * { value, reasons } — no reasons, no approval needed. `layerSource` as for
+ * post().
+ */
+async function review(db, adjustmentId, { layerSource = null } = {}) {
+    const { rows: lines } = await db.query(
+        `SELECT l.item_id, l.lot_number, l.reason_code, l.qty_difference, l.cost_per_unit, a.warehouse_id
+         FROM   stock_adjustment_lines l
+         JOIN   stock_adjustments a ON a.id = l.adjustment_id
+         WHERE  l.adjustment_id = $1`,
+        [adjustmentId]
+    );
+    for (const l of lines) {
+        const diff = num(l.qty_difference);
+        l.value = diff >= 0
+            ? diff * num(l.cost_per_unit)
+            : (await costing.quote(db, {
+                itemId: l.item_id, warehouseId: l.warehouse_id, lotNumber: l.lot_number, qty: -diff,
+                source: layerSource,
+            })).cost;
+    }
+    const threshold = await approvalThreshold(db);
+    const codes     = (await reasonCodes(db)).codes;
+
+    const value   = lines.reduce((s, l) => s + num(l.value), 0);
+    const reasons = [];
+    if (threshold != null && value > threshold)
+        reasons.push(`Value ${money(value)} is over the approval threshold of ${money(threshold)}`);
+    for (const c of codes) {
+        if (c.approval_threshold == null) continue;
+        const byCode = lines.filter(l => l.reason_code === c.code).reduce((s, l) => s + num(l.value), 0);
+        if (byCode > c.approval_threshold)
+            reasons.push(`${c.code} lines worth ${money(byCode)} are over their threshold of ${money(c.approval_threshold)}`);
+    }
+    return { value: Math.round(value * 100) / 100, reasons };
+}
+
+/**
+ * Submit a draft: post it, or — when it needs approval and the submitter
+ * cannot approve — hold it in pending_approval. An approver's submission is
+ * its own approval. Returns { adjustment, pending }.
+ */
+async function submit(client, adjustmentId, {
+    userId = null, postedBy = null, canApprove = false, layerSource = null,
+} = {}) {
+    const adj = await lock(client, adjustmentId, 'draft', 400);
+    const { rows: uncoded } = await client.query(
+        `SELECT 1 FROM stock_adjustment_lines WHERE adjustment_id = $1 AND reason_code IS NULL LIMIT 1`, [adj.id]
+    );
+    if (uncoded.length) throw fail(`Adjustment ${adj.number} has lines without a reason code`);
+
+    const { value, reasons } = await review(client, adj.id, { layerSource });
+    const needsApproval = reasons.length > 0;
+    await client.query(
+        `UPDATE stock_adjustments
+         SET    approval_value = $2, approval_reasons = $3, submitted_by = $4, submitted_at = NOW(),
+                reviewed_by = $5, reviewed_at = $6
+         WHERE  id = $1`,
+        [adj.id, value, reasons, userId, needsApproval && canApprove ? userId : null,
+         needsApproval && canApprove ? new Date() : null]
+    );
+    if (needsApproval && !canApprove) {
+        const { rows: [pending] } = await client.query(
+            `UPDATE stock_adjustments SET status = 'pending_approval' WHERE id = $1 RETURNING *`, [adj.id]
+        );
+        return { adjustment: pending, pending: true };
+    }
+    return { adjustment: await post(client, adj.id, { userId, postedBy, layerSource }), pending: false };
+}
+
+/** Approve a pending adjustment: it is posted. */
+async function approve(client, adjustmentId, { userId = null, comment = null } = {}) {
+    const adj = await lock(client, adjustmentId, 'pending_approval', 409);
+    await client.query(
+        `UPDATE stock_adjustments SET reviewed_by = $2, reviewed_at = NOW(), review_comment = $3 WHERE id = $1`,
+        [adj.id, userId, comment]
+    );
+    return post(client, adj.id, { userId });
+}
+
+/** Reject a pending adjustment; nothing is posted. */
+async function reject(client, adjustmentId, { userId = null, comment }) {
+    const adj = await lock(client, adjustmentId, 'pending_approval', 409);
+    const { rows: [rejected] } = await client.query(
+        `UPDATE stock_adjustments
+         SET    status = 'rejected', reviewed_by = $2, reviewed_at = NOW(), review_comment = $3
+         WHERE  id = $1 RETURNING *`,
+        [adj.id, userId, comment]
+    );
+    return rejected;
+}
+
+// Lock an adjustment, refusing it unless it is in `status`
+async function lock(client, adjustmentId, status, httpStatus) {
+    const { rows: [adj] } = await client.query(
+        `SELECT * FROM stock_adjustments WHERE id = $1 FOR UPDATE`, [adjustmentId]
+    );
+    if (!adj) throw fail('Adjustment not found', 404);
+    if (adj.status !== status)
+        throw fail(`Adjustment ${adj.number} is ${adj.status.replace('_', ' ')}, not ${status.replace('_', ' ')}`, httpStatus);
+    return adj;
+}
+
+/**
+ * Post a draft or approved adjustment: its differences go to the stock
+ * ledger and cost layers, and their value to the GL. Losses take only the
+ * layers `layerSource` ({ type, id }) opened when given — a transfer written
+ * off in the shared transit warehouse. Returns the posted adjustment row.
+ * Callers decide whether it needs approval first (submit).
+ */
+async function post(client, adjustmentId, { userId = null, postedBy = null, layerSource = null } = {}) {
+    const { rows: [adj] } = await client.query(
+        `SELECT * FROM stock_adjustments WHERE id = $1 FOR UPDATE`,
+        [adjustmentId]
+    );
+    if (!adj)           throw fail('Adjustment not found', 404);
+    if (!['draft', 'pending_approval'].includes(adj.status))
+        throw fail(`Adjustment is already ${adj.status}`);
+
+    const { rows: lines } = await client.query(
+        `SELECT * FROM stock_adjustment_lines WHERE adjustment_id = $1`,
+        [adj.id]
+    );
+    if (!lines.length) throw fail('No lines to post');
+    await kits.assertStockable(client, lines.map(l => l.item_id));
+    const stockWatch = await webhooks.watchStock(client, adj.warehouse_id, lines.map(l => l.item_id));
+
+    let adjValue = 0;
+    for (const line of lines) {
+        const diff = parseFloat(line.qty_difference);
+        if (diff === 0) continue;
+
+        // Gains open a layer at the line's cost; losses are priced by the
+        // layers (or average) they consume
+        let unitCost = parseFloat(line.cost_per_unit);
+        if (diff > 0) {
+            await costing.receive(client, {
+                itemId: line.item_id, warehouseId: adj.warehouse_id, lotNumber: line.lot_number,
+                qty: diff, unitCost, date: adj.adjustment_date,
+                sourceType: 'stock_adjustment', sourceId: adj.id,
+            });
+        } else {
+            ({ unitCost } = await costing.consume(client, {
+                itemId: line.item_id, warehouseId: adj.warehouse_id, lotNumber: line.lot_number,
+                qty: -diff, consumerType: 'stock_adjustment', consumerId: adj.id, source: layerSource,
+            }));
+            await client.query(
+                `UPDATE stock_adjustment_lines SET cost_per_unit = $1 WHERE id = $2`, [unitCost, line.id]
+            );
+        }
+        adjValue += diff * unitCost;
+
+        // Gains land in the counted bin (or unassigned); losses without a bin
+        // come out of the bins holding the stock
+        const binSplits = diff < 0 && !line.bin_id
+            ? (await bins.split(client, {
+                itemId: line.item_id, warehouseId: adj.warehouse_id,
+                lotNumber: line.lot_number, qty: -diff,
+            })).map(b => ({ ...b, qty: -b.qty }))
+            : [{ bin_id: line.bin_id, qty: diff }];
+
+        for (const b of binSplits) {
+            await client.query(
+                `INSERT INTO stock_ledger
+                    (item_id, warehouse_id, transaction_type, reference_type,
+                     reference_id, qty, cost_per_unit, notes, posting_date, created_by,
+                     lot_number, expiry_date, bin_id)
+                 VALUES ($1,$2,'adjustment','stock_adjustment',$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+                [
+                    line.item_id, adj.warehouse_id, adj.id,
+                    b.qty,
+                    unitCost,
+                    `Stock adjustment ${adj.number}`,
+                    adj.adjustment_date,
+                    postedBy,
+                    line.lot_number, line.expiry_date, b.bin_id
+                ]
+            );
+        }
+    }
+
+    const { rows: [updated] } = await client.query(
+        `UPDATE stock_adjustments
+         SET status = 'posted', posted_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [adj.id]
+    );
+
+    await gl.postAdjustment(client, { adjustment: adj, value: adjValue, userId });
+    await stockWatch.emitCrossings();
+    return updated;
+}
+
+module.exports = {
+    DEFAULT_REASON_CODES, DEFAULT_APPROVAL_THRESHOLD, reasonCodes, assertReasonCodes, approvalThreshold,
+    create, review, submit, approve, reject, post,
+};
@@ -0,0 +1,272 @@
+'use strict';
+
+// lib/assembly.js
+// Assembly orders — building stocked kits (items.kit_type = 'assembly') from
+// their components, and breaking them back down.
+//
+// An order copies the kit's bill of materials (lib/kits.js) scaled to its
+// quantity when it is created. Posting it moves the stock on the order date:
+//   assembly     the components leave the warehouse (lots FEFO, or as named
+//                in `lots`) and the kits arrive at what the components cost
+//   disassembly  the kits leave and the components arrive, the kits' cost
+//                shared out by each component's standard cost
+// Every row lands in stock_ledger under transaction_type = the order type
+// and reference_type 'assembly_order'. The value moves from one inventory
+// item to another, so nothing is posted to the general ledger; the period
+// lockout is checked here instead.
+//
+// Serial-tracked items and lot-tracked kits are not built by assembly orders
+// — sell serialized parts in a bundle, which ships them with their serials.
+//
+// Usage:
+//   const assembly = require('../lib/assembly');
+//   const order = await assembly.create(client, { kitItemId, warehouseId, qty, userId });
+//   await assembly.post(client, order.id, { lots: req.body.lots, userId });
+
+const kits      = require('./kits');
+const lots      = require('./lots');
+const bins      = require('./bins');
+const costing   = require('./costing');
+const periods   = require('./periods');
+const numbering = require('./numbering');
+const webhooks  = require('./webhooks');
+
+const num    = n => parseFloat(n) || 0;
+const round4 = n => Math.round(n * 10000) / 10000;
+const fail   = (message, status = 400) => Object.assign(new Error(message), { status });
+
+/**
+ * Create a draft order for `qty` kits. orderType is 'assembly' (default) or
+ * 'disassembly'. Returns the order row.
+ */
+async function create(client, {
+    kitItemId, warehouseId, orderType = 'assembly', qty, orderDate, notes = null, userId = null,
+}) {
+    const { rows: [kit] } = await client.query(
+        `SELECT id, code, kit_type, is_serial_tracked, is_lot_tracked FROM items WHERE id = $1`, [kitItemId]
+    );
+    if (!kit) throw fail('Kit item not found', 404);
+    if (kit.kit_type !== 'assembly')
+        throw fail(kit.kit_type === 'bundle'
+            ? `${kit.code} is a bundle — bundles ship as their components and are never assembled`
+            : `${kit.code} is not an assembly kit`);
+    if (kit.is_serial_tracked || kit.is_lot_tracked)
+        throw fail(`${kit.code} is ${kit.is_serial_tracked ? 'serial' : 'lot'}-tracked — assembly orders do not build tracked kits`);
+
+    const { rows: [warehouse] } = await client.query(
+        `SELECT code, is_transit, is_vendor_return FROM warehouses WHERE id = $1`, [warehouseId]
+    );
+    if (!warehouse) throw fail('Warehouse not found', 404);
+    if (warehouse.is_transit) throw fail(`${warehouse.code} is the transit warehouse`);
+    if (warehouse.is_vendor_return) throw fail(`${warehouse.code} holds customer returns for their vendors`);
+
+    const bom = await kits.components(client, kit.id);
+    if (!bom.length) throw fail(`${kit.code} has no components`);
+    for (const c of bom) {
+        if (c.is_serial_tracked)
+            throw fail(`${c.component_code} is serial-tracked — sell ${kit.code} as a bundle to ship it with its serials`);
+        if (c.is_lot_tracked && orderType === 'disassembly')
+            throw fail(`${c.component_code} is lot-tracked — a disassembly cannot tell which lot it came from`);
+    }
+
+    const number = await numbering.next(client, 'assembly_order');
+    const { rows: [order] } = await client.query(
+        `INSERT INTO assembly_orders (number, order_type, kit_item_id, warehouse_id, qty, order_date, notes, created_by)
+         VALUES ($1,$2,$3,$4,$5,COALESCE($6, CURRENT_DATE),$7,$8) RETURNING *`,
+        [number, orderType, kit.id, warehouseId, qty, orderDate || null, notes, userId]
+    );
+    for (let idx = 0; idx < bom.length; idx++) {
+        const c = bom[idx];
+        await client.query(
+            `INSERT INTO assembly_order_lines (assembly_order_id, line_number, component_item_id, qty_per, qty)
+             VALUES ($1,$2,$3,$4,$5)`,
+            [order.id, idx + 1, c.component_item_id, c.qty, round4(num(qty) * num(c.qty))]
+        );
+    }
+    return order;
+}
+
+async function lock(client, orderId) {
+    const { rows: [order] } = await client.query(
+        `SELECT ao.*, ao.order_date::text AS order_date, i.code AS kit_code
+         FROM assembly_orders ao JOIN items i ON i.id = ao.kit_item_id
+         WHERE ao.id = $1 FOR UPDATE OF ao`, [orderId]
+    );
+    if (!order) throw fail('Assembly order not found', 404);
+    if (order.status !== 'draft') throw fail(`Assembly order is already ${order.status}`);
+    return order;
+}
+
+async function linesOf(db, orderId) {
+    const { rows } = await db.query(
+        `SELECT l.*, i.code AS component_code, i.standard_cost
+         FROM assembly_order_lines l JOIN items i ON i.id = l.component_item_id
+         WHERE l.assembly_order_id = $1 ORDER BY l.line_number`, [orderId]
+    );
+    return rows;
+}
+
+// Refuse a move that would take more than is available (reserved stock stays put)
+async function assertAvailable(client, { itemId, code, warehouseId, qty }) {
+    const { rows: [check] } = await client.query(
+        `SELECT check_stock_availability($1, $2, $3) AS shortfall`, [itemId, warehouseId, qty]
+    );
+    if (num(check.shortfall) < 0)
+        throw fail(`Insufficient stock for ${code}: need ${qty}, available ${round4(num(check.shortfall) + num(qty))}`);
+}
+
+// Take `qty` of an item out of the warehouse, lot by lot and bin by bin.
+// Returns the cost taken.
+async function issue(client, order, { itemId, qty, tracked, picks, label, postedBy }) {
+    const splits = await lots.allocate(client, {
+        itemId, warehouseId: order.warehouse_id, qty, tracked, picks, asOf: order.order_date, label,
+    });
+    let cost = 0;
+    for (const split of splits) {
+        const out = await costing.consume(client, {
+            itemId, warehouseId: order.warehouse_id, lotNumber: split.lot_number, qty: split.qty,
+            consumerType: 'assembly_order', consumerId: order.id,
+        });
+        cost += out.cost;
+        const binSplits = await bins.split(client, {
+            itemId, warehouseId: order.warehouse_id, lotNumber: split.lot_number, qty: split.qty,
+        });
+        for (const b of binSplits) {
+            await client.query(
+                `INSERT INTO stock_ledger
+                    (item_id, warehouse_id, transaction_type, reference_type, reference_id,
+                     qty, cost_per_unit, notes, posting_date, created_by, lot_number, expiry_date,
+                     bin_id)
+                 VALUES ($1,$2,$3,'assembly_order',$4,$5,$6,$7,$8,$9,$10,$11,$12)`,
+                [itemId, order.warehouse_id, order.order_type, order.id, -b.qty, out.unitCost,
+                 `${order.number} — ${order.kit_code} ${order.order_type.toUpperCase()}`, order.order_date,
+                 postedBy, split.lot_number, split.expiry_date, b.bin_id]
+            );
+        }
+    }
+    return round4(cost);
+}
+
+// Put `qty` of an untracked item into the warehouse at `unitCost`; it lands
+// unassigned to a bin until put away
+async function produce(client, order, { itemId, qty, unitCost, postedBy }) {
+    await costing.receive(client, {
+        itemId, warehouseId: order.warehouse_id, qty, unitCost, date: order.order_date,
+        sourceType: 'assembly_order', sourceId: order.id,
+    });
+    await client.query(
+        `INSERT INTO stock_ledger
+            (item_id, warehouse_id, transaction_type, reference_type, reference_id,
+             qty, cost_per_unit, notes, posting_date, created_by)
+         VALUES ($1,$2,$3,'assembly_order',$4,$5,$6,$7,$8,$9)`,
+        [itemId, order.warehouse_id, order.order_type, order.id, qty, unitCost,
+         `${order.number} — ${order.kit_code} ${order.order_type.toUpperCase()}`, order.order_date, postedBy]
+    );
+}
+
+/**
+ * Post a draft order. `lots` names the lots of lot-tracked components to use
+ * ([{ line_id, lot_number, qty }], line_id an assembly order line); FEFO
+ * otherwise. Returns the posted order.
+ */
+async function post(client, orderId, { lots: rawLots, userId = null, postedBy = null } = {}) {
+    const order = await lock(client, orderId);
+    await periods.assertOpen(client, order.order_date);
+
+    const lines      = await linesOf(client, order.id);
+    const lotPicks   = lots.parseLotPicks(rawLots);
+    const lotTracked = await lots.trackedItemIds(client, lines.map(l => l.component_item_id));
+    for (const lineId of lotPicks.keys()) {
+        if (!lines.some(l => l.id === lineId)) throw fail(`Lots given for unknown assembly order line ${lineId}`);
+    }
+    const stockWatch = await webhooks.watchStock(
+        client, order.warehouse_id, [order.kit_item_id, ...lines.map(l => l.component_item_id)]
+    );
+    const qty = num(order.qty);
+
+    let unitCost;
+    if (order.order_type === 'assembly') {
+        for (const line of lines) {
+            await assertAvailable(client, {
+                itemId: line.component_item_id, code: line.component_code, warehouseId: order.warehouse_id, qty: line.qty,
+            });
+        }
+        let total = 0;
+        for (const line of lines) {
+            const cost = await issue(client, order, {
+                itemId: line.component_item_id, qty: line.qty, tracked: lotTracked.has(line.component_item_id),
+                picks: lotPicks.get(line.id), label: `assembly order line ${line.id}`, postedBy,
+            });
+            await client.query(
+                `UPDATE assembly_order_lines SET cost_per_unit = $1 WHERE id = $2`, [round4(cost / num(line.qty)), line.id]
+            );
+            total += cost;
+        }
+        unitCost = round4(total / qty);
+        await produce(client, order, { itemId: order.kit_item_id, qty, unitCost, postedBy });
+    } else {
+        await assertAvailable(client, {
+            itemId: order.kit_item_id, code: order.kit_code, warehouseId: order.warehouse_id, qty,
+        });
+        const total = await issue(client, order, {
+            itemId: order.kit_item_id, qty, tracked: false, label: `assembly order ${order.number}`, postedBy,
+        });
+        unitCost = round4(total / qty);
+
+        // Each component's share of the cost follows its standard cost (its
+        // quantity when none of them has one)
+        const weight  = l => num(l.qty_per) * num(l.standard_cost);
+        const byValue = lines.some(l => weight(l) > 0);
+        const share   = l => (byValue ? weight(l) : num(l.qty_per));
+        const whole   = lines.reduce((s, l) => s + share(l), 0);
+        for (const line of lines) {
+            const cost = round4(total * share(line) / whole / num(line.qty));
+            await produce(client, order, { itemId: line.component_item_id, qty: num(line.qty), unitCost: cost, postedBy });
+            await client.query(`UPDATE assembly_order_lines SET cost_per_unit = $1 WHERE id = $2`, [cost, line.id]);
+        }
+    }
+
+    const { rows: [posted] } = await client.query(
+        `UPDATE assembly_orders SET status = 'posted', unit_cost = $2, posted_by = $3, posted_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [order.id, unitCost, userId]
+    );
+    await stockWatch.emitCrossings();
+    return posted;
+}
+
+/** Cancel a draft order; nothing has moved. */
+async function cancel(client, orderId) {
+    const order = await lock(client, orderId);
+    const { rows: [cancelled] } = await client.query(
+        `UPDATE assembly_orders SET status = 'cancelled' WHERE id = $1 RETURNING *`, [order.id]
+    );
+    return cancelled;
+}
+
+/** An order with its kit, warehouse and component lines; null when not found. */
+async function detail(db, orderId) {
+    const { rows: [order] } = await db.query(
+        `SELECT ao.*, ao.order_date::text AS order_date,
+                i.code AS kit_code, i.name AS kit_name,
+                w.code AS warehouse_code, w.name AS warehouse_name
+         FROM   assembly_orders ao
+         JOIN   items i      ON i.id = ao.kit_item_id
+         JOIN   warehouses w ON w.id = ao.warehouse_id
+         WHERE  ao.id = $1`, [orderId]
+    );
+    if (!order) return null;
+    const { rows: lines } = await db.query(
+        `SELECT l.*, i.code AS component_code, i.name AS component_name, i.unit_of_measure,
+                i.is_lot_tracked, COALESCE(av.qty_available, 0) AS stock_available
+         FROM   assembly_order_lines l
+         JOIN   items i ON i.id = l.component_item_id
+         LEFT JOIN v_stock_availability av
+                ON av.item_id = l.component_item_id AND av.warehouse_id = $2
+         WHERE  l.assembly_order_id = $1
+         ORDER  BY l.line_number`, [orderId, order.warehouse_id]
+    );
+    return { ...order, lines };
+}
+
+module.exports = { create, post, cancel, detail };
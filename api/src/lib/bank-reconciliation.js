@@ -0,0 +1,316 @@
+'use strict';
+
+// lib/bank-reconciliation.js
+// Bank reconciliation — matching statement lines to the books, and the report
+// that ties the bank balance to the GL.
+//
+// The book side of a bank account is every posted journal entry line on its
+// GL cash account after the account's opening date, one item per source: a
+// customer payment (payments_received), a vendor payment (payments_made), or
+// any other journal entry (bank fees, interest, transfers entered by hand).
+// Amounts are debit minus credit, so money in is positive on both sides.
+//
+// autoMatch() tries each unmatched statement line against the unmatched
+// book items with the company's rules, in priority order, and takes a
+// candidate when it is the only one — or clearly the closest in amount and
+// date. match() clears a line against chosen items whose amounts add up to
+// it (a deposit of several cheques); unmatch() takes a line's matches off.
+//
+// Usage:
+//   const recon = require('../lib/bank-reconciliation');
+//   const result = await recon.autoMatch(client, account, { statementId, userId });
+//   const report = await recon.report(req.db, account, { asOf: '2026-10-31' });
+
+/** Used when a company has no bank_match_rules rows. */
+const DEFAULT_RULES = [
+    { priority: 1, name: 'Reference and amount', match_reference: true,  date_window_days: 10, amount_tolerance: 0 },
+    { priority: 2, name: 'Amount and date',      match_reference: false, date_window_days: 3,  amount_tolerance: 0 },
+];
+
+const SOURCE_TYPES = ['payment_received', 'payment_made', 'journal_entry'];
+
+const num   = n => parseFloat(n) || 0;
+const ROUND = n => Math.round(n * 100) / 100;
+const key   = i => `${i.source_type}:${i.source_id}`;
+const days  = (a, b) => Math.round((Date.parse(`${a}T00:00Z`) - Date.parse(`${b}T00:00Z`)) / 86400000);
+const bad   = (msg, status = 400) => Object.assign(new Error(msg), { status });
+
+/** The company's match rules, by priority, or the defaults. */
+async function rules(db) {
+    const { rows } = await db.query(
+        `SELECT priority, name, match_reference, date_window_days, amount_tolerance, updated_by, updated_at
+         FROM   bank_match_rules ORDER BY priority`
+    );
+    return rows.length
+        ? { is_default: false, rules: rows }
+        : { is_default: true,  rules: DEFAULT_RULES };
+}
+
+/**
+ * Book items on the account's GL cash account after its opening date.
+ * Options: asOf (entries up to that date), unmatched (only those not
+ * matched yet), items ([{ source_type, source_id }] to look up).
+ * Each item carries statement_line_id and cleared_date once matched.
+ */
+async function bookItems(db, account, { asOf = null, unmatched = false, items = null } = {}) {
+    const conds = [];
+    const params = [account.gl_account_id, account.opening_date || null, asOf];
+    if (unmatched) conds.push('m.id IS NULL');
+    if (items) {
+        params.push(items.map(i => i.source_type), items.map(i => i.source_id));
+        conds.push(`(i.source_type, i.source_id) IN (SELECT * FROM unnest($4::text[], $5::uuid[]))`);
+    }
+    const { rows } = await db.query(
+        `WITH entries AS (
+             SELECT CASE WHEN je.source_type IN ('payment_received','payment_made')
+                         THEN je.source_type ELSE 'journal_entry' END AS source_type,
+                    CASE WHEN je.source_type IN ('payment_received','payment_made')
+                         THEN je.source_id ELSE je.id END AS source_id,
+                    je.entry_date, je.number, je.reference, je.description,
+                    jel.debit - jel.credit AS amount
+             FROM   journal_entry_lines jel
+             JOIN   journal_entries je ON je.id = jel.journal_entry_id AND je.status = 'posted'
+             WHERE  jel.account_id = $1
+               AND  ($2::date IS NULL OR je.entry_date > $2::date)
+               AND  ($3::date IS NULL OR je.entry_date <= $3::date)
+         ), items AS (
+             SELECT source_type, source_id, MIN(entry_date) AS entry_date,
+                    string_agg(number, ', ' ORDER BY number) AS entry_numbers,
+                    MIN(reference) AS entry_reference, MIN(description) AS entry_description,
+                    SUM(amount) AS amount
+             FROM   entries
+             GROUP  BY source_type, source_id
+             HAVING SUM(amount) <> 0
+         )
+         SELECT i.source_type, i.source_id, i.entry_date::text AS date, i.entry_numbers, i.amount,
+                COALESCE(pr.reference_number, pm.reference_number, i.entry_reference) AS reference,
+                COALESCE(pr.method, pm.method) AS method,
+                COALESCE(p.name, i.entry_description) AS description, p.code AS party_code,
+                m.statement_line_id, m.amount AS matched_amount, bsl.txn_date::text AS cleared_date
+         FROM   items i
+         LEFT JOIN payments_received pr ON i.source_type = 'payment_received' AND pr.id = i.source_id
+         LEFT JOIN payments_made     pm ON i.source_type = 'payment_made'     AND pm.id = i.source_id
+         LEFT JOIN parties           p  ON p.id = COALESCE(pr.customer_id, pm.vendor_id)
+         LEFT JOIN bank_matches      m  ON m.source_type = i.source_type AND m.source_id = i.source_id
+         LEFT JOIN bank_statement_lines bsl ON bsl.id = m.statement_line_id
+         ${conds.length ? `WHERE ${conds.join(' AND ')}` : ''}
+         ORDER  BY i.entry_date, i.entry_numbers`,
+        params
+    );
+    return rows;
+}
+
+/**
+ * Statement lines of the account after its opening date, each with its
+ * matches. Options: asOf, statementId, unmatched, ids.
+ */
+async function statementLines(db, account, { asOf = null, statementId = null, unmatched = false, ids = null } = {}) {
+    const { rows } = await db.query(
+        `SELECT bsl.id, bsl.statement_id, bsl.line_number, bsl.txn_date::text AS txn_date,
+                bsl.value_date::text AS value_date, bsl.amount, bsl.description, bsl.reference,
+                bsl.external_id, bsl.txn_code,
+                COALESCE(json_agg(json_build_object(
+                    'id', m.id, 'source_type', m.source_type, 'source_id', m.source_id, 'amount', m.amount,
+                    'method', m.method, 'rule_name', m.rule_name, 'matched_by', m.matched_by,
+                    'created_at', m.created_at) ORDER BY m.created_at) FILTER (WHERE m.id IS NOT NULL), '[]') AS matches
+         FROM   bank_statement_lines bsl
+         LEFT JOIN bank_matches m ON m.statement_line_id = bsl.id
+         WHERE  bsl.bank_account_id = $1
+           AND  ($2::date IS NULL OR bsl.txn_date > $2::date)
+           AND  ($3::date IS NULL OR bsl.txn_date <= $3::date)
+           AND  ($4::uuid IS NULL OR bsl.statement_id = $4::uuid)
+           AND  ($5::uuid[] IS NULL OR bsl.id = ANY($5::uuid[]))
+         GROUP  BY bsl.id
+         ${unmatched ? 'HAVING COUNT(m.id) = 0' : ''}
+         ORDER  BY bsl.txn_date, bsl.statement_id, bsl.line_number`,
+        [account.id, account.opening_date || null, asOf, statementId, ids]
+    );
+    return rows;
+}
+
+// Whether a statement line mentions the item's reference (check number, wire
+// reference) or journal entry number, or the item's reference contains the
+// line's own reference. Numeric references compare without leading zeros.
+const norm = s => {
+    const t = String(s || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return /^\d+$/.test(t) ? t.replace(/^0+/, '') : t;
+};
+function referenceMatches(line, item) {
+    const text = String([line.reference, line.description, line.external_id].join(' ')).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const refs = [item.reference, ...String(item.entry_numbers || '').split(', ')].map(norm).filter(r => r.length >= 3);
+    if (refs.some(r => text.includes(r))) return true;
+    const lineRef = norm(line.reference);
+    return lineRef.length >= 3 && String(item.reference || '').toUpperCase().replace(/[^A-Z0-9]/g, '').includes(lineRef);
+}
+
+async function insertMatch(client, line, item, { method, ruleName = null, userId = null }) {
+    const { rows: [m] } = await client.query(
+        `INSERT INTO bank_matches (statement_line_id, source_type, source_id, amount, method, rule_name, matched_by)
+         VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
+        [line.id, item.source_type, item.source_id, item.amount, method, ruleName, userId]
+    );
+    return m;
+}
+
+/**
+ * Match the account's unmatched statement lines (one statement's, with
+ * statementId) by the company's rules. Call inside a transaction with the
+ * bank account locked. Resolves to { matched: [...], unmatched: n }.
+ */
+async function autoMatch(client, account, { statementId = null, userId = null } = {}) {
+    const { rules: rl } = await rules(client);
+    const lines = await statementLines(client, account, { statementId, unmatched: true });
+    const items = await bookItems(client, account, { unmatched: true });
+    const used  = new Set();
+    const matched = [];
+
+    for (const line of lines) {
+        const amount = num(line.amount);
+        for (const rule of rl) {
+            const candidates = items
+                .filter(i => !used.has(key(i)) && Math.sign(num(i.amount)) === Math.sign(amount))
+                .map(i => ({ item: i, off: Math.abs(num(i.amount) - amount), gap: Math.abs(days(i.date, line.txn_date)) }))
+                .filter(c => c.off <= num(rule.amount_tolerance) + 0.005 && c.gap <= rule.date_window_days
+                          && (!rule.match_reference || referenceMatches(line, c.item)))
+                .sort((a, b) => a.off - b.off || a.gap - b.gap);
+            const [best, next] = candidates;
+            if (!best || (next && next.off - best.off < 0.005 && next.gap === best.gap)) continue;
+
+            used.add(key(best.item));
+            await insertMatch(client, line, best.item, { method: 'auto', ruleName: rule.name, userId });
+            matched.push({
+                statement_line_id: line.id, txn_date: line.txn_date, amount: line.amount,
+                source_type: best.item.source_type, source_id: best.item.source_id,
+                book_date: best.item.date, book_amount: best.item.amount, reference: best.item.reference,
+                rule_name: rule.name,
+            });
+            break;
+        }
+    }
+    return { matched, unmatched: lines.length - matched.length };
+}
+
+/**
+ * Clear a statement line against book items ([{ source_type, source_id }])
+ * that add up to its amount. Call inside a transaction with the bank account
+ * locked. Resolves to the match rows.
+ */
+async function match(client, account, line, refs, { userId = null } = {}) {
+    if (account.opening_date && line.txn_date <= String(account.opening_date))
+        throw bad(`The statement line is on or before the account's opening date (${account.opening_date})`);
+    const { rows: [{ count }] } = await client.query(
+        `SELECT COUNT(*) FROM bank_matches WHERE statement_line_id = $1`, [line.id]
+    );
+    if (parseInt(count, 10)) throw bad('The statement line is already matched; unmatch it first');
+
+    const items = await bookItems(client, account, { items: refs });
+    for (const r of refs) {
+        const item = items.find(i => key(i) === key(r));
+        if (!item) throw bad(`${r.source_type} ${r.source_id} has no posted entry on this account's GL cash account `
+                           + 'after its opening date', 404);
+        if (item.statement_line_id) throw bad(`${r.source_type} ${r.source_id} is already matched to another statement line`);
+    }
+    const total = ROUND(items.reduce((s, i) => s + num(i.amount), 0));
+    if (Math.abs(total - num(line.amount)) > 0.005)
+        throw bad(`The entries total ${total.toFixed(2)}; the statement line is ${num(line.amount).toFixed(2)}`);
+
+    const rows = [];
+    for (const item of items) rows.push(await insertMatch(client, line, item, { method: 'manual', userId }));
+    return rows;
+}
+
+/** Take a statement line's matches off. Resolves to the rows removed. */
+async function unmatch(client, line) {
+    const { rows } = await client.query(
+        `DELETE FROM bank_matches WHERE statement_line_id = $1 RETURNING *`, [line.id]
+    );
+    if (!rows.length) throw bad('The statement line is not matched');
+    return rows;
+}
+
+/**
+ * The reconciliation as of a date (default today):
+ *
+ *   statement balance  opening balance + statement lines to as_of
+ *   + deposits in transit, − outstanding payments  (book items not cleared by then)
+ *   = adjusted bank balance
+ *
+ *   GL balance         the cash account's posted balance at as_of
+ *   + bank credits, − bank debits  (statement lines not in the books by then)
+ *   = adjusted book balance
+ *
+ * The two agree (difference 0) when the opening balance matches the GL at
+ * the opening date and every matched pair is for the same amount.
+ */
+async function report(db, account, { asOf = null } = {}) {
+    const { rows: [{ as_of }] } = await db.query(`SELECT COALESCE($1::date, CURRENT_DATE)::text AS as_of`, [asOf]);
+    const items = await bookItems(db, account, { asOf: as_of });
+    const lines = await statementLines(db, account, { asOf: as_of });
+
+    const { rows: [gl] } = await db.query(
+        `SELECT a.account_number, a.name, COALESCE(SUM(jel.debit - jel.credit), 0) AS balance
+         FROM   gl_accounts a
+         LEFT JOIN journal_entry_lines jel ON jel.account_id = a.id
+                AND EXISTS (SELECT 1 FROM journal_entries je
+                            WHERE je.id = jel.journal_entry_id AND je.status = 'posted' AND je.entry_date <= $2)
+         WHERE  a.id = $1
+         GROUP  BY a.id`,
+        [account.gl_account_id, as_of]
+    );
+
+    // A book item has cleared once it is matched to a line on the statement by as_of
+    const lineIds = new Set(lines.map(l => l.id));
+    const outstanding = items.filter(i => !i.statement_line_id || !lineIds.has(i.statement_line_id));
+
+    // A line is in the books for the part matched to items entered by as_of
+    const itemKeys = new Set(items.map(key));
+    const unrecorded = lines
+        .map(l => ({
+            ...l,
+            unrecorded: ROUND(num(l.amount) - l.matches.filter(m => itemKeys.has(key(m))).reduce((s, m) => s + num(m.amount), 0)),
+        }))
+        .filter(l => Math.abs(l.unrecorded) >= 0.005);
+
+    const sum = (rows, f) => ROUND(rows.reduce((s, r) => s + num(f(r)), 0));
+    const deposits  = outstanding.filter(i => num(i.amount) > 0);
+    const payments  = outstanding.filter(i => num(i.amount) < 0);
+    const credits   = unrecorded.filter(l => l.unrecorded > 0);
+    const debits    = unrecorded.filter(l => l.unrecorded < 0);
+
+    const statementBalance = ROUND(num(account.opening_balance) + sum(lines, l => l.amount));
+    const adjustedBank = ROUND(statementBalance + sum(deposits, i => i.amount) + sum(payments, i => i.amount));
+    const glBalance    = ROUND(num(gl.balance));
+    const adjustedBook = ROUND(glBalance + sum(credits, l => l.unrecorded) + sum(debits, l => l.unrecorded));
+
+    const { rows: [last] } = await db.query(
+        `SELECT id, period_start::text AS period_start, period_end::text AS period_end, closing_balance
+         FROM   bank_statements WHERE bank_account_id = $1 AND period_end <= $2
+         ORDER  BY period_end DESC, created_at DESC LIMIT 1`,
+        [account.id, as_of]
+    );
+
+    return {
+        as_of,
+        bank_account: {
+            id: account.id, name: account.name, account_number: account.account_number, currency: account.currency,
+            opening_balance: account.opening_balance, opening_date: account.opening_date,
+        },
+        gl_account:            { id: account.gl_account_id, account_number: gl.account_number, name: gl.name },
+        last_statement:        last || null,
+        statement_balance:     statementBalance,
+        deposits_in_transit:   { total: sum(deposits, i => i.amount), items: deposits },
+        outstanding_payments:  { total: -sum(payments, i => i.amount), items: payments },
+        adjusted_bank_balance: adjustedBank,
+        gl_balance:            glBalance,
+        unrecorded_credits:    { total: sum(credits, l => l.unrecorded), lines: credits },
+        unrecorded_debits:     { total: -sum(debits, l => l.unrecorded), lines: debits },
+        adjusted_book_balance: adjustedBook,
+        difference:            ROUND(adjustedBank - adjustedBook),
+        is_reconciled:         Math.abs(adjustedBank - adjustedBook) < 0.005,
+    };
+}
+
+module.exports = {
+    DEFAULT_RULES, SOURCE_TYPES,
+    rules, bookItems, statementLines, autoMatch, match, unmatch, report,
+};
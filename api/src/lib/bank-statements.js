@@ -0,0 +1,498 @@
+'use strict';
+
+// lib/bank-statements.js
+// Bank statement files — CSV, OFX, BAI2 and camt.053 — parsed into one shape:
+//
+//   { format, account, currency, period_start, period_end,
+//     opening_balance, closing_balance,
+//     lines: [{ line_number, date, value_date, amount, description, reference, external_id, code }] }
+//
+// Amounts are signed as the bank sees them (deposits positive) and dates are
+// YYYY-MM-DD. Balances are null when the file does not state them. A file
+// with statements for several accounts is narrowed to the one whose number
+// matches `account`. Anything unreadable is a 400 naming the line.
+//
+// Usage:
+//   const statements = require('../lib/bank-statements');
+//   const stmt = statements.parse(buffer, { account: '123456789' });
+//   const keys = statements.fingerprints(stmt.lines);
+
+const crypto = require('crypto');
+
+const FORMATS = ['csv', 'ofx', 'bai2', 'camt053'];
+const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+const ROUND = n => Math.round(n * 100) / 100;
+const bad = msg => Object.assign(new Error(msg), { status: 400 });
+
+/** The format of a statement file, from its content. */
+function detect(text) {
+    const head = text.slice(0, 4000);
+    if (/<(?:[\w.-]+:)?BkToCstmrStmt\b/.test(head) || /camt\.053/.test(head)) return 'camt053';
+    if (/OFXHEADER|<OFX>/i.test(head)) return 'ofx';
+    if (/^\s*01,/.test(head)) return 'bai2';
+    return 'csv';
+}
+
+/**
+ * Parse a statement file (Buffer or string). Options: format (detected when
+ * omitted), account (the bank account's number, to pick or check the
+ * statement), and for CSV date_format and columns ({ date: 'Posted', … }).
+ */
+function parse(content, { format = null, account = null, date_format = null, columns = null } = {}) {
+    let text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+    text = text.replace(/^\uFEFF/, '');
+    if (!text.trim()) throw bad('The statement file is empty');
+    format = format || detect(text);
+    if (!FORMATS.includes(format)) throw bad(`Unknown statement format ${format}`);
+
+    if (format === 'ofx' && /CHARSET:\s*1252/i.test(text) && Buffer.isBuffer(content)) text = content.toString('latin1');
+
+    const statements = format === 'csv'  ? [parseCsv(text, { dateFormat: date_format, columns })]
+                     : format === 'ofx'  ? parseOfx(text)
+                     : format === 'bai2' ? parseBai2(text)
+                     :                     parseCamt(text);
+
+    const stmt = pick(statements, account);
+    if (!stmt.lines.length) throw bad('The statement has no transactions');
+    stmt.lines.forEach((l, i) => { l.line_number = i + 1; });
+    const dates = stmt.lines.map(l => l.date).sort();
+    return {
+        format,
+        account:         stmt.account || null,
+        currency:        stmt.currency ? stmt.currency.toUpperCase() : null,
+        period_start:    stmt.period_start || dates[0],
+        period_end:      stmt.period_end   || dates.at(-1),
+        opening_balance: stmt.opening_balance ?? null,
+        closing_balance: stmt.closing_balance ?? null,
+        lines:           stmt.lines,
+    };
+}
+
+// The statement for `account` out of a multi-account file
+function pick(statements, account) {
+    if (!statements.length) throw bad('The file has no statements');
+    if (statements.length === 1) return statements[0];
+    const found = account && statements.filter(s => sameAccount(s.account, account));
+    if (found?.length === 1) return found[0];
+    throw bad(`The file has statements for ${statements.length} accounts (${statements.map(s => s.account).join(', ')}); `
+            + 'set the bank account\'s account_number to choose one');
+}
+
+/**
+ * Whether two account numbers are the same account: compared on letters and
+ * digits, where one may end with the other (an IBAN, or a masked number).
+ */
+function sameAccount(a, b) {
+    const norm = s => String(s || '').toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^[X*]+/, '');
+    const x = norm(a), y = norm(b);
+    if (x.length < 4 || y.length < 4) return false;
+    return x.endsWith(y) || y.endsWith(x);
+}
+
+/**
+ * A key per line for spotting lines already imported: the bank's own
+ * transaction id when it has one, otherwise a hash of the line (with a count
+ * for identical lines in the same file, so two equal fees on a day both load).
+ */
+function fingerprints(lines) {
+    const seen = new Map();
+    return lines.map(l => {
+        if (l.external_id) return `id:${l.external_id}`.slice(0, 64);
+        const key = [l.date, l.amount.toFixed(2), l.reference || '', l.description || ''].join('|');
+        const n = (seen.get(key) || 0) + 1;
+        seen.set(key, n);
+        return crypto.createHash('sha256').update(`${key}|${n}`).digest('hex');
+    });
+}
+
+// ── Shared field parsing ──────────────────────────────────────────────────────
+
+// '1,234.50', '$-12.00', '(12.00)', '12.00-' → number; '' → null
+function parseAmount(raw, where) {
+    let s = String(raw ?? '').trim();
+    if (!s) return null;
+    let neg = false;
+    if (/^\(.*\)$/.test(s)) { neg = true; s = s.slice(1, -1); }
+    if (/-$/.test(s))       { neg = true; s = s.slice(0, -1); }
+    s = s.replace(/[\s$€£,]/g, '');
+    if (s.startsWith('-'))      { neg = !neg; s = s.slice(1); }
+    else if (s.startsWith('+')) { s = s.slice(1); }
+    if (!/^\d+(\.\d+)?$|^\.\d+$/.test(s)) throw bad(`${where}: invalid amount '${raw}'`);
+    const n = parseFloat(s);
+    return neg ? -n : n;
+}
+
+function isoDate(y, m, d, raw, where) {
+    y = parseInt(y, 10); m = parseInt(m, 10); d = parseInt(d, 10);
+    if (y < 100) y += 2000;
+    const dt = new Date(Date.UTC(y, m - 1, d));
+    if (dt.getUTCFullYear() !== y || dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d)
+        throw bad(`${where}: invalid date '${raw}'`);
+    return dt.toISOString().slice(0, 10);
+}
+
+// A CSV date in `fmt`; without one, year-first dates are ISO and the rest US
+function parseDate(raw, fmt, where) {
+    const s = String(raw ?? '').trim();
+    const iso = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ].*)?$/);
+    if (iso && (!fmt || fmt === 'YYYY-MM-DD')) return isoDate(iso[1], iso[2], iso[3], raw, where);
+    const dmy = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?:[T ].*)?$/);
+    if (dmy && fmt !== 'YYYY-MM-DD') {
+        return fmt === 'DD/MM/YYYY'
+            ? isoDate(dmy[3], dmy[2], dmy[1], raw, where)
+            : isoDate(dmy[3], dmy[1], dmy[2], raw, where);
+    }
+    throw bad(`${where}: invalid date '${raw}'${fmt ? ` (expected ${fmt})` : ''}`);
+}
+
+const clip = (s, n) => {
+    const t = String(s ?? '').replace(/\s+/g, ' ').trim();
+    return t ? t.slice(0, n) : null;
+};
+
+function line({ date, value_date = null, amount, description, reference, external_id, code }) {
+    return {
+        date, value_date, amount: ROUND(amount),
+        description: clip(description, 500),
+        reference:   clip(reference, 100),
+        external_id: clip(external_id, 100),
+        code:        clip(code, 20),
+    };
+}
+
+// ── CSV ───────────────────────────────────────────────────────────────────────
+
+// Header names each field is recognised by (lower case, single spaces)
+const CSV_COLUMNS = {
+    date:        ['date', 'posting date', 'posted date', 'post date', 'transaction date', 'txn date', 'booking date'],
+    value_date:  ['value date', 'effective date'],
+    amount:      ['amount', 'transaction amount', 'amt', 'net amount'],
+    credit:      ['credit', 'credits', 'deposit', 'deposits', 'credit amount', 'money in', 'paid in'],
+    debit:       ['debit', 'debits', 'withdrawal', 'withdrawals', 'debit amount', 'money out', 'paid out'],
+    description: ['description', 'transaction description', 'details', 'narrative', 'memo', 'payee', 'name'],
+    reference:   ['reference', 'ref', 'reference number', 'check number', 'check no', 'check #', 'check',
+                  'cheque number', 'cheque no'],
+    external_id: ['id', 'transaction id', 'fitid', 'bank reference'],
+    code:        ['type', 'transaction type'],
+    balance:     ['balance', 'running balance', 'ledger balance'],
+};
+
+// Rows of fields, with quoted fields ("a, b" and "" for a quote) and the
+// delimiter (comma, semicolon or tab) that splits the header best
+function csvRows(text) {
+    const first = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const delim = [',', ';', '\t'].map(d => [d, first.split(d).length]).sort((a, b) => b[1] - a[1])[0][0];
+
+    const rows = [];
+    let row = [], field = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else field += c;
+        } else if (c === '"') quoted = true;
+        else if (c === delim) { row.push(field); field = ''; }
+        else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); rows.push(row); row = []; field = '';
+        } else field += c;
+    }
+    if (field || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(f => f.trim()));
+}
+
+function parseCsv(text, { dateFormat = null, columns = null } = {}) {
+    const rows = csvRows(text);
+    if (rows.length < 2) throw bad('The CSV file needs a header row and at least one transaction');
+    const header = rows[0].map(h => h.toLowerCase().replace(/[_\s]+/g, ' ').trim());
+
+    const col = {};
+    for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+        const given = columns?.[field];
+        const idx = given
+            ? header.indexOf(String(given).toLowerCase().replace(/[_\s]+/g, ' ').trim())
+            : names.map(n => header.indexOf(n)).find(i => i >= 0) ?? -1;
+        if (given && idx < 0) throw bad(`The CSV file has no '${given}' column`);
+        if (idx >= 0) col[field] = idx;
+    }
+    if (col.date === undefined) throw bad('The CSV file has no date column; name it with columns[date]');
+    if (col.amount === undefined && col.credit === undefined && col.debit === undefined)
+        throw bad('The CSV file has no amount (or credit and debit) column; name it with columns[amount]');
+
+    const lines = [], balances = [];
+    rows.slice(1).forEach((r, i) => {
+        const where = `Row ${i + 2}`;
+        const get = f => (col[f] === undefined ? '' : (r[col[f]] ?? '').trim());
+        let amount = col.amount !== undefined ? parseAmount(get('amount'), where) : null;
+        if (amount === null) {
+            const credit = parseAmount(get('credit'), where);
+            const debit  = parseAmount(get('debit'), where);
+            if (credit === null && debit === null) throw bad(`${where}: no amount`);
+            amount = (credit || 0) - Math.abs(debit || 0);
+        }
+        if (ROUND(amount) === 0) return;
+        lines.push(line({
+            date:        parseDate(get('date'), dateFormat, where),
+            value_date:  get('value_date') ? parseDate(get('value_date'), dateFormat, where) : null,
+            amount,
+            description: get('description'),
+            reference:   get('reference'),
+            external_id: get('external_id'),
+            code:        get('code'),
+        }));
+        balances.push(col.balance !== undefined ? parseAmount(get('balance'), where) : null);
+    });
+
+    // With a running balance the closing balance is the newest row's — the
+    // last row, or the first when the bank lists newest first
+    let closing = null;
+    if (balances.length && balances.every(b => b !== null)) {
+        const newestFirst = lines.length > 1 && lines[0].date > lines.at(-1).date;
+        closing = newestFirst ? balances[0] : balances.at(-1);
+        if (newestFirst) lines.reverse();
+    }
+    const total = lines.reduce((s, l) => s + l.amount, 0);
+    return {
+        lines,
+        closing_balance: closing === null ? null : ROUND(closing),
+        opening_balance: closing === null ? null : ROUND(closing - total),
+    };
+}
+
+// ── OFX (1.x SGML and 2.x XML) ────────────────────────────────────────────────
+
+// The text of the first <TAG> in an OFX block; SGML leaves leaf tags unclosed
+function ofxValue(block, tag) {
+    const m = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return m ? decodeXml(m[1].trim()) : null;
+}
+
+function ofxDate(raw, where) {
+    const m = String(raw || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!m) throw bad(`${where}: invalid date '${raw}'`);
+    return isoDate(m[1], m[2], m[3], raw, where);
+}
+
+function parseOfx(text) {
+    const blocks = text.split(/<STMTRS>|<CCSTMTRS>/i).slice(1);
+    if (!blocks.length) throw bad('The OFX file has no bank statement (STMTRS)');
+    return blocks.map((block, s) => {
+        const txns = [...block.matchAll(/<STMTTRN>([\s\S]*?)(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi)];
+        const lines = txns.map((m, i) => {
+            const t = m[1];
+            const where = `Transaction ${i + 1}`;
+            const name = ofxValue(t, 'NAME'), memo = ofxValue(t, 'MEMO');
+            return line({
+                date:        ofxDate(ofxValue(t, 'DTPOSTED'), where),
+                value_date:  ofxValue(t, 'DTAVAIL') ? ofxDate(ofxValue(t, 'DTAVAIL'), where) : null,
+                amount:      parseAmount((ofxValue(t, 'TRNAMT') || '').replace(/^([-+]?\d+),(\d+)$/, '$1.$2'), where),
+                description: [name, memo && memo !== name ? memo : null].filter(Boolean).join(' / '),
+                reference:   ofxValue(t, 'CHECKNUM') || ofxValue(t, 'REFNUM'),
+                external_id: ofxValue(t, 'FITID'),
+                code:        ofxValue(t, 'TRNTYPE'),
+            });
+        }).filter(l => l.amount !== 0);
+
+        const ledger = block.match(/<LEDGERBAL>([\s\S]*?)(?=<\/LEDGERBAL>|<AVAILBAL>|<\/STMTRS>|$)/i)?.[1] || '';
+        const closing = ofxValue(ledger, 'BALAMT');
+        const total   = lines.reduce((sum, l) => sum + l.amount, 0);
+        const start   = ofxValue(block, 'DTSTART'), end = ofxValue(block, 'DTEND');
+        return {
+            account:         ofxValue(block, 'ACCTID'),
+            currency:        ofxValue(block, 'CURDEF') || ofxValue(text, 'CURDEF'),
+            period_start:    start ? ofxDate(start, `Statement ${s + 1}`) : null,
+            period_end:      end ? ofxDate(end, `Statement ${s + 1}`) : null,
+            closing_balance: closing ? ROUND(parseAmount(closing, 'LEDGERBAL')) : null,
+            opening_balance: closing ? ROUND(parseAmount(closing, 'LEDGERBAL') - total) : null,
+            lines,
+        };
+    });
+}
+
+// ── BAI2 ──────────────────────────────────────────────────────────────────────
+
+// Records with 88 continuations joined on and the trailing '/' dropped
+function baiRecords(text) {
+    const records = [];
+    text.split(/\r?\n/).forEach((raw, i) => {
+        const rec = raw.trim().replace(/\/\s*$/, '');
+        if (!rec) return;
+        const fields = rec.split(',');
+        if (fields[0] === '88') {
+            if (!records.length) throw bad(`Line ${i + 1}: continuation record with nothing to continue`);
+            records.at(-1).fields.push(...fields.slice(1));
+        } else {
+            records.push({ line: i + 1, fields });
+        }
+    });
+    return records;
+}
+
+// Number of fields after a funds type code: S has three amounts, V a date and
+// time, D a count of amount/days pairs
+function baiFundsFields(fields, i) {
+    const type = (fields[i] || '').toUpperCase();
+    if (type === 'S') return 3;
+    if (type === 'V') return 2;
+    if (type === 'D') return 1 + 2 * (parseInt(fields[i + 1], 10) || 0);
+    return 0;
+}
+
+const baiDate = (raw, where) => {
+    const m = String(raw || '').trim().match(/^(\d{2})(\d{2})(\d{2})$/);
+    if (!m) throw bad(`${where}: invalid date '${raw}'`);
+    return isoDate(m[1], m[2], m[3], raw, where);
+};
+
+// Amounts are in cents, without a decimal point
+const baiAmount = (raw, where) => {
+    const s = String(raw || '').trim();
+    if (!s) return null;
+    if (!/^[-+]?\d+$/.test(s)) throw bad(`${where}: invalid amount '${raw}'`);
+    return parseInt(s, 10) / 100;
+};
+
+function parseBai2(text) {
+    const statements = [];
+    let asOf = null, groupCurrency = null, stmt = null;
+    for (const { line: n, fields: f } of baiRecords(text)) {
+        const where = `Line ${n}`;
+        switch (f[0]) {
+        case '01': case '98': case '99': break;
+        case '02':
+            asOf = baiDate(f[4], where);
+            groupCurrency = f[6] || null;
+            break;
+        case '03': {
+            if (!asOf) throw bad(`${where}: account record outside a group (02)`);
+            stmt = { account: f[1], currency: f[2] || groupCurrency, period_start: asOf, period_end: asOf,
+                     opening_balance: null, closing_balance: null, lines: [] };
+            statements.push(stmt);
+            // Summary and status items: type code, amount, item count, funds type [, …]
+            for (let i = 3; i + 1 < f.length;) {
+                const code = f[i], amount = baiAmount(f[i + 1], where);
+                if (code === '010' && amount !== null) stmt.opening_balance = amount;
+                if (code === '015' && amount !== null) stmt.closing_balance = amount;
+                i += 4;
+                i += baiFundsFields(f, i - 1);
+            }
+            break;
+        }
+        case '16': {
+            if (!stmt) throw bad(`${where}: transaction record outside an account (03)`);
+            const code = parseInt(f[1], 10);
+            if (!(code >= 100 && code < 700)) throw bad(`${where}: unknown transaction type code '${f[1]}'`);
+            const amount = baiAmount(f[2], where);
+            let i = 4, valueDate = null;
+            if ((f[3] || '').toUpperCase() === 'V' && f[4]) valueDate = baiDate(f[4], where);
+            i += baiFundsFields(f, 3);
+            if (!amount) break;
+            stmt.lines.push(line({
+                date:        asOf,
+                value_date:  valueDate,
+                amount:      code < 400 ? amount : -amount,
+                reference:   f[i + 1] || f[i],
+                external_id: f[i] ? `${asOf}:${f[i]}` : null,
+                description: f.slice(i + 2).join(','),
+                code:        f[1],
+            }));
+            break;
+        }
+        case '49': stmt = null; break;
+        default: throw bad(`${where}: unknown record type '${f[0]}'`);
+        }
+    }
+    return statements;
+}
+
+// ── camt.053 (ISO 20022) ──────────────────────────────────────────────────────
+
+function decodeXml(s) {
+    return String(s)
+        .replace(/&#x([0-9a-f]+);/gi, (m, h) => String.fromCodePoint(parseInt(h, 16)))
+        .replace(/&#(\d+);/g, (m, d) => String.fromCodePoint(parseInt(d, 10)))
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Inner XML of every <tag> (any namespace prefix); elements the schema never
+// nests in themselves only
+function xmlAll(xml, tag) {
+    const re = new RegExp(`<(?:[\\w.-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w.-]+:)?${tag}>`, 'g');
+    return [...String(xml || '').matchAll(re)].map(m => m[1]);
+}
+
+// Text of the first element along a path, e.g. xmlText(ntry, 'BookgDt', 'Dt')
+function xmlText(xml, ...path) {
+    let cur = xml;
+    for (const tag of path) {
+        cur = xmlAll(cur, tag)[0];
+        if (cur === undefined) return null;
+    }
+    const t = decodeXml(cur.replace(/<[^>]+>/g, '')).trim();
+    return t || null;
+}
+
+function camtDate(raw, where) {
+    const m = String(raw || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!m) throw bad(`${where}: invalid date '${raw}'`);
+    return isoDate(m[1], m[2], m[3], raw, where);
+}
+
+function camtAmount(xml, where) {
+    const amount = parseAmount(xmlText(xml, 'Amt'), where);
+    if (amount === null) throw bad(`${where}: no amount`);
+    const debit = xmlText(xml, 'CdtDbtInd') === 'DBIT';
+    return debit ? -amount : amount;
+}
+
+function parseCamt(text) {
+    const stmts = xmlAll(text, 'Stmt');
+    if (!stmts.length) throw bad('The camt.053 file has no statement (Stmt)');
+    return stmts.map((s, si) => {
+        const acct = xmlAll(s, 'Acct')[0] || '';
+        const balance = codes => {
+            const b = xmlAll(s, 'Bal').find(x => codes.includes(xmlText(x, 'Tp', 'CdOrPrtry', 'Cd')));
+            return b ? ROUND(camtAmount(b, `Statement ${si + 1} balance`)) : null;
+        };
+        const period = xmlAll(s, 'FrToDt')[0];
+
+        const lines = [];
+        xmlAll(s, 'Ntry').forEach((e, i) => {
+            const where = `Entry ${i + 1}`;
+            const status = xmlText(e, 'Sts');
+            if (status && !/BOOK/.test(status)) return;        // pending / information only
+            const amount = camtAmount(e, where);    // a reversal's CdtDbtInd is already its own direction
+            const tx = xmlAll(e, 'TxDtls')[0] || '';
+            const e2e = xmlText(tx, 'Refs', 'EndToEndId');
+            const party = amount > 0 ? xmlText(tx, 'RltdPties', 'Dbtr', 'Nm') : xmlText(tx, 'RltdPties', 'Cdtr', 'Nm');
+            const remittance = xmlAll(tx, 'Ustrd').map(u => decodeXml(u).trim()).join(' ')
+                            || xmlText(tx, 'CdtrRefInf', 'Ref');
+            lines.push(line({
+                date:        camtDate(xmlText(e, 'BookgDt', 'Dt') || xmlText(e, 'BookgDt', 'DtTm'), where),
+                value_date:  xmlText(e, 'ValDt') ? camtDate(xmlText(e, 'ValDt'), where) : null,
+                amount,
+                description: [party, remittance, xmlText(e, 'AddtlNtryInf')].filter(Boolean).join(' / '),
+                reference:   xmlText(tx, 'Refs', 'ChqNb')
+                          || (e2e && e2e !== 'NOTPROVIDED' ? e2e : null)
+                          || xmlText(e, 'NtryRef'),
+                external_id: xmlText(e, 'AcctSvcrRef'),
+                code:        xmlText(e, 'BkTxCd', 'Domn', 'Cd') || xmlText(e, 'BkTxCd', 'Prtry', 'Cd'),
+            }));
+        });
+
+        return {
+            account:         xmlText(acct, 'IBAN') || xmlText(acct, 'Othr', 'Id'),
+            currency:        xmlText(acct, 'Ccy') || (s.match(/<(?:[\w.-]+:)?Amt\s+Ccy="([A-Z]{3})"/) || [])[1] || null,
+            period_start:    period ? camtDate(xmlText(period, 'FrDtTm'), `Statement ${si + 1}`) : null,
+            period_end:      period ? camtDate(xmlText(period, 'ToDtTm'), `Statement ${si + 1}`) : null,
+            opening_balance: balance(['OPBD', 'PRCD']),
+            closing_balance: balance(['CLBD']),
+            lines,
+        };
+    });
+}
+
+module.exports = { FORMATS, DATE_FORMATS, detect, parse, sameAccount, fingerprints, csvRows, parseDate };
@@ -0,0 +1,138 @@
+'use strict';
+
+// lib/bins.js
+// Bin-level stock helpers. Bin on-hand is never stored — it is the sum of
+// stock_ledger rows per bin_id (view v_stock_by_bin); bin_id NULL is stock that
+// has arrived in the warehouse but has not been put away.
+//
+// Outbound movements call split() to decide which bins the quantity leaves from,
+// then write one ledger row per bin.
+//
+// Usage:
+//   const bins = require('../lib/bins');
+//   for (const b of await bins.split(client, { itemId, warehouseId, lotNumber, qty })) {
+//       INSERT INTO stock_ledger (..., qty, bin_id) VALUES (..., -b.qty, b.bin_id)
+//   }
+
+const { z } = require('zod');
+
+const PutawaySchema = z.array(z.object({
+    line_id: z.string().uuid(),
+    bin_id:  z.string().uuid(),
+})).default([]);
+
+const fail = (msg, status = 400) => Object.assign(new Error(msg), { status });
+
+/** ORDER BY fragment for the picker's walking path (alias b = bins). */
+const WALK_ORDER = 'b.pick_sequence, b.zone, b.aisle NULLS FIRST, b.shelf NULLS FIRST, b.code';
+
+/** Validate a request's `putaway: [{ line_id, bin_id }]` and index by line id. */
+function parsePutaway(raw) {
+    const result = PutawaySchema.safeParse(raw);
+    if (!result.success) {
+        const issue = result.error.issues[0];
+        throw fail(`Invalid putaway: ${['putaway', ...issue.path].join('.')} ${issue.message}`);
+    }
+    return new Map(result.data.map(p => [p.line_id, p.bin_id]));
+}
+
+/** Load an active bin and check it belongs to the warehouse. */
+async function assertBin(client, binId, warehouseId) {
+    const { rows: [bin] } = await client.query(
+        `SELECT * FROM bins WHERE id = $1`, [binId]
+    );
+    if (!bin || !bin.is_active) throw fail(`Bin ${binId} not found or inactive`, 404);
+    if (bin.warehouse_id !== warehouseId)
+        throw fail(`Bin ${bin.code} is not in the movement's warehouse`);
+    return bin;
+}
+
+/** Bins holding an item (optionally one lot) in a warehouse, walking-path order. */
+async function stockedBins(client, { itemId, warehouseId, lotNumber }) {
+    const params = [itemId, warehouseId];
+    let lotCond  = '';
+    if (lotNumber !== undefined) {
+        params.push(lotNumber);
+        lotCond = `AND sl.lot_number IS NOT DISTINCT FROM $3`;
+    }
+    const { rows } = await client.query(
+        `SELECT b.id AS bin_id, b.code AS bin_code, SUM(sl.qty) AS qty
+         FROM   stock_ledger sl
+         JOIN   bins b ON b.id = sl.bin_id
+         WHERE  sl.item_id = $1 AND sl.warehouse_id = $2 ${lotCond}
+         GROUP  BY b.id, b.code, b.pick_sequence, b.zone, b.aisle, b.shelf
+         HAVING SUM(sl.qty) > 0
+         ORDER  BY ${WALK_ORDER}`, params
+    );
+    return rows.map(r => ({ ...r, qty: parseFloat(r.qty) }));
+}
+
+/**
+ * Split an outbound quantity across bins: preferred bins first (e.g. the bin a
+ * picker confirmed), then walking-path order, then unassigned stock (bin_id null).
+ */
+async function split(client, { itemId, warehouseId, lotNumber = null, qty, preferBinIds = [] }) {
+    const stocked = await stockedBins(client, { itemId, warehouseId, lotNumber });
+    const rank    = id => (preferBinIds.includes(id) ? preferBinIds.indexOf(id) : preferBinIds.length);
+    stocked.sort((a, b) => rank(a.bin_id) - rank(b.bin_id));
+
+    const out = [];
+    let left  = parseFloat(qty);
+    for (const bin of stocked) {
+        if (left <= 0) break;
+        const take = Math.min(left, bin.qty);
+        out.push({ bin_id: bin.bin_id, qty: take });
+        left -= take;
+    }
+    if (left > 0) out.push({ bin_id: null, qty: left });
+    return out;
+}
+
+/** Bins the pick lists for a sales order line sent the picker to, newest first. */
+async function pickedBinIds(client, salesOrderLineId) {
+    const { rows } = await client.query(
+        `SELECT pll.bin_id
+         FROM   pick_list_lines pll
+         JOIN   pick_lists pl ON pl.id = pll.pick_list_id
+         WHERE  pll.sales_order_line_id = $1 AND pll.bin_id IS NOT NULL
+         ORDER  BY pl.created_at DESC`, [salesOrderLineId]
+    );
+    return [...new Set(rows.map(r => r.bin_id))];
+}
+
+/**
+ * Where to put an arriving item: bins that already hold it, then bins it has
+ * lived in before, then empty storage bins — each group in walking-path order.
+ */
+async function suggestPutaway(client, { itemId, warehouseId, limit = 3 }) {
+    const { rows } = await client.query(
+        `WITH bin_stock AS (
+             SELECT sl.bin_id,
+                    SUM(sl.qty) FILTER (WHERE sl.item_id = $1) AS item_qty,
+                    BOOL_OR(sl.item_id = $1)                   AS held_item,
+                    SUM(sl.qty)                                AS total_qty
+             FROM   stock_ledger sl
+             WHERE  sl.warehouse_id = $2 AND sl.bin_id IS NOT NULL
+             GROUP  BY sl.bin_id
+         )
+         SELECT b.id AS bin_id, b.code AS bin_code, b.zone, b.aisle, b.shelf,
+                CASE WHEN COALESCE(s.item_qty, 0) > 0       THEN 'holds_item'
+                     WHEN COALESCE(s.held_item, false)      THEN 'previously_held'
+                     ELSE 'empty' END AS reason,
+                COALESCE(s.item_qty, 0) AS qty_on_hand
+         FROM   bins b
+         LEFT JOIN bin_stock s ON s.bin_id = b.id
+         WHERE  b.warehouse_id = $2 AND b.is_active = true AND b.bin_type = 'storage'
+           AND (COALESCE(s.item_qty, 0) > 0 OR COALESCE(s.held_item, false)
+                OR COALESCE(s.total_qty, 0) = 0)
+         ORDER  BY CASE WHEN COALESCE(s.item_qty, 0) > 0 THEN 0
+                        WHEN COALESCE(s.held_item, false) AND COALESCE(s.total_qty, 0) = 0 THEN 1
+                        WHEN COALESCE(s.held_item, false) THEN 2
+                        ELSE 3 END,
+                ${WALK_ORDER}
+         LIMIT  $3`, [itemId, warehouseId, limit]
+    );
+    return rows;
+}
+
+module.exports = { WALK_ORDER, parsePutaway, assertBin, stockedBins, split, pickedBinIds, suggestPutaway };
@@ -0,0 +1,269 @@
+'use strict';
+
+// lib/costing.js
+// Inventory costing per items.cost_method.
+//
+//   fifo — every costed arrival opens a layer (cost_layers); outbound movements
+//          consume the oldest open layers in the warehouse and go out at their cost.
+//   avg  — arrivals fold into the moving weighted average held in
+//          items.standard_cost; outbound movements go out at that average.
+//
+// Call these BEFORE writing the matching stock_ledger rows (the moving average
+// is computed from the on-hand quantity prior to the arrival), then stamp the
+// ledger's cost_per_unit with the unit cost returned.
+//
+// Usage:
+//   const costing = require('../lib/costing');
+//   const out = await costing.consume(client, { itemId, warehouseId, lotNumber, qty,
+//                                               consumerType: 'shipment', consumerId: shp.id });
+//   INSERT INTO stock_ledger (..., qty, cost_per_unit) VALUES (..., -qty, out.unitCost)
+
+const round4 = n => Math.round(n * 10000) / 10000;
+
+async function lockItem(client, itemId) {
+    const { rows: [item] } = await client.query(
+        `SELECT id, code, cost_method, standard_cost FROM items WHERE id = $1 FOR UPDATE`, [itemId]
+    );
+    if (!item) throw Object.assign(new Error(`Item ${itemId} not found`), { status: 404 });
+    return item;
+}
+
+/** Cost method new items get when none is given: the company's costing_method setting. */
+async function defaultMethod(client, companyId) {
+    if (!companyId) return 'avg';
+    const { rows: [cs] } = await client.query(
+        `SELECT costing_method FROM company_settings WHERE company_id = $1`, [companyId]
+    );
+    return cs && cs.costing_method === 'fifo' ? 'fifo' : 'avg';
+}
+
+/**
+ * Open a FIFO layer. Transfers call this directly to carry consumed layers
+ * across, passing originLayerId so the stock stays traceable to its receipt.
+ */
+async function addLayer(client, {
+    itemId, warehouseId, lotNumber = null, qty, unitCost, date, sourceType, sourceId = null, originLayerId = null,
+}) {
+    const { rows: [layer] } = await client.query(
+        `INSERT INTO cost_layers
+            (item_id, warehouse_id, lot_number, layer_date, source_type, source_id,
+             qty_in, qty_remaining, unit_cost, origin_layer_id)
+         VALUES ($1,$2,$3,COALESCE($4, CURRENT_DATE),$5,$6,$7,$7,$8,$9) RETURNING *`,
+        [itemId, warehouseId, lotNumber, date || null, sourceType, sourceId, qty, round4(unitCost),
+         originLayerId]
+    );
+    return layer;
+}
+
+/**
+ * Stock arriving at a known unit cost (receipt, count gain, customer return).
+ * Returns the item's cost method.
+ */
+async function receive(client, { itemId, warehouseId, lotNumber = null, qty, unitCost, date, sourceType, sourceId }) {
+    qty = parseFloat(qty);
+    unitCost = parseFloat(unitCost);
+    const item = await lockItem(client, itemId);
+    if (qty <= 0) return item.cost_method;
+
+    if (item.cost_method === 'fifo') {
+        await addLayer(client, { itemId, warehouseId, lotNumber, qty, unitCost, date, sourceType, sourceId });
+        return item.cost_method;
+    }
+
+    const { rows: [{ on_hand }] } = await client.query(
+        `SELECT COALESCE(SUM(qty), 0) AS on_hand FROM stock_ledger WHERE item_id = $1`, [itemId]
+    );
+    const prevQty  = Math.max(0, parseFloat(on_hand));
+    const prevCost = parseFloat(item.standard_cost);
+    const newAvg   = prevQty + qty > 0
+        ? ((prevQty * prevCost) + (qty * unitCost)) / (prevQty + qty)
+        : unitCost;
+    await client.query(
+        `UPDATE items SET standard_cost = $1, updated_at = NOW() WHERE id = $2`,
+        [round4(newAvg), itemId]
+    );
+    return item.cost_method;
+}
+
+// Open layers in the order consume() draws them; `source` ({ type, id })
+// keeps to the layers one document opened
+async function openLayers(db, { itemId, warehouseId, lotNumber, source = null, forUpdate = false }) {
+    const params = [itemId, warehouseId, lotNumber];
+    const conds  = ['item_id = $1', 'warehouse_id = $2', 'qty_remaining > 0'];
+    if (source) {
+        params.push(source.type, source.id);
+        conds.push(`source_type = $4 AND source_id = $5`);
+    }
+    const { rows } = await db.query(
+        `SELECT id, qty_remaining, unit_cost, layer_date, COALESCE(origin_layer_id, id) AS origin_layer_id
+         FROM   cost_layers
+         WHERE  ${conds.join(' AND ')}
+         ORDER  BY (lot_number IS NOT DISTINCT FROM $3) DESC, layer_date, created_at
+         ${forUpdate ? 'FOR UPDATE' : ''}`, params
+    );
+    return rows;
+}
+
+/**
+ * Stock leaving a warehouse. FIFO items draw open layers oldest first — the
+ * moving lot's layers ahead of any others — and anything not covered by a
+ * layer goes out at standard cost. `source` ({ type, id }) draws only the
+ * layers that document opened: a transfer's stock in the shared transit
+ * warehouse. Returns
+ * { qty, cost, unitCost, pieces: [{ layer_id, origin_layer_id, qty, unit_cost, layer_date }] }.
+ */
+async function consume(client, {
+    itemId, warehouseId, lotNumber = null, qty, consumerType, consumerId = null, source = null,
+}) {
+    qty = parseFloat(qty);
+    const item = await lockItem(client, itemId);
+    const std  = parseFloat(item.standard_cost);
+
+    if (item.cost_method !== 'fifo') {
+        return { qty, cost: round4(qty * std), unitCost: std,
+                 pieces: [{ layer_id: null, qty, unit_cost: std, layer_date: null }] };
+    }
+
+    const layers = await openLayers(client, { itemId, warehouseId, lotNumber, source, forUpdate: true });
+
+    const pieces = [];
+    let left = qty;
+    for (const layer of layers) {
+        if (left <= 0) break;
+        const take = Math.min(left, parseFloat(layer.qty_remaining));
+        await client.query(
+            `UPDATE cost_layers SET qty_remaining = qty_remaining - $1 WHERE id = $2`, [take, layer.id]
+        );
+        await client.query(
+            `INSERT INTO cost_layer_consumptions (layer_id, consumer_type, consumer_id, qty, unit_cost)
+             VALUES ($1,$2,$3,$4,$5)`,
+            [layer.id, consumerType, consumerId, take, layer.unit_cost]
+        );
+        pieces.push({ layer_id: layer.id, origin_layer_id: layer.origin_layer_id, qty: take,
+                      unit_cost: parseFloat(layer.unit_cost), layer_date: layer.layer_date });
+        left = round4(left - take);
+    }
+    if (left > 0) pieces.push({ layer_id: null, qty: left, unit_cost: std, layer_date: null });
+
+    const cost = round4(pieces.reduce((s, p) => s + p.qty * p.unit_cost, 0));
+    return { qty, cost, unitCost: qty > 0 ? round4(cost / qty) : std, pieces };
+}
+
+/**
+ * What consume() would charge for the same stock leaving now, without
+ * consuming anything: { qty, cost, unitCost }.
+ */
+async function quote(db, { itemId, warehouseId, lotNumber = null, qty, source = null }) {
+    qty = parseFloat(qty);
+    const { rows: [item] } = await db.query(
+        `SELECT cost_method, standard_cost FROM items WHERE id = $1`, [itemId]
+    );
+    if (!item) throw Object.assign(new Error(`Item ${itemId} not found`), { status: 404 });
+    const std = parseFloat(item.standard_cost);
+    if (item.cost_method !== 'fifo') return { qty, cost: round4(qty * std), unitCost: std };
+
+    let left = qty, cost = 0;
+    for (const layer of await openLayers(db, { itemId, warehouseId, lotNumber, source })) {
+        if (left <= 0) break;
+        const take = Math.min(left, parseFloat(layer.qty_remaining));
+        cost += take * parseFloat(layer.unit_cost);
+        left  = round4(left - take);
+    }
+    if (left > 0) cost += left * std;
+    cost = round4(cost);
+    return { qty, cost, unitCost: qty > 0 ? round4(cost / qty) : std };
+}
+
+/**
+ * Add a cost that arrived after the stock did (landed cost) to the units of one
+ * receipt. FIFO items raise the unit cost of that receipt's layers wherever they
+ * now sit; average-cost items raise the moving average. The share belonging to
+ * units no longer on hand cannot be capitalized and is returned as expensed.
+ * Returns { capitalized, expensed, oldCost, newCost } (standard_cost before/after).
+ */
+async function revalue(client, { itemId, sourceType, sourceId, lotNumber, qty, amount }) {
+    qty = parseFloat(qty);
+    amount = parseFloat(amount);
+    const item    = await lockItem(client, itemId);
+    const oldCost = parseFloat(item.standard_cost);
+    const perUnit = qty > 0 ? amount / qty : 0;
+    let onHandShare;
+
+    if (item.cost_method === 'fifo') {
+        const { rows: layers } = await client.query(
+            `SELECT cl.id, cl.qty_remaining
+             FROM   cost_layers cl
+             JOIN   cost_layers src ON src.id = COALESCE(cl.origin_layer_id, cl.id)
+             WHERE  src.item_id = $1 AND src.source_type = $2 AND src.source_id = $3
+               AND  src.lot_number IS NOT DISTINCT FROM $4 AND cl.qty_remaining > 0
+             FOR UPDATE OF cl`, [itemId, sourceType, sourceId, lotNumber || null]
+        );
+        onHandShare = 0;
+        for (const layer of layers) {
+            const q = Math.min(parseFloat(layer.qty_remaining), qty - onHandShare);
+            if (q <= 0) break;
+            onHandShare += q;
+            await client.query(
+                `UPDATE cost_layers SET unit_cost = unit_cost + $1 WHERE id = $2`, [round4(perUnit), layer.id]
+            );
+        }
+        // Standard cost follows the open layers so fallbacks and reports see the new cost
+        const { rows: [v] } = await client.query(
+            `SELECT SUM(qty_remaining) AS qty, SUM(qty_remaining * unit_cost) AS value
+             FROM   cost_layers WHERE item_id = $1 AND qty_remaining > 0`, [itemId]
+        );
+        const newCost = v.qty && parseFloat(v.qty) > 0 ? round4(parseFloat(v.value) / parseFloat(v.qty)) : oldCost;
+        await client.query(`UPDATE items SET standard_cost = $1, updated_at = NOW() WHERE id = $2`, [newCost, itemId]);
+        const capitalized = round4(onHandShare * perUnit);
+        return { capitalized, expensed: round4(amount - capitalized), oldCost, newCost };
+    }
+
+    const { rows: [{ on_hand }] } = await client.query(
+        `SELECT COALESCE(SUM(qty), 0) AS on_hand FROM stock_ledger WHERE item_id = $1`, [itemId]
+    );
+    const onHand = Math.max(0, parseFloat(on_hand));
+    onHandShare  = Math.min(qty, onHand);
+    const capitalized = round4(onHandShare * perUnit);
+    const newCost = onHand > 0 ? round4(oldCost + capitalized / onHand) : oldCost;
+    await client.query(`UPDATE items SET standard_cost = $1, updated_at = NOW() WHERE id = $2`, [newCost, itemId]);
+    return { capitalized, expensed: round4(amount - capitalized), oldCost, newCost };
+}
+
+/**
+ * Re-base an item's layers when its cost_method changes. Switching to fifo
+ * opens one layer per warehouse/lot for the stock on hand at the current
+ * average; switching to avg sets the average from the open layers.
+ */
+async function changeMethod(client, itemId, method) {
+    const item = await lockItem(client, itemId);
+    if (method === 'avg') {
+        const { rows: [v] } = await client.query(
+            `SELECT SUM(qty_remaining) AS qty, SUM(qty_remaining * unit_cost) AS value
+             FROM   cost_layers WHERE item_id = $1 AND qty_remaining > 0`, [itemId]
+        );
+        if (v.qty && parseFloat(v.qty) > 0)
+            await client.query(
+                `UPDATE items SET standard_cost = $1, updated_at = NOW() WHERE id = $2`,
+                [round4(parseFloat(v.value) / parseFloat(v.qty)), itemId]
+            );
+    }
+    // Either way the old layers no longer describe the stock
+    await client.query(
+        `UPDATE cost_layers SET qty_remaining = 0 WHERE item_id = $1 AND qty_remaining > 0`, [itemId]
+    );
+    if (method === 'fifo') {
+        const { rows } = await client.query(
+            `SELECT warehouse_id, lot_number, SUM(qty) AS qty
+             FROM   stock_ledger WHERE item_id = $1
+             GROUP  BY warehouse_id, lot_number
+             HAVING SUM(qty) > 0`, [itemId]
+        );
+        for (const r of rows)
+            await addLayer(client, {
+                itemId, warehouseId: r.warehouse_id, lotNumber: r.lot_number, qty: parseFloat(r.qty),
+                unitCost: parseFloat(item.standard_cost), sourceType: 'opening',
+            });
+    }
+}
+
+module.exports = { defaultMethod, addLayer, receive, consume, quote, revalue, changeMethod };
@@ -0,0 +1,123 @@
+'use strict';
+
+// lib/credit.js
+// Customer credit — what a customer owes and has on order, measured against
+// their credit limit and the company's overdue threshold.
+//
+// Exposure = open AR net of unapplied credit memos
+//          + the unshipped value, with tax, of their confirmed orders
+//          + the order being checked.
+// Every figure is in the company's base currency, like credit_limit:
+// invoices and credit memos at the rate they were booked at, orders (which
+// carry no rate of their own) at today's rate for their currency.
+// A credit_limit of 0 means no limit. Overdue: any open invoice more than
+// `credit_overdue_days` (company_preferences, default 30) past its due date.
+//
+// Usage:
+//   const credit = require('../lib/credit');
+//   const check = await credit.checkOrder(client, order);
+//   if (check.hold) ...            // check.reasons: ['credit_limit', 'overdue']
+
+const fx = require('./fx');
+
+const DEFAULT_OVERDUE_DAYS = 30;
+
+const num   = n => parseFloat(n) || 0;
+const cents = n => Math.round(num(n) * 100) / 100;
+
+/** The company's overdue threshold in days, or null when the overdue check is off. */
+async function overdueDays(client) {
+    const { rows: [pref] } = await client.query(
+        `SELECT value FROM company_preferences WHERE key = 'credit_overdue_days'`
+    );
+    if (!pref) return DEFAULT_OVERDUE_DAYS;
+    const days = parseInt(pref.value, 10);
+    return Number.isInteger(days) && days >= 0 ? days : null;
+}
+
+/**
+ * A customer's credit position. `excludeOrderId` leaves one order out of the
+ * open-orders figure (the order being checked, when it is already confirmed).
+ */
+async function position(client, customerId, { excludeOrderId = null } = {}) {
+    const days = await overdueDays(client);
+    const { rows: [row] } = await client.query(
+        `SELECT p.credit_limit,
+                (SELECT COALESCE(SUM(si.balance_due * COALESCE(si.exchange_rate, 1)), 0) FROM sales_invoices si
+                 WHERE  si.customer_id = p.id AND si.status NOT IN ('paid','void') AND si.balance_due > 0)
+              - (SELECT COALESCE(SUM(cm.balance * COALESCE(cm.exchange_rate, 1)), 0) FROM credit_memos cm
+                 WHERE  cm.customer_id = p.id AND cm.status IN ('open','partially_applied')) AS open_ar,
+                (SELECT COALESCE(SUM(si.balance_due * COALESCE(si.exchange_rate, 1)), 0) FROM sales_invoices si
+                 WHERE  si.customer_id = p.id AND si.status NOT IN ('paid','void') AND si.balance_due > 0
+                   AND  $2::int IS NOT NULL AND si.due_date < CURRENT_DATE - $2::int) AS overdue_balance,
+                (SELECT MAX(CURRENT_DATE - si.due_date) FROM sales_invoices si
+                 WHERE  si.customer_id = p.id AND si.status NOT IN ('paid','void') AND si.balance_due > 0
+                   AND  si.due_date < CURRENT_DATE) AS oldest_overdue_days
+         FROM   parties p
+         WHERE  p.id = $1`,
+        [customerId, days]
+    );
+    if (!row) throw Object.assign(new Error('Customer not found'), { status: 404 });
+
+    const { rows: orders } = await client.query(
+        `SELECT so.currency,
+                SUM(GREATEST(sol.qty_ordered - sol.qty_shipped, 0)
+                    * sol.unit_price * (1 - sol.discount_pct) * (1 + so.tax_rate)) AS amount
+         FROM   sales_orders so
+         JOIN   sales_order_lines sol ON sol.sales_order_id = so.id AND sol.status <> 'cancelled'
+         WHERE  so.customer_id = $1
+           AND  so.status IN ('confirmed','partially_shipped')
+           AND  so.id IS DISTINCT FROM $2
+         GROUP  BY so.currency`,
+        [customerId, excludeOrderId]
+    );
+    let openOrders = 0;
+    for (const o of orders) openOrders += fx.toBase(o.amount, await fx.rateOn(client, o.currency));
+
+    const openAr = cents(row.open_ar);
+    openOrders   = cents(openOrders);
+    return {
+        customer_id:         customerId,
+        credit_limit:        num(row.credit_limit),
+        open_ar:             openAr,
+        open_orders:         openOrders,
+        exposure:            cents(openAr + openOrders),
+        overdue_days:        days,
+        overdue_balance:     cents(row.overdue_balance),
+        oldest_overdue_days: row.oldest_overdue_days === null ? null : parseInt(row.oldest_overdue_days, 10),
+    };
+}
+
+/**
+ * Whether confirming `order` (a sales_orders row) keeps its customer within
+ * terms. Returns the position with this order added (order_total in base
+ * currency), plus { hold, reasons, available_credit }.
+ */
+async function checkOrder(client, order) {
+    const pos         = await position(client, order.customer_id, { excludeOrderId: order.id });
+    const orderTotal  = fx.toBase(order.total, await fx.rateOn(client, order.currency));
+    const exposure    = cents(pos.exposure + orderTotal);
+    const reasons     = [];
+    if (pos.credit_limit > 0 && exposure > pos.credit_limit) reasons.push('credit_limit');
+    if (pos.overdue_balance > 0) reasons.push('overdue');
+    return {
+        ...pos,
+        order_total:      orderTotal,
+        exposure,
+        available_credit: pos.credit_limit > 0 ? cents(pos.credit_limit - exposure) : null,
+        reasons,
+        hold:             reasons.length > 0,
+    };
+}
+
+/** One-line reason for a hold, for errors and the audit log. */
+function describe(check) {
+    const parts = [];
+    if (check.reasons.includes('credit_limit'))
+        parts.push(`exposure ${check.exposure.toFixed(2)} exceeds credit limit ${check.credit_limit.toFixed(2)}`);
+    if (check.reasons.includes('overdue'))
+        parts.push(`${check.overdue_balance.toFixed(2)} more than ${check.overdue_days} days overdue`);
+    return parts.join('; ');
+}
+
+module.exports = { DEFAULT_OVERDUE_DAYS, overdueDays, position, checkOrder, describe };
@@ -0,0 +1,451 @@
+'use strict';
+
+// lib/cycle-counts.js
+// Cycle counting — counting a few items a day, the valuable ones most often,
+// instead of the whole warehouse once a year.
+//
+// ABC classification ranks items by sales value over the last `days` (what
+// they shipped at their sale price — the data behind /api/analytics/top-items).
+// An item is A while the items ranked above it make up less than A's
+// value_pct of the total, then B below B's, then C; items that sold nothing
+// are C. Each class is counted every count_interval_days. Companies set their
+// own classes in cycle_count_classes; without any, DEFAULT_CLASSES apply.
+//
+// A schedule run turns the items of a warehouse that are due — never
+// counted, or last counted a class interval ago — into one count per day,
+// A items first. A count then goes:
+//   scheduled    the items to count
+//   in_progress  started: the quantity on hand of each item (each lot of a
+//                lot-tracked item) is frozen as qty_expected; counters record
+//                what they find without seeing it (sheet() hides it)
+//   counted      every line counted; variances are visible
+//   closed       approved: the approved variances are posted as one stock
+//                adjustment (qty_system = the frozen quantity), each line
+//                with a reason code; approving the count approves the
+//                adjustment. Rejected lines post nothing and leave the item
+//                due for a recount.
+//
+// Usage:
+//   const cycleCounts = require('../lib/cycle-counts');
+//   await cycleCounts.classify(client, { days: 365 });
+//   const counts = await cycleCounts.schedule(client, { warehouseId, from, days: 5, itemsPerCount: 20 });
+//   await cycleCounts.start(client, count, { userId });
+
+const adjustments = require('./adjustments');
+const numbering   = require('./numbering');
+const periods     = require('./periods');
+
+/** Used when a company has no cycle_count_classes rows. */
+const DEFAULT_CLASSES = [
+    { abc_class: 'A', value_pct: 80,  count_interval_days: 30 },
+    { abc_class: 'B', value_pct: 95,  count_interval_days: 90 },
+    { abc_class: 'C', value_pct: 100, count_interval_days: 180 },
+];
+
+// Statuses a count can be worked on in; an item on one is not scheduled again
+const OPEN = ['scheduled', 'in_progress', 'counted'];
+// Statuses whose expected quantities counters must not see
+const BLIND = ['scheduled', 'in_progress'];
+
+const num   = n => parseFloat(n) || 0;
+const fail  = (message, status = 400) => Object.assign(new Error(message), { status });
+const today = () => new Date().toISOString().slice(0, 10);
+
+// ── ABC classification ────────────────────────────────────────────────────────
+
+/** The company's classes, or the defaults. */
+async function classes(db) {
+    const { rows } = await db.query(
+        `SELECT abc_class, value_pct::float AS value_pct, count_interval_days, updated_by, updated_at
+         FROM   cycle_count_classes ORDER BY abc_class`
+    );
+    return rows.length
+        ? { is_default: false, classes: rows }
+        : { is_default: true,  classes: DEFAULT_CLASSES };
+}
+
+/**
+ * Class every active item by its sales value over the last `days`. Returns
+ * { days, total_value, summary: { A, B, C }, items } with each item's value,
+ * cumulative share and class.
+ */
+async function classify(client, { days = 365 } = {}) {
+    const { classes: cls } = await classes(client);
+    const { rows } = await client.query(
+        `SELECT i.id, i.code, i.name,
+                COALESCE(SUM(ABS(sl.qty) * i.sale_price), 0)::NUMERIC(14,2) AS sales_value
+         FROM   items i
+         LEFT JOIN stock_ledger sl ON sl.item_id = i.id
+                                  AND sl.transaction_type = 'shipment'
+                                  AND sl.qty < 0
+                                  AND sl.posting_date >= CURRENT_DATE - $1::int
+         WHERE  i.is_active
+         GROUP  BY i.id, i.code, i.name
+         ORDER  BY sales_value DESC, i.code`,
+        [days]
+    );
+
+    const total   = rows.reduce((s, r) => s + num(r.sales_value), 0);
+    const summary = { A: 0, B: 0, C: 0 };
+    let before = 0;
+    const items = rows.map(r => {
+        const value = num(r.sales_value);
+        const share = total > 0 ? before / total * 100 : 100;
+        const abc   = value > 0 ? (cls.find(c => share < c.value_pct) || cls[cls.length - 1]).abc_class : 'C';
+        before += value;
+        summary[abc]++;
+        return {
+            item_id: r.id, item_code: r.code, item_name: r.name, sales_value: value, abc_class: abc,
+            cumulative_pct: total > 0 ? Math.round(before / total * 10000) / 100 : 0,
+        };
+    });
+
+    for (const abc of ['A', 'B', 'C']) {
+        const ids = items.filter(i => i.abc_class === abc).map(i => i.item_id);
+        if (!ids.length) continue;
+        await client.query(
+            `UPDATE items i
+             SET    abc_class = $1, abc_sales_value = v.value, abc_classified_at = NOW()
+             FROM   UNNEST($2::uuid[], $3::numeric[]) AS v(id, value)
+             WHERE  i.id = v.id`,
+            [abc, ids, items.filter(i => i.abc_class === abc).map(i => i.sales_value)]
+        );
+    }
+    return { days, total_value: Math.round(total * 100) / 100, summary, items };
+}
+
+// ── Scheduling ────────────────────────────────────────────────────────────────
+
+/**
+ * The items of a warehouse that can be scheduled, with the date each falls
+ * due: stocked there (any movement), active, and not on an open count.
+ * Ordered by due date, class and code; `due_date` is null for items never
+ * counted there (due now).
+ */
+async function dueItems(db, warehouseId) {
+    const { classes: cls } = await classes(db);
+    const interval = Object.fromEntries(cls.map(c => [c.abc_class, c.count_interval_days]));
+    const { rows } = await db.query(
+        `SELECT i.id AS item_id, i.code AS item_code, i.name AS item_name,
+                COALESCE(i.abc_class, 'C') AS abc_class, lc.last_counted::text AS last_counted
+         FROM   items i
+         LEFT JOIN (
+             SELECT l.item_id, MAX(l.counted_at)::date AS last_counted
+             FROM   cycle_count_lines l
+             JOIN   cycle_counts cc ON cc.id = l.cycle_count_id
+             WHERE  cc.warehouse_id = $1 AND cc.status = 'closed' AND l.approved IS NOT FALSE
+             GROUP  BY l.item_id
+         ) lc ON lc.item_id = i.id
+         WHERE  i.is_active
+           AND  EXISTS (SELECT 1 FROM stock_ledger sl WHERE sl.item_id = i.id AND sl.warehouse_id = $1)
+           AND  NOT EXISTS (
+                    SELECT 1 FROM cycle_count_lines l
+                    JOIN   cycle_counts cc ON cc.id = l.cycle_count_id
+                    WHERE  l.item_id = i.id AND cc.warehouse_id = $1 AND cc.status = ANY($2))`,
+        [warehouseId, OPEN]
+    );
+    return rows
+        .map(r => ({
+            ...r,
+            count_interval_days: interval[r.abc_class],
+            due_date: r.last_counted ? periods.addDays(r.last_counted, interval[r.abc_class]) : null,
+        }))
+        .sort((a, b) => (a.due_date || '').localeCompare(b.due_date || '')
+            || a.abc_class.localeCompare(b.abc_class) || a.item_code.localeCompare(b.item_code));
+}
+
+/**
+ * Schedule a warehouse's counts for `days` days from `from`: each day, a
+ * count of up to `itemsPerCount` items due by then. Days with nothing due
+ * get no count. Returns the counts created, with their lines.
+ */
+async function schedule(client, { warehouseId, from = today(), days = 5, itemsPerCount = 20, userId = null }) {
+    const { rows: [wh] } = await client.query(`SELECT id FROM warehouses WHERE id = $1`, [warehouseId]);
+    if (!wh) throw fail('Warehouse not found', 404);
+
+    let due = await dueItems(client, warehouseId);
+    const counts = [];
+    for (let d = 0; d < days && due.length; d++) {
+        const date  = periods.addDays(from, d);
+        const batch = due.filter(i => !i.due_date || i.due_date <= date).slice(0, itemsPerCount);
+        if (!batch.length) continue;
+        due = due.filter(i => !batch.includes(i));
+
+        const number = await numbering.next(client, 'cycle_count');
+        const { rows: [count] } = await client.query(
+            `INSERT INTO cycle_counts (number, warehouse_id, scheduled_date, created_by)
+             VALUES ($1,$2,$3,$4) RETURNING *`,
+            [number, warehouseId, date, userId]
+        );
+        for (const i of batch) {
+            await client.query(
+                `INSERT INTO cycle_count_lines (cycle_count_id, item_id, abc_class) VALUES ($1,$2,$3)`,
+                [count.id, i.item_id, i.abc_class]
+            );
+        }
+        counts.push({ ...count, scheduled_date: date, items: batch });
+    }
+    return counts;
+}
+
+// ── Counting ──────────────────────────────────────────────────────────────────
+
+/** Lock a count, refusing it unless it is in `status`. */
+async function lock(client, id, status) {
+    const { rows: [count] } = await client.query(
+        `SELECT * FROM cycle_counts WHERE id = $1 FOR UPDATE`, [id]
+    );
+    if (!count) throw fail('Cycle count not found', 404);
+    if (status && count.status !== status)
+        throw fail(`Cycle count ${count.number} is ${count.status}, not ${status.replace('_', ' ')}`, 409);
+    return count;
+}
+
+/**
+ * Start a count: freeze what the ledger holds of each item, and of each lot
+ * of lot-tracked items (a lot-tracked item with no stock keeps one line
+ * without a lot, expecting nothing).
+ */
+async function start(client, id, { userId = null } = {}) {
+    const count = await lock(client, id, 'scheduled');
+    const { rows: lines } = await client.query(
+        `SELECT l.id, l.item_id, l.abc_class, i.is_lot_tracked, i.standard_cost
+         FROM   cycle_count_lines l
+         JOIN   items i ON i.id = l.item_id
+         WHERE  l.cycle_count_id = $1`,
+        [count.id]
+    );
+    for (const line of lines) {
+        const { rows: onHand } = await client.query(
+            `SELECT lot_number, SUM(qty) AS qty
+             FROM   stock_ledger
+             WHERE  item_id = $1 AND warehouse_id = $2
+             GROUP  BY lot_number`,
+            [line.item_id, count.warehouse_id]
+        );
+        if (!line.is_lot_tracked) {
+            const qty = onHand.reduce((s, r) => s + num(r.qty), 0);
+            await client.query(
+                `UPDATE cycle_count_lines SET qty_expected = $2, unit_cost = $3 WHERE id = $1`,
+                [line.id, qty, line.standard_cost]
+            );
+            continue;
+        }
+
+        const byLot = onHand.filter(r => r.lot_number && num(r.qty) !== 0);
+        if (!byLot.length) {
+            await client.query(
+                `UPDATE cycle_count_lines SET qty_expected = 0, unit_cost = $2 WHERE id = $1`,
+                [line.id, line.standard_cost]
+            );
+            continue;
+        }
+        await client.query(`DELETE FROM cycle_count_lines WHERE id = $1`, [line.id]);
+        for (const lot of byLot) {
+            await client.query(
+                `INSERT INTO cycle_count_lines
+                    (cycle_count_id, item_id, lot_number, abc_class, qty_expected, unit_cost)
+                 VALUES ($1,$2,$3,$4,$5,$6)`,
+                [count.id, line.item_id, lot.lot_number, line.abc_class, num(lot.qty), line.standard_cost]
+            );
+        }
+    }
+
+    const { rows: [started] } = await client.query(
+        `UPDATE cycle_counts SET status = 'in_progress', started_at = NOW(), started_by = $2
+         WHERE id = $1 RETURNING *`,
+        [count.id, userId]
+    );
+    return started;
+}
+
+/**
+ * Record counted quantities on a started count. Each entry names a sheet
+ * line, or an item on the count and a lot not on the sheet (found stock,
+ * expected 0). Counting a line again replaces the earlier figure.
+ */
+async function recordCounts(client, id, entries, { userId = null } = {}) {
+    const count = await lock(client, id, 'in_progress');
+    const { rows: lines } = await client.query(
+        `SELECT l.*, i.code AS item_code, i.is_lot_tracked, i.standard_cost
+         FROM   cycle_count_lines l
+         JOIN   items i ON i.id = l.item_id
+         WHERE  l.cycle_count_id = $1`,
+        [count.id]
+    );
+
+    for (const e of entries) {
+        let line = e.line_id
+            ? lines.find(l => l.id === e.line_id)
+            : lines.find(l => l.item_id === e.item_id && (l.lot_number || null) === (e.lot_number || null));
+        if (e.line_id && !line) throw fail(`Line ${e.line_id} is not on cycle count ${count.number}`);
+
+        if (!line) {
+            const item = lines.find(l => l.item_id === e.item_id);
+            if (!item) throw fail(`Item ${e.item_id} is not on cycle count ${count.number}`);
+            if (!item.is_lot_tracked) throw fail(`Item ${item.item_code} is not lot-tracked`);
+            if (!e.lot_number) throw fail(`Item ${item.item_code} is lot-tracked — count it by lot_number`);
+            const { rows: [added] } = await client.query(
+                `INSERT INTO cycle_count_lines
+                    (cycle_count_id, item_id, lot_number, abc_class, qty_expected, unit_cost)
+                 VALUES ($1,$2,$3,$4,0,$5) RETURNING *`,
+                [count.id, item.item_id, e.lot_number, item.abc_class, item.standard_cost]
+            );
+            line = { ...added, item_code: item.item_code, is_lot_tracked: true };
+            lines.push(line);
+        }
+        if (line.is_lot_tracked && !line.lot_number && e.qty_counted > 0)
+            throw fail(`Item ${line.item_code} is lot-tracked — count found stock by lot_number`);
+
+        await client.query(
+            `UPDATE cycle_count_lines
+             SET    qty_counted = $2, counted_by = $3, counted_at = NOW(), notes = COALESCE($4, notes)
+             WHERE  id = $1`,
+            [line.id, e.qty_counted, userId, e.notes || null]
+        );
+    }
+    return count;
+}
+
+/** Close counting once every line has a quantity; variances become visible. */
+async function submit(client, id) {
+    const count = await lock(client, id, 'in_progress');
+    const { rows: missing } = await client.query(
+        `SELECT i.code, l.lot_number
+         FROM   cycle_count_lines l
+         JOIN   items i ON i.id = l.item_id
+         WHERE  l.cycle_count_id = $1 AND l.qty_counted IS NULL
+         ORDER  BY i.code`,
+        [count.id]
+    );
+    if (missing.length) throw fail(
+        `Not counted yet: ${missing.map(m => m.lot_number ? `${m.code} lot ${m.lot_number}` : m.code).join(', ')}`, 409
+    );
+    const { rows: [counted] } = await client.query(
+        `UPDATE cycle_counts SET status = 'counted', counted_at = NOW() WHERE id = $1 RETURNING *`, [count.id]
+    );
+    return counted;
+}
+
+/**
+ * Approve a counted count. Every line is approved with `reasonCode` unless
+ * `lines` says otherwise ([{ line_id, approved, reason_code, notes }]); an
+ * approved variance needs a reason code. Approved variances are posted as
+ * one stock adjustment. Returns { count, adjustment }.
+ */
+async function approve(client, id, { reasonCode = null, lines: decisions = [], userId = null } = {}) {
+    const count = await lock(client, id, 'counted');
+    const { rows: lines } = await client.query(
+        `SELECT l.*, i.code AS item_code
+         FROM   cycle_count_lines l
+         JOIN   items i ON i.id = l.item_id
+         WHERE  l.cycle_count_id = $1
+         ORDER  BY i.code, l.lot_number`,
+        [count.id]
+    );
+    const byId = new Map(decisions.map(d => [d.line_id, d]));
+    for (const lineId of byId.keys())
+        if (!lines.some(l => l.id === lineId)) throw fail(`Line ${lineId} is not on cycle count ${count.number}`);
+
+    const post = [];
+    for (const line of lines) {
+        const d        = byId.get(line.id) || {};
+        const approved = d.approved ?? true;
+        const reason   = d.reason_code || reasonCode;
+        const variance = num(line.qty_variance);
+        if (approved && variance !== 0) {
+            if (!reason) throw fail(`The variance on ${line.item_code}${line.lot_number ? ` lot ${line.lot_number}` : ''} needs a reason_code`);
+            post.push({ ...line, reason_code: reason });
+        }
+        await client.query(
+            `UPDATE cycle_count_lines SET approved = $2, reason_code = $3, notes = COALESCE($4, notes) WHERE id = $1`,
+            [line.id, approved, variance !== 0 ? reason || null : null, d.notes || null]
+        );
+    }
+
+    let adjustment = null;
+    if (post.length) {
+        const draft = await adjustments.create(client, {
+            warehouseId: count.warehouse_id, reason: `Cycle count ${count.number}`, reasonCode,
+            lines: post.map(l => ({
+                item_id: l.item_id, lot_number: l.lot_number, qty_system: num(l.qty_expected),
+                qty_actual: num(l.qty_counted), cost_per_unit: l.unit_cost, reason_code: l.reason_code,
+            })),
+            createdBy: userId, cycleCountId: count.id,
+        });
+        ({ adjustment } = await adjustments.submit(client, draft.id, { userId, canApprove: true }));
+    }
+
+    const { rows: [closed] } = await client.query(
+        `UPDATE cycle_counts
+         SET    status = 'closed', closed_at = NOW(), approved_by = $2, adjustment_id = $3
+         WHERE  id = $1 RETURNING *`,
+        [count.id, userId, adjustment?.id || null]
+    );
+    return { count: closed, adjustment };
+}
+
+/** Cancel a count that has not been approved. */
+async function cancel(client, id) {
+    const count = await lock(client, id);
+    if (!OPEN.includes(count.status))
+        throw fail(`Cycle count ${count.number} is already ${count.status}`, 409);
+    const { rows: [cancelled] } = await client.query(
+        `UPDATE cycle_counts SET status = 'cancelled' WHERE id = $1 RETURNING *`, [count.id]
+    );
+    return cancelled;
+}
+
+// ── Sheets ────────────────────────────────────────────────────────────────────
+
+/**
+ * A count with its lines. Until it is counted the sheet is blind: no
+ * expected quantities, variances or costs. Afterwards it carries a summary:
+ * lines, lines with a variance, accuracy (lines without one, as a share) and
+ * the variance's value at the frozen cost.
+ */
+async function sheet(db, id) {
+    const { rows: [count] } = await db.query(
+        `SELECT cc.*, cc.scheduled_date::text AS scheduled_date,
+                w.code AS warehouse_code, w.name AS warehouse_name, sa.number AS adjustment_number
+         FROM   cycle_counts cc
+         JOIN   warehouses w ON w.id = cc.warehouse_id
+         LEFT JOIN stock_adjustments sa ON sa.id = cc.adjustment_id
+         WHERE  cc.id = $1`,
+        [id]
+    );
+    if (!count) return null;
+    const { rows: lines } = await db.query(
+        `SELECT l.*, i.code AS item_code, i.name AS item_name, i.unit_of_measure, i.is_lot_tracked
+         FROM   cycle_count_lines l
+         JOIN   items i ON i.id = l.item_id
+         WHERE  l.cycle_count_id = $1
+         ORDER  BY l.abc_class, i.code, l.lot_number`,
+        [id]
+    );
+
+    if (BLIND.includes(count.status)) {
+        const blind = lines.map(({ qty_expected, qty_variance, unit_cost, ...l }) => l);
+        return { ...count, blind: true, lines: blind };
+    }
+
+    const withVariance = lines.filter(l => num(l.qty_variance) !== 0);
+    const value = lines.reduce((s, l) => s + num(l.qty_variance) * num(l.unit_cost), 0);
+    return {
+        ...count, blind: false,
+        summary: {
+            lines:          lines.length,
+            variance_lines: withVariance.length,
+            accuracy_pct:   lines.length ? Math.round((1 - withVariance.length / lines.length) * 10000) / 100 : 100,
+            variance_value: Math.round(value * 100) / 100,
+        },
+        lines: lines.map(l => ({
+            ...l, variance_value: Math.round(num(l.qty_variance) * num(l.unit_cost) * 100) / 100,
+        })),
+    };
+}
+
+module.exports = {
+    DEFAULT_CLASSES, classes, classify, dueItems, schedule,
+    start, recordCounts, submit, approve, cancel, sheet,
+};
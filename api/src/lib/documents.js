@@ -0,0 +1,1121 @@
+'use strict';
+
+// lib/documents.js
+// Printable documents — the HTML the print views serve, and the same content
+// laid out as a `sheet` for the PDF renderer (lib/pdf.js).
+//
+// Each loader reads a document through `db` (req.db or a tenant-bound client)
+// and returns { title, number, record, lines, body, sheet }, or null when it is
+// not found. page() wraps a body in the shared print shell. TYPES maps the
+// doc_type names used by stored files and emails to their loaders.
+//
+// Usage:
+//   const documents = require('../lib/documents');
+//   const doc = await documents.invoice(req.db, id);
+//   res.send(documents.page(doc.title, doc.body));
+//   const doc = await documents.load(req.db, 'packing_slip', id);
+//   documents.fileName('packing_slip', doc)                      // PackingSlip-SHP-1001.pdf
+
+// ── Shared HTML shell ─────────────────────────────────────────────────────────
+function page(title, body, { printButton = true } = {}) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${title} — Tick Tock Inc.</title>
+<style>
+  *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: 'Segoe UI', Arial, sans-serif; font-size: 13px; color: #1a1a2e; background: #f8f9fa; }
+  .page { max-width: 860px; margin: 24px auto; background: #fff; border: 1px solid #dee2e6; border-radius: 6px; padding: 40px 48px; }
+  .header { display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 32px; border-bottom: 2px solid #0d1b3e; padding-bottom: 20px; }
+  .company h1 { font-size: 22px; font-weight: 700; color: #0d1b3e; letter-spacing: 1px; }
+  .company p  { font-size: 11px; color: #6c757d; margin-top: 2px; }
+  .doc-meta   { text-align: right; }
+  .doc-meta .doc-number { font-size: 20px; font-weight: 700; color: #0d1b3e; }
+  .doc-meta .doc-label  { font-size: 10px; text-transform: uppercase; letter-spacing: 1px; color: #6c757d; }
+  .doc-meta .badge { display: inline-block; margin-top: 6px; padding: 3px 10px; border-radius: 12px; font-size: 11px; font-weight: 600; background: #e7f3fe; color: #0d6efd; }
+  .parties { display: grid; grid-template-columns: 1fr 1fr; gap: 32px; margin-bottom: 28px; }
+  .party h3 { font-size: 10px; text-transform: uppercase; letter-spacing: 1px; color: #6c757d; margin-bottom: 6px; }
+  .party p  { font-size: 13px; line-height: 1.6; }
+  .meta-row { display: flex; gap: 32px; margin-bottom: 24px; flex-wrap: wrap; }
+  .meta-item label { font-size: 10px; text-transform: uppercase; letter-spacing: 1px; color: #6c757d; display: block; }
+  .meta-item span  { font-size: 13px; font-weight: 500; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+  thead th { background: #0d1b3e; color: #fff; padding: 9px 12px; text-align: left; font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px; }
+  thead th.r { text-align: right; }
+  tbody tr:nth-child(even) { background: #f8f9fa; }
+  tbody td { padding: 9px 12px; border-bottom: 1px solid #e9ecef; vertical-align: top; }
+  tbody td.r { text-align: right; }
+  tfoot td { padding: 8px 12px; font-weight: 600; border-top: 2px solid #dee2e6; }
+  tfoot td.r { text-align: right; }
+  .totals { margin-left: auto; width: 280px; border-collapse: collapse; }
+  .totals td { padding: 5px 8px; }
+  .totals .label { color: #6c757d; }
+  .totals .grand { font-size: 15px; font-weight: 700; color: #0d1b3e; border-top: 2px solid #0d1b3e; }
+  .notes { background: #f8f9fa; border-left: 3px solid #0d1b3e; padding: 12px 16px; border-radius: 0 4px 4px 0; margin-top: 16px; font-size: 12px; color: #495057; }
+  .footer { text-align: center; margin-top: 32px; font-size: 11px; color: #adb5bd; border-top: 1px solid #dee2e6; padding-top: 16px; }
+  .print-btn { position: fixed; top: 20px; right: 20px; padding: 10px 20px; background: #0d1b3e; color: #fff; border: none; border-radius: 6px; font-size: 14px; font-weight: 600; cursor: pointer; box-shadow: 0 2px 8px rgba(0,0,0,.3); }
+  .print-btn:hover { background: #1a3060; }
+  @media print {
+    .print-btn { display: none; }
+    body { background: #fff; }
+    .page { margin: 0; border: none; border-radius: 0; padding: 20px; max-width: 100%; box-shadow: none; }
+  }
+</style>
+</head>
+<body>
+${printButton ? `<button class="print-btn no-print" onclick="window.print()">🖨 Print</button>
+` : ''}<div class="page">${body}</div>
+${printButton ? `<script>
+  // Auto-print if ?autoprint=1
+  if (new URLSearchParams(location.search).get('autoprint') === '1') window.print();
+</script>
+` : ''}</body>
+</html>`;
+}
+
+function fmtMoney(v) { return v == null ? '—' : '$' + parseFloat(v).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ','); }
+function fmtDate(d)  { if (!d) return '—'; const dt = new Date(d); return (dt.getMonth()+1)+'/'+(dt.getDate())+'/'+(dt.getFullYear()); }
+function esc(s)      { return s == null ? '' : String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
+
+// Address JSON ({ line1, line2, city, state, zip, country }) or plain text
+function addrLines(a) {
+    if (!a) return [];
+    if (typeof a === 'string') try { a = JSON.parse(a); } catch { return [a]; }
+    return [a.line1, a.line2, a.city && (a.city + (a.state ? ', ' + a.state : '') + (a.zip ? ' ' + a.zip : '')), a.country]
+        .filter(Boolean);
+}
+function addrBlock(a) { return addrLines(a).map(esc).join('<br>'); }
+
+// Sheet table column: relative width, left or right aligned
+const col = (header, width, align = 'left') => ({ header, width, align });
+
+// ── Invoice ───────────────────────────────────────────────────────────────────
+async function invoice(db, id) {
+    const { rows: [inv] } = await db.query(
+        `SELECT si.*, p.name AS customer_name, p.code AS customer_code,
+                p.email AS customer_email, p.phone AS customer_phone,
+                p.contact_name AS customer_contact,
+                p.billing_address, p.shipping_address,
+                so.number AS order_number, shp.number AS shipment_number,
+                shp.carrier, shp.tracking_number
+         FROM sales_invoices si
+         JOIN parties p ON p.id = si.customer_id
+         LEFT JOIN sales_orders so ON so.id = si.sales_order_id
+         LEFT JOIN shipments shp ON shp.id = si.shipment_id
+         WHERE si.id = $1`, [id]
+    );
+    if (!inv) return null;
+
+    const { rows: lines } = await db.query(
+        `SELECT sol.line_number, sl.qty_shipped AS qty, sol.unit_price,
+                sol.discount_pct, sol.line_total,
+                i.code AS item_code, i.name AS item_name, i.unit_of_measure
+         FROM shipment_lines sl
+         JOIN sales_order_lines sol ON sol.id = sl.sales_order_line_id
+         JOIN items i ON i.id = sl.item_id
+         WHERE sl.shipment_id = $1
+         ORDER BY sol.line_number`, [inv.shipment_id]
+    );
+
+    const lineRows = lines.map(l => `
+            <tr>
+              <td>${esc(l.line_number)}</td>
+              <td>${esc(l.item_code)}</td>
+              <td>${esc(l.item_name)}</td>
+              <td class="r">${esc(l.qty)} ${esc(l.unit_of_measure)}</td>
+              <td class="r">${fmtMoney(l.unit_price)}</td>
+              <td class="r">${l.discount_pct > 0 ? l.discount_pct + '%' : '—'}</td>
+              <td class="r">${fmtMoney(l.line_total)}</td>
+            </tr>`).join('');
+
+    const body = `
+<div class="header">
+  <div class="company"><h1>Tick Tock Inc.</h1><p>Wholesale Watch Distributor</p></div>
+  <div class="doc-meta">
+    <div class="doc-label">Invoice</div>
+    <div class="doc-number">${esc(inv.number)}</div>
+    <div class="badge">${esc(inv.status.toUpperCase())}</div>
+  </div>
+</div>
+<div class="parties">
+  <div class="party"><h3>Bill To</h3><p><strong>${esc(inv.customer_name)}</strong><br>${addrBlock(inv.billing_address)}</p></div>
+  <div class="party"><h3>Ship To</h3><p><strong>${esc(inv.customer_name)}</strong><br>${addrBlock(inv.shipping_address)}</p></div>
+</div>
+<div class="meta-row">
+  <div class="meta-item"><label>Invoice Date</label><span>${fmtDate(inv.invoice_date)}</span></div>
+  <div class="meta-item"><label>Due Date</label><span>${fmtDate(inv.due_date)}</span></div>
+  <div class="meta-item"><label>Order #</label><span>${esc(inv.order_number) || '—'}</span></div>
+  <div class="meta-item"><label>Shipment #</label><span>${esc(inv.shipment_number) || '—'}</span></div>
+  ${inv.carrier ? `<div class="meta-item"><label>Carrier</label><span>${esc(inv.carrier)}</span></div>` : ''}
+  ${inv.tracking_number ? `<div class="meta-item"><label>Tracking</label><span>${esc(inv.tracking_number)}</span></div>` : ''}
+</div>
+<table>
+  <thead><tr><th>#</th><th>SKU</th><th>Description</th><th class="r">Qty</th><th class="r">Unit Price</th><th class="r">Disc</th><th class="r">Total</th></tr></thead>
+  <tbody>${lineRows}</tbody>
+</table>
+<table class="totals">
+  <tr><td class="label">Subtotal</td><td class="r">${fmtMoney(inv.subtotal)}</td></tr>
+  <tr><td class="label">Tax</td><td class="r">${fmtMoney(inv.tax_amount)}</td></tr>
+  <tr class="grand"><td class="label"><strong>Total Due</strong></td><td class="r"><strong>${fmtMoney(inv.balance_due)}</strong></td></tr>
+</table>
+${inv.notes ? `<div class="notes"><strong>Notes:</strong> ${esc(inv.notes)}</div>` : ''}
+<div class="footer">Tick Tock Inc. &bull; Thank you for your business!</div>`;
+
+    const sheet = {
+        name: 'Invoice', label: 'Invoice', number: inv.number, badge: inv.status.toUpperCase(),
+        parties: [
+            { heading: 'Bill To', lines: [inv.customer_name, ...addrLines(inv.billing_address)] },
+            { heading: 'Ship To', lines: [inv.customer_name, ...addrLines(inv.shipping_address)] },
+        ],
+        meta: [
+            ['Invoice Date', fmtDate(inv.invoice_date)], ['Due Date', fmtDate(inv.due_date)],
+            ['Order #', inv.order_number || '—'], ['Shipment #', inv.shipment_number || '—'],
+            inv.carrier && ['Carrier', inv.carrier], inv.tracking_number && ['Tracking', inv.tracking_number],
+        ].filter(Boolean),
+        tables: [{
+            columns: [col('#', 0.4), col('SKU', 1.1), col('Description', 2.6), col('Qty', 1, 'right'),
+                      col('Unit Price', 1.1, 'right'), col('Disc', 0.7, 'right'), col('Total', 1.1, 'right')],
+            rows: lines.map(l => [l.line_number, l.item_code, l.item_name, `${l.qty} ${l.unit_of_measure}`,
+                                  fmtMoney(l.unit_price), l.discount_pct > 0 ? l.discount_pct + '%' : '—', fmtMoney(l.line_total)]),
+        }],
+        totals: [['Subtotal', fmtMoney(inv.subtotal)], ['Tax', fmtMoney(inv.tax_amount)], ['Total Due', fmtMoney(inv.balance_due), true]],
+        notes:  inv.notes && ['Notes', inv.notes],
+        footer: 'Thank you for your business!',
+    };
+
+    return { title: `Invoice ${inv.number}`, number: inv.number, record: inv, lines, body, sheet };
+}
+
+// ── Purchase Order ────────────────────────────────────────────────────────────
+async function purchaseOrder(db, id) {
+    const { rows: [po] } = await db.query(
+        `SELECT po.*, v.name AS vendor_name, v.code AS vendor_code,
+                v.email AS vendor_email, v.phone AS vendor_phone,
+                v.contact_name AS vendor_contact,
+                v.billing_address AS vendor_address,
+                w.name AS warehouse_name, w.address AS warehouse_address,
+                u.name AS created_by_name,
+                (SELECT COALESCE(SUM(pol.line_total), 0) FROM purchase_order_lines pol
+                 WHERE pol.purchase_order_id = po.id) AS total
+         FROM purchase_orders po
+         JOIN parties v ON v.id = po.vendor_id
+         JOIN warehouses w ON w.id = po.warehouse_id
+         LEFT JOIN users u ON u.id = po.created_by
+         WHERE po.id = $1`, [id]
+    );
+    if (!po) return null;
+    const { rows: lines } = await db.query(
+        `SELECT pol.line_number, pol.qty_ordered, pol.unit_cost, pol.line_total,
+                pol.description, i.code AS item_code, i.name AS item_name,
+                i.unit_of_measure, i.upc_code
+         FROM purchase_order_lines pol
+         JOIN items i ON i.id = pol.item_id
+         WHERE pol.purchase_order_id = $1
+         ORDER BY pol.line_number`, [id]
+    );
+
+    const lineRows = lines.map(l => `
+            <tr>
+              <td>${esc(l.line_number)}</td>
+              <td>${esc(l.item_code)}</td>
+              <td>${esc(l.item_name)} ${l.description ? '<br><small style="color:#6c757d">'+esc(l.description)+'</small>' : ''}</td>
+              <td class="r">${esc(l.qty_ordered)} ${esc(l.unit_of_measure)}</td>
+              <td class="r">${fmtMoney(l.unit_cost)}</td>
+              <td class="r">${fmtMoney(l.line_total)}</td>
+            </tr>`).join('');
+
+    const body = `
+<div class="header">
+  <div class="company"><h1>Tick Tock Inc.</h1><p>Purchase Order</p></div>
+  <div class="doc-meta">
+    <div class="doc-label">PO Number</div>
+    <div class="doc-number">${esc(po.number)}</div>
+    <div class="badge">${esc(po.status.toUpperCase())}</div>
+  </div>
+</div>
+<div class="parties">
+  <div class="party"><h3>Vendor</h3><p><strong>${esc(po.vendor_name)}</strong>${po.vendor_contact ? '<br>'+esc(po.vendor_contact) : ''}<br>${po.vendor_email || ''}<br>${po.vendor_phone || ''}<br>${addrBlock(po.vendor_address)}</p></div>
+  <div class="party"><h3>Ship To (Warehouse)</h3><p><strong>${esc(po.warehouse_name)}</strong>${po.warehouse_address ? '<br>'+esc(po.warehouse_address) : ''}</p></div>
+</div>
+<div class="meta-row">
+  <div class="meta-item"><label>Order Date</label><span>${fmtDate(po.order_date)}</span></div>
+  <div class="meta-item"><label>Expected</label><span>${fmtDate(po.expected_date)}</span></div>
+  ${po.created_by_name ? `<div class="meta-item"><label>Created By</label><span>${esc(po.created_by_name)}</span></div>` : ''}
+</div>
+<table>
+  <thead><tr><th>#</th><th>SKU</th><th>Description</th><th class="r">Qty</th><th class="r">Unit Cost</th><th class="r">Total</th></tr></thead>
+  <tbody>${lineRows}</tbody>
+</table>
+<table class="totals">
+  <tr class="grand"><td class="label"><strong>Total</strong></td><td class="r"><strong>${fmtMoney(po.total)}</strong></td></tr>
+</table>
+${po.notes ? `<div class="notes"><strong>Notes:</strong> ${esc(po.notes)}</div>` : ''}
+<div class="footer">Tick Tock Inc. &bull; Purchase Order</div>`;
+
+    const sheet = {
+        name: 'Purchase Order', label: 'PO Number', number: po.number, badge: po.status.toUpperCase(),
+        parties: [
+            { heading: 'Vendor', lines: [po.vendor_name, po.vendor_contact, po.vendor_email, po.vendor_phone,
+                                         ...addrLines(po.vendor_address)].filter(Boolean) },
+            { heading: 'Ship To (Warehouse)', lines: [po.warehouse_name, ...addrLines(po.warehouse_address)] },
+        ],
+        meta: [
+            ['Order Date', fmtDate(po.order_date)], ['Expected', fmtDate(po.expected_date)],
+            po.created_by_name && ['Created By', po.created_by_name],
+        ].filter(Boolean),
+        tables: [{
+            columns: [col('#', 0.4), col('SKU', 1.1), col('Description', 3), col('Qty', 1, 'right'),
+                      col('Unit Cost', 1.1, 'right'), col('Total', 1.1, 'right')],
+            rows: lines.map(l => [l.line_number, l.item_code, l.description ? `${l.item_name}\n${l.description}` : l.item_name,
+                                  `${l.qty_ordered} ${l.unit_of_measure}`, fmtMoney(l.unit_cost), fmtMoney(l.line_total)]),
+        }],
+        totals: [['Total', fmtMoney(po.total), true]],
+        notes:  po.notes && ['Notes', po.notes],
+        footer: 'Purchase Order',
+    };
+
+    return { title: `PO ${po.number}`, number: po.number, record: po, lines, body, sheet };
+}
+
+// ── Customer Statement ────────────────────────────────────────────────────────
+// Open-item statement: every unpaid invoice, unapplied credits and the aging
+// buckets from v_ar_aging, as of today. `number` is the customer code.
+async function statement(db, customerId) {
+    const { rows: [c] } = await db.query(
+        `SELECT p.id, p.code, p.name, p.email, p.contact_name, p.billing_address,
+                CURRENT_DATE AS statement_date,
+                COALESCE(ar.current_due, 0) AS current_due, COALESCE(ar.days_1_30, 0)  AS days_1_30,
+                COALESCE(ar.days_31_60, 0)  AS days_31_60,  COALESCE(ar.days_61_90, 0) AS days_61_90,
+                COALESCE(ar.days_90plus, 0) AS days_90plus, COALESCE(ar.total_due, 0)  AS total_due,
+                COALESCE(ar.unapplied_credits, 0) AS unapplied_credits, COALESCE(ar.net_due, 0) AS net_due
+         FROM   parties p
+         LEFT JOIN v_ar_aging ar ON ar.customer_id = p.id
+         WHERE  p.id = $1 AND p.type IN ('customer','both')`, [customerId]
+    );
+    if (!c) return null;
+    const { rows: lines } = await db.query(
+        `SELECT si.number, si.invoice_date, si.due_date, si.total, si.amount_paid, si.balance_due,
+                GREATEST(CURRENT_DATE - si.due_date, 0) AS days_overdue
+         FROM   sales_invoices si
+         WHERE  si.customer_id = $1 AND si.status NOT IN ('paid','void') AND si.balance_due > 0
+         ORDER  BY si.due_date, si.number`, [customerId]
+    );
+
+    const lineRows = lines.map(l => `
+            <tr>
+              <td>${esc(l.number)}</td>
+              <td>${fmtDate(l.invoice_date)}</td>
+              <td>${fmtDate(l.due_date)}</td>
+              <td class="r">${fmtMoney(l.total)}</td>
+              <td class="r">${fmtMoney(l.amount_paid)}</td>
+              <td class="r">${fmtMoney(l.balance_due)}</td>
+              <td class="r">${l.days_overdue > 0 ? esc(l.days_overdue) : '—'}</td>
+            </tr>`).join('');
+
+    const body = `
+<div class="header">
+  <div class="company"><h1>Tick Tock Inc.</h1><p>Statement of Account</p></div>
+  <div class="doc-meta">
+    <div class="doc-label">Customer</div>
+    <div class="doc-number">${esc(c.code)}</div>
+  </div>
+</div>
+<div class="parties">
+  <div class="party"><h3>Account</h3><p><strong>${esc(c.name)}</strong>${c.contact_name ? '<br>'+esc(c.contact_name) : ''}<br>${addrBlock(c.billing_address)}</p></div>
+</div>
+<div class="meta-row">
+  <div class="meta-item"><label>Statement Date</label><span>${fmtDate(c.statement_date)}</span></div>
+  <div class="meta-item"><label>Open Invoices</label><span>${lines.length}</span></div>
+</div>
+<table>
+  <thead><tr><th>Invoice</th><th>Date</th><th>Due</th><th class="r">Amount</th><th class="r">Paid</th><th class="r">Balance</th><th class="r">Days Overdue</th></tr></thead>
+  <tbody>${lineRows || '<tr><td colspan="7">No open invoices</td></tr>'}</tbody>
+</table>
+<table>
+  <thead><tr><th class="r">Current</th><th class="r">1–30</th><th class="r">31–60</th><th class="r">61–90</th><th class="r">90+</th></tr></thead>
+  <tbody><tr>
+    <td class="r">${fmtMoney(c.current_due)}</td><td class="r">${fmtMoney(c.days_1_30)}</td><td class="r">${fmtMoney(c.days_31_60)}</td>
+    <td class="r">${fmtMoney(c.days_61_90)}</td><td class="r">${fmtMoney(c.days_90plus)}</td>
+  </tr></tbody>
+</table>
+<table class="totals">
+  <tr><td class="label">Open Invoices</td><td class="r">${fmtMoney(c.total_due)}</td></tr>
+  <tr><td class="label">Unapplied Credits</td><td class="r">${fmtMoney(-c.unapplied_credits)}</td></tr>
+  <tr class="grand"><td class="label"><strong>Balance Due</strong></td><td class="r"><strong>${fmtMoney(c.net_due)}</strong></td></tr>
+</table>
+<div class="footer">Tick Tock Inc. &bull; Please remit the balance due by each invoice's due date</div>`;
+
+    const sheet = {
+        name: 'Statement of Account', label: 'Customer', number: c.code,
+        parties: [{ heading: 'Account', lines: [c.name, c.contact_name, ...addrLines(c.billing_address)].filter(Boolean) }],
+        meta: [['Statement Date', fmtDate(c.statement_date)], ['Open Invoices', String(lines.length)]],
+        tables: [{
+            columns: [col('Invoice', 1.3), col('Date', 1), col('Due', 1), col('Amount', 1.1, 'right'),
+                      col('Paid', 1.1, 'right'), col('Balance', 1.1, 'right'), col('Days Overdue', 1, 'right')],
+            rows: lines.map(l => [l.number, fmtDate(l.invoice_date), fmtDate(l.due_date), fmtMoney(l.total),
+                                  fmtMoney(l.amount_paid), fmtMoney(l.balance_due), l.days_overdue > 0 ? String(l.days_overdue) : '—']),
+            empty: 'No open invoices',
+        }, {
+            columns: ['Current', '1–30', '31–60', '61–90', '90+'].map(h => col(h, 1, 'right')),
+            rows: [[c.current_due, c.days_1_30, c.days_31_60, c.days_61_90, c.days_90plus].map(fmtMoney)],
+        }],
+        totals: [['Open Invoices', fmtMoney(c.total_due)], ['Unapplied Credits', fmtMoney(-c.unapplied_credits)],
+                 ['Balance Due', fmtMoney(c.net_due), true]],
+        footer: "Please remit the balance due by each invoice's due date",
+    };
+
+    return { title: `Statement ${c.code}`, number: c.code, record: c, lines, body, sheet };
+}
+
+// ── Activity Statement ────────────────────────────────────────────────────────
+// Periodic statement: the balance brought forward at `from`, every invoice,
+// payment and credit memo dated from `from` to `to` with a running balance,
+// the closing balance, and the aging of what was still open at `to`. Void
+// documents are left out. Defaults to the month to date. `number` is the
+// customer code and the closing date.
+async function activityStatement(db, customerId, { from = null, to = null } = {}) {
+    const { rows: [c] } = await db.query(
+        `SELECT p.id, p.code, p.name, p.email, p.contact_name, p.billing_address,
+                COALESCE($3::date, CURRENT_DATE)::text                                      AS period_end,
+                COALESCE($2::date, date_trunc('month', COALESCE($3::date, CURRENT_DATE)))::date::text AS period_start
+         FROM   parties p
+         WHERE  p.id = $1 AND p.type IN ('customer','both')`, [customerId, from, to]
+    );
+    if (!c) return null;
+
+    // Charges positive, payments and credits negative
+    const activity = `
+        SELECT 'invoice' AS kind, si.id, si.number AS reference, si.invoice_date AS tx_date,
+               si.due_date, si.total AS amount, 1 AS seq
+        FROM   sales_invoices si
+        WHERE  si.customer_id = $1 AND si.status <> 'void'
+        UNION ALL
+        SELECT 'payment', pr.id, COALESCE(pr.reference_number, ''), pr.payment_date,
+               NULL, -pr.amount, 2
+        FROM   payments_received pr
+        WHERE  pr.customer_id = $1
+        UNION ALL
+        SELECT 'credit_memo', cm.id, cm.number, cm.memo_date,
+               NULL, -cm.total, 3
+        FROM   credit_memos cm
+        WHERE  cm.customer_id = $1 AND cm.status <> 'void'`;
+    const { rows: [{ opening }] } = await db.query(
+        `SELECT COALESCE(SUM(amount), 0) AS opening FROM (${activity}) a WHERE a.tx_date < $2::date`,
+        [c.id, c.period_start]
+    );
+    const { rows: txs } = await db.query(
+        `SELECT a.*, pr.method
+         FROM   (${activity}) a
+         LEFT JOIN payments_received pr ON pr.id = a.id AND a.kind = 'payment'
+         WHERE  a.tx_date BETWEEN $2::date AND $3::date
+         ORDER  BY a.tx_date, a.seq, a.reference`, [c.id, c.period_start, c.period_end]
+    );
+    // What each invoice still owed at `to`, by payment and credit dates
+    const { rows: [aging] } = await db.query(
+        `SELECT COALESCE(SUM(open) FILTER (WHERE due_date >= $2::date), 0)                          AS current_due,
+                COALESCE(SUM(open) FILTER (WHERE due_date <  $2::date AND due_date >= $2::date - 30), 0) AS days_1_30,
+                COALESCE(SUM(open) FILTER (WHERE due_date <  $2::date - 30 AND due_date >= $2::date - 60), 0) AS days_31_60,
+                COALESCE(SUM(open) FILTER (WHERE due_date <  $2::date - 60 AND due_date >= $2::date - 90), 0) AS days_61_90,
+                COALESCE(SUM(open) FILTER (WHERE due_date <  $2::date - 90), 0)                     AS days_90plus,
+                COALESCE(SUM(open), 0)                                                               AS open_invoices
+         FROM (
+             SELECT si.due_date,
+                    si.total
+                  - COALESCE((SELECT SUM(pa.amount_applied) FROM payment_applications pa
+                              JOIN payments_received pr ON pr.id = pa.payment_id
+                              WHERE pa.invoice_id = si.id AND pr.payment_date <= $2::date), 0)
+                  - COALESCE((SELECT SUM(cma.amount_applied) FROM credit_memo_applications cma
+                              WHERE cma.invoice_id = si.id AND cma.applied_date <= $2::date), 0) AS open
+             FROM   sales_invoices si
+             WHERE  si.customer_id = $1 AND si.status <> 'void' AND si.invoice_date <= $2::date
+         ) o
+         WHERE open > 0`, [c.id, c.period_end]
+    );
+
+    const cents = v => Math.round(v * 100) / 100;
+    let balance = cents(parseFloat(opening));
+    const lines = txs.map(t => {
+        const amount = parseFloat(t.amount);
+        balance = cents(balance + amount);
+        const description = t.kind === 'invoice' ? `Invoice — due ${fmtDate(t.due_date)}`
+                          : t.kind === 'payment' ? `Payment — ${t.method.replace('_', ' ')}`
+                          : 'Credit memo';
+        return { kind: t.kind, id: t.id, date: t.tx_date, reference: t.reference, description,
+                 charges: amount > 0 ? amount : null, credits: amount < 0 ? -amount : null, balance };
+    });
+    const charges = cents(lines.reduce((s, l) => s + (l.charges || 0), 0));
+    const credits = cents(lines.reduce((s, l) => s + (l.credits || 0), 0));
+    const unapplied = cents(parseFloat(aging.open_invoices) - balance);
+    Object.assign(c, {
+        opening_balance: cents(parseFloat(opening)), charges, credits, closing_balance: balance,
+        current_due: aging.current_due, days_1_30: aging.days_1_30, days_31_60: aging.days_31_60,
+        days_61_90: aging.days_61_90, days_90plus: aging.days_90plus, open_invoices: aging.open_invoices,
+        unapplied_credits: unapplied,
+    });
+    const buckets = [c.current_due, c.days_1_30, c.days_31_60, c.days_61_90, c.days_90plus, -unapplied];
+    const period  = `${fmtDate(c.period_start + 'T00:00')} – ${fmtDate(c.period_end + 'T00:00')}`;
+
+    const lineRows = lines.map(l => `
+            <tr>
+              <td>${fmtDate(l.date)}</td>
+              <td>${esc(l.description)}</td>
+              <td>${esc(l.reference) || '—'}</td>
+              <td class="r">${l.charges ? fmtMoney(l.charges) : ''}</td>
+              <td class="r">${l.credits ? fmtMoney(l.credits) : ''}</td>
+              <td class="r">${fmtMoney(l.balance)}</td>
+            </tr>`).join('');
+
+    const body = `
+<div class="header">
+  <div class="company"><h1>Tick Tock Inc.</h1><p>Statement of Account</p></div>
+  <div class="doc-meta">
+    <div class="doc-label">Customer</div>
+    <div class="doc-number">${esc(c.code)}</div>
+  </div>
+</div>
+<div class="parties">
+  <div class="party"><h3>Account</h3><p><strong>${esc(c.name)}</strong>${c.contact_name ? '<br>'+esc(c.contact_name) : ''}<br>${addrBlock(c.billing_address)}</p></div>
+</div>
+<div class="meta-row">
+  <div class="meta-item"><label>Period</label><span>${period}</span></div>
+  <div class="meta-item"><label>Opening Balance</label><span>${fmtMoney(c.opening_balance)}</span></div>
+</div>
+<table>
+  <thead><tr><th>Date</th><th>Description</th><th>Reference</th><th class="r">Charges</th><th class="r">Credits</th><th class="r">Balance</th></tr></thead>
+  <tbody>
+    <tr><td>${fmtDate(c.period_start + 'T00:00')}</td><td>Balance brought forward</td><td></td><td></td><td></td><td class="r">${fmtMoney(c.opening_balance)}</td></tr>${lineRows}
+  </tbody>
+</table>
+<table>
+  <thead><tr><th class="r">Current</th><th class="r">1–30</th><th class="r">31–60</th><th class="r">61–90</th><th class="r">90+</th><th class="r">Unapplied</th></tr></thead>
+  <tbody><tr>${buckets.map(b => `<td class="r">${fmtMoney(b)}</td>`).join('')}</tr></tbody>
+</table>
+<table class="totals">
+  <tr><td class="label">Opening Balance</td><td class="r">${fmtMoney(c.opening_balance)}</td></tr>
+  <tr><td class="label">Charges</td><td class="r">${fmtMoney(charges)}</td></tr>
+  <tr><td class="label">Payments &amp; Credits</td><td class="r">${fmtMoney(-credits)}</td></tr>
+  <tr class="grand"><td class="label"><strong>Closing Balance</strong></td><td class="r"><strong>${fmtMoney(c.closing_balance)}</strong></td></tr>
+</table>
+<div class="footer">Tick Tock Inc. &bull; Please remit the balance due by each invoice's due date</div>`;
+
+    const sheet = {
+        name: 'Statement of Account', label: 'Customer', number: c.code,
+        parties: [{ heading: 'Account', lines: [c.name, c.contact_name, ...addrLines(c.billing_address)].filter(Boolean) }],
+        meta: [['Period', period], ['Opening Balance', fmtMoney(c.opening_balance)]],
+        tables: [{
+            columns: [col('Date', 1), col('Description', 2.4), col('Reference', 1.4), col('Charges', 1.1, 'right'),
+                      col('Credits', 1.1, 'right'), col('Balance', 1.1, 'right')],
+            rows: [
+                [fmtDate(c.period_start + 'T00:00'), 'Balance brought forward', '', '', '', fmtMoney(c.opening_balance)],
+                ...lines.map(l => [fmtDate(l.date), l.description, l.reference || '—', l.charges ? fmtMoney(l.charges) : '',
+                                   l.credits ? fmtMoney(l.credits) : '', fmtMoney(l.balance)]),
+            ],
+        }, {
+            columns: ['Current', '1–30', '31–60', '61–90', '90+', 'Unapplied'].map(h => col(h, 1, 'right')),
+            rows: [buckets.map(fmtMoney)],
+        }],
+        totals: [['Opening Balance', fmtMoney(c.opening_balance)], ['Charges', fmtMoney(charges)],
+                 ['Payments & Credits', fmtMoney(-credits)], ['Closing Balance', fmtMoney(c.closing_balance), true]],
+        footer: "Please remit the balance due by each invoice's due date",
+    };
+
+    return { title: `Statement ${c.code} ${c.period_end}`, number: `${c.code}-${c.period_end}`, record: c, lines, body, sheet };
+}
+
+// ── Dunning Letter ────────────────────────────────────────────────────────────
+// A payment reminder from a dunning run (lib/dunning.js): the letter text as
+// the run wrote it, then the overdue invoices it lists.
+async function dunningLetter(db, id) {
+    const { rows: [l] } = await db.query(
+        `SELECT dl.*, p.code AS customer_code, p.name AS customer_name, p.email AS customer_email,
+                p.contact_name, p.billing_address, r.number AS run_number
+         FROM   dunning_letters dl
+         JOIN   parties p ON p.id = dl.customer_id
+         JOIN   dunning_runs r ON r.id = dl.run_id
+         WHERE  dl.id = $1`, [id]
+    );
+    if (!l) return null;
+    const { rows: lines } = await db.query(
+        `SELECT si.number, si.invoice_date, si.due_date, si.total, dll.balance_due, dll.days_overdue, dll.level
+         FROM   dunning_letter_lines dll
+         JOIN   sales_invoices si ON si.id = dll.invoice_id
+         WHERE  dll.letter_id = $1
+         ORDER  BY si.due_date, si.number`, [id]
+    );
+
+    const lineRows = lines.map(i => `
+            <tr>
+              <td>${esc(i.number)}</td>
+              <td>${fmtDate(i.invoice_date)}</td>
+              <td>${fmtDate(i.due_date)}</td>
+              <td class="r">${esc(i.days_overdue)}</td>
+              <td class="r">${fmtMoney(i.total)}</td>
+              <td class="r">${fmtMoney(i.balance_due)}</td>
+            </tr>`).join('');
+
+    const body = `
+<div class="header">
+  <div class="company"><h1>Tick Tock Inc.</h1><p>Payment Reminder</p></div>
+  <div class="doc-meta">
+    <div class="doc-label">Reminder</div>
+    <div class="doc-number">${esc(l.number)}</div>
+    <div class="badge">${esc(l.level_name.toUpperCase())}</div>
+  </div>
+</div>
+<div class="parties">
+  <div class="party"><h3>Account</h3><p><strong>${esc(l.customer_name)}</strong>${l.contact_name ? '<br>'+esc(l.contact_name) : ''}<br>${addrBlock(l.billing_address)}</p></div>
+</div>
+<div class="meta-row">
+  <div class="meta-item"><label>Date</label><span>${fmtDate(l.letter_date)}</span></div>
+  <div class="meta-item"><label>Customer</label><span>${esc(l.customer_code)}</span></div>
+  <div class="meta-item"><label>Oldest Overdue</label><span>${esc(l.max_days_overdue)} days</span></div>
+</div>
+<p style="white-space: pre-line; line-height: 1.6; margin-bottom: 24px;">${esc(l.body)}</p>
+<table>
+  <thead><tr><th>Invoice</th><th>Date</th><th>Due</th><th class="r">Days Overdue</th><th class="r">Amount</th><th class="r">Balance</th></tr></thead>
+  <tbody>${lineRows}</tbody>
+</table>
+<table class="totals">
+  <tr class="grand"><td class="label"><strong>Total Overdue</strong></td><td class="r"><strong>${fmtMoney(l.total_overdue)}</strong></td></tr>
+</table>
+<div class="footer">Tick Tock Inc. &bull; If you have already paid, please disregard this reminder</div>`;
+
+    const sheet = {
+        name: 'Payment Reminder', label: 'Reminder', number: l.number, badge: l.level_name.toUpperCase(),
+        parties: [{ heading: 'Account', lines: [l.customer_name, l.contact_name, ...addrLines(l.billing_address)].filter(Boolean) }],
+        meta: [['Date', fmtDate(l.letter_date)], ['Customer', l.customer_code], ['Oldest Overdue', `${l.max_days_overdue} days`]],
+        text: l.body,
+        tables: [{
+            columns: [col('Invoice', 1.3), col('Date', 1), col('Due', 1), col('Days Overdue', 1, 'right'),
+                      col('Amount', 1.1, 'right'), col('Balance', 1.1, 'right')],
+            rows: lines.map(i => [i.number, fmtDate(i.invoice_date), fmtDate(i.due_date), String(i.days_overdue),
+                                  fmtMoney(i.total), fmtMoney(i.balance_due)]),
+        }],
+        totals: [['Total Overdue', fmtMoney(l.total_overdue), true]],
+        footer: 'If you have already paid, please disregard this reminder',
+    };
+
+    return { title: `Reminder ${l.number}`, number: l.number, record: l, lines, body, sheet };
+}
+
+
+// ── Sales Order ───────────────────────────────────────────────────────────────
+async function salesOrder(db, id) {
+    const { rows: [order] } = await db.query(
+        `SELECT so.*, p.name AS customer_name, p.code AS customer_code,
+                p.email AS customer_email, p.phone AS customer_phone,
+                p.contact_name AS customer_contact,
+                p.billing_address, p.shipping_address,
+                w.name AS warehouse_name, w.code AS warehouse_code,
+                u.name AS created_by_name
+         FROM sales_orders so
+         JOIN parties p ON p.id = so.customer_id
+         JOIN warehouses w ON w.id = so.warehouse_id
+         LEFT JOIN users u ON u.id = so.created_by
+         WHERE so.id = $1`, [id]
+    );
+    if (!order) return null;
+    const { rows: lines } = await db.query(
+        `SELECT sol.line_number, sol.qty_ordered, sol.qty_shipped, sol.unit_price,
+                sol.discount_pct, sol.line_total, sol.description,
+                i.code AS item_code, i.name AS item_name, i.unit_of_measure, i.upc_code
+         FROM sales_order_lines sol
+         JOIN items i ON i.id = sol.item_id
+         WHERE sol.sales_order_id = $1
+         ORDER BY sol.line_number`, [id]
+    );
+
+    const lineRows = lines.map(l => `
+            <tr>
+              <td>${esc(l.line_number)}</td>
+              <td>${esc(l.item_code)}</td>
+              <td>${esc(l.item_name)}</td>
+              <td class="r">${esc(l.qty_ordered)} ${esc(l.unit_of_measure)}</td>
+              <td class="r">${fmtMoney(l.unit_price)}</td>
+              <td class="r">${l.discount_pct > 0 ? l.discount_pct + '%' : '—'}</td>
+              <td class="r">${fmtMoney(l.line_total)}</td>
+            </tr>`).join('');
+
+    const taxLabel = `Tax (${order.tax_rate > 0 ? (order.tax_rate * 100).toFixed(2) + '%' : '0%'})`;
+    const body = `
+<div class="header">
+  <div class="company"><h1>Tick Tock Inc.</h1><p>Sales Order</p></div>
+  <div class="doc-meta">
+    <div class="doc-label">Order Number</div>
+    <div class="doc-number">${esc(order.number)}</div>
+    <div class="badge">${esc(order.status.toUpperCase())}</div>
+  </div>
+</div>
+<div class="parties">
+  <div class="party"><h3>Bill To</h3><p><strong>${esc(order.customer_name)}</strong>${order.customer_contact ? '<br>'+esc(order.customer_contact) : ''}<br>${order.customer_email || ''}<br>${addrBlock(order.billing_address)}</p></div>
+  <div class="party"><h3>Ship To</h3><p><strong>${esc(order.customer_name)}</strong><br>${addrBlock(order.shipping_address)}</p></div>
+</div>
+<div class="meta-row">
+  <div class="meta-item"><label>Order Date</label><span>${fmtDate(order.order_date)}</span></div>
+  <div class="meta-item"><label>Req. Ship Date</label><span>${fmtDate(order.requested_ship_date)}</span></div>
+  <div class="meta-item"><label>Warehouse</label><span>${esc(order.warehouse_name)}</span></div>
+  ${order.created_by_name ? `<div class="meta-item"><label>Created By</label><span>${esc(order.created_by_name)}</span></div>` : ''}
+</div>
+<table>
+  <thead><tr><th>#</th><th>SKU</th><th>Description</th><th class="r">Qty</th><th class="r">Unit Price</th><th class="r">Disc</th><th class="r">Total</th></tr></thead>
+  <tbody>${lineRows}</tbody>
+</table>
+<table class="totals">
+  <tr><td class="label">Subtotal</td><td class="r">${fmtMoney(order.subtotal)}</td></tr>
+  <tr><td class="label">${taxLabel}</td><td class="r">${fmtMoney(order.tax_amount)}</td></tr>
+  <tr class="grand"><td class="label"><strong>Order Total</strong></td><td class="r"><strong>${fmtMoney(order.total)}</strong></td></tr>
+</table>
+${order.notes ? `<div class="notes"><strong>Notes:</strong> ${esc(order.notes)}</div>` : ''}
+<div class="footer">Tick Tock Inc. &bull; Sales Order</div>`;
+
+    const sheet = {
+        name: 'Sales Order', label: 'Order Number', number: order.number, badge: order.status.toUpperCase(),
+        parties: [
+            { heading: 'Bill To', lines: [order.customer_name, order.customer_contact, order.customer_email,
+                                          ...addrLines(order.billing_address)].filter(Boolean) },
+            { heading: 'Ship To', lines: [order.customer_name, ...addrLines(order.shipping_address)] },
+        ],
+        meta: [
+            ['Order Date', fmtDate(order.order_date)], ['Req. Ship Date', fmtDate(order.requested_ship_date)],
+            ['Warehouse', order.warehouse_name], order.created_by_name && ['Created By', order.created_by_name],
+        ].filter(Boolean),
+        tables: [{
+            columns: [col('#', 0.4), col('SKU', 1.1), col('Description', 2.6), col('Qty', 1, 'right'),
+                      col('Unit Price', 1.1, 'right'), col('Disc', 0.7, 'right'), col('Total', 1.1, 'right')],
+            rows: lines.map(l => [l.line_number, l.item_code, l.item_name, `${l.qty_ordered} ${l.unit_of_measure}`,
+                                  fmtMoney(l.unit_price), l.discount_pct > 0 ? l.discount_pct + '%' : '—', fmtMoney(l.line_total)]),
+        }],
+        totals: [['Subtotal', fmtMoney(order.subtotal)], [taxLabel, fmtMoney(order.tax_amount)], ['Order Total', fmtMoney(order.total), true]],
+        notes:  order.notes && ['Notes', order.notes],
+        footer: 'Sales Order',
+    };
+
+    return { title: `SO ${order.number}`, number: order.number, record: order, lines, body, sheet };
+}
+
+// ── Adjustment ────────────────────────────────────────────────────────────────
+async function adjustment(db, id) {
+    const { rows: [adj] } = await db.query(
+        `SELECT sa.*, w.name AS warehouse_name, w.code AS warehouse_code,
+                u.name AS created_by_name
+         FROM stock_adjustments sa
+         JOIN warehouses w ON w.id = sa.warehouse_id
+         LEFT JOIN users u ON u.id = sa.created_by
+         WHERE sa.id = $1`, [id]
+    );
+    if (!adj) return null;
+    const { rows: lines } = await db.query(
+        `SELECT sal.*, i.code AS item_code, i.name AS item_name, i.unit_of_measure
+         FROM stock_adjustment_lines sal
+         JOIN items i ON i.id = sal.item_id
+         WHERE sal.adjustment_id = $1
+         ORDER BY i.code`, [id]
+    );
+
+    const variance = l => `${(l.qty_actual - l.qty_system) >= 0 ? '+' : ''}${(l.qty_actual - l.qty_system).toFixed(4)}`;
+    const lineRows = lines.map(l => `
+            <tr>
+              <td>${esc(l.item_code)}</td>
+              <td>${esc(l.item_name)}</td>
+              <td class="r">${esc(l.qty_system)} ${esc(l.unit_of_measure)}</td>
+              <td class="r">${esc(l.qty_actual)} ${esc(l.unit_of_measure)}</td>
+              <td class="r" style="font-weight:600;color:${(l.qty_actual - l.qty_system) >= 0 ? '#198754' : '#dc3545'}">${variance(l)}</td>
+              <td class="r">${fmtMoney(l.cost_per_unit)}</td>
+              <td>${esc(l.notes) || '—'}</td>
+            </tr>`).join('');
+
+    const number = adj.number || adj.id;
+    const body = `
+<div class="header">
+  <div class="company"><h1>Tick Tock Inc.</h1><p>Inventory Adjustment</p></div>
+  <div class="doc-meta">
+    <div class="doc-label">Adjustment</div>
+    <div class="doc-number">${esc(number)}</div>
+    <div class="badge">${esc(adj.status.toUpperCase())}</div>
+  </div>
+</div>
+<div class="meta-row">
+  <div class="meta-item"><label>Date</label><span>${fmtDate(adj.adjustment_date)}</span></div>
+  <div class="meta-item"><label>Warehouse</label><span>${esc(adj.warehouse_name)} (${esc(adj.warehouse_code)})</span></div>
+  ${adj.created_by_name ? `<div class="meta-item"><label>Created By</label><span>${esc(adj.created_by_name)}</span></div>` : ''}
+  ${adj.reason ? `<div class="meta-item"><label>Reason</label><span>${esc(adj.reason)}</span></div>` : ''}
+</div>
+<table>
+  <thead><tr><th>SKU</th><th>Item Name</th><th class="r">System Qty</th><th class="r">Actual Qty</th><th class="r">Variance</th><th class="r">Cost/Unit</th><th>Notes</th></tr></thead>
+  <tbody>${lineRows}</tbody>
+</table>
+${adj.notes ? `<div class="notes"><strong>Notes:</strong> ${esc(adj.notes)}</div>` : ''}
+<div class="footer">Tick Tock Inc. &bull; Inventory Adjustment</div>`;
+
+    const sheet = {
+        name: 'Inventory Adjustment', label: 'Adjustment', number, badge: adj.status.toUpperCase(),
+        parties: [],
+        meta: [
+            ['Date', fmtDate(adj.adjustment_date)], ['Warehouse', `${adj.warehouse_name} (${adj.warehouse_code})`],
+            adj.created_by_name && ['Created By', adj.created_by_name], adj.reason && ['Reason', adj.reason],
+        ].filter(Boolean),
+        tables: [{
+            columns: [col('SKU', 1.1), col('Item Name', 2), col('System Qty', 1.1, 'right'), col('Actual Qty', 1.1, 'right'),
+                      col('Variance', 1, 'right'), col('Cost/Unit', 1, 'right'), col('Notes', 1.5)],
+            rows: lines.map(l => [l.item_code, l.item_name, `${l.qty_system} ${l.unit_of_measure}`,
+                                  `${l.qty_actual} ${l.unit_of_measure}`, variance(l), fmtMoney(l.cost_per_unit), l.notes || '—']),
+        }],
+        totals: [],
+        notes:  adj.notes && ['Notes', adj.notes],
+        footer: 'Inventory Adjustment',
+    };
+
+    return { title: `Adjustment ${number}`, number, record: adj, lines, body, sheet };
+}
+
+// ── Pick List ─────────────────────────────────────────────────────────────────
+async function pickList(db, shipmentId) {
+    const { rows: [shp] } = await db.query(
+        `SELECT s.*, so.number AS order_number, so.notes AS order_notes,
+                p.name AS customer_name, p.shipping_address,
+                w.name AS warehouse_name, w.code AS warehouse_code
+         FROM shipments s
+         JOIN sales_orders so ON so.id = s.sales_order_id
+         JOIN parties p ON p.id = so.customer_id
+         JOIN warehouses w ON w.id = s.warehouse_id
+         WHERE s.id = $1`, [shipmentId]
+    );
+    if (!shp) return null;
+    const { rows: lines } = await db.query(
+        `SELECT sol.line_number, sl.qty_shipped,
+                i.code AS item_code, i.name AS item_name,
+                i.unit_of_measure, i.upc_code
+         FROM shipment_lines sl
+         JOIN sales_order_lines sol ON sol.id = sl.sales_order_line_id
+         JOIN items i ON i.id = sl.item_id
+         WHERE sl.shipment_id = $1
+         ORDER BY sol.line_number`, [shipmentId]
+    );
+
+    const lineRows = lines.map(l => `
+            <tr>
+              <td>${esc(l.line_number)}</td>
+              <td>${esc(l.item_code)}</td>
+              <td>${esc(l.item_name)}</td>
+              <td class="r">${esc(l.qty_shipped)} ${esc(l.unit_of_measure)}</td>
+              <td>${esc(l.upc_code) || '—'}</td>
+              <td style="width:80px;border-bottom:1px solid #ccc;">&nbsp;</td>
+            </tr>`).join('');
+
+    const body = `
+<div class="header">
+  <div class="company"><h1>Tick Tock Inc.</h1><p>Warehouse Pick List</p></div>
+  <div class="doc-meta">
+    <div class="doc-label">Shipment</div>
+    <div class="doc-number">${esc(shp.number)}</div>
+  </div>
+</div>
+<div class="parties">
+  <div class="party"><h3>Ship To</h3><p><strong>${esc(shp.customer_name)}</strong><br>${addrBlock(shp.shipping_address)}</p></div>
+  <div class="party"><h3>Warehouse</h3><p><strong>${esc(shp.warehouse_name)}</strong> (${esc(shp.warehouse_code)})</p></div>
+</div>
+<div class="meta-row">
+  <div class="meta-item"><label>Ship Date</label><span>${fmtDate(shp.ship_date)}</span></div>
+  <div class="meta-item"><label>Order #</label><span>${esc(shp.order_number)}</span></div>
+  ${shp.carrier ? `<div class="meta-item"><label>Carrier</label><span>${esc(shp.carrier)}</span></div>` : ''}
+</div>
+<table>
+  <thead><tr><th>#</th><th>SKU</th><th>Item Name</th><th class="r">Qty</th><th>UPC</th><th>Picked ✓</th></tr></thead>
+  <tbody>${lineRows}</tbody>
+</table>
+${shp.order_notes ? `<div class="notes"><strong>Notes:</strong> ${esc(shp.order_notes)}</div>` : ''}
+<div class="footer">Tick Tock Inc. &bull; Pick List</div>`;
+
+    const sheet = {
+        name: 'Warehouse Pick List', label: 'Shipment', number: shp.number,
+        parties: [
+            { heading: 'Ship To', lines: [shp.customer_name, ...addrLines(shp.shipping_address)] },
+            { heading: 'Warehouse', lines: [`${shp.warehouse_name} (${shp.warehouse_code})`] },
+        ],
+        meta: [
+            ['Ship Date', fmtDate(shp.ship_date)], ['Order #', shp.order_number],
+            shp.carrier && ['Carrier', shp.carrier],
+        ].filter(Boolean),
+        tables: [{
+            columns: [col('#', 0.4), col('SKU', 1.1), col('Item Name', 2.6), col('Qty', 1, 'right'), col('UPC', 1.3), col('Picked', 0.8)],
+            rows: lines.map(l => [l.line_number, l.item_code, l.item_name, `${l.qty_shipped} ${l.unit_of_measure}`, l.upc_code || '—', '']),
+        }],
+        totals: [],
+        notes:  shp.order_notes && ['Notes', shp.order_notes],
+        footer: 'Pick List',
+    };
+
+    return { title: `Pick List ${shp.number}`, number: shp.number, record: shp, lines, body, sheet };
+}
+
+// ── Shipping documents ────────────────────────────────────────────────────────
+// The packing slip and the bill of lading read the same shipment; the BOL adds
+// country of origin to its lines.
+async function shipmentWithLines(db, id, { origin = false } = {}) {
+    const { rows: [shp] } = await db.query(
+        `SELECT s.*,
+                so.number AS order_number,
+                p.name AS customer_name, p.code AS customer_code,
+                p.shipping_address,
+                w.name AS warehouse_name, w.code AS warehouse_code,
+                w.address AS warehouse_address,
+                sc.name AS carrier_name,
+                sc.tracking_url_template
+         FROM   shipments s
+         JOIN   sales_orders so ON so.id = s.sales_order_id
+         JOIN   parties p ON p.id = so.customer_id
+         JOIN   warehouses w ON w.id = s.warehouse_id
+         LEFT JOIN shipping_carriers sc ON sc.code = s.carrier
+         WHERE  s.id = $1`, [id]
+    );
+    if (!shp) return {};
+    const { rows: lines } = await db.query(
+        `SELECT sl.*, sol.line_number, i.code AS item_code, i.name AS item_name,
+                i.unit_of_measure, i.upc_code, i.weight_lb AS unit_weight_lb
+                ${origin ? ', i.country_of_origin' : ''}
+         FROM   shipment_lines sl
+         JOIN   sales_order_lines sol ON sol.id = sl.sales_order_line_id
+         JOIN   items i ON i.id = sl.item_id
+         WHERE  sl.shipment_id = $1
+         ORDER  BY sol.line_number`, [id]
+    );
+    return { shp, lines };
+}
+
+const lineWeight = l => l.unit_weight_lb ? (parseFloat(l.qty_shipped) * parseFloat(l.unit_weight_lb)).toFixed(2) + ' lb' : '—';
+
+async function packingSlip(db, id) {
+    const { shp, lines } = await shipmentWithLines(db, id);
+    if (!shp) return null;
+
+    const trackingUrl = shp.tracking_url_template && shp.tracking_number
+        ? shp.tracking_url_template.replace('{tracking_number}', shp.tracking_number)
+        : null;
+
+    const totalQty = lines.reduce((s, l) => s + parseFloat(l.qty_shipped || 0), 0);
+    const totalWeight = lines.reduce((s, l) =>
+        s + parseFloat(l.qty_shipped || 0) * parseFloat(l.unit_weight_lb || 0), 0);
+
+    const lineRows = lines.map(l => `
+            <tr>
+              <td>${esc(l.line_number)}</td>
+              <td>${esc(l.item_code)}</td>
+              <td>${esc(l.item_name)}</td>
+              <td>${esc(l.upc_code) || '—'}</td>
+              <td class="r">${esc(l.qty_shipped)} ${esc(l.unit_of_measure)}</td>
+              <td class="r">${lineWeight(l)}</td>
+            </tr>`).join('');
+
+    const shipAddr = addrBlock(shp.shipping_address);
+    const fromAddr = addrBlock(shp.warehouse_address) || `${esc(shp.warehouse_name)} (${esc(shp.warehouse_code)})`;
+
+    const body = `
+<div class="header">
+  <div class="company"><h1>Tick Tock Inc.</h1><p>Packing Slip</p></div>
+  <div class="doc-meta">
+    <div class="doc-label">Shipment</div>
+    <div class="doc-number">${esc(shp.number)}</div>
+    <div class="badge">${esc(shp.status || '').toUpperCase()}</div>
+  </div>
+</div>
+<div class="parties">
+  <div class="party"><h3>Ship To</h3><p>${esc(shp.customer_name)} (${esc(shp.customer_code)})<br>${shipAddr || '—'}</p></div>
+  <div class="party"><h3>Ship From</h3><p>${fromAddr}</p></div>
+</div>
+<div class="meta-row">
+  <div class="meta-item"><label>Order #</label><span>${esc(shp.order_number)}</span></div>
+  <div class="meta-item"><label>Ship Date</label><span>${fmtDate(shp.ship_date || shp.created_at)}</span></div>
+  <div class="meta-item"><label>Carrier</label><span>${shp.carrier_name ? esc(shp.carrier_name) : '—'}</span></div>
+  <div class="meta-item"><label>Service</label><span>${shp.service_level ? esc(shp.service_level) : '—'}</span></div>
+  ${shp.tracking_number ? `<div class="meta-item"><label>Tracking #</label><span>${trackingUrl ? `<a href="${esc(trackingUrl)}" target="_blank">${esc(shp.tracking_number)}</a>` : esc(shp.tracking_number)}</span></div>` : ''}
+  ${shp.weight_lb ? `<div class="meta-item"><label>Total Weight</label><span>${parseFloat(shp.weight_lb).toFixed(2)} lb</span></div>` : ''}
+  ${shp.freight_cost ? `<div class="meta-item"><label>Freight Cost</label><span>${fmtMoney(shp.freight_cost)}</span></div>` : ''}
+</div>
+<table>
+  <thead><tr><th>#</th><th>SKU</th><th>Item</th><th>UPC</th><th class="r">Qty Shipped</th><th class="r">Weight</th></tr></thead>
+  <tbody>${lineRows}</tbody>
+  <tfoot><tr><td colspan="4" style="text-align:right;font-weight:600">Totals</td><td class="r">${totalQty.toFixed(2)}</td><td class="r">${totalWeight.toFixed(2)} lb</td></tr></tfoot>
+</table>
+${shp.notes ? `<div class="notes"><strong>Notes:</strong> ${esc(shp.notes)}</div>` : ''}
+<div style="margin-top:32px;padding:12px;border:1px dashed #dee2e6;border-radius:4px;font-size:11px;color:#6c757d;text-align:center">
+  Please inspect your order upon receipt. Report discrepancies within 48 hours.<br>
+  Tick Tock Inc. &bull; Thank you for your business!
+</div>`;
+
+    const shipTo = addrLines(shp.shipping_address);
+    const sheet = {
+        name: 'Packing Slip', label: 'Shipment', number: shp.number, badge: (shp.status || '').toUpperCase(),
+        parties: [
+            { heading: 'Ship To', lines: [`${shp.customer_name} (${shp.customer_code})`, ...(shipTo.length ? shipTo : ['—'])] },
+            { heading: 'Ship From', lines: addrLines(shp.warehouse_address).length
+                ? addrLines(shp.warehouse_address) : [`${shp.warehouse_name} (${shp.warehouse_code})`] },
+        ],
+        meta: [
+            ['Order #', shp.order_number], ['Ship Date', fmtDate(shp.ship_date || shp.created_at)],
+            ['Carrier', shp.carrier_name || '—'], ['Service', shp.service_level || '—'],
+            shp.tracking_number && ['Tracking #', shp.tracking_number],
+            shp.weight_lb && ['Total Weight', `${parseFloat(shp.weight_lb).toFixed(2)} lb`],
+            shp.freight_cost && ['Freight Cost', fmtMoney(shp.freight_cost)],
+        ].filter(Boolean),
+        tables: [{
+            columns: [col('#', 0.4), col('SKU', 1.1), col('Item', 2.4), col('UPC', 1.3), col('Qty Shipped', 1.2, 'right'), col('Weight', 1, 'right')],
+            rows: lines.map(l => [l.line_number, l.item_code, l.item_name, l.upc_code || '—',
+                                  `${l.qty_shipped} ${l.unit_of_measure}`, lineWeight(l)]),
+            foot: ['', '', '', 'Totals', totalQty.toFixed(2), `${totalWeight.toFixed(2)} lb`],
+        }],
+        totals: [],
+        notes:  shp.notes && ['Notes', shp.notes],
+        footer: 'Please inspect your order upon receipt. Report discrepancies within 48 hours. Thank you for your business!',
+    };
+
+    return { title: `Packing Slip ${shp.number}`, number: shp.number, record: shp, lines, body, sheet };
+}
+
+async function billOfLading(db, id) {
+    const { shp, lines } = await shipmentWithLines(db, id, { origin: true });
+    if (!shp) return null;
+
+    const totalWeight = shp.weight_lb
+        ? parseFloat(shp.weight_lb).toFixed(2)
+        : lines.reduce((s, l) =>
+            s + parseFloat(l.qty_shipped || 0) * parseFloat(l.unit_weight_lb || 0), 0
+          ).toFixed(2);
+
+    const lineRows = lines.map(l => `
+            <tr>
+              <td>${esc(l.line_number)}</td>
+              <td>${esc(l.item_code)}</td>
+              <td>${esc(l.item_name)}</td>
+              <td>${esc(l.country_of_origin) || 'US'}</td>
+              <td class="r">${esc(l.qty_shipped)} ${esc(l.unit_of_measure)}</td>
+              <td class="r">${lineWeight(l)}</td>
+            </tr>`).join('');
+
+    const shipAddr = addrBlock(shp.shipping_address);
+    const fromAddr = addrBlock(shp.warehouse_address) || esc(shp.warehouse_name);
+
+    const body = `
+<div class="header">
+  <div class="company"><h1>Tick Tock Inc.</h1><p>Bill of Lading</p></div>
+  <div class="doc-meta">
+    <div class="doc-label">BOL / Shipment</div>
+    <div class="doc-number">${esc(shp.number)}</div>
+    <div style="font-size:11px;color:#6c757d;margin-top:4px">Date: ${fmtDate(shp.ship_date || shp.created_at)}</div>
+  </div>
+</div>
+
+<!-- Parties -->
+<table style="margin-bottom:20px;border:1px solid #dee2e6">
+  <thead><tr><th style="width:50%">Shipper (Bill of Lading)</th><th>Consignee</th></tr></thead>
+  <tbody>
+    <tr>
+      <td style="padding:12px;vertical-align:top">
+        <strong>Tick Tock Inc.</strong><br>
+        ${fromAddr}
+      </td>
+      <td style="padding:12px;vertical-align:top">
+        <strong>${esc(shp.customer_name)}</strong><br>
+        ${shipAddr || '—'}
+      </td>
+    </tr>
+  </tbody>
+</table>
+
+<!-- Carrier -->
+<div class="meta-row">
+  <div class="meta-item"><label>Carrier</label><span>${shp.carrier_name ? esc(shp.carrier_name) : esc(shp.carrier) || '—'}</span></div>
+  <div class="meta-item"><label>Service</label><span>${shp.service_level ? esc(shp.service_level) : '—'}</span></div>
+  <div class="meta-item"><label>Tracking / PRO #</label><span>${shp.tracking_number ? esc(shp.tracking_number) : '—'}</span></div>
+  <div class="meta-item"><label>Total Weight</label><span>${totalWeight} lb</span></div>
+  <div class="meta-item"><label>Freight Terms</label><span>Prepaid</span></div>
+  <div class="meta-item"><label>Reference (SO)</label><span>${esc(shp.order_number)}</span></div>
+</div>
+
+<!-- Commodities -->
+<table>
+  <thead><tr><th>#</th><th>SKU</th><th>Description</th><th>Origin</th><th class="r">Qty</th><th class="r">Weight</th></tr></thead>
+  <tbody>${lineRows}</tbody>
+  <tfoot><tr><td colspan="4" style="text-align:right;font-weight:600">Totals</td>
+    <td></td>
+    <td class="r" style="font-weight:700">${totalWeight} lb</td>
+  </tr></tfoot>
+</table>
+
+<!-- Signature block -->
+<table style="margin-top:32px;border:1px solid #dee2e6;border-collapse:collapse">
+  <thead><tr><th style="width:50%;padding:8px">Shipper Signature</th><th style="padding:8px">Carrier Signature / Date</th></tr></thead>
+  <tbody>
+    <tr>
+      <td style="height:60px;padding:8px;vertical-align:bottom;font-size:11px;color:#6c757d">Signed: ____________________________  Date: __________</td>
+      <td style="height:60px;padding:8px;vertical-align:bottom;font-size:11px;color:#6c757d">Signed: ____________________________  Date: __________</td>
+    </tr>
+  </tbody>
+</table>
+${shp.notes ? `<div class="notes" style="margin-top:16px"><strong>Special Instructions:</strong> ${esc(shp.notes)}</div>` : ''}
+<div class="footer">This Bill of Lading is the contract between Tick Tock Inc. and the carrier. Subject to standard freight terms and conditions.</div>`;
+
+    const consignee = addrLines(shp.shipping_address);
+    const sheet = {
+        name: 'Bill of Lading', label: 'BOL / Shipment', number: shp.number,
+        parties: [
+            // The shipper's own name is on the letterhead
+            { heading: 'Shipper (Bill of Lading)', lines: [shp.warehouse_name, ...addrLines(shp.warehouse_address)] },
+            { heading: 'Consignee', lines: [shp.customer_name, ...(consignee.length ? consignee : ['—'])] },
+        ],
+        meta: [
+            ['Date', fmtDate(shp.ship_date || shp.created_at)],
+            ['Carrier', shp.carrier_name || shp.carrier || '—'], ['Service', shp.service_level || '—'],
+            ['Tracking / PRO #', shp.tracking_number || '—'], ['Total Weight', `${totalWeight} lb`],
+            ['Freight Terms', 'Prepaid'], ['Reference (SO)', shp.order_number],
+        ],
+        tables: [{
+            columns: [col('#', 0.4), col('SKU', 1.1), col('Description', 2.6), col('Origin', 0.8), col('Qty', 1, 'right'), col('Weight', 1, 'right')],
+            rows: lines.map(l => [l.line_number, l.item_code, l.item_name, l.country_of_origin || 'US',
+                                  `${l.qty_shipped} ${l.unit_of_measure}`, lineWeight(l)]),
+            foot: ['', '', '', 'Totals', '', `${totalWeight} lb`],
+        }],
+        totals: [],
+        signatures: ['Shipper Signature', 'Carrier Signature / Date'],
+        notes:  shp.notes && ['Special Instructions', shp.notes],
+        footer: 'This Bill of Lading is the contract between the shipper and the carrier. Subject to standard freight terms and conditions.',
+    };
+
+    return { title: `BOL — ${shp.number}`, number: shp.number, record: shp, lines, body, sheet };
+}
+
+// ── Registry ──────────────────────────────────────────────────────────────────
+// doc_type → loader and the file name stem; statements load by customer id
+// (activity statements take { from, to } as well), pick lists, packing slips
+// and bills of lading by shipment id.
+const TYPES = {
+    invoice:            { load: invoice,            file: 'Invoice' },
+    sales_order:        { load: salesOrder,         file: 'SalesOrder' },
+    purchase_order:     { load: purchaseOrder,      file: 'PurchaseOrder' },
+    statement:          { load: statement,          file: 'Statement' },
+    adjustment:         { load: adjustment,         file: 'Adjustment' },
+    pick_list:          { load: pickList,           file: 'PickList' },
+    packing_slip:       { load: packingSlip,        file: 'PackingSlip' },
+    bill_of_lading:     { load: billOfLading,       file: 'BillOfLading' },
+    activity_statement: { load: activityStatement,  file: 'ActivityStatement' },
+    dunning_letter:     { load: dunningLetter,      file: 'Reminder' },
+};
+const DOC_TYPES = Object.keys(TYPES);
+
+/** Load any document by type; null when the type or the record is unknown. */
+async function load(db, docType, id, opts) {
+    return TYPES[docType] ? TYPES[docType].load(db, id, opts) : null;
+}
+
+/** Download / attachment name, e.g. Invoice-INV-1001.pdf */
+function fileName(docType, doc, ext = 'pdf') {
+    return `${TYPES[docType].file}-${doc.number}.${ext}`.replace(/[^\w.-]+/g, '_');
+}
+
+module.exports = {
+    page, fmtMoney, fmtDate, esc, addrLines, addrBlock,
+    invoice, purchaseOrder, statement, activityStatement, dunningLetter,
+    salesOrder, adjustment, pickList, packingSlip, billOfLading,
+    TYPES, DOC_TYPES, load, fileName,
+};
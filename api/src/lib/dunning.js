@@ -0,0 +1,227 @@
+'use strict';
+
+// lib/dunning.js
+// Dunning — payment reminders for overdue invoices, at escalating levels.
+//
+// A level { level, name, days_overdue, follow_up_days, subject, body } is
+// reached by an invoice once it is that many days past due. Only invoices
+// the customer has been sent (sent / partial_paid) are reminded. A run, as
+// of a date, proposes one letter per customer with an invoice at a level it
+// has not been reminded at yet — its last level is the highest on a letter
+// that was not cancelled. The letter lists all of the customer's overdue
+// invoices at the highest level any of them reached, with the level's
+// subject and body filled in. Companies set their own levels in
+// dunning_levels; without any, DEFAULT_LEVELS apply.
+//
+// run() writes the letters as queued and records each one as an outbound
+// note in customer_interactions, with the level's follow-up date. sent() and
+// cancel() move a queued letter on and update its interaction.
+//
+// Usage:
+//   const dunning = require('../lib/dunning');
+//   const { letters } = await dunning.propose(req.db, { asOf: '2026-10-31' });
+//   const run = await dunning.run(client, { asOf, userId });
+//   await dunning.sent(client, letter, { email, userId });
+
+const documents = require('./documents');
+const numbering = require('./numbering');
+const pdf       = require('./pdf');
+
+/** Used when a company has no dunning_levels rows. */
+const DEFAULT_LEVELS = [
+    {
+        level: 1, name: 'Payment reminder', days_overdue: 7, follow_up_days: 7,
+        subject: 'Payment reminder from {{company_name}}',
+        body:    'Dear {{contact_name}},\n\nOur records show {{invoice_count}} invoice(s) on your account past due, '
+               + 'totalling {{total_overdue}}. If payment is already on its way, thank you — please disregard this '
+               + 'reminder. Otherwise we would be grateful if you could arrange payment at your earliest convenience.'
+               + '\n\nRegards,\n{{company_name}}',
+    },
+    {
+        level: 2, name: 'Second reminder', days_overdue: 30, follow_up_days: 7,
+        subject: 'Second reminder: {{total_overdue}} overdue',
+        body:    'Dear {{contact_name}},\n\nWe have not yet received payment of {{total_overdue}}, now up to '
+               + '{{days_overdue}} days overdue. Please arrange payment within 7 days, or contact us if there is '
+               + 'a problem with any of the invoices listed.\n\nRegards,\n{{company_name}}',
+    },
+    {
+        level: 3, name: 'Final notice', days_overdue: 60, follow_up_days: 3,
+        subject: 'Final notice: account {{customer_code}}',
+        body:    'Dear {{contact_name}},\n\nDespite our earlier reminders, {{total_overdue}} remains unpaid, up to '
+               + '{{days_overdue}} days overdue. Unless payment is received within 7 days we will place your account '
+               + 'on hold and may pass the debt on for collection.\n\n{{company_name}}',
+    },
+];
+
+/** Placeholders a level's subject and body can use. */
+const PLACEHOLDERS = [
+    'company_name', 'customer_name', 'customer_code', 'contact_name', 'level_name',
+    'date', 'invoice_count', 'total_overdue', 'days_overdue',
+];
+
+const num = n => parseFloat(n) || 0;
+
+/** The company's levels, lowest first, or the defaults. */
+async function levels(db) {
+    const { rows } = await db.query(
+        `SELECT level, name, days_overdue, follow_up_days, subject, body, updated_by, updated_at
+         FROM   dunning_levels ORDER BY level`
+    );
+    return rows.length
+        ? { is_default: false, levels: rows }
+        : { is_default: true,  levels: DEFAULT_LEVELS };
+}
+
+/**
+ * The letters a run as of `asOf` (default today) would write, optionally for
+ * some customers only. Nothing is written. Resolves to { as_of, letters }.
+ */
+async function propose(db, { asOf = null, customerIds = null } = {}) {
+    const { levels: lv } = await levels(db);
+    const { rows: [{ as_of }] } = await db.query(`SELECT COALESCE($1::date, CURRENT_DATE)::text AS as_of`, [asOf]);
+    const { rows: invoices } = await db.query(
+        `SELECT si.id AS invoice_id, si.number, si.customer_id, si.invoice_date, si.due_date,
+                si.total, si.balance_due, $1::date - si.due_date AS days_overdue,
+                (SELECT MAX(dll.level)
+                 FROM   dunning_letter_lines dll
+                 JOIN   dunning_letters dl ON dl.id = dll.letter_id
+                 WHERE  dll.invoice_id = si.id AND dl.status <> 'cancelled') AS last_level,
+                p.code AS customer_code, p.name AS customer_name, p.email AS customer_email, p.contact_name
+         FROM   sales_invoices si
+         JOIN   parties p ON p.id = si.customer_id
+         WHERE  si.status IN ('sent','partial_paid') AND si.balance_due > 0
+           AND  si.due_date <= $1::date - $2::int
+           AND  p.is_active = true
+           AND  ($3::uuid[] IS NULL OR si.customer_id = ANY($3::uuid[]))
+         ORDER  BY p.name, p.id, si.due_date, si.number`,
+        [as_of, lv[0].days_overdue, customerIds]
+    );
+
+    const byCustomer = new Map();
+    for (const inv of invoices) {
+        const level = lv.filter(l => l.days_overdue <= inv.days_overdue).at(-1);
+        inv.level = level.level;
+        if (!byCustomer.has(inv.customer_id)) byCustomer.set(inv.customer_id, []);
+        byCustomer.get(inv.customer_id).push(inv);
+    }
+
+    const { name: companyName } = await pdf.letterhead(db);
+    const letters = [];
+    for (const [customerId, invs] of byCustomer) {
+        if (!invs.some(i => i.level > (i.last_level || 0))) continue;
+        const level = lv.find(l => l.level === Math.max(...invs.map(i => i.level)));
+        const [first] = invs;
+        const letter = {
+            customer_id:      customerId,
+            customer_code:    first.customer_code,
+            customer_name:    first.customer_name,
+            customer_email:   first.customer_email,
+            level:            level.level,
+            level_name:       level.name,
+            follow_up_days:   level.follow_up_days ?? null,
+            max_days_overdue: Math.max(...invs.map(i => i.days_overdue)),
+            total_overdue:    Math.round(invs.reduce((s, i) => s + num(i.balance_due), 0) * 100) / 100,
+            invoices: invs.map(i => ({
+                invoice_id: i.invoice_id, number: i.number, invoice_date: i.invoice_date, due_date: i.due_date,
+                total: i.total, balance_due: i.balance_due, days_overdue: i.days_overdue,
+                level: i.level, last_level: i.last_level,
+            })),
+        };
+        const vars = {
+            company_name:  companyName,
+            customer_name: letter.customer_name,
+            customer_code: letter.customer_code,
+            contact_name:  first.contact_name || letter.customer_name,
+            level_name:    level.name,
+            date:          documents.fmtDate(`${as_of}T00:00`),
+            invoice_count: invs.length,
+            total_overdue: documents.fmtMoney(letter.total_overdue),
+            days_overdue:  letter.max_days_overdue,
+        };
+        letter.subject = fill(level.subject, vars).replace(/\s+/g, ' ').trim().slice(0, 200);
+        letter.body    = fill(level.body, vars).replace(/\n{3,}/g, '\n\n').trim();
+        letters.push(letter);
+    }
+    return { as_of, letters };
+}
+
+// {{name}} placeholders; unknown names are left as they are
+function fill(text, vars) {
+    return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, k) => (k in vars ? String(vars[k] ?? '') : m));
+}
+
+/**
+ * Write a run: the proposed letters, queued, each with its invoices and a CRM
+ * interaction. Call inside a transaction. Resolves to the run with its letters.
+ */
+async function run(client, { asOf = null, customerIds = null, userId = null } = {}) {
+    const { as_of, letters } = await propose(client, { asOf, customerIds });
+    const total = Math.round(letters.reduce((s, l) => s + l.total_overdue, 0) * 100) / 100;
+    const { rows: [dunningRun] } = await client.query(
+        `INSERT INTO dunning_runs (number, as_of, letter_count, total_overdue, created_by)
+         VALUES ($1,$2,$3,$4,$5) RETURNING *`,
+        [await numbering.next(client, 'dunning_run'), as_of, letters.length, total, userId]
+    );
+
+    const written = [];
+    for (const l of letters) {
+        const number = await numbering.next(client, 'dunning_letter');
+        const { rows: [interaction] } = await client.query(
+            `INSERT INTO customer_interactions
+                (customer_id, type, direction, subject, body, outcome, follow_up_date, agent_id)
+             VALUES ($1,'note','outbound',$2,$3,'Reminder queued',$4::date + $5::int,$6) RETURNING id`,
+            [l.customer_id, `${l.level_name} ${number}`.slice(0, 200), l.body, as_of, l.follow_up_days, userId]
+        );
+        const { rows: [letter] } = await client.query(
+            `INSERT INTO dunning_letters
+                (number, run_id, customer_id, letter_date, level, level_name, max_days_overdue,
+                 total_overdue, subject, body, interaction_id, created_by)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12) RETURNING *`,
+            [number, dunningRun.id, l.customer_id, as_of, l.level, l.level_name, l.max_days_overdue,
+             l.total_overdue, l.subject, l.body, interaction.id, userId]
+        );
+        for (const i of l.invoices) {
+            await client.query(
+                `INSERT INTO dunning_letter_lines (letter_id, invoice_id, level, days_overdue, balance_due)
+                 VALUES ($1,$2,$3,$4,$5)`,
+                [letter.id, i.invoice_id, i.level, i.days_overdue, i.balance_due]
+            );
+        }
+        written.push({ ...letter, customer_code: l.customer_code, customer_name: l.customer_name, invoices: l.invoices });
+    }
+    return { ...dunningRun, letters: written };
+}
+
+/**
+ * Mark a queued letter sent — emailed when `email` (the email_messages row)
+ * is given, otherwise sent on paper — and update its interaction.
+ */
+async function sent(client, letter, { email = null, userId = null } = {}) {
+    const { rows: [row] } = await client.query(
+        `UPDATE dunning_letters
+         SET status = 'sent', sent_at = NOW(), sent_by = $2, email_message_id = $3
+         WHERE id = $1 RETURNING *`,
+        [letter.id, userId, email?.id || null]
+    );
+    await client.query(
+        `UPDATE customer_interactions SET type = $2, outcome = $3 WHERE id = $1`,
+        [letter.interaction_id, email ? 'email' : 'note',
+         email ? `Reminder emailed to ${email.to_addresses.join(', ')}`.slice(0, 200) : 'Reminder sent']
+    );
+    return row;
+}
+
+/** Withdraw a queued letter; its invoices can be reminded at the same level again. */
+async function cancel(client, letter) {
+    const { rows: [row] } = await client.query(
+        `UPDATE dunning_letters SET status = 'cancelled', cancelled_at = NOW() WHERE id = $1 RETURNING *`,
+        [letter.id]
+    );
+    await client.query(
+        `UPDATE customer_interactions SET outcome = 'Reminder cancelled', follow_up_date = NULL
+         WHERE id = $1`, [letter.interaction_id]
+    );
+    return row;
+}
+
+module.exports = { DEFAULT_LEVELS, PLACEHOLDERS, levels, propose, run, sent, cancel };
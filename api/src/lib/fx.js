@@ -0,0 +1,219 @@
+'use strict';
+
+// lib/fx.js
+// Foreign currency — exchange rates, converting document amounts to the
+// company's base currency (companies.currency_code), and the revaluation of
+// open foreign-currency AR and AP.
+//
+// A rate is the number of base units one unit of the currency buys on a day
+// (EUR 1.0850 in a USD company: €1 = $1.085). The rate for a date is the
+// latest one on or before it; the base currency is always 1. Documents lock
+// their rate when they are posted, so later rates only move them through a
+// revaluation (unrealized) or their settlement (realized).
+//
+// Usage:
+//   const fx = require('../lib/fx');
+//   const rate = await fx.rateOn(client, customer.currency, shp.ship_date);   // 422 when there is none
+//   const base = fx.toBase(invoice.total, rate);
+
+const statements = require('./bank-statements');
+const { dateStr } = require('./periods');
+
+const CURRENCY = /^[A-Z]{3}$/;
+
+const ROUND = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+const bad   = msg => Object.assign(new Error(msg), { status: 400 });
+
+/** The company's base currency. */
+async function baseCurrency(db) {
+    const { rows: [co] } = await db.query(
+        `SELECT currency_code FROM companies WHERE id = current_company_id()`
+    );
+    return co?.currency_code || 'USD';
+}
+
+/**
+ * Base units per unit of `currency` on `date` (today when omitted): 1 for the
+ * base currency, else the latest rate on or before the date. 422 when there
+ * is none.
+ */
+async function rateOn(db, currency, date) {
+    const day = date ? dateStr(date) : new Date().toISOString().slice(0, 10);
+    if (!currency || currency === await baseCurrency(db)) return 1;
+    const { rows: [r] } = await db.query(
+        `SELECT rate FROM exchange_rates
+         WHERE  currency = $1 AND rate_date <= $2
+         ORDER  BY rate_date DESC LIMIT 1`,
+        [currency, day]
+    );
+    if (!r) throw Object.assign(
+        new Error(`No ${currency} exchange rate on or before ${day}; add one under /api/fx/rates`), { status: 422 }
+    );
+    return parseFloat(r.rate);
+}
+
+/** An amount in base currency, to the cent. */
+function toBase(amount, rate) {
+    return ROUND((parseFloat(amount) || 0) * (parseFloat(rate) || 1));
+}
+
+/** A base-currency unit price or cost in units of a currency at `rate`, to four places like document lines. */
+function fromBase(amount, rate) {
+    return Math.round((parseFloat(amount) || 0) / (parseFloat(rate) || 1) * 10000) / 10000;
+}
+
+/**
+ * Refuse (409) to move a customer or vendor to another currency while any of
+ * their orders, invoices or credit memos is still open in the current one.
+ */
+async function assertCurrencyChange(db, partyId, currency) {
+    const { rows: [p] } = await db.query(
+        `SELECT p.currency,
+                (SELECT COUNT(*) FROM sales_orders WHERE customer_id = p.id
+                    AND status NOT IN ('fully_shipped','invoiced','closed','cancelled'))
+              + (SELECT COUNT(*) FROM sales_invoices WHERE customer_id = p.id AND status NOT IN ('paid','void'))
+              + (SELECT COUNT(*) FROM credit_memos WHERE customer_id = p.id AND status IN ('open','partially_applied'))
+              + (SELECT COUNT(*) FROM purchase_orders WHERE vendor_id = p.id
+                    AND status NOT IN ('fully_received','closed','cancelled'))
+              + (SELECT COUNT(*) FROM vendor_invoices WHERE vendor_id = p.id AND status NOT IN ('paid','void'))
+                AS open_documents
+         FROM   parties p WHERE p.id = $1`,
+        [partyId]
+    );
+    if (!p || p.currency === currency) return;
+    if (parseInt(p.open_documents, 10) > 0) throw Object.assign(new Error(
+        `Currency cannot change from ${p.currency} while ${p.open_documents} document(s) are open in it`
+    ), { status: 409 });
+}
+
+// ── Rate files ────────────────────────────────────────────────────────────────
+
+/**
+ * Parse a CSV of rates into [{ currency, rate_date, rate }]. Two layouts:
+ *   long   currency,date,rate           one rate per row
+ *   wide   date,EUR,GBP,…               one column per currency (the ECB's)
+ * `inverse` reads the rates as currency units per base unit (1 USD = 0.92 EUR)
+ * and turns them around. Empty cells and N/A are skipped.
+ */
+function parseRates(content, { date_format = null, inverse = false } = {}) {
+    const text = (Buffer.isBuffer(content) ? content.toString('utf8') : String(content ?? '')).replace(/^\uFEFF/, '');
+    if (!text.trim()) throw bad('The rate file is empty');
+    const rows = statements.csvRows(text);
+    if (rows.length < 2) throw bad('The rate file needs a header row and at least one rate');
+    const header = rows[0].map(h => h.trim());
+    const lower  = header.map(h => h.toLowerCase().replace(/[_\s]+/g, ' '));
+    const find   = names => names.map(n => lower.indexOf(n)).find(i => i >= 0) ?? -1;
+
+    const dateCol = find(['date', 'rate date', 'effective date', 'day']);
+    if (dateCol < 0) throw bad('The rate file has no date column');
+    const currencyCol = find(['currency', 'currency code', 'code', 'ccy']);
+    const rateCol     = find(['rate', 'exchange rate', 'value']);
+
+    const rateOf = (raw, where) => {
+        const s = String(raw ?? '').trim();
+        if (!s || /^n\/?a$/i.test(s)) return null;
+        const n = Number(s.replace(/,/g, ''));
+        if (!Number.isFinite(n) || n <= 0) throw bad(`${where}: invalid rate '${raw}'`);
+        return inverse ? 1 / n : n;
+    };
+
+    const out = [];
+    rows.slice(1).forEach((r, i) => {
+        const where = `Row ${i + 2}`;
+        const date  = statements.parseDate(r[dateCol], date_format, where);
+        if (currencyCol >= 0) {
+            if (rateCol < 0) throw bad('The rate file has a currency column but no rate column');
+            const currency = String(r[currencyCol] ?? '').trim().toUpperCase();
+            if (!CURRENCY.test(currency)) throw bad(`${where}: invalid currency '${r[currencyCol]}'`);
+            const rate = rateOf(r[rateCol], where);
+            if (rate !== null) out.push({ currency, rate_date: date, rate });
+            return;
+        }
+        header.forEach((h, c) => {
+            const currency = h.toUpperCase();
+            if (c === dateCol || !CURRENCY.test(currency)) return;
+            const rate = rateOf(r[c], `${where} ${currency}`);
+            if (rate !== null) out.push({ currency, rate_date: date, rate });
+        });
+    });
+    if (!out.length) throw bad('The rate file has no rates (columns: currency,date,rate or date,EUR,GBP,…)');
+    return out.map(r => ({ ...r, rate: Math.round(r.rate * 1e8) / 1e8 }));
+}
+
+// ── Revaluation ───────────────────────────────────────────────────────────────
+
+/**
+ * The unrealized gain or loss on foreign-currency documents that were open at
+ * the end of `asOf`, at the rates of that day: invoices and credit memos (AR)
+ * and approved vendor invoices (AP). What each still owed that day is rebuilt
+ * from the payments and credit memo applications dated on or before it, so a
+ * backdated run still counts a document settled since. A positive
+ * ar_adjustment raises AR (a gain); a positive ap_adjustment raises AP (a loss).
+ */
+async function revaluation(db, asOf) {
+    const base = await baseCurrency(db);
+    const { rows: docs } = await db.query(
+        `SELECT d.doc_type, d.side, d.id, d.number, d.party_name, d.currency, d.doc_date,
+                CASE WHEN d.doc_type = 'credit_memo' THEN -d.open ELSE d.open END AS balance, d.exchange_rate
+         FROM (
+             SELECT 'sales_invoice' AS doc_type, 'ar' AS side, si.id, si.number, p.name AS party_name,
+                    si.currency, si.invoice_date::text AS doc_date, si.exchange_rate,
+                    si.total
+                  - COALESCE((SELECT SUM(pa.amount_applied) FROM payment_applications pa
+                              JOIN payments_received pr ON pr.id = pa.payment_id
+                              WHERE pa.invoice_id = si.id AND pr.payment_date <= $2::date), 0)
+                  - COALESCE((SELECT SUM(cma.amount_applied) FROM credit_memo_applications cma
+                              WHERE cma.invoice_id = si.id AND cma.applied_date <= $2::date), 0) AS open
+             FROM   sales_invoices si JOIN parties p ON p.id = si.customer_id
+             WHERE  si.status <> 'void' AND si.currency <> $1 AND si.invoice_date <= $2::date
+             UNION ALL
+             SELECT 'credit_memo', 'ar', cm.id, cm.number, p.name,
+                    cm.currency, cm.memo_date::text, cm.exchange_rate,
+                    cm.total
+                  - COALESCE((SELECT SUM(cma.amount_applied) FROM credit_memo_applications cma
+                              WHERE cma.credit_memo_id = cm.id AND cma.applied_date <= $2::date), 0)
+             FROM   credit_memos cm JOIN parties p ON p.id = cm.customer_id
+             WHERE  cm.status <> 'void' AND cm.currency <> $1 AND cm.memo_date <= $2::date
+             UNION ALL
+             SELECT 'vendor_invoice', 'ap', vi.id, vi.number, p.name,
+                    vi.currency, vi.invoice_date::text, vi.exchange_rate,
+                    vi.total
+                  - COALESCE((SELECT SUM(pd.amount_applied) FROM payment_disbursements pd
+                              JOIN payments_made pm ON pm.id = pd.payment_id
+                              WHERE pd.vendor_invoice_id = vi.id AND pm.payment_date <= $2::date), 0)
+             FROM   vendor_invoices vi JOIN parties p ON p.id = vi.vendor_id
+             WHERE  vi.status IN ('approved','paid') AND vi.exchange_rate IS NOT NULL
+               AND  vi.currency <> $1 AND vi.invoice_date <= $2::date
+         ) d
+         WHERE  ROUND(d.open, 4) > 0
+         ORDER  BY d.side, d.currency, d.doc_date, d.number`,
+        [base, dateStr(asOf)]
+    );
+
+    const rates = new Map();
+    const documents = [];
+    let ar = 0, ap = 0;
+    for (const d of docs) {
+        if (!rates.has(d.currency)) rates.set(d.currency, await rateOn(db, d.currency, asOf));
+        const rate       = rates.get(d.currency);
+        const adjustment = ROUND(toBase(d.balance, rate) - toBase(d.balance, d.exchange_rate));
+        if (d.side === 'ar') ar += adjustment; else ap += adjustment;
+        documents.push({
+            ...d, balance: parseFloat(d.balance), exchange_rate: parseFloat(d.exchange_rate),
+            revalued_rate: rate, adjustment,
+        });
+    }
+    return {
+        as_of:          dateStr(asOf),
+        base_currency:  base,
+        rates:          Object.fromEntries(rates),
+        ar_adjustment:  ROUND(ar),
+        ap_adjustment:  ROUND(ap),
+        net_gain:       ROUND(ar - ap),
+        documents,
+    };
+}
+
+module.exports = {
+    CURRENCY, baseCurrency, rateOn, toBase, fromBase, assertCurrencyChange, parseRates, revaluation,
+};
@@ -0,0 +1,520 @@
+'use strict';
+
+// lib/gl-posting.js
+// Posting engine — turns operational documents into balanced, posted journal entries.
+//
+// Every function takes the caller's transaction client so the journal entry
+// commits or rolls back together with the stock / AR / AP change it describes.
+//
+// Usage:
+//   const gl = require('../lib/gl-posting');
+//   await gl.postShipment(client, { shipment: shp, invoice, cogs, userId });
+//
+// Entries are in the company's base currency. Foreign-currency documents post
+// their base_* amounts (at the rate locked on the document); settling them at
+// another rate books the difference to Realized FX Gain/Loss.
+
+const numbering = require('./numbering');
+const periods   = require('./periods');
+
+const ROUND = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+/**
+ * Every mapping key a posting rule may ask for (rows live in
+ * gl_account_mappings), with the account number a new company starts out
+ * mapped to — the same accounts the migrations mapped for existing companies.
+ */
+const DEFAULT_ACCOUNTS = {
+    cash:                    '1010',
+    accounts_receivable:     '1100',
+    inventory:               '1200',
+    accounts_payable:        '2010',
+    grni:                    '2050',
+    sales_tax_payable:       '2200',
+    sales_revenue:           '4010',
+    sales_returns:           '4050',
+    cogs:                    '5010',
+    inventory_adjustment:    '5100',
+    purchase_tax:            '5030',
+    landed_cost_accrual:     '2060',
+    retained_earnings:       '3020',
+    fx_realized:             '4910',
+    fx_unrealized:           '4920',
+    purchase_price_variance: '5040',
+};
+const MAPPING_KEYS = Object.keys(DEFAULT_ACCOUNTS);
+
+// A base amount: the document's stored base_* column when it has one
+const BASE = (doc, field) => ROUND(doc[`base_${field}`] ?? doc[field]);
+
+// The line that balances `lines` against an FX gain/loss account: credited (a
+// gain) when the debits are larger, debited (a loss) when the credits are
+function fxLine(lines, key, description) {
+    const gap = ROUND(lines.reduce((s, l) => s + ROUND(l.debit) - ROUND(l.credit), 0));
+    return { key, debit: gap < 0 ? -gap : 0, credit: gap > 0 ? gap : 0, description };
+}
+
+// ── Account mapping ───────────────────────────────────────────────────────────
+async function resolveAccounts(client, companyId, keys) {
+    const { rows } = await client.query(
+        `SELECT m.mapping_key, m.account_id
+         FROM   gl_account_mappings m
+         JOIN   gl_accounts a ON a.id = m.account_id AND a.is_active = true
+         WHERE  m.company_id = $1 AND m.mapping_key = ANY($2)`,
+        [companyId, keys]
+    );
+    const map = Object.fromEntries(rows.map(r => [r.mapping_key, r.account_id]));
+    const missing = keys.filter(k => !map[k]);
+    if (missing.length) throw Object.assign(
+        new Error(`GL account mapping not configured: ${missing.join(', ')}`), { status: 422 }
+    );
+    return map;
+}
+
+/**
+ * Map every key to its default account for a new company. `client` must be in
+ * a transaction with the company's tenant context (RLS checks the inserts).
+ */
+async function seedMappings(client, companyId) {
+    await client.query(
+        `INSERT INTO gl_account_mappings (company_id, mapping_key, account_id)
+         SELECT $1, d.mapping_key, a.id
+         FROM   jsonb_each_text($2::jsonb) AS d(mapping_key, account_number)
+         JOIN   gl_accounts a ON a.account_number = d.account_number
+         ON CONFLICT (company_id, mapping_key) DO NOTHING`,
+        [companyId, JSON.stringify(DEFAULT_ACCOUNTS)]
+    );
+}
+
+/**
+ * Create a posted journal entry from mapping-key lines.
+ * `lines` is [{ key, debit, credit, description }] (or `accountId` in place of
+ * `key`); zero lines are dropped. Refused when entryDate is in a closed period
+ * (see lib/periods.js; `allowPeriod` loosens that for the year-end close).
+ * `autoReverse` marks an accrual for postAccrualReversal().
+ * Returns the journal entry row, or null when every line is zero.
+ */
+async function postJournalEntry(client, {
+    companyId, entryDate, description, reference, sourceType, sourceId, userId, lines, allowPeriod = 'open',
+    autoReverse = false,
+}) {
+    await periods.assertOpen(client, entryDate, { allow: allowPeriod });
+
+    const rounded = lines
+        .map(l => ({ ...l, debit: ROUND(l.debit), credit: ROUND(l.credit) }))
+        .filter(l => l.debit !== 0 || l.credit !== 0);
+    if (rounded.some(l => l.debit < 0 || l.credit < 0)) throw Object.assign(
+        new Error(`Journal entry for ${reference} has a negative amount`), { status: 500 }
+    );
+    if (!rounded.length) return null;
+
+    const totalDebit  = rounded.reduce((s, l) => s + l.debit, 0);
+    const totalCredit = rounded.reduce((s, l) => s + l.credit, 0);
+    if (Math.abs(totalDebit - totalCredit) > 0.005) throw Object.assign(
+        new Error(`Journal entry for ${reference} does not balance (${totalDebit.toFixed(2)} / ${totalCredit.toFixed(2)})`),
+        { status: 500 }
+    );
+
+    const keys     = [...new Set(rounded.filter(l => !l.accountId).map(l => l.key))];
+    const accounts = keys.length ? await resolveAccounts(client, companyId, keys) : {};
+    const number   = await numbering.next(client, 'journal_entry');
+
+    const { rows: [je] } = await client.query(
+        `INSERT INTO journal_entries
+            (number, entry_date, description, status, reference,
+             company_id, source_type, source_id, created_by, posted_by, posted_at, auto_reverse)
+         VALUES ($1,$2,$3,'posted',$4,$5,$6,$7,$8,$8,NOW(),$9) RETURNING *`,
+        [number, entryDate, description, reference || null,
+         companyId, sourceType, sourceId, userId || null, autoReverse]
+    );
+
+    for (let i = 0; i < rounded.length; i++) {
+        const l = rounded[i];
+        await client.query(
+            `INSERT INTO journal_entry_lines
+                (journal_entry_id, line_number, account_id, description, debit, credit)
+             VALUES ($1,$2,$3,$4,$5,$6)`,
+            [je.id, i + 1, l.accountId || accounts[l.key], l.description || null, l.debit, l.credit]
+        );
+    }
+    return je;
+}
+
+// A posted entry turned around: same accounts, debits and credits swapped
+async function reverseEntry(client, je, { entryDate, sourceType, sourceId, userId }) {
+    const number = await numbering.next(client, 'journal_entry');
+    const { rows: [rev] } = await client.query(
+        `INSERT INTO journal_entries
+            (number, entry_date, description, status, reference,
+             company_id, source_type, source_id, created_by, posted_by, posted_at)
+         VALUES ($1,$2,$3,'posted',$4,$5,$6,$7,$8,$8,NOW()) RETURNING *`,
+        [number, entryDate, `Reversal of ${je.number} — ${je.description}`, je.reference,
+         je.company_id, sourceType, sourceId, userId || null]
+    );
+    await client.query(
+        `INSERT INTO journal_entry_lines
+            (journal_entry_id, line_number, account_id, description, debit, credit)
+         SELECT $1, line_number, account_id, description, credit, debit
+         FROM   journal_entry_lines WHERE journal_entry_id = $2`,
+        [rev.id, je.id]
+    );
+    return rev;
+}
+
+/**
+ * Post a reversing entry for every posted journal entry linked to a source
+ * document (used when an approved document is voided).
+ */
+async function reverseSourceEntries(client, { sourceType, sourceId, entryDate, userId, allowPeriod = 'open' }) {
+    const { rows: entries } = await client.query(
+        `SELECT * FROM journal_entries
+         WHERE source_type = $1 AND source_id = $2 AND status = 'posted'
+         ORDER BY number`,
+        [sourceType, sourceId]
+    );
+    if (entries.length) await periods.assertOpen(client, entryDate, { allow: allowPeriod });
+    const reversals = [];
+    for (const je of entries)
+        reversals.push(await reverseEntry(client, je, { entryDate, sourceType, sourceId, userId }));
+    return reversals;
+}
+
+/**
+ * Reverse a posted accrual (journal_entries.auto_reverse) on the first day of
+ * the next fiscal period. Returns the reversal.
+ */
+async function postAccrualReversal(client, { entry, userId, allowPeriod = 'open' }) {
+    const entryDate = await periods.nextPeriodStart(client, entry.entry_date);
+    await periods.assertOpen(client, entryDate, { allow: allowPeriod });
+    return reverseEntry(client, entry, { entryDate, sourceType: 'accrual_reversal', sourceId: entry.id, userId });
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Posting rules — one per operational document
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Shipment + auto-invoice: Dr AR / Cr Revenue, Cr Sales Tax; Dr COGS / Cr Inventory
+async function postShipment(client, { shipment, invoice, cogs, userId }) {
+    const subtotal = BASE(invoice, 'subtotal');
+    const tax      = BASE(invoice, 'tax_amount');
+    return postJournalEntry(client, {
+        companyId:   shipment.company_id,
+        entryDate:   shipment.ship_date,
+        description: `Shipment ${shipment.number} / Invoice ${invoice.number}`,
+        reference:   invoice.number,
+        sourceType:  'shipment',
+        sourceId:    shipment.id,
+        userId,
+        lines: [
+            { key: 'accounts_receivable', debit: subtotal + tax, description: `Invoice ${invoice.number}` },
+            { key: 'sales_revenue',       credit: subtotal,      description: `Invoice ${invoice.number}` },
+            { key: 'sales_tax_payable',   credit: tax,           description: `Sales tax ${invoice.state_code || ''}`.trim() },
+            { key: 'cogs',                debit: cogs,           description: `COGS ${shipment.number}` },
+            { key: 'inventory',           credit: cogs,          description: `Shipment ${shipment.number}` },
+        ],
+    });
+}
+
+// Purchase receipt: Dr Inventory / Cr GRNI
+async function postReceipt(client, { receipt, value, userId }) {
+    return postJournalEntry(client, {
+        companyId:   receipt.company_id,
+        entryDate:   receipt.receipt_date,
+        description: `Receipt ${receipt.number}`,
+        reference:   receipt.number,
+        sourceType:  'purchase_receipt',
+        sourceId:    receipt.id,
+        userId,
+        lines: [
+            { key: 'inventory', debit: value,  description: `Receipt ${receipt.number}` },
+            { key: 'grni',      credit: value, description: `Receipt ${receipt.number}` },
+        ],
+    });
+}
+
+// Landed cost: Dr Inventory (stock still on hand), Dr COGS (units already gone) / Cr Landed Cost Accrual
+async function postLandedCost(client, { companyId, landedCost, capitalized, expensed, userId }) {
+    const inv  = ROUND(capitalized);
+    const cogs = ROUND(expensed);
+    return postJournalEntry(client, {
+        companyId,
+        entryDate:   landedCost.doc_date,
+        description: `Landed cost ${landedCost.number}`,
+        reference:   landedCost.vendor_ref || landedCost.number,
+        sourceType:  'landed_cost',
+        sourceId:    landedCost.id,
+        userId,
+        lines: [
+            { key: 'inventory',           debit: inv,         description: `Landed cost ${landedCost.number}` },
+            { key: 'cogs',                debit: cogs,        description: `Landed cost ${landedCost.number} — units already sold` },
+            { key: 'landed_cost_accrual', credit: inv + cogs, description: `Landed cost ${landedCost.number}` },
+        ],
+    });
+}
+
+// Vendor invoice approved: Dr GRNI, Dr Purchase Tax / Cr AP. GRNI is cleared
+// at the rate the receipt was booked at (`receiptRate`); AP is owed at the
+// invoice's, and the difference is a realized FX gain or loss.
+// An invoice with lines passes `matched` ({ amount, base }: the receipt value
+// of the quantities its lines matched, in document and base currency): GRNI
+// is cleared at `base`, and what it billed beyond `amount` is a purchase
+// price variance.
+async function postVendorInvoice(client, { invoice, receiptRate = null, matched = null, userId }) {
+    const subtotal = BASE(invoice, 'subtotal');
+    const tax      = BASE(invoice, 'tax_amount');
+    const grni     = matched ? ROUND(matched.base)
+                   : receiptRate ? ROUND(invoice.subtotal * receiptRate) : subtotal;
+    const ppv      = matched
+        ? subtotal - ROUND(matched.amount * (parseFloat(invoice.exchange_rate) || 1)) : 0;
+    const lines = [
+        { key: 'grni',             debit: grni,           description: `Vendor invoice ${invoice.number}` },
+        { key: 'purchase_price_variance', debit: ppv > 0 ? ppv : 0, credit: ppv < 0 ? -ppv : 0,
+          description: `Price variance on ${invoice.number}` },
+        { key: 'purchase_tax',     debit: tax,            description: `Tax on ${invoice.number}` },
+        { key: 'accounts_payable', credit: subtotal + tax, description: `Vendor invoice ${invoice.number}` },
+    ];
+    return postJournalEntry(client, {
+        companyId:   invoice.company_id,
+        entryDate:   invoice.invoice_date,
+        description: `Vendor invoice ${invoice.number}`,
+        reference:   invoice.vendor_invoice_number || invoice.number,
+        sourceType:  'vendor_invoice',
+        sourceId:    invoice.id,
+        userId,
+        lines: [...lines, fxLine(lines, 'fx_realized', `Exchange difference on ${invoice.number}`)],
+    });
+}
+
+// Customer payment: Dr Cash / Cr AR. `applications` ([{ amount_applied,
+// exchange_rate }], the invoices' rates) relieve AR at what the invoices were
+// booked at; the unapplied rest is credited at the payment's rate.
+async function postCustomerPayment(client, { payment, applications = [], userId }) {
+    const ref = payment.reference_number || payment.method;
+    const rate = parseFloat(payment.exchange_rate) || 1;
+    const applied = applications.reduce((s, a) => s + parseFloat(a.amount_applied), 0);
+    const ar = applications.reduce((s, a) => s + ROUND(a.amount_applied * (parseFloat(a.exchange_rate) || rate)), 0)
+             + ROUND((parseFloat(payment.amount) - applied) * rate);
+    const lines = [
+        { key: 'cash',                debit: BASE(payment, 'amount'), description: `Payment ${ref}` },
+        { key: 'accounts_receivable', credit: ar,                     description: `Payment ${ref}` },
+    ];
+    return postJournalEntry(client, {
+        companyId:   payment.company_id,
+        entryDate:   payment.payment_date,
+        description: `Customer payment ${ref}`,
+        reference:   payment.reference_number,
+        sourceType:  'payment_received',
+        sourceId:    payment.id,
+        userId,
+        lines: [...lines, fxLine(lines, 'fx_realized', `Exchange difference on payment ${ref}`)],
+    });
+}
+
+// Vendor payment: Dr AP / Cr Cash, AP relieved at the invoices' rates as for
+// customer payments
+async function postVendorPayment(client, { payment, applications = [], userId }) {
+    const ref = payment.reference_number || payment.method;
+    const rate = parseFloat(payment.exchange_rate) || 1;
+    const applied = applications.reduce((s, a) => s + parseFloat(a.amount_applied), 0);
+    const ap = applications.reduce((s, a) => s + ROUND(a.amount_applied * (parseFloat(a.exchange_rate) || rate)), 0)
+             + ROUND((parseFloat(payment.amount) - applied) * rate);
+    const lines = [
+        { key: 'accounts_payable', debit: ap,                       description: `Payment ${ref}` },
+        { key: 'cash',             credit: BASE(payment, 'amount'), description: `Payment ${ref}` },
+    ];
+    return postJournalEntry(client, {
+        companyId:   payment.company_id,
+        entryDate:   payment.payment_date,
+        description: `Vendor payment ${ref}`,
+        reference:   payment.reference_number,
+        sourceType:  'payment_made',
+        sourceId:    payment.id,
+        userId,
+        lines: [...lines, fxLine(lines, 'fx_realized', `Exchange difference on payment ${ref}`)],
+    });
+}
+
+// Stock adjustment: gain → Dr Inventory / Cr Adjustments; loss → the reverse
+async function postAdjustment(client, { adjustment, value, userId }) {
+    const v = ROUND(value);
+    return postJournalEntry(client, {
+        companyId:   adjustment.company_id,
+        entryDate:   adjustment.adjustment_date,
+        description: `Stock adjustment ${adjustment.number}${adjustment.reason ? ` — ${adjustment.reason}` : ''}`,
+        reference:   adjustment.number,
+        sourceType:  'stock_adjustment',
+        sourceId:    adjustment.id,
+        userId,
+        lines: v >= 0 ? [
+            { key: 'inventory',            debit: v,  description: `Adjustment ${adjustment.number}` },
+            { key: 'inventory_adjustment', credit: v, description: `Adjustment ${adjustment.number}` },
+        ] : [
+            { key: 'inventory_adjustment', debit: -v,  description: `Adjustment ${adjustment.number}` },
+            { key: 'inventory',            credit: -v, description: `Adjustment ${adjustment.number}` },
+        ],
+    });
+}
+
+// Customer return received: Dr Inventory (restocked, and held for the vendor
+// on a line of its own) or Dr Inventory Adjustments (scrap) / Cr COGS
+async function postReturnReceipt(client, { companyId, salesReturn, restockValue, vendorReturnValue = 0, scrapValue, userId }) {
+    const restock = ROUND(restockValue);
+    const held    = ROUND(vendorReturnValue);
+    const scrap   = ROUND(scrapValue);
+    return postJournalEntry(client, {
+        companyId,
+        entryDate:   salesReturn.received_date,
+        description: `Return ${salesReturn.number} received`,
+        reference:   salesReturn.number,
+        sourceType:  'sales_return',
+        sourceId:    salesReturn.id,
+        userId,
+        lines: [
+            { key: 'inventory',            debit: restock,         description: `Return ${salesReturn.number} restocked` },
+            { key: 'inventory',            debit: held,            description: `Return ${salesReturn.number} held for vendor return` },
+            { key: 'inventory_adjustment', debit: scrap,           description: `Return ${salesReturn.number} scrapped` },
+            { key: 'cogs',                 credit: restock + held + scrap, description: `Return ${salesReturn.number}` },
+        ],
+    });
+}
+
+// Customer return sent back to the vendor: Dr Inventory Adjustments / Cr
+// Inventory at the value it was held at. A credit from the vendor is booked
+// when it arrives.
+async function postVendorReturn(client, { companyId, salesReturn, value, userId }) {
+    const v = ROUND(value);
+    return postJournalEntry(client, {
+        companyId,
+        entryDate:   salesReturn.vendor_returned_date,
+        description: `Return ${salesReturn.number} sent back to the vendor`,
+        reference:   salesReturn.number,
+        sourceType:  'sales_return_vendor',
+        sourceId:    salesReturn.id,
+        userId,
+        lines: [
+            { key: 'inventory_adjustment', debit: v,  description: `Return ${salesReturn.number} returned to vendor` },
+            { key: 'inventory',            credit: v, description: `Return ${salesReturn.number} returned to vendor` },
+        ],
+    });
+}
+
+// Credit memo issued: Dr Sales Returns, Dr Sales Tax Payable / Cr AR
+async function postCreditMemo(client, { companyId, memo, userId }) {
+    const subtotal = BASE(memo, 'subtotal');
+    const tax      = BASE(memo, 'tax_amount');
+    return postJournalEntry(client, {
+        companyId,
+        entryDate:   memo.memo_date,
+        description: `Credit memo ${memo.number}`,
+        reference:   memo.number,
+        sourceType:  'credit_memo',
+        sourceId:    memo.id,
+        userId,
+        lines: [
+            { key: 'sales_returns',       debit: subtotal,        description: `Credit memo ${memo.number}` },
+            { key: 'sales_tax_payable',   debit: tax,             description: `Tax reversed on ${memo.number}` },
+            { key: 'accounts_receivable', credit: subtotal + tax, description: `Credit memo ${memo.number}` },
+        ],
+    });
+}
+
+// Credit memo applied to an invoice booked at another rate: the part of AR the
+// memo took off at its rate is not what the invoice put on at its own, so the
+// difference leaves AR as a realized gain or loss. Null when the rates agree.
+async function postCreditApplication(client, { companyId, memo, invoice, amount, entryDate, userId }) {
+    const gap = ROUND(amount * invoice.exchange_rate) - ROUND(amount * memo.exchange_rate);
+    const lines = [{
+        key: 'accounts_receivable', debit: gap < 0 ? -gap : 0, credit: gap > 0 ? gap : 0,
+        description: `Credit memo ${memo.number} applied to ${invoice.number}`,
+    }];
+    return postJournalEntry(client, {
+        companyId,
+        entryDate,
+        description: `Credit memo ${memo.number} applied to invoice ${invoice.number}`,
+        reference:   memo.number,
+        sourceType:  'credit_memo_application',
+        sourceId:    memo.id,
+        userId,
+        lines: [...lines, fxLine(lines, 'fx_realized', `Exchange difference on ${memo.number}`)],
+    });
+}
+
+// FX revaluation: open foreign AR and AP restated at the rates of `asOf`
+// against Unrealized FX Gain/Loss, and reversed the next day so settlement
+// still books against the original rates. Returns [entry, reversal].
+async function postFxRevaluation(client, { companyId, revaluation, asOf, reversalDate, userId }) {
+    const ar = ROUND(revaluation.ar_adjustment);
+    const ap = ROUND(revaluation.ap_adjustment);
+    const lines = [
+        { key: 'accounts_receivable', debit: ar > 0 ? ar : 0, credit: ar < 0 ? -ar : 0, description: `AR revalued at ${asOf}` },
+        { key: 'accounts_payable',    debit: ap < 0 ? -ap : 0, credit: ap > 0 ? ap : 0, description: `AP revalued at ${asOf}` },
+    ];
+    const entry = await postJournalEntry(client, {
+        companyId,
+        entryDate:   asOf,
+        description: `FX revaluation ${asOf}`,
+        reference:   `FX ${asOf}`,
+        sourceType:  'fx_revaluation',
+        sourceId:    revaluation.id,
+        userId,
+        lines: [...lines, fxLine(lines, 'fx_unrealized', `Unrealized FX ${asOf}`)],
+    });
+    if (!entry) return [null, null];
+    const [reversal] = await reverseSourceEntries(client, {
+        sourceType: 'fx_revaluation', sourceId: revaluation.id, entryDate: reversalDate, userId,
+    });
+    return [entry, reversal];
+}
+
+// Year-end close: every revenue, COGS and expense balance of the fiscal year
+// is posted back to zero against Retained Earnings. Dated the last day of the
+// year, which may already be hard-closed. Returns { journalEntry, netIncome }.
+async function postYearEndClose(client, { companyId, fiscalYear, startDate, endDate, closeId, userId }) {
+    const { rows: balances } = await client.query(
+        `SELECT a.id, a.account_number, a.name, SUM(jel.debit - jel.credit) AS balance
+         FROM   journal_entry_lines jel
+         JOIN   journal_entries je ON je.id = jel.journal_entry_id
+                AND je.status = 'posted' AND je.entry_date BETWEEN $1 AND $2
+         JOIN   gl_accounts a ON a.id = jel.account_id AND a.type IN ('revenue','cogs','expense')
+         GROUP  BY a.id, a.account_number, a.name
+         HAVING ROUND(SUM(jel.debit - jel.credit), 2) <> 0
+         ORDER  BY a.account_number`,
+        [startDate, endDate]
+    );
+    const lines = balances.map(b => {
+        const balance = ROUND(b.balance);
+        return {
+            accountId:   b.id,
+            debit:       balance < 0 ? -balance : 0,
+            credit:      balance > 0 ? balance : 0,
+            description: `Close ${b.account_number} ${b.name}`,
+        };
+    });
+    const netIncome = ROUND(lines.reduce((s, l) => s + l.debit - l.credit, 0));
+    lines.push({
+        key:         'retained_earnings',
+        debit:       netIncome < 0 ? -netIncome : 0,
+        credit:      netIncome > 0 ? netIncome : 0,
+        description: `FY${fiscalYear} net income`,
+    });
+    const journalEntry = await postJournalEntry(client, {
+        companyId,
+        entryDate:   endDate,
+        description: `Year-end close FY${fiscalYear}`,
+        reference:   `FY${fiscalYear}`,
+        sourceType:  'year_end_close',
+        sourceId:    closeId,
+        userId,
+        lines,
+        allowPeriod: 'hard_closed',
+    });
+    return { journalEntry, netIncome };
+}
+
+module.exports = {
+    MAPPING_KEYS, seedMappings,
+    postJournalEntry, reverseSourceEntries, postAccrualReversal,
+    postShipment, postReceipt, postLandedCost, postVendorInvoice,
+    postCustomerPayment, postVendorPayment, postAdjustment,
+    postReturnReceipt, postVendorReturn, postCreditMemo, postCreditApplication, postFxRevaluation, postYearEndClose,
+};
@@ -0,0 +1,422 @@
+'use strict';
+
+// lib/invoice-match.js
+// Three-way match for vendor invoices, line by line — each invoice line
+// against its PO line (unit price billed vs PO price) and what was received
+// on it (qty billed vs qty received and not billed on another invoice), so an
+// over-billed line cannot hide behind an under-billed one.
+//
+// Tolerances come from match_tolerances: the vendor's row, else the
+// company's, else DEFAULTS. A line outside them is disputed with its reasons
+// (dispute_reasons: not_on_po, not_received, qty_over_received, price_over_po,
+// amount_over_tolerance) until a buyer resolves it:
+//   accept_variance  the line is paid as billed
+//   short_pay        the invoice drops by the line's variance; the vendor is
+//                    paid what was received at the lower of the two prices
+//   request_credit   the invoice stays on hold until the vendor's credit note
+//                    is recorded (recordCredit), which takes it off the invoice
+// Invoices without lines are matched on their totals (matchTotals).
+//
+// Usage:
+//   const invoiceMatch = require('../lib/invoice-match');
+//   const result = await invoiceMatch.matchInvoice(client, invoice);
+//   if (result.status === 'approved') ...      // result.notes, result.lines
+
+const DEFAULTS = { price_tolerance_pct: 1, qty_tolerance_pct: 0, amount_tolerance: null };
+
+// Request body value → the line's resolution
+const RESOLUTIONS = { accept_variance: 'accepted', short_pay: 'short_paid', request_credit: 'credit_requested' };
+
+// Resolutions that settle a disputed line; credit_requested still holds the invoice
+const SETTLED = ['accepted', 'short_paid', 'credited'];
+
+const num    = n => parseFloat(n) || 0;
+const ROUND2 = n => Math.round(n * 100) / 100;
+const ROUND4 = n => Math.round(n * 10000) / 10000;
+const fail   = (message, status) => Object.assign(new Error(message), { status });
+
+// ── Tolerances ────────────────────────────────────────────────────────────────
+
+/** The tolerances for a vendor's invoices: its own, else the company's, else the defaults. */
+async function tolerances(client, vendorId) {
+    const { rows } = await client.query(
+        `SELECT vendor_id, price_tolerance_pct, qty_tolerance_pct, amount_tolerance
+         FROM   match_tolerances
+         WHERE  vendor_id IS NULL OR vendor_id = $1`,
+        [vendorId]
+    );
+    const vendor  = rows.find(r => r.vendor_id) || {};
+    const company = rows.find(r => !r.vendor_id) || {};
+    const pick    = key => vendor[key] ?? company[key] ?? DEFAULTS[key];
+    const amount  = pick('amount_tolerance');
+    return {
+        price_tolerance_pct: num(pick('price_tolerance_pct')),
+        qty_tolerance_pct:   num(pick('qty_tolerance_pct')),
+        amount_tolerance:    amount === null ? null : num(amount),
+    };
+}
+
+// ── Lines ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Insert an invoice's lines. Each names a PO line of the invoice's PO, a
+ * receipt line, or both; on an invoice for one receipt the receipt line is
+ * found from the PO line. Returns the inserted rows.
+ */
+async function createLines(client, invoice, lines) {
+    const out = [];
+    for (const [i, l] of lines.entries()) {
+        let poLineId  = l.purchase_order_line_id || null;
+        let rcvLineId = l.receipt_line_id || null;
+        let itemId    = null;
+
+        if (rcvLineId) {
+            const { rows: [rl] } = await client.query(
+                `SELECT receipt_id, purchase_order_line_id FROM purchase_receipt_lines WHERE id = $1`, [rcvLineId]
+            );
+            if (!rl) throw fail(`Receipt line ${rcvLineId} not found`, 400);
+            if (invoice.receipt_id && rl.receipt_id !== invoice.receipt_id)
+                throw fail(`Receipt line ${rcvLineId} is not on the invoice's receipt`, 400);
+            if (poLineId && poLineId !== rl.purchase_order_line_id)
+                throw fail(`Receipt line ${rcvLineId} does not receive PO line ${poLineId}`, 400);
+            poLineId = rl.purchase_order_line_id;
+        }
+
+        if (poLineId) {
+            const { rows: [pol] } = await client.query(
+                `SELECT purchase_order_id, item_id FROM purchase_order_lines WHERE id = $1`, [poLineId]
+            );
+            if (!pol || pol.purchase_order_id !== invoice.purchase_order_id)
+                throw fail(`PO line ${poLineId} is not on the invoice's purchase order`, 400);
+            itemId = pol.item_id;
+
+            if (!rcvLineId && invoice.receipt_id) {
+                const { rows: [rl] } = await client.query(
+                    `SELECT id FROM purchase_receipt_lines
+                     WHERE  receipt_id = $1 AND purchase_order_line_id = $2
+                     ORDER  BY id LIMIT 1`,
+                    [invoice.receipt_id, poLineId]
+                );
+                rcvLineId = rl?.id || null;
+            }
+        }
+
+        const { rows: [row] } = await client.query(
+            `INSERT INTO vendor_invoice_lines
+                (vendor_invoice_id, line_number, purchase_order_line_id, receipt_line_id,
+                 item_id, description, qty_billed, unit_price)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+            [invoice.id, i + 1, poLineId, rcvLineId, itemId, l.description || null, l.qty, l.unit_price]
+        );
+        out.push(row);
+    }
+    return out;
+}
+
+/** An invoice's lines, with their PO line and item. */
+async function invoiceLines(client, invoiceId) {
+    const { rows } = await client.query(
+        `SELECT l.*, pol.line_number AS po_line_number, i.code AS item_code, i.name AS item_name
+         FROM   vendor_invoice_lines l
+         LEFT JOIN purchase_order_lines pol ON pol.id = l.purchase_order_line_id
+         LEFT JOIN items i ON i.id = l.item_id
+         WHERE  l.vendor_invoice_id = $1
+         ORDER  BY l.line_number`,
+        [invoiceId]
+    );
+    return rows;
+}
+
+// What posted receipts brought in on a receipt line, or on every receipt of a
+// PO line, and what other invoices that are not void have billed of it — a
+// short-paid or credited line only what it was matched to
+async function receivedOn(client, { column, id, invoiceId }) {
+    const { rows: [r] } = await client.query(
+        `SELECT COALESCE(SUM(prl.qty_received), 0)        AS qty,
+                SUM(prl.qty_received * prl.actual_cost)    AS amount,
+                SUM(prl.qty_received * prl.base_unit_cost) AS base
+         FROM   purchase_receipt_lines prl
+         JOIN   purchase_receipts rcv ON rcv.id = prl.receipt_id AND rcv.status = 'posted'
+         WHERE  prl.${column === 'receipt_line_id' ? 'id' : 'purchase_order_line_id'} = $1`,
+        [id]
+    );
+    const { rows: [b] } = await client.query(
+        `SELECT COALESCE(SUM(CASE WHEN l.resolution IN ('short_paid','credited')
+                                  THEN COALESCE(l.qty_matched, l.qty_billed)
+                                  ELSE l.qty_billed END), 0) AS qty
+         FROM   vendor_invoice_lines l
+         JOIN   vendor_invoices vi ON vi.id = l.vendor_invoice_id AND vi.status <> 'void'
+         WHERE  l.${column} = $1 AND l.vendor_invoice_id <> $2`,
+        [id, invoiceId]
+    );
+    return { qty: num(r.qty), amount: num(r.amount), base: num(r.base), billed: num(b.qty) };
+}
+
+// Match one line; returns the snapshot columns to store on it
+async function matchLine(client, invoice, line, tol) {
+    const billed = num(line.qty_billed);
+    const price  = num(line.unit_price);
+
+    if (!line.purchase_order_line_id) {
+        // Lines of an invoice with no PO have nothing to match against
+        const disputed = !!invoice.purchase_order_id;
+        return {
+            match_status: disputed ? 'disputed' : 'matched', po_unit_cost: null,
+            qty_billable: null, qty_matched: null, received_unit_cost: null, received_base_cost: null,
+            variance_amount: disputed ? ROUND4(billed * price) : 0,
+            dispute_reasons: disputed ? ['not_on_po'] : [],
+            match_notes: disputed ? `not on the purchase order (${(billed * price).toFixed(2)})` : 'no PO to match',
+        };
+    }
+
+    const { rows: [pol] } = await client.query(
+        `SELECT unit_cost FROM purchase_order_lines WHERE id = $1`, [line.purchase_order_line_id]
+    );
+    const poCost = num(pol.unit_cost);
+
+    // Billable: received less billed elsewhere — on the PO line, and on the
+    // receipt line too when the invoice line names one
+    const onPo = await receivedOn(client, {
+        column: 'purchase_order_line_id', id: line.purchase_order_line_id, invoiceId: invoice.id,
+    });
+    const onReceipt = line.receipt_line_id && await receivedOn(client, {
+        column: 'receipt_line_id', id: line.receipt_line_id, invoiceId: invoice.id,
+    });
+    const source   = onReceipt || onPo;
+    const billable = Math.max(0, onReceipt
+        ? Math.min(onReceipt.qty - onReceipt.billed, onPo.qty - onPo.billed)
+        : onPo.qty - onPo.billed);
+    const matched  = Math.min(billed, billable);
+    const rcvCost  = source.qty > 0 ? source.amount / source.qty : poCost;
+    const rcvBase  = source.qty > 0 ? source.base / source.qty : null;
+
+    // Billed beyond what was received, at the lower of the billed and PO price
+    const variance = ROUND4(billed * price - matched * Math.min(price, poCost));
+
+    const reasons = [];
+    const notes   = [];
+    const qtyOver = billed - billable;
+    if (qtyOver > billable * tol.qty_tolerance_pct / 100 + 0.00005) {
+        reasons.push(billable > 0 ? 'qty_over_received' : 'not_received');
+        notes.push(`qty ${billed} billed vs ${billable} received and unbilled`);
+    }
+    const priceOver = price - poCost;
+    if (priceOver > poCost * tol.price_tolerance_pct / 100 + 0.00005) {
+        reasons.push('price_over_po');
+        notes.push(`price ${price.toFixed(2)} vs PO ${poCost.toFixed(2)} ` +
+                   `(${(priceOver / (poCost || 1) * 100).toFixed(2)}% over, tolerance ${tol.price_tolerance_pct}%)`);
+    }
+    if (tol.amount_tolerance !== null && variance > tol.amount_tolerance + 0.005) {
+        reasons.push('amount_over_tolerance');
+        notes.push(`variance ${variance.toFixed(2)} over ${tol.amount_tolerance.toFixed(2)}`);
+    }
+
+    return {
+        match_status: reasons.length ? 'disputed' : 'matched', po_unit_cost: poCost,
+        qty_billable: ROUND4(billable), qty_matched: ROUND4(matched),
+        received_unit_cost: ROUND4(rcvCost), received_base_cost: rcvBase === null ? null : ROUND4(rcvBase),
+        variance_amount: variance, dispute_reasons: reasons,
+        match_notes: reasons.length ? notes.join('; ') : `OK (variance ${variance.toFixed(2)})`,
+    };
+}
+
+/** Whether a line no longer holds up its invoice: matched, or its dispute settled. */
+const settled = l => l.match_status === 'matched' || SETTLED.includes(l.resolution);
+
+// One line of three_way_match_notes
+function lineNote(l) {
+    const head = `Line ${l.line_number}: `;
+    if (l.resolution === 'accepted')         return `${head}variance ${num(l.variance_amount).toFixed(2)} accepted`;
+    if (l.resolution === 'short_paid')       return `${head}short-paid ${num(l.adjustment_amount).toFixed(2)}`;
+    if (l.resolution === 'credit_requested') return `${head}credit requested (${l.match_notes})`;
+    if (l.resolution === 'credited')         return `${head}credited ${num(l.adjustment_amount).toFixed(2)}` +
+                                                    (l.credit_reference ? ` (${l.credit_reference})` : '');
+    return head + l.match_notes;
+}
+
+/**
+ * Match every line of an invoice that has not been resolved, and work out
+ * where the invoice stands: 'approved' when every line matched or was
+ * settled (match_status 'matched', or 'approved' once variances were
+ * resolved), else 'disputed'. Returns { status, match_status, notes, lines }
+ * — or null for an invoice without lines. Does not change the invoice.
+ */
+async function matchInvoice(client, invoice) {
+    const lines = await invoiceLines(client, invoice.id);
+    if (!lines.length) return null;
+
+    const tol = await tolerances(client, invoice.vendor_id);
+    for (const line of lines) {
+        if (line.resolution) continue;
+        const snapshot = await matchLine(client, invoice, line, tol);
+        const cols = Object.keys(snapshot);
+        await client.query(
+            `UPDATE vendor_invoice_lines
+             SET    ${cols.map((c, i) => `${c} = $${i + 2}`).join(', ')}
+             WHERE  id = $1`,
+            [line.id, ...cols.map(c => snapshot[c])]
+        );
+        Object.assign(line, snapshot);
+    }
+
+    const approved = lines.every(settled);
+    return {
+        status:       approved ? 'approved' : 'disputed',
+        match_status: !approved ? 'disputed' : lines.some(l => l.resolution) ? 'approved' : 'matched',
+        notes:        lines.map(lineNote).join(' | '),
+        lines,
+    };
+}
+
+/**
+ * The totals-only match of an invoice without lines: its total against the
+ * PO's within the price tolerance, and against the receipt's value.
+ * Returns { status, match_status, notes }.
+ */
+async function matchTotals(client, invoice) {
+    const tol   = await tolerances(client, invoice.vendor_id);
+    const notes = [];
+    let matchStatus = 'matched';
+
+    if (invoice.purchase_order_id) {
+        const { rows: [poTotals] } = await client.query(
+            `SELECT COALESCE(SUM(line_total), 0) AS po_total
+             FROM purchase_order_lines WHERE purchase_order_id = $1`, [invoice.purchase_order_id]
+        );
+        const poTotal  = parseFloat(poTotals.po_total);
+        const invTotal = parseFloat(invoice.total);
+        const variance = Math.abs(invTotal - poTotal) / (poTotal || 1);
+
+        if (variance * 100 > tol.price_tolerance_pct) {
+            matchStatus = 'disputed';
+            notes.push(`Price mismatch: invoice total ${invTotal.toFixed(2)} vs PO total ${poTotal.toFixed(2)} ` +
+                       `(${(variance*100).toFixed(2)}% variance, exceeds ${tol.price_tolerance_pct}%)`);
+        } else {
+            notes.push(`PO price match: OK (variance ${(variance*100).toFixed(2)}%)`);
+        }
+    } else {
+        notes.push('No PO linked — PO match skipped');
+    }
+
+    if (invoice.receipt_id) {
+        const { rows: [rcvTotals] } = await client.query(
+            `SELECT COALESCE(SUM(qty_received * actual_cost), 0) AS rcv_total
+             FROM purchase_receipt_lines WHERE receipt_id = $1`, [invoice.receipt_id]
+        );
+        const rcvTotal = parseFloat(rcvTotals.rcv_total);
+        const invTotal = parseFloat(invoice.total);
+        if (Math.abs(invTotal - rcvTotal) > 0.01) {
+            matchStatus = 'disputed';
+            notes.push(`Receipt qty mismatch: invoice ${invTotal.toFixed(2)} vs receipt ${rcvTotal.toFixed(2)}`);
+        } else {
+            notes.push('Receipt qty match: OK');
+        }
+    } else {
+        notes.push('No receipt linked — qty match skipped');
+    }
+
+    return { status: matchStatus === 'matched' ? 'approved' : 'disputed', match_status: matchStatus, notes: notes.join(' | ') };
+}
+
+/**
+ * What an approved invoice's lines matched, for gl.postVendorInvoice: the
+ * receipt value of their matched quantities in document and base currency.
+ * Null for an invoice without lines or without a PO (posted as before).
+ */
+async function matchedValue(client, invoice) {
+    if (!invoice.purchase_order_id) return null;
+    const { rows: [m] } = await client.query(
+        `SELECT COUNT(*)::int AS lines,
+                COALESCE(SUM(qty_matched * received_unit_cost), 0) AS amount,
+                COALESCE(SUM(qty_matched * COALESCE(received_base_cost, received_unit_cost * $2)), 0) AS base
+         FROM   vendor_invoice_lines
+         WHERE  vendor_invoice_id = $1`,
+        [invoice.id, parseFloat(invoice.exchange_rate) || 1]
+    );
+    return m.lines ? { amount: num(m.amount), base: num(m.base) } : null;
+}
+
+// ── Resolution ────────────────────────────────────────────────────────────────
+
+async function lockLine(client, invoice, lineId) {
+    if (!['pending', 'disputed'].includes(invoice.status))
+        throw fail(`Invoice is already ${invoice.status}`, 409);
+    const { rows: [line] } = await client.query(
+        `SELECT * FROM vendor_invoice_lines WHERE id = $1 AND vendor_invoice_id = $2 FOR UPDATE`,
+        [lineId, invoice.id]
+    );
+    if (!line) throw fail('Invoice line not found', 404);
+    return line;
+}
+
+// Take `amount` off a line and its invoice's subtotal and total
+async function adjust(client, invoice, line, amount) {
+    await client.query(
+        `UPDATE vendor_invoices
+         SET    subtotal = subtotal - $2, total = total - $2,
+                adjustment_amount = adjustment_amount + $2, updated_at = NOW()
+         WHERE  id = $1`,
+        [invoice.id, amount]
+    );
+    return amount + num(line.adjustment_amount);
+}
+
+/**
+ * Resolve a disputed line: `resolution` is accept_variance, short_pay or
+ * request_credit. A line with a credit requested can still be accepted or
+ * short-paid when the vendor declines. Returns the updated line.
+ */
+async function resolveLine(client, { invoice, lineId, resolution, notes, userId }) {
+    const line = await lockLine(client, invoice, lineId);
+    if (line.match_status !== 'disputed' || (line.resolution && line.resolution !== 'credit_requested'))
+        throw fail(`Line ${line.line_number} is not in dispute`, 409);
+
+    let adjustment = num(line.adjustment_amount);
+    if (resolution === 'short_pay') {
+        const amount = ROUND2(num(line.variance_amount));
+        if (!(amount > 0)) throw fail(`Line ${line.line_number} has no variance to short-pay`, 409);
+        adjustment = await adjust(client, invoice, line, amount);
+    }
+
+    const { rows: [updated] } = await client.query(
+        `UPDATE vendor_invoice_lines
+         SET    resolution = $2, adjustment_amount = $3, resolution_notes = $4,
+                resolved_by = $5, resolved_at = NOW()
+         WHERE  id = $1 RETURNING *`,
+        [line.id, RESOLUTIONS[resolution], adjustment, notes || null, userId || null]
+    );
+    return updated;
+}
+
+/**
+ * Record the vendor's credit note for a line with a credit requested: its
+ * amount (the line's variance unless given) comes off the invoice, and the
+ * line is settled. Returns the updated line.
+ */
+async function recordCredit(client, { invoice, lineId, amount, reference, userId }) {
+    const line = await lockLine(client, invoice, lineId);
+    if (line.resolution !== 'credit_requested')
+        throw fail(`No credit was requested on line ${line.line_number}`, 409);
+
+    const credit = ROUND2(amount ?? num(line.variance_amount));
+    const open   = num(line.line_total) - num(line.adjustment_amount);
+    if (!(credit > 0)) throw fail('Credit amount must be positive', 400);
+    if (credit > open + 0.005)
+        throw fail(`Credit ${credit.toFixed(2)} exceeds line ${line.line_number}'s ${open.toFixed(2)}`, 400);
+
+    const adjustment = await adjust(client, invoice, line, credit);
+    const { rows: [updated] } = await client.query(
+        `UPDATE vendor_invoice_lines
+         SET    resolution = 'credited', adjustment_amount = $2, credit_reference = $3,
+                resolved_by = $4, resolved_at = NOW()
+         WHERE  id = $1 RETURNING *`,
+        [line.id, adjustment, reference || null, userId || null]
+    );
+    return updated;
+}
+
+module.exports = {
+    DEFAULTS, RESOLUTIONS,
+    tolerances, createLines, invoiceLines, settled, matchInvoice, matchTotals, matchedValue,
+    resolveLine, recordCredit,
+};
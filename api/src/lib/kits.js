@@ -0,0 +1,216 @@
+'use strict';
+
+// lib/kits.js
+// Kit items and their bills of materials (item_components).
+//
+// items.kit_type marks a kit:
+//   bundle    never stocked. A sales order line for one is exploded into
+//             sales_order_line_components when the order is entered; those
+//             are what gets reserved, picked and shipped, while the bundle
+//             line is what the customer is invoiced for.
+//   assembly  stocked like any item and built by assembly orders
+//             (lib/assembly.js) from its components.
+//
+// Kits do not nest: a component is never itself a kit. A bundle never has
+// stock of its own, so it cannot be lot- or serial-tracked; its components
+// can be.
+//
+// How many kits a warehouse could make is the scarcest component's available
+// quantity over the quantity one kit takes, rounded down — the availability
+// of a bundle, and the headroom for assembling more of an assembly kit.
+//
+// Usage:
+//   const kits = require('../lib/kits');
+//   await kits.setComponents(client, kitItemId, [{ component_item_id, qty }]);
+//   await kits.explode(client, salesOrderLine);
+//   await kits.assertStockable(client, lines.map(l => l.item_id));
+//   const rows = await kits.availability(db, { itemId, warehouseId });
+
+const round4 = n => Math.round(n * 10000) / 10000;
+const fail   = (message, status = 400) => Object.assign(new Error(message), { status });
+
+/** A kit's bill of materials, in its sort order. */
+async function components(db, kitItemId) {
+    const { rows } = await db.query(
+        `SELECT ic.*, i.code AS component_code, i.name AS component_name, i.unit_of_measure,
+                i.standard_cost, i.is_serial_tracked, i.is_lot_tracked
+         FROM   item_components ic
+         JOIN   items i ON i.id = ic.component_item_id
+         WHERE  ic.kit_item_id = $1
+         ORDER  BY ic.sort_order, i.code`, [kitItemId]
+    );
+    return rows;
+}
+
+/**
+ * Refuse an item's kit_type when it does not fit the item: a bundle cannot be
+ * tracked or have stock history, and no kit can be another kit's component.
+ * `item` is the row as it will be saved; checks needing the database are
+ * skipped for items not saved yet.
+ */
+async function assertKitType(db, item) {
+    if (!item.kit_type) return;
+    if (item.kit_type === 'bundle' && (item.is_serial_tracked || item.is_lot_tracked))
+        throw fail('A bundle is never stocked, so it cannot be serial- or lot-tracked — ship its components tracked instead');
+    if (!item.id) return;
+
+    if (item.kit_type === 'bundle') {
+        const { rows: [stocked] } = await db.query(
+            `SELECT 1 FROM stock_ledger WHERE item_id = $1 LIMIT 1`, [item.id]
+        );
+        if (stocked) throw fail(`${item.code} has stock history — only assembly kits are stocked`);
+    }
+    const { rows: [parent] } = await db.query(
+        `SELECT k.code FROM item_components ic JOIN items k ON k.id = ic.kit_item_id
+         WHERE ic.component_item_id = $1 LIMIT 1`, [item.id]
+    );
+    if (parent) throw fail(`${item.code} is a component of ${parent.code} — kits cannot contain kits`);
+}
+
+/**
+ * Refuse to move stock of bundles: only their components are ever stocked.
+ * Called wherever stock arrives or leaves outside a sale — receipts,
+ * adjustments, transfers.
+ */
+async function assertStockable(db, itemIds) {
+    const { rows: [bundle] } = await db.query(
+        `SELECT code FROM items WHERE id = ANY($1) AND kit_type = 'bundle' ORDER BY code LIMIT 1`, [itemIds]
+    );
+    if (bundle) throw fail(`${bundle.code} is a bundle and is never stocked — move its components instead`);
+}
+
+/**
+ * Replace a kit's bill of materials with `list` ([{ component_item_id, qty,
+ * notes }], in order). Open orders keep the components they were entered
+ * with. Returns the new bill of materials.
+ */
+async function setComponents(client, kitItemId, list) {
+    const { rows: [kit] } = await client.query(
+        `SELECT id, code, kit_type FROM items WHERE id = $1 FOR UPDATE`, [kitItemId]
+    );
+    if (!kit) throw fail('Item not found', 404);
+    if (!kit.kit_type) throw fail(`${kit.code} is not a kit — set its kit_type to bundle or assembly first`);
+
+    const ids = list.map(c => c.component_item_id);
+    if (new Set(ids).size !== ids.length) throw fail('Each component may be listed once');
+    if (ids.includes(kit.id)) throw fail(`${kit.code} cannot be a component of itself`);
+
+    const { rows: parts } = await client.query(
+        `SELECT id, code, kit_type, is_active FROM items WHERE id = ANY($1)`, [ids]
+    );
+    const byId = new Map(parts.map(p => [p.id, p]));
+    for (const id of ids) {
+        const part = byId.get(id);
+        if (!part) throw fail(`Component item ${id} not found`);
+        if (!part.is_active) throw fail(`${part.code} is inactive`);
+        if (part.kit_type) throw fail(`${part.code} is itself a kit — kits cannot contain kits`);
+    }
+
+    await client.query(`DELETE FROM item_components WHERE kit_item_id = $1`, [kit.id]);
+    for (let idx = 0; idx < list.length; idx++) {
+        const c = list[idx];
+        await client.query(
+            `INSERT INTO item_components (kit_item_id, component_item_id, qty, sort_order, notes)
+             VALUES ($1,$2,$3,$4,$5)`,
+            [kit.id, c.component_item_id, c.qty, idx + 1, c.notes || null]
+        );
+    }
+    return components(client, kit.id);
+}
+
+/**
+ * Explode a sales order line for a bundle into its components, scaled to the
+ * quantity ordered. Returns the component rows; [] for lines of other items.
+ */
+async function explode(client, line) {
+    const { rows: [item] } = await client.query(
+        `SELECT code, kit_type FROM items WHERE id = $1`, [line.item_id]
+    );
+    if (!item || item.kit_type !== 'bundle') return [];
+
+    const bom = await components(client, line.item_id);
+    if (!bom.length) throw fail(`Bundle ${item.code} has no components`);
+    const rows = [];
+    for (const c of bom) {
+        const { rows: [row] } = await client.query(
+            `INSERT INTO sales_order_line_components
+                (sales_order_line_id, component_item_id, qty_per, qty_required, sort_order)
+             VALUES ($1,$2,$3,$4,$5) RETURNING *`,
+            [line.id, c.component_item_id, c.qty, round4(parseFloat(line.qty_ordered) * parseFloat(c.qty)),
+             c.sort_order]
+        );
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * The exploded components of the given sales order lines, as a Map of order
+ * line id → rows (with the component's code and name). Lines that are not
+ * bundles are absent.
+ */
+async function orderComponents(db, salesOrderLineIds) {
+    const { rows } = await db.query(
+        `SELECT c.*, i.code AS component_code, i.name AS component_name, i.unit_of_measure
+         FROM   sales_order_line_components c
+         JOIN   items i ON i.id = c.component_item_id
+         WHERE  c.sales_order_line_id = ANY($1)
+         ORDER  BY c.sort_order, i.code`, [salesOrderLineIds]
+    );
+    const byLine = new Map();
+    for (const r of rows) byLine.set(r.sales_order_line_id, [...(byLine.get(r.sales_order_line_id) || []), r]);
+    return byLine;
+}
+
+/**
+ * Kit availability per warehouse, from what is available of each component
+ * (v_stock_availability): qty_buildable is how many kits that makes, and
+ * limiting_component the component that runs out first. Assembly kits also
+ * carry their own stock; a bundle's qty_available is what it could make.
+ * Filters: itemId, warehouseId.
+ */
+async function availability(db, { itemId, warehouseId } = {}) {
+    const params = [];
+    const conds  = [`k.kit_type IS NOT NULL`, `w.is_active`, `NOT w.is_transit`, `NOT w.is_vendor_return`];
+    if (itemId)      { params.push(itemId);      conds.push(`k.id = $${params.length}`); }
+    if (warehouseId) { params.push(warehouseId); conds.push(`w.id = $${params.length}`); }
+
+    const { rows } = await db.query(
+        `WITH parts AS (
+             SELECT k.id AS item_id, w.id AS warehouse_id, ic.sort_order,
+                    c.code AS component_code, ic.qty AS qty_per,
+                    COALESCE(av.qty_available, 0) AS qty_available,
+                    FLOOR(COALESCE(av.qty_available, 0) / ic.qty) AS kits
+             FROM   items k
+             JOIN   item_components ic ON ic.kit_item_id = k.id
+             JOIN   items c ON c.id = ic.component_item_id
+             CROSS  JOIN warehouses w
+             LEFT   JOIN v_stock_availability av
+                    ON av.item_id = ic.component_item_id AND av.warehouse_id = w.id
+             WHERE  ${conds.join(' AND ')}
+         )
+         SELECT k.id AS item_id, k.code AS item_code, k.name AS item_name, k.kit_type,
+                w.id AS warehouse_id, w.code AS warehouse_code, w.name AS warehouse_name,
+                COALESCE(own.qty_on_hand, 0)   AS qty_on_hand,
+                COALESCE(own.qty_committed, 0) AS qty_committed,
+                CASE WHEN k.kit_type = 'bundle' THEN MIN(p.kits)
+                     ELSE COALESCE(own.qty_available, 0) END AS qty_available,
+                MIN(p.kits) AS qty_buildable,
+                (ARRAY_AGG(p.component_code ORDER BY p.kits, p.sort_order))[1] AS limiting_component,
+                JSON_AGG(JSON_BUILD_OBJECT(
+                    'component_code', p.component_code, 'qty_per', p.qty_per,
+                    'qty_available', p.qty_available, 'kits', p.kits
+                ) ORDER BY p.sort_order) AS components
+         FROM   parts p
+         JOIN   items k      ON k.id = p.item_id
+         JOIN   warehouses w ON w.id = p.warehouse_id
+         LEFT   JOIN v_stock_availability own ON own.item_id = k.id AND own.warehouse_id = w.id
+         GROUP  BY k.id, w.id, own.qty_on_hand, own.qty_committed, own.qty_available
+         ORDER  BY k.code, w.code`, params
+    );
+    return rows;
+}
+
+module.exports = {
+    components, assertKitType, assertStockable, setComponents, explode, orderComponents, availability,
+};
@@ -0,0 +1,177 @@
+'use strict';
+
+// lib/lots.js
+// Lot / expiry handling for lot-tracked items (items.is_lot_tracked).
+//
+// Outbound movements are split into one ledger row per lot. allocate() returns
+// those splits — FEFO (first-expiring-first-out, expired lots skipped) unless the
+// caller names the lots — and a single lot-less split for untracked items, so a
+// posting route can always loop over the result and write one row per split.
+//
+// Usage:
+//   const lots = require('../lib/lots');
+//   const tracked = await lots.trackedItemIds(client, lines.map(l => l.item_id));
+//   for (const split of await lots.allocate(client, { itemId, warehouseId, qty, tracked: tracked.has(itemId) })) {
+//       INSERT INTO stock_ledger (..., qty, lot_number, expiry_date) VALUES (..., -split.qty, split.lot_number, split.expiry_date)
+//   }
+
+const { z } = require('zod');
+
+const LotPickSchema = z.array(z.object({
+    line_id:    z.string().uuid(),
+    lot_number: z.string().trim().min(1).max(50),
+    qty:        z.coerce.number().positive(),
+})).default([]);
+
+const fail = (msg, status = 400) => Object.assign(new Error(msg), { status });
+// pg hands DATE columns back as local-midnight Date objects
+const pad2    = n => String(n).padStart(2, '0');
+const isoDate = d => (d instanceof Date
+    ? `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}` : d);
+const UNTRACKED = qty => [{ lot_number: null, expiry_date: null, qty }];
+
+/** Set of the given item ids that are lot-tracked. */
+async function trackedItemIds(client, itemIds) {
+    const { rows } = await client.query(
+        `SELECT id FROM items WHERE id = ANY($1) AND is_lot_tracked = true`, [itemIds]
+    );
+    return new Set(rows.map(r => r.id));
+}
+
+/** Validate a request's `lots: [{ line_id, lot_number, qty }]` and index by line id. */
+function parseLotPicks(raw) {
+    const result = LotPickSchema.safeParse(raw);
+    if (!result.success) {
+        const issue = result.error.issues[0];
+        throw fail(`Invalid lots: ${['lots', ...issue.path].join('.')} ${issue.message}`);
+    }
+    const byLine = new Map();
+    for (const p of result.data) byLine.set(p.line_id, [...(byLine.get(p.line_id) || []), p]);
+    return byLine;
+}
+
+/**
+ * On-hand lots of an item in a warehouse, FEFO order. Stock received before the
+ * item was lot-tracked shows up as a lot_number NULL bucket and is used last.
+ */
+async function onHand(client, itemId, warehouseId) {
+    const { rows } = await client.query(
+        `SELECT lot_number, MIN(expiry_date) AS expiry_date, SUM(qty) AS qty
+         FROM   stock_ledger
+         WHERE  item_id = $1 AND warehouse_id = $2
+         GROUP  BY lot_number
+         HAVING SUM(qty) > 0
+         ORDER  BY MIN(expiry_date) NULLS LAST, lot_number NULLS LAST`, [itemId, warehouseId]
+    );
+    return rows.map(r => ({ ...r, expiry_date: isoDate(r.expiry_date), qty: parseFloat(r.qty) }));
+}
+
+/**
+ * FEFO suggestion without side effects — used by pick lists.
+ * Returns { lots: [{ lot_number, expiry_date, qty }], shortfall }.
+ */
+async function suggest(client, { itemId, warehouseId, qty, asOf }) {
+    const today = isoDate(asOf || new Date());
+    const out   = [];
+    let left    = parseFloat(qty);
+    for (const lot of await onHand(client, itemId, warehouseId)) {
+        if (left <= 0) break;
+        if (lot.expiry_date && lot.expiry_date < today) continue;
+        const take = Math.min(left, lot.qty);
+        out.push({ lot_number: lot.lot_number, expiry_date: lot.expiry_date, qty: take });
+        left -= take;
+    }
+    return { lots: out, shortfall: Math.max(left, 0) };
+}
+
+/**
+ * Split an outbound quantity across lots. `picks` (from parseLotPicks) names
+ * the lots explicitly; otherwise FEFO as of `asOf`, never from expired lots.
+ */
+async function allocate(client, { itemId, warehouseId, qty, tracked, picks, asOf, label = 'line' }) {
+    qty = parseFloat(qty);
+    if (!tracked) {
+        if (picks && picks.length) throw fail(`Item on ${label} is not lot-tracked`);
+        return UNTRACKED(qty);
+    }
+    if (picks && picks.length) {
+        const total = picks.reduce((s, p) => s + p.qty, 0);
+        if (Math.abs(total - qty) > 0.00005)
+            throw fail(`Lot quantities on ${label} add up to ${total}, expected ${qty}`);
+        const available = Object.fromEntries(
+            (await onHand(client, itemId, warehouseId)).map(l => [l.lot_number, l])
+        );
+        return picks.map(p => {
+            const lot = available[p.lot_number];
+            if (!lot || lot.qty < p.qty)
+                throw fail(`Lot ${p.lot_number} has ${lot ? lot.qty : 0} on hand, ${p.qty} requested (${label})`);
+            return { lot_number: p.lot_number, expiry_date: lot.expiry_date, qty: p.qty };
+        });
+    }
+    const { lots, shortfall } = await suggest(client, { itemId, warehouseId, qty, asOf });
+    if (shortfall > 0)
+        throw fail(`Insufficient unexpired lot stock on ${label}: need ${qty}, available ${qty - shortfall}`);
+    return lots;
+}
+
+/**
+ * Split a customer return back into the lots its shipment went out in, or into
+ * `lotNumber` when the inspector read it off the goods.
+ */
+async function returnSplits(client, { itemId, shipmentId, qty, tracked, lotNumber }) {
+    qty = parseFloat(qty);
+    if (!tracked) return UNTRACKED(qty);
+    const { rows } = await client.query(
+        `SELECT lot_number, MIN(expiry_date) AS expiry_date, -SUM(qty) AS qty
+         FROM   stock_ledger
+         WHERE  item_id = $1 AND reference_type = 'shipment' AND reference_id = $2
+         GROUP  BY lot_number
+         ORDER  BY MIN(expiry_date) NULLS LAST, lot_number NULLS LAST`, [itemId, shipmentId]
+    );
+    if (lotNumber) {
+        const lot = rows.find(r => r.lot_number === lotNumber);
+        if (!lot) throw fail(`Lot ${lotNumber} was not shipped on this shipment`);
+        return [{ lot_number: lotNumber, expiry_date: isoDate(lot.expiry_date), qty }];
+    }
+    const out = [];
+    let left  = qty;
+    for (const r of rows) {
+        if (left <= 0) break;
+        const take = Math.min(left, parseFloat(r.qty));
+        if (take <= 0) continue;
+        out.push({ lot_number: r.lot_number, expiry_date: isoDate(r.expiry_date), qty: take });
+        left -= take;
+    }
+    if (left > 0.00005) throw fail(`Return quantity ${qty} exceeds what the shipment carried`);
+    return out;
+}
+
+/**
+ * Expiry for an inbound lot. An existing lot keeps the expiry it already has;
+ * a new one takes the given date or receipt date + items.shelf_life_days.
+ */
+async function resolveExpiry(client, { itemId, lotNumber, expiryDate, receivedOn }) {
+    const { rows: [known] } = await client.query(
+        `SELECT MIN(expiry_date) AS expiry_date FROM stock_ledger
+         WHERE item_id = $1 AND lot_number = $2`, [itemId, lotNumber]
+    );
+    const existing = known && known.expiry_date ? isoDate(known.expiry_date) : null;
+    if (existing) {
+        if (expiryDate && expiryDate !== existing)
+            throw fail(`Lot ${lotNumber} already exists with expiry ${existing}`, 409);
+        return existing;
+    }
+    if (expiryDate) return expiryDate;
+
+    const { rows: [item] } = await client.query(
+        `SELECT shelf_life_days FROM items WHERE id = $1`, [itemId]
+    );
+    if (!item || !item.shelf_life_days) return null;
+    const d = new Date(`${isoDate(receivedOn || new Date())}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + item.shelf_life_days);
+    return d.toISOString().slice(0, 10);
+}
+
+module.exports = {
+    trackedItemIds, parseLotPicks, onHand, suggest, allocate, returnSplits, resolveExpiry,
+};
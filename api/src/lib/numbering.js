@@ -0,0 +1,106 @@
+'use strict';
+
+// lib/numbering.js
+// Document numbers — one counter per company and document type (document_sequences).
+//
+// next() locks the company's counter row and advances it inside the caller's
+// transaction: concurrent requests queue on the row instead of reading the
+// same "last number", and a rolled-back document hands its number back, so a
+// series never skips. Types marked gap_free in document_types (invoices,
+// credit memos, vendor invoices, journal entries) additionally refuse to have
+// their counter moved by hand. Draw the number in the same transaction that
+// inserts the document.
+//
+// Usage:
+//   const numbering = require('../lib/numbering');
+//   const number = await numbering.next(client, 'sales_order');   // SO-2026-00042
+
+const TOKENS = ['{PREFIX}', '{YYYY}', '{YY}', '{MM}', '{DD}', '{SEQ}'];
+
+const pad = (n, w) => String(n).padStart(w, '0');
+
+/** The period a counter belongs to on `date`: '' | YYYY | YYYYMM | YYYYMMDD. */
+function periodKey(resetPeriod, date = new Date()) {
+    const y = String(date.getFullYear()), m = pad(date.getMonth() + 1, 2), d = pad(date.getDate(), 2);
+    switch (resetPeriod) {
+        case 'yearly':  return y;
+        case 'monthly': return y + m;
+        case 'daily':   return y + m + d;
+        default:        return '';
+    }
+}
+
+/** Render a number from a sequence's format. */
+function render(seq, value, date = new Date()) {
+    const y = String(date.getFullYear());
+    return seq.format
+        .replace(/\{PREFIX\}/g, seq.prefix)
+        .replace(/\{YYYY\}/g, y)
+        .replace(/\{YY\}/g, y.slice(2))
+        .replace(/\{MM\}/g, pad(date.getMonth() + 1, 2))
+        .replace(/\{DD\}/g, pad(date.getDate(), 2))
+        .replace(/\{SEQ\}/g, pad(value, seq.padding));
+}
+
+/**
+ * Why a format cannot be used with a reset period, or null. {SEQ} must appear
+ * once, and a counter that restarts each period needs that period in the
+ * number or the restarted series repeats last period's numbers.
+ */
+function formatError(format, resetPeriod) {
+    const unknown = (format.match(/\{[^}]*\}/g) || []).filter(t => !TOKENS.includes(t));
+    if (unknown.length) return `Unknown token ${unknown[0]} — use ${TOKENS.join(' ')}`;
+    if ((format.match(/\{SEQ\}/g) || []).length !== 1) return 'Format must contain {SEQ} exactly once';
+    const year = format.includes('{YYYY}') || format.includes('{YY}');
+    const needs = {
+        yearly:  [year, 'the year'],
+        monthly: [year && format.includes('{MM}'), 'the year and month'],
+        daily:   [year && format.includes('{MM}') && format.includes('{DD}'), 'the full date'],
+    }[resetPeriod];
+    if (needs && !needs[0]) return `A ${resetPeriod} reset needs ${needs[1]} in the format`;
+    return null;
+}
+
+const SELECT_LOCKED = `
+    SELECT s.*, t.name, t.gap_free
+    FROM   document_sequences s
+    JOIN   document_types t ON t.doc_type = s.doc_type
+    WHERE  s.company_id = current_company_id() AND s.doc_type = $1
+    FOR UPDATE OF s`;
+
+/** The company's sequence row for a type, locked; created from the type's defaults on first use. */
+async function lockSequence(client, docType) {
+    let { rows: [seq] } = await client.query(SELECT_LOCKED, [docType]);
+    if (seq) return seq;
+    await client.query(
+        `INSERT INTO document_sequences (doc_type, prefix, format, padding, reset_period)
+         SELECT doc_type, prefix, format, padding, reset_period
+         FROM   document_types WHERE doc_type = $1
+         ON CONFLICT (company_id, doc_type) DO NOTHING`, [docType]
+    );
+    ({ rows: [seq] } = await client.query(SELECT_LOCKED, [docType]));
+    if (!seq) throw Object.assign(new Error(`Unknown document type ${docType}`), { status: 500 });
+    return seq;
+}
+
+/** Draw the next number of a document type for the client's tenant. */
+async function next(client, docType) {
+    const seq   = await lockSequence(client, docType);
+    const now   = new Date();
+    const key   = periodKey(seq.reset_period, now);
+    const value = seq.period_key === key ? parseInt(seq.next_value, 10) : 1;
+    await client.query(
+        `UPDATE document_sequences SET next_value = $1, period_key = $2
+         WHERE  company_id = $3 AND doc_type = $4`,
+        [value + 1, key, seq.company_id, docType]
+    );
+    return render(seq, value, now);
+}
+
+/** The number next() would return now, without drawing it. */
+function preview(seq, date = new Date()) {
+    const value = seq.period_key === periodKey(seq.reset_period, date) ? parseInt(seq.next_value, 10) : 1;
+    return render(seq, value, date);
+}
+
+module.exports = { next, lock: lockSequence, preview, render, periodKey, formatError, TOKENS };
@@ -0,0 +1,359 @@
+'use strict';
+
+// lib/pdf.js
+// PDF versions of the print documents, drawn with pdfkit — no browser needed.
+//
+// render() lays out a document's `sheet` (lib/documents.js) on US Letter under
+// the company letterhead from company_settings: logo, name, address and
+// contact lines. Long tables carry on over as many pages as they need, with
+// the column headings repeated, and every page is numbered "Page n of N".
+//
+// A sheet is plain data:
+//   { name, label, number, badge?,
+//     parties:    [{ heading, lines: [first line bold, ...] }],
+//     meta:       [[label, value], ...],
+//     text?:      letter text, drawn before the tables,
+//     tables:     [{ columns: [{ header, width, align }], rows: [[cell, ...]], foot?, empty? }],
+//     totals:     [[label, value, grand?], ...],
+//     notes?:     [label, text],
+//     signatures?: [heading, ...],
+//     footer }
+//
+// store() keeps a rendered file in document_files, linked to its document.
+//
+// Usage:
+//   const pdf  = require('../lib/pdf');
+//   const file = await pdf.render(req.db, doc);             // { content, pages }
+//   const row  = await pdf.store(req.db, { docType: 'invoice', doc, file, userId });
+
+const crypto      = require('crypto');
+const PDFDocument = require('pdfkit');
+const documents   = require('./documents');
+
+const MARGIN = { top: 48, bottom: 64, left: 48, right: 48 };
+const COLOR  = {
+    ink: '#1a1a2e', navy: '#0d1b3e', muted: '#6c757d', faint: '#adb5bd',
+    rule: '#dee2e6', zebra: '#f8f9fa', badge: '#0d6efd', badgeBg: '#e7f3fe',
+};
+const LOGO_BOX = [150, 54];
+const CELL_PAD = 5;
+
+// ── Letterhead ────────────────────────────────────────────────────────────────
+
+/** The current company's letterhead; the company name when settings have none. */
+async function letterhead(db) {
+    const { rows: [lh] } = await db.query(
+        `SELECT COALESCE(cs.company_name, c.name) AS name,
+                cs.company_address AS address, cs.company_phone AS phone,
+                cs.company_email AS email, cs.company_website AS website, cs.logo
+         FROM   companies c
+         LEFT JOIN company_settings cs ON cs.company_id = c.id
+         WHERE  c.id = current_company_id()`
+    );
+    return lh || { name: 'Tick Tock Inc.' };
+}
+
+/** Throws unless `buf` is an image pdfkit can place (PNG or JPEG). */
+function checkImage(buf) {
+    new PDFDocument({ autoFirstPage: false }).openImage(buf);
+}
+
+// ── Layout ────────────────────────────────────────────────────────────────────
+
+const contentWidth = d => d.page.width - MARGIN.left - MARGIN.right;
+const pageBottom   = d => d.page.height - MARGIN.bottom;
+
+// Start a new page when `height` more points would not fit on this one
+function ensureSpace(d, height) {
+    if (d.y + height > pageBottom(d)) d.addPage();
+}
+
+function drawLetterhead(d, sheet, lh) {
+    const left  = MARGIN.left;
+    const right = d.page.width - MARGIN.right;
+    const top   = MARGIN.top;
+    let y = top;
+
+    if (lh.logo) {
+        d.image(lh.logo, left, y, { fit: LOGO_BOX });
+        y += LOGO_BOX[1] + 6;
+    }
+    d.font('Helvetica-Bold').fontSize(16).fillColor(COLOR.navy).text(lh.name, left, y, { width: 300 });
+    const contact = [
+        ...(lh.address ? lh.address.split(/\r?\n/) : []),
+        [lh.phone, lh.email, lh.website].filter(Boolean).join('  •  '),
+    ].filter(Boolean);
+    d.font('Helvetica').fontSize(8.5).fillColor(COLOR.muted);
+    for (const line of contact) d.text(line, left, d.y + 1, { width: 300 });
+    const leftBottom = d.y;
+
+    const w = 220;
+    d.font('Helvetica-Bold').fontSize(13).fillColor(COLOR.navy)
+        .text(sheet.name.toUpperCase(), right - w, top, { width: w, align: 'right', characterSpacing: 0.5 });
+    d.font('Helvetica').fontSize(7.5).fillColor(COLOR.muted)
+        .text(sheet.label.toUpperCase(), right - w, d.y + 4, { width: w, align: 'right', characterSpacing: 1 });
+    d.font('Helvetica-Bold').fontSize(15).fillColor(COLOR.navy)
+        .text(String(sheet.number), right - w, d.y + 1, { width: w, align: 'right' });
+    if (sheet.badge) {
+        d.font('Helvetica-Bold').fontSize(8);
+        const bw = d.widthOfString(sheet.badge) + 16;
+        const by = d.y + 4;
+        d.roundedRect(right - bw, by, bw, 15, 7.5).fill(COLOR.badgeBg);
+        d.fillColor(COLOR.badge).text(sheet.badge, right - bw, by + 4, { width: bw, align: 'center' });
+        d.y = by + 15;
+    }
+
+    y = Math.max(leftBottom, d.y) + 12;
+    d.moveTo(left, y).lineTo(right, y).lineWidth(2).strokeColor(COLOR.navy).stroke();
+    d.y = y + 18;
+}
+
+// Continuation pages: a one-line reminder of which document this is
+function drawRunningHead(d, doc, lh) {
+    const y = MARGIN.top - 20;
+    d.font('Helvetica').fontSize(8).fillColor(COLOR.muted)
+        .text(`${lh.name}  •  ${doc.title} (continued)`, MARGIN.left, y, { width: contentWidth(d), lineBreak: false });
+    d.y = MARGIN.top;
+}
+
+function drawParties(d, parties) {
+    if (!parties.length) return;
+    const gap = 24;
+    const w   = (contentWidth(d) - gap) / 2;
+    const top = d.y;
+    let bottom = top;
+    parties.forEach((p, i) => {
+        const x = MARGIN.left + i * (w + gap);
+        d.font('Helvetica').fontSize(7.5).fillColor(COLOR.muted)
+            .text(p.heading.toUpperCase(), x, top, { width: w, characterSpacing: 1 });
+        d.y += 3;
+        p.lines.forEach((line, n) => {
+            d.font(n === 0 ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor(COLOR.ink)
+                .text(String(line), x, d.y, { width: w, lineGap: 1.5 });
+        });
+        bottom = Math.max(bottom, d.y);
+    });
+    d.y = bottom + 18;
+}
+
+// Label-over-value pairs, left to right, wrapping onto further rows
+function drawMeta(d, meta) {
+    if (!meta.length) return;
+    const gap = 26;
+    let x = MARGIN.left;
+    let y = d.y;
+    let rowBottom = y;
+    for (const [label, value] of meta) {
+        d.font('Helvetica').fontSize(7.5);
+        const lw = d.widthOfString(label.toUpperCase(), { characterSpacing: 1 });
+        d.font('Helvetica-Bold').fontSize(10);
+        const w = Math.min(Math.max(lw, d.widthOfString(String(value))), contentWidth(d));
+        if (x > MARGIN.left && x + w > MARGIN.left + contentWidth(d)) {
+            x = MARGIN.left;
+            y = rowBottom + 10;
+        }
+        d.font('Helvetica').fontSize(7.5).fillColor(COLOR.muted)
+            .text(label.toUpperCase(), x, y, { width: w + 1, characterSpacing: 1, lineBreak: false });
+        d.font('Helvetica-Bold').fontSize(10).fillColor(COLOR.ink).text(String(value), x, y + 11, { width: w + 1 });
+        rowBottom = Math.max(rowBottom, d.y);
+        x += w + gap;
+    }
+    d.y = rowBottom + 18;
+}
+
+function drawText(d, text) {
+    d.font('Helvetica').fontSize(10).fillColor(COLOR.ink)
+        .text(text, MARGIN.left, d.y, { width: contentWidth(d), lineGap: 3, paragraphGap: 4 });
+    d.y += 18;
+}
+
+function drawTable(d, table) {
+    const total  = table.columns.reduce((s, c) => s + c.width, 0);
+    const widths = table.columns.map(c => contentWidth(d) * c.width / total);
+    const xs     = widths.map((_, i) => MARGIN.left + widths.slice(0, i).reduce((s, w) => s + w, 0));
+    const cellOpts = i => ({ width: widths[i] - 2 * CELL_PAD, align: table.columns[i].align });
+
+    const rowHeight = (cells, font, size) => {
+        d.font(font).fontSize(size);
+        return Math.max(...cells.map((c, i) => d.heightOfString(String(c ?? ''), cellOpts(i)))) + 2 * CELL_PAD;
+    };
+    const drawCells = (cells, y, font, size, color) => {
+        d.font(font).fontSize(size).fillColor(color);
+        cells.forEach((c, i) => d.text(String(c ?? ''), xs[i] + CELL_PAD, y + CELL_PAD, cellOpts(i)));
+    };
+    const drawHead = () => {
+        const headers = table.columns.map(c => c.header.toUpperCase());
+        const h = rowHeight(headers, 'Helvetica-Bold', 7.5);
+        const y = d.y;
+        d.rect(MARGIN.left, y, contentWidth(d), h).fill(COLOR.navy);
+        drawCells(headers, y, 'Helvetica-Bold', 7.5, '#ffffff');
+        d.y = y + h;
+    };
+
+    // Keep the heading with at least the first row
+    ensureSpace(d, 44);
+    drawHead();
+
+    if (!table.rows.length && table.empty) {
+        d.font('Helvetica').fontSize(9).fillColor(COLOR.muted)
+            .text(table.empty, MARGIN.left + CELL_PAD, d.y + CELL_PAD, { width: contentWidth(d) - 2 * CELL_PAD });
+        d.y += CELL_PAD;
+    }
+    table.rows.forEach((cells, n) => {
+        const h = rowHeight(cells, 'Helvetica', 9);
+        if (d.y + h > pageBottom(d)) { d.addPage(); drawHead(); }
+        const y = d.y;
+        if (n % 2 === 1) d.rect(MARGIN.left, y, contentWidth(d), h).fill(COLOR.zebra);
+        drawCells(cells, y, 'Helvetica', 9, COLOR.ink);
+        d.moveTo(MARGIN.left, y + h).lineTo(MARGIN.left + contentWidth(d), y + h)
+            .lineWidth(0.5).strokeColor(COLOR.rule).stroke();
+        d.y = y + h;
+    });
+    if (table.foot) {
+        const h = rowHeight(table.foot, 'Helvetica-Bold', 9);
+        ensureSpace(d, h);
+        const y = d.y;
+        d.moveTo(MARGIN.left, y).lineTo(MARGIN.left + contentWidth(d), y).lineWidth(1.5).strokeColor(COLOR.rule).stroke();
+        drawCells(table.foot, y, 'Helvetica-Bold', 9, COLOR.ink);
+        d.y = y + h;
+    }
+    d.y += 16;
+}
+
+function drawTotals(d, totals) {
+    if (!totals.length) return;
+    const w = 240;
+    const x = MARGIN.left + contentWidth(d) - w;
+    ensureSpace(d, totals.length * 20 + 6);
+    for (const [label, value, grand] of totals) {
+        const size = grand ? 12 : 9.5;
+        let y = d.y;
+        if (grand) {
+            d.moveTo(x, y + 2).lineTo(x + w, y + 2).lineWidth(1.5).strokeColor(COLOR.navy).stroke();
+            y += 6;
+        }
+        d.font(grand ? 'Helvetica-Bold' : 'Helvetica').fontSize(size).fillColor(grand ? COLOR.navy : COLOR.muted)
+            .text(label, x + CELL_PAD, y + 3, { width: w / 2, lineBreak: false });
+        d.fillColor(grand ? COLOR.navy : COLOR.ink)
+            .text(value, x + w / 2, y + 3, { width: w / 2 - CELL_PAD, align: 'right', lineBreak: false });
+        d.y = y + size + 8;
+    }
+    d.y += 12;
+}
+
+function drawNotes(d, [label, text]) {
+    const w = contentWidth(d) - 24;
+    d.font('Helvetica').fontSize(9);
+    const h = d.heightOfString(`${label}: ${text}`, { width: w }) + 20;
+    ensureSpace(d, h);
+    const y = d.y;
+    d.rect(MARGIN.left, y, contentWidth(d), h).fill(COLOR.zebra);
+    d.rect(MARGIN.left, y, 3, h).fill(COLOR.navy);
+    d.font('Helvetica-Bold').fontSize(9).fillColor('#495057')
+        .text(`${label}: `, MARGIN.left + 14, y + 10, { width: w, continued: true })
+        .font('Helvetica').text(text);
+    d.y = y + h + 16;
+}
+
+function drawSignatures(d, headings) {
+    const gap = 24;
+    const w   = (contentWidth(d) - gap * (headings.length - 1)) / headings.length;
+    const h   = 70;
+    ensureSpace(d, h + 10);
+    const y = d.y + 10;
+    headings.forEach((heading, i) => {
+        const x = MARGIN.left + i * (w + gap);
+        d.rect(x, y, w, h).lineWidth(0.75).strokeColor(COLOR.rule).stroke();
+        d.font('Helvetica-Bold').fontSize(8).fillColor(COLOR.navy)
+            .text(heading.toUpperCase(), x + 8, y + 8, { width: w - 16, characterSpacing: 0.5 });
+        d.font('Helvetica').fontSize(8.5).fillColor(COLOR.muted)
+            .text('Signed: ______________________   Date: __________', x + 8, y + h - 18, { width: w - 16, lineBreak: false });
+    });
+    d.y = y + h + 16;
+}
+
+function drawClosing(d, sheet, lh) {
+    ensureSpace(d, 40);
+    const y = d.y + 8;
+    d.moveTo(MARGIN.left, y).lineTo(MARGIN.left + contentWidth(d), y).lineWidth(0.75).strokeColor(COLOR.rule).stroke();
+    d.font('Helvetica').fontSize(8.5).fillColor(COLOR.faint)
+        .text(`${lh.name}  •  ${sheet.footer}`, MARGIN.left, y + 10, { width: contentWidth(d), align: 'center' });
+}
+
+// Footer on every page, written once the page count is known
+function numberPages(d, doc) {
+    const { start, count } = d.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+        d.switchToPage(i);
+        // Writing below the bottom margin would otherwise start a new page
+        d.page.margins.bottom = 0;
+        const y = d.page.height - MARGIN.bottom + 28;
+        d.font('Helvetica').fontSize(8).fillColor(COLOR.muted);
+        d.text(doc.title, MARGIN.left, y, { width: contentWidth(d) / 2, lineBreak: false });
+        d.text(`Page ${i - start + 1} of ${count}`, MARGIN.left + contentWidth(d) / 2, y,
+            { width: contentWidth(d) / 2, align: 'right', lineBreak: false });
+        d.page.margins.bottom = MARGIN.bottom;
+    }
+    return count;
+}
+
+/** Draw `doc` under letterhead `lh`. Resolves to { content: Buffer, pages }. */
+function draw(doc, lh) {
+    const { sheet } = doc;
+    const d = new PDFDocument({
+        size: 'LETTER', margins: MARGIN, bufferPages: true,
+        info: { Title: doc.title, Author: lh.name, Creator: 'Tick Tock ERP' },
+    });
+    const chunks = [];
+    const done   = new Promise((resolve, reject) => {
+        d.on('data', c => chunks.push(c));
+        d.on('end', () => resolve(Buffer.concat(chunks)));
+        d.on('error', reject);
+    });
+
+    drawLetterhead(d, sheet, lh);
+    d.on('pageAdded', () => drawRunningHead(d, doc, lh));
+    drawParties(d, sheet.parties);
+    drawMeta(d, sheet.meta);
+    if (sheet.text) drawText(d, sheet.text);
+    for (const table of sheet.tables) drawTable(d, table);
+    drawTotals(d, sheet.totals);
+    if (sheet.notes) drawNotes(d, sheet.notes);
+    if (sheet.signatures) drawSignatures(d, sheet.signatures);
+    drawClosing(d, sheet, lh);
+    const pages = numberPages(d, doc);
+    d.end();
+    return done.then(content => ({ content, pages }));
+}
+
+/** Render a loaded document (lib/documents.js) with the company's letterhead. */
+async function render(db, doc) {
+    return draw(doc, await letterhead(db));
+}
+
+// ── Stored copies ─────────────────────────────────────────────────────────────
+
+const FILE_COLUMNS = `id, doc_type, doc_id, doc_number, file_name, content_type, byte_size, sha256,
+                      page_count, created_by, created_at`;
+
+/**
+ * Keep a rendered file in document_files. Pass the loaded `doc`, or its
+ * docId / docNumber / fileName. Returns the row without its content.
+ */
+async function store(db, { docType, doc, docId, docNumber, fileName, file, userId = null }) {
+    if (doc) {
+        docId     = doc.record.id;
+        docNumber = doc.number;
+        fileName  = documents.fileName(docType, doc);
+    }
+    const { rows: [row] } = await db.query(
+        `INSERT INTO document_files (doc_type, doc_id, doc_number, file_name, content, byte_size, sha256, page_count, created_by)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+         RETURNING ${FILE_COLUMNS}`,
+        [docType, docId, String(docNumber).slice(0, 30), fileName, file.content, file.content.length,
+         crypto.createHash('sha256').update(file.content).digest('hex'), file.pages, userId]
+    );
+    return row;
+}
+
+module.exports = { letterhead, checkImage, draw, render, store, FILE_COLUMNS };
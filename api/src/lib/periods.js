@@ -0,0 +1,261 @@
+'use strict';
+
+// lib/periods.js
+// Fiscal periods — the company's fiscal year cut into twelve monthly periods,
+// and the lockout that keeps postings out of closed ones.
+//
+// The fiscal year ends on the `fiscal_year_end` preference (MM-DD, default
+// 12-31) and is named after the calendar year it ends in: with 06-30, FY2026
+// runs 2025-07-01 – 2026-06-30. A month-end year end gives calendar-month
+// periods; any other day gives periods that end on that day of each month.
+//
+// Period rows (fiscal_periods) are stored the first time a period of the year
+// is closed. A date without a row is in an open period.
+//   open         everything posts
+//   soft_closed  operational documents are refused; journal entries by a
+//                company admin or manager still post
+//   hard_closed  nothing posts, except the year-end close and its reversal
+//
+// Usage:
+//   const periods = require('../lib/periods');
+//   await periods.assertOpen(client, shipment.ship_date);                  // operational posting
+//   await periods.assertOpen(client, je.entry_date, { allow: 'soft_closed' }); // admin journal entry
+
+const STATUSES = ['open', 'soft_closed', 'hard_closed'];
+const RANK     = { open: 0, soft_closed: 1, hard_closed: 2 };
+const DEFAULT_YEAR_END = '12-31';
+
+// Days in a month of a non-leap year: 02-28 counts as a month end
+const MONTH_DAYS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const pad = n => String(n).padStart(2, '0');
+
+/** YYYY-MM-DD for a DATE value from pg (a local-midnight Date) or a date string. */
+function dateStr(value) {
+    if (value instanceof Date)
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    return String(value).slice(0, 10);
+}
+
+// Calendar arithmetic on YYYY-MM-DD strings, in UTC so no day is lost to DST
+function ymd(year, month, day) {
+    const last = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month - 1, Math.min(day, last))).toISOString().slice(0, 10);
+}
+function addDays(date, n) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + n);
+    return d.toISOString().slice(0, 10);
+}
+
+// ── Fiscal calendar ───────────────────────────────────────────────────────────
+
+/** Parse a `fiscal_year_end` value ('MM-DD'); throws 400 when it is not a day of the year. */
+function parseYearEnd(value) {
+    const m = /^(\d{2})-(\d{2})$/.exec(String(value ?? '').trim());
+    const month = m && parseInt(m[1], 10);
+    const day   = m && parseInt(m[2], 10);
+    if (!m || month < 1 || month > 12 || day < 1 || day > (month === 2 ? 29 : MONTH_DAYS[month - 1]))
+        throw Object.assign(new Error(`fiscal_year_end must be MM-DD (e.g. 12-31), not "${value}"`), { status: 400 });
+    return { month, day, monthEnd: day >= MONTH_DAYS[month - 1], value: `${pad(month)}-${pad(day)}` };
+}
+
+/** The company's fiscal year end. */
+async function yearEnd(db) {
+    const { rows: [pref] } = await db.query(
+        `SELECT value FROM company_preferences WHERE key = 'fiscal_year_end'`
+    );
+    return parseYearEnd(pref?.value || DEFAULT_YEAR_END);
+}
+
+// Last day of the period that ends `offset` months before the end of fiscal year `fy`
+function periodEnd(ye, fy, offset) {
+    const index = fy * 12 + (ye.month - 1) - offset;
+    return ymd(Math.floor(index / 12), (index % 12) + 1, ye.monthEnd ? 31 : ye.day);
+}
+
+/** The twelve periods of fiscal year `fy`: [{ fiscal_year, period_number, start_date, end_date }]. */
+function periodsOf(ye, fy) {
+    const out = [];
+    for (let n = 1; n <= 12; n++) {
+        out.push({
+            fiscal_year:   fy,
+            period_number: n,
+            start_date:    addDays(periodEnd(ye, fy, 13 - n), 1),
+            end_date:      periodEnd(ye, fy, 12 - n),
+        });
+    }
+    return out;
+}
+
+/** The fiscal year a date falls in. */
+function fiscalYearOf(ye, date) {
+    const d    = dateStr(date);
+    const year = parseInt(d.slice(0, 4), 10);
+    return d > periodEnd(ye, year, 0) ? year + 1 : year;
+}
+
+/** The first day of the period after the one `date` is in (where accruals reverse). */
+async function nextPeriodStart(db, date) {
+    const ye = await yearEnd(db);
+    const d  = dateStr(date);
+    const p  = periodsOf(ye, fiscalYearOf(ye, d)).find(p => d <= p.end_date);
+    return addDays(p.end_date, 1);
+}
+
+// ── Stored periods ────────────────────────────────────────────────────────────
+
+/**
+ * A fiscal year's periods, stored or not, with their status, and the year's
+ * close if it is closed. Reads only.
+ */
+async function listYear(db, fiscalYear) {
+    const ye = await yearEnd(db);
+    const { rows: stored } = await db.query(
+        `SELECT fp.id, fp.fiscal_year, fp.period_number, fp.start_date::text, fp.end_date::text,
+                fp.status, fp.closed_by, u.name AS closed_by_name, fp.closed_at
+         FROM   fiscal_periods fp
+         LEFT JOIN users u ON u.id = fp.closed_by
+         WHERE  fp.fiscal_year = $1
+         ORDER  BY fp.period_number`,
+        [fiscalYear]
+    );
+    const byNumber = new Map(stored.map(p => [p.period_number, p]));
+    const list = periodsOf(ye, fiscalYear).map(p => byNumber.get(p.period_number) || {
+        id: null, ...p, status: 'open', closed_by: null, closed_by_name: null, closed_at: null,
+    });
+    const close = await closeOf(db, fiscalYear);
+    return {
+        fiscal_year: fiscalYear,
+        start_date:  list[0].start_date,
+        end_date:    list[11].end_date,
+        status:      close ? 'closed' : 'open',
+        close,
+        periods:     list,
+    };
+}
+
+/** Store a fiscal year's period rows if they are not there yet; returns them locked, in order. */
+async function ensureYear(client, fiscalYear) {
+    const ye = await yearEnd(client);
+    for (const p of periodsOf(ye, fiscalYear)) {
+        await client.query(
+            `INSERT INTO fiscal_periods (fiscal_year, period_number, start_date, end_date)
+             VALUES ($1,$2,$3,$4)
+             ON CONFLICT (company_id, fiscal_year, period_number) DO NOTHING`,
+            [fiscalYear, p.period_number, p.start_date, p.end_date]
+        );
+    }
+    const { rows } = await client.query(
+        `SELECT id, fiscal_year, period_number, start_date::text, end_date::text, status, closed_by, closed_at
+         FROM   fiscal_periods WHERE fiscal_year = $1
+         ORDER  BY period_number FOR UPDATE`,
+        [fiscalYear]
+    );
+    return rows;
+}
+
+/** The fiscal year's current (not reopened) year-end close, or null. */
+async function closeOf(db, fiscalYear) {
+    const { rows: [close] } = await db.query(
+        `SELECT fc.id, fc.fiscal_year, fc.start_date::text, fc.end_date::text, fc.journal_entry_id,
+                je.number AS journal_entry_number, fc.net_income, fc.closed_by, fc.closed_at
+         FROM   fiscal_year_closes fc
+         LEFT JOIN journal_entries je ON je.id = fc.journal_entry_id
+         WHERE  fc.fiscal_year = $1 AND fc.status = 'closed'`,
+        [fiscalYear]
+    );
+    return close || null;
+}
+
+// ── Lockout ───────────────────────────────────────────────────────────────────
+
+const label = p => `FY${p.fiscal_year} period ${p.period_number} (${p.start_date} – ${p.end_date})`;
+
+/**
+ * Refuse a posting dated in a closed period (409). `allow` is the most closed
+ * status the caller may post into: 'open' for operational documents,
+ * 'soft_closed' for journal entries by a company admin or manager,
+ * 'hard_closed' for the year-end close itself. No date means today.
+ */
+async function assertOpen(db, date, { allow = 'open' } = {}) {
+    const { rows: [p] } = await db.query(
+        `SELECT fiscal_year, period_number, start_date::text, end_date::text, status,
+                COALESCE($1::date, CURRENT_DATE)::text AS date
+         FROM   fiscal_periods
+         WHERE  COALESCE($1::date, CURRENT_DATE) BETWEEN start_date AND end_date`,
+        [date ? dateStr(date) : null]
+    );
+    if (!p || RANK[p.status] <= RANK[allow]) return p || null;
+    const msg = p.status === 'hard_closed'
+        ? `${label(p)} is hard-closed: nothing can be posted on ${p.date}`
+        : `${label(p)} is soft-closed: only journal entries by a company admin or manager can be posted on ${p.date}`;
+    throw Object.assign(new Error(msg), { status: 409 });
+}
+
+/**
+ * Move one period to `status`. Periods hard-close in order and reopen in
+ * reverse order; only a company admin reopens a hard-closed period, and none
+ * of a closed year's periods change until the year is reopened.
+ */
+async function setStatus(client, { fiscalYear, periodNumber, status, role, userId }) {
+    if (!STATUSES.includes(status))
+        throw Object.assign(new Error(`status must be one of ${STATUSES.join(', ')}`), { status: 400 });
+    const year = await ensureYear(client, fiscalYear);
+    const p = year[periodNumber - 1];
+    if (!p) throw Object.assign(new Error('Period not found'), { status: 404 });
+    if (p.status === status) return p;
+
+    if (await closeOf(client, fiscalYear))
+        throw Object.assign(new Error(`FY${fiscalYear} is closed; reopen the year before changing its periods`), { status: 409 });
+    if (p.status === 'hard_closed' && role !== 'admin')
+        throw Object.assign(new Error('Only a company admin can reopen a hard-closed period'), { status: 403 });
+
+    if (status === 'hard_closed') {
+        const earlier = year.find(e => e.period_number < periodNumber && e.status !== 'hard_closed');
+        if (earlier) throw Object.assign(
+            new Error(`Hard-close ${label(earlier)} first; periods hard-close in order`), { status: 409 }
+        );
+    } else if (p.status === 'hard_closed') {
+        const later = year.find(e => e.period_number > periodNumber && e.status === 'hard_closed');
+        if (later) throw Object.assign(
+            new Error(`${label(later)} is hard-closed; periods reopen in reverse order`), { status: 409 }
+        );
+    }
+
+    const { rows: [updated] } = await client.query(
+        `UPDATE fiscal_periods
+         SET    status = $2::text,
+                closed_by = CASE WHEN $2::text = 'open' THEN NULL ELSE $3::uuid END,
+                closed_at = CASE WHEN $2::text = 'open' THEN NULL ELSE NOW() END
+         WHERE  id = $1
+         RETURNING id, fiscal_year, period_number, start_date::text, end_date::text, status, closed_by, closed_at`,
+        [p.id, status, userId || null]
+    );
+    return updated;
+}
+
+/**
+ * Check a new `fiscal_year_end` before it is saved: the calendar can only
+ * change while nothing is closed under the old one. Clears the stored (all
+ * open) periods so they are cut again. Returns the normalised MM-DD value.
+ */
+async function changeYearEnd(client, value) {
+    const next = parseYearEnd(value);
+    const current = await yearEnd(client);
+    if (next.value === current.value) return next.value;
+    const { rows: [closed] } = await client.query(
+        `SELECT (SELECT COUNT(*) FROM fiscal_periods WHERE status <> 'open')::int
+              + (SELECT COUNT(*) FROM fiscal_year_closes WHERE status = 'closed')::int AS n`
+    );
+    if (closed.n > 0) throw Object.assign(
+        new Error('fiscal_year_end cannot change once periods have been closed; reopen them first'), { status: 409 }
+    );
+    await client.query(`DELETE FROM fiscal_periods`);
+    return next.value;
+}
+
+module.exports = {
+    STATUSES, dateStr, ymd, addDays, parseYearEnd, yearEnd, periodsOf, fiscalYearOf, nextPeriodStart,
+    listYear, ensureYear, closeOf, assertOpen, setStatus, changeYearEnd,
+};
@@ -0,0 +1,223 @@
+'use strict';
+
+// lib/recurring-journals.js
+// Recurring journal entries — templates for rent, depreciation, insurance
+// amortization and the like, and the runs that turn them into entries.
+//
+// A template repeats every `interval_count` weeks, months, quarters or years
+// from its start_date: occurrence n falls n intervals after the start, on the
+// start's day of the month (clamped to short months; a start on a month end
+// stays on month ends). A run generates every occurrence due on or before its
+// date that has not been generated yet, catching up on missed ones, as a
+// draft entry or — with auto_post — a posted one. Templates with auto_reverse
+// generate accruals, reversed on the first day of the next fiscal period when
+// they post (gl.postAccrualReversal).
+//
+// Usage:
+//   const recurring = require('../lib/recurring-journals');
+//   const results = await recurring.runDue(req.db, { companyId, asOf, userId });
+//   recurring.startScheduler();      // API process; RECURRING_JOURNAL_POLL_MS
+
+const { query, tenantDb } = require('../db/pool');
+const { RECURRING_JOURNAL_POLL_MS } = require('../config/env');
+const numbering = require('./numbering');
+const periods   = require('./periods');
+const gl        = require('./gl-posting');
+
+const FREQUENCIES = ['weekly', 'monthly', 'quarterly', 'yearly'];
+const MONTHS      = { monthly: 1, quarterly: 3, yearly: 12 };
+
+// Occurrences one run generates at most per template; the rest follow on the next
+const MAX_CATCH_UP = 100;
+
+// Generated entries may go into soft-closed periods, like a manager's journal entry
+const ALLOW_PERIOD = 'soft_closed';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// ── Schedule ──────────────────────────────────────────────────────────────────
+
+/** The date of occurrence `n` (0 = the start date) of a template's schedule. */
+function occurrence(template, n) {
+    const start = periods.dateStr(template.start_date);
+    const step  = n * template.interval_count;
+    if (template.frequency === 'weekly') return periods.addDays(start, 7 * step);
+
+    const [y, m, d] = start.split('-').map(Number);
+    const monthEnd  = d === new Date(Date.UTC(y, m, 0)).getUTCDate();
+    const index     = y * 12 + (m - 1) + step * MONTHS[template.frequency];
+    return periods.ymd(Math.floor(index / 12), (index % 12) + 1, monthEnd ? 31 : d);
+}
+
+/** The occurrence after `runCount` generated ones, or null once past the end date. */
+function nextRunDate(template, runCount) {
+    const next = occurrence(template, runCount);
+    const end  = template.end_date && periods.dateStr(template.end_date);
+    return end && next > end ? null : next;
+}
+
+/** The next `count` dates a template will generate, for previews. */
+function upcoming(template, count = 12) {
+    const out = [];
+    for (let n = template.run_count || 0; out.length < count; n++) {
+        const date = nextRunDate(template, n);
+        if (!date) break;
+        out.push(date);
+    }
+    return out;
+}
+
+// ── Runs ──────────────────────────────────────────────────────────────────────
+
+// One occurrence: a draft entry, or a posted one and its reversal
+async function generate(client, { companyId, template, lines, date, userId }) {
+    const reference = template.reference || template.name;
+    if (template.auto_post) {
+        const entry = await gl.postJournalEntry(client, {
+            companyId, entryDate: date, description: template.description, reference,
+            sourceType: 'recurring_journal', sourceId: template.id, userId,
+            lines: lines.map(l => ({ accountId: l.account_id, description: l.description, debit: l.debit, credit: l.credit })),
+            allowPeriod: ALLOW_PERIOD, autoReverse: template.auto_reverse,
+        });
+        const reversal = template.auto_reverse
+            ? await gl.postAccrualReversal(client, { entry, userId, allowPeriod: ALLOW_PERIOD })
+            : null;
+        return { ...entry, reversal_entry: reversal };
+    }
+
+    await periods.assertOpen(client, date, { allow: ALLOW_PERIOD });
+    const number = await numbering.next(client, 'journal_entry');
+    const { rows: [entry] } = await client.query(
+        `INSERT INTO journal_entries
+            (number, entry_date, description, reference, created_by, source_type, source_id, auto_reverse)
+         VALUES ($1,$2,$3,$4,$5,'recurring_journal',$6,$7) RETURNING *`,
+        [number, date, template.description, reference, userId || null, template.id, template.auto_reverse]
+    );
+    for (const l of lines) {
+        await client.query(
+            `INSERT INTO journal_entry_lines
+                (journal_entry_id, line_number, account_id, description, debit, credit)
+             VALUES ($1,$2,$3,$4,$5,$6)`,
+            [entry.id, l.line_number, l.account_id, l.description, l.debit, l.credit]
+        );
+    }
+    return { ...entry, reversal_entry: null };
+}
+
+/**
+ * Generate a template's occurrences due on or before `asOf`, inside the
+ * caller's transaction. Returns { template_id, name, entries, next_run_date }.
+ */
+async function runTemplate(client, { companyId, templateId, asOf, userId }) {
+    const { rows: [template] } = await client.query(
+        `SELECT * FROM recurring_journal_templates WHERE id = $1 FOR UPDATE`, [templateId]
+    );
+    if (!template) throw Object.assign(new Error('Recurring entry not found'), { status: 404 });
+    if (!template.is_active)
+        throw Object.assign(new Error(`Recurring entry "${template.name}" is inactive`), { status: 409 });
+
+    const { rows: lines } = await client.query(
+        `SELECT l.line_number, l.account_id, l.description, l.debit, l.credit,
+                a.account_number, a.is_active
+         FROM   recurring_journal_template_lines l
+         JOIN   gl_accounts a ON a.id = l.account_id
+         WHERE  l.template_id = $1
+         ORDER  BY l.line_number`,
+        [template.id]
+    );
+    const inactive = lines.find(l => !l.is_active);
+    if (inactive) throw Object.assign(
+        new Error(`Account ${inactive.account_number} on "${template.name}" is inactive`), { status: 422 }
+    );
+
+    const day = periods.dateStr(asOf);
+    const entries = [];
+    let runCount = template.run_count;
+    let next     = template.next_run_date && periods.dateStr(template.next_run_date);
+    let last     = null;
+    while (next && next <= day && entries.length < MAX_CATCH_UP) {
+        entries.push(await generate(client, { companyId, template, lines, date: next, userId }));
+        last = next;
+        runCount++;
+        next = nextRunDate(template, runCount);
+    }
+
+    await client.query(
+        `UPDATE recurring_journal_templates
+         SET    run_count = $2, next_run_date = $3, last_error = NULL,
+                last_run_date = COALESCE($4, last_run_date)
+         WHERE  id = $1`,
+        [template.id, runCount, next, last]
+    );
+    return { template_id: template.id, name: template.name, entries, next_run_date: next };
+}
+
+/**
+ * Run every active template of one company that is due on `asOf` (today),
+ * each in its own transaction: a template that fails (a closed period, an
+ * inactive account) keeps its last_error and is retried next time, without
+ * holding up the others. Returns one result per template, with `error` set
+ * on the failures.
+ */
+async function runDue(db, { companyId, asOf = today(), userId = null } = {}) {
+    const day = periods.dateStr(asOf);
+    const { rows: due } = await db.query(
+        `SELECT id, name FROM recurring_journal_templates
+         WHERE  is_active AND next_run_date <= $1
+         ORDER  BY next_run_date, name`,
+        [day]
+    );
+    const results = [];
+    for (const t of due) {
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+            results.push(await runTemplate(client, { companyId, templateId: t.id, asOf: day, userId }));
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK');
+            await db.query(`UPDATE recurring_journal_templates SET last_error = $2 WHERE id = $1`, [t.id, err.message]);
+            results.push({ template_id: t.id, name: t.name, entries: [], error: err.message });
+        } finally { client.release(); }
+    }
+    return results;
+}
+
+/** Run what is due today for every company. Returns the number of entries generated. */
+async function runAllDue({ asOf = today() } = {}) {
+    const { rows: companies } = await query(
+        `SELECT recurring_journal_due_companies($1) AS company_id`, [asOf]
+    );
+    let generated = 0;
+    for (const { company_id } of companies) {
+        const results = await runDue(tenantDb(company_id), { companyId: company_id, asOf });
+        for (const r of results) {
+            if (r.error) console.error(`[recurring-journals] ${r.name}: ${r.error}`);
+            generated += r.entries.length;
+        }
+    }
+    return generated;
+}
+
+/** Look for due templates every RECURRING_JOURNAL_POLL_MS. Returns a stop function. */
+function startScheduler({ intervalMs = RECURRING_JOURNAL_POLL_MS } = {}) {
+    if (!(intervalMs > 0)) return () => {};
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await runAllDue();
+        } catch (err) {
+            console.error('[recurring-journals] Run failed:', err.message);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    FREQUENCIES, occurrence, nextRunDate, upcoming, runTemplate, runDue, runAllDue, startScheduler,
+};
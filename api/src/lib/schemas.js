@@ -12,6 +12,7 @@ const UUID      = z.string().uuid();
 const Email     = z.string().email().toLowerCase().trim();
 const PosNum    = z.coerce.number().nonnegative();
 const PosInt    = z.coerce.number().int().nonnegative();
+const Currency  = z.string().trim().toUpperCase().regex(/^[A-Z]{3}$/, 'Expected a three-letter ISO 4217 currency code');
 
 // ── Auth ──────────────────────────────────────────────────────────────────────
 
@@ -31,7 +32,7 @@ const CreateItemSchema = z.object({
     name:              z.string().trim().min(1),
     description:       z.string().trim().optional(),
     unit_of_measure:   z.string().trim().default('EA'),
-    cost_method:       z.enum(['avg','fifo']).default('avg'),
+    cost_method:       z.enum(['avg','fifo']).optional(),   // defaults to the company's costing_method
     standard_cost:     PosNum.default(0),
     sale_price:        PosNum.default(0),
     reorder_point:     PosInt.default(0),
@@ -41,6 +42,10 @@ const CreateItemSchema = z.object({
     upc_code:          z.string().trim().optional(),
     weight_lb:         PosNum.optional(),
     country_of_origin: z.string().trim().optional(),
+    is_serial_tracked: z.boolean().default(false),
+    is_lot_tracked:    z.boolean().default(false),
+    shelf_life_days:   z.coerce.number().int().positive().optional(),
+    kit_type:          z.enum(['bundle','assembly']).optional(),
 });
 
 const PatchItemSchema = z.object({
@@ -58,24 +63,124 @@ const PatchItemSchema = z.object({
     upc_code:          z.string().trim().optional(),
     weight_lb:         PosNum.optional(),
     country_of_origin: z.string().trim().optional(),
+    is_serial_tracked: z.boolean().optional(),
+    is_lot_tracked:    z.boolean().optional(),
+    shelf_life_days:   z.coerce.number().int().positive().nullable().optional(),
+    kit_type:          z.enum(['bundle','assembly']).nullable().optional(),
 }).refine(d => Object.keys(d).length > 0, { message: 'At least one field required' });
 
+// PUT /api/items/:id/components — the kit's whole bill of materials, in order
+const KitComponentsSchema = z.object({
+    components: z.array(z.object({
+        component_item_id: UUID,
+        qty:               z.coerce.number().positive(),
+        notes:             z.string().trim().optional(),
+    })).min(1).max(100),
+});
+
+// POST /api/assembly-orders
+const CreateAssemblyOrderSchema = z.object({
+    kit_item_id:  UUID,
+    warehouse_id: UUID,
+    order_type:   z.enum(['assembly','disassembly']).default('assembly'),
+    qty:          z.coerce.number().positive(),
+    order_date:   z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    notes:        z.string().trim().optional(),
+});
+
 // ── Adjustments ───────────────────────────────────────────────────────────────
 
+const ReasonCode = z.string().trim().toUpperCase().regex(/^[A-Z0-9_-]{1,20}$/, 'Reason codes are up to 20 letters, digits, _ or -');
+
 const AdjLineSchema = z.object({
     item_id:       UUID,
     qty_actual:    z.coerce.number(),
     cost_per_unit: PosNum.optional(),
     notes:         z.string().trim().optional(),
+    lot_number:    z.string().trim().min(1).max(50).optional(),
+    expiry_date:   z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    bin_id:        UUID.optional(),
+    reason_code:   ReasonCode.optional(),
 });
 
 const CreateAdjustmentSchema = z.object({
     warehouse_id:    UUID,
     adjustment_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
     reason:          z.string().trim().optional(),
+    reason_code:     ReasonCode.optional(),   // the default for lines without one
     notes:           z.string().trim().optional(),
     lines:           z.array(AdjLineSchema).min(1),
     created_by:      UUID.optional(),
+}).refine(a => a.reason_code || a.lines.every(l => l.reason_code),
+          { message: 'reason_code is required, on the adjustment or on every line', path: ['reason_code'] });
+
+// PUT /api/adjustments/reason-codes — the whole set; approval_threshold
+// routes adjustments whose lines under the code are worth more to approval
+const ReasonCodesSchema = z.object({
+    codes: z.array(z.object({
+        code:               ReasonCode,
+        name:               z.string().trim().min(1).max(100),
+        approval_threshold: z.coerce.number().nonnegative().nullable().optional(),
+    })).min(1).max(100)
+        .refine(cs => new Set(cs.map(c => c.code)).size === cs.length, { message: 'Each code must be different' }),
+});
+
+// POST /api/adjustments/:id/approve and /reject — a rejection needs a comment
+const ReviewAdjustmentSchema = z.object({
+    comment: z.string().trim().min(1).max(1000).optional(),
+});
+const RejectAdjustmentSchema = z.object({
+    comment: z.string().trim().min(1, 'A comment is required to reject an adjustment').max(1000),
+});
+
+// ── Cycle counts ──────────────────────────────────────────────────────────────
+
+// PUT /api/cycle-counts/classes — value_pct is cumulative and rises A → C, ending at 100
+const CycleCountClassesSchema = z.object({
+    classes: z.array(z.object({
+        abc_class:           z.enum(['A', 'B', 'C']),
+        value_pct:           z.coerce.number().positive().max(100),
+        count_interval_days: z.coerce.number().int().positive().max(3650),
+    })).length(3)
+        .refine(cs => ['A', 'B', 'C'].every(c => cs.some(x => x.abc_class === c)), { message: 'One row per class A, B and C' })
+        .refine(cs => {
+            const pct = Object.fromEntries(cs.map(c => [c.abc_class, c.value_pct]));
+            return pct.A < pct.B && pct.B < pct.C && pct.C === 100;
+        }, { message: 'value_pct must rise from A to B to C, and C must be 100' }),
+});
+
+const ClassifyItemsSchema = z.object({
+    days: z.coerce.number().int().positive().max(3650).default(365),
+});
+
+// POST /api/cycle-counts/schedule — one count per day from `from`, of the items due by then
+const ScheduleCycleCountsSchema = z.object({
+    warehouse_id:    UUID,
+    from:            z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    days:            z.coerce.number().int().positive().max(92).default(5),
+    items_per_count: z.coerce.number().int().positive().max(500).default(20),
+});
+
+// POST /api/cycle-counts/:id/counts — a sheet line, or an item and lot not on the sheet
+const RecordCountsSchema = z.object({
+    counts: z.array(z.object({
+        line_id:     UUID.optional(),
+        item_id:     UUID.optional(),
+        lot_number:  z.string().trim().min(1).max(50).optional(),
+        qty_counted: PosNum,
+        notes:       z.string().trim().optional(),
+    }).refine(c => c.line_id || c.item_id, { message: 'line_id or item_id required' })).min(1),
+});
+
+// POST /api/cycle-counts/:id/approve — lines not listed are approved with reason_code
+const ApproveCycleCountSchema = z.object({
+    reason_code: ReasonCode.optional(),
+    lines: z.array(z.object({
+        line_id:     UUID,
+        approved:    z.boolean().default(true),
+        reason_code: ReasonCode.optional(),
+        notes:       z.string().trim().optional(),
+    })).default([]),
 });
 
 // ── Customers ─────────────────────────────────────────────────────────────────
@@ -108,7 +213,7 @@ const CreateCustomerSchema = z.object({
     payment_terms_days:      PosInt.default(30),
     payment_terms_label:     PaymentTermsLabel,
     credit_limit:            PosNum.default(0),
-    currency:                z.string().length(3).default('USD'),
+    currency:                Currency.optional(),   // defaults to the company's base currency
     notes:                   z.string().trim().optional(),
     tax_exempt:              z.boolean().default(false),
     tax_exempt_certificate:  z.string().trim().optional(),
@@ -133,7 +238,7 @@ const PatchCustomerSchema = z.object({
     payment_terms_days:     PosInt.optional(),
     payment_terms_label:    z.enum(['NET15','NET30','NET45','NET60','NET90','COD','PREPAID','DUE_ON_RECEIPT']).optional(),
     credit_limit:           PosNum.optional(),
-    currency:               z.string().length(3).optional(),
+    currency:               Currency.optional(),
     notes:                  z.string().trim().optional(),
     is_active:              z.boolean().optional(),
     tax_exempt:             z.boolean().optional(),
@@ -200,6 +305,11 @@ const CreatePaymentSchema = z.object({
     applications:     z.array(PaymentAppSchema).default([]),
 });
 
+// A manager letting an order through a credit hold has to say why
+const ReleaseCreditHoldSchema = z.object({
+    note: z.string().trim().min(3).max(500),
+});
+
 // ── Vendors ───────────────────────────────────────────────────────────────────
 
 const CreateVendorSchema = z.object({
@@ -218,7 +328,7 @@ const CreateVendorSchema = z.object({
     payment_terms_days:  PosInt.default(30),
     payment_terms_label: PaymentTermsLabel,
     lead_time_days:      PosInt.default(0),
-    currency:            z.string().length(3).default('USD'),
+    currency:            Currency.optional(),   // defaults to the company's base currency
     notes:               z.string().trim().optional(),
 });
 
@@ -237,7 +347,7 @@ const PatchVendorSchema = z.object({
     payment_terms_days:  PosInt.optional(),
     payment_terms_label: z.enum(['NET15','NET30','NET45','NET60','NET90','COD','PREPAID','DUE_ON_RECEIPT']).optional(),
     lead_time_days:      PosInt.optional(),
-    currency:            z.string().length(3).optional(),
+    currency:            Currency.optional(),
     notes:               z.string().trim().optional(),
     is_active:           z.boolean().optional(),
 }).refine(d => Object.keys(d).filter(k => d[k] !== undefined).length > 0,
@@ -270,6 +380,9 @@ const RcvLineSchema = z.object({
     actual_cost:            PosNum.optional(),
     discrepancy_reason:     z.string().trim().optional(),
     allow_over_receipt:     z.boolean().default(false),
+    lot_number:             z.string().trim().min(1).max(50).optional(),
+    expiry_date:            z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    bin_id:                 UUID.optional(),
 });
 
 const CreateReceiptSchema = z.object({
@@ -281,17 +394,68 @@ const CreateReceiptSchema = z.object({
     created_by:        UUID.optional(),
 });
 
+// ── Landed Costs ──────────────────────────────────────────────────────────────
+
+const LandedCostChargeSchema = z.object({
+    charge_type: z.enum(['freight','duty','brokerage','insurance','other']),
+    description: z.string().trim().optional(),
+    amount:      z.coerce.number().positive(),
+});
+
+const CreateLandedCostSchema = z.object({
+    vendor_id:         UUID.optional(),
+    vendor_ref:        z.string().trim().max(60).optional(),
+    doc_date:          z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    allocation_method: z.enum(['value','quantity','weight']).default('value'),
+    notes:             z.string().trim().optional(),
+    charges:           z.array(LandedCostChargeSchema).min(1),
+    receipt_ids:       z.array(UUID).min(1),
+});
+
 // ── Vendor Invoices ───────────────────────────────────────────────────────────
 
+// Each line names a PO line, a receipt line or both — or neither, for a
+// charge that is not on the PO (disputed until accepted)
+const VendorInvoiceLineSchema = z.object({
+    purchase_order_line_id: UUID.optional(),
+    receipt_line_id:        UUID.optional(),
+    description:            z.string().trim().optional(),
+    qty:                    z.coerce.number().positive(),
+    unit_price:             PosNum,
+});
+
+// Without lines the invoice is matched on its totals; with them, subtotal
+// defaults to (and must equal) the lines' total
 const CreateVendorInvoiceSchema = z.object({
     vendor_id:             UUID,
     purchase_order_id:     UUID.optional(),
     receipt_id:            UUID.optional(),
     invoice_date:          z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
-    subtotal:              z.coerce.number().positive(),
+    subtotal:              z.coerce.number().positive().optional(),
     tax_amount:            PosNum.default(0),
     notes:                 z.string().trim().optional(),
     vendor_invoice_number: z.string().trim().optional(),
+    lines:                 z.array(VendorInvoiceLineSchema).min(1).max(500).optional(),
+}).refine(d => d.subtotal !== undefined || d.lines, { message: 'subtotal or lines required' });
+
+// POST /api/vendor-invoices/:id/lines/:lineId/resolve
+const ResolveInvoiceLineSchema = z.object({
+    resolution: z.enum(['accept_variance', 'short_pay', 'request_credit']),
+    notes:      z.string().trim().max(1000).optional(),
+});
+
+// POST /api/vendor-invoices/:id/lines/:lineId/credit — amount defaults to the line's variance
+const InvoiceLineCreditSchema = z.object({
+    amount:           z.coerce.number().positive().optional(),
+    credit_reference: z.string().trim().max(60).optional(),
+});
+
+// PUT /api/match-tolerances (company) and /api/match-tolerances/vendors/:vendorId;
+// null on a vendor falls back to the company's
+const MatchTolerancesSchema = z.object({
+    price_tolerance_pct: PosNum.max(100).nullable().optional(),
+    qty_tolerance_pct:   PosNum.max(100).nullable().optional(),
+    amount_tolerance:    PosNum.nullable().optional(),
 });
 
 // ── AP Payments ───────────────────────────────────────────────────────────────
@@ -346,22 +510,184 @@ const UpdateTaxRateSchema = z.object({
     is_active: z.boolean().optional(),
 });
 
+// ── Email ─────────────────────────────────────────────────────────────────────
+
+const EmailList = z.union([Email, z.array(Email).min(1)])
+    .transform(v => [...new Set([].concat(v))]);
+
+// POST …/send — `to` defaults to the customer's or vendor's email; email: false
+// only changes the document's status, as before emailing existed
+const SendDocumentSchema = z.object({
+    to:      EmailList.optional(),
+    cc:      EmailList.default([]),
+    message: z.string().trim().max(2000).default(''),
+    email:   z.boolean().default(true),
+});
+
+const ResendEmailSchema = z.object({
+    to: EmailList.optional(),
+    cc: EmailList.optional(),
+});
+
+const EmailTemplateSchema = z.object({
+    subject: z.string().trim().min(1).max(200),
+    body:    z.string().trim().min(1).max(10000),
+});
+
+// ── Documents ─────────────────────────────────────────────────────────────────
+
+// POST /api/print/files — statements are filed under the customer, pick lists,
+// packing slips and bills of lading under the shipment; from/to are the
+// period of an activity statement
+const StoreDocumentFileSchema = z.object({
+    doc_type: z.enum(['invoice', 'sales_order', 'purchase_order', 'statement', 'adjustment',
+                      'pick_list', 'packing_slip', 'bill_of_lading', 'activity_statement', 'dunning_letter']),
+    doc_id:   UUID,
+    from:     z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    to:       z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+});
+
+// ── Dunning ───────────────────────────────────────────────────────────────────
+
+// PUT /api/dunning/levels — the whole set; numbered 1.. by days overdue
+const DunningLevelsSchema = z.object({
+    levels: z.array(z.object({
+        name:           z.string().trim().min(1).max(60),
+        days_overdue:   z.coerce.number().int().positive(),
+        follow_up_days: z.coerce.number().int().nonnegative().nullable().default(null),
+        subject:        z.string().trim().min(1).max(200),
+        body:           z.string().trim().min(1).max(10000),
+    })).min(1).max(9)
+        .refine(ls => new Set(ls.map(l => l.days_overdue)).size === ls.length,
+                { message: 'Each level needs a different days_overdue' }),
+});
+
+const DunningRunSchema = z.object({
+    as_of:        z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    customer_ids: z.array(UUID).min(1).optional(),
+    preview:      z.boolean().default(false),
+});
+
+// POST /api/dunning/letters/:id/send — the letter's own subject and text are
+// sent; email: false marks it sent on paper
+const SendDunningLetterSchema = SendDocumentSchema.omit({ message: true });
+
+// ── Bank reconciliation ───────────────────────────────────────────────────────
+
+const ISODate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/);
+
+const CreateBankAccountSchema = z.object({
+    name:            z.string().trim().min(1).max(100),
+    bank_name:       z.string().trim().max(100).optional(),
+    account_number:  z.string().trim().max(40).optional(),
+    routing_number:  z.string().trim().max(20).optional(),
+    currency:        z.string().trim().toUpperCase().length(3).default('USD'),
+    gl_account_id:   UUID,
+    opening_balance: z.coerce.number().default(0),
+    opening_date:    ISODate.nullable().optional(),
+});
+
+const PatchBankAccountSchema = z.object({
+    name:            z.string().trim().min(1).max(100).optional(),
+    bank_name:       z.string().trim().max(100).nullable().optional(),
+    account_number:  z.string().trim().max(40).nullable().optional(),
+    routing_number:  z.string().trim().max(20).nullable().optional(),
+    currency:        z.string().trim().toUpperCase().length(3).optional(),
+    gl_account_id:   UUID.optional(),
+    opening_balance: z.coerce.number().optional(),
+    opening_date:    ISODate.nullable().optional(),
+    is_active:       z.boolean().optional(),
+});
+
+// POST /api/bank/accounts/:id/statements — the file is the raw request body;
+// CSV columns the headers do not name can be given as columns[date]=Posted
+const ImportBankStatementQuerySchema = z.object({
+    format:      z.enum(['csv', 'ofx', 'bai2', 'camt053']).optional(),
+    date_format: z.enum(['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY']).optional(),
+    file_name:   z.string().trim().max(200).optional(),
+    auto_match:  z.enum(['true', 'false']).default('true').transform(v => v === 'true'),
+    columns:     z.object(Object.fromEntries(
+        ['date', 'value_date', 'amount', 'credit', 'debit', 'description', 'reference', 'external_id', 'code', 'balance']
+            .map(f => [f, z.string().trim().min(1).optional()])
+    )).optional(),
+});
+
+// PUT /api/bank/match-rules — the whole set, tried in the order given
+const BankMatchRulesSchema = z.object({
+    rules: z.array(z.object({
+        name:             z.string().trim().min(1).max(60),
+        match_reference:  z.boolean().default(false),
+        date_window_days: z.coerce.number().int().min(0).max(90).default(3),
+        amount_tolerance: z.coerce.number().min(0).default(0),
+    })).min(1).max(9),
+});
+
+const BankAutoMatchSchema = z.object({
+    statement_id: UUID.optional(),
+});
+
+// POST /api/bank/lines/:id/match — entries that add up to the line
+const BankMatchSchema = z.object({
+    items: z.array(z.object({
+        source_type: z.enum(['payment_received', 'payment_made', 'journal_entry']),
+        source_id:   UUID,
+    })).min(1).max(100)
+        .refine(is => new Set(is.map(i => `${i.source_type}:${i.source_id}`)).size === is.length,
+                { message: 'Each entry can be listed once' }),
+});
+
+// ── Multi-currency ────────────────────────────────────────────────────────────
+
+// PUT /api/fx/rates — rates added or replaced per currency and day
+const ExchangeRatesSchema = z.object({
+    rates: z.array(z.object({
+        currency:  Currency,
+        rate_date: ISODate,
+        rate:      z.coerce.number().positive(),   // base units per unit of `currency`
+    })).min(1).max(500),
+});
+
+// POST /api/fx/rates/import — the CSV file is the raw request body
+const ImportExchangeRatesQuerySchema = z.object({
+    date_format: z.enum(['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY']).optional(),
+    inverse:     z.enum(['true', 'false']).default('false').transform(v => v === 'true'),
+});
+
+const FxRevaluationSchema = z.object({
+    as_of: ISODate,
+});
+
 module.exports = {
     // Auth
     LoginSchema, SwitchCompanySchema,
     // Items
-    CreateItemSchema, PatchItemSchema,
+    CreateItemSchema, PatchItemSchema, KitComponentsSchema, CreateAssemblyOrderSchema,
     // Adjustments
-    CreateAdjustmentSchema,
+    CreateAdjustmentSchema, ReasonCodesSchema, ReviewAdjustmentSchema, RejectAdjustmentSchema,
+    // Cycle counts
+    CycleCountClassesSchema, ClassifyItemsSchema, ScheduleCycleCountsSchema, RecordCountsSchema,
+    ApproveCycleCountSchema,
     // Customers
     CreateCustomerSchema, PatchCustomerSchema,
     // Sales
-    CreateSOSchema, CreateShipmentSchema, CreatePaymentSchema,
+    CreateSOSchema, CreateShipmentSchema, CreatePaymentSchema, ReleaseCreditHoldSchema,
     // Purchasing
     CreateVendorSchema, PatchVendorSchema, CreatePOSchema, CreateReceiptSchema,
-    CreateVendorInvoiceSchema, CreateAPPaymentSchema,
+    CreateLandedCostSchema, CreateVendorInvoiceSchema, CreateAPPaymentSchema,
+    ResolveInvoiceLineSchema, InvoiceLineCreditSchema, MatchTolerancesSchema,
     // Pricing
     LockPriceSchema, UnlockPriceSchema, UpdateCostSchema, ConfirmCostSchema,
     // Tax
     UpdateTaxRateSchema,
+    // Email
+    SendDocumentSchema, ResendEmailSchema, EmailTemplateSchema,
+    // Documents
+    StoreDocumentFileSchema,
+    // Dunning
+    DunningLevelsSchema, DunningRunSchema, SendDunningLetterSchema,
+    // Bank reconciliation
+    CreateBankAccountSchema, PatchBankAccountSchema, ImportBankStatementQuerySchema,
+    BankMatchRulesSchema, BankAutoMatchSchema, BankMatchSchema,
+    // Multi-currency
+    ExchangeRatesSchema, ImportExchangeRatesQuerySchema, FxRevaluationSchema,
 };
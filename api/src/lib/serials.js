@@ -0,0 +1,278 @@
+'use strict';
+
+// lib/serials.js
+// Serial number capture for serial-tracked items (items.is_serial_tracked).
+//
+// Every posting route that moves a serialized unit passes the serials it was
+// given in the request body as `serials: [{ line_id, serial_numbers: [...] }]`,
+// where line_id is the id of the document line being posted. The helpers run on
+// the caller's transaction client so serial state commits with the stock move.
+//
+// Usage:
+//   const serials = require('../lib/serials');
+//   const byLine = await serials.captureForLines(client, req.body.serials, lines, l => l.qty);
+//   await serials.receive(client, { itemId, warehouseId, serials: byLine[line.id], event: { ... } });
+
+const { z } = require('zod');
+
+const CaptureSchema = z.array(z.object({
+    line_id:        z.string().uuid(),
+    serial_numbers: z.array(z.string().trim().min(1).max(80)).min(1),
+})).default([]);
+
+const fail = (msg, status = 400) => Object.assign(new Error(msg), { status });
+
+/** Validate the request's `serials` array and index it by line id. */
+function parseCapture(raw) {
+    const result = CaptureSchema.safeParse(raw);
+    if (!result.success) {
+        const issue = result.error.issues[0];
+        throw fail(`Invalid serials: ${['serials', ...issue.path].join('.')} ${issue.message}`);
+    }
+    const byLine = new Map();
+    for (const entry of result.data) {
+        byLine.set(entry.line_id, [...(byLine.get(entry.line_id) || []), ...entry.serial_numbers]);
+    }
+    return byLine;
+}
+
+/** Set of the given item ids that are serial-tracked. */
+async function trackedItemIds(client, itemIds) {
+    const { rows } = await client.query(
+        `SELECT id FROM items WHERE id = ANY($1) AND is_serial_tracked = true`, [itemIds]
+    );
+    return new Set(rows.map(r => r.id));
+}
+
+/**
+ * Serials captured for one document line, checked against the line quantity.
+ * Returns [] for untracked items; serials sent for them are rejected.
+ */
+function forLine(captured, lineId, qty, isTracked, label = 'line') {
+    const list = captured.get(lineId) || [];
+    if (!isTracked) {
+        if (list.length) throw fail(`Item on ${label} ${lineId} is not serial-tracked`);
+        return [];
+    }
+    const n = parseFloat(qty);
+    if (!Number.isInteger(n))
+        throw fail(`Serial-tracked quantities must be whole units (${label} ${lineId}: ${qty})`);
+    if (new Set(list).size !== list.length)
+        throw fail(`Duplicate serial numbers on ${label} ${lineId}`);
+    if (list.length !== n)
+        throw fail(`${label} ${lineId} needs ${n} serial number(s), got ${list.length}`, 422);
+    return list;
+}
+
+/**
+ * Parse the request's serials and check them against every line of a document.
+ * `fallback(line)` may supply serials for a tracked line the request left out.
+ * Returns { [lineId]: [serial, ...] } ([] for untracked items).
+ */
+async function captureForLines(client, raw, lines, qtyOf, label = 'line', fallback = null) {
+    const captured = parseCapture(raw);
+    const known    = new Set(lines.map(l => l.id));
+    for (const id of captured.keys()) {
+        if (!known.has(id)) throw fail(`Serials given for unknown ${label} ${id}`);
+    }
+    const tracked = await trackedItemIds(client, lines.map(l => l.item_id));
+    if (fallback) {
+        for (const l of lines) {
+            if (tracked.has(l.item_id) && !captured.has(l.id)) captured.set(l.id, await fallback(l));
+        }
+    }
+    return Object.fromEntries(lines.map(l => [
+        l.id, forLine(captured, l.id, qtyOf(l), tracked.has(l.item_id), label),
+    ]));
+}
+
+async function logEvent(client, serialId, event) {
+    await client.query(
+        `INSERT INTO serial_number_events
+            (serial_id, event_type, from_warehouse_id, to_warehouse_id, party_id,
+             reference_type, reference_id, reference_line_id, reference_number,
+             event_date, notes, created_by)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,COALESCE($10, CURRENT_DATE),$11,$12)`,
+        [serialId, event.type, event.fromWarehouseId || null, event.toWarehouseId || null,
+         event.partyId || null, event.referenceType || null, event.referenceId || null,
+         event.referenceLineId || null, event.referenceNumber || null,
+         event.date || null, event.notes || null, event.userId || null]
+    );
+}
+
+/**
+ * Lock the named serials of an item and check each is in one of the allowed
+ * states. `where(row)` may return an error message to reject a specific unit.
+ */
+async function lockSerials(client, itemId, serials, statuses, where) {
+    const { rows } = await client.query(
+        `SELECT * FROM serial_numbers
+         WHERE item_id = $1 AND serial_number = ANY($2)
+         FOR UPDATE`, [itemId, serials]
+    );
+    const byNumber = Object.fromEntries(rows.map(r => [r.serial_number, r]));
+    for (const sn of serials) {
+        const row = byNumber[sn];
+        if (!row) throw fail(`Serial ${sn} is not on file for this item`, 404);
+        if (!statuses.includes(row.status))
+            throw fail(`Serial ${sn} is ${row.status}`, 409);
+        const problem = where && where(row);
+        if (problem) throw fail(`Serial ${sn} ${problem}`, 409);
+    }
+    return serials.map(sn => byNumber[sn]);
+}
+
+/** New units arriving from a vendor (or registered against existing stock). */
+async function receive(client, { itemId, warehouseId, serials, event }) {
+    for (const sn of serials) {
+        const { rows: [row] } = await client.query(
+            `INSERT INTO serial_numbers (item_id, serial_number, status, warehouse_id)
+             VALUES ($1,$2,'in_stock',$3)
+             ON CONFLICT (item_id, serial_number) DO NOTHING
+             RETURNING *`, [itemId, sn, warehouseId]
+        );
+        if (!row) throw fail(`Serial ${sn} already exists for this item`, 409);
+        await logEvent(client, row.id, { ...event, toWarehouseId: warehouseId });
+    }
+}
+
+/** Move in-stock units between warehouses. */
+async function transfer(client, { itemId, fromWarehouseId, toWarehouseId, serials, event }) {
+    const rows = await lockSerials(client, itemId, serials, ['in_stock'],
+        r => r.warehouse_id !== fromWarehouseId && 'is not in the source warehouse');
+    for (const row of rows) {
+        await client.query(
+            `UPDATE serial_numbers SET warehouse_id = $2 WHERE id = $1`, [row.id, toWarehouseId]
+        );
+        await logEvent(client, row.id, { ...event, type: 'transferred', fromWarehouseId, toWarehouseId });
+    }
+}
+
+/**
+ * Allocate units to a pick line. Units previously picked on the same line and
+ * not named again are released back to stock, so a re-confirmation replaces.
+ */
+async function pick(client, { itemId, warehouseId, pickLineId, serials, event }) {
+    const { rows: released } = await client.query(
+        `UPDATE serial_numbers SET status = 'in_stock', pick_list_line_id = NULL
+         WHERE pick_list_line_id = $1 AND status = 'picked' AND NOT (serial_number = ANY($2))
+         RETURNING id`, [pickLineId, serials]
+    );
+    for (const row of released) {
+        await logEvent(client, row.id, { ...event, type: 'unpicked', toWarehouseId: warehouseId });
+    }
+
+    const rows = await lockSerials(client, itemId, serials, ['in_stock', 'picked'], r => {
+        if (r.warehouse_id !== warehouseId) return 'is not in the pick warehouse';
+        if (r.status === 'picked' && r.pick_list_line_id !== pickLineId) return 'is already picked on another line';
+        return null;
+    });
+    for (const row of rows) {
+        if (row.status === 'picked') continue;
+        await client.query(
+            `UPDATE serial_numbers SET status = 'picked', pick_list_line_id = $2 WHERE id = $1`,
+            [row.id, pickLineId]
+        );
+        await logEvent(client, row.id, { ...event, type: 'picked', fromWarehouseId: warehouseId });
+    }
+}
+
+/**
+ * Serials picked for a sales order line and not yet shipped; only those of
+ * `itemId` when given (a bundle line picks each of its components).
+ */
+async function pickedForOrderLine(client, salesOrderLineId, itemId = null) {
+    const { rows } = await client.query(
+        `SELECT sn.serial_number
+         FROM   serial_numbers sn
+         JOIN   pick_list_lines pll ON pll.id = sn.pick_list_line_id
+         WHERE  pll.sales_order_line_id = $1 AND sn.status = 'picked'
+           AND  ($2::uuid IS NULL OR sn.item_id = $2)
+         ORDER  BY sn.serial_number`, [salesOrderLineId, itemId]
+    );
+    return rows.map(r => r.serial_number);
+}
+
+/** Units leaving for a customer. Picked units must have been picked for this order line. */
+async function ship(client, { itemId, warehouseId, salesOrderLineId, customerId, serials, event }) {
+    const rows = await lockSerials(client, itemId, serials, ['in_stock', 'picked'],
+        r => r.warehouse_id !== warehouseId && 'is not in the shipping warehouse');
+    if (rows.some(r => r.status === 'picked')) {
+        const { rows: own } = await client.query(
+            `SELECT id FROM pick_list_lines WHERE sales_order_line_id = $1`, [salesOrderLineId]
+        );
+        const ownIds = new Set(own.map(r => r.id));
+        const foreign = rows.find(r => r.status === 'picked' && !ownIds.has(r.pick_list_line_id));
+        if (foreign) throw fail(`Serial ${foreign.serial_number} is picked for another order`, 409);
+    }
+    for (const row of rows) {
+        await client.query(
+            `UPDATE serial_numbers
+             SET status = 'shipped', warehouse_id = NULL, customer_id = $2, pick_list_line_id = NULL
+             WHERE id = $1`, [row.id, customerId]
+        );
+        await logEvent(client, row.id, {
+            ...event, type: 'shipped', fromWarehouseId: warehouseId, partyId: customerId,
+        });
+    }
+}
+
+/**
+ * Units coming back from a customer on a return. Each unit must have gone out
+ * on the return's shipment. Scrapped units are recorded but never restocked.
+ */
+async function returnToStock(client, { itemId, warehouseId, shipmentId, disposition, serials, event }) {
+    const rows = await lockSerials(client, itemId, serials, ['shipped']);
+    const { rows: shipped } = await client.query(
+        `SELECT DISTINCT serial_id FROM serial_number_events
+         WHERE serial_id = ANY($1) AND event_type = 'shipped'
+           AND reference_type = 'shipment' AND reference_id = $2`,
+        [rows.map(r => r.id), shipmentId]
+    );
+    const onShipment = new Set(shipped.map(r => r.serial_id));
+    const stranger = rows.find(r => !onShipment.has(r.id));
+    if (stranger) throw fail(`Serial ${stranger.serial_number} was not shipped on this shipment`, 409);
+
+    const scrap = disposition === 'scrap';
+    for (const row of rows) {
+        await client.query(
+            `UPDATE serial_numbers SET status = $2, warehouse_id = $3 WHERE id = $1`,
+            [row.id, scrap ? 'scrapped' : 'in_stock', scrap ? null : warehouseId]
+        );
+        await logEvent(client, row.id, {
+            ...event, type: 'returned', toWarehouseId: warehouseId,
+            partyId: row.customer_id, notes: disposition,
+        });
+        if (scrap) await logEvent(client, row.id, {
+            ...event, type: 'scrapped', fromWarehouseId: warehouseId, notes: 'Scrapped on inspection',
+        });
+    }
+}
+
+/**
+ * Send back to the vendor the serials of an item a customer return left in
+ * the vendor-returns warehouse (`warehouseId`). Returns the serial numbers.
+ */
+async function returnToVendor(client, { itemId, warehouseId, returnId, event }) {
+    const { rows } = await client.query(
+        `SELECT sn.* FROM serial_numbers sn
+         WHERE  sn.item_id = $1 AND sn.warehouse_id = $2 AND sn.status = 'in_stock'
+           AND  EXISTS (SELECT 1 FROM serial_number_events e
+                        WHERE e.serial_id = sn.id AND e.event_type = 'returned'
+                          AND e.reference_type = 'sales_return' AND e.reference_id = $3)
+         ORDER  BY sn.serial_number FOR UPDATE`,
+        [itemId, warehouseId, returnId]
+    );
+    for (const row of rows) {
+        await client.query(
+            `UPDATE serial_numbers SET status = 'vendor_returned', warehouse_id = NULL WHERE id = $1`, [row.id]
+        );
+        await logEvent(client, row.id, { ...event, type: 'vendor_returned', fromWarehouseId: warehouseId });
+    }
+    return rows.map(r => r.serial_number);
+}
+
+module.exports = {
+    parseCapture, trackedItemIds, forLine, captureForLines, logEvent,
+    receive, transfer, pick, pickedForOrderLine, ship, returnToStock, returnToVendor,
+};
@@ -0,0 +1,524 @@
+'use strict';
+
+// lib/transfers.js
+// Stock transfers between warehouses — posting a draft in one step, or
+// shipping it and receiving it at the destination later.
+//
+// A shipped transfer's stock sits in the company's transit warehouse
+// (warehouses.is_transit, created the first time a transfer ships) until it
+// arrives: it keeps its value but is available nowhere. Receipts may be
+// partial and are logged in stock_transfer_receipts. Closing a transfer with
+// units still outstanding writes them off through a stock adjustment on the
+// transit warehouse and records them on the lines as qty_short — the shrink
+// between the two warehouses.
+//
+// Lots, FIFO layers and serial numbers travel with the stock at each step.
+//
+// Usage:
+//   const transfers = require('../lib/transfers');
+//   await transfers.ship(client, id, { carrier: 'UPS', trackingNumber, userId });
+//   await transfers.receive(client, id, { lines: [{ line_id, qty_received }], userId });
+
+const serials     = require('./serials');
+const lots        = require('./lots');
+const bins        = require('./bins');
+const costing     = require('./costing');
+const kits        = require('./kits');
+const periods     = require('./periods');
+const webhooks    = require('./webhooks');
+const adjustments = require('./adjustments');
+
+/** Statuses of a transfer with stock on its way. */
+const OPEN = ['in_transit', 'partially_received'];
+
+const num    = n => parseFloat(n) || 0;
+const round4 = n => Math.round(n * 10000) / 10000;
+const fail   = (message, status = 400) => Object.assign(new Error(message), { status });
+const today  = () => periods.dateStr(new Date());
+
+/** Units of a line shipped and neither received nor written off. */
+const outstanding = l => round4(num(l.qty_shipped) - num(l.qty_received) - num(l.qty_short));
+
+/**
+ * The company's transit warehouse, created the first time it is needed —
+ * coded IN-TRANSIT, or IN-TRANSIT-2 and so on when the company already has a
+ * warehouse of that code.
+ */
+async function transitWarehouse(client) {
+    const find = async () => (await client.query(`SELECT * FROM warehouses WHERE is_transit`)).rows[0];
+    const existing = await find();
+    if (existing) return existing;
+
+    const { rows: taken } = await client.query(`SELECT code FROM warehouses WHERE code LIKE 'IN-TRANSIT%'`);
+    const codes = new Set(taken.map(w => w.code));
+    let code = 'IN-TRANSIT';
+    for (let n = 2; codes.has(code); n++) code = `IN-TRANSIT-${n}`;
+    await client.query(
+        `INSERT INTO warehouses (code, name, is_active, is_transit)
+         VALUES ($1, 'In transit', true, true)
+         ON CONFLICT (company_id) WHERE is_transit DO NOTHING`, [code]
+    );
+    return find();
+}
+
+/**
+ * Refuse the transit warehouse outside transfers: only shipping and
+ * receiving a transfer moves stock in or out of it. The vendor-returns
+ * warehouse (routes/returns.routes.js) is refused the same way. Nulls are
+ * skipped.
+ */
+async function assertNotTransit(db, warehouseIds) {
+    const { rows: [held] } = await db.query(
+        `SELECT code, is_transit FROM warehouses WHERE id = ANY($1) AND (is_transit OR is_vendor_return)
+         ORDER  BY code LIMIT 1`, [warehouseIds.filter(Boolean)]
+    );
+    if (held?.is_transit) throw fail(`${held.code} is the transit warehouse — stock reaches it by shipping a transfer`);
+    if (held) throw fail(`${held.code} holds customer returns for their vendors — only returns move stock there`);
+}
+
+/** Refuse the transit warehouse as either end of a transfer. */
+async function assertWarehouses(db, fromId, toId) {
+    await assertNotTransit(db, [fromId, toId]);
+}
+
+// Lock a transfer, refusing it unless it is in one of `statuses`
+async function lock(client, transferId, statuses, httpStatus = 400) {
+    const { rows: [transfer] } = await client.query(
+        `SELECT * FROM stock_transfers WHERE id = $1 FOR UPDATE`, [transferId]
+    );
+    if (!transfer) throw fail('Transfer not found', 404);
+    if (!statuses.includes(transfer.status)) {
+        throw fail(statuses.includes('draft')
+            ? `Transfer is already ${transfer.status.replace('_', ' ')}`
+            : `Transfer ${transfer.number} is ${transfer.status.replace('_', ' ')} — nothing is in transit`, httpStatus);
+    }
+    return transfer;
+}
+
+/** The cost layers a transfer opened — in transit, its own stock. */
+const layerSource = transfer => ({ type: 'stock_transfer', id: transfer.id });
+
+async function linesOf(db, transferId) {
+    const { rows } = await db.query(
+        `SELECT * FROM stock_transfer_lines WHERE transfer_id = $1 ORDER BY line_number`, [transferId]
+    );
+    return rows;
+}
+
+// Move the lot splits of a line between two warehouses. FIFO layers leave
+// `fromId` and reopen at `toId` with their original layer dates; out of the
+// transit warehouse only the transfer's own layers are drawn, so one
+// transfer never carries off another's cost. The stock comes out of the
+// source bin by bin and lands unassigned until put away. Returns the cost moved.
+async function move(client, { transfer, line, fromId, toId, splits, date, postedBy, notes }) {
+    const source = fromId === transfer.transit_warehouse_id ? layerSource(transfer) : null;
+    let cost = 0;
+    for (const split of splits) {
+        const out = await costing.consume(client, {
+            itemId: line.item_id, warehouseId: fromId,
+            lotNumber: split.lot_number, qty: split.qty,
+            consumerType: 'stock_transfer', consumerId: transfer.id, source,
+        });
+        for (const piece of out.pieces) {
+            if (!piece.layer_id) continue;
+            await costing.addLayer(client, {
+                itemId: line.item_id, warehouseId: toId,
+                lotNumber: split.lot_number, qty: piece.qty, unitCost: piece.unit_cost,
+                date: piece.layer_date, sourceType: 'stock_transfer', sourceId: transfer.id,
+                originLayerId: piece.origin_layer_id,
+            });
+        }
+        cost += out.cost;
+
+        const binSplits = await bins.split(client, {
+            itemId: line.item_id, warehouseId: fromId, lotNumber: split.lot_number, qty: split.qty,
+        });
+        for (const b of binSplits) {
+            await client.query(
+                `INSERT INTO stock_ledger
+                    (item_id, warehouse_id, transaction_type, reference_type, reference_id,
+                     qty, cost_per_unit, notes, posting_date, created_by, lot_number, expiry_date,
+                     bin_id)
+                 VALUES ($1,$2,'transfer_out','stock_transfer',$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+                [line.item_id, fromId, transfer.id, -b.qty, out.unitCost,
+                 `${transfer.number} — ${notes[0]}`, date, postedBy,
+                 split.lot_number, split.expiry_date, b.bin_id]
+            );
+        }
+        await client.query(
+            `INSERT INTO stock_ledger
+                (item_id, warehouse_id, transaction_type, reference_type, reference_id,
+                 qty, cost_per_unit, notes, posting_date, created_by, lot_number, expiry_date)
+             VALUES ($1,$2,'transfer_in','stock_transfer',$3,$4,$5,$6,$7,$8,$9,$10)`,
+            [line.item_id, toId, transfer.id, split.qty, out.unitCost,
+             `${transfer.number} — ${notes[1]}`, date, postedBy,
+             split.lot_number, split.expiry_date]
+        );
+    }
+    return cost;
+}
+
+// Take every line in full out of the source warehouse and into `toId`
+async function dispatch(client, transfer, { toId, date, serials: rawSerials, lots: rawLots, userId, postedBy, notes }) {
+    // Transfers post no journal entry, so the period lockout is checked here
+    await periods.assertOpen(client, date);
+
+    const lines = await linesOf(client, transfer.id);
+    if (!lines.length) throw fail('No lines to post');
+    await kits.assertStockable(client, lines.map(l => l.item_id));
+
+    const lineSerials = await serials.captureForLines(client, rawSerials, lines, l => l.qty, 'transfer line');
+    const lotPicks    = lots.parseLotPicks(rawLots);
+    const lotTracked  = await lots.trackedItemIds(client, lines.map(l => l.item_id));
+    const stockWatch  = await webhooks.watchStock(client, transfer.from_warehouse_id, lines.map(l => l.item_id));
+
+    for (const line of lines) {
+        const { rows: [stockCheck] } = await client.query(
+            `SELECT check_stock_availability($1, $2, $3) AS shortfall`,
+            [line.item_id, transfer.from_warehouse_id, parseFloat(line.qty)]
+        );
+        if (parseFloat(stockCheck.shortfall) < 0) {
+            const { rows: [avail] } = await client.query(
+                `SELECT COALESCE(qty_available,0) AS qty_available
+                 FROM v_stock_availability WHERE item_id=$1 AND warehouse_id=$2`,
+                [line.item_id, transfer.from_warehouse_id]
+            );
+            throw fail(`Insufficient stock for item ${line.item_id} in source warehouse: need ${line.qty}, available ${avail ? avail.qty_available : 0}`);
+        }
+
+        // Lots travel with the stock: each lot leaves and arrives with its own expiry
+        const splits = await lots.allocate(client, {
+            itemId: line.item_id, warehouseId: transfer.from_warehouse_id, qty: line.qty,
+            tracked: lotTracked.has(line.item_id), picks: lotPicks.get(line.id),
+            asOf: date, label: `transfer line ${line.id}`,
+        });
+        const cost = await move(client, {
+            transfer, line, fromId: transfer.from_warehouse_id, toId, splits, date, postedBy, notes,
+        });
+        await client.query(
+            `UPDATE stock_transfer_lines SET cost_per_unit = $1, qty_shipped = qty WHERE id = $2`,
+            [round4(cost / parseFloat(line.qty)), line.id]
+        );
+
+        await serials.transfer(client, {
+            itemId: line.item_id, serials: lineSerials[line.id],
+            fromWarehouseId: transfer.from_warehouse_id, toWarehouseId: toId,
+            event: {
+                referenceType: 'stock_transfer', referenceId: transfer.id, referenceLineId: line.id,
+                referenceNumber: transfer.number, date, userId,
+            },
+        });
+    }
+    await stockWatch.emitCrossings();
+    return lines;
+}
+
+/**
+ * Post a draft in one step: the stock leaves the source and arrives at the
+ * destination on the transfer date. Returns { transfer, lines }.
+ */
+async function post(client, transferId, { serials: rawSerials, lots: rawLots, userId = null, postedBy = null } = {}) {
+    const transfer = await lock(client, transferId, ['draft']);
+    const lines = await dispatch(client, transfer, {
+        toId: transfer.to_warehouse_id, date: transfer.transfer_date,
+        serials: rawSerials, lots: rawLots, userId, postedBy, notes: ['OUT', 'IN'],
+    });
+    await client.query(`UPDATE stock_transfer_lines SET qty_received = qty WHERE transfer_id = $1`, [transfer.id]);
+    const { rows: [posted] } = await client.query(
+        `UPDATE stock_transfers SET status='posted', updated_at=NOW() WHERE id=$1 RETURNING *`, [transfer.id]
+    );
+    return { transfer: posted, lines };
+}
+
+/**
+ * Ship a draft: every line leaves the source for the transit warehouse on
+ * `shippedDate` (default today). Returns the transfer row.
+ */
+async function ship(client, transferId, {
+    carrier = null, trackingNumber = null, shippedDate, serials: rawSerials, lots: rawLots,
+    userId = null, postedBy = null,
+} = {}) {
+    const transfer = await lock(client, transferId, ['draft']);
+    if (carrier) {
+        const { rows: [known] } = await client.query(
+            `SELECT code FROM shipping_carriers WHERE code = $1 AND is_active`, [carrier]
+        );
+        if (!known) throw fail(`Unknown carrier ${carrier}`);
+    }
+    const transit = await transitWarehouse(client);
+    const date    = shippedDate || today();
+    await dispatch(client, transfer, {
+        toId: transit.id, date, serials: rawSerials, lots: rawLots, userId, postedBy,
+        notes: ['SHIPPED', 'IN TRANSIT'],
+    });
+    const { rows: [shipped] } = await client.query(
+        `UPDATE stock_transfers
+         SET    status = 'in_transit', transit_warehouse_id = $2, carrier = $3, tracking_number = $4,
+                shipped_date = $5, shipped_by = $6, updated_at = NOW()
+         WHERE  id = $1 RETURNING *`,
+        [transfer.id, transit.id, carrier, trackingNumber, date, userId]
+    );
+    return shipped;
+}
+
+// This transfer's lots of an item still in the transit warehouse, earliest
+// expiry first. The transit warehouse holds every transfer's stock, so only
+// the transfer's own ledger rows count.
+async function lotsInTransit(db, transfer, itemId) {
+    const { rows } = await db.query(
+        `SELECT lot_number, MIN(expiry_date) AS expiry_date, SUM(qty) AS qty
+         FROM   stock_ledger
+         WHERE  item_id = $1 AND warehouse_id = $2
+           AND  reference_type = 'stock_transfer' AND reference_id = $3
+         GROUP  BY lot_number
+         HAVING SUM(qty) > 0
+         ORDER  BY MIN(expiry_date) NULLS LAST, lot_number NULLS LAST`,
+        [itemId, transfer.transit_warehouse_id, transfer.id]
+    );
+    return rows.map(r => ({
+        lot_number: r.lot_number, qty: num(r.qty),
+        expiry_date: r.expiry_date && periods.dateStr(r.expiry_date),
+    }));
+}
+
+// Split a quantity over lots in transit (`pool`, drawn down as it goes): the
+// lots named in `picks`, or earliest expiry first. Expired lots are taken
+// like any other — they are already on their way.
+function takeLots(pool, qty, picks, label) {
+    const take = (lot, q) => {
+        lot.qty = round4(lot.qty - q);
+        return { lot_number: lot.lot_number, expiry_date: lot.expiry_date, qty: q };
+    };
+    if (picks && picks.length) {
+        const total = round4(picks.reduce((s, p) => s + p.qty, 0));
+        if (Math.abs(total - qty) > 0.00005)
+            throw fail(`Lot quantities on ${label} add up to ${total}, expected ${qty}`);
+        return picks.map(p => {
+            const lot = pool.find(l => l.lot_number === p.lot_number);
+            if (!lot || lot.qty < p.qty)
+                throw fail(`Lot ${p.lot_number} has ${lot ? lot.qty : 0} in transit, ${p.qty} requested (${label})`);
+            return take(lot, p.qty);
+        });
+    }
+    const out = [];
+    let left  = qty;
+    for (const lot of pool) {
+        if (left <= 0) break;
+        const q = Math.min(left, lot.qty);
+        if (q > 0) out.push(take(lot, q));
+        left = round4(left - q);
+    }
+    if (left > 0) throw fail(`Only ${round4(qty - left)} of ${label} is in transit, ${qty} needed`, 409);
+    return out;
+}
+
+// Serial-tracked units a line shipped that are still in the transit warehouse
+async function serialsInTransit(db, transfer, line) {
+    const { rows } = await db.query(
+        `SELECT sn.id, sn.serial_number
+         FROM   serial_numbers sn
+         WHERE  sn.item_id = $1 AND sn.warehouse_id = $2 AND sn.status = 'in_stock'
+           AND  EXISTS (SELECT 1 FROM serial_number_events e
+                        WHERE e.serial_id = sn.id AND e.event_type = 'transferred'
+                          AND e.reference_line_id = $3 AND e.to_warehouse_id = $2)
+         ORDER  BY sn.serial_number`,
+        [line.item_id, transfer.transit_warehouse_id, line.id]
+    );
+    return rows;
+}
+
+/**
+ * Receive shipped stock at the destination, in full or in part: `lines` is
+ * [{ line_id, qty_received, notes }], none over what the line has in
+ * transit. Lots default to the line's own, earliest expiry first; serials to
+ * the units the line shipped when all of them arrive. Returns { transfer, receipt }.
+ */
+async function receive(client, transferId, {
+    lines: arrivals, receivedDate, notes = null, serials: rawSerials, lots: rawLots,
+    userId = null, postedBy = null,
+}) {
+    const transfer = await lock(client, transferId, OPEN, 409);
+    const date = receivedDate || today();
+    await periods.assertOpen(client, date);
+
+    const lines = new Map((await linesOf(client, transfer.id)).map(l => [l.id, l]));
+    const arriving = [];
+    for (const a of arrivals) {
+        const line = lines.get(a.line_id);
+        if (!line) throw fail(`Line ${a.line_id} is not on transfer ${transfer.number}`);
+        if (arriving.some(l => l.id === line.id)) throw fail(`Line ${line.line_number} is received twice`);
+        if (a.qty_received > outstanding(line) + 0.00005)
+            throw fail(`Line ${line.line_number}: ${a.qty_received} received, but only ${outstanding(line)} is in transit`);
+        arriving.push({ ...line, qty_arriving: a.qty_received, arrival_notes: a.notes || null });
+    }
+
+    const lineSerials = await serials.captureForLines(
+        client, rawSerials, arriving, l => l.qty_arriving, 'transfer line',
+        async l => (await serialsInTransit(client, transfer, l)).map(s => s.serial_number)
+    );
+    const lotPicks   = lots.parseLotPicks(rawLots);
+    const lotTracked = await lots.trackedItemIds(client, arriving.map(l => l.item_id));
+
+    const { rows: [receipt] } = await client.query(
+        `INSERT INTO stock_transfer_receipts (transfer_id, received_date, notes, received_by)
+         VALUES ($1,$2,$3,$4) RETURNING *`,
+        [transfer.id, date, notes, userId]
+    );
+
+    const pools = new Map();
+    for (const line of arriving) {
+        const label = `transfer line ${line.id}`;
+        const picks = lotPicks.get(line.id);
+        if (!lotTracked.has(line.item_id) && picks && picks.length)
+            throw fail(`Item on ${label} is not lot-tracked`);
+        if (!pools.has(line.item_id)) pools.set(line.item_id, await lotsInTransit(client, transfer, line.item_id));
+
+        const splits = takeLots(pools.get(line.item_id), line.qty_arriving, picks, label);
+        await move(client, {
+            transfer, line, fromId: transfer.transit_warehouse_id, toId: transfer.to_warehouse_id,
+            splits, date, postedBy, notes: ['ARRIVED', 'RECEIVED'],
+        });
+        await client.query(
+            `UPDATE stock_transfer_lines SET qty_received = qty_received + $1 WHERE id = $2`,
+            [line.qty_arriving, line.id]
+        );
+        await client.query(
+            `INSERT INTO stock_transfer_receipt_lines (receipt_id, transfer_line_id, qty_received, notes)
+             VALUES ($1,$2,$3,$4)`,
+            [receipt.id, line.id, line.qty_arriving, line.arrival_notes]
+        );
+
+        await serials.transfer(client, {
+            itemId: line.item_id, serials: lineSerials[line.id],
+            fromWarehouseId: transfer.transit_warehouse_id, toWarehouseId: transfer.to_warehouse_id,
+            event: {
+                referenceType: 'stock_transfer', referenceId: transfer.id, referenceLineId: line.id,
+                referenceNumber: transfer.number, date, userId,
+            },
+        });
+    }
+
+    const { rows: [{ open }] } = await client.query(
+        `SELECT COALESCE(SUM(qty_shipped - qty_received - qty_short), 0) AS open
+         FROM   stock_transfer_lines WHERE transfer_id = $1`, [transfer.id]
+    );
+    const { rows: [updated] } = await client.query(
+        `UPDATE stock_transfers SET status = $2, received_date = $3, updated_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [transfer.id, num(open) > 0 ? 'partially_received' : 'received', date]
+    );
+    return { transfer: updated, receipt };
+}
+
+/**
+ * Close a transfer that will not arrive in full. What is still in transit is
+ * written off under `reasonCode` by a stock adjustment on the transit
+ * warehouse, posted at once — closing is an approver's call — and serials
+ * still in transit are scrapped. Returns { transfer, adjustment }.
+ */
+async function close(client, transferId, { reasonCode, notes = null, userId = null }) {
+    const transfer = await lock(client, transferId, OPEN, 409);
+    const short = (await linesOf(client, transfer.id)).filter(l => outstanding(l) > 0);
+    const date  = today();
+
+    const pools    = new Map();
+    const adjLines = [];
+    for (const line of short) {
+        if (!pools.has(line.item_id)) pools.set(line.item_id, await lotsInTransit(client, transfer, line.item_id));
+        for (const split of takeLots(pools.get(line.item_id), outstanding(line), null, `transfer line ${line.id}`)) {
+            adjLines.push({
+                item_id: line.item_id, lot_number: split.lot_number, expiry_date: split.expiry_date,
+                qty_system: split.qty, qty_actual: 0, reason_code: reasonCode,
+                notes: `${transfer.number} line ${line.line_number} not received`,
+            });
+        }
+    }
+    const adj = await adjustments.create(client, {
+        warehouseId: transfer.transit_warehouse_id, adjustmentDate: date,
+        reason: `Transfer ${transfer.number} closed short`, reasonCode, notes,
+        lines: adjLines, createdBy: userId,
+    });
+    const { adjustment } = await adjustments.submit(client, adj.id, {
+        userId, canApprove: true, layerSource: layerSource(transfer),
+    });
+
+    for (const line of short) {
+        for (const unit of await serialsInTransit(client, transfer, line)) {
+            await client.query(
+                `UPDATE serial_numbers SET status = 'scrapped', warehouse_id = NULL WHERE id = $1`, [unit.id]
+            );
+            await serials.logEvent(client, unit.id, {
+                type: 'scrapped', fromWarehouseId: transfer.transit_warehouse_id,
+                referenceType: 'stock_transfer', referenceId: transfer.id, referenceLineId: line.id,
+                referenceNumber: transfer.number, date, notes: 'Not received', userId,
+            });
+        }
+    }
+
+    await client.query(
+        `UPDATE stock_transfer_lines SET qty_short = qty_shipped - qty_received WHERE transfer_id = $1`,
+        [transfer.id]
+    );
+    const { rows: [closed] } = await client.query(
+        `UPDATE stock_transfers
+         SET    status = 'received', closed_by = $2, closed_at = NOW(), close_notes = $3,
+                shortage_adjustment_id = $4, updated_at = NOW()
+         WHERE  id = $1 RETURNING *`,
+        [transfer.id, userId, notes, adjustment.id]
+    );
+    return { transfer: closed, adjustment };
+}
+
+/**
+ * A transfer with its warehouses, carrier tracking link, lines (with what is
+ * still in transit) and receipts; null when not found.
+ */
+async function detail(db, transferId) {
+    const { rows: [transfer] } = await db.query(
+        `SELECT st.*, st.shipped_date::text AS shipped_date, st.received_date::text AS received_date,
+                fw.code AS from_warehouse_code, fw.name AS from_warehouse_name,
+                tw.code AS to_warehouse_code,   tw.name AS to_warehouse_name,
+                sc.name AS carrier_name,
+                REPLACE(sc.tracking_url_template, '{tracking_number}', st.tracking_number) AS tracking_url,
+                sa.number AS shortage_adjustment_number
+         FROM   stock_transfers st
+         JOIN   warehouses fw ON fw.id = st.from_warehouse_id
+         JOIN   warehouses tw ON tw.id = st.to_warehouse_id
+         LEFT JOIN shipping_carriers sc ON sc.code = st.carrier
+         LEFT JOIN stock_adjustments sa ON sa.id = st.shortage_adjustment_id
+         WHERE  st.id = $1`, [transferId]
+    );
+    if (!transfer) return null;
+
+    const { rows: lines } = await db.query(
+        `SELECT stl.*, i.code AS item_code, i.name AS item_name,
+                i.unit_of_measure,
+                stl.qty_shipped - stl.qty_received - stl.qty_short AS qty_in_transit,
+                COALESCE(av.qty_available, 0) AS from_stock_available
+         FROM   stock_transfer_lines stl
+         JOIN   items i ON i.id = stl.item_id
+         LEFT JOIN v_stock_availability av
+                ON av.item_id = stl.item_id AND av.warehouse_id = $2
+         WHERE  stl.transfer_id = $1
+         ORDER  BY stl.line_number`,
+        [transferId, transfer.from_warehouse_id]
+    );
+    const { rows: receipts } = await db.query(
+        `SELECT r.id, r.received_date::text AS received_date, r.notes, r.received_by, r.created_at,
+                u.name AS received_by_name,
+                COALESCE(JSON_AGG(JSON_BUILD_OBJECT(
+                    'transfer_line_id', rl.transfer_line_id, 'qty_received', rl.qty_received, 'notes', rl.notes
+                ) ORDER BY rl.id) FILTER (WHERE rl.id IS NOT NULL), '[]') AS lines
+         FROM   stock_transfer_receipts r
+         LEFT JOIN stock_transfer_receipt_lines rl ON rl.receipt_id = r.id
+         LEFT JOIN users u ON u.id = r.received_by
+         WHERE  r.transfer_id = $1
+         GROUP  BY r.id, u.name
+         ORDER  BY r.created_at`, [transferId]
+    );
+    return { ...transfer, lines, receipts };
+}
+
+module.exports = {
+    OPEN, transitWarehouse, assertNotTransit, assertWarehouses, post, ship, receive, close, detail,
+};
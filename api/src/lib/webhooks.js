@@ -0,0 +1,260 @@
+'use strict';
+
+// lib/webhooks.js
+// Outbound webhooks — business events POSTed to the endpoints a company registers.
+//
+// emit() writes the event to the outbox (webhook_events) and queues one
+// delivery per subscribed endpoint (webhook_deliveries) inside the caller's
+// transaction: the notification commits or rolls back with the change it
+// describes. The dispatcher (startDispatcher / deliverDue) sends what is due
+// after commit and retries failures with backoff, so a slow or broken
+// receiver never holds up a request.
+//
+// Every request is signed: X-TickTock-Signature is `t=<unix time>,v1=<hex>`
+// where hex is HMAC-SHA256(secret, `${t}.${body}`). Receivers recompute it
+// and reject stale timestamps (see verify()).
+//
+// Usage:
+//   const webhooks = require('../lib/webhooks');
+//   await webhooks.emit(client, 'sales_order.confirmed', { sales_order: order });
+//
+//   const watch = await webhooks.watchStock(client, warehouseId, itemIds);
+//   ...stock moves...
+//   await watch.emitCrossings();     // stock.below_reorder_point for items that just crossed
+
+const crypto = require('crypto');
+const { query, withTenant } = require('../db/pool');
+const { WEBHOOK_POLL_MS } = require('../config/env');
+
+/** Events an endpoint can subscribe to. */
+const EVENTS = [
+    'sales_order.confirmed',
+    'shipment.posted',
+    'invoice.sent',
+    'payment.received',
+    'receipt.posted',
+    'stock.below_reorder_point',
+];
+// Sent only by POST /api/webhooks/:id/test, to the one endpoint
+const PING = 'ping';
+
+// Wait before retry n (after attempt n failed); a delivery gives up after the last one
+const BACKOFF_SECONDS = [30, 120, 600, 1800, 3600, 10800, 21600, 43200];
+const MAX_ATTEMPTS    = BACKOFF_SECONDS.length + 1;
+const TIMEOUT_MS      = 10000;
+// A claimed delivery is not picked up again for this long, even if the process dies mid-send
+const LEASE_SECONDS   = 60;
+const BODY_LOG_BYTES  = 2048;
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// ── Signing ───────────────────────────────────────────────────────────────────
+
+/** X-TickTock-Signature value for a request body. */
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const mac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * Check a signature header the way a receiver should: same HMAC, and a
+ * timestamp no older than `toleranceSeconds` (replays of old deliveries fail).
+ */
+function verify(secret, body, header, { toleranceSeconds = 300, now = Date.now() } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(p => p.split('=')));
+    const t = parseInt(parts.t, 10);
+    if (!t || !parts.v1 || Math.abs(now / 1000 - t) > toleranceSeconds) return false;
+    const expected = Buffer.from(sign(secret, body, t).split('v1=')[1], 'hex');
+    const given    = Buffer.from(parts.v1, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// ── Emitting ──────────────────────────────────────────────────────────────────
+
+/**
+ * Record an event and queue a delivery for every active endpoint subscribed
+ * to it — in the caller's transaction, on a tenant-bound client. `endpointId`
+ * targets one endpoint regardless of its subscriptions (test pings). Nothing
+ * is written when nobody listens. Returns the event id, or null.
+ */
+async function emit(client, type, data, { endpointId = null } = {}) {
+    if (!EVENTS.includes(type) && type !== PING)
+        throw Object.assign(new Error(`Unknown webhook event ${type}`), { status: 500 });
+    const { rows: [row] } = await client.query(
+        `WITH targets AS (
+             SELECT id FROM webhook_endpoints
+             WHERE  CASE WHEN $3::uuid IS NULL THEN is_active AND $1 = ANY(events) ELSE id = $3 END
+         ), ev AS (
+             INSERT INTO webhook_events (event_type, payload)
+             SELECT $1, $2 WHERE EXISTS (SELECT 1 FROM targets)
+             RETURNING id
+         ), queued AS (
+             INSERT INTO webhook_deliveries (event_id, endpoint_id)
+             SELECT ev.id, t.id FROM ev CROSS JOIN targets t
+         )
+         SELECT id FROM ev`,
+        [type, JSON.stringify(data), endpointId]
+    );
+    return row ? row.id : null;
+}
+
+/**
+ * Snapshot availability of `itemIds` in a warehouse before stock moves.
+ * emitCrossings() — called once the moves are written, still inside the
+ * transaction — emits stock.below_reorder_point for each item that was above
+ * its reorder point and now is at or below it (the v_reorder_alerts
+ * condition), so an item already short does not re-alert on every movement.
+ */
+async function watchStock(client, warehouseId, itemIds) {
+    const ids = [...new Set(itemIds)];
+    const snapshot = async () => {
+        const { rows } = await client.query(
+            `SELECT i.id AS item_id, i.code AS item_code, i.name AS item_name,
+                    i.reorder_point, i.reorder_qty, w.code AS warehouse_code,
+                    COALESCE(a.qty_on_hand, 0) AS qty_on_hand, COALESCE(a.qty_available, 0) AS qty_available
+             FROM   items i
+             JOIN   warehouses w ON w.id = $1
+             LEFT JOIN v_stock_availability a ON a.item_id = i.id AND a.warehouse_id = w.id
+             WHERE  i.id = ANY($2) AND i.reorder_point > 0`,
+            [warehouseId, ids]
+        );
+        return rows;
+    };
+    const before = new Map((await snapshot()).map(r => [r.item_id, parseFloat(r.qty_available)]));
+
+    return {
+        async emitCrossings() {
+            if (!before.size) return [];
+            const crossed = (await snapshot()).filter(r =>
+                before.get(r.item_id) > parseFloat(r.reorder_point)
+                && parseFloat(r.qty_available) <= parseFloat(r.reorder_point));
+            for (const r of crossed) {
+                await emit(client, 'stock.below_reorder_point', {
+                    item:          { id: r.item_id, code: r.item_code, name: r.item_name },
+                    warehouse:     { id: warehouseId, code: r.warehouse_code },
+                    qty_on_hand:   parseFloat(r.qty_on_hand),
+                    qty_available: parseFloat(r.qty_available),
+                    reorder_point: parseFloat(r.reorder_point),
+                    reorder_qty:   parseFloat(r.reorder_qty),
+                });
+            }
+            return crossed;
+        },
+    };
+}
+
+// ── Delivery ──────────────────────────────────────────────────────────────────
+
+/** The JSON body sent for a delivery. */
+const envelope = (d) => JSON.stringify({
+    id:         d.event_id,
+    type:       d.event_type,
+    created_at: d.event_created_at,
+    company_id: d.company_id,
+    data:       d.payload,
+});
+
+async function send(d) {
+    const body = envelope(d);
+    try {
+        const res = await fetch(d.url, {
+            method:   'POST',
+            redirect: 'manual',
+            signal:   AbortSignal.timeout(TIMEOUT_MS),
+            headers:  {
+                'content-type':         'application/json',
+                'user-agent':           'TickTock-Webhooks/1.0',
+                'x-ticktock-event':     d.event_type,
+                'x-ticktock-delivery':  d.id,
+                'x-ticktock-signature': sign(d.secret, body),
+            },
+            body,
+        });
+        const text = (await res.text()).slice(0, BODY_LOG_BYTES);
+        return { ok: res.ok, status: res.status, body: text, error: res.ok ? null : `HTTP ${res.status}` };
+    } catch (err) {
+        const error = err.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS / 1000}s`
+                    : err.cause?.message || err.message;
+        return { ok: false, status: null, body: null, error };
+    }
+}
+
+// Claim a company's due deliveries: push next_attempt_at out by the lease and
+// count the attempt, so a second dispatcher (or the next tick) skips them.
+async function claim(companyId, limit) {
+    return withTenant(companyId, async (client) => {
+        const { rows } = await client.query(
+            `UPDATE webhook_deliveries d
+             SET    attempts = d.attempts + 1, last_attempt_at = NOW(),
+                    next_attempt_at = NOW() + make_interval(secs => $2)
+             FROM   webhook_endpoints e, webhook_events ev
+             WHERE  d.id IN (
+                        SELECT dd.id FROM webhook_deliveries dd
+                        JOIN   webhook_endpoints ee ON ee.id = dd.endpoint_id AND ee.is_active
+                        WHERE  dd.status = 'pending' AND dd.next_attempt_at <= NOW()
+                        ORDER  BY dd.next_attempt_at
+                        LIMIT  $1
+                        FOR UPDATE OF dd SKIP LOCKED)
+               AND  e.id = d.endpoint_id AND ev.id = d.event_id
+             RETURNING d.id, d.company_id, d.attempts, e.url, e.secret,
+                       ev.id AS event_id, ev.event_type, ev.payload, ev.created_at AS event_created_at`,
+            [limit, LEASE_SECONDS]
+        );
+        return rows;
+    });
+}
+
+async function record(companyId, d, result) {
+    const status = result.ok ? 'succeeded' : d.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    const retryIn = status === 'pending' ? BACKOFF_SECONDS[d.attempts - 1] : 0;
+    await withTenant(companyId, (client) => client.query(
+        `UPDATE webhook_deliveries
+         SET    status = $2::text, response_status = $3, response_body = $4, error = $5,
+                delivered_at    = CASE WHEN $2::text = 'succeeded' THEN NOW() END,
+                next_attempt_at = CASE WHEN $2::text = 'pending' THEN NOW() + make_interval(secs => $6)
+                                       ELSE next_attempt_at END
+         WHERE  id = $1`,
+        [d.id, status, result.status, result.body, result.error, retryIn]
+    ));
+    return status;
+}
+
+/**
+ * Send every due delivery (up to `limit` per company). Returns counts by
+ * outcome: { succeeded, retrying, failed }.
+ */
+async function deliverDue({ limit = 50 } = {}) {
+    const counts = { succeeded: 0, retrying: 0, failed: 0 };
+    const { rows: companies } = await query(`SELECT webhook_due_companies() AS company_id`);
+    for (const { company_id } of companies) {
+        for (const d of await claim(company_id, limit)) {
+            const status = await record(company_id, d, await send(d));
+            counts[status === 'pending' ? 'retrying' : status]++;
+        }
+    }
+    return counts;
+}
+
+/** Poll for due deliveries every WEBHOOK_POLL_MS. Returns a stop function. */
+function startDispatcher({ intervalMs = WEBHOOK_POLL_MS } = {}) {
+    if (!(intervalMs > 0)) return () => {};
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await deliverDue();
+        } catch (err) {
+            console.error('[webhooks] Dispatch failed:', err.message);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    EVENTS, PING, BACKOFF_SECONDS, MAX_ATTEMPTS,
+    newSecret, sign, verify, emit, watchStock, deliverDue, startDispatcher,
+};
@@ -1,6 +1,6 @@
 'use strict';
 
-const { query, withTenant } = require('../db/pool');
+const { query, withTenant, tenantDb } = require('../db/pool');
 
 // ─────────────────────────────────────────────────────────────────────────
 // tenantMiddleware
@@ -15,6 +15,8 @@ const { query, withTenant } = require('../db/pool');
 //        req.tenantId    — company UUID for use in routes
 //        req.companyRole — role within this company (admin/manager/etc.)
 //        req.withTenant  — pre-bound withTenant(fn) shorthand
+//        req.db          — tenant-bound { query, connect } (see tenantDb),
+//                          what route modules use in place of the raw pool
 //
 // Usage in routes:
 //   router.get('/items', requireAuth, tenantMiddleware, async (req, res) => {
@@ -56,6 +58,7 @@ async function tenantMiddleware(req, res, next) {
     req.tenantId    = companyId;
     req.companyRole = rows[0].role;
     req.withTenant  = (fn) => withTenant(companyId, fn);
+    req.db          = tenantDb(companyId);
 
     next();
   } catch (err) {
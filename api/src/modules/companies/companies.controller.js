@@ -76,6 +76,30 @@ async function updateSettings(req, res, next) {
   } catch (err) { next(err); }
 }
 
+// GET /api/companies/me/logo
+async function getLogo(req, res, next) {
+  try {
+    const logo = await svc.getLogo(req.tenantId);
+    res.type(logo.logo_content_type).send(logo.logo);
+  } catch (err) { next(err); }
+}
+
+// PUT /api/companies/me/logo  — raw image/png or image/jpeg body
+async function updateLogo(req, res, next) {
+  try {
+    const updated = await svc.setLogo(req.tenantId, req.body, req.get('content-type'), req.companyRole);
+    res.json({ data: updated });
+  } catch (err) { next(err); }
+}
+
+// DELETE /api/companies/me/logo
+async function removeLogo(req, res, next) {
+  try {
+    const updated = await svc.removeLogo(req.tenantId, req.companyRole);
+    res.json({ data: updated });
+  } catch (err) { next(err); }
+}
+
 // GET /api/companies/me/users
 async function getMembers(req, res, next) {
   try {
@@ -142,6 +166,9 @@ module.exports = {
   getCurrentCompany,
   updateCurrentCompany,
   updateSettings,
+  getLogo,
+  updateLogo,
+  removeLogo,
   getMembers,
   addMember,
   updateMemberRole,
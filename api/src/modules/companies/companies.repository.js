@@ -6,7 +6,8 @@
 // These tables are NOT covered by RLS (they ARE the tenancy control layer),
 // so we use the raw pool query() — no withTenant() needed here.
 
-const { query, pool } = require('../../db/pool');
+const { query, pool, withTenant } = require('../../db/pool');
+const gl = require('../../lib/gl-posting');
 
 // ─────────────────────────────────────────────────────────────────────────
 // COMPANY QUERIES
@@ -23,10 +24,12 @@ async function findById(id) {
        cs.default_payment_terms,
        cs.tax_enabled,
        cs.default_tax_rate,
-       cs.next_so_number,
-       cs.next_po_number,
-       cs.next_invoice_number,
-       cs.next_adj_number
+       cs.company_name,
+       cs.company_address,
+       cs.company_phone,
+       cs.company_email,
+       cs.company_website,
+       cs.logo_content_type
      FROM  companies       c
      LEFT JOIN company_settings cs ON cs.company_id = c.id
      WHERE c.id = $1`,
@@ -81,6 +84,11 @@ async function create({ slug, name, plan, ownerEmail, timezone, currencyCode, fi
       [company.id]
     );
 
+    // Default GL account mappings — gl_account_mappings is under RLS, so the
+    // rest of the transaction runs as the new company
+    await client.query("SELECT set_config('app.tenant_id', $1, true)", [company.id]);
+    await gl.seedMappings(client, company.id);
+
     await client.query('COMMIT');
     return company;
   } catch (err) {
@@ -120,11 +128,36 @@ async function update(id, fields) {
   return rows[0] || null;
 }
 
+// Journal entries and documents that carry amounts in the base currency —
+// these are tenant tables, so the count runs under the company's RLS scope
+async function countPostedRecords(companyId) {
+  return withTenant(companyId, async (client) => {
+    const { rows: [r] } = await client.query(
+      `SELECT (SELECT COUNT(*) FROM journal_entries)
+            + (SELECT COUNT(*) FROM sales_invoices)
+            + (SELECT COUNT(*) FROM vendor_invoices)
+            + (SELECT COUNT(*) FROM payments_received)
+            + (SELECT COUNT(*) FROM payments_made) AS count`
+    );
+    return parseInt(r.count, 10);
+  });
+}
+
+// Every company_settings column but the logo bytes (GET /api/companies/me/logo)
+const SETTINGS_COLUMNS = `
+  company_id, costing_method, auto_invoice, auto_reserve_on_so,
+  low_stock_alert_email, default_payment_terms, tax_enabled, default_tax_rate,
+  company_name, company_address, company_phone, company_email, company_website,
+  logo_content_type, updated_at`;
+
 async function updateSettings(companyId, fields) {
   const ALLOWED = [
     'costing_method', 'auto_invoice', 'auto_reserve_on_so',
     'low_stock_alert_email', 'default_payment_terms',
     'tax_enabled', 'default_tax_rate',
+    // Letterhead on PDF documents
+    'company_name', 'company_address', 'company_phone',
+    'company_email', 'company_website',
   ];
   const sets = [];
   const vals = [];
@@ -143,29 +176,31 @@ async function updateSettings(companyId, fields) {
     `UPDATE company_settings
      SET    ${sets.join(', ')}, updated_at = NOW()
      WHERE  company_id = $${i}
-     RETURNING *`,
+     RETURNING ${SETTINGS_COLUMNS}`,
     vals
   );
   return rows[0] || null;
 }
 
-// ─────────────────────────────────────────────────────────────────────────
-// DOCUMENT NUMBER SEQUENCES
-// Each company has independent incrementing counters stored in company_settings.
-// Uses SELECT ... FOR UPDATE to prevent race conditions under concurrent requests.
-// ─────────────────────────────────────────────────────────────────────────
-async function nextDocNumber(client, companyId, type) {
-  // type: 'so' | 'po' | 'invoice' | 'adj'
-  const col = `next_${type}_number`;
-  const { rows } = await client.query(
-    `UPDATE company_settings
-     SET    ${col} = ${col} + 1
-     WHERE  company_id = $1
-     RETURNING ${col} - 1 AS current_num`,
+async function getLogo(companyId) {
+  const { rows } = await query(
+    `SELECT logo, logo_content_type FROM company_settings
+     WHERE  company_id = $1 AND logo IS NOT NULL`,
     [companyId]
   );
-  if (!rows[0]) throw new Error(`Company settings not found for ${companyId}`);
-  return rows[0].current_num;
+  return rows[0] || null;
+}
+
+// content null removes the logo
+async function setLogo(companyId, content, contentType) {
+  const { rows } = await query(
+    `UPDATE company_settings
+     SET    logo = $1, logo_content_type = $2, updated_at = NOW()
+     WHERE  company_id = $3
+     RETURNING ${SETTINGS_COLUMNS}`,
+    [content, content ? contentType : null, companyId]
+  );
+  return rows[0] || null;
 }
 
 // ─────────────────────────────────────────────────────────────────────────
@@ -253,8 +288,10 @@ module.exports = {
   findAll,
   create,
   update,
+  countPostedRecords,
   updateSettings,
-  nextDocNumber,
+  getLogo,
+  setLogo,
   getMembers,
   getMembership,
   addMember,
@@ -13,7 +13,8 @@
 // NOTE: requireAuth is applied globally in server.js for all /api/* routes.
 //       We only apply tenantMiddleware / requireRole per-route here.
 
-const { Router } = require('express');
+const express = require('express');
+const { Router } = express;
 const ctrl = require('./companies.controller');
 const { tenantMiddleware, requireRole, requirePlatformAdmin } = require('../../middleware/tenant');
 
@@ -49,9 +50,15 @@ router.get('/me',          tenantMiddleware, ctrl.getCurrentCompany);
 // Update company name, plan, timezone, etc. — admin only
 router.put('/me',          tenantMiddleware, requireRole('admin'), ctrl.updateCurrentCompany);
 
-// Update operational settings (costing method, invoice auto, tax, etc.) — admin only
+// Update operational settings (costing method, invoice auto, tax, letterhead, etc.) — admin only
 router.put('/me/settings', tenantMiddleware, requireRole('admin'), ctrl.updateSettings);
 
+// Letterhead logo on PDF documents — PNG or JPEG up to 1 MB, sent as the raw body
+const logoBody = express.raw({ type: ['image/png', 'image/jpeg'], limit: '1mb' });
+router.get   ('/me/logo', tenantMiddleware,                                  ctrl.getLogo);
+router.put   ('/me/logo', tenantMiddleware, requireRole('admin'), logoBody, ctrl.updateLogo);
+router.delete('/me/logo', tenantMiddleware, requireRole('admin'),           ctrl.removeLogo);
+
 // User management within this company
 router.get   ('/me/users',                 tenantMiddleware,                              ctrl.getMembers);
 router.post  ('/me/users',                 tenantMiddleware, requireRole('admin','manager'), ctrl.addMember);
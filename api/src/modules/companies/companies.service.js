@@ -6,6 +6,7 @@
 // Enforces all ERP rules: role guards, slug uniqueness, last-admin protection.
 
 const repo = require('./companies.repository');
+const pdf  = require('../../lib/pdf');
 
 // ─────────────────────────────────────────────────────────────────────────
 // HELPERS
@@ -89,6 +90,15 @@ async function updateCompany(companyId, data, requestingRole) {
     }
   }
 
+  // Base currency change: every posted amount is in the current one
+  if (data.currency_code) {
+    const current = await repo.findById(companyId);
+    if (current && current.currency_code !== data.currency_code
+        && await repo.countPostedRecords(companyId) > 0) {
+      throw err(`Base currency cannot change from ${current.currency_code} once journal entries or invoices exist`, 409);
+    }
+  }
+
   const updated = await repo.update(companyId, data);
   if (!updated) throw err('Company not found', 404);
   return updated;
@@ -109,6 +119,46 @@ async function updateSettings(companyId, data, requestingRole) {
   return updated;
 }
 
+// ─────────────────────────────────────────────────────────────────────────
+// LETTERHEAD LOGO  (PDF documents, lib/pdf.js)
+// ─────────────────────────────────────────────────────────────────────────
+
+const LOGO_TYPES = ['image/png', 'image/jpeg'];
+
+async function getLogo(companyId) {
+  const logo = await repo.getLogo(companyId);
+  if (!logo) throw err('No logo uploaded', 404);
+  return logo;
+}
+
+async function setLogo(companyId, content, contentType, requestingRole) {
+  if (requestingRole !== 'admin') {
+    throw err('Only company admins can change the logo', 403);
+  }
+  if (!LOGO_TYPES.includes(contentType)) {
+    throw err('Logo must be sent as image/png or image/jpeg', 415);
+  }
+  if (!Buffer.isBuffer(content) || !content.length) throw err('Logo image is empty');
+  try {
+    pdf.checkImage(content);
+  } catch {
+    throw err('Logo is not a readable PNG or JPEG image');
+  }
+
+  const updated = await repo.setLogo(companyId, content, contentType);
+  if (!updated) throw err('Company settings not found', 404);
+  return updated;
+}
+
+async function removeLogo(companyId, requestingRole) {
+  if (requestingRole !== 'admin') {
+    throw err('Only company admins can change the logo', 403);
+  }
+  const updated = await repo.setLogo(companyId, null, null);
+  if (!updated) throw err('Company settings not found', 404);
+  return updated;
+}
+
 // ─────────────────────────────────────────────────────────────────────────
 // MEMBER MANAGEMENT
 // ─────────────────────────────────────────────────────────────────────────
@@ -193,6 +243,9 @@ module.exports = {
   createCompany,
   updateCompany,
   updateSettings,
+  getLogo,
+  setLogo,
+  removeLogo,
   getMembers,
   addMember,
   updateMemberRole,
@@ -1,28 +1,30 @@
 'use strict';
 
 // routes/adjustments.routes.js
-// Stock adjustments CRUD + post action
+// Stock adjustments CRUD, posting and the approval queue, and adjustment
+// reason codes (lib/adjustments.js)
 
 const { Router } = require('express');
-const { query, pool }           = require('../db/pool');
 const { validate }              = require('../middleware/validate');
+const { requireRole }           = require('../middleware/tenant');
 const { parsePage, paginate }   = require('../lib/pagination');
-const { CreateAdjustmentSchema } = require('../lib/schemas');
+const adjustments               = require('../lib/adjustments');
+const transfers                 = require('../lib/transfers');
+const {
+    CreateAdjustmentSchema, ReasonCodesSchema, ReviewAdjustmentSchema, RejectAdjustmentSchema,
+} = require('../lib/schemas');
 
 const router = Router();
 
-// Generate next adjustment number (ADJ-YYYYMMDD-NNN)
-async function nextAdjNumber(client) {
-    const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, '');
-    const prefix  = `ADJ-${dateStr}-`;
-    const res = await client.query(
-        `SELECT number FROM stock_adjustments WHERE number LIKE $1 ORDER BY number DESC LIMIT 1`,
-        [`${prefix}%`]
+const APPROVERS = ['admin', 'manager'];
+
+async function audit(client, req, action, adj, oldValues, newValues) {
+    await client.query(
+        `INSERT INTO audit_log (user_id, action, table_name, record_id, entity_label, old_values, new_values, ip_address)
+         VALUES ($1,$2,'stock_adjustments',$3,$4,$5,$6,$7)`,
+        [req.user?.userId || null, action, adj.id, `Stock adjustment — ${adj.number}`,
+         oldValues && JSON.stringify(oldValues), newValues && JSON.stringify(newValues), req.ip || null]
     );
-    const seq = res.rows.length === 0
-        ? 1
-        : parseInt(res.rows[0].number.split('-').pop(), 10) + 1;
-    return `${prefix}${String(seq).padStart(3, '0')}`;
 }
 
 // GET /api/adjustments
@@ -34,10 +36,10 @@ router.get('/', async (req, res) => {
         let where = '';
         if (status) { params.push(status); where = `WHERE sa.status = $${params.length}`; }
 
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM stock_adjustments sa ${where}`, params
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT sa.*, w.code AS warehouse_code, w.name AS warehouse_name,
                     u.name AS created_by_name,
                     (SELECT COUNT(*) FROM stock_adjustment_lines sal WHERE sal.adjustment_id = sa.id) AS line_count
@@ -53,51 +55,72 @@ router.get('/', async (req, res) => {
     } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
-// POST /api/adjustments
-router.post('/', validate(CreateAdjustmentSchema), async (req, res) => {
-    const { warehouse_id, adjustment_date, reason, notes, lines, created_by } = req.body;
-
-    const client = await pool.connect();
+// GET /api/adjustments/approvals — adjustments waiting for approval, oldest first
+router.get('/approvals', async (req, res) => {
     try {
-        await client.query('BEGIN');
-
-        const number = await nextAdjNumber(client);
-
-        const { rows: [adj] } = await client.query(
-            `INSERT INTO stock_adjustments
-                (number, warehouse_id, adjustment_date, reason, notes, created_by)
-             VALUES ($1,$2,$3,$4,$5,$6) RETURNING *`,
-            [number, warehouse_id, adjustment_date || new Date().toISOString().slice(0,10),
-             reason, notes, created_by || null]
+        const { page, limit, offset } = parsePage(req.query);
+        const { rows: [{ count }] } = await req.db.query(
+            `SELECT COUNT(*) FROM stock_adjustments WHERE status = 'pending_approval'`
         );
+        const { rows } = await req.db.query(
+            `SELECT sa.*, w.code AS warehouse_code, w.name AS warehouse_name,
+                    u.name AS submitted_by_name,
+                    (SELECT COUNT(*) FROM stock_adjustment_lines sal WHERE sal.adjustment_id = sa.id) AS line_count,
+                    (SELECT ARRAY_AGG(DISTINCT sal.reason_code) FROM stock_adjustment_lines sal
+                     WHERE sal.adjustment_id = sa.id) AS reason_codes
+             FROM   stock_adjustments sa
+             JOIN   warehouses w ON w.id = sa.warehouse_id
+             LEFT JOIN users u ON u.id = sa.submitted_by
+             WHERE  sa.status = 'pending_approval'
+             ORDER  BY sa.submitted_at
+             LIMIT $1 OFFSET $2`,
+            [limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
 
-        for (const line of lines) {
-            const { item_id, qty_actual, cost_per_unit, notes: lnotes } = line;
-            if (!item_id || qty_actual == null)
-                throw new Error('Each line requires item_id and qty_actual');
-
-            const { rows: soh } = await client.query(
-                `SELECT COALESCE(qty_on_hand, 0) AS qty_on_hand
-                 FROM   v_stock_on_hand
-                 WHERE  item_id = $1 AND warehouse_id = $2`,
-                [item_id, warehouse_id]
-            );
-            const qty_system = soh.length ? parseFloat(soh[0].qty_on_hand) : 0;
-
-            const { rows: [itemRow] } = await client.query(
-                `SELECT standard_cost FROM items WHERE id = $1`, [item_id]
-            );
-            const cpu = cost_per_unit != null ? cost_per_unit
-                       : (itemRow ? itemRow.standard_cost : 0);
+// GET /api/adjustments/reason-codes — the company's reason codes, or the defaults
+router.get('/reason-codes', async (req, res) => {
+    try {
+        res.json({ success: true, data: await adjustments.reasonCodes(req.db) });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
 
+// PUT /api/adjustments/reason-codes — replace the set. Codes already on
+// adjustments stay on them; approval_threshold sends adjustments whose lines
+// under the code are worth more to the approval queue.
+router.put('/reason-codes', requireRole('admin', 'manager'), validate(ReasonCodesSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        await client.query(`DELETE FROM adjustment_reason_codes`);
+        for (const c of req.body.codes) {
             await client.query(
-                `INSERT INTO stock_adjustment_lines
-                    (adjustment_id, item_id, qty_system, qty_actual, cost_per_unit, notes)
-                 VALUES ($1,$2,$3,$4,$5,$6)`,
-                [adj.id, item_id, qty_system, qty_actual, cpu, lnotes || null]
+                `INSERT INTO adjustment_reason_codes (code, name, approval_threshold, updated_by) VALUES ($1,$2,$3,$4)`,
+                [c.code, c.name, c.approval_threshold ?? null, req.user?.userId || null]
             );
         }
+        await client.query('COMMIT');
+        res.json({ success: true, data: await adjustments.reasonCodes(req.db) });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// POST /api/adjustments
+router.post('/', validate(CreateAdjustmentSchema), async (req, res) => {
+    const { warehouse_id, adjustment_date, reason, reason_code, notes, lines, created_by } = req.body;
 
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        await transfers.assertNotTransit(client, [warehouse_id]);
+        const adj = await adjustments.create(client, {
+            warehouseId: warehouse_id, adjustmentDate: adjustment_date, reason, reasonCode: reason_code,
+            notes, lines, createdBy: created_by,
+        });
         await client.query('COMMIT');
         res.status(201).json(adj);
     } catch (err) {
@@ -108,61 +131,27 @@ router.post('/', validate(CreateAdjustmentSchema), async (req, res) => {
     }
 });
 
-// POST /api/adjustments/:id/post
+// POST /api/adjustments/:id/post — post a draft, or send it to the approval
+// queue (202) when it is over a threshold and the user is not an approver
 router.post('/:id/post', async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
-
-        const { rows: [adj] } = await client.query(
-            `SELECT * FROM stock_adjustments WHERE id = $1 FOR UPDATE`,
-            [req.params.id]
-        );
-        if (!adj)           throw Object.assign(new Error('Adjustment not found'), { status: 404 });
-        if (adj.status !== 'draft')
-            throw Object.assign(new Error(`Adjustment is already ${adj.status}`), { status: 400 });
-
-        const { rows: lines } = await client.query(
-            `SELECT * FROM stock_adjustment_lines WHERE adjustment_id = $1`,
-            [adj.id]
-        );
-        if (!lines.length) throw Object.assign(new Error('No lines to post'), { status: 400 });
-
-        for (const line of lines) {
-            const diff = parseFloat(line.qty_difference);
-            if (diff === 0) continue;
-
-            await client.query(
-                `INSERT INTO stock_ledger
-                    (item_id, warehouse_id, transaction_type, reference_type,
-                     reference_id, qty, cost_per_unit, notes, posting_date, created_by)
-                 VALUES ($1,$2,'adjustment','stock_adjustment',$3,$4,$5,$6,$7,$8)`,
-                [
-                    line.item_id, adj.warehouse_id, adj.id,
-                    diff,
-                    line.cost_per_unit,
-                    `Stock adjustment ${adj.number}`,
-                    adj.adjustment_date,
-                    req.body.posted_by || null
-                ]
-            );
+        const { adjustment, pending } = await adjustments.submit(client, req.params.id, {
+            userId: req.user?.userId, postedBy: req.body.posted_by || null,
+            canApprove: APPROVERS.includes(req.companyRole),
+        });
+        if (pending) {
+            await audit(client, req, 'adjustment.submitted', adjustment, { status: 'draft' },
+                { status: adjustment.status, approval_value: adjustment.approval_value,
+                  approval_reasons: adjustment.approval_reasons });
+        } else {
+            await audit(client, req, 'post_adjustment', adjustment, { status: 'draft' },
+                { status: 'posted', posted_at: adjustment.posted_at, approval_value: adjustment.approval_value,
+                  approval_reasons: adjustment.approval_reasons });
         }
-
-        const { rows: [updated] } = await client.query(
-            `UPDATE stock_adjustments
-             SET status = 'posted', posted_at = NOW()
-             WHERE id = $1 RETURNING *`,
-            [adj.id]
-        );
-
         await client.query('COMMIT');
-
-        try {
-            await query(`INSERT INTO audit_log (action, table_name, record_id, new_values) VALUES ('post_adjustment','stock_adjustments',$1,$2)`,
-                [adj.id, JSON.stringify({ status: 'posted', posted_at: new Date() })]);
-        } catch { /* non-fatal */ }
-
-        res.json({ success: true, data: updated });
+        res.status(pending ? 202 : 200).json({ success: true, data: adjustment });
     } catch (err) {
         await client.query('ROLLBACK');
         res.status(err.status || 500).json({ success: false, error: err.message });
@@ -171,19 +160,64 @@ router.post('/:id/post', async (req, res) => {
     }
 });
 
-// DELETE /api/adjustments/:id
+// POST /api/adjustments/:id/approve — post an adjustment from the approval queue
+router.post('/:id/approve', requireRole(...APPROVERS), validate(ReviewAdjustmentSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const posted = await adjustments.approve(client, req.params.id, {
+            userId: req.user?.userId || null, comment: req.body.comment || null,
+        });
+        await audit(client, req, 'adjustment.approved', posted, { status: 'pending_approval' },
+            { status: 'posted', comment: req.body.comment || null, approval_value: posted.approval_value,
+              approval_reasons: posted.approval_reasons });
+        await client.query('COMMIT');
+        res.json({ success: true, data: posted });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// POST /api/adjustments/:id/reject — send it back with a comment; nothing is posted
+router.post('/:id/reject', requireRole(...APPROVERS), validate(RejectAdjustmentSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const rejected = await adjustments.reject(client, req.params.id, {
+            userId: req.user?.userId || null, comment: req.body.comment,
+        });
+        await audit(client, req, 'adjustment.rejected', rejected, { status: 'pending_approval' },
+            { status: 'rejected', comment: req.body.comment, approval_value: rejected.approval_value,
+              approval_reasons: rejected.approval_reasons });
+        await client.query('COMMIT');
+        res.json({ success: true, data: rejected });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// DELETE /api/adjustments/:id — drafts only; one held for approval or rejected
+// stays on record
 router.delete('/:id', async (req, res) => {
+    const client = await req.db.connect();
     try {
-        const { rows: [adj] } = await query(
-            `SELECT status FROM stock_adjustments WHERE id = $1`, [req.params.id]
+        await client.query('BEGIN');
+        const { rows: [adj] } = await client.query(
+            `SELECT id, number, status, reason_code FROM stock_adjustments WHERE id = $1 FOR UPDATE`, [req.params.id]
         );
-        if (!adj) return res.status(404).json({ success: false, error: 'Adjustment not found' });
-        if (adj.status === 'posted') return res.status(400).json({ success: false, error: 'Cannot delete a posted adjustment' });
-        await query(`DELETE FROM stock_adjustments WHERE id = $1`, [req.params.id]);
-        res.json({ success: true, data: { id: req.params.id } });
+        if (!adj) throw Object.assign(new Error('Adjustment not found'), { status: 404 });
+        if (adj.status !== 'draft')
+            throw Object.assign(new Error(`Cannot delete a ${adj.status.replace('_', ' ')} adjustment`), { status: 409 });
+        await client.query(`DELETE FROM stock_adjustments WHERE id = $1`, [adj.id]);
+        await audit(client, req, 'adjustment.deleted', adj, { status: 'draft', reason_code: adj.reason_code }, null);
+        await client.query('COMMIT');
+        res.json({ success: true, data: { id: adj.id } });
     } catch (err) {
-        res.status(500).json({ success: false, error: err.message });
-    }
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
 });
 
 module.exports = router;
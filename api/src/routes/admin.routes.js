@@ -1,13 +1,15 @@
 'use strict';
 
 // routes/admin.routes.js
-// Module 10 — Admin & Settings: users, warehouses, company settings, audit log
+// Module 10 — Admin & Settings: users, warehouses, company settings, document numbering, audit log
 
 const { Router } = require('express');
-const { query, pool } = require('../db/pool');
 const { z } = require('zod');
 const { validate } = require('../middleware/validate');
 const { parsePage, paginate } = require('../lib/pagination');
+const { requireRole } = require('../middleware/tenant');
+const numbering = require('../lib/numbering');
+const periods = require('../lib/periods');
 const bcrypt = require('bcryptjs');
 
 const router = Router();
@@ -41,15 +43,22 @@ const UpdateUserSchema = z.object({
     is_active: z.boolean().optional(),
 });
 
+// Users are global; a company sees and manages only its own members (company_users).
+
 // GET /api/admin/users
 router.get('/users', async (req, res) => {
     try {
         const { page, limit, offset } = parsePage(req.query);
-        const { rows: [{ count }] } = await query(`SELECT COUNT(*) FROM users`);
-        const { rows } = await query(
-            `SELECT id, name, email, role, is_active, created_at
-             FROM users ORDER BY name LIMIT $1 OFFSET $2`,
-            [limit, offset]
+        const { rows: [{ count }] } = await req.db.query(
+            `SELECT COUNT(*) FROM users u
+             JOIN company_users cu ON cu.user_id = u.id AND cu.company_id = $1`, [req.tenantId]
+        );
+        const { rows } = await req.db.query(
+            `SELECT u.id, u.name, u.email, u.role, u.is_active, u.created_at
+             FROM users u
+             JOIN company_users cu ON cu.user_id = u.id AND cu.company_id = $1
+             ORDER BY u.name LIMIT $2 OFFSET $3`,
+            [req.tenantId, limit, offset]
         );
         res.json(paginate(rows, parseInt(count, 10), page, limit));
     } catch (err) { res.status(500).json({ success: false, error: err.message }); }
@@ -58,7 +67,7 @@ router.get('/users', async (req, res) => {
 // POST /api/admin/users
 router.post('/users', validate(CreateUserSchema), async (req, res) => {
     const { name, email, role, password } = req.body;
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
         const hash = await bcrypt.hash(password, 10);
@@ -67,6 +76,10 @@ router.post('/users', validate(CreateUserSchema), async (req, res) => {
              VALUES ($1,$2,$3,$4,true) RETURNING id, name, email, role, is_active, created_at`,
             [name, email, role, hash]
         );
+        await client.query(
+            `INSERT INTO company_users (company_id, user_id, role, invited_by) VALUES ($1,$2,$3,$4)`,
+            [req.tenantId, user.id, role, req.user?.userId || null]
+        );
         await logAudit(client, {
             userId: req.user?.id, action: 'user.created', tableName: 'users',
             recordId: user.id, entityLabel: `${name} (${email})`,
@@ -85,11 +98,13 @@ router.post('/users', validate(CreateUserSchema), async (req, res) => {
 
 // PATCH /api/admin/users/:id
 router.patch('/users/:id', validate(UpdateUserSchema), async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
         const { rows: [before] } = await client.query(
-            `SELECT id, name, role, is_active FROM users WHERE id = $1`, [req.params.id]
+            `SELECT u.id, u.name, u.role, u.is_active FROM users u
+             JOIN company_users cu ON cu.user_id = u.id AND cu.company_id = $2
+             WHERE u.id = $1`, [req.params.id, req.tenantId]
         );
         if (!before) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, error: 'User not found' }); }
 
@@ -118,10 +133,14 @@ router.patch('/users/:id', validate(UpdateUserSchema), async (req, res) => {
 
 // POST /api/admin/users/:id/reset-password
 router.post('/users/:id/reset-password', validate(z.object({ password: z.string().min(6) })), async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
-        const { rows: [u] } = await client.query(`SELECT id, name, email FROM users WHERE id = $1`, [req.params.id]);
+        const { rows: [u] } = await client.query(
+            `SELECT u.id, u.name, u.email FROM users u
+             JOIN company_users cu ON cu.user_id = u.id AND cu.company_id = $2
+             WHERE u.id = $1`, [req.params.id, req.tenantId]
+        );
         if (!u) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, error: 'User not found' }); }
         const hash = await bcrypt.hash(req.body.password, 10);
         await client.query(`UPDATE users SET password_hash = $2 WHERE id = $1`, [u.id, hash]);
@@ -152,8 +171,8 @@ const WarehouseSchema = z.object({
 router.get('/warehouses', async (req, res) => {
     try {
         const { page, limit, offset } = parsePage(req.query);
-        const { rows: [{ count }] } = await query(`SELECT COUNT(*) FROM warehouses`);
-        const { rows } = await query(
+        const { rows: [{ count }] } = await req.db.query(`SELECT COUNT(*) FROM warehouses`);
+        const { rows } = await req.db.query(
             `SELECT w.*, COUNT(sl.id)::INT AS ledger_entries
              FROM   warehouses w
              LEFT JOIN stock_ledger sl ON sl.warehouse_id = w.id
@@ -170,7 +189,7 @@ router.get('/warehouses', async (req, res) => {
 router.post('/warehouses', validate(WarehouseSchema), async (req, res) => {
     const { code, name, address } = req.body;
     if (!code) return res.status(400).json({ success: false, error: 'code is required' });
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
         const { rows: [wh] } = await client.query(
@@ -193,7 +212,7 @@ router.post('/warehouses', validate(WarehouseSchema), async (req, res) => {
 
 // PATCH /api/admin/warehouses/:id
 router.patch('/warehouses/:id', validate(WarehouseSchema), async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
         const { rows: [before] } = await client.query(`SELECT * FROM warehouses WHERE id = $1`, [req.params.id]);
@@ -227,9 +246,9 @@ router.patch('/warehouses/:id', validate(WarehouseSchema), async (req, res) => {
 // ─────────────────────────────────────────────────────────────────────────────
 
 // GET /api/admin/settings
-router.get('/settings', async (_req, res) => {
+router.get('/settings', async (req, res) => {
     try {
-        const { rows } = await query(`SELECT key, value, description, updated_at FROM company_settings ORDER BY key`);
+        const { rows } = await req.db.query(`SELECT key, value, description, updated_at FROM company_preferences ORDER BY key`);
         // Return as object map for easy consumption
         const settings = Object.fromEntries(rows.map(r => [r.key, { value: r.value, description: r.description, updated_at: r.updated_at }]));
         res.json({ success: true, data: settings });
@@ -242,22 +261,110 @@ router.patch('/settings', async (req, res) => {
     if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
         return res.status(400).json({ success: false, error: 'Body must be a key:value object' });
     }
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
-        for (const [key, value] of Object.entries(updates)) {
+        for (const [key, raw] of Object.entries(updates)) {
+            // The fiscal calendar cannot move under closed periods (lib/periods.js)
+            const value = key === 'fiscal_year_end' ? await periods.changeYearEnd(client, raw) : raw;
             await client.query(
-                `UPDATE company_settings SET value = $2, updated_at = NOW(), updated_by = $3
-                 WHERE key = $1`,
-                [key, String(value), req.user?.id || null]
+                `INSERT INTO company_preferences (key, value, updated_by) VALUES ($1, $2, $3)
+                 ON CONFLICT (company_id, key)
+                 DO UPDATE SET value = EXCLUDED.value, updated_at = NOW(), updated_by = EXCLUDED.updated_by`,
+                [key, String(value), req.user?.userId || null]
             );
         }
         await logAudit(client, {
-            userId: req.user?.id, action: 'settings.updated', tableName: 'company_settings',
+            userId: req.user?.userId, action: 'settings.updated', tableName: 'company_preferences',
             entityLabel: 'Company Settings', newValues: updates, ip: req.ip
         });
         await client.query('COMMIT');
         res.json({ success: true, message: 'Settings saved' });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Document Numbering
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Shortest number column a format has to fit (journal_entries / opportunities)
+const MAX_NUMBER_LENGTH = 20;
+
+const NumberingSchema = z.object({
+    prefix:       z.string().trim().min(1).max(10).regex(/^[A-Za-z0-9._/-]+$/, 'Letters, digits and . _ / - only').optional(),
+    format:       z.string().trim().min(1).max(40).optional(),
+    padding:      z.coerce.number().int().min(1).max(10).optional(),
+    reset_period: z.enum(['never', 'yearly', 'monthly', 'daily']).optional(),
+    next_value:   z.coerce.number().int().positive().optional(),
+});
+
+// Every document type with the company's own settings where it has any
+const NUMBERING_SQL = `
+    SELECT t.doc_type, t.name, t.gap_free,
+           COALESCE(s.prefix,       t.prefix)       AS prefix,
+           COALESCE(s.format,       t.format)       AS format,
+           COALESCE(s.padding,      t.padding)      AS padding,
+           COALESCE(s.reset_period, t.reset_period) AS reset_period,
+           COALESCE(s.period_key, '')               AS period_key,
+           COALESCE(s.next_value, 1)                AS next_value,
+           s.updated_at
+    FROM   document_types t
+    LEFT JOIN document_sequences s ON s.doc_type = t.doc_type`;
+
+// GET /api/admin/numbering
+router.get('/numbering', async (req, res) => {
+    try {
+        const { rows } = await req.db.query(`${NUMBERING_SQL} ORDER BY t.name`);
+        res.json({ success: true, data: rows.map(r => ({ ...r, next_number: numbering.preview(r) })) });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// PATCH /api/admin/numbering/:docType
+// Format changes apply from the next number drawn. next_value restarts the
+// counter in the current period — refused for gap-free series.
+router.patch('/numbering/:docType', requireRole('admin'), validate(NumberingSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [type] } = await client.query(`SELECT 1 FROM document_types WHERE doc_type = $1`, [req.params.docType]);
+        if (!type) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, error: 'Document type not found' }); }
+        const before = await numbering.lock(client, req.params.docType);
+        if (!Object.keys(req.body).length) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, error: 'Nothing to update' }); }
+        if (req.body.next_value !== undefined && before.gap_free) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, error: `${before.name} numbers are gap-free; the counter cannot be moved` });
+        }
+
+        const seq = { ...before, ...req.body };
+        const formatError = numbering.formatError(seq.format, seq.reset_period);
+        if (formatError) { await client.query('ROLLBACK'); return res.status(400).json({ success: false, error: formatError }); }
+        if (req.body.next_value !== undefined) seq.period_key = numbering.periodKey(seq.reset_period);
+        const sample = numbering.preview(seq);
+        if (sample.length > MAX_NUMBER_LENGTH) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ success: false, error: `${sample} is longer than ${MAX_NUMBER_LENGTH} characters` });
+        }
+
+        await client.query(
+            `UPDATE document_sequences
+             SET    prefix = $3, format = $4, padding = $5, reset_period = $6, period_key = $7, next_value = $8
+             WHERE  company_id = $1 AND doc_type = $2`,
+            [before.company_id, before.doc_type, seq.prefix, seq.format, seq.padding,
+             seq.reset_period, seq.period_key, seq.next_value]
+        );
+        await logAudit(client, {
+            userId: req.user?.userId, action: 'numbering.updated', tableName: 'document_sequences',
+            entityLabel: `Numbering — ${before.name}`,
+            oldValues: { prefix: before.prefix, format: before.format, padding: before.padding,
+                         reset_period: before.reset_period, next_value: before.next_value },
+            newValues: req.body, ip: req.ip
+        });
+        const { rows: [row] } = await client.query(`${NUMBERING_SQL} WHERE t.doc_type = $1`, [before.doc_type]);
+        await client.query('COMMIT');
+        res.json({ success: true, data: { ...row, next_number: numbering.preview(row) } });
     } catch (err) {
         await client.query('ROLLBACK');
         res.status(500).json({ success: false, error: err.message });
@@ -278,10 +385,10 @@ router.get('/audit-log', async (req, res) => {
         if (table_name) { params.push(table_name); conds.push(`al.table_name = $${params.length}`); }
         const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
 
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM audit_log al ${where}`, params
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT al.*, u.name AS user_name
              FROM   audit_log al
              LEFT JOIN users u ON u.id = al.user_id
@@ -4,29 +4,28 @@
 // Module 11 — Advanced Analytics: aggregated KPIs and chart data
 
 const { Router } = require('express');
-const { query }  = require('../db/pool');
 
 const router = Router();
 
 // ── GET /api/analytics/overview ───────────────────────────────────────────────
 // Combined top-level KPIs for the analytics page header
-router.get('/overview', async (_req, res) => {
+router.get('/overview', async (req, res) => {
     try {
         const [revenue, ar, ap, items, orders, customers] = await Promise.all([
-            query(`SELECT COALESCE(SUM(subtotal), 0) AS revenue_30d
+            req.db.query(`SELECT COALESCE(SUM(subtotal), 0) AS revenue_30d
                    FROM sales_orders
-                   WHERE status NOT IN ('cancelled','draft')
+                   WHERE status NOT IN ('cancelled','draft','credit_hold')
                      AND order_date >= CURRENT_DATE - 30`),
-            query(`SELECT COALESCE(SUM(balance_due), 0) AS ar_balance
+            req.db.query(`SELECT COALESCE(SUM(balance_due), 0) AS ar_balance
                    FROM sales_invoices WHERE status IN ('sent','partial')`),
-            query(`SELECT COALESCE(SUM(amount_due - amount_paid), 0) AS ap_balance
+            req.db.query(`SELECT COALESCE(SUM(amount_due - amount_paid), 0) AS ap_balance
                    FROM vendor_invoices WHERE status IN ('received','partial')`),
-            query(`SELECT COUNT(*) AS item_count FROM items WHERE is_active = true`),
-            query(`SELECT COUNT(*) AS order_count FROM sales_orders
-                   WHERE status NOT IN ('cancelled','draft') AND order_date >= CURRENT_DATE - 30`),
-            query(`SELECT COUNT(DISTINCT customer_id) AS customer_count
+            req.db.query(`SELECT COUNT(*) AS item_count FROM items WHERE is_active = true`),
+            req.db.query(`SELECT COUNT(*) AS order_count FROM sales_orders
+                   WHERE status NOT IN ('cancelled','draft','credit_hold') AND order_date >= CURRENT_DATE - 30`),
+            req.db.query(`SELECT COUNT(DISTINCT customer_id) AS customer_count
                    FROM sales_orders
-                   WHERE status NOT IN ('cancelled','draft') AND order_date >= CURRENT_DATE - 30`),
+                   WHERE status NOT IN ('cancelled','draft','credit_hold') AND order_date >= CURRENT_DATE - 30`),
         ]);
         res.json({ success: true, data: {
             revenue_30d:     parseFloat(revenue.rows[0].revenue_30d),
@@ -41,15 +40,15 @@ router.get('/overview', async (_req, res) => {
 
 // ── GET /api/analytics/revenue-trend ──────────────────────────────────────────
 // Monthly revenue for the last 13 months (for a 12-month trailing chart)
-router.get('/revenue-trend', async (_req, res) => {
+router.get('/revenue-trend', async (req, res) => {
     try {
-        const { rows } = await query(`
+        const { rows } = await req.db.query(`
             SELECT
                 TO_CHAR(DATE_TRUNC('month', order_date), 'YYYY-MM') AS month,
                 COALESCE(SUM(subtotal), 0)::NUMERIC(14,2)           AS revenue,
                 COUNT(*)::INT                                         AS order_count
             FROM   sales_orders
-            WHERE  status NOT IN ('cancelled','draft')
+            WHERE  status NOT IN ('cancelled','draft','credit_hold')
               AND  order_date >= DATE_TRUNC('month', CURRENT_DATE) - INTERVAL '11 months'
             GROUP  BY 1
             ORDER  BY 1
@@ -60,9 +59,9 @@ router.get('/revenue-trend', async (_req, res) => {
 
 // ── GET /api/analytics/top-customers ──────────────────────────────────────────
 // Top 10 customers by 12-month revenue
-router.get('/top-customers', async (_req, res) => {
+router.get('/top-customers', async (req, res) => {
     try {
-        const { rows } = await query(`
+        const { rows } = await req.db.query(`
             SELECT
                 p.name     AS customer_name,
                 p.code     AS customer_code,
@@ -72,7 +71,7 @@ router.get('/top-customers', async (_req, res) => {
                 MAX(so.order_date)                            AS last_order_date
             FROM   sales_orders so
             JOIN   parties p ON p.id = so.customer_id
-            WHERE  so.status NOT IN ('cancelled','draft')
+            WHERE  so.status NOT IN ('cancelled','draft','credit_hold')
               AND  so.order_date >= CURRENT_DATE - 365
             GROUP  BY p.id, p.name, p.code, p.vip_tier
             ORDER  BY revenue_12m DESC
@@ -84,9 +83,9 @@ router.get('/top-customers', async (_req, res) => {
 
 // ── GET /api/analytics/top-items ──────────────────────────────────────────────
 // Top 10 items by 12-month revenue value
-router.get('/top-items', async (_req, res) => {
+router.get('/top-items', async (req, res) => {
     try {
-        const { rows } = await query(`
+        const { rows } = await req.db.query(`
             SELECT
                 i.code           AS item_code,
                 i.name           AS item_name,
@@ -108,9 +107,9 @@ router.get('/top-items', async (_req, res) => {
 
 // ── GET /api/analytics/inventory-health ───────────────────────────────────────
 // Urgency distribution from v_sales_velocity
-router.get('/inventory-health', async (_req, res) => {
+router.get('/inventory-health', async (req, res) => {
     try {
-        const { rows } = await query(`
+        const { rows } = await req.db.query(`
             SELECT
                 urgency,
                 COUNT(*)::INT                                       AS item_count,
@@ -126,10 +125,10 @@ router.get('/inventory-health', async (_req, res) => {
 
 // ── GET /api/analytics/cash-flow ──────────────────────────────────────────────
 // AR collections vs AP payments, last 6 months by month
-router.get('/cash-flow', async (_req, res) => {
+router.get('/cash-flow', async (req, res) => {
     try {
         const [collections, payments] = await Promise.all([
-            query(`
+            req.db.query(`
                 SELECT
                     TO_CHAR(DATE_TRUNC('month', payment_date), 'YYYY-MM') AS month,
                     COALESCE(SUM(amount), 0)::NUMERIC(14,2)               AS collected
@@ -137,7 +136,7 @@ router.get('/cash-flow', async (_req, res) => {
                 WHERE  payment_date >= DATE_TRUNC('month', CURRENT_DATE) - INTERVAL '5 months'
                 GROUP  BY 1 ORDER BY 1
             `),
-            query(`
+            req.db.query(`
                 SELECT
                     TO_CHAR(DATE_TRUNC('month', payment_date), 'YYYY-MM') AS month,
                     COALESCE(SUM(amount), 0)::NUMERIC(14,2)               AS paid_out
@@ -165,9 +164,9 @@ router.get('/cash-flow', async (_req, res) => {
 
 // ── GET /api/analytics/pipeline ───────────────────────────────────────────────
 // CRM opportunity pipeline by stage
-router.get('/pipeline', async (_req, res) => {
+router.get('/pipeline', async (req, res) => {
     try {
-        const { rows } = await query(`
+        const { rows } = await req.db.query(`
             SELECT
                 stage,
                 COUNT(*)::INT                                          AS count,
@@ -185,9 +184,9 @@ router.get('/pipeline', async (_req, res) => {
 
 // ── GET /api/analytics/category-mix ──────────────────────────────────────────
 // Revenue split by item category, last 12 months
-router.get('/category-mix', async (_req, res) => {
+router.get('/category-mix', async (req, res) => {
     try {
-        const { rows } = await query(`
+        const { rows } = await req.db.query(`
             SELECT
                 COALESCE(i.category, 'Uncategorized') AS category,
                 SUM(ABS(sl.qty))::NUMERIC(14,2)       AS qty_sold,
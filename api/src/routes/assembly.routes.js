@@ -0,0 +1,106 @@
+'use strict';
+
+// routes/assembly.routes.js
+// Assembly orders — building assembly kits from their components and
+// breaking them back down (lib/assembly.js).
+
+const { Router } = require('express');
+const { validate } = require('../middleware/validate');
+const { parsePage, paginate } = require('../lib/pagination');
+const assembly = require('../lib/assembly');
+const { CreateAssemblyOrderSchema } = require('../lib/schemas');
+
+const router = Router();
+
+async function audit(client, req, action, order, oldValues, newValues) {
+    await client.query(
+        `INSERT INTO audit_log (user_id, action, table_name, record_id, entity_label, old_values, new_values, ip_address)
+         VALUES ($1,$2,'assembly_orders',$3,$4,$5,$6,$7)`,
+        [req.user?.userId || null, action, order.id, `Assembly order — ${order.number}`,
+         oldValues && JSON.stringify(oldValues), newValues && JSON.stringify(newValues), req.ip || null]
+    );
+}
+
+// Run `fn(client)` in a transaction and answer with the order it returns
+async function inTransaction(req, res, fn, status = 200) {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const order = await fn(client);
+        await client.query('COMMIT');
+        res.status(status).json({ success: true, data: await assembly.detail(req.db, order.id) });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+}
+
+// GET /api/assembly-orders?status=&kit_item_id=&warehouse_id=
+router.get('/', async (req, res) => {
+    const { status, kit_item_id, warehouse_id } = req.query;
+    try {
+        const { page, limit, offset } = parsePage(req.query);
+        const conds = []; const params = [];
+        if (status)       { params.push(status);       conds.push(`ao.status = $${params.length}`); }
+        if (kit_item_id)  { params.push(kit_item_id);  conds.push(`ao.kit_item_id = $${params.length}`); }
+        if (warehouse_id) { params.push(warehouse_id); conds.push(`ao.warehouse_id = $${params.length}`); }
+        const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+
+        const { rows: [{ count }] } = await req.db.query(
+            `SELECT COUNT(*) FROM assembly_orders ao ${where}`, params
+        );
+        const { rows } = await req.db.query(
+            `SELECT ao.*, ao.order_date::text AS order_date,
+                    i.code AS kit_code, i.name AS kit_name, w.code AS warehouse_code
+             FROM   assembly_orders ao
+             JOIN   items i      ON i.id = ao.kit_item_id
+             JOIN   warehouses w ON w.id = ao.warehouse_id
+             ${where}
+             ORDER  BY ao.created_at DESC
+             LIMIT $${params.length+1} OFFSET $${params.length+2}`,
+            [...params, limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// GET /api/assembly-orders/:id
+router.get('/:id', async (req, res) => {
+    try {
+        const data = await assembly.detail(req.db, req.params.id);
+        if (!data) return res.status(404).json({ success: false, error: 'Assembly order not found' });
+        res.json({ success: true, data });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/assembly-orders — a draft with the kit's components scaled to qty
+router.post('/', validate(CreateAssemblyOrderSchema), async (req, res) => {
+    const { kit_item_id, warehouse_id, order_type, qty, order_date, notes } = req.body;
+    await inTransaction(req, res, client => assembly.create(client, {
+        kitItemId: kit_item_id, warehouseId: warehouse_id, orderType: order_type, qty,
+        orderDate: order_date, notes, userId: req.user?.userId || null,
+    }), 201);
+});
+
+// POST /api/assembly-orders/:id/post — move the stock (lots: [{ line_id, lot_number, qty }])
+router.post('/:id/post', async (req, res) => {
+    await inTransaction(req, res, async (client) => {
+        const posted = await assembly.post(client, req.params.id, {
+            lots: req.body.lots, userId: req.user?.userId || null, postedBy: req.body.posted_by || null,
+        });
+        await audit(client, req, 'assembly_order.posted', posted, { status: 'draft' },
+            { status: 'posted', order_type: posted.order_type, qty: posted.qty, unit_cost: posted.unit_cost });
+        return posted;
+    });
+});
+
+// POST /api/assembly-orders/:id/cancel — drafts only
+router.post('/:id/cancel', async (req, res) => {
+    await inTransaction(req, res, async (client) => {
+        const cancelled = await assembly.cancel(client, req.params.id);
+        await audit(client, req, 'assembly_order.cancelled', cancelled, { status: 'draft' }, { status: 'cancelled' });
+        return cancelled;
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,475 @@
+'use strict';
+
+// routes/bank.routes.js
+// Bank reconciliation — bank accounts on GL cash accounts, imported statements
+// (lib/bank-statements.js), matching statement lines to payments and journal
+// entries, and the reconciliation report (lib/bank-reconciliation.js).
+// Anyone in the company can read; admins and managers make changes.
+
+const { Router, raw } = require('express');
+const { validate, validateQuery } = require('../middleware/validate');
+const { parsePage, paginate } = require('../lib/pagination');
+const { requireRole } = require('../middleware/tenant');
+const statements = require('../lib/bank-statements');
+const recon      = require('../lib/bank-reconciliation');
+const {
+    CreateBankAccountSchema, PatchBankAccountSchema, ImportBankStatementQuerySchema,
+    BankMatchRulesSchema, BankAutoMatchSchema, BankMatchSchema,
+} = require('../lib/schemas');
+
+const router = Router();
+const manage = requireRole('admin', 'manager');
+
+async function audit(client, req, action, table, recordId, label, oldValues, newValues) {
+    await client.query(
+        `INSERT INTO audit_log (user_id, action, table_name, record_id, entity_label, old_values, new_values, ip_address)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+        [req.user?.userId || null, action, table, recordId, label,
+         oldValues && JSON.stringify(oldValues), newValues && JSON.stringify(newValues), req.ip || null]
+    );
+}
+
+const ACCOUNT_SQL = `
+    SELECT ba.id, ba.name, ba.bank_name, ba.account_number, ba.routing_number, ba.currency,
+           ba.gl_account_id, a.account_number AS gl_account_number, a.name AS gl_account_name,
+           ba.opening_balance, ba.opening_date::text AS opening_date, ba.is_active,
+           ba.created_by, ba.created_at, ba.updated_at
+    FROM   bank_accounts ba
+    JOIN   gl_accounts a ON a.id = ba.gl_account_id`;
+
+async function loadAccount(db, id, { lock = false } = {}) {
+    const { rows: [account] } = await db.query(
+        `${ACCOUNT_SQL} WHERE ba.id = $1 ${lock ? 'FOR UPDATE OF ba' : ''}`, [id]
+    );
+    if (!account) throw Object.assign(new Error('Bank account not found'), { status: 404 });
+    return account;
+}
+
+// A bank account's GL account has to be an active asset account
+async function checkGlAccount(db, id) {
+    const { rows: [a] } = await db.query(`SELECT type, is_active FROM gl_accounts WHERE id = $1`, [id]);
+    if (!a) throw Object.assign(new Error('GL account not found'), { status: 404 });
+    if (a.type !== 'asset' || !a.is_active)
+        throw Object.assign(new Error('The GL account must be an active asset (cash) account'), { status: 400 });
+}
+
+const duplicate = err => err.code === '23505' && Object.assign(new Error(
+    err.constraint?.includes('gl_account')
+        ? 'Another bank account already uses that GL account'
+        : 'A bank account with that name already exists'), { status: 409 });
+
+const LINE_SQL = `SELECT id, bank_account_id, txn_date::text AS txn_date, amount FROM bank_statement_lines WHERE id = $1`;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Bank accounts
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/bank/accounts
+router.get('/accounts', async (req, res) => {
+    try {
+        const { rows } = await req.db.query(
+            `SELECT x.*,
+                    (SELECT COUNT(*) FROM bank_statements s WHERE s.bank_account_id = x.id)::int AS statement_count,
+                    (SELECT MAX(period_end)::text FROM bank_statements s WHERE s.bank_account_id = x.id) AS last_statement_end,
+                    (SELECT COUNT(*) FROM bank_statement_lines l
+                     WHERE  l.bank_account_id = x.id
+                       AND  (x.opening_date IS NULL OR l.txn_date > x.opening_date::date)
+                       AND  NOT EXISTS (SELECT 1 FROM bank_matches m WHERE m.statement_line_id = l.id))::int AS unmatched_lines
+             FROM   (${ACCOUNT_SQL}) x
+             ORDER  BY x.is_active DESC, x.name`
+        );
+        res.json({ success: true, data: rows });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/bank/accounts
+router.post('/accounts', manage, validate(CreateBankAccountSchema), async (req, res) => {
+    const b = req.body;
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        await checkGlAccount(client, b.gl_account_id);
+        const { rows: [{ id }] } = await client.query(
+            `INSERT INTO bank_accounts
+                (name, bank_name, account_number, routing_number, currency, gl_account_id,
+                 opening_balance, opening_date, created_by)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING id`,
+            [b.name, b.bank_name || null, b.account_number || null, b.routing_number || null, b.currency,
+             b.gl_account_id, b.opening_balance, b.opening_date || null, req.user?.userId || null]
+        );
+        const account = await loadAccount(client, id);
+        await audit(client, req, 'bank_account.created', 'bank_accounts', id, `Bank account — ${account.name}`, null, b);
+        await client.query('COMMIT');
+        res.status(201).json({ success: true, data: account });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        err = duplicate(err) || err;
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// GET /api/bank/accounts/:id
+router.get('/accounts/:id', async (req, res) => {
+    try {
+        res.json({ success: true, data: await loadAccount(req.db, req.params.id) });
+    } catch (err) { res.status(err.status || 500).json({ success: false, error: err.message }); }
+});
+
+// PATCH /api/bank/accounts/:id — the GL account and currency are fixed once
+// statements have been imported
+router.patch('/accounts/:id', manage, validate(PatchBankAccountSchema), async (req, res) => {
+    const fields = Object.entries(req.body).filter(([, v]) => v !== undefined);
+    if (!fields.length) return res.status(400).json({ success: false, error: 'Nothing to update' });
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const before = await loadAccount(client, req.params.id, { lock: true });
+        if (('gl_account_id' in req.body && req.body.gl_account_id !== before.gl_account_id)
+         || ('currency' in req.body && req.body.currency !== before.currency)) {
+            const { rows: [{ count }] } = await client.query(
+                `SELECT COUNT(*) FROM bank_statements WHERE bank_account_id = $1`, [before.id]
+            );
+            if (parseInt(count, 10)) throw Object.assign(
+                new Error('The GL account and currency cannot change once statements have been imported'), { status: 400 });
+            if (req.body.gl_account_id) await checkGlAccount(client, req.body.gl_account_id);
+        }
+        await client.query(
+            `UPDATE bank_accounts SET ${fields.map(([k], i) => `${k} = $${i + 2}`).join(', ')} WHERE id = $1`,
+            [before.id, ...fields.map(([, v]) => v)]
+        );
+        const after = await loadAccount(client, before.id);
+        await audit(client, req, 'bank_account.updated', 'bank_accounts', before.id, `Bank account — ${after.name}`,
+            Object.fromEntries(fields.map(([k]) => [k, before[k]])), Object.fromEntries(fields));
+        await client.query('COMMIT');
+        res.json({ success: true, data: after });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        err = duplicate(err) || err;
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Match rules
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/bank/match-rules — the company's rules, or the defaults
+router.get('/match-rules', async (req, res) => {
+    try {
+        res.json({ success: true, data: await recon.rules(req.db) });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// PUT /api/bank/match-rules — replace the set; tried in the order given
+router.put('/match-rules', manage, validate(BankMatchRulesSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const before = await recon.rules(client);
+        await client.query(`DELETE FROM bank_match_rules`);
+        for (const [i, r] of req.body.rules.entries()) {
+            await client.query(
+                `INSERT INTO bank_match_rules (priority, name, match_reference, date_window_days, amount_tolerance, updated_by)
+                 VALUES ($1,$2,$3,$4,$5,$6)`,
+                [i + 1, r.name, r.match_reference, r.date_window_days, r.amount_tolerance, req.user?.userId || null]
+            );
+        }
+        const after = await recon.rules(client);
+        await audit(client, req, 'bank_match_rules.updated', 'bank_match_rules', null, 'Bank match rules',
+            before.rules, after.rules);
+        await client.query('COMMIT');
+        res.json({ success: true, data: after });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// DELETE /api/bank/match-rules — back to the defaults
+router.delete('/match-rules', manage, async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const before = await recon.rules(client);
+        if (!before.is_default) {
+            await client.query(`DELETE FROM bank_match_rules`);
+            await audit(client, req, 'bank_match_rules.reset', 'bank_match_rules', null, 'Bank match rules',
+                before.rules, null);
+        }
+        await client.query('COMMIT');
+        res.json({ success: true, data: await recon.rules(req.db) });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Statements
+// ─────────────────────────────────────────────────────────────────────────────
+
+// The statement file is the raw body, whatever its content type
+const statementBody = raw({ type: () => true, limit: '5mb' });
+
+// POST /api/bank/accounts/:id/statements?format=&date_format=&file_name=&auto_match=
+// Import a CSV, OFX, BAI2 or camt.053 file. Lines already imported are
+// skipped; the rest are auto-matched unless auto_match=false.
+router.post('/accounts/:id/statements', manage, statementBody, validateQuery(ImportBankStatementQuerySchema),
+    async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || !req.body.length)
+        return res.status(400).json({ success: false, error: 'Send the statement file as the request body' });
+    const { format, date_format, columns, file_name, auto_match } = req.query;
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const account = await loadAccount(client, req.params.id, { lock: true });
+        if (!account.is_active) throw Object.assign(new Error('The bank account is inactive'), { status: 400 });
+
+        const stmt = statements.parse(req.body, { format, date_format, columns, account: account.account_number });
+        if (stmt.account && account.account_number && !statements.sameAccount(stmt.account, account.account_number))
+            throw Object.assign(new Error(
+                `The statement is for account ${stmt.account}, not ${account.account_number}`), { status: 400 });
+        if (stmt.currency && stmt.currency !== account.currency)
+            throw Object.assign(new Error(
+                `The statement is in ${stmt.currency}; the bank account is in ${account.currency}`), { status: 400 });
+
+        const keys = statements.fingerprints(stmt.lines);
+        const { rows: seen } = await client.query(
+            `SELECT fingerprint FROM bank_statement_lines WHERE bank_account_id = $1 AND fingerprint = ANY($2)`,
+            [account.id, keys]
+        );
+        const known = new Set(seen.map(r => r.fingerprint));
+        const lines = stmt.lines.map((l, i) => ({ ...l, fingerprint: keys[i] })).filter(l => !known.has(l.fingerprint));
+        if (!lines.length) throw Object.assign(
+            new Error('Every transaction in the file has already been imported'), { status: 409 });
+
+        const credits = lines.filter(l => l.amount > 0).reduce((s, l) => s + l.amount, 0);
+        const debits  = lines.filter(l => l.amount < 0).reduce((s, l) => s - l.amount, 0);
+        const { rows: [statement] } = await client.query(
+            `INSERT INTO bank_statements
+                (bank_account_id, format, file_name, account_ref, period_start, period_end, opening_balance,
+                 closing_balance, line_count, duplicate_count, total_credits, total_debits, imported_by)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+             RETURNING *, period_start::text AS period_start, period_end::text AS period_end`,
+            [account.id, stmt.format, file_name || null, stmt.account?.slice(0, 40) || null,
+             stmt.period_start, stmt.period_end, stmt.opening_balance, stmt.closing_balance,
+             lines.length, stmt.lines.length - lines.length, credits, debits, req.user?.userId || null]
+        );
+        for (const [i, l] of lines.entries()) {
+            await client.query(
+                `INSERT INTO bank_statement_lines
+                    (statement_id, bank_account_id, line_number, txn_date, value_date, amount,
+                     description, reference, external_id, txn_code, fingerprint)
+                 VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+                [statement.id, account.id, i + 1, l.date, l.value_date, l.amount,
+                 l.description, l.reference, l.external_id, l.code, l.fingerprint]
+            );
+        }
+
+        const matched = auto_match
+            ? await recon.autoMatch(client, account, { statementId: statement.id, userId: req.user?.userId || null })
+            : null;
+
+        // The bank's closing balance against the one the imported lines give
+        let balance_check = null;
+        if (stmt.closing_balance !== null) {
+            const { rows: [{ total }] } = await client.query(
+                `SELECT COALESCE(SUM(amount), 0) AS total FROM bank_statement_lines
+                 WHERE  bank_account_id = $1 AND txn_date <= $2 AND ($3::date IS NULL OR txn_date > $3::date)`,
+                [account.id, stmt.period_end, account.opening_date]
+            );
+            const computed = Math.round((parseFloat(account.opening_balance) + parseFloat(total)) * 100) / 100;
+            balance_check = {
+                closing_balance: stmt.closing_balance, computed_balance: computed,
+                difference: Math.round((stmt.closing_balance - computed) * 100) / 100,
+            };
+        }
+
+        await audit(client, req, 'bank_statement.imported', 'bank_statements', statement.id,
+            `Bank statement — ${account.name} ${stmt.period_start}..${stmt.period_end}`, null,
+            { format: stmt.format, file_name: file_name || null, lines: lines.length,
+              duplicates: statement.duplicate_count, auto_matched: matched?.matched.length ?? null });
+        await client.query('COMMIT');
+        res.status(201).json({ success: true, data: { ...statement, auto_match: matched, balance_check } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// GET /api/bank/accounts/:id/statements
+router.get('/accounts/:id/statements', async (req, res) => {
+    try {
+        const account = await loadAccount(req.db, req.params.id);
+        const { page, limit, offset } = parsePage(req.query);
+        const { rows: [{ count }] } = await req.db.query(
+            `SELECT COUNT(*) FROM bank_statements WHERE bank_account_id = $1`, [account.id]
+        );
+        const { rows } = await req.db.query(
+            `SELECT s.*, s.period_start::text AS period_start, s.period_end::text AS period_end,
+                    u.name AS imported_by_name
+             FROM   bank_statements s
+             LEFT JOIN users u ON u.id = s.imported_by
+             WHERE  s.bank_account_id = $1
+             ORDER  BY s.period_end DESC, s.created_at DESC
+             LIMIT $2 OFFSET $3`, [account.id, limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(err.status || 500).json({ success: false, error: err.message }); }
+});
+
+// GET /api/bank/statements/:id — with its lines and their matches
+router.get('/statements/:id', async (req, res) => {
+    try {
+        const { rows: [statement] } = await req.db.query(
+            `SELECT *, period_start::text AS period_start, period_end::text AS period_end
+             FROM bank_statements WHERE id = $1`, [req.params.id]
+        );
+        if (!statement) return res.status(404).json({ success: false, error: 'Bank statement not found' });
+        const account = await loadAccount(req.db, statement.bank_account_id);
+        const lines = await recon.statementLines(req.db, { ...account, opening_date: null }, { statementId: statement.id });
+        res.json({ success: true, data: { ...statement, lines } });
+    } catch (err) { res.status(err.status || 500).json({ success: false, error: err.message }); }
+});
+
+// DELETE /api/bank/statements/:id — undo an import; unmatch its lines first
+router.delete('/statements/:id', manage, async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [statement] } = await client.query(
+            `SELECT * FROM bank_statements WHERE id = $1 FOR UPDATE`, [req.params.id]
+        );
+        if (!statement) throw Object.assign(new Error('Bank statement not found'), { status: 404 });
+        const { rows: [{ count }] } = await client.query(
+            `SELECT COUNT(*) FROM bank_matches m
+             JOIN   bank_statement_lines l ON l.id = m.statement_line_id
+             WHERE  l.statement_id = $1`, [statement.id]
+        );
+        if (parseInt(count, 10)) throw Object.assign(
+            new Error(`${count} line(s) of the statement are matched; unmatch them first`), { status: 400 });
+        await client.query(`DELETE FROM bank_statements WHERE id = $1`, [statement.id]);
+        await audit(client, req, 'bank_statement.deleted', 'bank_statements', statement.id,
+            `Bank statement — ${statement.file_name || statement.format}`,
+            { format: statement.format, file_name: statement.file_name, line_count: statement.line_count }, null);
+        await client.query('COMMIT');
+        res.json({ success: true, data: { id: statement.id, deleted: true } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Matching
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/bank/accounts/:id/lines?status=matched|unmatched&statement_id=&as_of=
+router.get('/accounts/:id/lines', async (req, res) => {
+    const { status, statement_id, as_of } = req.query;
+    try {
+        const account = await loadAccount(req.db, req.params.id);
+        const { page, limit, offset } = parsePage(req.query);
+        let rows = await recon.statementLines(req.db, account, {
+            asOf: as_of || null, statementId: statement_id || null, unmatched: status === 'unmatched',
+        });
+        if (status === 'matched') rows = rows.filter(l => l.matches.length);
+        res.json(paginate(rows.slice(offset, offset + limit), rows.length, page, limit));
+    } catch (err) { res.status(err.status || 500).json({ success: false, error: err.message }); }
+});
+
+// GET /api/bank/accounts/:id/book-items?status=matched|unmatched&as_of= —
+// payments and journal entries on the account's GL cash account
+router.get('/accounts/:id/book-items', async (req, res) => {
+    const { status, as_of } = req.query;
+    try {
+        const account = await loadAccount(req.db, req.params.id);
+        const { page, limit, offset } = parsePage(req.query);
+        let rows = await recon.bookItems(req.db, account, { asOf: as_of || null, unmatched: status === 'unmatched' });
+        if (status === 'matched') rows = rows.filter(i => i.statement_line_id);
+        res.json(paginate(rows.slice(offset, offset + limit), rows.length, page, limit));
+    } catch (err) { res.status(err.status || 500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/bank/accounts/:id/auto-match — run the match rules over the
+// unmatched lines (of one statement, with statement_id)
+router.post('/accounts/:id/auto-match', manage, validate(BankAutoMatchSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const account = await loadAccount(client, req.params.id, { lock: true });
+        const result = await recon.autoMatch(client, account, {
+            statementId: req.body.statement_id || null, userId: req.user?.userId || null,
+        });
+        if (result.matched.length) {
+            await audit(client, req, 'bank_account.auto_matched', 'bank_accounts', account.id,
+                `Bank account — ${account.name}`, null, { matched: result.matched.length, unmatched: result.unmatched });
+        }
+        await client.query('COMMIT');
+        res.json({ success: true, data: result });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// POST /api/bank/lines/:id/match — clear a line against payments or journal
+// entries that add up to it
+router.post('/lines/:id/match', manage, validate(BankMatchSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [line] } = await client.query(LINE_SQL, [req.params.id]);
+        if (!line) throw Object.assign(new Error('Statement line not found'), { status: 404 });
+        const account = await loadAccount(client, line.bank_account_id, { lock: true });
+        const matches = await recon.match(client, account, line, req.body.items, { userId: req.user?.userId || null });
+        await audit(client, req, 'bank_line.matched', 'bank_statement_lines', line.id,
+            `Bank statement line — ${account.name} ${line.txn_date} ${line.amount}`, null,
+            { items: matches.map(m => ({ source_type: m.source_type, source_id: m.source_id, amount: m.amount })) });
+        const [updated] = await recon.statementLines(client, account, { ids: [line.id] });
+        await client.query('COMMIT');
+        res.json({ success: true, data: updated });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        if (err.code === '23505') { err.message = 'One of the entries has just been matched to another line'; err.status = 409; }
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// POST /api/bank/lines/:id/unmatch
+router.post('/lines/:id/unmatch', manage, async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [line] } = await client.query(LINE_SQL, [req.params.id]);
+        if (!line) throw Object.assign(new Error('Statement line not found'), { status: 404 });
+        const account = await loadAccount(client, line.bank_account_id, { lock: true });
+        const removed = await recon.unmatch(client, line);
+        await audit(client, req, 'bank_line.unmatched', 'bank_statement_lines', line.id,
+            `Bank statement line — ${account.name} ${line.txn_date} ${line.amount}`,
+            { items: removed.map(m => ({ source_type: m.source_type, source_id: m.source_id, method: m.method })) }, null);
+        const [updated] = await recon.statementLines(client, { ...account, opening_date: null }, { ids: [line.id] });
+        await client.query('COMMIT');
+        res.json({ success: true, data: updated });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Reconciliation
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/bank/accounts/:id/reconciliation?as_of=YYYY-MM-DD
+router.get('/accounts/:id/reconciliation', async (req, res) => {
+    const { as_of } = req.query;
+    if (as_of && !/^\d{4}-\d{2}-\d{2}$/.test(as_of))
+        return res.status(400).json({ success: false, error: 'as_of must be YYYY-MM-DD' });
+    try {
+        const account = await loadAccount(req.db, req.params.id);
+        res.json({ success: true, data: await recon.report(req.db, account, { asOf: as_of || null }) });
+    } catch (err) { res.status(err.status || 500).json({ success: false, error: err.message }); }
+});
+
+module.exports = router;
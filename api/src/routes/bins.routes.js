@@ -0,0 +1,296 @@
+'use strict';
+
+// routes/bins.routes.js
+// Bin locations inside warehouses — bin master, bin-level stock, putaway, bin-to-bin moves
+
+const { Router } = require('express');
+const { validate } = require('../middleware/validate');
+const { requireUserRole } = require('../middleware/roles');
+const { parsePage, paginate } = require('../lib/pagination');
+const bins = require('../lib/bins');
+const lots = require('../lib/lots');
+const transfers = require('../lib/transfers');
+const { z } = require('zod');
+
+const router = Router();
+
+// ── Schemas ───────────────────────────────────────────────────────────────────
+const UUID = z.string().uuid();
+
+const CreateBinSchema = z.object({
+    warehouse_id:  UUID,
+    code:          z.string().trim().min(1).max(30).optional(),   // defaults to zone-aisle-shelf
+    zone:          z.string().trim().min(1).max(20),
+    aisle:         z.string().trim().max(20).optional(),
+    shelf:         z.string().trim().max(20).optional(),
+    bin_type:      z.enum(['storage','receiving','shipping','quarantine']).default('storage'),
+    pick_sequence: z.coerce.number().int().nonnegative().default(0),
+    notes:         z.string().trim().optional(),
+});
+
+const PatchBinSchema = z.object({
+    code:          z.string().trim().min(1).max(30).optional(),
+    zone:          z.string().trim().min(1).max(20).optional(),
+    aisle:         z.string().trim().max(20).nullable().optional(),
+    shelf:         z.string().trim().max(20).nullable().optional(),
+    bin_type:      z.enum(['storage','receiving','shipping','quarantine']).optional(),
+    pick_sequence: z.coerce.number().int().nonnegative().optional(),
+    is_active:     z.boolean().optional(),
+    notes:         z.string().trim().nullable().optional(),
+});
+
+const BinMoveSchema = z.object({
+    item_id:     UUID,
+    warehouse_id:UUID,
+    from_bin_id: UUID.optional(),          // omit to put away unassigned stock
+    to_bin_id:   UUID,
+    lot_number:  z.string().trim().min(1).max(50).optional(),
+    qty:         z.coerce.number().positive(),
+    notes:       z.string().trim().optional(),
+});
+
+// ── GET /api/bins ─────────────────────────────────────────────────────────────
+// Walking-path order within each warehouse (?warehouse_id, ?zone, ?include_inactive)
+router.get('/', async (req, res) => {
+    const { warehouse_id, zone, include_inactive } = req.query;
+    try {
+        const { page, limit, offset } = parsePage(req.query);
+        const conds  = [];
+        const params = [];
+        if (warehouse_id) { params.push(warehouse_id); conds.push(`b.warehouse_id = $${params.length}`); }
+        if (zone)         { params.push(zone);         conds.push(`b.zone = $${params.length}`); }
+        if (include_inactive !== 'true') conds.push('b.is_active = true');
+        const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+
+        const { rows: [{ count }] } = await req.db.query(`SELECT COUNT(*) FROM bins b ${where}`, params);
+        const { rows } = await req.db.query(
+            `SELECT b.*, w.code AS warehouse_code,
+                    COALESCE((SELECT SUM(sl.qty) FROM stock_ledger sl WHERE sl.bin_id = b.id), 0) AS qty_on_hand
+             FROM   bins b
+             JOIN   warehouses w ON w.id = b.warehouse_id
+             ${where}
+             ORDER  BY w.code, ${bins.WALK_ORDER}
+             LIMIT $${params.length+1} OFFSET $${params.length+2}`,
+            [...params, limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// ── GET /api/bins/stock — bin-level on-hand ──────────────────────────────────
+// ?warehouse_id, ?item_id, ?bin_id, ?unassigned=true (stock not yet put away)
+router.get('/stock', async (req, res) => {
+    const { warehouse_id, item_id, bin_id, unassigned } = req.query;
+    try {
+        const conds  = [];
+        const params = [];
+        if (warehouse_id) { params.push(warehouse_id); conds.push(`warehouse_id = $${params.length}`); }
+        if (item_id)      { params.push(item_id);      conds.push(`item_id = $${params.length}`); }
+        if (bin_id)       { params.push(bin_id);       conds.push(`bin_id = $${params.length}`); }
+        if (unassigned === 'true') conds.push('bin_id IS NULL');
+        const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+
+        const { rows } = await req.db.query(
+            `SELECT * FROM v_stock_by_bin ${where}
+             ORDER  BY warehouse_code, pick_sequence NULLS LAST, zone, aisle, shelf, bin_code, item_code, lot_number`,
+            params
+        );
+        res.json({ success: true, data: rows });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// ── GET /api/bins/putaway-suggestions?item_id&warehouse_id ───────────────────
+router.get('/putaway-suggestions', async (req, res) => {
+    const { item_id, warehouse_id } = req.query;
+    if (!item_id || !warehouse_id)
+        return res.status(400).json({ success: false, error: 'item_id and warehouse_id are required' });
+    try {
+        const data = await bins.suggestPutaway(req.db, {
+            itemId: item_id, warehouseId: warehouse_id, limit: Math.min(parseInt(req.query.limit, 10) || 3, 20),
+        });
+        res.json({ success: true, data });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// ── GET /api/bins/moves ───────────────────────────────────────────────────────
+router.get('/moves', async (req, res) => {
+    const { warehouse_id, item_id, bin_id } = req.query;
+    try {
+        const { page, limit, offset } = parsePage(req.query);
+        const conds  = [];
+        const params = [];
+        if (warehouse_id) { params.push(warehouse_id); conds.push(`m.warehouse_id = $${params.length}`); }
+        if (item_id)      { params.push(item_id);      conds.push(`m.item_id = $${params.length}`); }
+        if (bin_id)       { params.push(bin_id);       conds.push(`$${params.length} IN (m.from_bin_id, m.to_bin_id)`); }
+        const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+
+        const { rows: [{ count }] } = await req.db.query(`SELECT COUNT(*) FROM bin_moves m ${where}`, params);
+        const { rows } = await req.db.query(
+            `SELECT m.*, i.code AS item_code, i.name AS item_name, w.code AS warehouse_code,
+                    fb.code AS from_bin_code, tb.code AS to_bin_code, u.name AS created_by_name
+             FROM   bin_moves m
+             JOIN   items i ON i.id = m.item_id
+             JOIN   warehouses w ON w.id = m.warehouse_id
+             LEFT JOIN bins fb ON fb.id = m.from_bin_id
+             JOIN   bins tb ON tb.id = m.to_bin_id
+             LEFT JOIN users u ON u.id = m.created_by
+             ${where}
+             ORDER  BY m.created_at DESC
+             LIMIT $${params.length+1} OFFSET $${params.length+2}`,
+            [...params, limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// ── POST /api/bins/moves — bin-to-bin move or putaway ────────────────────────
+// Written to the ledger as a matched out/in pair in the same warehouse, so
+// warehouse on-hand and stock value are unchanged.
+router.post('/moves', validate(BinMoveSchema), async (req, res) => {
+    const { item_id, warehouse_id, from_bin_id, to_bin_id, qty, notes } = req.body;
+    const fromBinId = from_bin_id || null;
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        await transfers.assertNotTransit(client, [warehouse_id]);
+
+        if (fromBinId === to_bin_id)
+            throw Object.assign(new Error('from_bin_id and to_bin_id must differ'), { status: 400 });
+        const fromBin = fromBinId ? await bins.assertBin(client, fromBinId, warehouse_id) : null;
+        const toBin   = await bins.assertBin(client, to_bin_id, warehouse_id);
+
+        const tracked = (await lots.trackedItemIds(client, [item_id])).has(item_id);
+        if (tracked && !req.body.lot_number)
+            throw Object.assign(new Error('Item is lot-tracked — lot_number is required'), { status: 422 });
+        if (!tracked && req.body.lot_number)
+            throw Object.assign(new Error('Item is not lot-tracked'), { status: 400 });
+        const lotNumber = req.body.lot_number || null;
+
+        // Lock the item so concurrent moves can't both draw the same stock
+        await client.query(`SELECT id FROM items WHERE id = $1 FOR UPDATE`, [item_id]);
+        const { rows: [src] } = await client.query(
+            `SELECT COALESCE(SUM(qty), 0) AS qty, COALESCE(SUM(total_cost), 0) AS value,
+                    MIN(expiry_date) AS expiry_date
+             FROM   stock_ledger
+             WHERE  item_id = $1 AND warehouse_id = $2
+               AND  bin_id IS NOT DISTINCT FROM $3 AND lot_number IS NOT DISTINCT FROM $4`,
+            [item_id, warehouse_id, fromBinId, lotNumber]
+        );
+        const available = parseFloat(src.qty);
+        if (qty > available + 0.00005)
+            throw Object.assign(
+                new Error(`Only ${Math.max(available, 0)} on hand in ${fromBin ? `bin ${fromBin.code}` : 'unassigned stock'}`),
+                { status: 400 }
+            );
+        const cost = available > 0 ? parseFloat(src.value) / available : 0;
+
+        const { rows: [move] } = await client.query(
+            `INSERT INTO bin_moves
+                (warehouse_id, item_id, from_bin_id, to_bin_id, lot_number, qty, notes, created_by)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+            [warehouse_id, item_id, fromBinId, to_bin_id, lotNumber, qty, notes || null,
+             req.user?.userId || null]
+        );
+
+        const label = `${fromBin ? fromBin.code : 'unassigned'} → ${toBin.code}`;
+        for (const [binId, signed] of [[fromBinId, -qty], [to_bin_id, qty]]) {
+            await client.query(
+                `INSERT INTO stock_ledger
+                    (item_id, warehouse_id, transaction_type, reference_type, reference_id,
+                     qty, cost_per_unit, notes, posting_date, created_by, lot_number, expiry_date,
+                     bin_id)
+                 VALUES ($1,$2,'bin_move','bin_move',$3,$4,$5,$6,CURRENT_DATE,$7,$8,$9,$10)`,
+                [item_id, warehouse_id, move.id, signed, cost, `Bin move ${label}`,
+                 req.user?.userId || null, lotNumber, src.expiry_date, binId]
+            );
+        }
+
+        await client.query(
+            `INSERT INTO audit_log (action, table_name, record_id, new_values)
+             VALUES ('bin_move','bin_moves',$1,$2)`,
+            [move.id, JSON.stringify({ item_id, from: fromBin?.code || null, to: toBin.code, lot_number: lotNumber, qty })]
+        );
+
+        await client.query('COMMIT');
+        res.status(201).json({ success: true, data: move });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// ── POST /api/bins ────────────────────────────────────────────────────────────
+router.post('/', requireUserRole('admin', 'manager'), validate(CreateBinSchema), async (req, res) => {
+    const { warehouse_id, zone, aisle, shelf, bin_type, pick_sequence, notes } = req.body;
+    const code = req.body.code || [zone, aisle, shelf].filter(Boolean).join('-');
+    try {
+        const { rows: [bin] } = await req.db.query(
+            `INSERT INTO bins (warehouse_id, code, zone, aisle, shelf, bin_type, pick_sequence, notes)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+            [warehouse_id, code, zone, aisle || null, shelf || null, bin_type, pick_sequence, notes || null]
+        );
+        res.status(201).json({ success: true, data: bin });
+    } catch (err) {
+        if (err.code === '23505')
+            return res.status(409).json({ success: false, error: `Bin ${code} already exists in this warehouse` });
+        if (err.code === '23503')
+            return res.status(400).json({ success: false, error: 'Warehouse not found' });
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+// ── GET /api/bins/:id — bin with its contents ─────────────────────────────────
+router.get('/:id', async (req, res) => {
+    try {
+        const { rows: [bin] } = await req.db.query(
+            `SELECT b.*, w.code AS warehouse_code, w.name AS warehouse_name
+             FROM   bins b
+             JOIN   warehouses w ON w.id = b.warehouse_id
+             WHERE  b.id = $1`, [req.params.id]
+        );
+        if (!bin) return res.status(404).json({ success: false, error: 'Bin not found' });
+
+        const { rows: stock } = await req.db.query(
+            `SELECT item_id, item_code, item_name, lot_number, expiry_date, qty_on_hand, total_cost
+             FROM   v_stock_by_bin
+             WHERE  bin_id = $1
+             ORDER  BY item_code, expiry_date NULLS LAST, lot_number`, [req.params.id]
+        );
+        res.json({ success: true, data: { ...bin, stock } });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// ── PATCH /api/bins/:id ───────────────────────────────────────────────────────
+// A bin can only be deactivated once it is empty.
+router.patch('/:id', requireUserRole('admin', 'manager'), validate(PatchBinSchema), async (req, res) => {
+    try {
+        if (req.body.is_active === false) {
+            const { rows: [{ qty }] } = await req.db.query(
+                `SELECT COALESCE(SUM(qty), 0) AS qty FROM stock_ledger WHERE bin_id = $1`, [req.params.id]
+            );
+            if (parseFloat(qty) !== 0)
+                return res.status(400).json({ success: false, error: `Bin still holds ${parseFloat(qty)} unit(s) — move the stock out first` });
+        }
+
+        const sets   = [];
+        const params = [req.params.id];
+        for (const [col, val] of Object.entries(req.body)) {
+            if (val === undefined) continue;
+            params.push(val);
+            sets.push(`${col} = $${params.length}`);
+        }
+        if (!sets.length) return res.status(400).json({ success: false, error: 'No fields to update' });
+
+        const { rows } = await req.db.query(
+            `UPDATE bins SET ${sets.join(', ')} WHERE id = $1 RETURNING *`, params
+        );
+        if (!rows.length) return res.status(404).json({ success: false, error: 'Bin not found' });
+        res.json({ success: true, data: rows[0] });
+    } catch (err) {
+        if (err.code === '23505')
+            return res.status(409).json({ success: false, error: 'A bin with that code already exists in this warehouse' });
+        res.status(500).json({ success: false, error: err.message });
+    }
+});
+
+module.exports = router;
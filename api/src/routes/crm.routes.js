@@ -4,10 +4,10 @@
 // Module 9 — CRM Light: interactions, opportunities, customer health
 
 const { Router } = require('express');
-const { query, pool } = require('../db/pool');
 const { z } = require('zod');
 const { validate } = require('../middleware/validate');
 const { parsePage, paginate } = require('../lib/pagination');
+const numbering = require('../lib/numbering');
 
 const router = Router();
 
@@ -49,18 +49,6 @@ const UpdateOpportunitySchema = z.object({
     lost_reason:         z.string().trim().max(200).optional(),
 });
 
-// ── OPP number generator ──────────────────────────────────────────────────────
-async function nextOppNumber(client) {
-    const year = new Date().getFullYear();
-    const pfx  = `OPP-${year}-`;
-    const { rows } = await client.query(
-        `SELECT number FROM opportunities WHERE number LIKE $1 ORDER BY number DESC LIMIT 1`,
-        [`${pfx}%`]
-    );
-    const seq = rows.length ? parseInt(rows[0].number.split('-').pop(), 10) + 1 : 1;
-    return `${pfx}${String(seq).padStart(4, '0')}`;
-}
-
 // Stage → default probability
 const STAGE_PROB = { lead: 10, qualified: 25, proposal: 50, negotiation: 75, won: 100, lost: 0 };
 
@@ -80,10 +68,10 @@ router.get('/interactions', async (req, res) => {
         if (to_date)     { params.push(to_date);     conds.push(`ci.interaction_date <= $${params.length}::timestamptz + interval '1 day'`); }
         const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
 
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM customer_interactions ci ${where}`, params
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT ci.*, p.name AS customer_name, p.code AS customer_code,
                     u.name AS agent_name
              FROM   customer_interactions ci
@@ -103,7 +91,7 @@ router.post('/interactions', validate(CreateInteractionSchema), async (req, res)
     const { customer_id, type, direction, subject, body, outcome,
             follow_up_date, agent_id, interaction_date } = req.body;
     try {
-        const { rows: [row] } = await query(
+        const { rows: [row] } = await req.db.query(
             `INSERT INTO customer_interactions
                 (customer_id, type, direction, subject, body, outcome,
                  follow_up_date, agent_id, interaction_date)
@@ -117,9 +105,9 @@ router.post('/interactions', validate(CreateInteractionSchema), async (req, res)
 });
 
 // GET /api/crm/interactions/followups — upcoming follow-up tasks
-router.get('/interactions/followups', async (_req, res) => {
+router.get('/interactions/followups', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT ci.*, p.name AS customer_name, p.code AS customer_code
              FROM   customer_interactions ci
              JOIN   parties p ON p.id = ci.customer_id
@@ -148,10 +136,10 @@ router.get('/opportunities', async (req, res) => {
         if (assigned_to) { params.push(assigned_to); conds.push(`o.assigned_to = $${params.length}`); }
         const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
 
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM opportunities o ${where}`, params
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT o.*, p.name AS customer_name, p.code AS customer_code,
                     u.name AS assigned_to_name
              FROM   opportunities o
@@ -168,7 +156,7 @@ router.get('/opportunities', async (req, res) => {
         );
 
         // Pipeline summary
-        const { rows: summary } = await query(
+        const { rows: summary } = await req.db.query(
             `SELECT stage,
                     COUNT(*) AS count,
                     COALESCE(SUM(estimated_value), 0) AS total_value,
@@ -184,7 +172,7 @@ router.get('/opportunities', async (req, res) => {
 // GET /api/crm/opportunities/:id
 router.get('/opportunities/:id', async (req, res) => {
     try {
-        const { rows: [opp] } = await query(
+        const { rows: [opp] } = await req.db.query(
             `SELECT o.*, p.name AS customer_name, p.code AS customer_code,
                     u.name AS assigned_to_name
              FROM   opportunities o
@@ -194,7 +182,7 @@ router.get('/opportunities/:id', async (req, res) => {
         );
         if (!opp) return res.status(404).json({ success: false, error: 'Opportunity not found' });
 
-        const { rows: activities } = await query(
+        const { rows: activities } = await req.db.query(
             `SELECT oa.*, u.name AS performed_by_name
              FROM opportunity_activities oa
              LEFT JOIN users u ON u.id = oa.performed_by
@@ -202,7 +190,7 @@ router.get('/opportunities/:id', async (req, res) => {
              ORDER BY oa.performed_at DESC`, [req.params.id]
         );
 
-        const { rows: interactions } = await query(
+        const { rows: interactions } = await req.db.query(
             `SELECT ci.*, u.name AS agent_name
              FROM customer_interactions ci
              LEFT JOIN users u ON u.id = ci.agent_id
@@ -219,10 +207,10 @@ router.get('/opportunities/:id', async (req, res) => {
 router.post('/opportunities', validate(CreateOpportunitySchema), async (req, res) => {
     const { customer_id, title, description, stage, estimated_value,
             probability, expected_close_date, assigned_to, notes } = req.body;
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
-        const number = await nextOppNumber(client);
+        const number = await numbering.next(client, 'opportunity');
         const prob   = probability ?? STAGE_PROB[stage] ?? 10;
 
         const { rows: [opp] } = await client.query(
@@ -251,7 +239,7 @@ router.post('/opportunities', validate(CreateOpportunitySchema), async (req, res
 
 // PATCH /api/crm/opportunities/:id
 router.patch('/opportunities/:id', validate(UpdateOpportunitySchema), async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
         const { rows: [current] } = await client.query(
@@ -308,7 +296,7 @@ router.post('/opportunities/:id/activities', async (req, res) => {
     const { type = 'note', notes, performed_by } = req.body;
     if (!notes) return res.status(400).json({ success: false, error: 'notes is required' });
     try {
-        const { rows: [act] } = await query(
+        const { rows: [act] } = await req.db.query(
             `INSERT INTO opportunity_activities (opportunity_id, type, notes, performed_by)
              VALUES ($1,$2,$3,$4) RETURNING *`,
             [req.params.id, type, notes, performed_by || null]
@@ -319,7 +307,7 @@ router.post('/opportunities/:id/activities', async (req, res) => {
 
 // POST /api/crm/opportunities/:id/convert — won → create Sales Order
 router.post('/opportunities/:id/convert', async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
         const { rows: [opp] } = await client.query(
@@ -333,15 +321,7 @@ router.post('/opportunities/:id/convert', async (req, res) => {
         if (opp.sales_order_id)
             throw Object.assign(new Error('Opportunity already converted'), { status: 409 });
 
-        // Generate SO number
-        const year = new Date().getFullYear();
-        const pfx  = `SO-${year}-`;
-        const { rows: last } = await client.query(
-            `SELECT number FROM sales_orders WHERE number LIKE $1 ORDER BY number DESC LIMIT 1`,
-            [`${pfx}%`]
-        );
-        const seq   = last.length ? parseInt(last[0].number.split('-').pop(), 10) + 1 : 1;
-        const soNum = `${pfx}${String(seq).padStart(5, '0')}`;
+        const soNum = await numbering.next(client, 'sales_order');
 
         const { rows: [wh] } = await client.query(
             `SELECT id FROM warehouses ORDER BY created_at LIMIT 1`
@@ -349,8 +329,9 @@ router.post('/opportunities/:id/convert', async (req, res) => {
 
         const { rows: [so] } = await client.query(
             `INSERT INTO sales_orders
-                (number, customer_id, warehouse_id, status, subtotal, notes)
-             VALUES ($1,$2,$3,'draft',0,$4) RETURNING *`,
+                (number, customer_id, warehouse_id, status, subtotal, notes, currency)
+             SELECT $1,$2,$3,'draft',0,$4, currency FROM parties WHERE id = $2
+             RETURNING *`,
             [soNum, opp.customer_id, wh.id,
              `Converted from opportunity ${opp.number}: ${opp.title}`]
         );
@@ -388,10 +369,10 @@ router.get('/health', async (req, res) => {
         const sortCol = allowed.includes(sort) ? sort : 'health_score';
         const sortDir = order === 'asc' ? 'ASC' : 'DESC';
 
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM v_customer_health ${cond}`, params
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT * FROM v_customer_health ${cond}
              ORDER BY ${sortCol} ${sortDir} NULLS LAST
              LIMIT $${params.length+1} OFFSET $${params.length+2}`,
@@ -404,17 +385,17 @@ router.get('/health', async (req, res) => {
 // GET /api/crm/health/:customerId
 router.get('/health/:customerId', async (req, res) => {
     try {
-        const { rows: [health] } = await query(
+        const { rows: [health] } = await req.db.query(
             `SELECT * FROM v_customer_health WHERE customer_id = $1`, [req.params.customerId]
         );
         if (!health) return res.status(404).json({ success: false, error: 'Customer not found' });
 
-        const { rows: recentOrders } = await query(
+        const { rows: recentOrders } = await req.db.query(
             `SELECT number, order_date, status, subtotal
              FROM sales_orders WHERE customer_id = $1
              ORDER BY order_date DESC LIMIT 10`, [req.params.customerId]
         );
-        const { rows: recentInteractions } = await query(
+        const { rows: recentInteractions } = await req.db.query(
             `SELECT type, subject, interaction_date, outcome
              FROM customer_interactions WHERE customer_id = $1
              ORDER BY interaction_date DESC LIMIT 10`, [req.params.customerId]
@@ -425,9 +406,9 @@ router.get('/health/:customerId', async (req, res) => {
 });
 
 // GET /api/crm/pipeline-summary
-router.get('/pipeline-summary', async (_req, res) => {
+router.get('/pipeline-summary', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT stage, COUNT(*) AS count,
                     COALESCE(SUM(estimated_value), 0) AS total_value,
                     COALESCE(SUM(estimated_value * probability / 100.0), 0) AS weighted_value
@@ -0,0 +1,195 @@
+'use strict';
+
+// routes/cycle-counts.routes.js
+// Cycle counts — ABC classes, schedules, blind counting and approving
+// variances into a posted stock adjustment (lib/cycle-counts.js).
+
+const { Router } = require('express');
+const { validate } = require('../middleware/validate');
+const { parsePage, paginate } = require('../lib/pagination');
+const { requireRole } = require('../middleware/tenant');
+const cycleCounts = require('../lib/cycle-counts');
+const transfers = require('../lib/transfers');
+const {
+    CycleCountClassesSchema, ClassifyItemsSchema, ScheduleCycleCountsSchema,
+    RecordCountsSchema, ApproveCycleCountSchema,
+} = require('../lib/schemas');
+
+const router = Router();
+
+// Run `fn(client)` in a transaction and answer with the count's sheet, or
+// what `fn` returns when `sheet` is false
+async function inTransaction(req, res, fn, { status = 200, sheet = true } = {}) {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        const data = sheet ? await cycleCounts.sheet(req.db, req.params.id) : result;
+        res.status(status).json({ success: true, data });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// ABC classes
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/cycle-counts/classes — the company's classes, or the defaults
+router.get('/classes', async (req, res) => {
+    try {
+        res.json({ success: true, data: await cycleCounts.classes(req.db) });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// PUT /api/cycle-counts/classes — replace the set; items keep their class
+// until they are classified again
+router.put('/classes', requireRole('admin', 'manager'), validate(CycleCountClassesSchema), async (req, res) => {
+    await inTransaction(req, res, async (client) => {
+        await client.query(`DELETE FROM cycle_count_classes`);
+        for (const c of req.body.classes) {
+            await client.query(
+                `INSERT INTO cycle_count_classes (abc_class, value_pct, count_interval_days, updated_by)
+                 VALUES ($1,$2,$3,$4)`,
+                [c.abc_class, c.value_pct, c.count_interval_days, req.user?.userId || null]
+            );
+        }
+        return cycleCounts.classes(client);
+    }, { sheet: false });
+});
+
+// GET /api/cycle-counts/abc?abc_class= — items with their class and the sales value behind it
+router.get('/abc', async (req, res) => {
+    try {
+        const params = [];
+        let where = 'WHERE i.is_active';
+        if (req.query.abc_class) { params.push(req.query.abc_class); where += ` AND i.abc_class = $1`; }
+        const { rows } = await req.db.query(
+            `SELECT i.id AS item_id, i.code AS item_code, i.name AS item_name, i.category,
+                    i.abc_class, i.abc_sales_value, i.abc_classified_at
+             FROM   items i
+             ${where}
+             ORDER  BY i.abc_sales_value DESC NULLS LAST, i.code`,
+            params
+        );
+        res.json({ success: true, data: rows });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/cycle-counts/abc/classify — class every active item by its sales over `days`
+router.post('/abc/classify', requireRole('admin', 'manager'), validate(ClassifyItemsSchema), async (req, res) => {
+    await inTransaction(req, res, client => cycleCounts.classify(client, { days: req.body.days }), { sheet: false });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Scheduling
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/cycle-counts/due?warehouse_id= — items that can be scheduled, soonest due first
+router.get('/due', async (req, res) => {
+    if (!req.query.warehouse_id)
+        return res.status(400).json({ success: false, error: 'warehouse_id is required' });
+    try {
+        res.json({ success: true, data: await cycleCounts.dueItems(req.db, req.query.warehouse_id) });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/cycle-counts/schedule — a count per day for `days` days, of the items due by then
+router.post('/schedule', requireRole('admin', 'manager'), validate(ScheduleCycleCountsSchema), async (req, res) => {
+    const { warehouse_id, from, days, items_per_count } = req.body;
+    await inTransaction(req, res, async (client) => {
+        await transfers.assertNotTransit(client, [warehouse_id]);
+        return cycleCounts.schedule(client, {
+            warehouseId: warehouse_id, from, days, itemsPerCount: items_per_count, userId: req.user?.userId || null,
+        });
+    }, { status: 201, sheet: false });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Counts
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/cycle-counts?warehouse_id=&status=
+router.get('/', async (req, res) => {
+    const { warehouse_id, status } = req.query;
+    try {
+        const { page, limit, offset } = parsePage(req.query);
+        const conds = []; const params = [];
+        if (warehouse_id) { params.push(warehouse_id); conds.push(`cc.warehouse_id = $${params.length}`); }
+        if (status)       { params.push(status);       conds.push(`cc.status = $${params.length}`); }
+        const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+
+        const { rows: [{ count }] } = await req.db.query(
+            `SELECT COUNT(*) FROM cycle_counts cc ${where}`, params
+        );
+        const { rows } = await req.db.query(
+            `SELECT cc.*, cc.scheduled_date::text AS scheduled_date,
+                    w.code AS warehouse_code, w.name AS warehouse_name,
+                    (SELECT COUNT(*) FROM cycle_count_lines l WHERE l.cycle_count_id = cc.id) AS line_count,
+                    (SELECT COUNT(*) FROM cycle_count_lines l
+                     WHERE l.cycle_count_id = cc.id AND l.qty_counted IS NOT NULL) AS counted_count
+             FROM   cycle_counts cc
+             JOIN   warehouses w ON w.id = cc.warehouse_id
+             ${where}
+             ORDER  BY cc.scheduled_date, cc.number
+             LIMIT $${params.length+1} OFFSET $${params.length+2}`,
+            [...params, limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// GET /api/cycle-counts/:id — the count sheet; blind until the count is submitted
+router.get('/:id', async (req, res) => {
+    try {
+        const data = await cycleCounts.sheet(req.db, req.params.id);
+        if (!data) return res.status(404).json({ success: false, error: 'Cycle count not found' });
+        res.json({ success: true, data });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// GET /api/cycle-counts/:id/variances — the lines that differ, largest value first
+router.get('/:id/variances', async (req, res) => {
+    try {
+        const data = await cycleCounts.sheet(req.db, req.params.id);
+        if (!data) return res.status(404).json({ success: false, error: 'Cycle count not found' });
+        if (data.blind)
+            return res.status(409).json({ success: false, error: `Cycle count ${data.number} is ${data.status} — variances show once it is submitted` });
+        const lines = data.lines
+            .filter(l => parseFloat(l.qty_variance) !== 0)
+            .sort((a, b) => Math.abs(b.variance_value) - Math.abs(a.variance_value));
+        res.json({ success: true, data: { id: data.id, number: data.number, status: data.status, summary: data.summary, lines } });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/cycle-counts/:id/start — freeze the expected quantities
+router.post('/:id/start', async (req, res) => {
+    await inTransaction(req, res, client => cycleCounts.start(client, req.params.id, { userId: req.user?.userId || null }));
+});
+
+// POST /api/cycle-counts/:id/counts — record what was found
+router.post('/:id/counts', validate(RecordCountsSchema), async (req, res) => {
+    await inTransaction(req, res, client =>
+        cycleCounts.recordCounts(client, req.params.id, req.body.counts, { userId: req.user?.userId || null }));
+});
+
+// POST /api/cycle-counts/:id/submit — every line counted; shows the variances
+router.post('/:id/submit', async (req, res) => {
+    await inTransaction(req, res, client => cycleCounts.submit(client, req.params.id));
+});
+
+// POST /api/cycle-counts/:id/approve — post the approved variances as a stock adjustment
+router.post('/:id/approve', requireRole('admin', 'manager'), validate(ApproveCycleCountSchema), async (req, res) => {
+    await inTransaction(req, res, client => cycleCounts.approve(client, req.params.id, {
+        reasonCode: req.body.reason_code, lines: req.body.lines, userId: req.user?.userId || null,
+    }));
+});
+
+// POST /api/cycle-counts/:id/cancel
+router.post('/:id/cancel', requireRole('admin', 'manager'), async (req, res) => {
+    await inTransaction(req, res, client => cycleCounts.cancel(client, req.params.id));
+});
+
+module.exports = router;
@@ -4,14 +4,13 @@
 // Dashboard stats endpoint (health checks are handled in server.js)
 
 const { Router } = require('express');
-const { query }  = require('../db/pool');
 
 const router = Router();
 
 // GET /api/dashboard/stats
-router.get('/stats', async (_req, res) => {
+router.get('/stats', async (req, res) => {
     try {
-        const { rows } = await query(`
+        const { rows } = await req.db.query(`
             SELECT
                 (SELECT COUNT(*) FROM items WHERE is_active = true)::int                                                       AS total_items,
                 (SELECT COALESCE(SUM(qty * cost_per_unit),0) FROM stock_ledger WHERE qty > 0)::numeric(14,2)                  AS total_inventory_value,
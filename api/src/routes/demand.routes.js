@@ -4,8 +4,9 @@
 // Module 8 — Demand Planning: velocity, forecasting, replenishment suggestions
 
 const { Router } = require('express');
-const { query, pool } = require('../db/pool');
 const { parsePage, paginate } = require('../lib/pagination');
+const numbering = require('../lib/numbering');
+const fx = require('../lib/fx');
 
 const router = Router();
 
@@ -27,10 +28,10 @@ router.get('/velocity', async (req, res) => {
             ? `AND urgency = '${urgency.replace(/[^a-z]/g, '')}'`
             : '';
 
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM v_sales_velocity WHERE 1=1 ${urgencyCond}`
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT * FROM v_sales_velocity
              WHERE 1=1 ${urgencyCond}
              ORDER BY ${sortCol} ${sortDir} ${nullsClause}
@@ -44,13 +45,13 @@ router.get('/velocity', async (req, res) => {
 // ── GET /api/demand/velocity/:itemId ──────────────────────────────────────────
 router.get('/velocity/:itemId', async (req, res) => {
     try {
-        const { rows: [v] } = await query(
+        const { rows: [v] } = await req.db.query(
             `SELECT * FROM v_sales_velocity WHERE item_id = $1`, [req.params.itemId]
         );
         if (!v) return res.status(404).json({ success: false, error: 'Item not found' });
 
         // Monthly sales history — last 12 months
-        const { rows: history } = await query(
+        const { rows: history } = await req.db.query(
             `SELECT
                 TO_CHAR(DATE_TRUNC('month', posting_date), 'YYYY-MM') AS month,
                 ABS(SUM(qty)) AS qty_sold
@@ -71,7 +72,7 @@ router.get('/velocity/:itemId', async (req, res) => {
 // ── POST /api/demand/refresh ───────────────────────────────────────────────────
 // Recomputes replenishment suggestions for all items below threshold
 router.post('/refresh', async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
 
@@ -138,10 +139,10 @@ router.get('/suggestions', async (req, res) => {
         if (urgency) { params.push(urgency); conds.push(`rs.urgency = $${params.length}`); }
         const where = `WHERE ${conds.join(' AND ')}`;
 
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM replenishment_suggestions rs ${where}`, params
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT rs.*,
                     i.code AS item_code, i.name AS item_name, i.unit_of_measure,
                     p.name AS vendor_name, p.code AS vendor_code
@@ -162,7 +163,7 @@ router.get('/suggestions', async (req, res) => {
 // ── PATCH /api/demand/suggestions/:id/approve ─────────────────────────────────
 // Creates a draft PO from the suggestion
 router.patch('/suggestions/:id/approve', async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
 
@@ -180,15 +181,7 @@ router.patch('/suggestions/:id/approve', async (req, res) => {
             new Error('No vendor associated — assign a vendor before approving'), { status: 400 }
         );
 
-        // Generate PO number
-        const year = new Date().getFullYear();
-        const pfx  = `PO-${year}-`;
-        const { rows: last } = await client.query(
-            `SELECT number FROM purchase_orders WHERE number LIKE $1 ORDER BY number DESC LIMIT 1`,
-            [`${pfx}%`]
-        );
-        const seq    = last.length ? parseInt(last[0].number.split('-').pop(), 10) + 1 : 1;
-        const poNum  = `${pfx}${String(seq).padStart(5, '0')}`;
+        const poNum = await numbering.next(client, 'purchase_order');
 
         // Warehouse — use first available
         const { rows: [wh] } = await client.query(
@@ -197,18 +190,21 @@ router.patch('/suggestions/:id/approve', async (req, res) => {
 
         const { rows: [po] } = await client.query(
             `INSERT INTO purchase_orders
-                (number, vendor_id, warehouse_id, status, order_date, notes, created_by)
-             VALUES ($1,$2,$3,'draft',CURRENT_DATE,$4,$5) RETURNING *`,
+                (number, vendor_id, warehouse_id, status, order_date, notes, created_by, currency)
+             SELECT $1,$2,$3,'draft',CURRENT_DATE,$4,$5, currency FROM parties WHERE id = $2
+             RETURNING *`,
             [poNum, sug.vendor_id, wh.id,
              `Auto-generated from demand planning — ${sug.item_name}`,
              req.body.created_by || null]
         );
+        // Suggested costs are standard costs, in base currency
+        const rate = await fx.rateOn(client, po.currency, po.order_date);
 
         await client.query(
             `INSERT INTO purchase_order_lines
                 (purchase_order_id, line_number, item_id, qty_ordered, unit_cost)
              VALUES ($1,1,$2,$3,$4)`,
-            [po.id, sug.item_id, sug.suggested_qty, sug.unit_cost || 0]
+            [po.id, sug.item_id, sug.suggested_qty, fx.fromBase(sug.unit_cost || 0, rate)]
         );
 
         await client.query(
@@ -228,7 +224,7 @@ router.patch('/suggestions/:id/approve', async (req, res) => {
 // ── PATCH /api/demand/suggestions/:id/dismiss ─────────────────────────────────
 router.patch('/suggestions/:id/dismiss', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `UPDATE replenishment_suggestions SET status='dismissed'
              WHERE id=$1 AND status='pending' RETURNING *`, [req.params.id]
         );
@@ -238,9 +234,9 @@ router.patch('/suggestions/:id/dismiss', async (req, res) => {
 });
 
 // ── GET /api/demand/summary ───────────────────────────────────────────────────
-router.get('/summary', async (_req, res) => {
+router.get('/summary', async (req, res) => {
     try {
-        const { rows: [stats] } = await query(
+        const { rows: [stats] } = await req.db.query(
             `SELECT
                 COUNT(*) FILTER (WHERE urgency = 'critical') AS critical_count,
                 COUNT(*) FILTER (WHERE urgency = 'high')     AS high_count,
@@ -250,7 +246,7 @@ router.get('/summary', async (_req, res) => {
                 ROUND(AVG(days_of_stock) FILTER (WHERE days_of_stock IS NOT NULL), 1) AS avg_days_of_stock
              FROM v_sales_velocity`
         );
-        const { rows: [pending] } = await query(
+        const { rows: [pending] } = await req.db.query(
             `SELECT
                 COUNT(*) AS pending_suggestions,
                 COALESCE(SUM(estimated_value), 0) AS pending_value
@@ -0,0 +1,247 @@
+'use strict';
+
+// routes/dunning.routes.js
+// Dunning — reminder levels, runs and the letters they queue (lib/dunning.js).
+// Letters print at GET /api/print/dunning-letter/:id and are emailed from here.
+
+const { Router } = require('express');
+const { validate } = require('../middleware/validate');
+const { parsePage, paginate } = require('../lib/pagination');
+const { requireRole } = require('../middleware/tenant');
+const documents = require('../lib/documents');
+const dunning   = require('../lib/dunning');
+const mailer    = require('../lib/mailer');
+const { DunningLevelsSchema, DunningRunSchema, SendDunningLetterSchema } = require('../lib/schemas');
+
+const router = Router();
+
+async function audit(client, req, action, table, recordId, label, oldValues, newValues) {
+    await client.query(
+        `INSERT INTO audit_log (user_id, action, table_name, record_id, entity_label, old_values, new_values, ip_address)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+        [req.user?.userId || null, action, table, recordId, label,
+         oldValues && JSON.stringify(oldValues), newValues && JSON.stringify(newValues), req.ip || null]
+    );
+}
+
+const LETTER_LIST_SQL = `
+    SELECT dl.id, dl.number, dl.run_id, r.number AS run_number, dl.customer_id,
+           p.code AS customer_code, p.name AS customer_name, p.email AS customer_email,
+           dl.status, dl.letter_date, dl.level, dl.level_name, dl.max_days_overdue, dl.total_overdue,
+           dl.subject, dl.interaction_id, dl.email_message_id, dl.sent_at, dl.cancelled_at, dl.created_at
+    FROM   dunning_letters dl
+    JOIN   dunning_runs r ON r.id = dl.run_id
+    JOIN   parties p ON p.id = dl.customer_id`;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Levels
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/dunning/levels — the company's levels, or the defaults
+router.get('/levels', async (req, res) => {
+    try {
+        const data = await dunning.levels(req.db);
+        res.json({ success: true, data: { ...data, placeholders: dunning.PLACEHOLDERS } });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// PUT /api/dunning/levels — replace the set; levels are numbered by days overdue
+router.put('/levels', requireRole('admin', 'manager'), validate(DunningLevelsSchema), async (req, res) => {
+    const levels = [...req.body.levels].sort((a, b) => a.days_overdue - b.days_overdue);
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const before = await dunning.levels(client);
+        await client.query(`DELETE FROM dunning_levels`);
+        for (const [i, l] of levels.entries()) {
+            await client.query(
+                `INSERT INTO dunning_levels (level, name, days_overdue, follow_up_days, subject, body, updated_by)
+                 VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+                [i + 1, l.name, l.days_overdue, l.follow_up_days, l.subject, l.body, req.user?.userId || null]
+            );
+        }
+        const after = await dunning.levels(client);
+        await audit(client, req, 'dunning_levels.updated', 'dunning_levels', null, 'Dunning levels',
+            before.levels, after.levels);
+        await client.query('COMMIT');
+        res.json({ success: true, data: { ...after, placeholders: dunning.PLACEHOLDERS } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// DELETE /api/dunning/levels — back to the defaults
+router.delete('/levels', requireRole('admin', 'manager'), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const before = await dunning.levels(client);
+        if (!before.is_default) {
+            await client.query(`DELETE FROM dunning_levels`);
+            await audit(client, req, 'dunning_levels.reset', 'dunning_levels', null, 'Dunning levels',
+                before.levels, null);
+        }
+        await client.query('COMMIT');
+        res.json({ success: true, data: { ...(await dunning.levels(req.db)), placeholders: dunning.PLACEHOLDERS } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Runs
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/dunning/runs
+router.get('/runs', async (req, res) => {
+    try {
+        const { page, limit, offset } = parsePage(req.query);
+        const { rows: [{ count }] } = await req.db.query(`SELECT COUNT(*) FROM dunning_runs`);
+        const { rows } = await req.db.query(
+            `SELECT r.*, u.name AS created_by_name
+             FROM   dunning_runs r
+             LEFT JOIN users u ON u.id = r.created_by
+             ORDER  BY r.created_at DESC
+             LIMIT $1 OFFSET $2`, [limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/dunning/runs — queue letters as of `as_of` (default today);
+// preview: true returns them without writing anything
+router.post('/runs', requireRole('admin', 'manager'), validate(DunningRunSchema), async (req, res) => {
+    const { as_of, customer_ids, preview } = req.body;
+    if (preview) {
+        try {
+            const data = await dunning.propose(req.db, { asOf: as_of, customerIds: customer_ids });
+            return res.json({ success: true, data });
+        } catch (err) { return res.status(500).json({ success: false, error: err.message }); }
+    }
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const run = await dunning.run(client, { asOf: as_of, customerIds: customer_ids, userId: req.user?.userId || null });
+        await audit(client, req, 'dunning_run.created', 'dunning_runs', run.id, `Dunning run — ${run.number}`, null,
+            { as_of: run.as_of, letter_count: run.letter_count, total_overdue: run.total_overdue,
+              letters: run.letters.map(l => ({ number: l.number, customer: l.customer_code, level: l.level })) });
+        await client.query('COMMIT');
+        res.status(201).json({ success: true, data: run });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// GET /api/dunning/runs/:id — with its letters
+router.get('/runs/:id', async (req, res) => {
+    try {
+        const { rows: [run] } = await req.db.query(`SELECT * FROM dunning_runs WHERE id = $1`, [req.params.id]);
+        if (!run) return res.status(404).json({ success: false, error: 'Dunning run not found' });
+        const { rows: letters } = await req.db.query(
+            `${LETTER_LIST_SQL} WHERE dl.run_id = $1 ORDER BY p.name`, [run.id]
+        );
+        res.json({ success: true, data: { ...run, letters } });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Letters
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/dunning/letters?status=&customer_id=&run_id=
+router.get('/letters', async (req, res) => {
+    const { status, customer_id, run_id } = req.query;
+    try {
+        const { page, limit, offset } = parsePage(req.query);
+        const conds = []; const params = [];
+        if (status)      { params.push(status);      conds.push(`dl.status = $${params.length}`); }
+        if (customer_id) { params.push(customer_id); conds.push(`dl.customer_id = $${params.length}`); }
+        if (run_id)      { params.push(run_id);      conds.push(`dl.run_id = $${params.length}`); }
+        const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+
+        const { rows: [{ count }] } = await req.db.query(
+            `SELECT COUNT(*) FROM dunning_letters dl ${where}`, params
+        );
+        const { rows } = await req.db.query(
+            `${LETTER_LIST_SQL}
+             ${where}
+             ORDER  BY dl.created_at DESC, dl.number DESC
+             LIMIT $${params.length+1} OFFSET $${params.length+2}`,
+            [...params, limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// GET /api/dunning/letters/:id — with the text and the invoices it lists
+router.get('/letters/:id', async (req, res) => {
+    try {
+        const doc = await documents.dunningLetter(req.db, req.params.id);
+        if (!doc) return res.status(404).json({ success: false, error: 'Dunning letter not found' });
+        res.json({ success: true, data: { ...doc.record, invoices: doc.lines } });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/dunning/letters/:id/send — email a queued letter to `to`, or the
+// customer's address, with the PDF attached; email: false marks it sent after
+// printing. A failed email leaves it queued and is logged.
+router.post('/letters/:id/send', validate(SendDunningLetterSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [letter] } = await client.query(
+            `SELECT * FROM dunning_letters WHERE id = $1 FOR UPDATE`, [req.params.id]
+        );
+        if (!letter) throw Object.assign(new Error('Dunning letter not found'), { status: 404 });
+        if (letter.status !== 'queued')
+            throw Object.assign(new Error(`Dunning letter is already ${letter.status}`), { status: 400 });
+
+        let email = null;
+        if (req.body.email) {
+            const doc = await documents.dunningLetter(client, letter.id);
+            const to  = req.body.to || mailer.recipients('dunning_letter', doc);
+            if (!to.length) {
+                throw Object.assign(new Error(
+                    'Customer has no email address; pass `to`, or `email: false` once the letter is posted'), { status: 400 });
+            }
+            email = await mailer.record(client, await mailer.sendDocument(client, {
+                docType: 'dunning_letter', doc, to, cc: req.body.cc,
+                subject: letter.subject, body: letter.body, userId: req.user?.userId,
+            }));
+        }
+        const updated = await dunning.sent(client, letter, { email, userId: req.user?.userId || null });
+        await client.query('COMMIT');
+        res.json({ success: true, data: { ...updated, email } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        const email = await mailer.logFailure(req.db, err);
+        res.status(err.status || 500).json({ success: false, error: err.message, data: email });
+    } finally { client.release(); }
+});
+
+// POST /api/dunning/letters/:id/cancel — withdraw a queued letter
+router.post('/letters/:id/cancel', requireRole('admin', 'manager'), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [letter] } = await client.query(
+            `SELECT * FROM dunning_letters WHERE id = $1 FOR UPDATE`, [req.params.id]
+        );
+        if (!letter) throw Object.assign(new Error('Dunning letter not found'), { status: 404 });
+        if (letter.status !== 'queued')
+            throw Object.assign(new Error(`Dunning letter is already ${letter.status}`), { status: 400 });
+        const cancelled = await dunning.cancel(client, letter);
+        await audit(client, req, 'dunning_letter.cancelled', 'dunning_letters', letter.id,
+            `Dunning letter — ${letter.number}`, { status: 'queued' }, { status: 'cancelled' });
+        await client.query('COMMIT');
+        res.json({ success: true, data: cancelled });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+'use strict';
+
+// routes/email.routes.js
+// Emailed documents — the sent-message log, resends and per-company templates.
+// Documents are sent from their own modules (POST /api/invoices/:id/send,
+// /api/purchase-orders/:id/send, /api/customers/:id/statement/send) through lib/mailer.js.
+
+const { Router } = require('express');
+const { validate } = require('../middleware/validate');
+const { parsePage, paginate } = require('../lib/pagination');
+const { requireRole } = require('../middleware/tenant');
+const mailer = require('../lib/mailer');
+const { ResendEmailSchema, EmailTemplateSchema } = require('../lib/schemas');
+
+const router = Router();
+
+const docTypeOr404 = (req, res) => {
+    if (mailer.DOC_TYPES.includes(req.params.docType)) return true;
+    res.status(404).json({ success: false, error: `Unknown document type ${req.params.docType}` });
+    return false;
+};
+
+async function audit(client, req, action, recordId, oldValues, newValues) {
+    await client.query(
+        `INSERT INTO audit_log (user_id, action, table_name, record_id, old_values, new_values, ip_address)
+         VALUES ($1,$2,'email_templates',$3,$4,$5,$6)`,
+        [req.user?.userId || null, action, recordId,
+         oldValues && JSON.stringify(oldValues), newValues && JSON.stringify(newValues), req.ip || null]
+    );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Sent messages
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/email/messages?doc_type=&doc_id=&party_id=&status=
+router.get('/messages', async (req, res) => {
+    const { doc_type, doc_id, party_id, status } = req.query;
+    try {
+        const { page, limit, offset } = parsePage(req.query);
+        const conds = []; const params = [];
+        if (doc_type) { params.push(doc_type); conds.push(`m.doc_type = $${params.length}`); }
+        if (doc_id)   { params.push(doc_id);   conds.push(`m.doc_id = $${params.length}`); }
+        if (party_id) { params.push(party_id); conds.push(`m.party_id = $${params.length}`); }
+        if (status)   { params.push(status);   conds.push(`m.status = $${params.length}`); }
+        const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+
+        const { rows: [{ count }] } = await req.db.query(
+            `SELECT COUNT(*) FROM email_messages m ${where}`, params
+        );
+        const { rows } = await req.db.query(
+            `SELECT m.id, m.doc_type, m.doc_id, m.doc_number, m.party_id, p.name AS party_name,
+                    m.to_addresses, m.cc_addresses, m.subject, m.transport, m.status, m.error,
+                    m.resend_of, m.sent_by, u.name AS sent_by_name, m.created_at
+             FROM   email_messages m
+             LEFT JOIN parties p ON p.id = m.party_id
+             LEFT JOIN users u   ON u.id = m.sent_by
+             ${where}
+             ORDER  BY m.created_at DESC
+             LIMIT $${params.length+1} OFFSET $${params.length+2}`,
+            [...params, limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// GET /api/email/messages/:id — with the body and the transport's response
+router.get('/messages/:id', async (req, res) => {
+    try {
+        const { rows: [row] } = await req.db.query(
+            `SELECT m.*, p.name AS party_name, u.name AS sent_by_name
+             FROM   email_messages m
+             LEFT JOIN parties p ON p.id = m.party_id
+             LEFT JOIN users u   ON u.id = m.sent_by
+             WHERE  m.id = $1`, [req.params.id]
+        );
+        if (!row) return res.status(404).json({ success: false, error: 'Message not found' });
+        res.json({ success: true, data: row });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/email/messages/:id/resend — same subject and text, to the same
+// recipients unless `to`/`cc` are given, with the document as it is now.
+// Only sends: a document whose first send failed is still sent from its module.
+router.post('/messages/:id/resend', validate(ResendEmailSchema), async (req, res) => {
+    try {
+        const { rows: [orig] } = await req.db.query(
+            `SELECT * FROM email_messages WHERE id = $1`, [req.params.id]
+        );
+        if (!orig) return res.status(404).json({ success: false, error: 'Message not found' });
+        const doc = await mailer.loadDocument(req.db, orig.doc_type, orig.doc_id);
+        if (!doc) return res.status(404).json({ success: false, error: 'The document no longer exists' });
+
+        const entry = await mailer.sendDocument(req.db, {
+            docType:  orig.doc_type, doc,
+            to:       req.body.to || orig.to_addresses,
+            cc:       req.body.cc || orig.cc_addresses,
+            subject:  orig.subject,
+            body:     orig.body,
+            userId:   req.user?.userId,
+            resendOf: orig.id,
+        });
+        res.status(201).json({ success: true, data: await mailer.record(req.db, entry) });
+    } catch (err) {
+        const email = await mailer.logFailure(req.db, err);
+        res.status(err.status || 500).json({ success: false, error: err.message, data: email });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Templates
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/email/templates — every document type, the company's own or the default
+router.get('/templates', async (req, res) => {
+    try {
+        const data = [];
+        for (const docType of mailer.DOC_TYPES) {
+            const tpl = await mailer.template(req.db, docType);
+            data.push({ doc_type: docType, ...tpl, placeholders: mailer.PLACEHOLDERS[docType] });
+        }
+        res.json({ success: true, data });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// PUT /api/email/templates/:docType
+router.put('/templates/:docType', requireRole('admin', 'manager'), validate(EmailTemplateSchema), async (req, res) => {
+    if (!docTypeOr404(req, res)) return;
+    const { subject, body } = req.body;
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const before = await mailer.template(client, req.params.docType);
+        const { rows: [row] } = await client.query(
+            `INSERT INTO email_templates (doc_type, subject, body, updated_by) VALUES ($1,$2,$3,$4)
+             ON CONFLICT (company_id, doc_type)
+             DO UPDATE SET subject = EXCLUDED.subject, body = EXCLUDED.body, updated_by = EXCLUDED.updated_by
+             RETURNING *`,
+            [req.params.docType, subject, body, req.user?.userId || null]
+        );
+        await audit(client, req, 'email_template.updated', row.id,
+            { subject: before.subject, body: before.body }, { subject, body });
+        await client.query('COMMIT');
+        res.json({ success: true, data: { ...row, is_default: false, placeholders: mailer.PLACEHOLDERS[row.doc_type] } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// DELETE /api/email/templates/:docType — back to the default
+router.delete('/templates/:docType', requireRole('admin', 'manager'), async (req, res) => {
+    if (!docTypeOr404(req, res)) return;
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [row] } = await client.query(
+            `DELETE FROM email_templates WHERE doc_type = $1 RETURNING id, subject, body`, [req.params.docType]
+        );
+        if (row) await audit(client, req, 'email_template.reset', row.id, { subject: row.subject, body: row.body }, null);
+        await client.query('COMMIT');
+        const tpl = await mailer.template(req.db, req.params.docType);
+        res.json({ success: true, data: { doc_type: req.params.docType, ...tpl, placeholders: mailer.PLACEHOLDERS[req.params.docType] } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+module.exports = router;
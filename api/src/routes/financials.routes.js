@@ -2,32 +2,33 @@
 
 // routes/financials.routes.js
 // Financial dashboard: KPIs, revenue by month, top customers/items, cash position, P&L
+// Money is in base currency (the base_* columns and locked rates of invoices and
+// payments); foreign vendor invoices count once approved, when they get their rate.
 
 const { Router } = require('express');
-const { query }  = require('../db/pool');
 
 const router = Router();
 
 // GET /api/financials/summary
-router.get('/summary', async (_req, res) => {
+router.get('/summary', async (req, res) => {
     try {
-        const { rows: [r] } = await query(`
+        const { rows: [r] } = await req.db.query(`
             SELECT
-                (SELECT COALESCE(SUM(total),0) FROM sales_invoices
+                (SELECT COALESCE(SUM(base_total),0) FROM sales_invoices
                  WHERE date_trunc('month', invoice_date) = date_trunc('month', CURRENT_DATE))   AS revenue_mtd,
-                (SELECT COALESCE(SUM(total),0) FROM sales_invoices
+                (SELECT COALESCE(SUM(base_total),0) FROM sales_invoices
                  WHERE date_trunc('year',  invoice_date) = date_trunc('year',  CURRENT_DATE))   AS revenue_ytd,
-                (SELECT COALESCE(SUM(balance_due),0) FROM sales_invoices
+                (SELECT COALESCE(SUM(balance_due * exchange_rate),0) FROM sales_invoices
                  WHERE status NOT IN ('paid','void'))                                            AS ar_open,
-                (SELECT COALESCE(SUM(balance_due),0) FROM sales_invoices
+                (SELECT COALESCE(SUM(balance_due * exchange_rate),0) FROM sales_invoices
                  WHERE status NOT IN ('paid','void') AND due_date < CURRENT_DATE)               AS ar_overdue,
-                (SELECT COALESCE(SUM(prl.actual_cost * prl.qty_received),0)
+                (SELECT COALESCE(SUM(COALESCE(prl.base_unit_cost, prl.actual_cost) * prl.qty_received),0)
                  FROM purchase_receipt_lines prl
                  JOIN purchase_receipts pr ON pr.id = prl.receipt_id
                  WHERE date_trunc('year', pr.receipt_date) = date_trunc('year', CURRENT_DATE))  AS cogs_ytd,
-                (SELECT COALESCE(SUM(balance_due),0) FROM vendor_invoices
+                (SELECT COALESCE(SUM(balance_due * exchange_rate),0) FROM vendor_invoices
                  WHERE status NOT IN ('paid','void'))                                            AS ap_open,
-                (SELECT COALESCE(SUM(balance_due),0) FROM vendor_invoices
+                (SELECT COALESCE(SUM(balance_due * exchange_rate),0) FROM vendor_invoices
                  WHERE status NOT IN ('paid','void') AND due_date < CURRENT_DATE)               AS ap_overdue,
                 (SELECT COUNT(*) FROM sales_orders    WHERE status NOT IN ('closed','cancelled')) AS open_so_count,
                 (SELECT COUNT(*) FROM purchase_orders WHERE status NOT IN ('closed','cancelled')) AS open_po_count,
@@ -41,9 +42,9 @@ router.get('/summary', async (_req, res) => {
 });
 
 // GET /api/financials/revenue-by-month
-router.get('/revenue-by-month', async (_req, res) => {
+router.get('/revenue-by-month', async (req, res) => {
     try {
-        const { rows } = await query(`
+        const { rows } = await req.db.query(`
             WITH months AS (
                 SELECT generate_series(
                     date_trunc('month', CURRENT_DATE - INTERVAL '11 months'),
@@ -53,13 +54,13 @@ router.get('/revenue-by-month', async (_req, res) => {
             ),
             inv_rev AS (
                 SELECT date_trunc('month', invoice_date) AS month,
-                       SUM(total) AS revenue
+                       SUM(base_total) AS revenue
                 FROM sales_invoices
                 GROUP BY 1
             ),
             cogs_agg AS (
                 SELECT date_trunc('month', pr.receipt_date) AS month,
-                       SUM(prl.actual_cost * prl.qty_received) AS cogs
+                       SUM(COALESCE(prl.base_unit_cost, prl.actual_cost) * prl.qty_received) AS cogs
                 FROM purchase_receipt_lines prl
                 JOIN purchase_receipts pr ON pr.id = prl.receipt_id
                 GROUP BY 1
@@ -78,13 +79,13 @@ router.get('/revenue-by-month', async (_req, res) => {
 });
 
 // GET /api/financials/top-customers
-router.get('/top-customers', async (_req, res) => {
+router.get('/top-customers', async (req, res) => {
     try {
-        const { rows } = await query(`
+        const { rows } = await req.db.query(`
             SELECT p.name AS customer,
                    COUNT(DISTINCT si.id)               AS invoice_count,
-                   SUM(si.total)::numeric(14,2)         AS revenue_ytd,
-                   SUM(si.balance_due)::numeric(14,2)   AS open_balance
+                   SUM(si.base_total)::numeric(14,2)         AS revenue_ytd,
+                   SUM(si.balance_due * si.exchange_rate)::numeric(14,2)   AS open_balance
             FROM sales_invoices si
             JOIN parties p ON p.id = si.customer_id
             WHERE date_trunc('year', si.invoice_date) = date_trunc('year', CURRENT_DATE)
@@ -97,9 +98,9 @@ router.get('/top-customers', async (_req, res) => {
 });
 
 // GET /api/financials/top-items
-router.get('/top-items', async (_req, res) => {
+router.get('/top-items', async (req, res) => {
     try {
-        const { rows } = await query(`
+        const { rows } = await req.db.query(`
             SELECT i.code, i.name,
                    SUM(sol.qty_shipped)                                         AS qty_sold,
                    SUM(sol.qty_shipped * sol.unit_price)::numeric(14,2)         AS revenue,
@@ -122,24 +123,24 @@ router.get('/top-items', async (_req, res) => {
 });
 
 // GET /api/financials/cash-position
-router.get('/cash-position', async (_req, res) => {
+router.get('/cash-position', async (req, res) => {
     try {
-        const { rows: ar } = await query(`
+        const { rows: ar } = await req.db.query(`
             SELECT
-                SUM(CASE WHEN due_date >= CURRENT_DATE THEN balance_due ELSE 0 END)::numeric(14,2) AS current_amt,
-                SUM(CASE WHEN due_date <  CURRENT_DATE AND due_date >= CURRENT_DATE - 30 THEN balance_due ELSE 0 END)::numeric(14,2) AS overdue_1_30,
-                SUM(CASE WHEN due_date <  CURRENT_DATE - 30 AND due_date >= CURRENT_DATE - 60 THEN balance_due ELSE 0 END)::numeric(14,2) AS overdue_31_60,
-                SUM(CASE WHEN due_date <  CURRENT_DATE - 60 AND due_date >= CURRENT_DATE - 90 THEN balance_due ELSE 0 END)::numeric(14,2) AS overdue_61_90,
-                SUM(CASE WHEN due_date <  CURRENT_DATE - 90 THEN balance_due ELSE 0 END)::numeric(14,2) AS overdue_90_plus
+                SUM(CASE WHEN due_date >= CURRENT_DATE THEN balance_due * exchange_rate ELSE 0 END)::numeric(14,2) AS current_amt,
+                SUM(CASE WHEN due_date <  CURRENT_DATE AND due_date >= CURRENT_DATE - 30 THEN balance_due * exchange_rate ELSE 0 END)::numeric(14,2) AS overdue_1_30,
+                SUM(CASE WHEN due_date <  CURRENT_DATE - 30 AND due_date >= CURRENT_DATE - 60 THEN balance_due * exchange_rate ELSE 0 END)::numeric(14,2) AS overdue_31_60,
+                SUM(CASE WHEN due_date <  CURRENT_DATE - 60 AND due_date >= CURRENT_DATE - 90 THEN balance_due * exchange_rate ELSE 0 END)::numeric(14,2) AS overdue_61_90,
+                SUM(CASE WHEN due_date <  CURRENT_DATE - 90 THEN balance_due * exchange_rate ELSE 0 END)::numeric(14,2) AS overdue_90_plus
             FROM sales_invoices WHERE status NOT IN ('paid','void')
         `);
-        const { rows: ap } = await query(`
+        const { rows: ap } = await req.db.query(`
             SELECT
-                SUM(CASE WHEN due_date >= CURRENT_DATE THEN balance_due ELSE 0 END)::numeric(14,2) AS current_amt,
-                SUM(CASE WHEN due_date <  CURRENT_DATE AND due_date >= CURRENT_DATE - 30 THEN balance_due ELSE 0 END)::numeric(14,2) AS overdue_1_30,
-                SUM(CASE WHEN due_date <  CURRENT_DATE - 30 AND due_date >= CURRENT_DATE - 60 THEN balance_due ELSE 0 END)::numeric(14,2) AS overdue_31_60,
-                SUM(CASE WHEN due_date <  CURRENT_DATE - 60 AND due_date >= CURRENT_DATE - 90 THEN balance_due ELSE 0 END)::numeric(14,2) AS overdue_61_90,
-                SUM(CASE WHEN due_date <  CURRENT_DATE - 90 THEN balance_due ELSE 0 END)::numeric(14,2) AS overdue_90_plus
+                SUM(CASE WHEN due_date >= CURRENT_DATE THEN balance_due * exchange_rate ELSE 0 END)::numeric(14,2) AS current_amt,
+                SUM(CASE WHEN due_date <  CURRENT_DATE AND due_date >= CURRENT_DATE - 30 THEN balance_due * exchange_rate ELSE 0 END)::numeric(14,2) AS overdue_1_30,
+                SUM(CASE WHEN due_date <  CURRENT_DATE - 30 AND due_date >= CURRENT_DATE - 60 THEN balance_due * exchange_rate ELSE 0 END)::numeric(14,2) AS overdue_31_60,
+                SUM(CASE WHEN due_date <  CURRENT_DATE - 60 AND due_date >= CURRENT_DATE - 90 THEN balance_due * exchange_rate ELSE 0 END)::numeric(14,2) AS overdue_61_90,
+                SUM(CASE WHEN due_date <  CURRENT_DATE - 90 THEN balance_due * exchange_rate ELSE 0 END)::numeric(14,2) AS overdue_90_plus
             FROM vendor_invoices WHERE status NOT IN ('paid','void')
         `);
         res.json({ ar: ar[0], ap: ap[0] });
@@ -147,9 +148,9 @@ router.get('/cash-position', async (_req, res) => {
 });
 
 // GET /api/financials/pl-detail
-router.get('/pl-detail', async (_req, res) => {
+router.get('/pl-detail', async (req, res) => {
     try {
-        const { rows } = await query(`
+        const { rows } = await req.db.query(`
             WITH months AS (
                 SELECT generate_series(
                     date_trunc('month', CURRENT_DATE - INTERVAL '11 months'),
@@ -158,22 +159,22 @@ router.get('/pl-detail', async (_req, res) => {
                 ) AS month
             ),
             rev AS (
-                SELECT date_trunc('month', invoice_date) AS month, SUM(total) AS revenue
+                SELECT date_trunc('month', invoice_date) AS month, SUM(base_total) AS revenue
                 FROM sales_invoices GROUP BY 1
             ),
             cash_in AS (
-                SELECT date_trunc('month', payment_date) AS month, SUM(amount) AS collected
+                SELECT date_trunc('month', payment_date) AS month, SUM(base_amount) AS collected
                 FROM payments_received GROUP BY 1
             ),
             cogs AS (
                 SELECT date_trunc('month', pr.receipt_date) AS month,
-                       SUM(prl.actual_cost * prl.qty_received) AS cogs
+                       SUM(COALESCE(prl.base_unit_cost, prl.actual_cost) * prl.qty_received) AS cogs
                 FROM purchase_receipt_lines prl
                 JOIN purchase_receipts pr ON pr.id = prl.receipt_id
                 GROUP BY 1
             ),
             cash_out AS (
-                SELECT date_trunc('month', payment_date) AS month, SUM(amount) AS paid
+                SELECT date_trunc('month', payment_date) AS month, SUM(base_amount) AS paid
                 FROM payments_made GROUP BY 1
             )
             SELECT TO_CHAR(m.month, 'Mon YYYY')               AS month,
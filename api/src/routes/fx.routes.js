@@ -0,0 +1,227 @@
+'use strict';
+
+// routes/fx.routes.js
+// Multi-currency — exchange rates (entered by hand or imported from a CSV
+// file) and the revaluation of open foreign-currency AR and AP (lib/fx.js).
+// Anyone in the company can read; admins and managers make changes.
+
+const { Router, raw } = require('express');
+const { validate, validateQuery } = require('../middleware/validate');
+const { parsePage, paginate } = require('../lib/pagination');
+const { requireRole } = require('../middleware/tenant');
+const fx = require('../lib/fx');
+const { postFxRevaluation } = require('../lib/gl-posting');
+const { dateStr } = require('../lib/periods');
+const {
+    ExchangeRatesSchema, ImportExchangeRatesQuerySchema, FxRevaluationSchema,
+} = require('../lib/schemas');
+
+const router = Router();
+const manage = requireRole('admin', 'manager');
+
+async function audit(client, req, action, table, recordId, label, newValues) {
+    await client.query(
+        `INSERT INTO audit_log (user_id, action, table_name, record_id, entity_label, new_values, ip_address)
+         VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+        [req.user?.userId || null, action, table, recordId, label,
+         newValues && JSON.stringify(newValues), req.ip || null]
+    );
+}
+
+const RATE_SQL = `
+    SELECT er.id, er.currency, er.rate_date::text AS rate_date, er.rate, er.source,
+           er.created_by, u.name AS created_by_name, er.created_at, er.updated_at
+    FROM   exchange_rates er
+    LEFT JOIN users u ON u.id = er.created_by`;
+
+// Add or replace rates; the base currency has none (it is always 1)
+async function upsertRates(client, req, rates, source) {
+    const base = await fx.baseCurrency(client);
+    if (rates.some(r => r.currency === base)) throw Object.assign(new Error(`${base} is the base currency; its rate is always 1`), { status: 400 });
+    let added = 0, replaced = 0;
+    for (const r of rates) {
+        const { rows: [row] } = await client.query(
+            `INSERT INTO exchange_rates (currency, rate_date, rate, source, created_by)
+             VALUES ($1,$2,$3,$4,$5)
+             ON CONFLICT (company_id, currency, rate_date)
+             DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, created_by = EXCLUDED.created_by
+             RETURNING (xmax = 0) AS inserted`,
+            [r.currency, r.rate_date, r.rate, source, req.user?.userId || null]
+        );
+        if (row.inserted) added++; else replaced++;
+    }
+    await audit(client, req, `exchange_rates.${source === 'import' ? 'imported' : 'saved'}`, 'exchange_rates', null,
+        `Exchange rates — ${[...new Set(rates.map(r => r.currency))].join(', ')}`,
+        { added, replaced, from: rates.map(r => r.rate_date).sort()[0], to: rates.map(r => r.rate_date).sort().at(-1) });
+    return { base_currency: base, added, replaced };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Exchange rates
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/fx/rates?currency=&from=&to=
+router.get('/rates', async (req, res) => {
+    const { currency, from, to } = req.query;
+    try {
+        const { page, limit, offset } = parsePage(req.query);
+        const conds = []; const params = [];
+        if (currency) { params.push(String(currency).toUpperCase()); conds.push(`er.currency = $${params.length}`); }
+        if (from)     { params.push(from); conds.push(`er.rate_date >= $${params.length}`); }
+        if (to)       { params.push(to);   conds.push(`er.rate_date <= $${params.length}`); }
+        const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+
+        const { rows: [{ count }] } = await req.db.query(`SELECT COUNT(*) FROM exchange_rates er ${where}`, params);
+        const { rows } = await req.db.query(
+            `${RATE_SQL} ${where}
+             ORDER  BY er.rate_date DESC, er.currency
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// GET /api/fx/rates/current?date= — the rate each currency has on a day (today)
+router.get('/rates/current', async (req, res) => {
+    try {
+        const date = dateStr(req.query.date || new Date().toISOString().slice(0, 10));
+        const { rows } = await req.db.query(
+            `SELECT DISTINCT ON (currency) currency, rate_date::text AS rate_date, rate, source
+             FROM   exchange_rates
+             WHERE  rate_date <= $1
+             ORDER  BY currency, rate_date DESC`,
+            [date]
+        );
+        res.json({ success: true, data: { base_currency: await fx.baseCurrency(req.db), date, rates: rows } });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// PUT /api/fx/rates — { rates: [{ currency, rate_date, rate }] }
+router.put('/rates', manage, validate(ExchangeRatesSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await upsertRates(client, req, req.body.rates, 'manual');
+        await client.query('COMMIT');
+        res.json({ success: true, data: result });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// The rate file is the raw body, whatever its content type
+const rateFile = raw({ type: () => true, limit: '5mb' });
+
+// POST /api/fx/rates/import?date_format=&inverse=
+// A CSV of currency,date,rate rows or a date column and one column per
+// currency; inverse=true for rates quoted per unit of base currency.
+router.post('/rates/import', manage, rateFile, validateQuery(ImportExchangeRatesQuerySchema), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || !req.body.length)
+        return res.status(400).json({ success: false, error: 'Send the rate file as the request body' });
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const rates  = fx.parseRates(req.body, req.query);
+        const result = await upsertRates(client, req, rates, 'import');
+        await client.query('COMMIT');
+        res.status(201).json({ success: true, data: result });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// DELETE /api/fx/rates/:id — documents keep the rate they locked
+router.delete('/rates/:id', manage, async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [rate] } = await client.query(
+            `DELETE FROM exchange_rates WHERE id = $1 RETURNING id, currency, rate_date::text, rate`, [req.params.id]
+        );
+        if (!rate) throw Object.assign(new Error('Exchange rate not found'), { status: 404 });
+        await audit(client, req, 'exchange_rate.deleted', 'exchange_rates', rate.id,
+            `Exchange rate — ${rate.currency} ${rate.rate_date}`, null);
+        await client.query('COMMIT');
+        res.json({ success: true, data: rate });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Revaluation
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/fx/revaluation?as_of= — what a revaluation would post, document by document
+router.get('/revaluation', async (req, res) => {
+    try {
+        const asOf = dateStr(req.query.as_of || new Date().toISOString().slice(0, 10));
+        res.json({ success: true, data: await fx.revaluation(req.db, asOf) });
+    } catch (err) { res.status(err.status || 500).json({ success: false, error: err.message }); }
+});
+
+// GET /api/fx/revaluations
+router.get('/revaluations', async (req, res) => {
+    try {
+        const { rows } = await req.db.query(
+            `SELECT r.id, r.as_of::text AS as_of, r.ar_adjustment, r.ap_adjustment, r.document_count,
+                    r.journal_entry_id, je.number AS journal_entry_number,
+                    r.reversal_entry_id, rev.number AS reversal_entry_number,
+                    r.created_by, u.name AS created_by_name, r.created_at
+             FROM   fx_revaluations r
+             LEFT JOIN journal_entries je  ON je.id  = r.journal_entry_id
+             LEFT JOIN journal_entries rev ON rev.id = r.reversal_entry_id
+             LEFT JOIN users u ON u.id = r.created_by
+             ORDER  BY r.as_of DESC`
+        );
+        res.json({ success: true, data: rows });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/fx/revaluations — { as_of }
+// Posts the unrealized gain or loss at as_of and its reversal the day after.
+router.post('/revaluations', manage, validate(FxRevaluationSchema), async (req, res) => {
+    const { as_of } = req.body;
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [row] } = await client.query(
+            `INSERT INTO fx_revaluations (as_of, created_by) VALUES ($1,$2)
+             ON CONFLICT (company_id, as_of) DO NOTHING RETURNING id`,
+            [as_of, req.user?.userId || null]
+        );
+        if (!row) throw Object.assign(new Error(`Open items were already revalued at ${as_of}`), { status: 409 });
+
+        const revaluation = { id: row.id, ...await fx.revaluation(client, as_of) };
+        const next = new Date(`${as_of}T00:00:00Z`);
+        next.setUTCDate(next.getUTCDate() + 1);
+        const [entry, reversal] = await postFxRevaluation(client, {
+            companyId: req.user.companyId, revaluation, asOf: as_of,
+            reversalDate: next.toISOString().slice(0, 10), userId: req.user?.userId,
+        });
+        await client.query(
+            `UPDATE fx_revaluations
+             SET    ar_adjustment = $2, ap_adjustment = $3, document_count = $4,
+                    journal_entry_id = $5, reversal_entry_id = $6
+             WHERE  id = $1`,
+            [row.id, revaluation.ar_adjustment, revaluation.ap_adjustment, revaluation.documents.length,
+             entry?.id || null, reversal?.id || null]
+        );
+        await audit(client, req, 'fx_revaluation.posted', 'fx_revaluations', row.id, `FX revaluation — ${as_of}`,
+            { ar_adjustment: revaluation.ar_adjustment, ap_adjustment: revaluation.ap_adjustment,
+              journal_entry: entry?.number || null });
+        await client.query('COMMIT');
+        res.status(201).json({ success: true, data: {
+            ...revaluation, journal_entry: entry, reversal_entry: reversal,
+        } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+module.exports = router;
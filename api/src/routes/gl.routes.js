@@ -1,13 +1,19 @@
 'use strict';
 
 // routes/gl.routes.js
-// Module 7 — General Ledger: Chart of Accounts, Journal Entries, Trial Balance, P&L, Balance Sheet
+// Module 7 — General Ledger: Chart of Accounts, Journal Entries, Recurring Entries, Fiscal Periods,
+// Trial Balance, P&L, Balance Sheet
 
 const { Router } = require('express');
-const { query, pool } = require('../db/pool');
 const { z } = require('zod');
 const { validate } = require('../middleware/validate');
 const { parsePage, paginate } = require('../lib/pagination');
+const { requireUserRole } = require('../middleware/roles');
+const { requireRole } = require('../middleware/tenant');
+const { MAPPING_KEYS, postYearEndClose, reverseSourceEntries, postAccrualReversal } = require('../lib/gl-posting');
+const numbering = require('../lib/numbering');
+const periods = require('../lib/periods');
+const recurring = require('../lib/recurring-journals');
 
 const router = Router();
 
@@ -32,36 +38,72 @@ const JELineSchema = z.object({
 }).refine(l => l.debit > 0 || l.credit > 0, { message: 'Each line must have a non-zero debit or credit' })
   .refine(l => !(l.debit > 0 && l.credit > 0), { message: 'A line cannot have both debit and credit' });
 
-const CreateJESchema = z.object({
-    entry_date:  z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
-    description: z.string().trim().min(1),
-    reference:   z.string().trim().optional(),
-    created_by:  UUID.optional(),
-    lines:       z.array(JELineSchema).min(2),
-}).refine(d => {
-    const totalDebit  = d.lines.reduce((s, l) => s + (l.debit  || 0), 0);
-    const totalCredit = d.lines.reduce((s, l) => s + (l.credit || 0), 0);
+const balanced = lines => {
+    const totalDebit  = lines.reduce((s, l) => s + (l.debit  || 0), 0);
+    const totalCredit = lines.reduce((s, l) => s + (l.credit || 0), 0);
     return Math.abs(totalDebit - totalCredit) < 0.005;
-}, { message: 'Journal entry must balance: total debits must equal total credits' });
+};
 
-// ── Number generator ──────────────────────────────────────────────────────────
-async function nextJENumber(client) {
-    const { rows } = await client.query(
-        `SELECT number FROM journal_entries ORDER BY created_at DESC LIMIT 1`
-    );
-    if (!rows.length) return 'JE-00002'; // 00001 is opening balance
-    const last = parseInt(rows[0].number.split('-').pop(), 10);
-    return `JE-${String(last + 1).padStart(5, '0')}`;
-}
+const CreateJESchema = z.object({
+    entry_date:   z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+    description:  z.string().trim().min(1),
+    reference:    z.string().trim().optional(),
+    auto_reverse: z.boolean().optional(),     // an accrual: reversed on the first day of the next period
+    created_by:   UUID.optional(),
+    lines:        z.array(JELineSchema).min(2),
+}).refine(d => balanced(d.lines), { message: 'Journal entry must balance: total debits must equal total credits' });
+
+const RecurringFields = {
+    name:           z.string().trim().min(1).max(100),
+    description:    z.string().trim().min(1),
+    reference:      z.string().trim().max(100).nullable(),
+    frequency:      z.enum(recurring.FREQUENCIES),
+    interval_count: z.coerce.number().int().min(1).max(99),
+    start_date:     z.string().regex(/^\d{4}-\d{2}-\d{2}$/),
+    end_date:       z.string().regex(/^\d{4}-\d{2}-\d{2}$/).nullable(),
+    auto_post:      z.boolean(),
+    auto_reverse:   z.boolean(),
+    lines:          z.array(JELineSchema).min(2)
+                        .refine(balanced, { message: 'Lines must balance: total debits must equal total credits' }),
+};
+
+const CreateRecurringSchema = z.object({
+    ...RecurringFields,
+    reference:      RecurringFields.reference.optional(),
+    interval_count: RecurringFields.interval_count.default(1),
+    end_date:       RecurringFields.end_date.optional(),
+    auto_post:      RecurringFields.auto_post.default(false),
+    auto_reverse:   RecurringFields.auto_reverse.default(false),
+}).refine(d => !d.end_date || d.end_date >= d.start_date, { message: 'end_date cannot be before start_date' });
+
+const PatchRecurringSchema = z.object({
+    ...Object.fromEntries(Object.entries(RecurringFields).map(([k, v]) => [k, v.optional()])),
+    is_active: z.boolean().optional(),
+});
+
+const RunRecurringSchema = z.object({
+    as_of: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional(),
+});
+
+const AccountMappingSchema = z.object({
+    account_id: UUID,
+});
+
+const PeriodStatusSchema = z.object({
+    status: z.enum(periods.STATUSES),
+});
+
+// Company admins and managers may post journal entries into soft-closed periods
+const journalAllow = req => ['admin', 'manager'].includes(req.companyRole) ? 'soft_closed' : 'open';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Chart of Accounts
 // ─────────────────────────────────────────────────────────────────────────────
 
 // GET /api/gl/accounts
-router.get('/accounts', async (_req, res) => {
+router.get('/accounts', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT a.*,
                     p.name AS parent_name,
                     p.account_number AS parent_number,
@@ -83,7 +125,7 @@ router.post('/accounts', validate(CreateAccountSchema), async (req, res) => {
     // default normal_balance by type
     const nb = normal_balance || (['asset','expense','cogs'].includes(type) ? 'debit' : 'credit');
     try {
-        const { rows: [acct] } = await query(
+        const { rows: [acct] } = await req.db.query(
             `INSERT INTO gl_accounts (account_number, name, type, sub_type, parent_id, normal_balance, description)
              VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
             [account_number, name, type, sub_type || null, parent_id || null, nb, description || null]
@@ -104,7 +146,7 @@ router.patch('/accounts/:id', async (req, res) => {
     if (is_active   !== undefined) { params.push(is_active);   sets.push(`is_active = $${params.length}`); }
     if (!sets.length) return res.status(400).json({ success: false, error: 'Nothing to update' });
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `UPDATE gl_accounts SET ${sets.join(', ')} WHERE id = $1 RETURNING *`, params
         );
         if (!rows.length) return res.status(404).json({ success: false, error: 'Account not found' });
@@ -112,25 +154,70 @@ router.patch('/accounts/:id', async (req, res) => {
     } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Account Mappings — which GL accounts the posting engine uses
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/gl/account-mappings
+router.get('/account-mappings', async (req, res) => {
+    if (!req.user?.companyId) return res.status(400).json({ success: false, error: 'No active company' });
+    try {
+        const { rows } = await req.db.query(
+            `SELECT k.mapping_key, m.account_id, a.account_number, a.name AS account_name, m.updated_at
+             FROM   unnest($2::text[]) AS k(mapping_key)
+             LEFT JOIN gl_account_mappings m ON m.mapping_key = k.mapping_key AND m.company_id = $1
+             LEFT JOIN gl_accounts a ON a.id = m.account_id
+             ORDER  BY k.mapping_key`,
+            [req.user.companyId, MAPPING_KEYS]
+        );
+        res.json({ success: true, data: rows });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// PUT /api/gl/account-mappings/:key
+router.put('/account-mappings/:key', requireUserRole('admin', 'manager'), validate(AccountMappingSchema), async (req, res) => {
+    if (!MAPPING_KEYS.includes(req.params.key))
+        return res.status(400).json({ success: false, error: `Unknown mapping key. Valid: ${MAPPING_KEYS.join(', ')}` });
+    if (!req.user?.companyId) return res.status(400).json({ success: false, error: 'No active company' });
+    try {
+        const { rows: [acct] } = await req.db.query(
+            `SELECT id FROM gl_accounts WHERE id = $1 AND is_active = true`, [req.body.account_id]
+        );
+        if (!acct) return res.status(400).json({ success: false, error: 'Account not found or inactive' });
+
+        const { rows: [mapping] } = await req.db.query(
+            `INSERT INTO gl_account_mappings (company_id, mapping_key, account_id)
+             VALUES ($1,$2,$3)
+             ON CONFLICT (company_id, mapping_key)
+             DO UPDATE SET account_id = EXCLUDED.account_id, updated_at = NOW()
+             RETURNING *`,
+            [req.user.companyId, req.params.key, req.body.account_id]
+        );
+        res.json({ success: true, data: mapping });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Journal Entries
 // ─────────────────────────────────────────────────────────────────────────────
 
 // GET /api/gl/journal-entries
 router.get('/journal-entries', async (req, res) => {
-    const { status, from_date, to_date } = req.query;
+    const { status, from_date, to_date, source_type, source_id } = req.query;
     try {
         const { page, limit, offset } = parsePage(req.query);
         const conds = []; const params = [];
-        if (status)    { params.push(status);    conds.push(`je.status = $${params.length}`); }
+        if (status)      { params.push(status);      conds.push(`je.status = $${params.length}`); }
+        if (source_type) { params.push(source_type); conds.push(`je.source_type = $${params.length}`); }
+        if (source_id)   { params.push(source_id);   conds.push(`je.source_id = $${params.length}`); }
         if (from_date) { params.push(from_date); conds.push(`je.entry_date >= $${params.length}`); }
         if (to_date)   { params.push(to_date);   conds.push(`je.entry_date <= $${params.length}`); }
         const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
 
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM journal_entries je ${where}`, params
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT je.*,
                     u.name AS created_by_name,
                     (SELECT SUM(debit) FROM journal_entry_lines WHERE journal_entry_id = je.id) AS total_debit,
@@ -149,15 +236,18 @@ router.get('/journal-entries', async (req, res) => {
 // GET /api/gl/journal-entries/:id
 router.get('/journal-entries/:id', async (req, res) => {
     try {
-        const { rows: [je] } = await query(
-            `SELECT je.*, u.name AS created_by_name
+        const { rows: [je] } = await req.db.query(
+            `SELECT je.*, u.name AS created_by_name,
+                    rev.id AS reversal_entry_id, rev.number AS reversal_entry_number,
+                    rev.entry_date AS reversal_date
              FROM journal_entries je
              LEFT JOIN users u ON u.id = je.created_by
+             LEFT JOIN journal_entries rev ON rev.source_type = 'accrual_reversal' AND rev.source_id = je.id
              WHERE je.id = $1`, [req.params.id]
         );
         if (!je) return res.status(404).json({ success: false, error: 'Journal entry not found' });
 
-        const { rows: lines } = await query(
+        const { rows: lines } = await req.db.query(
             `SELECT jel.*, a.account_number, a.name AS account_name, a.type AS account_type
              FROM journal_entry_lines jel
              JOIN gl_accounts a ON a.id = jel.account_id
@@ -170,18 +260,18 @@ router.get('/journal-entries/:id', async (req, res) => {
 
 // POST /api/gl/journal-entries
 router.post('/journal-entries', validate(CreateJESchema), async (req, res) => {
-    const { entry_date, description, reference, created_by, lines } = req.body;
-    const client = await pool.connect();
+    const { entry_date, description, reference, auto_reverse, created_by, lines } = req.body;
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
-        const number = await nextJENumber(client);
+        const entryDate = entry_date || new Date().toISOString().slice(0, 10);
+        await periods.assertOpen(client, entryDate, { allow: journalAllow(req) });
+        const number = await numbering.next(client, 'journal_entry');
 
         const { rows: [je] } = await client.query(
-            `INSERT INTO journal_entries (number, entry_date, description, reference, created_by)
-             VALUES ($1,$2,$3,$4,$5) RETURNING *`,
-            [number,
-             entry_date || new Date().toISOString().slice(0, 10),
-             description, reference || null, created_by || null]
+            `INSERT INTO journal_entries (number, entry_date, description, reference, created_by, auto_reverse)
+             VALUES ($1,$2,$3,$4,$5,$6) RETURNING *`,
+            [number, entryDate, description, reference || null, created_by || null, auto_reverse || false]
         );
 
         for (let i = 0; i < lines.length; i++) {
@@ -211,7 +301,7 @@ router.post('/journal-entries', validate(CreateJESchema), async (req, res) => {
 
 // POST /api/gl/journal-entries/:id/post
 router.post('/journal-entries/:id/post', async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
         const { rows: [je] } = await client.query(
@@ -220,6 +310,7 @@ router.post('/journal-entries/:id/post', async (req, res) => {
         if (!je) throw Object.assign(new Error('Journal entry not found'), { status: 404 });
         if (je.status !== 'draft')
             throw Object.assign(new Error(`Entry is already ${je.status}`), { status: 400 });
+        await periods.assertOpen(client, je.entry_date, { allow: journalAllow(req) });
 
         // Verify balance
         const { rows: [bal] } = await client.query(
@@ -235,8 +326,11 @@ router.post('/journal-entries/:id/post', async (req, res) => {
              WHERE id = $1 RETURNING *`,
             [je.id, req.body.posted_by || null]
         );
+        const reversal = posted.auto_reverse
+            ? await postAccrualReversal(client, { entry: posted, userId: req.user?.userId, allowPeriod: journalAllow(req) })
+            : null;
         await client.query('COMMIT');
-        res.json({ success: true, data: posted });
+        res.json({ success: true, data: { ...posted, reversal_entry: reversal } });
     } catch (err) {
         await client.query('ROLLBACK');
         res.status(err.status || 500).json({ success: false, error: err.message });
@@ -246,15 +340,322 @@ router.post('/journal-entries/:id/post', async (req, res) => {
 // POST /api/gl/journal-entries/:id/void
 router.post('/journal-entries/:id/void', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows: [draft] } = await req.db.query(
+            `SELECT entry_date FROM journal_entries WHERE id = $1 AND status = 'draft'`, [req.params.id]
+        );
+        if (!draft) return res.status(400).json({ success: false, error: 'Entry not found or already posted/void' });
+        await periods.assertOpen(req.db, draft.entry_date, { allow: journalAllow(req) });
+
+        const { rows } = await req.db.query(
             `UPDATE journal_entries SET status = 'void', updated_at = NOW()
              WHERE id = $1 AND status = 'draft' RETURNING *`, [req.params.id]
         );
         if (!rows.length) return res.status(400).json({ success: false, error: 'Entry not found or already posted/void' });
         res.json({ success: true, data: rows[0] });
+    } catch (err) { res.status(err.status || 500).json({ success: false, error: err.message }); }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Recurring Entries
+// ─────────────────────────────────────────────────────────────────────────────
+
+const manageRecurring = requireRole('admin', 'manager');
+const SCHEDULE_FIELDS = ['frequency', 'interval_count', 'start_date'];
+
+const RECURRING_SQL = `
+    SELECT t.id, t.name, t.description, t.reference, t.frequency, t.interval_count,
+           t.start_date::text AS start_date, t.end_date::text AS end_date, t.run_count,
+           t.next_run_date::text AS next_run_date, t.last_run_date::text AS last_run_date, t.last_error,
+           t.auto_post, t.auto_reverse, t.is_active, t.created_by, u.name AS created_by_name,
+           t.created_at, t.updated_at,
+           (SELECT SUM(debit) FROM recurring_journal_template_lines WHERE template_id = t.id) AS total_debit
+    FROM   recurring_journal_templates t
+    LEFT JOIN users u ON u.id = t.created_by`;
+
+async function recurringTemplate(db, id) {
+    const { rows: [t] } = await db.query(`${RECURRING_SQL} WHERE t.id = $1`, [id]);
+    if (!t) return null;
+    const { rows: lines } = await db.query(
+        `SELECT l.line_number, l.account_id, a.account_number, a.name AS account_name,
+                l.description, l.debit, l.credit
+         FROM   recurring_journal_template_lines l
+         JOIN   gl_accounts a ON a.id = l.account_id
+         WHERE  l.template_id = $1
+         ORDER  BY l.line_number`,
+        [id]
+    );
+    const { rows: entries } = await db.query(
+        `SELECT id, number, entry_date::text AS entry_date, status
+         FROM   journal_entries
+         WHERE  source_type = 'recurring_journal' AND source_id = $1
+         ORDER  BY entry_date DESC
+         LIMIT  24`,
+        [id]
+    );
+    return { ...t, lines, upcoming: t.is_active ? recurring.upcoming(t, 6) : [], entries };
+}
+
+async function saveRecurringLines(client, templateId, lines) {
+    await client.query(`DELETE FROM recurring_journal_template_lines WHERE template_id = $1`, [templateId]);
+    for (let i = 0; i < lines.length; i++) {
+        const { account_id, description, debit, credit } = lines[i];
+        const { rows: [acct] } = await client.query(
+            `SELECT id FROM gl_accounts WHERE id = $1 AND is_active = true`, [account_id]
+        );
+        if (!acct) throw Object.assign(new Error(`Account ${account_id} not found or inactive`), { status: 400 });
+        await client.query(
+            `INSERT INTO recurring_journal_template_lines
+                (template_id, line_number, account_id, description, debit, credit)
+             VALUES ($1,$2,$3,$4,$5,$6)`,
+            [templateId, i + 1, account_id, description || null, debit || 0, credit || 0]
+        );
+    }
+}
+
+// GET /api/gl/recurring-entries?active=true
+router.get('/recurring-entries', async (req, res) => {
+    try {
+        const where = req.query.active === undefined ? '' : 'WHERE t.is_active = $1';
+        const { rows } = await req.db.query(
+            `${RECURRING_SQL} ${where} ORDER BY t.is_active DESC, t.next_run_date NULLS LAST, t.name`,
+            where ? [req.query.active === 'true'] : []
+        );
+        res.json({ success: true, data: rows });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// GET /api/gl/recurring-entries/:id — with its lines, next dates and generated entries
+router.get('/recurring-entries/:id', async (req, res) => {
+    try {
+        const template = await recurringTemplate(req.db, req.params.id);
+        if (!template) return res.status(404).json({ success: false, error: 'Recurring entry not found' });
+        res.json({ success: true, data: template });
     } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// POST /api/gl/recurring-entries
+router.post('/recurring-entries', manageRecurring, validate(CreateRecurringSchema), async (req, res) => {
+    const { name, description, reference, frequency, interval_count, start_date, end_date,
+            auto_post, auto_reverse, lines } = req.body;
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [t] } = await client.query(
+            `INSERT INTO recurring_journal_templates
+                (name, description, reference, frequency, interval_count, start_date, end_date,
+                 next_run_date, auto_post, auto_reverse, created_by)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$6,$8,$9,$10)
+             ON CONFLICT (company_id, name) DO NOTHING RETURNING id`,
+            [name, description, reference || null, frequency, interval_count, start_date, end_date || null,
+             auto_post, auto_reverse, req.user?.userId || null]
+        );
+        if (!t) throw Object.assign(new Error(`A recurring entry named "${name}" already exists`), { status: 409 });
+        await saveRecurringLines(client, t.id, lines);
+        await client.query('COMMIT');
+        res.status(201).json({ success: true, data: await recurringTemplate(req.db, t.id) });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 400).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// PATCH /api/gl/recurring-entries/:id
+// The schedule (frequency, interval, start) is fixed once an entry has been generated.
+router.patch('/recurring-entries/:id', manageRecurring, validate(PatchRecurringSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [t] } = await client.query(
+            `SELECT * FROM recurring_journal_templates WHERE id = $1 FOR UPDATE`, [req.params.id]
+        );
+        if (!t) throw Object.assign(new Error('Recurring entry not found'), { status: 404 });
+        const changed = SCHEDULE_FIELDS.filter(f => req.body[f] !== undefined
+            && String(req.body[f]) !== String(f === 'start_date' ? periods.dateStr(t[f]) : t[f]));
+        if (changed.length && t.run_count > 0) throw Object.assign(new Error(
+            `${changed.join(', ')} cannot change once entries have been generated; end this one and create a new one`
+        ), { status: 409 });
+
+        const next = { ...t, ...Object.fromEntries(Object.entries(req.body).filter(([k]) => k !== 'lines')) };
+        if (next.end_date && periods.dateStr(next.end_date) < periods.dateStr(next.start_date))
+            throw Object.assign(new Error('end_date cannot be before start_date'), { status: 400 });
+
+        const { rows: [updated] } = await client.query(
+            `UPDATE recurring_journal_templates
+             SET    name = $2, description = $3, reference = $4, frequency = $5, interval_count = $6,
+                    start_date = $7, end_date = $8, auto_post = $9, auto_reverse = $10, is_active = $11,
+                    next_run_date = $12
+             WHERE  id = $1 AND NOT EXISTS (
+                        SELECT 1 FROM recurring_journal_templates o WHERE o.name = $2 AND o.id <> $1)
+             RETURNING id`,
+            [t.id, next.name, next.description, next.reference, next.frequency, next.interval_count,
+             periods.dateStr(next.start_date), next.end_date ? periods.dateStr(next.end_date) : null,
+             next.auto_post, next.auto_reverse, next.is_active, recurring.nextRunDate(next, t.run_count)]
+        );
+        if (!updated) throw Object.assign(new Error(`A recurring entry named "${next.name}" already exists`), { status: 409 });
+        if (req.body.lines) await saveRecurringLines(client, t.id, req.body.lines);
+        await client.query('COMMIT');
+        res.json({ success: true, data: await recurringTemplate(req.db, t.id) });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// DELETE /api/gl/recurring-entries/:id — only before its first entry; deactivate it after that
+router.delete('/recurring-entries/:id', manageRecurring, async (req, res) => {
+    try {
+        const { rows: [t] } = await req.db.query(
+            `SELECT id, run_count FROM recurring_journal_templates WHERE id = $1`, [req.params.id]
+        );
+        if (!t) return res.status(404).json({ success: false, error: 'Recurring entry not found' });
+        if (t.run_count > 0) return res.status(409).json({
+            success: false, error: 'Entries have been generated from it; set is_active to false instead',
+        });
+        await req.db.query(`DELETE FROM recurring_journal_templates WHERE id = $1`, [t.id]);
+        res.json({ success: true, data: { id: t.id } });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/gl/recurring-entries/run — { as_of } (default today)
+// Generates everything due. A template that fails keeps its error and the others still run.
+router.post('/recurring-entries/run', manageRecurring, validate(RunRecurringSchema), async (req, res) => {
+    try {
+        const results = await recurring.runDue(req.db, {
+            companyId: req.user.companyId, asOf: req.body.as_of, userId: req.user?.userId,
+        });
+        res.json({ success: true, data: results });
+    } catch (err) { res.status(err.status || 500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/gl/recurring-entries/:id/run — { as_of } (default today)
+router.post('/recurring-entries/:id/run', manageRecurring, validate(RunRecurringSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await recurring.runTemplate(client, {
+            companyId: req.user.companyId, templateId: req.params.id,
+            asOf: req.body.as_of || new Date().toISOString().slice(0, 10), userId: req.user?.userId,
+        });
+        await client.query('COMMIT');
+        res.json({ success: true, data: result });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fiscal Periods
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fiscalYearParam = (value) => {
+    const fy = parseInt(value, 10);
+    if (!/^\d{4}$/.test(String(value)) || fy < 1900 || fy > 9999)
+        throw Object.assign(new Error('Fiscal year must be a four-digit year'), { status: 400 });
+    return fy;
+};
+
+// GET /api/gl/periods?fiscal_year=2026  (default: the fiscal year today is in)
+router.get('/periods', async (req, res) => {
+    try {
+        const fy = req.query.fiscal_year
+            ? fiscalYearParam(req.query.fiscal_year)
+            : periods.fiscalYearOf(await periods.yearEnd(req.db), new Date());
+        res.json({ success: true, data: await periods.listYear(req.db, fy) });
+    } catch (err) { res.status(err.status || 500).json({ success: false, error: err.message }); }
+});
+
+// PATCH /api/gl/periods/:year/:period  { status: open | soft_closed | hard_closed }
+router.patch('/periods/:year/:period', requireRole('admin', 'manager'), validate(PeriodStatusSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        const fy = fiscalYearParam(req.params.year);
+        const number = parseInt(req.params.period, 10);
+        if (!(number >= 1 && number <= 12))
+            throw Object.assign(new Error('Period must be 1–12'), { status: 400 });
+
+        await client.query('BEGIN');
+        const period = await periods.setStatus(client, {
+            fiscalYear: fy, periodNumber: number, status: req.body.status,
+            role: req.companyRole, userId: req.user?.userId,
+        });
+        await client.query('COMMIT');
+        res.json({ success: true, data: period });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// POST /api/gl/fiscal-years/:year/close
+// Posts the closing entry into Retained Earnings and hard-closes every period of the year.
+router.post('/fiscal-years/:year/close', requireRole('admin'), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        const fy = fiscalYearParam(req.params.year);
+        await client.query('BEGIN');
+        const year  = await periods.ensureYear(client, fy);
+        const start = year[0].start_date;
+        const end   = year[11].end_date;
+        if (await periods.closeOf(client, fy))
+            throw Object.assign(new Error(`FY${fy} is already closed`), { status: 409 });
+        if (end >= new Date().toISOString().slice(0, 10))
+            throw Object.assign(new Error(`FY${fy} ends on ${end}; it can be closed after that`), { status: 400 });
+
+        const { rows: [close] } = await client.query(
+            `INSERT INTO fiscal_year_closes (fiscal_year, start_date, end_date, closed_by)
+             VALUES ($1,$2,$3,$4) RETURNING id`,
+            [fy, start, end, req.user?.userId || null]
+        );
+        const { journalEntry, netIncome } = await postYearEndClose(client, {
+            companyId: req.user.companyId, fiscalYear: fy, startDate: start, endDate: end,
+            closeId: close.id, userId: req.user?.userId,
+        });
+        await client.query(
+            `UPDATE fiscal_year_closes SET journal_entry_id = $2, net_income = $3 WHERE id = $1`,
+            [close.id, journalEntry?.id || null, netIncome]
+        );
+        await client.query(
+            `UPDATE fiscal_periods SET status = 'hard_closed', closed_by = $2, closed_at = NOW()
+             WHERE  fiscal_year = $1 AND status <> 'hard_closed'`,
+            [fy, req.user?.userId || null]
+        );
+        await client.query('COMMIT');
+        res.status(201).json({ success: true, data: await periods.listYear(req.db, fy) });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// POST /api/gl/fiscal-years/:year/reopen
+// Reverses the closing entry. The periods stay hard-closed until reopened one by one.
+router.post('/fiscal-years/:year/reopen', requireRole('admin'), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        const fy = fiscalYearParam(req.params.year);
+        await client.query('BEGIN');
+        const close = await periods.closeOf(client, fy);
+        if (!close) throw Object.assign(new Error(`FY${fy} is not closed`), { status: 409 });
+        await client.query(`SELECT id FROM fiscal_year_closes WHERE id = $1 FOR UPDATE`, [close.id]);
+
+        await reverseSourceEntries(client, {
+            sourceType: 'year_end_close', sourceId: close.id, entryDate: close.end_date,
+            userId: req.user?.userId, allowPeriod: 'hard_closed',
+        });
+        await client.query(
+            `UPDATE fiscal_year_closes SET status = 'reopened', reopened_by = $2, reopened_at = NOW()
+             WHERE id = $1`,
+            [close.id, req.user?.userId || null]
+        );
+        await client.query('COMMIT');
+        res.json({ success: true, data: await periods.listYear(req.db, fy) });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Reports
 // ─────────────────────────────────────────────────────────────────────────────
@@ -263,7 +664,7 @@ router.post('/journal-entries/:id/void', async (req, res) => {
 router.get('/trial-balance', async (req, res) => {
     const asOf = req.query.as_of || new Date().toISOString().slice(0, 10);
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT a.account_number, a.name, a.type, a.sub_type, a.normal_balance,
                     COALESCE(SUM(jel.debit),  0) AS total_debit,
                     COALESCE(SUM(jel.credit), 0) AS total_credit,
@@ -288,11 +689,12 @@ router.get('/trial-balance', async (req, res) => {
 });
 
 // GET /api/gl/pl?from=YYYY-MM-DD&to=YYYY-MM-DD
+// Year-end closing entries are left out, so a closed year still shows its result.
 router.get('/pl', async (req, res) => {
     const from = req.query.from || new Date(new Date().getFullYear(), 0, 1).toISOString().slice(0, 10);
     const to   = req.query.to   || new Date().toISOString().slice(0, 10);
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT a.account_number, a.name, a.type,
                     COALESCE(SUM(jel.debit),  0) AS total_debit,
                     COALESCE(SUM(jel.credit), 0) AS total_credit,
@@ -305,6 +707,7 @@ router.get('/pl', async (req, res) => {
              JOIN   journal_entries je ON je.id = jel.journal_entry_id
                     AND je.status = 'posted'
                     AND je.entry_date BETWEEN $1 AND $2
+                    AND je.source_type IS DISTINCT FROM 'year_end_close'
              WHERE  a.type IN ('revenue','cogs','expense')
              GROUP  BY a.id, a.account_number, a.name, a.type
              ORDER  BY a.account_number`,
@@ -332,7 +735,7 @@ router.get('/pl', async (req, res) => {
 router.get('/balance-sheet', async (req, res) => {
     const asOf = req.query.as_of || new Date().toISOString().slice(0, 10);
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT a.account_number, a.name, a.type, a.sub_type, a.normal_balance,
                     CASE
                         WHEN a.normal_balance = 'debit'
@@ -350,7 +753,7 @@ router.get('/balance-sheet', async (req, res) => {
         );
 
         // Include net income for current period (retained earnings adjustment)
-        const { rows: [plRow] } = await query(
+        const { rows: [plRow] } = await req.db.query(
             `SELECT COALESCE(SUM(
                 CASE a.type
                     WHEN 'revenue' THEN COALESCE(jel.credit,0) - COALESCE(jel.debit,0)
@@ -396,12 +799,12 @@ router.get('/account-ledger/:id', async (req, res) => {
     const from = req.query.from || new Date(new Date().getFullYear(), 0, 1).toISOString().slice(0, 10);
     const to   = req.query.to   || new Date().toISOString().slice(0, 10);
     try {
-        const { rows: [acct] } = await query(
+        const { rows: [acct] } = await req.db.query(
             `SELECT * FROM gl_accounts WHERE id = $1`, [req.params.id]
         );
         if (!acct) return res.status(404).json({ success: false, error: 'Account not found' });
 
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT je.number AS entry_number, je.entry_date, je.description AS entry_desc,
                     jel.description, jel.debit, jel.credit,
                     SUM(jel.debit - jel.credit) OVER (
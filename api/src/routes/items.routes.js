@@ -4,11 +4,13 @@
 // Items, Warehouses, UPC barcode lookup, Item search
 
 const { Router } = require('express');
-const { query }  = require('../db/pool');
 const { validate }                       = require('../middleware/validate');
 const { requireUserRole }               = require('../middleware/roles');
+const { requireRole }                   = require('../middleware/tenant');
 const { parsePage, paginate }           = require('../lib/pagination');
-const { CreateItemSchema, PatchItemSchema } = require('../lib/schemas');
+const costing                           = require('../lib/costing');
+const kits                              = require('../lib/kits');
+const { CreateItemSchema, PatchItemSchema, KitComponentsSchema } = require('../lib/schemas');
 
 const router = Router();
 
@@ -16,8 +18,8 @@ const router = Router();
 router.get('/', async (req, res) => {
     try {
         const { page, limit, offset } = parsePage(req.query);
-        const { rows: [{ count }] } = await query(`SELECT COUNT(*) FROM items`);
-        const { rows } = await query(
+        const { rows: [{ count }] } = await req.db.query(`SELECT COUNT(*) FROM items`);
+        const { rows } = await req.db.query(
             `SELECT * FROM items ORDER BY category, code LIMIT $1 OFFSET $2`,
             [limit, offset]
         );
@@ -30,7 +32,7 @@ router.get('/search', async (req, res) => {
     const q = (req.query.q || '').trim();
     if (!q) return res.json({ success: true, data: [] });
     try {
-        const { rows } = await query(`
+        const { rows } = await req.db.query(`
             SELECT id, code, name, category, sale_price, standard_cost, upc_code, unit_of_measure, is_active
             FROM items
             WHERE is_active = true
@@ -52,7 +54,7 @@ router.get('/search', async (req, res) => {
 // GET /api/items/by-upc/:upc  (must be before /:id)
 router.get('/by-upc/:upc', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT * FROM items WHERE upc_code = $1`, [req.params.upc]
         );
         if (!rows.length) return res.status(404).json({ error: 'No item found with that UPC' });
@@ -63,7 +65,7 @@ router.get('/by-upc/:upc', async (req, res) => {
 // GET /api/items/:id
 router.get('/:id', async (req, res) => {
     try {
-        const { rows } = await query(`SELECT * FROM items WHERE id = $1`, [req.params.id]);
+        const { rows } = await req.db.query(`SELECT * FROM items WHERE id = $1`, [req.params.id]);
         if (!rows.length) return res.status(404).json({ error: 'Item not found' });
         res.json(rows[0]);
     } catch (err) { res.status(500).json({ error: err.message }); }
@@ -72,31 +74,39 @@ router.get('/:id', async (req, res) => {
 // POST /api/items
 router.post('/', validate(CreateItemSchema), async (req, res) => {
     const {
-        code, name, description, unit_of_measure, cost_method,
+        code, name, description, unit_of_measure,
         standard_cost, sale_price, reorder_point, reorder_qty, lead_time_days,
-        category, upc_code, weight_lb, country_of_origin,
+        category, upc_code, weight_lb, country_of_origin, is_serial_tracked,
+        is_lot_tracked, shelf_life_days, kit_type,
     } = req.body;
 
     try {
-        const { rows } = await query(
+        await kits.assertKitType(req.db, req.body);
+        const cost_method = req.body.cost_method
+            || await costing.defaultMethod(req.db, req.user?.companyId);
+        const { rows } = await req.db.query(
             `INSERT INTO items
                 (code, name, description, unit_of_measure, cost_method, standard_cost,
                  sale_price, reorder_point, reorder_qty, lead_time_days, category,
-                 upc_code, weight_lb, country_of_origin)
-             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+                 upc_code, weight_lb, country_of_origin, is_serial_tracked,
+                 is_lot_tracked, shelf_life_days, kit_type)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18)
              RETURNING *`,
             [code, name, description ?? null, unit_of_measure, cost_method,
              standard_cost, sale_price, reorder_point, reorder_qty, lead_time_days,
-             category ?? null, upc_code ?? null, weight_lb ?? null, country_of_origin ?? null]
+             category ?? null, upc_code ?? null, weight_lb ?? null, country_of_origin ?? null,
+             is_serial_tracked, is_lot_tracked, shelf_life_days ?? null, kit_type ?? null]
         );
         res.status(201).json(rows[0]);
     } catch (err) {
         if (err.code === '23505') return res.status(409).json({ error: 'Item code already exists' });
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
 // PATCH /api/items/:id
+// Changing cost_method re-bases the item's cost layers (see lib/costing.js);
+// kit_type is checked against the item as saved (see lib/kits.js).
 router.patch('/:id', validate(PatchItemSchema), async (req, res) => {
     const fields = Object.keys(req.body);
     if (!fields.length) return res.status(400).json({ error: 'No valid fields to update' });
@@ -104,31 +114,76 @@ router.patch('/:id', validate(PatchItemSchema), async (req, res) => {
     const sets   = fields.map((f, i) => `${f} = $${i + 2}`).join(', ');
     const values = fields.map(f => req.body[f]);
 
+    const client = await req.db.connect();
     try {
-        const { rows } = await query(
+        await client.query('BEGIN');
+        const { rows: [before] } = await client.query(
+            `SELECT cost_method FROM items WHERE id = $1 FOR UPDATE`, [req.params.id]
+        );
+        if (!before) throw Object.assign(new Error('Item not found'), { status: 404 });
+
+        let { rows: [item] } = await client.query(
             `UPDATE items SET ${sets}, updated_at = NOW() WHERE id = $1 RETURNING *`,
             [req.params.id, ...values]
         );
-        if (!rows.length) return res.status(404).json({ error: 'Item not found' });
-        res.json(rows[0]);
+        await kits.assertKitType(client, item);
+        if (req.body.cost_method && req.body.cost_method !== before.cost_method) {
+            await costing.changeMethod(client, req.params.id, req.body.cost_method);
+            ({ rows: [item] } = await client.query(`SELECT * FROM items WHERE id = $1`, [req.params.id]));
+        }
+
+        await client.query('COMMIT');
+        res.json(item);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ error: err.message });
+    } finally { client.release(); }
+});
+
+// GET /api/items/:id/components — a kit's bill of materials
+router.get('/:id/components', async (req, res) => {
+    try {
+        const { rows: [item] } = await req.db.query(
+            `SELECT id, code, name, kit_type FROM items WHERE id = $1`, [req.params.id]
+        );
+        if (!item) return res.status(404).json({ error: 'Item not found' });
+        res.json({ ...item, components: await kits.components(req.db, item.id) });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// PUT /api/items/:id/components — replace a kit's bill of materials. Sales
+// and assembly orders already entered keep the components they were given.
+router.put('/:id/components', requireRole('admin', 'manager'), validate(KitComponentsSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const components = await kits.setComponents(client, req.params.id, req.body.components);
+        await client.query('COMMIT');
+        const { rows: [item] } = await req.db.query(
+            `SELECT id, code, name, kit_type FROM items WHERE id = $1`, [req.params.id]
+        );
+        res.json({ ...item, components });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ error: err.message });
+    } finally { client.release(); }
+});
+
 // DELETE /api/items/:id — soft-delete (set is_active = false) if has stock history
 router.delete('/:id', requireUserRole('admin', 'manager'), async (req, res) => {
     try {
-        const { rows: stockRows } = await query(
+        const { rows: stockRows } = await req.db.query(
             `SELECT COUNT(*) AS cnt FROM stock_ledger WHERE item_id = $1`, [req.params.id]
         );
         if (parseInt(stockRows[0].cnt, 10) > 0) {
-            const { rows } = await query(
+            const { rows } = await req.db.query(
                 `UPDATE items SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING id, code, name`,
                 [req.params.id]
             );
             if (!rows.length) return res.status(404).json({ success: false, error: 'Item not found' });
             return res.json({ success: true, data: rows[0], message: 'Item deactivated (has stock history)' });
         }
-        const { rows } = await query(`DELETE FROM items WHERE id = $1 RETURNING id`, [req.params.id]);
+        const { rows } = await req.db.query(`DELETE FROM items WHERE id = $1 RETURNING id`, [req.params.id]);
         if (!rows.length) return res.status(404).json({ success: false, error: 'Item not found' });
         res.json({ success: true, data: { id: req.params.id } });
     } catch (err) {
@@ -5,7 +5,6 @@
 
 const { Router } = require('express');
 const XLSX       = require('xlsx');
-const { query }  = require('../db/pool');
 
 const router = Router();
 
@@ -119,12 +118,12 @@ router.post('/import-csv', async (req, res) => {
         try {
             if (table === 'items') {
                 if (!row.code || !row.name) throw new Error('code and name required');
-                await query(
+                await req.db.query(
                     `INSERT INTO items (code, name, description, unit_of_measure, standard_cost,
                                         sale_price, reorder_point, reorder_qty, category,
                                         upc_code, weight_lb, country_of_origin)
                      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
-                     ON CONFLICT (code) DO UPDATE
+                     ON CONFLICT (company_id, code) DO UPDATE
                        SET name=EXCLUDED.name, description=EXCLUDED.description,
                            standard_cost=EXCLUDED.standard_cost, sale_price=EXCLUDED.sale_price,
                            upc_code=COALESCE(EXCLUDED.upc_code,items.upc_code),
@@ -138,11 +137,11 @@ router.post('/import-csv', async (req, res) => {
                 );
             } else if (table === 'customers') {
                 if (!row.code || !row.name) throw new Error('code and name required');
-                await query(
+                await req.db.query(
                     `INSERT INTO parties (type, code, name, email, phone,
                                           payment_terms_days, credit_limit, state_code, vip_tier)
                      VALUES ('customer',$1,$2,$3,$4,$5,$6,$7,$8)
-                     ON CONFLICT (code) DO UPDATE
+                     ON CONFLICT (company_id, code) DO UPDATE
                        SET name=EXCLUDED.name, email=EXCLUDED.email,
                            state_code=COALESCE(EXCLUDED.state_code,parties.state_code),
                            updated_at=NOW()`,
@@ -159,11 +158,11 @@ router.post('/import-csv', async (req, res) => {
                                        state: row.billing_address_state || '',
                                        zip:   row.billing_address_zip || '' })
                     : null;
-                await query(
+                await req.db.query(
                     `INSERT INTO parties (type, code, name, email, phone,
                                           payment_terms_days, billing_address)
                      VALUES ('vendor',$1,$2,$3,$4,$5,$6)
-                     ON CONFLICT (code) DO UPDATE
+                     ON CONFLICT (company_id, code) DO UPDATE
                        SET name=EXCLUDED.name, email=EXCLUDED.email, updated_at=NOW()`,
                     [row.code, row.name, row.email || null, row.phone || null,
                      parseInt(row.payment_terms_days) || 30, addr]
@@ -180,12 +179,12 @@ router.post('/import-csv', async (req, res) => {
 });
 
 // GET /api/migration/status
-router.get('/status', async (_req, res) => {
+router.get('/status', async (req, res) => {
     try {
         const [items, customers, vendors] = await Promise.all([
-            query(`SELECT COUNT(*) AS cnt FROM items WHERE is_active = true`),
-            query(`SELECT COUNT(*) AS cnt FROM parties WHERE type IN ('customer','both')`),
-            query(`SELECT COUNT(*) AS cnt FROM parties WHERE type IN ('vendor','both')`)
+            req.db.query(`SELECT COUNT(*) AS cnt FROM items WHERE is_active = true`),
+            req.db.query(`SELECT COUNT(*) AS cnt FROM parties WHERE type IN ('customer','both')`),
+            req.db.query(`SELECT COUNT(*) AS cnt FROM parties WHERE type IN ('vendor','both')`)
         ]);
         res.json({
             items:     parseInt(items.rows[0].cnt),
@@ -4,9 +4,13 @@
 // Pick List Workflow — Task 9
 
 const { Router } = require('express');
-const { query, pool } = require('../db/pool');
 const { validate } = require('../middleware/validate');
 const { parsePage, paginate } = require('../lib/pagination');
+const serials = require('../lib/serials');
+const lots = require('../lib/lots');
+const bins = require('../lib/bins');
+const kits = require('../lib/kits');
+const numbering = require('../lib/numbering');
 const { z } = require('zod');
 
 const router = Router();
@@ -25,19 +29,36 @@ const UpdatePickLineSchema = z.object({
     qty_picked:  z.coerce.number().nonnegative(),
     status:      z.enum(['open','picked','short','skipped']).optional(),
     bin_location:z.string().trim().optional(),
+    bin_id:      UUID.optional(),
     notes:       z.string().trim().optional(),
+    serial_numbers: z.array(z.string().trim().min(1).max(80)).optional(),
 });
 
-// ── Number generator ──────────────────────────────────────────────────────────
-async function nextPickNumber(client) {
-    const year = new Date().getFullYear();
-    const pfx  = `PL-${year}-`;
-    const { rows } = await client.query(
-        `SELECT number FROM pick_lists WHERE number LIKE $1 ORDER BY number DESC LIMIT 1`,
-        [`${pfx}%`]
-    );
-    const seq = rows.length === 0 ? 1 : parseInt(rows[0].number.split('-').pop(), 10) + 1;
-    return `${pfx}${String(seq).padStart(5, '0')}`;
+// ── FEFO lot suggestions ──────────────────────────────────────────────────────
+// Lot-tracked lines get the lots to pull, earliest expiry first (expired lots skipped).
+async function withLotSuggestions(client, lines, warehouseId) {
+    const tracked = await lots.trackedItemIds(client, lines.map(l => l.item_id));
+    return Promise.all(lines.map(async l => {
+        if (!tracked.has(l.item_id)) return { ...l, suggested_lots: null };
+        const left = parseFloat(l.qty_to_pick) - parseFloat(l.qty_picked || 0);
+        const { lots: suggested, shortfall } = await lots.suggest(client, {
+            itemId: l.item_id, warehouseId, qty: Math.max(left, 0),
+        });
+        return { ...l, suggested_lots: suggested, lot_shortfall: shortfall };
+    }));
+}
+
+// ── Bin to pick from ──────────────────────────────────────────────────────────
+// First bin on the walking path that covers the line (else the first holding any);
+// lot-tracked items look only at bins holding the first FEFO lot.
+async function pickBin(client, { itemId, warehouseId, qty, lotTracked }) {
+    let lotNumber;
+    if (lotTracked) {
+        const { lots: fefo } = await lots.suggest(client, { itemId, warehouseId, qty });
+        if (fefo.length) lotNumber = fefo[0].lot_number;
+    }
+    const stocked = await bins.stockedBins(client, { itemId, warehouseId, lotNumber });
+    return stocked.find(b => b.qty >= qty) || stocked[0] || null;
 }
 
 // ── GET /api/picklists ────────────────────────────────────────────────────────
@@ -51,10 +72,10 @@ router.get('/', async (req, res) => {
         if (sales_order_id) { params.push(sales_order_id); conds.push(`pl.sales_order_id = $${params.length}`); }
         const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
 
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM pick_lists pl ${where}`, params
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT pl.*,
                     so.number AS order_number,
                     p.name AS customer_name,
@@ -79,7 +100,7 @@ router.get('/', async (req, res) => {
 // ── GET /api/picklists/:id ────────────────────────────────────────────────────
 router.get('/:id', async (req, res) => {
     try {
-        const { rows: [pl] } = await query(
+        const { rows: [pl] } = await req.db.query(
             `SELECT pl.*,
                     so.number AS order_number,
                     p.name AS customer_name, p.code AS customer_code,
@@ -92,19 +113,23 @@ router.get('/:id', async (req, res) => {
         );
         if (!pl) return res.status(404).json({ success: false, error: 'Pick list not found' });
 
-        const { rows: lines } = await query(
+        const { rows: lines } = await req.db.query(
             `SELECT pll.*, i.code AS item_code, i.name AS item_name,
-                    i.unit_of_measure, i.upc_code,
-                    COALESCE(av.qty_available, 0) AS stock_available
+                    i.unit_of_measure, i.upc_code, i.is_serial_tracked,
+                    COALESCE(av.qty_available, 0) AS stock_available,
+                    b.code AS bin_code, b.zone, b.aisle, b.shelf,
+                    (SELECT array_agg(sn.serial_number ORDER BY sn.serial_number)
+                     FROM serial_numbers sn WHERE sn.pick_list_line_id = pll.id) AS serial_numbers
              FROM   pick_list_lines pll
              JOIN   items i ON i.id = pll.item_id
+             LEFT JOIN bins b ON b.id = pll.bin_id
              LEFT JOIN v_stock_availability av
                     ON av.item_id = pll.item_id AND av.warehouse_id = $2
              WHERE  pll.pick_list_id = $1
-             ORDER  BY pll.line_number`,
+             ORDER  BY ${bins.WALK_ORDER}, pll.line_number`,
             [req.params.id, pl.warehouse_id]
         );
-        res.json({ success: true, data: { ...pl, lines } });
+        res.json({ success: true, data: { ...pl, lines: await withLotSuggestions(req.db, lines, pl.warehouse_id) } });
     } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
@@ -112,7 +137,7 @@ router.get('/:id', async (req, res) => {
 router.post('/', validate(CreatePickListSchema), async (req, res) => {
     const { sales_order_id, assigned_to, notes, created_by } = req.body;
 
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
 
@@ -146,7 +171,7 @@ router.post('/', validate(CreatePickListSchema), async (req, res) => {
         if (!openLines.length)
             throw Object.assign(new Error('No open lines to pick for this order'), { status: 400 });
 
-        const number = await nextPickNumber(client);
+        const number = await numbering.next(client, 'pick_list');
 
         const { rows: [pl] } = await client.query(
             `INSERT INTO pick_lists
@@ -156,15 +181,33 @@ router.post('/', validate(CreatePickListSchema), async (req, res) => {
              assigned_to || null, notes || null, created_by || null]
         );
 
-        for (let idx = 0; idx < openLines.length; idx++) {
-            const sol = openLines[idx];
-            const qtyToPick = parseFloat(sol.qty_ordered) - parseFloat(sol.qty_shipped);
-            if (qtyToPick <= 0) continue;
+        // Bundle lines are picked as their components, each on a line of its own
+        const exploded = await kits.orderComponents(client, openLines.map(l => l.id));
+        const toPick = [];
+        for (const sol of openLines) {
+            const left = parseFloat(sol.qty_ordered) - parseFloat(sol.qty_shipped);
+            if (left <= 0) continue;
+            const parts = exploded.get(sol.id);
+            if (!parts) { toPick.push({ sol, itemId: sol.item_id, qty: left }); continue; }
+            for (const c of parts) {
+                toPick.push({ sol, itemId: c.component_item_id, qty: Math.round(left * parseFloat(c.qty_per) * 10000) / 10000 });
+            }
+        }
+        const lotTracked = await lots.trackedItemIds(client, toPick.map(p => p.itemId));
+
+        for (let idx = 0; idx < toPick.length; idx++) {
+            const { sol, itemId, qty: qtyToPick } = toPick[idx];
+            const bin = await pickBin(client, {
+                itemId, warehouseId: order.warehouse_id, qty: qtyToPick,
+                lotTracked: lotTracked.has(itemId),
+            });
             await client.query(
                 `INSERT INTO pick_list_lines
-                    (pick_list_id, sales_order_line_id, item_id, line_number, qty_to_pick)
-                 VALUES ($1,$2,$3,$4,$5)`,
-                [pl.id, sol.id, sol.item_id, idx + 1, qtyToPick]
+                    (pick_list_id, sales_order_line_id, item_id, line_number, qty_to_pick,
+                     bin_id, bin_location)
+                 VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+                [pl.id, sol.id, itemId, idx + 1, qtyToPick,
+                 bin ? bin.bin_id : null, bin ? bin.bin_code : null]
             );
         }
 
@@ -177,24 +220,57 @@ router.post('/', validate(CreatePickListSchema), async (req, res) => {
 });
 
 // ── PATCH /api/picklists/:id/lines/:lineId ────────────────────────────────────
+// Serial-tracked items must name one serial per unit picked (serial_numbers).
+// bin_id records a different bin than the one suggested; shipping takes stock from it.
 router.patch('/:id/lines/:lineId', validate(UpdatePickLineSchema), async (req, res) => {
-    const { qty_picked, status, bin_location, notes } = req.body;
+    const { qty_picked, status, bin_id, notes, serial_numbers } = req.body;
+    let { bin_location } = req.body;
+    const client = await req.db.connect();
     try {
-        const { rows: [line] } = await query(
+        await client.query('BEGIN');
+
+        if (bin_id) {
+            const { rows: [pl] } = await client.query(
+                `SELECT warehouse_id FROM pick_lists WHERE id = $1`, [req.params.id]
+            );
+            if (!pl) throw Object.assign(new Error('Pick list not found'), { status: 404 });
+            bin_location = (await bins.assertBin(client, bin_id, pl.warehouse_id)).code;
+        }
+
+        const { rows: [line] } = await client.query(
             `UPDATE pick_list_lines
              SET qty_picked    = $1,
                  status        = COALESCE($2, CASE WHEN $1 >= qty_to_pick THEN 'picked' WHEN $1 > 0 THEN 'picked' ELSE status END),
                  bin_location  = COALESCE($3, bin_location),
-                 notes         = COALESCE($4, notes)
+                 notes         = COALESCE($4, notes),
+                 bin_id        = COALESCE($7, bin_id)
              WHERE id = $5 AND pick_list_id = $6
              RETURNING *`,
             [qty_picked, status || null, bin_location || null, notes || null,
-             req.params.lineId, req.params.id]
+             req.params.lineId, req.params.id, bin_id || null]
         );
-        if (!line) return res.status(404).json({ success: false, error: 'Pick line not found' });
+        if (!line) throw Object.assign(new Error('Pick line not found'), { status: 404 });
+
+        const tracked = await serials.trackedItemIds(client, [line.item_id]);
+        const picked  = serials.forLine(
+            new Map([[line.id, serial_numbers || []]]), line.id, qty_picked,
+            tracked.has(line.item_id), 'pick line'
+        );
+        if (tracked.has(line.item_id)) {
+            const { rows: [pl] } = await client.query(
+                `SELECT pl.number, pl.warehouse_id FROM pick_lists pl WHERE pl.id = $1`, [req.params.id]
+            );
+            await serials.pick(client, {
+                itemId: line.item_id, warehouseId: pl.warehouse_id, pickLineId: line.id, serials: picked,
+                event: {
+                    referenceType: 'pick_list', referenceId: req.params.id, referenceLineId: line.id,
+                    referenceNumber: pl.number, userId: req.user?.userId,
+                },
+            });
+        }
 
         // Update pick list status based on lines
-        await query(
+        await client.query(
             `UPDATE pick_lists SET status = (
                 SELECT CASE
                     WHEN COUNT(*) FILTER (WHERE status IN ('picked')) = COUNT(*) THEN 'completed'
@@ -207,8 +283,12 @@ router.patch('/:id/lines/:lineId', validate(UpdatePickLineSchema), async (req, r
             [req.params.id]
         );
 
-        res.json({ success: true, data: line });
-    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+        await client.query('COMMIT');
+        res.json({ success: true, data: { ...line, serial_numbers: picked } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
 });
 
 // ── PATCH /api/picklists/:id — update status / assign ────────────────────────
@@ -222,7 +302,7 @@ router.patch('/:id', async (req, res) => {
         if (notes       !== undefined) { params.push(notes);       sets.push(`notes = $${params.length}`); }
         if (!sets.length) return res.status(400).json({ success: false, error: 'No fields to update' });
 
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `UPDATE pick_lists SET ${sets.join(', ')}, updated_at=NOW() WHERE id=$1 RETURNING *`,
             params
         );
@@ -234,7 +314,7 @@ router.patch('/:id', async (req, res) => {
 // ── GET /api/picklists/:id/print ──────────────────────────────────────────────
 router.get('/:id/print', async (req, res) => {
     try {
-        const { rows: [pl] } = await query(
+        const { rows: [pl] } = await req.db.query(
             `SELECT pl.*,
                     so.number AS order_number,
                     p.name AS customer_name, p.shipping_address,
@@ -247,15 +327,17 @@ router.get('/:id/print', async (req, res) => {
         );
         if (!pl) return res.status(404).json({ success: false, error: 'Pick list not found' });
 
-        const { rows: lines } = await query(
-            `SELECT pll.line_number, pll.qty_to_pick, pll.qty_picked, pll.status,
-                    pll.bin_location, i.code AS item_code, i.name AS item_name,
-                    i.unit_of_measure, i.upc_code
+        const { rows } = await req.db.query(
+            `SELECT pll.line_number, pll.item_id, pll.qty_to_pick, pll.qty_picked, pll.status,
+                    pll.bin_location, b.zone, b.aisle, b.shelf,
+                    i.code AS item_code, i.name AS item_name, i.unit_of_measure, i.upc_code
              FROM   pick_list_lines pll
              JOIN   items i ON i.id = pll.item_id
+             LEFT JOIN bins b ON b.id = pll.bin_id
              WHERE  pll.pick_list_id = $1
-             ORDER  BY pll.line_number`, [req.params.id]
+             ORDER  BY ${bins.WALK_ORDER}, pll.line_number`, [req.params.id]
         );
+        const lines = await withLotSuggestions(req.db, rows, pl.warehouse_id);
 
         if (req.query.format !== 'html') return res.json({ pick_list: pl, lines });
 
@@ -268,6 +350,9 @@ router.get('/:id/print', async (req, res) => {
               <td>${esc(l.item_code)}</td>
               <td>${esc(l.item_name)}</td>
               <td>${esc(l.bin_location) || '—'}</td>
+              <td>${l.suggested_lots
+                    ? l.suggested_lots.map(s => `${esc(s.lot_number || 'no lot')}${s.expiry_date ? ` <small>exp ${esc(s.expiry_date)}</small>` : ''} × ${esc(s.qty)}`).join('<br>') || '—'
+                    : '—'}</td>
               <td>${esc(l.upc_code) || '—'}</td>
               <td style="text-align:right">${esc(l.qty_to_pick)} ${esc(l.unit_of_measure)}</td>
               <td style="width:70px;border-bottom:1px solid #ccc">&nbsp;</td>
@@ -304,7 +389,7 @@ router.get('/:id/print', async (req, res) => {
   <div class="meta-item"><label>Created</label><span>${fmtDate(pl.created_at)}</span></div>
 </div>
 <table>
-  <thead><tr><th>#</th><th>SKU</th><th>Item Name</th><th>Bin</th><th>UPC</th><th>Qty to Pick</th><th>Picked ✓</th></tr></thead>
+  <thead><tr><th>#</th><th>SKU</th><th>Item Name</th><th>Bin</th><th>Lot (FEFO)</th><th>UPC</th><th>Qty to Pick</th><th>Picked ✓</th></tr></thead>
   <tbody>${lineRows}</tbody>
 </table>
 </div></body></html>`;
@@ -2,11 +2,15 @@
 
 // routes/pricing.routes.js
 // VIP pricing resolution, price locks, cost updates, change log
+//
+// Prices resolve in the customer's currency: locks are kept in it, only price
+// lists in it apply, and item sale prices (base currency) are converted at
+// the day's rate.
 
 const { Router } = require('express');
-const { query, pool }   = require('../db/pool');
 const { validate }      = require('../middleware/validate');
 const { requireUserRole } = require('../middleware/roles');
+const fx                = require('../lib/fx');
 const {
     LockPriceSchema, UnlockPriceSchema, UpdateCostSchema, ConfirmCostSchema,
 } = require('../lib/schemas');
@@ -15,21 +19,29 @@ const router = Router();
 
 // ── Internal helpers ──────────────────────────────────────────────────────────
 
-async function resolvePriceForCustomer(customerId, itemId, qty, date) {
+async function customerCurrency(client, customerId) {
+    const { rows: [cust] } = customerId
+        ? await client.query(`SELECT currency FROM parties WHERE id = $1`, [customerId])
+        : { rows: [] };
+    return cust?.currency || fx.baseCurrency(client);
+}
+
+async function resolvePriceForCustomer(client, customerId, itemId, qty, date) {
     const checkDate = date || new Date().toISOString().slice(0, 10);
+    const currency  = await customerCurrency(client, customerId);
 
     if (customerId) {
-        const { rows: locked } = await query(
+        const { rows: locked } = await client.query(
             `SELECT locked_price, lock_reason FROM customer_item_price_locks
              WHERE customer_id = $1 AND item_id = $2 AND is_active = true`,
             [customerId, itemId]
         );
         if (locked.length) {
-            return { price: locked[0].locked_price, source: 'locked',
+            return { price: locked[0].locked_price, currency, source: 'locked',
                      is_locked: true, lock_reason: locked[0].lock_reason };
         }
 
-        const { rows } = await query(
+        const { rows } = await client.query(
             `SELECT pli.price
              FROM   customer_price_lists cpl
              JOIN   price_list_items pli ON pli.price_list_id = cpl.price_list_id
@@ -41,19 +53,21 @@ async function resolvePriceForCustomer(customerId, itemId, qty, date) {
                AND  (pli.valid_to   IS NULL OR pli.valid_to   >= $4)
                AND  (pl.valid_from  IS NULL OR pl.valid_from  <= $4)
                AND  (pl.valid_to    IS NULL OR pl.valid_to    >= $4)
+               AND  pl.currency = $5
              ORDER  BY cpl.priority ASC, pli.min_qty DESC
              LIMIT  1`,
-            [customerId, itemId, qty, checkDate]
+            [customerId, itemId, qty, checkDate, currency]
         );
         if (rows.length) {
-            return { price: rows[0].price, source: 'price_list', is_locked: false };
+            return { price: rows[0].price, currency, source: 'price_list', is_locked: false };
         }
     }
 
-    const { rows: [item] } = await query(
+    const { rows: [item] } = await client.query(
         `SELECT sale_price AS price FROM items WHERE id = $1`, [itemId]
     );
-    return { price: item ? item.price : 0, source: 'default', is_locked: false };
+    const rate = await fx.rateOn(client, currency, checkDate);
+    return { price: item ? fx.fromBase(item.price, rate) : 0, currency, source: 'default', is_locked: false };
 }
 
 // ── Routes ────────────────────────────────────────────────────────────────────
@@ -63,19 +77,19 @@ router.get('/resolve', async (req, res) => {
     const { customerId, itemId, qty = 1, date } = req.query;
     if (!itemId) return res.status(400).json({ error: 'itemId required' });
     try {
-        const result = await resolvePriceForCustomer(customerId, itemId, qty, date);
+        const result = await resolvePriceForCustomer(req.db, customerId, itemId, qty, date);
         res.json(result);
-    } catch (err) { res.status(500).json({ error: err.message }); }
+    } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
 });
 
 // GET /api/pricing/customer/:customerId
 router.get('/customer/:customerId', async (req, res) => {
     try {
-        const { rows: items } = await query(
+        const { rows: items } = await req.db.query(
             `SELECT i.id, i.code, i.name, i.sale_price, i.standard_cost, i.category
              FROM items i WHERE i.is_active = true ORDER BY i.category, i.code`
         );
-        const { rows: locks } = await query(
+        const { rows: locks } = await req.db.query(
             `SELECT item_id, locked_price, lock_reason, locked_at
              FROM customer_item_price_locks
              WHERE customer_id = $1 AND is_active = true`,
@@ -83,16 +97,19 @@ router.get('/customer/:customerId', async (req, res) => {
         );
         const lockMap = {};
         for (const l of locks) lockMap[l.item_id] = l;
+        const currency = await customerCurrency(req.db, req.params.customerId);
+        const rate     = await fx.rateOn(req.db, currency);
 
-        const { rows: priceLists } = await query(
+        const { rows: priceLists } = await req.db.query(
             `SELECT pli.item_id, pli.price
              FROM customer_price_lists cpl
              JOIN price_list_items pli ON pli.price_list_id = cpl.price_list_id
              JOIN price_lists pl ON pl.id = cpl.price_list_id
              WHERE cpl.customer_id = $1
                AND (pl.valid_to IS NULL OR pl.valid_to >= CURRENT_DATE)
+               AND pl.currency = $2
              ORDER BY cpl.priority ASC, pli.min_qty ASC`,
-            [req.params.customerId]
+            [req.params.customerId, currency]
         );
         const listMap = {};
         for (const p of priceLists) {
@@ -101,25 +118,25 @@ router.get('/customer/:customerId', async (req, res) => {
 
         const result = items.map(item => {
             if (lockMap[item.id]) {
-                return { ...item, price: lockMap[item.id].locked_price,
+                return { ...item, price: lockMap[item.id].locked_price, currency,
                          source: 'locked', is_locked: true,
                          lock_reason: lockMap[item.id].lock_reason,
                          locked_at: lockMap[item.id].locked_at };
             }
             if (listMap[item.id]) {
-                return { ...item, price: listMap[item.id], source: 'price_list', is_locked: false };
+                return { ...item, price: listMap[item.id], currency, source: 'price_list', is_locked: false };
             }
-            return { ...item, price: item.sale_price, source: 'default', is_locked: false };
+            return { ...item, price: fx.fromBase(item.sale_price, rate), currency, source: 'default', is_locked: false };
         });
         res.json(result);
-    } catch (err) { res.status(500).json({ error: err.message }); }
+    } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
 });
 
 // POST /api/pricing/lock
 router.post('/lock', validate(LockPriceSchema), async (req, res) => {
     const { customerId, itemId, lockedPrice, reason, lockedBy } = req.body;
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `INSERT INTO customer_item_price_locks
                 (customer_id, item_id, locked_price, lock_reason, locked_by, is_active)
              VALUES ($1,$2,$3,$4,$5,true)
@@ -137,7 +154,7 @@ router.post('/lock', validate(LockPriceSchema), async (req, res) => {
 router.post('/unlock', validate(UnlockPriceSchema), async (req, res) => {
     const { customerId, itemId } = req.body;
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `UPDATE customer_item_price_locks SET is_active = false
              WHERE customer_id = $1 AND item_id = $2 RETURNING *`,
             [customerId, itemId]
@@ -151,7 +168,7 @@ router.post('/unlock', validate(UnlockPriceSchema), async (req, res) => {
 router.post('/update-cost', validate(UpdateCostSchema), async (req, res) => {
     const { itemId, newCost, notes } = req.body;
     try {
-        const { rows: [item] } = await query(
+        const { rows: [item] } = await req.db.query(
             `SELECT id, code, name, standard_cost, sale_price FROM items WHERE id = $1`, [itemId]
         );
         if (!item) return res.status(404).json({ error: 'Item not found' });
@@ -165,7 +182,7 @@ router.post('/update-cost', validate(UpdateCostSchema), async (req, res) => {
             : oldSalePrice;
         const old_margin_pct = oldCost > 0 ? ((oldSalePrice - oldCost) / oldCost * 100).toFixed(2) : null;
 
-        const { rows: [counts] } = await query(
+        const { rows: [counts] } = await req.db.query(
             `SELECT
                 COUNT(*) FILTER (WHERE cipl.is_active = true) AS locked_count,
                 COUNT(DISTINCT pli.id) FILTER (WHERE cipl.id IS NULL OR cipl.is_active = false) AS list_count
@@ -196,7 +213,7 @@ router.post('/update-cost', validate(UpdateCostSchema), async (req, res) => {
 router.post('/update-cost/:itemId/confirm', requireUserRole('admin', 'manager'), validate(ConfirmCostSchema), async (req, res) => {
     const { newCost, newSalePrice, notes, changedBy } = req.body;
 
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
 
@@ -264,9 +281,9 @@ router.post('/update-cost/:itemId/confirm', requireUserRole('admin', 'manager'),
 });
 
 // GET /api/pricing/change-log
-router.get('/change-log', async (_req, res) => {
+router.get('/change-log', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT pcl.*, i.code AS item_code, i.name AS item_name, u.name AS changed_by_name
              FROM price_change_log pcl
              JOIN items i ON i.id = pcl.item_id
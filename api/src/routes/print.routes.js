@@ -1,89 +1,40 @@
 'use strict';
 
 // routes/print.routes.js
-// Print data endpoints — JSON (legacy) + HTML print views
+// Print data endpoints — JSON (legacy), HTML print views (format=html) and
+// server-rendered PDFs (format=pdf, lib/pdf.js), plus stored PDF copies.
 
 const { Router } = require('express');
-const { query }  = require('../db/pool');
+const { validate } = require('../middleware/validate');
+const { parsePage, paginate } = require('../lib/pagination');
+const documents  = require('../lib/documents');
+const pdf        = require('../lib/pdf');
+const { StoreDocumentFileSchema } = require('../lib/schemas');
 
 const router = Router();
 
-// ── Shared HTML shell ─────────────────────────────────────────────────────────
-function printPage(title, body) {
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width,initial-scale=1">
-<title>${title} — Tick Tock Inc.</title>
-<style>
-  *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
-  body { font-family: 'Segoe UI', Arial, sans-serif; font-size: 13px; color: #1a1a2e; background: #f8f9fa; }
-  .page { max-width: 860px; margin: 24px auto; background: #fff; border: 1px solid #dee2e6; border-radius: 6px; padding: 40px 48px; }
-  .header { display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 32px; border-bottom: 2px solid #0d1b3e; padding-bottom: 20px; }
-  .company h1 { font-size: 22px; font-weight: 700; color: #0d1b3e; letter-spacing: 1px; }
-  .company p  { font-size: 11px; color: #6c757d; margin-top: 2px; }
-  .doc-meta   { text-align: right; }
-  .doc-meta .doc-number { font-size: 20px; font-weight: 700; color: #0d1b3e; }
-  .doc-meta .doc-label  { font-size: 10px; text-transform: uppercase; letter-spacing: 1px; color: #6c757d; }
-  .doc-meta .badge { display: inline-block; margin-top: 6px; padding: 3px 10px; border-radius: 12px; font-size: 11px; font-weight: 600; background: #e7f3fe; color: #0d6efd; }
-  .parties { display: grid; grid-template-columns: 1fr 1fr; gap: 32px; margin-bottom: 28px; }
-  .party h3 { font-size: 10px; text-transform: uppercase; letter-spacing: 1px; color: #6c757d; margin-bottom: 6px; }
-  .party p  { font-size: 13px; line-height: 1.6; }
-  .meta-row { display: flex; gap: 32px; margin-bottom: 24px; flex-wrap: wrap; }
-  .meta-item label { font-size: 10px; text-transform: uppercase; letter-spacing: 1px; color: #6c757d; display: block; }
-  .meta-item span  { font-size: 13px; font-weight: 500; }
-  table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
-  thead th { background: #0d1b3e; color: #fff; padding: 9px 12px; text-align: left; font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px; }
-  thead th.r { text-align: right; }
-  tbody tr:nth-child(even) { background: #f8f9fa; }
-  tbody td { padding: 9px 12px; border-bottom: 1px solid #e9ecef; vertical-align: top; }
-  tbody td.r { text-align: right; }
-  tfoot td { padding: 8px 12px; font-weight: 600; border-top: 2px solid #dee2e6; }
-  tfoot td.r { text-align: right; }
-  .totals { margin-left: auto; width: 280px; border-collapse: collapse; }
-  .totals td { padding: 5px 8px; }
-  .totals .label { color: #6c757d; }
-  .totals .grand { font-size: 15px; font-weight: 700; color: #0d1b3e; border-top: 2px solid #0d1b3e; }
-  .notes { background: #f8f9fa; border-left: 3px solid #0d1b3e; padding: 12px 16px; border-radius: 0 4px 4px 0; margin-top: 16px; font-size: 12px; color: #495057; }
-  .footer { text-align: center; margin-top: 32px; font-size: 11px; color: #adb5bd; border-top: 1px solid #dee2e6; padding-top: 16px; }
-  .print-btn { position: fixed; top: 20px; right: 20px; padding: 10px 20px; background: #0d1b3e; color: #fff; border: none; border-radius: 6px; font-size: 14px; font-weight: 600; cursor: pointer; box-shadow: 0 2px 8px rgba(0,0,0,.3); }
-  .print-btn:hover { background: #1a3060; }
-  @media print {
-    .print-btn { display: none; }
-    body { background: #fff; }
-    .page { margin: 0; border: none; border-radius: 0; padding: 20px; max-width: 100%; box-shadow: none; }
-  }
-</style>
-</head>
-<body>
-<button class="print-btn no-print" onclick="window.print()">🖨 Print</button>
-<div class="page">${body}</div>
-<script>
-  // Auto-print if ?autoprint=1
-  if (new URLSearchParams(location.search).get('autoprint') === '1') window.print();
-</script>
-</body>
-</html>`;
-}
-
-function fmtMoney(v) { return v == null ? '—' : '$' + parseFloat(v).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ','); }
-function fmtDate(d)  { if (!d) return '—'; const dt = new Date(d); return (dt.getMonth()+1)+'/'+(dt.getDate())+'/'+(dt.getFullYear()); }
-function esc(s)      { return s == null ? '' : String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
-
-function addrBlock(a) {
-    if (!a) return '';
-    if (typeof a === 'string') try { a = JSON.parse(a); } catch { return esc(a); }
-    return [a.line1, a.line2, a.city && (a.city + (a.state ? ', ' + a.state : '') + (a.zip ? ' ' + a.zip : '')), a.country]
-        .filter(Boolean).join('<br>');
+const printPage = documents.page;
+const printable = req => req.query.format === 'html' || req.query.format === 'pdf';
+
+// HTML or PDF of a loaded document; download=1 asks the browser to save the PDF
+async function sendPrint(req, res, docType, doc) {
+    if (req.query.format === 'pdf') {
+        const file = await pdf.render(req.db, doc);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition',
+            `${req.query.download === '1' ? 'attachment' : 'inline'}; filename="${documents.fileName(docType, doc)}"`);
+        return res.send(file.content);
+    }
+    res.setHeader('Content-Type', 'text/html');
+    res.send(printPage(doc.title, doc.body));
 }
 
 // ── Invoice JSON (legacy) ─────────────────────────────────────────────────────
 router.get('/invoice/:id', async (req, res) => {
-    if (req.query.format !== 'html') {
+    if (!printable(req)) {
         // original JSON response
         try {
-            const { rows: [inv] } = await query(
+            const { rows: [inv] } = await req.db.query(
                 `SELECT si.*, p.name AS customer_name, p.code AS customer_code,
                         p.email AS customer_email, p.phone AS customer_phone,
                         p.billing_address, p.shipping_address,
@@ -96,7 +47,7 @@ router.get('/invoice/:id', async (req, res) => {
                  WHERE si.id = $1`, [req.params.id]
             );
             if (!inv) return res.status(404).json({ error: 'Invoice not found' });
-            const { rows: lines } = await query(
+            const { rows: lines } = await req.db.query(
                 `SELECT sol.line_number, sol.qty_ordered AS qty, sol.unit_price,
                         sol.discount_pct, sol.line_total,
                         i.code AS item_code, i.name AS item_name, i.unit_of_measure
@@ -110,587 +61,171 @@ router.get('/invoice/:id', async (req, res) => {
         } catch (err) { return res.status(500).json({ error: err.message }); }
     }
 
-    // HTML print view
+    // HTML / PDF print view
     try {
-        const { rows: [inv] } = await query(
-            `SELECT si.*, p.name AS customer_name, p.code AS customer_code,
-                    p.email AS customer_email, p.phone AS customer_phone,
-                    p.contact_name AS customer_contact,
-                    p.billing_address, p.shipping_address,
-                    so.number AS order_number, shp.number AS shipment_number,
-                    shp.carrier, shp.tracking_number
-             FROM sales_invoices si
-             JOIN parties p ON p.id = si.customer_id
-             LEFT JOIN sales_orders so ON so.id = si.sales_order_id
-             LEFT JOIN shipments shp ON shp.id = si.shipment_id
-             WHERE si.id = $1`, [req.params.id]
-        );
-        if (!inv) return res.status(404).json({ error: 'Invoice not found' });
-
-        const { rows: lines } = await query(
-            `SELECT sol.line_number, sl.qty_shipped AS qty, sol.unit_price,
-                    sol.discount_pct, sol.line_total,
-                    i.code AS item_code, i.name AS item_name, i.unit_of_measure
-             FROM shipment_lines sl
-             JOIN sales_order_lines sol ON sol.id = sl.sales_order_line_id
-             JOIN items i ON i.id = sl.item_id
-             WHERE sl.shipment_id = $1
-             ORDER BY sol.line_number`, [inv.shipment_id]
-        );
-
-        const lineRows = lines.map(l => `
-            <tr>
-              <td>${esc(l.line_number)}</td>
-              <td>${esc(l.item_code)}</td>
-              <td>${esc(l.item_name)}</td>
-              <td class="r">${esc(l.qty)} ${esc(l.unit_of_measure)}</td>
-              <td class="r">${fmtMoney(l.unit_price)}</td>
-              <td class="r">${l.discount_pct > 0 ? l.discount_pct + '%' : '—'}</td>
-              <td class="r">${fmtMoney(l.line_total)}</td>
-            </tr>`).join('');
-
-        const html = `
-<div class="header">
-  <div class="company"><h1>Tick Tock Inc.</h1><p>Wholesale Watch Distributor</p></div>
-  <div class="doc-meta">
-    <div class="doc-label">Invoice</div>
-    <div class="doc-number">${esc(inv.number)}</div>
-    <div class="badge">${esc(inv.status.toUpperCase())}</div>
-  </div>
-</div>
-<div class="parties">
-  <div class="party"><h3>Bill To</h3><p><strong>${esc(inv.customer_name)}</strong><br>${addrBlock(inv.billing_address)}</p></div>
-  <div class="party"><h3>Ship To</h3><p><strong>${esc(inv.customer_name)}</strong><br>${addrBlock(inv.shipping_address)}</p></div>
-</div>
-<div class="meta-row">
-  <div class="meta-item"><label>Invoice Date</label><span>${fmtDate(inv.invoice_date)}</span></div>
-  <div class="meta-item"><label>Due Date</label><span>${fmtDate(inv.due_date)}</span></div>
-  <div class="meta-item"><label>Order #</label><span>${esc(inv.order_number) || '—'}</span></div>
-  <div class="meta-item"><label>Shipment #</label><span>${esc(inv.shipment_number) || '—'}</span></div>
-  ${inv.carrier ? `<div class="meta-item"><label>Carrier</label><span>${esc(inv.carrier)}</span></div>` : ''}
-  ${inv.tracking_number ? `<div class="meta-item"><label>Tracking</label><span>${esc(inv.tracking_number)}</span></div>` : ''}
-</div>
-<table>
-  <thead><tr><th>#</th><th>SKU</th><th>Description</th><th class="r">Qty</th><th class="r">Unit Price</th><th class="r">Disc</th><th class="r">Total</th></tr></thead>
-  <tbody>${lineRows}</tbody>
-</table>
-<table class="totals">
-  <tr><td class="label">Subtotal</td><td class="r">${fmtMoney(inv.subtotal)}</td></tr>
-  <tr><td class="label">Tax</td><td class="r">${fmtMoney(inv.tax_amount)}</td></tr>
-  <tr class="grand"><td class="label"><strong>Total Due</strong></td><td class="r"><strong>${fmtMoney(inv.balance_due)}</strong></td></tr>
-</table>
-${inv.notes ? `<div class="notes"><strong>Notes:</strong> ${esc(inv.notes)}</div>` : ''}
-<div class="footer">Tick Tock Inc. &bull; Thank you for your business!</div>`;
-
-        res.setHeader('Content-Type', 'text/html');
-        res.send(printPage(`Invoice ${inv.number}`, html));
+        const doc = await documents.invoice(req.db, req.params.id);
+        if (!doc) return res.status(404).json({ error: 'Invoice not found' });
+        await sendPrint(req, res, 'invoice', doc);
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ── Pick-list / Shipment JSON (legacy) ────────────────────────────────────────
+// ── Pick-list / Shipment ──────────────────────────────────────────────────────
 router.get('/picklist/:shipmentId', async (req, res) => {
-    if (req.query.format !== 'html') {
-        try {
-            const { rows: [shp] } = await query(
-                `SELECT s.*, so.number AS order_number, so.notes AS order_notes,
-                        p.name AS customer_name, p.shipping_address,
-                        w.name AS warehouse_name, w.code AS warehouse_code
-                 FROM shipments s
-                 JOIN sales_orders so ON so.id = s.sales_order_id
-                 JOIN parties p ON p.id = so.customer_id
-                 JOIN warehouses w ON w.id = s.warehouse_id
-                 WHERE s.id = $1`, [req.params.shipmentId]
-            );
-            if (!shp) return res.status(404).json({ error: 'Shipment not found' });
-            const { rows: lines } = await query(
-                `SELECT sol.line_number, sl.qty_shipped,
-                        i.code AS item_code, i.name AS item_name,
-                        i.unit_of_measure, i.upc_code
-                 FROM shipment_lines sl
-                 JOIN sales_order_lines sol ON sol.id = sl.sales_order_line_id
-                 JOIN items i ON i.id = sl.item_id
-                 WHERE sl.shipment_id = $1
-                 ORDER BY sol.line_number`, [req.params.shipmentId]
-            );
-            return res.json({ shipment: shp, lines });
-        } catch (err) { return res.status(500).json({ error: err.message }); }
-    }
-
-    // HTML pick-list
     try {
-        const { rows: [shp] } = await query(
-            `SELECT s.*, so.number AS order_number, so.notes AS order_notes,
-                    p.name AS customer_name, p.shipping_address,
-                    w.name AS warehouse_name, w.code AS warehouse_code
-             FROM shipments s
-             JOIN sales_orders so ON so.id = s.sales_order_id
-             JOIN parties p ON p.id = so.customer_id
-             JOIN warehouses w ON w.id = s.warehouse_id
-             WHERE s.id = $1`, [req.params.shipmentId]
-        );
-        if (!shp) return res.status(404).json({ error: 'Shipment not found' });
-        const { rows: lines } = await query(
-            `SELECT sol.line_number, sl.qty_shipped,
-                    i.code AS item_code, i.name AS item_name,
-                    i.unit_of_measure, i.upc_code
-             FROM shipment_lines sl
-             JOIN sales_order_lines sol ON sol.id = sl.sales_order_line_id
-             JOIN items i ON i.id = sl.item_id
-             WHERE sl.shipment_id = $1
-             ORDER BY sol.line_number`, [req.params.shipmentId]
-        );
-
-        const lineRows = lines.map(l => `
-            <tr>
-              <td>${esc(l.line_number)}</td>
-              <td>${esc(l.item_code)}</td>
-              <td>${esc(l.item_name)}</td>
-              <td class="r">${esc(l.qty_shipped)} ${esc(l.unit_of_measure)}</td>
-              <td>${esc(l.upc_code) || '—'}</td>
-              <td style="width:80px;border-bottom:1px solid #ccc;">&nbsp;</td>
-            </tr>`).join('');
+        const doc = await documents.pickList(req.db, req.params.shipmentId);
+        if (!doc) return res.status(404).json({ error: 'Shipment not found' });
+        if (!printable(req)) return res.json({ shipment: doc.record, lines: doc.lines });
 
-        const html = `
-<div class="header">
-  <div class="company"><h1>Tick Tock Inc.</h1><p>Warehouse Pick List</p></div>
-  <div class="doc-meta">
-    <div class="doc-label">Shipment</div>
-    <div class="doc-number">${esc(shp.number)}</div>
-  </div>
-</div>
-<div class="parties">
-  <div class="party"><h3>Ship To</h3><p><strong>${esc(shp.customer_name)}</strong><br>${addrBlock(shp.shipping_address)}</p></div>
-  <div class="party"><h3>Warehouse</h3><p><strong>${esc(shp.warehouse_name)}</strong> (${esc(shp.warehouse_code)})</p></div>
-</div>
-<div class="meta-row">
-  <div class="meta-item"><label>Ship Date</label><span>${fmtDate(shp.ship_date)}</span></div>
-  <div class="meta-item"><label>Order #</label><span>${esc(shp.order_number)}</span></div>
-  ${shp.carrier ? `<div class="meta-item"><label>Carrier</label><span>${esc(shp.carrier)}</span></div>` : ''}
-</div>
-<table>
-  <thead><tr><th>#</th><th>SKU</th><th>Item Name</th><th class="r">Qty</th><th>UPC</th><th>Picked ✓</th></tr></thead>
-  <tbody>${lineRows}</tbody>
-</table>
-${shp.order_notes ? `<div class="notes"><strong>Notes:</strong> ${esc(shp.order_notes)}</div>` : ''}
-<div class="footer">Tick Tock Inc. &bull; Pick List</div>`;
-
-        res.setHeader('Content-Type', 'text/html');
-        res.send(printPage(`Pick List ${shp.number}`, html));
+        await sendPrint(req, res, 'pick_list', doc);
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // ── Purchase Order ────────────────────────────────────────────────────────────
 router.get('/purchase-order/:id', async (req, res) => {
     try {
-        const { rows: [po] } = await query(
-            `SELECT po.*, v.name AS vendor_name, v.code AS vendor_code,
-                    v.email AS vendor_email, v.phone AS vendor_phone,
-                    v.contact_name AS vendor_contact,
-                    v.billing_address AS vendor_address,
-                    w.name AS warehouse_name, w.address AS warehouse_address,
-                    u.name AS created_by_name
-             FROM purchase_orders po
-             JOIN parties v ON v.id = po.vendor_id
-             JOIN warehouses w ON w.id = po.warehouse_id
-             LEFT JOIN users u ON u.id = po.created_by
-             WHERE po.id = $1`, [req.params.id]
-        );
-        if (!po) return res.status(404).json({ error: 'PO not found' });
-        const { rows: lines } = await query(
-            `SELECT pol.line_number, pol.qty_ordered, pol.unit_cost, pol.line_total,
-                    pol.description, i.code AS item_code, i.name AS item_name,
-                    i.unit_of_measure, i.upc_code
-             FROM purchase_order_lines pol
-             JOIN items i ON i.id = pol.item_id
-             WHERE pol.purchase_order_id = $1
-             ORDER BY pol.line_number`, [req.params.id]
-        );
-
-        if (req.query.format !== 'html') return res.json({ po, lines });
+        const doc = await documents.purchaseOrder(req.db, req.params.id);
+        if (!doc) return res.status(404).json({ error: 'PO not found' });
+        if (!printable(req)) return res.json({ po: doc.record, lines: doc.lines });
 
-        const lineRows = lines.map(l => `
-            <tr>
-              <td>${esc(l.line_number)}</td>
-              <td>${esc(l.item_code)}</td>
-              <td>${esc(l.item_name)} ${l.description ? '<br><small style="color:#6c757d">'+esc(l.description)+'</small>' : ''}</td>
-              <td class="r">${esc(l.qty_ordered)} ${esc(l.unit_of_measure)}</td>
-              <td class="r">${fmtMoney(l.unit_cost)}</td>
-              <td class="r">${fmtMoney(l.line_total)}</td>
-            </tr>`).join('');
+        await sendPrint(req, res, 'purchase_order', doc);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-        const html = `
-<div class="header">
-  <div class="company"><h1>Tick Tock Inc.</h1><p>Purchase Order</p></div>
-  <div class="doc-meta">
-    <div class="doc-label">PO Number</div>
-    <div class="doc-number">${esc(po.number)}</div>
-    <div class="badge">${esc(po.status.toUpperCase())}</div>
-  </div>
-</div>
-<div class="parties">
-  <div class="party"><h3>Vendor</h3><p><strong>${esc(po.vendor_name)}</strong>${po.vendor_contact ? '<br>'+esc(po.vendor_contact) : ''}<br>${po.vendor_email || ''}<br>${po.vendor_phone || ''}<br>${addrBlock(po.vendor_address)}</p></div>
-  <div class="party"><h3>Ship To (Warehouse)</h3><p><strong>${esc(po.warehouse_name)}</strong>${po.warehouse_address ? '<br>'+esc(po.warehouse_address) : ''}</p></div>
-</div>
-<div class="meta-row">
-  <div class="meta-item"><label>Order Date</label><span>${fmtDate(po.order_date)}</span></div>
-  <div class="meta-item"><label>Expected</label><span>${fmtDate(po.expected_date)}</span></div>
-  ${po.created_by_name ? `<div class="meta-item"><label>Created By</label><span>${esc(po.created_by_name)}</span></div>` : ''}
-</div>
-<table>
-  <thead><tr><th>#</th><th>SKU</th><th>Description</th><th class="r">Qty</th><th class="r">Unit Cost</th><th class="r">Total</th></tr></thead>
-  <tbody>${lineRows}</tbody>
-</table>
-<table class="totals">
-  <tr class="grand"><td class="label"><strong>Total</strong></td><td class="r"><strong>${fmtMoney(po.total)}</strong></td></tr>
-</table>
-${po.notes ? `<div class="notes"><strong>Notes:</strong> ${esc(po.notes)}</div>` : ''}
-<div class="footer">Tick Tock Inc. &bull; Purchase Order</div>`;
+// ── Customer Statement ────────────────────────────────────────────────────────
+router.get('/statement/:customerId', async (req, res) => {
+    try {
+        const doc = await documents.statement(req.db, req.params.customerId);
+        if (!doc) return res.status(404).json({ error: 'Customer not found' });
+        if (!printable(req)) return res.json({ customer: doc.record, invoices: doc.lines });
 
-        res.setHeader('Content-Type', 'text/html');
-        res.send(printPage(`PO ${po.number}`, html));
+        await sendPrint(req, res, 'statement', doc);
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ── Sales Order ───────────────────────────────────────────────────────────────
-router.get('/sales-order/:id', async (req, res) => {
+// ── Activity Statement ────────────────────────────────────────────────────────
+// ?from=&to= (YYYY-MM-DD) — the period, month to date by default
+router.get('/activity-statement/:customerId', async (req, res) => {
+    const { from, to } = req.query;
+    if ([from, to].some(d => d !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(d)))
+        return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    if (from && to && from > to) return res.status(400).json({ error: 'from must not be after to' });
     try {
-        const { rows: [order] } = await query(
-            `SELECT so.*, p.name AS customer_name, p.code AS customer_code,
-                    p.email AS customer_email, p.phone AS customer_phone,
-                    p.contact_name AS customer_contact,
-                    p.billing_address, p.shipping_address,
-                    w.name AS warehouse_name, w.code AS warehouse_code,
-                    u.name AS created_by_name
-             FROM sales_orders so
-             JOIN parties p ON p.id = so.customer_id
-             JOIN warehouses w ON w.id = so.warehouse_id
-             LEFT JOIN users u ON u.id = so.created_by
-             WHERE so.id = $1`, [req.params.id]
-        );
-        if (!order) return res.status(404).json({ error: 'Sales order not found' });
-        const { rows: lines } = await query(
-            `SELECT sol.line_number, sol.qty_ordered, sol.qty_shipped, sol.unit_price,
-                    sol.discount_pct, sol.line_total, sol.description,
-                    i.code AS item_code, i.name AS item_name, i.unit_of_measure, i.upc_code
-             FROM sales_order_lines sol
-             JOIN items i ON i.id = sol.item_id
-             WHERE sol.sales_order_id = $1
-             ORDER BY sol.line_number`, [req.params.id]
-        );
+        const doc = await documents.activityStatement(req.db, req.params.customerId, { from, to });
+        if (!doc) return res.status(404).json({ error: 'Customer not found' });
+        if (!printable(req)) return res.json({ customer: doc.record, transactions: doc.lines });
 
-        if (req.query.format !== 'html') return res.json({ order, lines });
+        await sendPrint(req, res, 'activity_statement', doc);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-        const lineRows = lines.map(l => `
-            <tr>
-              <td>${esc(l.line_number)}</td>
-              <td>${esc(l.item_code)}</td>
-              <td>${esc(l.item_name)}</td>
-              <td class="r">${esc(l.qty_ordered)} ${esc(l.unit_of_measure)}</td>
-              <td class="r">${fmtMoney(l.unit_price)}</td>
-              <td class="r">${l.discount_pct > 0 ? l.discount_pct + '%' : '—'}</td>
-              <td class="r">${fmtMoney(l.line_total)}</td>
-            </tr>`).join('');
+// ── Dunning Letter ────────────────────────────────────────────────────────────
+router.get('/dunning-letter/:id', async (req, res) => {
+    try {
+        const doc = await documents.dunningLetter(req.db, req.params.id);
+        if (!doc) return res.status(404).json({ error: 'Dunning letter not found' });
+        if (!printable(req)) return res.json({ letter: doc.record, invoices: doc.lines });
 
-        const html = `
-<div class="header">
-  <div class="company"><h1>Tick Tock Inc.</h1><p>Sales Order</p></div>
-  <div class="doc-meta">
-    <div class="doc-label">Order Number</div>
-    <div class="doc-number">${esc(order.number)}</div>
-    <div class="badge">${esc(order.status.toUpperCase())}</div>
-  </div>
-</div>
-<div class="parties">
-  <div class="party"><h3>Bill To</h3><p><strong>${esc(order.customer_name)}</strong>${order.customer_contact ? '<br>'+esc(order.customer_contact) : ''}<br>${order.customer_email || ''}<br>${addrBlock(order.billing_address)}</p></div>
-  <div class="party"><h3>Ship To</h3><p><strong>${esc(order.customer_name)}</strong><br>${addrBlock(order.shipping_address)}</p></div>
-</div>
-<div class="meta-row">
-  <div class="meta-item"><label>Order Date</label><span>${fmtDate(order.order_date)}</span></div>
-  <div class="meta-item"><label>Req. Ship Date</label><span>${fmtDate(order.requested_ship_date)}</span></div>
-  <div class="meta-item"><label>Warehouse</label><span>${esc(order.warehouse_name)}</span></div>
-  ${order.created_by_name ? `<div class="meta-item"><label>Created By</label><span>${esc(order.created_by_name)}</span></div>` : ''}
-</div>
-<table>
-  <thead><tr><th>#</th><th>SKU</th><th>Description</th><th class="r">Qty</th><th class="r">Unit Price</th><th class="r">Disc</th><th class="r">Total</th></tr></thead>
-  <tbody>${lineRows}</tbody>
-</table>
-<table class="totals">
-  <tr><td class="label">Subtotal</td><td class="r">${fmtMoney(order.subtotal)}</td></tr>
-  <tr><td class="label">Tax (${order.tax_rate > 0 ? (order.tax_rate * 100).toFixed(2) + '%' : '0%'})</td><td class="r">${fmtMoney(order.tax_amount)}</td></tr>
-  <tr class="grand"><td class="label"><strong>Order Total</strong></td><td class="r"><strong>${fmtMoney(order.total)}</strong></td></tr>
-</table>
-${order.notes ? `<div class="notes"><strong>Notes:</strong> ${esc(order.notes)}</div>` : ''}
-<div class="footer">Tick Tock Inc. &bull; Sales Order</div>`;
+        await sendPrint(req, res, 'dunning_letter', doc);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-        res.setHeader('Content-Type', 'text/html');
-        res.send(printPage(`SO ${order.number}`, html));
+// ── Sales Order ───────────────────────────────────────────────────────────────
+router.get('/sales-order/:id', async (req, res) => {
+    try {
+        const doc = await documents.salesOrder(req.db, req.params.id);
+        if (!doc) return res.status(404).json({ error: 'Sales order not found' });
+        if (!printable(req)) return res.json({ order: doc.record, lines: doc.lines });
+
+        await sendPrint(req, res, 'sales_order', doc);
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // ── Adjustment ────────────────────────────────────────────────────────────────
 router.get('/adjustment/:id', async (req, res) => {
     try {
-        const { rows: [adj] } = await query(
-            `SELECT sa.*, w.name AS warehouse_name, w.code AS warehouse_code,
-                    u.name AS created_by_name
-             FROM stock_adjustments sa
-             JOIN warehouses w ON w.id = sa.warehouse_id
-             LEFT JOIN users u ON u.id = sa.created_by
-             WHERE sa.id = $1`, [req.params.id]
-        );
-        if (!adj) return res.status(404).json({ error: 'Adjustment not found' });
-        const { rows: lines } = await query(
-            `SELECT sal.*, i.code AS item_code, i.name AS item_name, i.unit_of_measure
-             FROM stock_adjustment_lines sal
-             JOIN items i ON i.id = sal.item_id
-             WHERE sal.adjustment_id = $1
-             ORDER BY i.code`, [req.params.id]
-        );
-
-        if (req.query.format !== 'html') return res.json({ adjustment: adj, lines });
-
-        const lineRows = lines.map(l => `
-            <tr>
-              <td>${esc(l.item_code)}</td>
-              <td>${esc(l.item_name)}</td>
-              <td class="r">${esc(l.qty_system)} ${esc(l.unit_of_measure)}</td>
-              <td class="r">${esc(l.qty_actual)} ${esc(l.unit_of_measure)}</td>
-              <td class="r" style="font-weight:600;color:${(l.qty_actual - l.qty_system) >= 0 ? '#198754' : '#dc3545'}">${(l.qty_actual - l.qty_system) >= 0 ? '+' : ''}${(l.qty_actual - l.qty_system).toFixed(4)}</td>
-              <td class="r">${fmtMoney(l.cost_per_unit)}</td>
-              <td>${esc(l.notes) || '—'}</td>
-            </tr>`).join('');
+        const doc = await documents.adjustment(req.db, req.params.id);
+        if (!doc) return res.status(404).json({ error: 'Adjustment not found' });
+        if (!printable(req)) return res.json({ adjustment: doc.record, lines: doc.lines });
 
-        const html = `
-<div class="header">
-  <div class="company"><h1>Tick Tock Inc.</h1><p>Inventory Adjustment</p></div>
-  <div class="doc-meta">
-    <div class="doc-label">Adjustment</div>
-    <div class="doc-number">${esc(adj.number || adj.id)}</div>
-    <div class="badge">${esc(adj.status.toUpperCase())}</div>
-  </div>
-</div>
-<div class="meta-row">
-  <div class="meta-item"><label>Date</label><span>${fmtDate(adj.adjustment_date)}</span></div>
-  <div class="meta-item"><label>Warehouse</label><span>${esc(adj.warehouse_name)} (${esc(adj.warehouse_code)})</span></div>
-  ${adj.created_by_name ? `<div class="meta-item"><label>Created By</label><span>${esc(adj.created_by_name)}</span></div>` : ''}
-  ${adj.reason ? `<div class="meta-item"><label>Reason</label><span>${esc(adj.reason)}</span></div>` : ''}
-</div>
-<table>
-  <thead><tr><th>SKU</th><th>Item Name</th><th class="r">System Qty</th><th class="r">Actual Qty</th><th class="r">Variance</th><th class="r">Cost/Unit</th><th>Notes</th></tr></thead>
-  <tbody>${lineRows}</tbody>
-</table>
-${adj.notes ? `<div class="notes"><strong>Notes:</strong> ${esc(adj.notes)}</div>` : ''}
-<div class="footer">Tick Tock Inc. &bull; Inventory Adjustment</div>`;
-
-        res.setHeader('Content-Type', 'text/html');
-        res.send(printPage(`Adjustment ${adj.number || adj.id}`, html));
+        await sendPrint(req, res, 'adjustment', doc);
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-// ── GET /api/print/packing-slip/:id ──────────────────────────────────────────
+// ── GET /api/print/packing-slip/:id ───────────────────────────────────────────
 router.get('/packing-slip/:id', async (req, res) => {
     try {
-        const { rows: [shp] } = await query(
-            `SELECT s.*,
-                    so.number AS order_number, so.shipping_address,
-                    p.name AS customer_name, p.code AS customer_code,
-                    p.shipping_address AS customer_shipping_address,
-                    w.name AS warehouse_name, w.code AS warehouse_code,
-                    w.address AS warehouse_address,
-                    sc.name AS carrier_name,
-                    sc.tracking_url_template
-             FROM   shipments s
-             JOIN   sales_orders so ON so.id = s.sales_order_id
-             JOIN   parties p ON p.id = so.customer_id
-             JOIN   warehouses w ON w.id = s.warehouse_id
-             LEFT JOIN shipping_carriers sc ON sc.code = s.carrier
-             WHERE  s.id = $1`, [req.params.id]
-        );
-        if (!shp) return res.status(404).json({ error: 'Shipment not found' });
+        const doc = await documents.packingSlip(req.db, req.params.id);
+        if (!doc) return res.status(404).json({ error: 'Shipment not found' });
+        if (!printable(req)) return res.json({ shipment: doc.record, lines: doc.lines });
 
-        const { rows: lines } = await query(
-            `SELECT sl.*, i.code AS item_code, i.name AS item_name,
-                    i.unit_of_measure, i.upc_code, i.weight_lb AS unit_weight_lb
-             FROM   shipment_lines sl
-             JOIN   items i ON i.id = sl.item_id
-             WHERE  sl.shipment_id = $1
-             ORDER  BY sl.line_number`, [req.params.id]
-        );
-
-        if (req.query.format !== 'html') return res.json({ shipment: shp, lines });
-
-        const trackingUrl = shp.tracking_url_template && shp.tracking_number
-            ? shp.tracking_url_template.replace('{tracking_number}', shp.tracking_number)
-            : null;
-
-        const totalQty = lines.reduce((s, l) => s + parseFloat(l.qty_shipped || 0), 0);
-        const totalWeight = lines.reduce((s, l) =>
-            s + parseFloat(l.qty_shipped || 0) * parseFloat(l.unit_weight_lb || 0), 0);
-
-        const lineRows = lines.map(l => `
-            <tr>
-              <td>${esc(l.line_number)}</td>
-              <td>${esc(l.item_code)}</td>
-              <td>${esc(l.item_name)}</td>
-              <td>${esc(l.upc_code) || '—'}</td>
-              <td class="r">${esc(l.qty_shipped)} ${esc(l.unit_of_measure)}</td>
-              <td class="r">${l.unit_weight_lb ? (parseFloat(l.qty_shipped) * parseFloat(l.unit_weight_lb)).toFixed(2) + ' lb' : '—'}</td>
-            </tr>`).join('');
-
-        const shipAddr = addrBlock(shp.shipping_address || shp.customer_shipping_address);
-        const fromAddr = addrBlock(shp.warehouse_address) || `${esc(shp.warehouse_name)} (${esc(shp.warehouse_code)})`;
-
-        const html = `
-<div class="header">
-  <div class="company"><h1>Tick Tock Inc.</h1><p>Packing Slip</p></div>
-  <div class="doc-meta">
-    <div class="doc-label">Shipment</div>
-    <div class="doc-number">${esc(shp.number)}</div>
-    <div class="badge">${esc(shp.status || '').toUpperCase()}</div>
-  </div>
-</div>
-<div class="parties">
-  <div class="party"><h3>Ship To</h3><p>${esc(shp.customer_name)} (${esc(shp.customer_code)})<br>${shipAddr || '—'}</p></div>
-  <div class="party"><h3>Ship From</h3><p>${fromAddr}</p></div>
-</div>
-<div class="meta-row">
-  <div class="meta-item"><label>Order #</label><span>${esc(shp.order_number)}</span></div>
-  <div class="meta-item"><label>Ship Date</label><span>${fmtDate(shp.ship_date || shp.created_at)}</span></div>
-  <div class="meta-item"><label>Carrier</label><span>${shp.carrier_name ? esc(shp.carrier_name) : '—'}</span></div>
-  <div class="meta-item"><label>Service</label><span>${shp.service_level ? esc(shp.service_level) : '—'}</span></div>
-  ${shp.tracking_number ? `<div class="meta-item"><label>Tracking #</label><span>${trackingUrl ? `<a href="${esc(trackingUrl)}" target="_blank">${esc(shp.tracking_number)}</a>` : esc(shp.tracking_number)}</span></div>` : ''}
-  ${shp.weight_lb ? `<div class="meta-item"><label>Total Weight</label><span>${parseFloat(shp.weight_lb).toFixed(2)} lb</span></div>` : ''}
-  ${shp.freight_cost ? `<div class="meta-item"><label>Freight Cost</label><span>${fmtMoney(shp.freight_cost)}</span></div>` : ''}
-</div>
-<table>
-  <thead><tr><th>#</th><th>SKU</th><th>Item</th><th>UPC</th><th class="r">Qty Shipped</th><th class="r">Weight</th></tr></thead>
-  <tbody>${lineRows}</tbody>
-  <tfoot><tr><td colspan="4" style="text-align:right;font-weight:600">Totals</td><td class="r">${totalQty.toFixed(2)}</td><td class="r">${totalWeight.toFixed(2)} lb</td></tr></tfoot>
-</table>
-${shp.notes ? `<div class="notes"><strong>Notes:</strong> ${esc(shp.notes)}</div>` : ''}
-<div style="margin-top:32px;padding:12px;border:1px dashed #dee2e6;border-radius:4px;font-size:11px;color:#6c757d;text-align:center">
-  Please inspect your order upon receipt. Report discrepancies within 48 hours.<br>
-  Tick Tock Inc. &bull; Thank you for your business!
-</div>`;
-
-        res.setHeader('Content-Type', 'text/html');
-        res.send(printPage(`Packing Slip ${shp.number}`, html));
+        await sendPrint(req, res, 'packing_slip', doc);
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 // ── GET /api/print/bol/:id ────────────────────────────────────────────────────
 router.get('/bol/:id', async (req, res) => {
     try {
-        const { rows: [shp] } = await query(
-            `SELECT s.*,
-                    so.number AS order_number, so.shipping_address,
-                    p.name AS customer_name, p.code AS customer_code,
-                    p.shipping_address AS customer_shipping_address,
-                    w.name AS warehouse_name, w.code AS warehouse_code,
-                    w.address AS warehouse_address,
-                    sc.name AS carrier_name
-             FROM   shipments s
-             JOIN   sales_orders so ON so.id = s.sales_order_id
-             JOIN   parties p ON p.id = so.customer_id
-             JOIN   warehouses w ON w.id = s.warehouse_id
-             LEFT JOIN shipping_carriers sc ON sc.code = s.carrier
-             WHERE  s.id = $1`, [req.params.id]
-        );
-        if (!shp) return res.status(404).json({ error: 'Shipment not found' });
+        const doc = await documents.billOfLading(req.db, req.params.id);
+        if (!doc) return res.status(404).json({ error: 'Shipment not found' });
+        if (!printable(req)) return res.json({ shipment: doc.record, lines: doc.lines });
 
-        const { rows: lines } = await query(
-            `SELECT sl.*, i.code AS item_code, i.name AS item_name,
-                    i.unit_of_measure, i.weight_lb AS unit_weight_lb,
-                    i.country_of_origin
-             FROM   shipment_lines sl
-             JOIN   items i ON i.id = sl.item_id
-             WHERE  sl.shipment_id = $1
-             ORDER  BY sl.line_number`, [req.params.id]
-        );
-
-        if (req.query.format !== 'html') return res.json({ shipment: shp, lines });
-
-        const totalWeight = shp.weight_lb
-            ? parseFloat(shp.weight_lb).toFixed(2)
-            : lines.reduce((s, l) =>
-                s + parseFloat(l.qty_shipped || 0) * parseFloat(l.unit_weight_lb || 0), 0
-              ).toFixed(2);
-
-        const lineRows = lines.map(l => `
-            <tr>
-              <td>${esc(l.line_number)}</td>
-              <td>${esc(l.item_code)}</td>
-              <td>${esc(l.item_name)}</td>
-              <td>${esc(l.country_of_origin) || 'US'}</td>
-              <td class="r">${esc(l.qty_shipped)} ${esc(l.unit_of_measure)}</td>
-              <td class="r">${l.unit_weight_lb ? (parseFloat(l.qty_shipped) * parseFloat(l.unit_weight_lb)).toFixed(2) + ' lb' : '—'}</td>
-            </tr>`).join('');
-
-        const shipAddr = addrBlock(shp.shipping_address || shp.customer_shipping_address);
-        const fromAddr = addrBlock(shp.warehouse_address) || esc(shp.warehouse_name);
-
-        const html = `
-<div class="header">
-  <div class="company"><h1>Tick Tock Inc.</h1><p>Bill of Lading</p></div>
-  <div class="doc-meta">
-    <div class="doc-label">BOL / Shipment</div>
-    <div class="doc-number">${esc(shp.number)}</div>
-    <div style="font-size:11px;color:#6c757d;margin-top:4px">Date: ${fmtDate(shp.ship_date || shp.created_at)}</div>
-  </div>
-</div>
-
-<!-- Parties -->
-<table style="margin-bottom:20px;border:1px solid #dee2e6">
-  <thead><tr><th style="width:50%">Shipper (Bill of Lading)</th><th>Consignee</th></tr></thead>
-  <tbody>
-    <tr>
-      <td style="padding:12px;vertical-align:top">
-        <strong>Tick Tock Inc.</strong><br>
-        ${fromAddr}
-      </td>
-      <td style="padding:12px;vertical-align:top">
-        <strong>${esc(shp.customer_name)}</strong><br>
-        ${shipAddr || '—'}
-      </td>
-    </tr>
-  </tbody>
-</table>
+        await sendPrint(req, res, 'bill_of_lading', doc);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-<!-- Carrier -->
-<div class="meta-row">
-  <div class="meta-item"><label>Carrier</label><span>${shp.carrier_name ? esc(shp.carrier_name) : esc(shp.carrier) || '—'}</span></div>
-  <div class="meta-item"><label>Service</label><span>${shp.service_level ? esc(shp.service_level) : '—'}</span></div>
-  <div class="meta-item"><label>Tracking / PRO #</label><span>${shp.tracking_number ? esc(shp.tracking_number) : '—'}</span></div>
-  <div class="meta-item"><label>Total Weight</label><span>${totalWeight} lb</span></div>
-  <div class="meta-item"><label>Freight Terms</label><span>Prepaid</span></div>
-  <div class="meta-item"><label>Reference (SO)</label><span>${esc(shp.order_number)}</span></div>
-</div>
+// ─────────────────────────────────────────────────────────────────────────────
+// Stored PDFs
+// ─────────────────────────────────────────────────────────────────────────────
 
-<!-- Commodities -->
-<table>
-  <thead><tr><th>#</th><th>SKU</th><th>Description</th><th>Origin</th><th class="r">Qty</th><th class="r">Weight</th></tr></thead>
-  <tbody>${lineRows}</tbody>
-  <tfoot><tr><td colspan="4" style="text-align:right;font-weight:600">Totals</td>
-    <td></td>
-    <td class="r" style="font-weight:700">${totalWeight} lb</td>
-  </tr></tfoot>
-</table>
+// GET /api/print/files?doc_type=&doc_id= — stored copies, newest first (no content)
+router.get('/files', async (req, res) => {
+    const { doc_type, doc_id } = req.query;
+    try {
+        const { page, limit, offset } = parsePage(req.query);
+        const conds = []; const params = [];
+        if (doc_type) { params.push(doc_type); conds.push(`f.doc_type = $${params.length}`); }
+        if (doc_id)   { params.push(doc_id);   conds.push(`f.doc_id = $${params.length}`); }
+        const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+
+        const { rows: [{ count }] } = await req.db.query(
+            `SELECT COUNT(*) FROM document_files f ${where}`, params
+        );
+        const { rows } = await req.db.query(
+            `SELECT f.id, f.doc_type, f.doc_id, f.doc_number, f.file_name, f.content_type, f.byte_size,
+                    f.sha256, f.page_count, f.created_by, u.name AS created_by_name, f.created_at
+             FROM   document_files f
+             LEFT JOIN users u ON u.id = f.created_by
+             ${where}
+             ORDER  BY f.created_at DESC
+             LIMIT $${params.length+1} OFFSET $${params.length+2}`,
+            [...params, limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-<!-- Signature block -->
-<table style="margin-top:32px;border:1px solid #dee2e6;border-collapse:collapse">
-  <thead><tr><th style="width:50%;padding:8px">Shipper Signature</th><th style="padding:8px">Carrier Signature / Date</th></tr></thead>
-  <tbody>
-    <tr>
-      <td style="height:60px;padding:8px;vertical-align:bottom;font-size:11px;color:#6c757d">Signed: ____________________________  Date: __________</td>
-      <td style="height:60px;padding:8px;vertical-align:bottom;font-size:11px;color:#6c757d">Signed: ____________________________  Date: __________</td>
-    </tr>
-  </tbody>
-</table>
-${shp.notes ? `<div class="notes" style="margin-top:16px"><strong>Special Instructions:</strong> ${esc(shp.notes)}</div>` : ''}
-<div class="footer">This Bill of Lading is the contract between Tick Tock Inc. and the carrier. Subject to standard freight terms and conditions.</div>`;
+// POST /api/print/files — render a document as it is now and keep the PDF
+router.post('/files', validate(StoreDocumentFileSchema), async (req, res) => {
+    const { doc_type, doc_id, from, to } = req.body;
+    try {
+        const doc = await documents.load(req.db, doc_type, doc_id, { from, to });
+        if (!doc) return res.status(404).json({ error: 'Document not found' });
+        const file = await pdf.render(req.db, doc);
+        const row  = await pdf.store(req.db, { docType: doc_type, doc, file, userId: req.user?.userId });
+        res.status(201).json(row);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
 
-        res.setHeader('Content-Type', 'text/html');
-        res.send(printPage(`BOL — ${shp.number}`, html));
+// GET /api/print/files/:id — the stored PDF itself
+router.get('/files/:id', async (req, res) => {
+    try {
+        const { rows: [f] } = await req.db.query(
+            `SELECT file_name, content_type, content FROM document_files WHERE id = $1`, [req.params.id]
+        );
+        if (!f) return res.status(404).json({ error: 'File not found' });
+        res.setHeader('Content-Type', f.content_type);
+        res.setHeader('Content-Disposition', `attachment; filename="${f.file_name}"`);
+        res.send(f.content);
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
@@ -1,31 +1,34 @@
 'use strict';
 
 // routes/purchasing.routes.js
-// Vendors, Purchase Orders, Receipts, Vendor Invoices, AP Payments, AP Aging, Reorder Suggestions
+// Vendors, Purchase Orders, Receipts, Landed Costs, Vendor Invoices, Match Tolerances, AP Payments, AP Aging,
+// Reorder Suggestions
 
 const { Router } = require('express');
-const { query, pool }         = require('../db/pool');
 const { validate }            = require('../middleware/validate');
+const { requireRole }         = require('../middleware/tenant');
 const { parsePage, paginate } = require('../lib/pagination');
+const gl                      = require('../lib/gl-posting');
+const serials                 = require('../lib/serials');
+const lots                    = require('../lib/lots');
+const bins                    = require('../lib/bins');
+const costing                 = require('../lib/costing');
+const fx                      = require('../lib/fx');
+const numbering               = require('../lib/numbering');
+const webhooks                = require('../lib/webhooks');
+const documents               = require('../lib/documents');
+const mailer                  = require('../lib/mailer');
+const invoiceMatch            = require('../lib/invoice-match');
+const kits                    = require('../lib/kits');
+const transfers               = require('../lib/transfers');
 const {
     CreateVendorSchema, PatchVendorSchema, CreatePOSchema, CreateReceiptSchema,
-    CreateVendorInvoiceSchema, CreateAPPaymentSchema,
+    CreateLandedCostSchema, CreateVendorInvoiceSchema, CreateAPPaymentSchema, SendDocumentSchema,
+    ResolveInvoiceLineSchema, InvoiceLineCreditSchema, MatchTolerancesSchema,
 } = require('../lib/schemas');
 
 const router = Router();
 
-// ── Number generator ──────────────────────────────────────────────────────────
-async function nextDocNumber(client, table, col, prefix) {
-    const year = new Date().getFullYear();
-    const pfx  = `${prefix}-${year}-`;
-    const { rows } = await client.query(
-        `SELECT ${col} FROM ${table} WHERE ${col} LIKE $1 ORDER BY ${col} DESC LIMIT 1`,
-        [`${pfx}%`]
-    );
-    const seq = rows.length === 0 ? 1 : parseInt(rows[0][col].split('-').pop(), 10) + 1;
-    return `${pfx}${String(seq).padStart(5, '0')}`;
-}
-
 // ── Backorder helper ──────────────────────────────────────────────────────────
 async function checkBackordersForAllItems(client, itemIds) {
     for (const itemId of itemIds) {
@@ -50,10 +53,10 @@ async function checkBackordersForAllItems(client, itemIds) {
 router.get('/vendors', async (req, res) => {
     try {
         const { page, limit, offset } = parsePage(req.query);
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM parties WHERE type IN ('vendor','both')`
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT p.*,
                     COALESCE(ap.total_due, 0) AS ap_balance
              FROM   parties p
@@ -69,7 +72,7 @@ router.get('/vendors', async (req, res) => {
 
 router.get('/vendors/:id', async (req, res) => {
     try {
-        const { rows: [vendor] } = await query(
+        const { rows: [vendor] } = await req.db.query(
             `SELECT p.*, COALESCE(ap.total_due,0) AS ap_balance,
                     ap.current_due, ap.days_1_30, ap.days_31_60, ap.days_61_90, ap.days_90plus
              FROM   parties p
@@ -78,12 +81,12 @@ router.get('/vendors/:id', async (req, res) => {
         );
         if (!vendor) return res.status(404).json({ error: 'Vendor not found' });
 
-        const { rows: openInvoices } = await query(
+        const { rows: openInvoices } = await req.db.query(
             `SELECT * FROM vendor_invoices
              WHERE vendor_id = $1 AND status NOT IN ('paid','void')
              ORDER BY due_date`, [req.params.id]
         );
-        const { rows: recentPOs } = await query(
+        const { rows: recentPOs } = await req.db.query(
             `SELECT * FROM v_purchase_order_status WHERE vendor_id = $1
              ORDER BY created_at DESC LIMIT 10`, [req.params.id]
         );
@@ -97,7 +100,7 @@ router.post('/vendors', validate(CreateVendorSchema), async (req, res) => {
             payment_terms_days, payment_terms_label, lead_time_days,
             currency, notes } = req.body;
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `INSERT INTO parties
                 (type,code,name,contact_name,email,phone,fax,website,billing_address,
                  city,state_province,postal_code,country,
@@ -108,7 +111,7 @@ router.post('/vendors', validate(CreateVendorSchema), async (req, res) => {
              billing_address ? JSON.stringify(billing_address) : null,
              city || null, state_province || null, postal_code || null, country || 'US',
              payment_terms_days, payment_terms_label || 'NET30', lead_time_days || 0,
-             currency, notes || null]
+             currency || await fx.baseCurrency(req.db), notes || null]
         );
         res.status(201).json(rows[0]);
     } catch (err) {
@@ -126,24 +129,25 @@ router.patch('/vendors/:id', validate(PatchVendorSchema), async (req, res) => {
         return f === 'billing_address' && typeof v === 'object' ? JSON.stringify(v) : v;
     });
     try {
-        const { rows } = await query(
+        if (req.body.currency) await fx.assertCurrencyChange(req.db, req.params.id, req.body.currency);
+        const { rows } = await req.db.query(
             `UPDATE parties SET ${sets}, updated_at = NOW()
              WHERE id = $1 AND type IN ('vendor','both') RETURNING *`,
             [req.params.id, ...values]
         );
         if (!rows.length) return res.status(404).json({ error: 'Vendor not found' });
         res.json(rows[0]);
-    } catch (err) { res.status(500).json({ error: err.message }); }
+    } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
 });
 
 // ── Vendors AP aging ──────────────────────────────────────────────────────────
 
 router.get('/vendors/:id/ap', async (req, res) => {
     try {
-        const { rows: [aging] } = await query(
+        const { rows: [aging] } = await req.db.query(
             `SELECT * FROM v_ap_aging WHERE vendor_id = $1`, [req.params.id]
         );
-        const { rows: invoices } = await query(
+        const { rows: invoices } = await req.db.query(
             `SELECT * FROM vendor_invoices WHERE vendor_id = $1 AND status NOT IN ('paid','void')
              ORDER BY due_date`, [req.params.id]
         );
@@ -153,10 +157,10 @@ router.get('/vendors/:id/ap', async (req, res) => {
 
 // ── Purchase Orders ───────────────────────────────────────────────────────────
 
-router.get('/purchase-orders/dashboard', async (_req, res) => {
+router.get('/purchase-orders/dashboard', async (req, res) => {
     try {
         const [stats, recentPOs, apData] = await Promise.all([
-            query(
+            req.db.query(
                 `SELECT
                     COUNT(*) FILTER (WHERE status NOT IN ('cancelled'))               AS total_pos,
                     COUNT(*) FILTER (WHERE status IN ('sent','partially_received'))    AS open_pos,
@@ -166,8 +170,8 @@ router.get('/purchase-orders/dashboard', async (_req, res) => {
                  CROSS JOIN (SELECT COALESCE(SUM(balance_due),0) AS balance_due FROM vendor_invoices
                              WHERE status NOT IN ('paid','void')) vi`
             ),
-            query(`SELECT * FROM v_purchase_order_status ORDER BY created_at DESC LIMIT 5`),
-            query(`SELECT COALESCE(SUM(total_due),0) AS ap_total FROM v_ap_aging`)
+            req.db.query(`SELECT * FROM v_purchase_order_status ORDER BY created_at DESC LIMIT 5`),
+            req.db.query(`SELECT COALESCE(SUM(total_due),0) AS ap_total FROM v_ap_aging`)
         ]);
         res.json({
             ...stats.rows[0],
@@ -184,10 +188,10 @@ router.get('/purchase-orders', async (req, res) => {
         const cond   = status ? `WHERE pos.status = $1` : '';
         const params = status ? [status] : [];
 
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM v_purchase_order_status pos ${cond}`, params
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT pos.*
              FROM   v_purchase_order_status pos
              ${cond}
@@ -201,23 +205,23 @@ router.get('/purchase-orders', async (req, res) => {
 
 router.get('/purchase-orders/:id', async (req, res) => {
     try {
-        const { rows: [po] } = await query(
+        const { rows: [po] } = await req.db.query(
             `SELECT pos.* FROM v_purchase_order_status pos WHERE pos.id = $1`, [req.params.id]
         );
         if (!po) return res.status(404).json({ error: 'PO not found' });
 
-        const { rows: lines } = await query(
+        const { rows: lines } = await req.db.query(
             `SELECT pol.*, i.code AS item_code, i.name AS item_name, i.unit_of_measure
              FROM   purchase_order_lines pol
              JOIN   items i ON i.id = pol.item_id
              WHERE  pol.purchase_order_id = $1
              ORDER  BY pol.line_number`, [req.params.id]
         );
-        const { rows: receipts } = await query(
+        const { rows: receipts } = await req.db.query(
             `SELECT * FROM purchase_receipts WHERE purchase_order_id = $1 ORDER BY receipt_date DESC`,
             [req.params.id]
         );
-        const { rows: invoices } = await query(
+        const { rows: invoices } = await req.db.query(
             `SELECT * FROM vendor_invoices WHERE purchase_order_id = $1 ORDER BY invoice_date DESC`,
             [req.params.id]
         );
@@ -229,20 +233,25 @@ router.post('/purchase-orders', validate(CreatePOSchema), async (req, res) => {
     const { vendor_id, warehouse_id, order_date, expected_date, notes,
             lines, created_by } = req.body;
 
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
-        const number = await nextDocNumber(client, 'purchase_orders', 'number', 'PO');
+        await transfers.assertNotTransit(client, [warehouse_id]);
+        const number = await numbering.next(client, 'purchase_order');
 
+        // The PO is in the vendor's currency
         const { rows: [po] } = await client.query(
             `INSERT INTO purchase_orders
-                (number, vendor_id, warehouse_id, order_date, expected_date, notes, created_by)
-             VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
+                (number, vendor_id, warehouse_id, order_date, expected_date, notes, created_by, currency)
+             SELECT $1,$2,$3,$4,$5,$6,$7, currency FROM parties WHERE id = $2
+             RETURNING *`,
             [number, vendor_id, warehouse_id,
              order_date || new Date().toISOString().slice(0,10),
              expected_date || null, notes || null, created_by || null]
         );
+        if (!po) throw Object.assign(new Error('Vendor not found'), { status: 404 });
 
+        let rate = null;
         for (let idx = 0; idx < lines.length; idx++) {
             const { item_id, qty_ordered, unit_cost, description } = lines[idx];
             if (!item_id || !qty_ordered) throw new Error('Each line requires item_id and qty_ordered');
@@ -252,7 +261,9 @@ router.post('/purchase-orders', validate(CreatePOSchema), async (req, res) => {
                 const { rows: [item] } = await client.query(
                     `SELECT standard_cost FROM items WHERE id = $1`, [item_id]
                 );
-                cost = item ? parseFloat(item.standard_cost) : 0;
+                // Standard costs are in base currency
+                rate = rate ?? await fx.rateOn(client, po.currency, po.order_date);
+                cost = item ? fx.fromBase(item.standard_cost, rate) : 0;
             }
 
             await client.query(
@@ -265,32 +276,67 @@ router.post('/purchase-orders', validate(CreatePOSchema), async (req, res) => {
 
         await client.query('COMMIT');
 
-        const { rows: [full] } = await query(
+        const { rows: [full] } = await req.db.query(
             `SELECT * FROM v_purchase_order_status WHERE id = $1`, [po.id]
         );
         res.status(201).json(full);
     } catch (err) {
         await client.query('ROLLBACK');
-        res.status(400).json({ error: err.message });
+        res.status(err.status || 400).json({ error: err.message });
     } finally { client.release(); }
 });
 
-router.post('/purchase-orders/:id/send', async (req, res) => {
+// Emails the PO (HTML print view attached) to `to`, or the vendor's address;
+// a draft becomes sent. With no address on file a draft is only marked sent.
+// A failed email keeps the PO as it was and is logged.
+router.post('/purchase-orders/:id/send', validate(SendDocumentSchema), async (req, res) => {
+    const { cc, message } = req.body;
+    const client = await req.db.connect();
     try {
-        const { rows } = await query(
-            `UPDATE purchase_orders SET status='sent', updated_at=NOW()
-             WHERE id=$1 AND status='draft' RETURNING *`, [req.params.id]
+        await client.query('BEGIN');
+        const { rows: [po] } = await client.query(
+            `SELECT * FROM purchase_orders WHERE id = $1 FOR UPDATE`, [req.params.id]
         );
-        if (!rows.length) return res.status(400).json({ error: 'PO not found or not in draft' });
-        const { rows: [full] } = await query(
-            `SELECT * FROM v_purchase_order_status WHERE id = $1`, [rows[0].id]
+        if (!po) throw Object.assign(new Error('PO not found'), { status: 404 });
+        if (!['draft','sent','partially_received'].includes(po.status))
+            throw Object.assign(new Error(`Cannot send a ${po.status} PO`), { status: 400 });
+
+        if (po.status === 'draft') {
+            await client.query(
+                `UPDATE purchase_orders SET status='sent', updated_at=NOW() WHERE id=$1`, [po.id]
+            );
+        }
+
+        let email = null;
+        if (req.body.email) {
+            const doc = await documents.purchaseOrder(client, po.id);
+            const to  = req.body.to || mailer.recipients('purchase_order', doc);
+            if (to.length) {
+                email = await mailer.record(client, await mailer.sendDocument(client, {
+                    docType: 'purchase_order', doc, to, cc, message, userId: req.user?.userId,
+                }));
+            }
+        }
+        if (!email && po.status !== 'draft') {
+            throw Object.assign(new Error(req.body.email
+                ? 'Vendor has no email address; pass `to` to email the PO'
+                : 'PO is not in draft'), { status: 400 });
+        }
+        await client.query('COMMIT');
+
+        const { rows: [full] } = await req.db.query(
+            `SELECT * FROM v_purchase_order_status WHERE id = $1`, [po.id]
         );
-        res.json(full);
-    } catch (err) { res.status(500).json({ error: err.message }); }
+        res.json({ ...full, email });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        const email = await mailer.logFailure(req.db, err);
+        res.status(err.status || 500).json({ error: err.message, email });
+    } finally { client.release(); }
 });
 
 router.post('/purchase-orders/:id/cancel', async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
         const { rows: [po] } = await client.query(
@@ -319,8 +365,8 @@ router.post('/purchase-orders/:id/cancel', async (req, res) => {
 router.get('/receipts', async (req, res) => {
     try {
         const { page, limit, offset } = parsePage(req.query);
-        const { rows: [{ count }] } = await query(`SELECT COUNT(*) FROM purchase_receipts`);
-        const { rows } = await query(
+        const { rows: [{ count }] } = await req.db.query(`SELECT COUNT(*) FROM purchase_receipts`);
+        const { rows } = await req.db.query(
             `SELECT pr.*, po.number AS po_number,
                     p.code AS vendor_code, p.name AS vendor_name,
                     w.code AS warehouse_code
@@ -338,7 +384,7 @@ router.get('/receipts', async (req, res) => {
 
 router.get('/receipts/:id', async (req, res) => {
     try {
-        const { rows: [rcv] } = await query(
+        const { rows: [rcv] } = await req.db.query(
             `SELECT pr.*, po.number AS po_number,
                     p.code AS vendor_code, p.name AS vendor_name,
                     w.code AS warehouse_code
@@ -350,10 +396,12 @@ router.get('/receipts/:id', async (req, res) => {
         );
         if (!rcv) return res.status(404).json({ error: 'Receipt not found' });
 
-        const { rows: lines } = await query(
-            `SELECT prl.*, i.code AS item_code, i.name AS item_name, i.unit_of_measure
+        const { rows: lines } = await req.db.query(
+            `SELECT prl.*, i.code AS item_code, i.name AS item_name, i.unit_of_measure,
+                    b.code AS bin_code
              FROM   purchase_receipt_lines prl
              JOIN   items i ON i.id = prl.item_id
+             LEFT JOIN bins b ON b.id = prl.bin_id
              WHERE  prl.receipt_id = $1`, [req.params.id]
         );
         res.json({ ...rcv, lines });
@@ -364,7 +412,7 @@ router.post('/receipts', validate(CreateReceiptSchema), async (req, res) => {
     const { purchase_order_id, receipt_date, vendor_ref, notes,
             lines, created_by } = req.body;
 
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
 
@@ -375,24 +423,25 @@ router.post('/receipts', validate(CreateReceiptSchema), async (req, res) => {
         if (!['sent','partially_received'].includes(po.status))
             throw Object.assign(new Error(`Cannot receive against PO in status "${po.status}"`), { status: 400 });
 
-        const number = await nextDocNumber(client, 'purchase_receipts', 'number', 'RCV');
+        const number = await numbering.next(client, 'purchase_receipt');
 
         const { rows: [rcv] } = await client.query(
             `INSERT INTO purchase_receipts
-                (number, purchase_order_id, warehouse_id, receipt_date, vendor_ref, notes, created_by)
-             VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
+                (number, purchase_order_id, warehouse_id, receipt_date, vendor_ref, notes, created_by, currency)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
             [number, purchase_order_id, po.warehouse_id,
              receipt_date || new Date().toISOString().slice(0,10),
-             vendor_ref || null, notes || null, created_by || null]
+             vendor_ref || null, notes || null, created_by || null, po.currency]
         );
 
         for (const line of lines) {
             const { purchase_order_line_id, qty_received, actual_cost,
-                    discrepancy_reason, allow_over_receipt } = line;
+                    discrepancy_reason, allow_over_receipt, lot_number, expiry_date, bin_id } = line;
             const { rows: [pol] } = await client.query(
                 `SELECT * FROM purchase_order_lines WHERE id = $1`, [purchase_order_line_id]
             );
             if (!pol) throw new Error(`PO line ${purchase_order_line_id} not found`);
+            if (bin_id) await bins.assertBin(client, bin_id, po.warehouse_id);
 
             const qtyRemaining  = parseFloat(pol.qty_remaining);
             const qtyRcv        = parseFloat(qty_received);
@@ -412,12 +461,14 @@ router.post('/receipts', validate(CreateReceiptSchema), async (req, res) => {
             await client.query(
                 `INSERT INTO purchase_receipt_lines
                     (receipt_id, purchase_order_line_id, item_id, qty_received, actual_cost,
-                     qty_ordered_at_time, over_receipt_flag, discrepancy_reason, discrepancy_pct)
-                 VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+                     qty_ordered_at_time, over_receipt_flag, discrepancy_reason, discrepancy_pct,
+                     lot_number, expiry_date, bin_id)
+                 VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)`,
                 [rcv.id, purchase_order_line_id, pol.item_id,
                  qty_received, actual_cost != null ? actual_cost : pol.unit_cost,
                  pol.qty_remaining, isOverReceipt,
-                 discrepancy_reason || null, discPct]
+                 discrepancy_reason || null, discPct,
+                 lot_number || null, expiry_date || null, bin_id || null]
             );
 
             // Audit discrepancies
@@ -447,7 +498,7 @@ router.post('/receipts', validate(CreateReceiptSchema), async (req, res) => {
 });
 
 router.post('/receipts/:id/post', async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
 
@@ -465,24 +516,99 @@ router.post('/receipts/:id/post', async (req, res) => {
              WHERE prl.receipt_id = $1`, [rcv.id]
         );
         if (!lines.length) throw Object.assign(new Error('No lines to post'), { status: 400 });
+        await kits.assertStockable(client, lines.map(l => l.item_id));
 
         const { rows: [po] } = await client.query(
             `SELECT * FROM purchase_orders WHERE id = $1 FOR UPDATE`, [rcv.purchase_order_id]
         );
 
+        // Lock the rate of the receipt date: stock is valued in base currency
+        const rate = parseFloat(rcv.exchange_rate) || await fx.rateOn(client, rcv.currency, rcv.receipt_date);
+        if (!rcv.exchange_rate) {
+            await client.query(`UPDATE purchase_receipts SET exchange_rate = $1 WHERE id = $2`, [rate, rcv.id]);
+            rcv.exchange_rate = rate;
+        }
+
+        // Serial-tracked lines must name every unit received
+        const lineSerials = await serials.captureForLines(
+            client, req.body.serials, lines, l => l.qty_received, 'receipt line'
+        );
+        const lotTracked = await lots.trackedItemIds(client, lines.map(l => l.item_id));
+
+        // Putaway: `putaway` at post time overrides the bin chosen on the draft line.
+        // Lines left without a bin land in unassigned stock and get suggestions back.
+        const putaway = bins.parsePutaway(req.body.putaway);
+        for (const lineId of putaway.keys())
+            if (!lines.some(l => l.id === lineId))
+                throw Object.assign(new Error(`Receipt line ${lineId} not found`), { status: 400 });
+        const putawaySuggestions = [];
+
+        let receiptValue = 0;
         for (const line of lines) {
+            const unitCost = Math.round(parseFloat(line.actual_cost) * rate * 10000) / 10000;
+            await client.query(
+                `UPDATE purchase_receipt_lines SET base_unit_cost = $1 WHERE id = $2`, [unitCost, line.id]
+            );
+            receiptValue += parseFloat(line.qty_received) * unitCost;
+
+            const binId = putaway.get(line.id) || line.bin_id || null;
+            if (binId) {
+                await bins.assertBin(client, binId, rcv.warehouse_id);
+                if (binId !== line.bin_id)
+                    await client.query(
+                        `UPDATE purchase_receipt_lines SET bin_id = $1 WHERE id = $2`, [binId, line.id]
+                    );
+            } else {
+                putawaySuggestions.push({
+                    line_id: line.id, item_id: line.item_id, qty: parseFloat(line.qty_received),
+                    bins: await bins.suggestPutaway(client, { itemId: line.item_id, warehouseId: rcv.warehouse_id }),
+                });
+            }
+
+            let expiryDate = null;
+            if (lotTracked.has(line.item_id)) {
+                if (!line.lot_number) throw Object.assign(
+                    new Error(`Receipt line ${line.id} is for a lot-tracked item and needs a lot_number`), { status: 422 }
+                );
+                expiryDate = await lots.resolveExpiry(client, {
+                    itemId: line.item_id, lotNumber: line.lot_number,
+                    expiryDate: line.expiry_date, receivedOn: rcv.receipt_date,
+                });
+            }
+
+            await serials.receive(client, {
+                itemId: line.item_id, warehouseId: rcv.warehouse_id, serials: lineSerials[line.id],
+                event: {
+                    type: 'received', partyId: po.vendor_id, referenceType: 'purchase_receipt',
+                    referenceId: rcv.id, referenceLineId: line.id, referenceNumber: rcv.number,
+                    date: rcv.receipt_date, userId: req.user?.userId,
+                },
+            });
+
+            // FIFO layer or moving-average update — before the ledger row lands
+            await costing.receive(client, {
+                itemId: line.item_id, warehouseId: rcv.warehouse_id,
+                lotNumber: lotTracked.has(line.item_id) ? line.lot_number : null,
+                qty: line.qty_received, unitCost, date: rcv.receipt_date,
+                sourceType: 'purchase_receipt', sourceId: rcv.id,
+            });
+
             await client.query(
                 `INSERT INTO stock_ledger
                     (item_id, warehouse_id, transaction_type, reference_type, reference_id,
-                     qty, cost_per_unit, notes, posting_date, created_by)
-                 VALUES ($1,$2,'receipt','purchase_receipt',$3,$4,$5,$6,$7,$8)`,
+                     qty, cost_per_unit, notes, posting_date, created_by, lot_number, expiry_date,
+                     bin_id)
+                 VALUES ($1,$2,'receipt','purchase_receipt',$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
                 [
                     line.item_id, rcv.warehouse_id, rcv.id,
                     parseFloat(line.qty_received),
-                    parseFloat(line.actual_cost),
+                    unitCost,
                     `${rcv.number} — PO ${po.number}`,
                     rcv.receipt_date,
-                    req.body.posted_by || null
+                    req.body.posted_by || null,
+                    lotTracked.has(line.item_id) ? line.lot_number : null,
+                    expiryDate,
+                    binId
                 ]
             );
 
@@ -496,31 +622,6 @@ router.post('/receipts/:id/post', async (req, res) => {
                  WHERE id = $2`,
                 [line.qty_received, line.purchase_order_line_id]
             );
-
-            // Weighted average cost update
-            const { rows: [itemData] } = await client.query(
-                `SELECT i.cost_method, i.standard_cost,
-                        COALESCE(SUM(sl.qty),0) AS current_qty
-                 FROM items i
-                 LEFT JOIN stock_ledger sl ON sl.item_id = i.id
-                 WHERE i.id = $1
-                 GROUP BY i.id, i.cost_method, i.standard_cost`, [line.item_id]
-            );
-
-            if (itemData && itemData.cost_method === 'avg') {
-                const prevQty  = Math.max(0, parseFloat(itemData.current_qty) - parseFloat(line.qty_received));
-                const prevCost = parseFloat(itemData.standard_cost);
-                const rcvQty   = parseFloat(line.qty_received);
-                const rcvCost  = parseFloat(line.actual_cost);
-                const totalQty = prevQty + rcvQty;
-                const newAvgCost = totalQty > 0
-                    ? ((prevQty * prevCost) + (rcvQty * rcvCost)) / totalQty
-                    : rcvCost;
-                await client.query(
-                    `UPDATE items SET standard_cost = $1, updated_at = NOW() WHERE id = $2`,
-                    [parseFloat(newAvgCost.toFixed(4)), line.item_id]
-                );
-            }
         }
 
         const { rows: [poLines] } = await client.query(
@@ -545,20 +646,306 @@ router.post('/receipts/:id/post', async (req, res) => {
 
         await checkBackordersForAllItems(client, lines.map(l => l.item_id));
 
+        const journalEntry = await gl.postReceipt(client, {
+            receipt: rcv, value: receiptValue, userId: req.user?.userId,
+        });
+
         await client.query(
             `INSERT INTO audit_log (action, table_name, record_id, new_values)
              VALUES ('post_receipt','purchase_receipts',$1,$2)`,
-            [rcv.id, JSON.stringify({ receipt: rcv.number, po: po.number })]
+            [rcv.id, JSON.stringify({ receipt: rcv.number, po: po.number, journal_entry: journalEntry?.number })]
+        );
+
+        await webhooks.emit(client, 'receipt.posted', {
+            receipt:        { ...rcv, status: 'posted', lines },
+            purchase_order: { id: po.id, number: po.number, status: newPOStatus },
+        });
+
+        await client.query('COMMIT');
+        res.json({ receipt: rcv, po_status: newPOStatus, journal_entry: journalEntry,
+                   putaway_suggestions: putawaySuggestions });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ error: err.message });
+    } finally { client.release(); }
+});
+
+// ── Landed Costs ──────────────────────────────────────────────────────────────
+// Freight, duty and brokerage billed after the goods arrived. Posting spreads the
+// charges over the attached receipts' lines and revalues that stock (cost layers
+// or moving average, see lib/costing.js); the share for units already sold goes to COGS.
+
+// Split a document's total across its receipt lines by value, quantity or
+// weight. Rounding leftovers go to the largest line so the split adds up exactly.
+async function allocateLandedCost(client, lc) {
+    const { rows: lines } = await client.query(
+        `SELECT prl.id AS receipt_line_id, prl.receipt_id, prl.item_id, prl.lot_number,
+                prl.qty_received, COALESCE(prl.base_unit_cost, prl.actual_cost) AS actual_cost,
+                i.code AS item_code, i.weight_lb
+         FROM   landed_cost_receipts lcr
+         JOIN   purchase_receipt_lines prl ON prl.receipt_id = lcr.receipt_id
+         JOIN   items i ON i.id = prl.item_id
+         WHERE  lcr.landed_cost_id = $1
+         ORDER  BY prl.receipt_id, prl.id`, [lc.id]
+    );
+    if (!lines.length) throw Object.assign(new Error('No receipt lines to allocate to'), { status: 400 });
+
+    if (lc.allocation_method === 'weight') {
+        const missing = [...new Set(lines.filter(l => !(parseFloat(l.weight_lb) > 0)).map(l => l.item_code))];
+        if (missing.length) throw Object.assign(
+            new Error(`Cannot allocate by weight — no weight_lb on item(s) ${missing.join(', ')}`), { status: 422 }
+        );
+    }
+    const basisOf = {
+        value:    l => parseFloat(l.qty_received) * parseFloat(l.actual_cost),
+        quantity: l => parseFloat(l.qty_received),
+        weight:   l => parseFloat(l.qty_received) * parseFloat(l.weight_lb),
+    }[lc.allocation_method];
+
+    const total      = parseFloat(lc.total_amount);
+    const totalBasis = lines.reduce((s, l) => s + basisOf(l), 0);
+    if (!(totalBasis > 0)) throw Object.assign(
+        new Error(`Receipts have no ${lc.allocation_method} to allocate by`), { status: 422 }
+    );
+
+    const round2 = n => Math.round(n * 100) / 100;
+    const out = lines.map(l => ({
+        ...l, basis: basisOf(l), allocated_amount: round2(total * basisOf(l) / totalBasis),
+    }));
+    const diff = round2(total - out.reduce((s, l) => s + l.allocated_amount, 0));
+    if (diff !== 0) out.reduce((a, b) => (b.basis > a.basis ? b : a)).allocated_amount += diff;
+    return out.map(l => ({
+        ...l,
+        allocated_amount: round2(l.allocated_amount),
+        cost_per_unit:    Math.round(l.allocated_amount / parseFloat(l.qty_received) * 10000) / 10000,
+    }));
+}
+
+router.get('/landed-costs', async (req, res) => {
+    const { status } = req.query;
+    try {
+        const { page, limit, offset } = parsePage(req.query);
+        const cond   = status ? `WHERE lc.status = $1` : '';
+        const params = status ? [status] : [];
+
+        const { rows: [{ count }] } = await req.db.query(
+            `SELECT COUNT(*) FROM landed_costs lc ${cond}`, params
+        );
+        const { rows } = await req.db.query(
+            `SELECT lc.*, p.code AS vendor_code, p.name AS vendor_name,
+                    (SELECT STRING_AGG(pr.number, ', ' ORDER BY pr.number)
+                     FROM landed_cost_receipts lcr
+                     JOIN purchase_receipts pr ON pr.id = lcr.receipt_id
+                     WHERE lcr.landed_cost_id = lc.id) AS receipt_numbers
+             FROM   landed_costs lc
+             LEFT JOIN parties p ON p.id = lc.vendor_id
+             ${cond}
+             ORDER  BY lc.doc_date DESC, lc.number DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Drafts show the allocation posting would make; posted documents show what it made.
+router.get('/landed-costs/:id', async (req, res) => {
+    try {
+        const { rows: [lc] } = await req.db.query(
+            `SELECT lc.*, p.code AS vendor_code, p.name AS vendor_name
+             FROM   landed_costs lc
+             LEFT JOIN parties p ON p.id = lc.vendor_id
+             WHERE  lc.id = $1`, [req.params.id]
+        );
+        if (!lc) return res.status(404).json({ error: 'Landed cost not found' });
+
+        const [{ rows: charges }, { rows: receipts }] = await Promise.all([
+            req.db.query(`SELECT * FROM landed_cost_charges WHERE landed_cost_id = $1 ORDER BY charge_type`, [lc.id]),
+            req.db.query(`SELECT pr.id, pr.number, pr.receipt_date, po.number AS po_number
+                   FROM   landed_cost_receipts lcr
+                   JOIN   purchase_receipts pr ON pr.id = lcr.receipt_id
+                   JOIN   purchase_orders po ON po.id = pr.purchase_order_id
+                   WHERE  lcr.landed_cost_id = $1 ORDER BY pr.number`, [lc.id]),
+        ]);
+
+        let allocations;
+        if (lc.status === 'posted') {
+            ({ rows: allocations } = await req.db.query(
+                `SELECT lca.*, i.code AS item_code, i.name AS item_name
+                 FROM   landed_cost_allocations lca
+                 JOIN   items i ON i.id = lca.item_id
+                 WHERE  lca.landed_cost_id = $1 ORDER BY lca.receipt_id, i.code`, [lc.id]
+            ));
+        } else if (lc.status === 'draft') {
+            try { allocations = await allocateLandedCost(req.db, lc); }
+            catch (err) { allocations = []; lc.allocation_error = err.message; }
+        }
+        res.json({ ...lc, charges, receipts, allocations: allocations || [] });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+router.post('/landed-costs', validate(CreateLandedCostSchema), async (req, res) => {
+    const { vendor_id, vendor_ref, doc_date, allocation_method, notes, charges, receipt_ids } = req.body;
+
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+
+        const ids = [...new Set(receipt_ids)];
+        const { rows: receipts } = await client.query(
+            `SELECT id, number, status FROM purchase_receipts WHERE id = ANY($1)`, [ids]
+        );
+        const missing = ids.filter(id => !receipts.some(r => r.id === id));
+        if (missing.length)
+            throw Object.assign(new Error(`Receipt(s) not found: ${missing.join(', ')}`), { status: 404 });
+        const unposted = receipts.filter(r => r.status !== 'posted');
+        if (unposted.length)
+            throw Object.assign(
+                new Error(`Landed costs attach to posted receipts only: ${unposted.map(r => r.number).join(', ')}`),
+                { status: 400 }
+            );
+
+        const number = await numbering.next(client, 'landed_cost');
+        const total  = charges.reduce((s, c) => s + parseFloat(c.amount), 0);
+
+        const { rows: [lc] } = await client.query(
+            `INSERT INTO landed_costs
+                (number, vendor_id, vendor_ref, doc_date, allocation_method, total_amount, notes, created_by)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+            [number, vendor_id || null, vendor_ref || null,
+             doc_date || new Date().toISOString().slice(0,10),
+             allocation_method, total.toFixed(4), notes || null, req.user?.userId || null]
+        );
+        for (const c of charges) {
+            await client.query(
+                `INSERT INTO landed_cost_charges (landed_cost_id, charge_type, description, amount)
+                 VALUES ($1,$2,$3,$4)`,
+                [lc.id, c.charge_type, c.description || null, c.amount]
+            );
+        }
+        for (const id of ids) {
+            await client.query(
+                `INSERT INTO landed_cost_receipts (landed_cost_id, receipt_id) VALUES ($1,$2)`, [lc.id, id]
+            );
+        }
+
+        await client.query('COMMIT');
+        res.status(201).json(lc);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 400).json({ error: err.message });
+    } finally { client.release(); }
+});
+
+router.post('/landed-costs/:id/post', async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows: [lc] } = await client.query(
+            `SELECT * FROM landed_costs WHERE id = $1 FOR UPDATE`, [req.params.id]
+        );
+        if (!lc) throw Object.assign(new Error('Landed cost not found'), { status: 404 });
+        if (lc.status !== 'draft')
+            throw Object.assign(new Error(`Landed cost already ${lc.status}`), { status: 400 });
+
+        const allocations = await allocateLandedCost(client, lc);
+
+        // Revalue once per receipt / item / lot — that is how cost layers are keyed —
+        // then share the capitalized and expensed amounts back over the lines
+        const groups = new Map();
+        for (const a of allocations) {
+            const key = `${a.receipt_id}|${a.item_id}|${a.lot_number || ''}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(a);
+        }
+        const priceChanges = new Map();   // item_id → { oldCost, newCost }
+        for (const lines of groups.values()) {
+            const { receipt_id, item_id, lot_number } = lines[0];
+            const amount = lines.reduce((s, l) => s + l.allocated_amount, 0);
+            const r = await costing.revalue(client, {
+                itemId: item_id, sourceType: 'purchase_receipt', sourceId: receipt_id, lotNumber: lot_number,
+                qty: lines.reduce((s, l) => s + parseFloat(l.qty_received), 0), amount,
+            });
+            for (const l of lines) {
+                const share = amount > 0 ? l.allocated_amount / amount : 0;
+                l.capitalized_amount = Math.round(r.capitalized * share * 10000) / 10000;
+                l.expensed_amount    = Math.round((l.allocated_amount - l.capitalized_amount) * 10000) / 10000;
+            }
+            const prev = priceChanges.get(item_id);
+            priceChanges.set(item_id, { oldCost: prev ? prev.oldCost : r.oldCost, newCost: r.newCost });
+        }
+
+        let capitalized = 0;
+        let expensed    = 0;
+        for (const a of allocations) {
+            capitalized += a.capitalized_amount;
+            expensed    += a.expensed_amount;
+            await client.query(
+                `INSERT INTO landed_cost_allocations
+                    (landed_cost_id, receipt_id, receipt_line_id, item_id, qty, basis,
+                     allocated_amount, cost_per_unit, capitalized_amount, expensed_amount)
+                 VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
+                [lc.id, a.receipt_id, a.receipt_line_id, a.item_id, a.qty_received, a.basis.toFixed(4),
+                 a.allocated_amount, a.cost_per_unit, a.capitalized_amount, a.expensed_amount]
+            );
+            await client.query(
+                `UPDATE purchase_receipt_lines
+                 SET landed_cost_per_unit = landed_cost_per_unit + $1
+                 WHERE id = $2`, [a.cost_per_unit, a.receipt_line_id]
+            );
+        }
+
+        for (const [itemId, change] of priceChanges) {
+            await client.query(
+                `INSERT INTO price_change_log
+                    (company_id, item_id, old_cost, new_cost, old_sale_price, new_sale_price, changed_by, notes)
+                 SELECT company_id, id, $2, $3, sale_price, sale_price, $4, $5 FROM items WHERE id = $1`,
+                [itemId, change.oldCost, change.newCost, req.user?.userId || null,
+                 `Landed cost ${lc.number}`]
+            );
+        }
+
+        const { rows: [updated] } = await client.query(
+            `UPDATE landed_costs SET status = 'posted', posted_at = NOW() WHERE id = $1 RETURNING *`,
+            [lc.id]
+        );
+
+        const { rows: [rcv] } = await client.query(
+            `SELECT company_id FROM purchase_receipts WHERE id = $1`, [allocations[0].receipt_id]
+        );
+        const journalEntry = await gl.postLandedCost(client, {
+            companyId: rcv.company_id, landedCost: lc, capitalized, expensed, userId: req.user?.userId,
+        });
+
+        await client.query(
+            `INSERT INTO audit_log (action, table_name, record_id, new_values)
+             VALUES ('post_landed_cost','landed_costs',$1,$2)`,
+            [lc.id, JSON.stringify({ landed_cost: lc.number, total: lc.total_amount,
+                                     capitalized, expensed, journal_entry: journalEntry?.number })]
         );
 
         await client.query('COMMIT');
-        res.json({ receipt: rcv, po_status: newPOStatus });
+        res.json({ landed_cost: updated, allocations, journal_entry: journalEntry });
     } catch (err) {
         await client.query('ROLLBACK');
         res.status(err.status || 500).json({ error: err.message });
     } finally { client.release(); }
 });
 
+router.post('/landed-costs/:id/cancel', async (req, res) => {
+    try {
+        const { rows: [lc] } = await req.db.query(`SELECT status FROM landed_costs WHERE id = $1`, [req.params.id]);
+        if (!lc) return res.status(404).json({ error: 'Landed cost not found' });
+        if (lc.status !== 'draft')
+            return res.status(400).json({ error: `Cannot cancel a ${lc.status} landed cost` });
+        const { rows: [updated] } = await req.db.query(
+            `UPDATE landed_costs SET status = 'cancelled' WHERE id = $1 RETURNING *`, [req.params.id]
+        );
+        res.json(updated);
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
 // ── Vendor Invoices ───────────────────────────────────────────────────────────
 
 router.get('/vendor-invoices', async (req, res) => {
@@ -568,10 +955,10 @@ router.get('/vendor-invoices', async (req, res) => {
         const cond   = status ? `AND vi.status = $1` : '';
         const params = status ? [status] : [];
 
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM vendor_invoices vi WHERE 1=1 ${cond}`, params
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT vi.*, p.code AS vendor_code, p.name AS vendor_name,
                     po.number AS po_number
              FROM   vendor_invoices vi
@@ -588,7 +975,7 @@ router.get('/vendor-invoices', async (req, res) => {
 
 router.get('/vendor-invoices/:id', async (req, res) => {
     try {
-        const { rows: [inv] } = await query(
+        const { rows: [inv] } = await req.db.query(
             `SELECT vi.*, p.code AS vendor_code, p.name AS vendor_name,
                     po.number AS po_number, rcv.number AS receipt_number
              FROM   vendor_invoices vi
@@ -598,112 +985,180 @@ router.get('/vendor-invoices/:id', async (req, res) => {
              WHERE  vi.id = $1`, [req.params.id]
         );
         if (!inv) return res.status(404).json({ error: 'Vendor invoice not found' });
-        const { rows: payments } = await query(
+        const { rows: payments } = await req.db.query(
             `SELECT pd.*, pm.payment_date, pm.method, pm.reference_number
              FROM payment_disbursements pd
              JOIN payments_made pm ON pm.id = pd.payment_id
              WHERE pd.vendor_invoice_id = $1
              ORDER BY pm.payment_date`, [req.params.id]
         );
-        res.json({ ...inv, payments });
+        const lines = await invoiceMatch.invoiceLines(req.db, inv.id);
+        res.json({ ...inv, lines, payments });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
 router.post('/vendor-invoices', validate(CreateVendorInvoiceSchema), async (req, res) => {
     const { vendor_id, purchase_order_id, receipt_id, invoice_date,
-            subtotal, tax_amount, notes, vendor_invoice_number } = req.body;
+            tax_amount, notes, vendor_invoice_number, lines } = req.body;
+    let { subtotal } = req.body;
+    if (lines) {
+        const linesTotal = Math.round(lines.reduce((s, l) => s + l.qty * l.unit_price, 0) * 100) / 100;
+        if (subtotal !== undefined && Math.abs(subtotal - linesTotal) > 0.005)
+            return res.status(400).json({
+                error: `Subtotal ${subtotal.toFixed(2)} does not match the lines' total ${linesTotal.toFixed(2)}`,
+            });
+        subtotal = linesTotal;
+    }
 
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
 
         const { rows: [vendor] } = await client.query(
-            `SELECT payment_terms_days FROM parties WHERE id = $1`, [vendor_id]
+            `SELECT payment_terms_days, currency FROM parties WHERE id = $1`, [vendor_id]
         );
         const terms   = vendor ? vendor.payment_terms_days : 30;
         const invDate = invoice_date ? new Date(invoice_date) : new Date();
         const dueDate = new Date(invDate);
         dueDate.setDate(dueDate.getDate() + terms);
 
-        const number = await nextDocNumber(client, 'vendor_invoices', 'number', 'VINV');
+        const number = await numbering.next(client, 'vendor_invoice');
         const total  = parseFloat(subtotal) + parseFloat(tax_amount);
 
         const { rows: [inv] } = await client.query(
             `INSERT INTO vendor_invoices
                 (number, vendor_id, purchase_order_id, receipt_id,
                  invoice_date, due_date, subtotal, tax_amount, total,
-                 vendor_invoice_number, notes)
-             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING *`,
+                 vendor_invoice_number, notes, currency)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12) RETURNING *`,
             [number, vendor_id, purchase_order_id || null, receipt_id || null,
              invDate.toISOString().slice(0,10), dueDate.toISOString().slice(0,10),
              subtotal, tax_amount, total.toFixed(4),
-             vendor_invoice_number || null, notes || null]
+             vendor_invoice_number || null, notes || null, vendor?.currency || null]
         );
+        const invLines = lines ? await invoiceMatch.createLines(client, inv, lines) : [];
 
         await client.query('COMMIT');
-        res.status(201).json(inv);
+        res.status(201).json({ ...inv, lines: invLines });
     } catch (err) {
         await client.query('ROLLBACK');
-        res.status(400).json({ error: err.message });
+        res.status(err.status || 400).json({ error: err.message });
     } finally { client.release(); }
 });
 
+// Approval posts the invoice to AP at the rate of its invoice date, locked
+// then; GRNI is cleared at the rate its receipt was booked at — or, for an
+// invoice with lines, at the receipt value its lines matched
+async function postApprovedInvoice(client, invoice, userId) {
+    if (!invoice.exchange_rate) {
+        const rate = await fx.rateOn(client, invoice.currency, invoice.invoice_date);
+        ({ rows: [invoice] } = await client.query(
+            `UPDATE vendor_invoices SET exchange_rate = $1 WHERE id = $2 RETURNING *`, [rate, invoice.id]
+        ));
+    }
+    const { rows: [rcv] } = invoice.receipt_id
+        ? await client.query(`SELECT exchange_rate FROM purchase_receipts WHERE id = $1`, [invoice.receipt_id])
+        : { rows: [] };
+    const matched = await invoiceMatch.matchedValue(client, invoice);
+    await gl.postVendorInvoice(client, { invoice, receiptRate: rcv?.exchange_rate, matched, userId });
+    return invoice;
+}
+
+// Store a match result on the invoice; an approved one posts to AP
+async function applyMatch(client, invoice, result, userId) {
+    let { rows: [updated] } = await client.query(
+        `UPDATE vendor_invoices SET match_status=$1, status=$2,
+                three_way_match_notes=$3, updated_at=NOW()
+         WHERE id=$4 RETURNING *`,
+        [result.match_status, result.status, result.notes, invoice.id]
+    );
+    if (result.status === 'approved')
+        updated = await postApprovedInvoice(client, updated, userId);
+    return { ...updated, lines: await invoiceMatch.invoiceLines(client, invoice.id) };
+}
+
+async function lockOpenInvoice(client, id) {
+    const { rows: [inv] } = await client.query(
+        `SELECT * FROM vendor_invoices WHERE id = $1 FOR UPDATE`, [id]
+    );
+    if (!inv) throw Object.assign(new Error('Invoice not found'), { status: 404 });
+    if (!['pending','disputed'].includes(inv.status))
+        throw Object.assign(new Error(`Invoice is already ${inv.status}`), { status: 400 });
+    return inv;
+}
+
+// Invoices with lines are matched line by line within the vendor's
+// tolerances; without lines, on their totals
 router.post('/vendor-invoices/:id/match', async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
+        const inv    = await lockOpenInvoice(client, req.params.id);
+        const result = await invoiceMatch.matchInvoice(client, inv)
+                    || await invoiceMatch.matchTotals(client, inv);
+        const updated = await applyMatch(client, inv, result, req.user?.userId);
+
+        await client.query('COMMIT');
+        res.json(updated);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ error: err.message });
+    } finally { client.release(); }
+});
 
+// Approves an invoice without lines as it stands. One with lines must have
+// every disputed line resolved first
+router.post('/vendor-invoices/:id/approve', async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
         const { rows: [inv] } = await client.query(
-            `SELECT * FROM vendor_invoices WHERE id = $1 FOR UPDATE`, [req.params.id]
+            `SELECT * FROM vendor_invoices WHERE id = $1 AND status IN ('pending','disputed') FOR UPDATE`,
+            [req.params.id]
         );
-        if (!inv) throw Object.assign(new Error('Invoice not found'), { status: 404 });
-
-        let matchStatus = 'matched';
-        const notes    = [];
+        const result = inv && await invoiceMatch.matchInvoice(client, inv);
+        if (result) {
+            const open = result.lines.filter(l => !invoiceMatch.settled(l));
+            if (open.length) throw Object.assign(new Error(
+                `Resolve the disputed line(s) ${open.map(l => l.line_number).join(', ')} first ` +
+                `(accept_variance, short_pay or request_credit and record the credit)`), { status: 409 });
+            const updated = await applyMatch(client, inv, result, req.user?.userId);
+            await client.query('COMMIT');
+            return res.json(updated);
+        }
 
-        if (inv.po_id) {
-            const { rows: [poTotals] } = await client.query(
-                `SELECT COALESCE(SUM(line_total), 0) AS po_total
-                 FROM purchase_order_lines WHERE purchase_order_id = $1`, [inv.po_id]
-            );
-            const poTotal  = parseFloat(poTotals.po_total);
-            const invTotal = parseFloat(inv.total);
-            const variance = Math.abs(invTotal - poTotal) / (poTotal || 1);
+        const { rows } = await client.query(
+            `UPDATE vendor_invoices
+             SET status='approved', match_status='approved', updated_at=NOW()
+             WHERE id=$1 AND status IN ('pending','disputed') RETURNING *`,
+            [req.params.id]
+        );
+        if (!rows.length)
+            throw Object.assign(new Error('Invoice not found or cannot approve'), { status: 400 });
 
-            if (variance > 0.01) {
-                matchStatus = 'disputed';
-                notes.push(`Price mismatch: invoice total ${invTotal.toFixed(2)} vs PO total ${poTotal.toFixed(2)} (${(variance*100).toFixed(2)}% variance, exceeds 1%)`);
-            } else {
-                notes.push(`PO price match: OK (variance ${(variance*100).toFixed(2)}%)`);
-            }
-        } else {
-            notes.push('No PO linked — PO match skipped');
-        }
+        const invoice = await postApprovedInvoice(client, rows[0], req.user?.userId);
 
-        if (inv.receipt_id) {
-            const { rows: [rcvTotals] } = await client.query(
-                `SELECT COALESCE(SUM(qty_received * actual_cost), 0) AS rcv_total
-                 FROM purchase_receipt_lines WHERE receipt_id = $1`, [inv.receipt_id]
-            );
-            const rcvTotal = parseFloat(rcvTotals.rcv_total);
-            const invTotal = parseFloat(inv.total);
-            if (Math.abs(invTotal - rcvTotal) > 0.01) {
-                matchStatus = 'disputed';
-                notes.push(`Receipt qty mismatch: invoice ${invTotal.toFixed(2)} vs receipt ${rcvTotal.toFixed(2)}`);
-            } else {
-                notes.push('Receipt qty match: OK');
-            }
-        } else {
-            notes.push('No receipt linked — qty match skipped');
-        }
+        await client.query('COMMIT');
+        res.json(invoice);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ error: err.message });
+    } finally { client.release(); }
+});
 
-        const newStatus = matchStatus === 'matched' ? 'approved' : 'disputed';
-        const { rows: [updated] } = await client.query(
-            `UPDATE vendor_invoices SET match_status=$1, status=$2,
-                    three_way_match_notes=$3, updated_at=NOW()
-             WHERE id=$4 RETURNING *`,
-            [matchStatus, newStatus, notes.join(' | '), inv.id]
-        );
+// Resolve a disputed line: accept the variance, short-pay it or request a
+// credit. Once no line is left in dispute the invoice is approved and posted.
+router.post('/vendor-invoices/:id/lines/:lineId/resolve', requireRole('admin', 'manager'),
+    validate(ResolveInvoiceLineSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const inv = await lockOpenInvoice(client, req.params.id);
+        await invoiceMatch.resolveLine(client, {
+            invoice: inv, lineId: req.params.lineId, resolution: req.body.resolution,
+            notes: req.body.notes, userId: req.user?.userId,
+        });
+        const updated = await applyMatch(client, inv, await invoiceMatch.matchInvoice(client, inv), req.user?.userId);
 
         await client.query('COMMIT');
         res.json(updated);
@@ -713,29 +1168,137 @@ router.post('/vendor-invoices/:id/match', async (req, res) => {
     } finally { client.release(); }
 });
 
-router.post('/vendor-invoices/:id/approve', async (req, res) => {
+// Record the vendor's credit note against a line a credit was requested on
+router.post('/vendor-invoices/:id/lines/:lineId/credit', requireRole('admin', 'manager'),
+    validate(InvoiceLineCreditSchema), async (req, res) => {
+    const client = await req.db.connect();
     try {
-        const { rows } = await query(
-            `UPDATE vendor_invoices
-             SET status='approved', match_status='approved', updated_at=NOW()
-             WHERE id=$1 AND status IN ('pending','disputed') RETURNING *`,
-            [req.params.id]
-        );
-        if (!rows.length) return res.status(400).json({ error: 'Invoice not found or cannot approve' });
-        res.json(rows[0]);
-    } catch (err) { res.status(500).json({ error: err.message }); }
+        await client.query('BEGIN');
+        const inv = await lockOpenInvoice(client, req.params.id);
+        await invoiceMatch.recordCredit(client, {
+            invoice: inv, lineId: req.params.lineId, amount: req.body.amount,
+            reference: req.body.credit_reference, userId: req.user?.userId,
+        });
+        const updated = await applyMatch(client, inv, await invoiceMatch.matchInvoice(client, inv), req.user?.userId);
+
+        await client.query('COMMIT');
+        res.json(updated);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ error: err.message });
+    } finally { client.release(); }
 });
 
 router.post('/vendor-invoices/:id/void', async (req, res) => {
+    const client = await req.db.connect();
     try {
-        const { rows } = await query(
+        await client.query('BEGIN');
+        const { rows } = await client.query(
             `UPDATE vendor_invoices
              SET status='void', updated_at=NOW()
              WHERE id=$1 AND status NOT IN ('paid','void') RETURNING *`,
             [req.params.id]
         );
-        if (!rows.length) return res.status(400).json({ error: 'Invoice not found or already paid/void' });
+        if (!rows.length)
+            throw Object.assign(new Error('Invoice not found or already paid/void'), { status: 400 });
+
+        // Approved invoices already hit AP — back the entry out
+        await gl.reverseSourceEntries(client, {
+            sourceType: 'vendor_invoice', sourceId: rows[0].id,
+            entryDate:  new Date().toISOString().slice(0, 10), userId: req.user?.userId,
+        });
+
+        await client.query('COMMIT');
         res.json(rows[0]);
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ error: err.message });
+    } finally { client.release(); }
+});
+
+// ── Match Tolerances ──────────────────────────────────────────────────────────
+// The company's tolerances for line-level three-way match, and vendors' own.
+// A field left null falls back to the company's, then to the defaults.
+
+const TOLERANCE_FIELDS = ['price_tolerance_pct', 'qty_tolerance_pct', 'amount_tolerance'];
+
+router.get('/match-tolerances', async (req, res) => {
+    try {
+        const { rows } = await req.db.query(
+            `SELECT mt.*, p.code AS vendor_code, p.name AS vendor_name
+             FROM   match_tolerances mt
+             LEFT JOIN parties p ON p.id = mt.vendor_id
+             ORDER  BY mt.vendor_id IS NOT NULL, p.code`
+        );
+        const company = rows.find(r => !r.vendor_id) || null;
+        res.json({
+            defaults: invoiceMatch.DEFAULTS,
+            company,
+            effective: await invoiceMatch.tolerances(req.db, null),
+            vendors: rows.filter(r => r.vendor_id),
+        });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+router.put('/match-tolerances', requireRole('admin', 'manager'), validate(MatchTolerancesSchema), async (req, res) => {
+    try {
+        const { rows: [row] } = await req.db.query(
+            `INSERT INTO match_tolerances (price_tolerance_pct, qty_tolerance_pct, amount_tolerance, updated_by)
+             VALUES ($1,$2,$3,$4)
+             ON CONFLICT (company_id) WHERE vendor_id IS NULL
+             DO UPDATE SET price_tolerance_pct = EXCLUDED.price_tolerance_pct,
+                           qty_tolerance_pct   = EXCLUDED.qty_tolerance_pct,
+                           amount_tolerance    = EXCLUDED.amount_tolerance,
+                           updated_by          = EXCLUDED.updated_by
+             RETURNING *`,
+            [...TOLERANCE_FIELDS.map(f => req.body[f] ?? null), req.user?.userId || null]
+        );
+        res.json({ ...row, effective: await invoiceMatch.tolerances(req.db, null) });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+router.get('/match-tolerances/vendors/:vendorId', async (req, res) => {
+    try {
+        const { rows: [row] } = await req.db.query(
+            `SELECT * FROM match_tolerances WHERE vendor_id = $1`, [req.params.vendorId]
+        );
+        res.json({
+            vendor_id: req.params.vendorId, ...row,
+            effective: await invoiceMatch.tolerances(req.db, req.params.vendorId),
+        });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+router.put('/match-tolerances/vendors/:vendorId', requireRole('admin', 'manager'),
+    validate(MatchTolerancesSchema), async (req, res) => {
+    try {
+        const { rows: [vendor] } = await req.db.query(
+            `SELECT id FROM parties WHERE id = $1 AND type IN ('vendor','both')`, [req.params.vendorId]
+        );
+        if (!vendor) return res.status(404).json({ error: 'Vendor not found' });
+
+        const { rows: [row] } = await req.db.query(
+            `INSERT INTO match_tolerances (vendor_id, price_tolerance_pct, qty_tolerance_pct, amount_tolerance, updated_by)
+             VALUES ($1,$2,$3,$4,$5)
+             ON CONFLICT (company_id, vendor_id) WHERE vendor_id IS NOT NULL
+             DO UPDATE SET price_tolerance_pct = EXCLUDED.price_tolerance_pct,
+                           qty_tolerance_pct   = EXCLUDED.qty_tolerance_pct,
+                           amount_tolerance    = EXCLUDED.amount_tolerance,
+                           updated_by          = EXCLUDED.updated_by
+             RETURNING *`,
+            [vendor.id, ...TOLERANCE_FIELDS.map(f => req.body[f] ?? null), req.user?.userId || null]
+        );
+        res.json({ ...row, effective: await invoiceMatch.tolerances(req.db, vendor.id) });
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+router.delete('/match-tolerances/vendors/:vendorId', requireRole('admin', 'manager'), async (req, res) => {
+    try {
+        const { rows: [row] } = await req.db.query(
+            `DELETE FROM match_tolerances WHERE vendor_id = $1 RETURNING id`, [req.params.vendorId]
+        );
+        if (!row) return res.status(404).json({ error: 'Vendor has no tolerances of its own' });
+        res.json({ vendor_id: req.params.vendorId, effective: await invoiceMatch.tolerances(req.db, req.params.vendorId) });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
@@ -749,19 +1312,36 @@ router.post('/vendor-payments', validate(CreateAPPaymentSchema), async (req, res
     if (totalApplied > parseFloat(amount))
         return res.status(400).json({ error: 'Total applied exceeds payment amount' });
 
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
 
+        // Paid in the vendor's currency, at the rate of the payment date
+        const { rows: [vendor] } = await client.query(
+            `SELECT currency FROM parties WHERE id = $1`, [vendor_id]
+        );
+        if (!vendor) throw Object.assign(new Error('Vendor not found'), { status: 404 });
+        const payDate = payment_date || new Date().toISOString().slice(0,10);
+        const rate    = await fx.rateOn(client, vendor.currency, payDate);
+
         const { rows: [pmt] } = await client.query(
             `INSERT INTO payments_made
-                (vendor_id, payment_date, amount, method, reference_number, notes)
-             VALUES ($1,$2,$3,$4,$5,$6) RETURNING *`,
-            [vendor_id, payment_date || new Date().toISOString().slice(0,10),
-             amount, method, reference_number || null, notes || null]
+                (vendor_id, payment_date, amount, method, reference_number, notes, currency, exchange_rate)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+            [vendor_id, payDate,
+             amount, method, reference_number || null, notes || null, vendor.currency, rate]
         );
 
+        const invoiceRates = [];
         for (const app of applications) {
+            const { rows: [inv] } = await client.query(
+                `SELECT number, currency, exchange_rate FROM vendor_invoices WHERE id = $1`, [app.vendor_invoice_id]
+            );
+            if (inv && inv.currency !== pmt.currency) throw Object.assign(new Error(
+                `Vendor invoice ${inv.number} is in ${inv.currency}; the payment is in ${pmt.currency}`
+            ), { status: 400 });
+            if (inv) invoiceRates.push({ amount_applied: app.amount_applied, exchange_rate: inv.exchange_rate });
+
             await client.query(
                 `INSERT INTO payment_disbursements (payment_id, vendor_invoice_id, amount_applied)
                  VALUES ($1,$2,$3)`,
@@ -788,20 +1368,24 @@ router.post('/vendor-payments', validate(CreateAPPaymentSchema), async (req, res
             }
         }
 
+        await gl.postVendorPayment(client, {
+            payment: pmt, applications: invoiceRates, userId: req.user?.userId,
+        });
+
         await client.query('COMMIT');
         res.status(201).json(pmt);
     } catch (err) {
         await client.query('ROLLBACK');
-        res.status(400).json({ error: err.message });
+        res.status(err.status || 400).json({ error: err.message });
     } finally { client.release(); }
 });
 
 // ── AP Aging ──────────────────────────────────────────────────────────────────
 
-router.get('/ap-aging', async (_req, res) => {
+router.get('/ap-aging', async (req, res) => {
     try {
-        const { rows } = await query(`SELECT * FROM v_ap_aging ORDER BY total_due DESC`);
-        const { rows: [totals] } = await query(
+        const { rows } = await req.db.query(`SELECT * FROM v_ap_aging ORDER BY total_due DESC`);
+        const { rows: [totals] } = await req.db.query(
             `SELECT COALESCE(SUM(current_due),0) AS current_due,
                     COALESCE(SUM(days_1_30),0)   AS days_1_30,
                     COALESCE(SUM(days_31_60),0)  AS days_31_60,
@@ -816,9 +1400,9 @@ router.get('/ap-aging', async (_req, res) => {
 
 // ── Reorder Suggestions ───────────────────────────────────────────────────────
 
-router.get('/reorder-suggestions', async (_req, res) => {
+router.get('/reorder-suggestions', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT * FROM v_reorder_suggestions ORDER BY effective_qty - reorder_point ASC`
         );
         res.json(rows);
@@ -829,7 +1413,7 @@ router.post('/reorder-suggestions/generate-pos', async (req, res) => {
     const { warehouse_id, created_by } = req.body;
     if (!warehouse_id) return res.status(400).json({ error: 'warehouse_id required' });
 
-    const { rows: suggestions } = await query(
+    const { rows: suggestions } = await req.db.query(
         `SELECT * FROM v_reorder_suggestions WHERE suggested_order_qty > 0`
     );
     if (!suggestions.length) return res.json({ pos_created: 0, message: 'No items need reordering' });
@@ -843,22 +1427,25 @@ router.post('/reorder-suggestions/generate-pos', async (req, res) => {
         byVendor[vendorKey].items.push(s);
     }
 
-    const client = await pool.connect();
+    const client = await req.db.connect();
     const createdPOs = [];
     try {
         await client.query('BEGIN');
+        await transfers.assertNotTransit(client, [warehouse_id]);
 
         for (const [, group] of Object.entries(byVendor)) {
             if (!group.vendor_id) continue;
 
-            const number = await nextDocNumber(client, 'purchase_orders', 'number', 'PO');
+            const number = await numbering.next(client, 'purchase_order');
             const { rows: [po] } = await client.query(
                 `INSERT INTO purchase_orders
-                    (number, vendor_id, warehouse_id, notes, created_by)
-                 VALUES ($1,$2,$3,$4,$5) RETURNING *`,
+                    (number, vendor_id, warehouse_id, notes, created_by, currency)
+                 SELECT $1,$2,$3,$4,$5, currency FROM parties WHERE id = $2
+                 RETURNING *`,
                 [number, group.vendor_id, warehouse_id,
                  'Auto-generated from reorder suggestions', created_by || null]
             );
+            const rate = await fx.rateOn(client, po.currency, po.order_date);
 
             for (let idx = 0; idx < group.items.length; idx++) {
                 const s = group.items[idx];
@@ -866,7 +1453,7 @@ router.post('/reorder-suggestions/generate-pos', async (req, res) => {
                     `INSERT INTO purchase_order_lines
                         (purchase_order_id, line_number, item_id, qty_ordered, unit_cost)
                      VALUES ($1,$2,$3,$4,$5)`,
-                    [po.id, idx + 1, s.item_id, s.suggested_order_qty, s.standard_cost]
+                    [po.id, idx + 1, s.item_id, s.suggested_order_qty, fx.fromBase(s.standard_cost, rate)]
                 );
             }
 
@@ -878,7 +1465,7 @@ router.post('/reorder-suggestions/generate-pos', async (req, res) => {
         res.status(201).json({ pos_created: createdPOs.length, purchase_orders: createdPOs });
     } catch (err) {
         await client.query('ROLLBACK');
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     } finally { client.release(); }
 });
 
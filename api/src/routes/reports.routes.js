@@ -5,7 +5,6 @@
 // All endpoints support ?format=csv for CSV download
 
 const { Router } = require('express');
-const { query, pool } = require('../db/pool');
 const { parsePage, paginate } = require('../lib/pagination');
 
 const router = Router();
@@ -30,14 +29,16 @@ function sendCSV(res, filename, rows) {
 // ── Task 6: AR Aging ──────────────────────────────────────────────────────────
 router.get('/ar-aging', async (req, res) => {
     try {
-        const { rows } = await query(`SELECT * FROM v_ar_aging ORDER BY total_due DESC`);
-        const { rows: [totals] } = await query(
+        const { rows } = await req.db.query(`SELECT * FROM v_ar_aging ORDER BY total_due DESC`);
+        const { rows: [totals] } = await req.db.query(
             `SELECT COALESCE(SUM(current_due),0) AS current_due,
                     COALESCE(SUM(days_1_30),0)   AS days_1_30,
                     COALESCE(SUM(days_31_60),0)  AS days_31_60,
                     COALESCE(SUM(days_61_90),0)  AS days_61_90,
                     COALESCE(SUM(days_90plus),0) AS days_90plus,
-                    COALESCE(SUM(total_due),0)   AS total_due
+                    COALESCE(SUM(total_due),0)   AS total_due,
+                    COALESCE(SUM(unapplied_credits),0) AS unapplied_credits,
+                    COALESCE(SUM(net_due),0)     AS net_due
              FROM v_ar_aging`
         );
         if (req.query.format === 'csv') return sendCSV(res, 'ar_aging.csv', rows);
@@ -51,36 +52,28 @@ router.get('/inventory-valuation', async (req, res) => {
     try {
         const conds  = [];
         const params = [];
-        if (warehouse_id) { params.push(warehouse_id); conds.push(`soh.warehouse_id = $${params.length}`); }
-        if (category)     { params.push(category);     conds.push(`i.category = $${params.length}`); }
+        if (warehouse_id) { params.push(warehouse_id); conds.push(`v.warehouse_id = $${params.length}`); }
+        if (category)     { params.push(category);     conds.push(`v.category = $${params.length}`); }
         const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
 
-        const { rows } = await query(
-            `SELECT i.code AS item_code, i.name AS item_name,
-                    i.category, i.unit_of_measure,
-                    i.standard_cost,
-                    SUM(soh.qty_on_hand) AS total_qty_on_hand,
-                    SUM(soh.qty_on_hand * i.standard_cost) AS total_value,
-                    w.code AS warehouse_code, w.name AS warehouse_name
-             FROM v_stock_on_hand soh
-             JOIN items i ON i.id = soh.item_id
-             JOIN warehouses w ON w.id = soh.warehouse_id
+        // FIFO items are valued from their open cost layers, average-cost items
+        // at the moving average — see v_inventory_valuation
+        const { rows } = await req.db.query(
+            `SELECT v.item_code, v.item_name, v.category, v.unit_of_measure,
+                    v.cost_method, v.standard_cost, v.unit_cost,
+                    v.qty_on_hand AS total_qty_on_hand,
+                    v.total_value,
+                    v.warehouse_code, v.warehouse_name
+             FROM v_inventory_valuation v
              ${where}
-             GROUP BY i.id, i.code, i.name, i.category, i.unit_of_measure,
-                      i.standard_cost, w.id, w.code, w.name
-             ORDER BY total_value DESC`,
+             ORDER BY v.total_value DESC`,
             params
         );
 
-        const { rows: [summary] } = await query(
-            `SELECT COALESCE(SUM(soh.qty_on_hand * i.standard_cost),0) AS grand_total
-             FROM v_stock_on_hand soh
-             JOIN items i ON i.id = soh.item_id`,
-            []
-        );
+        const grand_total = rows.reduce((s, r) => s + parseFloat(r.total_value), 0).toFixed(4);
 
         if (req.query.format === 'csv') return sendCSV(res, 'inventory_valuation.csv', rows);
-        res.json({ success: true, data: { rows, grand_total: summary.grand_total } });
+        res.json({ success: true, data: { rows, grand_total } });
     } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
@@ -97,10 +90,10 @@ router.get('/stock-movement', async (req, res) => {
         if (to_date)     { params.push(to_date);     conds.push(`sl.posting_date <= $${params.length}`); }
         const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
 
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM stock_ledger sl ${where}`, params
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT sl.posting_date, sl.transaction_type, sl.reference_type, sl.reference_id,
                     sl.qty, sl.cost_per_unit,
                     ROUND(sl.qty * sl.cost_per_unit, 4) AS line_value,
@@ -121,10 +114,45 @@ router.get('/stock-movement', async (req, res) => {
     } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
+// ── Near-Expiry Lots ──────────────────────────────────────────────────────────
+// Lots on hand expiring within ?days (default 90), expired lots included.
+router.get('/near-expiry', async (req, res) => {
+    const { warehouse_id, category } = req.query;
+    const days = Math.max(parseInt(req.query.days, 10) || 90, 0);
+    try {
+        const conds  = ['lot.lot_number IS NOT NULL', 'lot.qty_on_hand > 0',
+                        `lot.expiry_date <= CURRENT_DATE + $1::int`];
+        const params = [days];
+        if (warehouse_id) { params.push(warehouse_id); conds.push(`lot.warehouse_id = $${params.length}`); }
+        if (category)     { params.push(category);     conds.push(`lot.category = $${params.length}`); }
+
+        const { rows } = await req.db.query(
+            `SELECT lot.item_code, lot.item_name, lot.category,
+                    lot.warehouse_code, lot.warehouse_name,
+                    lot.lot_number, lot.expiry_date, lot.days_to_expiry, lot.is_expired,
+                    lot.qty_on_hand, lot.qty_committed, lot.qty_available,
+                    ROUND(lot.total_cost, 2) AS value_at_cost
+             FROM   v_stock_availability_by_lot lot
+             WHERE  ${conds.join(' AND ')}
+             ORDER  BY lot.expiry_date, lot.item_code, lot.warehouse_code`,
+            params
+        );
+        const totals = rows.reduce((t, r) => {
+            const bucket = r.is_expired ? 'expired' : 'expiring';
+            t[bucket].qty   += parseFloat(r.qty_on_hand);
+            t[bucket].value += parseFloat(r.value_at_cost);
+            return t;
+        }, { expired: { qty: 0, value: 0 }, expiring: { qty: 0, value: 0 } });
+
+        if (req.query.format === 'csv') return sendCSV(res, 'near_expiry.csv', rows);
+        res.json({ success: true, data: { days, rows, totals } });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
 // ── Task 8: Reorder Recommendations ──────────────────────────────────────────
-router.get('/reorder-recommendations', async (_req, res) => {
+router.get('/reorder-recommendations', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT ra.*,
                     p.name AS preferred_vendor_name
              FROM v_reorder_alerts ra
@@ -132,15 +160,15 @@ router.get('/reorder-recommendations', async (_req, res) => {
              LEFT JOIN parties p ON p.id = i.preferred_vendor_id
              ORDER BY ra.qty_available ASC`
         );
-        if (_req.query.format === 'csv') return sendCSV(_req.res, 'reorder_recommendations.csv', rows);
+        if (req.query.format === 'csv') return sendCSV(req.res, 'reorder_recommendations.csv', rows);
         res.json({ success: true, data: rows });
     } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
 // ── Task 8: Stock Summary (by warehouse) ─────────────────────────────────────
-router.get('/stock-summary', async (_req, res) => {
+router.get('/stock-summary', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT w.code AS warehouse_code, w.name AS warehouse_name,
                     COUNT(DISTINCT soh.item_id) AS item_count,
                     SUM(soh.qty_on_hand) AS total_qty,
@@ -155,7 +183,7 @@ router.get('/stock-summary', async (_req, res) => {
              GROUP BY w.id, w.code, w.name
              ORDER BY w.name`
         );
-        const { rows: topItems } = await query(
+        const { rows: topItems } = await req.db.query(
             `SELECT i.code AS item_code, i.name AS item_name,
                     SUM(soh.qty_on_hand) AS total_qty,
                     SUM(soh.qty_on_hand * i.standard_cost) AS total_value
@@ -165,7 +193,7 @@ router.get('/stock-summary', async (_req, res) => {
              ORDER BY total_value DESC
              LIMIT 10`
         );
-        if (_req.query.format === 'csv') return sendCSV(_req.res, 'stock_summary.csv', rows);
+        if (req.query.format === 'csv') return sendCSV(req.res, 'stock_summary.csv', rows);
         res.json({ success: true, data: { by_warehouse: rows, top_items: topItems } });
     } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
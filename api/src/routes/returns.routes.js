@@ -0,0 +1,784 @@
+'use strict';
+
+// routes/returns.routes.js
+// Sales Returns (RMA) — authorize, receive with inspection disposition, credit memos
+
+const { Router } = require('express');
+const { validate } = require('../middleware/validate');
+const { parsePage, paginate } = require('../lib/pagination');
+const gl = require('../lib/gl-posting');
+const serials = require('../lib/serials');
+const lots = require('../lib/lots');
+const costing = require('../lib/costing');
+const kits = require('../lib/kits');
+const transfers = require('../lib/transfers');
+const fx = require('../lib/fx');
+const numbering = require('../lib/numbering');
+const { z } = require('zod');
+
+const router = Router();
+
+// ── Schemas ───────────────────────────────────────────────────────────────────
+const UUID    = z.string().uuid();
+const DateStr = z.string().regex(/^\d{4}-\d{2}-\d{2}$/);
+
+// A bundle line comes back as its components: the whole set (qty in
+// bundles), or one component_item_id alone (qty in that component's units)
+const ReturnLineSchema = z.object({
+    shipment_line_id:  UUID,
+    qty:               z.coerce.number().positive(),
+    component_item_id: UUID.optional(),
+});
+
+const CreateReturnSchema = z.object({
+    invoice_id:      UUID.optional(),
+    shipment_id:     UUID.optional(),
+    warehouse_id:    UUID.optional(),
+    authorized_date: DateStr.optional(),
+    reason:          z.string().trim().min(1),
+    notes:           z.string().trim().optional(),
+    lines:           z.array(ReturnLineSchema).min(1),
+}).refine(d => d.invoice_id || d.shipment_id,
+    { message: 'invoice_id or shipment_id is required' });
+
+const ReceiveLineSchema = z.object({
+    return_line_id:   UUID,
+    qty_received:     z.coerce.number().nonnegative(),
+    disposition:      z.enum(['restock','scrap','vendor_return']),
+    inspection_notes: z.string().trim().optional(),
+    serial_numbers:   z.array(z.string().trim().min(1).max(80)).optional(),
+    lot_number:       z.string().trim().min(1).max(50).optional(),
+});
+
+const ReceiveReturnSchema = z.object({
+    warehouse_id:  UUID.optional(),
+    received_date: DateStr.optional(),
+    lines:         z.array(ReceiveLineSchema).min(1),
+});
+
+const VendorReturnSchema = z.object({
+    returned_date: DateStr.optional(),
+    notes:         z.string().trim().optional(),
+});
+
+const IssueCreditSchema = z.object({
+    memo_date:        DateStr.optional(),
+    apply_to_invoice: z.boolean().default(true),
+});
+
+const ApplyCreditSchema = z.object({
+    applications: z.array(z.object({
+        invoice_id: UUID,
+        amount:     z.coerce.number().positive(),
+    })).min(1),
+});
+
+// ── Bundle returns ────────────────────────────────────────────────────────────
+// A bundle shipped as its components, so it comes back as them: one return
+// line per component, at what that component cost on the shipment. The
+// bundle's price is shared out in proportion to those costs, so a whole set
+// is credited at the bundle price.
+async function bundleReturnLines(client, sl, { qty, componentItemId, unitPrice }) {
+    const parts = (await kits.orderComponents(client, [sl.sales_order_line_id])).get(sl.sales_order_line_id) || [];
+    const { rows: costs } = await client.query(
+        `SELECT item_id, SUM(qty * cost_per_unit) / SUM(qty) AS cost_per_unit
+         FROM   stock_ledger
+         WHERE  reference_type = 'shipment' AND reference_id = $1 AND item_id = ANY($2)
+         GROUP  BY item_id`,
+        [sl.shipment_id, parts.map(c => c.component_item_id)]
+    );
+    const costOf    = new Map(costs.map(c => [c.item_id, parseFloat(c.cost_per_unit)]));
+    const setCost   = parts.reduce((s, c) => s + parseFloat(c.qty_per) * (costOf.get(c.component_item_id) || 0), 0);
+    const setUnits  = parts.reduce((s, c) => s + parseFloat(c.qty_per), 0);
+    const round4    = n => Math.round(n * 10000) / 10000;
+
+    const lines = parts.map(c => ({
+        item_id:       c.component_item_id,
+        qty:           round4(qty * parseFloat(c.qty_per)),
+        qty_shipped:   round4(parseFloat(sl.qty_shipped) * parseFloat(c.qty_per)),
+        unit_price:    setCost > 0 ? unitPrice * (costOf.get(c.component_item_id) || 0) / setCost
+                                   : unitPrice / setUnits,
+        cost_per_unit: costOf.get(c.component_item_id) || 0,
+    }));
+    if (!componentItemId) return lines;
+
+    const part = lines.find(l => l.item_id === componentItemId);
+    if (!part) throw Object.assign(
+        new Error(`Item ${componentItemId} is not a component of ${sl.item_code}`), { status: 400 }
+    );
+    return [{ ...part, qty }];
+}
+
+// ── Vendor-returns warehouse ──────────────────────────────────────────────────
+// Units inspected as vendor_return wait here, out of available stock, until
+// they are sent back. One per company, created the first time a return needs
+// it — coded VENDOR-RETURNS, or VENDOR-RETURNS-2 and so on when the company
+// already has a warehouse of that code.
+async function vendorReturnWarehouse(client) {
+    const find = async () => (await client.query(`SELECT * FROM warehouses WHERE is_vendor_return`)).rows[0];
+    const existing = await find();
+    if (existing) return existing;
+
+    const { rows: taken } = await client.query(`SELECT code FROM warehouses WHERE code LIKE 'VENDOR-RETURNS%'`);
+    const codes = new Set(taken.map(w => w.code));
+    let code = 'VENDOR-RETURNS';
+    for (let n = 2; codes.has(code); n++) code = `VENDOR-RETURNS-${n}`;
+    await client.query(
+        `INSERT INTO warehouses (code, name, is_active, is_vendor_return)
+         VALUES ($1, 'Vendor returns', true, true)
+         ON CONFLICT (company_id) WHERE is_vendor_return DO NOTHING`, [code]
+    );
+    return find();
+}
+
+// ── Credit application helper ─────────────────────────────────────────────────
+// Applied credit is carried in sales_invoices.amount_paid (alongside cash) so
+// balance_due and v_ar_aging pick it up without further changes. Memo and
+// invoice share a currency; a gap between their rates is realized FX.
+async function applyCredit(client, memo, invoiceId, amount, userId) {
+    const { rows: [inv] } = await client.query(
+        `SELECT * FROM sales_invoices WHERE id = $1 FOR UPDATE`, [invoiceId]
+    );
+    if (!inv) throw Object.assign(new Error(`Invoice ${invoiceId} not found`), { status: 404 });
+    if (inv.customer_id !== memo.customer_id)
+        throw Object.assign(new Error(`Invoice ${inv.number} belongs to a different customer`), { status: 400 });
+    if (inv.currency !== memo.currency)
+        throw Object.assign(new Error(`Invoice ${inv.number} is in ${inv.currency}; the credit memo is in ${memo.currency}`), { status: 400 });
+    if (['paid','void','draft'].includes(inv.status))
+        throw Object.assign(new Error(`Invoice ${inv.number} is ${inv.status}`), { status: 400 });
+
+    const applyAmt = Math.min(parseFloat(amount), parseFloat(inv.balance_due), parseFloat(memo.balance));
+    if (applyAmt <= 0)
+        throw Object.assign(new Error(`Nothing to apply to invoice ${inv.number}`), { status: 400 });
+
+    await client.query(
+        `INSERT INTO credit_memo_applications (credit_memo_id, invoice_id, amount_applied, created_by)
+         VALUES ($1,$2,$3,$4)`,
+        [memo.id, inv.id, applyAmt, userId || null]
+    );
+    await gl.postCreditApplication(client, {
+        companyId: inv.company_id, memo, invoice: inv, amount: applyAmt,
+        entryDate: new Date().toISOString().slice(0, 10), userId,
+    });
+
+    const newPaid = parseFloat(inv.amount_paid) + applyAmt;
+    await client.query(
+        `UPDATE sales_invoices
+         SET amount_paid = $1,
+             status = CASE WHEN $1 >= total THEN 'paid' ELSE 'partial_paid' END,
+             updated_at = NOW()
+         WHERE id = $2`,
+        [newPaid, inv.id]
+    );
+
+    const { rows: [updated] } = await client.query(
+        `UPDATE credit_memos
+         SET amount_applied = amount_applied + $1,
+             status = CASE WHEN amount_applied + $1 >= total THEN 'applied' ELSE 'partially_applied' END
+         WHERE id = $2 RETURNING *`,
+        [applyAmt, memo.id]
+    );
+    return { memo: updated, invoice_id: inv.id, invoice_number: inv.number, amount_applied: applyAmt };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Return Authorizations
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/returns
+router.get('/returns', async (req, res) => {
+    const { status, customer_id } = req.query;
+    try {
+        const { page, limit, offset } = parsePage(req.query);
+        const conds = []; const params = [];
+        if (status)      { params.push(status);      conds.push(`r.status = $${params.length}`); }
+        if (customer_id) { params.push(customer_id); conds.push(`r.customer_id = $${params.length}`); }
+        const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+
+        const { rows: [{ count }] } = await req.db.query(
+            `SELECT COUNT(*) FROM sales_returns r ${where}`, params
+        );
+        const { rows } = await req.db.query(
+            `SELECT r.*, p.name AS customer_name, p.code AS customer_code,
+                    shp.number AS shipment_number, si.number AS invoice_number,
+                    w.code AS warehouse_code,
+                    (SELECT COUNT(*) FROM sales_return_lines WHERE return_id = r.id) AS line_count
+             FROM   sales_returns r
+             JOIN   parties p     ON p.id   = r.customer_id
+             JOIN   shipments shp ON shp.id = r.shipment_id
+             JOIN   warehouses w  ON w.id   = r.warehouse_id
+             LEFT JOIN sales_invoices si ON si.id = r.invoice_id
+             ${where}
+             ORDER  BY r.created_at DESC
+             LIMIT $${params.length+1} OFFSET $${params.length+2}`,
+            [...params, limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// GET /api/returns/:id
+router.get('/returns/:id', async (req, res) => {
+    try {
+        const { rows: [rma] } = await req.db.query(
+            `SELECT r.*, p.name AS customer_name, p.code AS customer_code,
+                    shp.number AS shipment_number, si.number AS invoice_number,
+                    w.code AS warehouse_code, w.name AS warehouse_name
+             FROM   sales_returns r
+             JOIN   parties p     ON p.id   = r.customer_id
+             JOIN   shipments shp ON shp.id = r.shipment_id
+             JOIN   warehouses w  ON w.id   = r.warehouse_id
+             LEFT JOIN sales_invoices si ON si.id = r.invoice_id
+             WHERE  r.id = $1`, [req.params.id]
+        );
+        if (!rma) return res.status(404).json({ success: false, error: 'Return not found' });
+
+        const { rows: lines } = await req.db.query(
+            `SELECT rl.*, i.code AS item_code, i.name AS item_name, i.unit_of_measure
+             FROM   sales_return_lines rl
+             JOIN   items i ON i.id = rl.item_id
+             WHERE  rl.return_id = $1
+             ORDER  BY rl.line_number`, [rma.id]
+        );
+        const { rows: creditMemos } = await req.db.query(
+            `SELECT * FROM credit_memos WHERE return_id = $1 ORDER BY created_at`, [rma.id]
+        );
+        res.json({ success: true, data: { ...rma, lines, credit_memos: creditMemos } });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/returns — authorize a return against an invoice or shipment
+router.post('/returns', validate(CreateReturnSchema), async (req, res) => {
+    const { invoice_id, warehouse_id, authorized_date, reason, notes, lines } = req.body;
+    let { shipment_id } = req.body;
+
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        await transfers.assertNotTransit(client, [warehouse_id]);
+
+        let invoice = null;
+        if (invoice_id) {
+            const { rows: [inv] } = await client.query(
+                `SELECT * FROM sales_invoices WHERE id = $1`, [invoice_id]
+            );
+            if (!inv) throw Object.assign(new Error('Invoice not found'), { status: 404 });
+            if (inv.status === 'void') throw Object.assign(new Error('Invoice is void'), { status: 400 });
+            if (!inv.shipment_id)
+                throw Object.assign(new Error('Invoice has no shipment to return against'), { status: 400 });
+            if (shipment_id && shipment_id !== inv.shipment_id)
+                throw Object.assign(new Error('Invoice and shipment do not match'), { status: 400 });
+            shipment_id = inv.shipment_id;
+            invoice = inv;
+        }
+
+        const { rows: [shp] } = await client.query(
+            `SELECT shp.*, so.customer_id
+             FROM shipments shp
+             JOIN sales_orders so ON so.id = shp.sales_order_id
+             WHERE shp.id = $1`, [shipment_id]
+        );
+        if (!shp) throw Object.assign(new Error('Shipment not found'), { status: 404 });
+        if (!['shipped','delivered'].includes(shp.status))
+            throw Object.assign(new Error(`Shipment is ${shp.status} — nothing to return`), { status: 400 });
+
+        if (!invoice) {
+            const { rows: [inv] } = await client.query(
+                `SELECT * FROM sales_invoices WHERE shipment_id = $1 AND status <> 'void'
+                 ORDER BY created_at LIMIT 1`, [shp.id]
+            );
+            invoice = inv || null;
+        }
+
+        const number = await numbering.next(client, 'sales_return');
+        const { rows: [rma] } = await client.query(
+            `INSERT INTO sales_returns
+                (number, customer_id, sales_order_id, shipment_id, invoice_id, warehouse_id,
+                 authorized_date, reason, notes, created_by)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING *`,
+            [number, shp.customer_id, shp.sales_order_id, shp.id, invoice?.id || null,
+             warehouse_id || shp.warehouse_id,
+             authorized_date || new Date().toISOString().slice(0, 10),
+             reason, notes || null, req.user?.userId || null]
+        );
+
+        let lineNumber = 0;
+        for (const { shipment_line_id, qty, component_item_id } of lines) {
+            const { rows: [sl] } = await client.query(
+                `SELECT sl.*, sol.unit_price, sol.discount_pct, i.code AS item_code, i.kit_type
+                 FROM shipment_lines sl
+                 JOIN sales_order_lines sol ON sol.id = sl.sales_order_line_id
+                 JOIN items i ON i.id = sl.item_id
+                 WHERE sl.id = $1 AND sl.shipment_id = $2`,
+                [shipment_line_id, shp.id]
+            );
+            if (!sl) throw Object.assign(
+                new Error(`Shipment line ${shipment_line_id} is not on shipment ${shp.number}`), { status: 400 }
+            );
+            const unitPrice = parseFloat(sl.unit_price) * (1 - parseFloat(sl.discount_pct));
+            if (component_item_id && sl.kit_type !== 'bundle') throw Object.assign(
+                new Error(`${sl.item_code} is not a bundle — return the line itself`), { status: 400 }
+            );
+            const returning = sl.kit_type === 'bundle'
+                ? await bundleReturnLines(client, sl, { qty, componentItemId: component_item_id, unitPrice })
+                : [{ item_id: sl.item_id, qty, qty_shipped: parseFloat(sl.qty_shipped),
+                     unit_price: unitPrice, cost_per_unit: sl.cost_per_unit }];
+
+            for (const r of returning) {
+                const { rows: [{ qty_already_returned }] } = await client.query(
+                    `SELECT COALESCE(SUM(rl.qty_authorized), 0) AS qty_already_returned
+                     FROM sales_return_lines rl
+                     JOIN sales_returns r ON r.id = rl.return_id
+                     WHERE rl.shipment_line_id = $1 AND rl.item_id = $2
+                       AND r.status <> 'cancelled'`, [sl.id, r.item_id]
+                );
+                const returnable = r.qty_shipped - parseFloat(qty_already_returned);
+                if (r.qty > returnable) throw Object.assign(
+                    new Error(`Cannot return ${r.qty} of item ${r.item_id}: only ${returnable} returnable`), { status: 400 }
+                );
+
+                await client.query(
+                    `INSERT INTO sales_return_lines
+                        (return_id, line_number, shipment_line_id, item_id, qty_authorized, unit_price, cost_per_unit)
+                     VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+                    [rma.id, ++lineNumber, sl.id, r.item_id, r.qty, r.unit_price.toFixed(4), r.cost_per_unit]
+                );
+            }
+        }
+
+        await client.query(
+            `INSERT INTO audit_log (action, table_name, record_id, new_values)
+             VALUES ('authorize_return','sales_returns',$1,$2)`,
+            [rma.id, JSON.stringify({ rma: rma.number, shipment: shp.number, invoice: invoice?.number || null })]
+        );
+
+        await client.query('COMMIT');
+        res.status(201).json({ success: true, data: rma });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 400).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// POST /api/returns/:id/receive — goods arrive, inspected line by line
+router.post('/returns/:id/receive', validate(ReceiveReturnSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows: [rma] } = await client.query(
+            `SELECT * FROM sales_returns WHERE id = $1 FOR UPDATE`, [req.params.id]
+        );
+        if (!rma) throw Object.assign(new Error('Return not found'), { status: 404 });
+        if (rma.status !== 'authorized')
+            throw Object.assign(new Error(`Return is already ${rma.status}`), { status: 400 });
+
+        if (!req.body.lines.some(l => l.qty_received > 0))
+            throw Object.assign(new Error('Nothing received'), { status: 400 });
+
+        const warehouseId  = req.body.warehouse_id || rma.warehouse_id;
+        await transfers.assertNotTransit(client, [warehouseId]);
+        const receivedDate = req.body.received_date || new Date().toISOString().slice(0, 10);
+
+        const { rows: rmaLines } = await client.query(
+            `SELECT * FROM sales_return_lines WHERE return_id = $1`, [rma.id]
+        );
+        const byId = Object.fromEntries(rmaLines.map(l => [l.id, l]));
+        const tracked  = await serials.trackedItemIds(client, rmaLines.map(l => l.item_id));
+        const captured = new Map(req.body.lines.map(l => [l.return_line_id, l.serial_numbers || []]));
+        const lotTracked = await lots.trackedItemIds(client, rmaLines.map(l => l.item_id));
+
+        let restockValue      = 0;
+        let vendorReturnValue = 0;
+        let scrapValue        = 0;
+        let held = null;
+        for (const rcv of req.body.lines) {
+            const line = byId[rcv.return_line_id];
+            if (!line) throw Object.assign(
+                new Error(`Line ${rcv.return_line_id} is not on return ${rma.number}`), { status: 400 }
+            );
+            if (rcv.qty_received > parseFloat(line.qty_authorized)) throw Object.assign(
+                new Error(`Received qty ${rcv.qty_received} exceeds authorized ${line.qty_authorized}`), { status: 400 }
+            );
+
+            await client.query(
+                `UPDATE sales_return_lines
+                 SET qty_received = $1, disposition = $2, inspection_notes = $3
+                 WHERE id = $4`,
+                [rcv.qty_received, rcv.disposition, rcv.inspection_notes || null, line.id]
+            );
+            const returned = serials.forLine(
+                captured, line.id, rcv.qty_received, tracked.has(line.item_id), 'return line'
+            );
+            if (rcv.qty_received === 0) continue;
+
+            // Units going back to the vendor are held apart from sellable stock
+            if (rcv.disposition === 'vendor_return' && !held) held = await vendorReturnWarehouse(client);
+            const toWarehouseId = rcv.disposition === 'vendor_return' ? held.id : warehouseId;
+
+            await serials.returnToStock(client, {
+                itemId: line.item_id, warehouseId: toWarehouseId, shipmentId: rma.shipment_id,
+                disposition: rcv.disposition, serials: returned,
+                event: {
+                    referenceType: 'sales_return', referenceId: rma.id, referenceLineId: line.id,
+                    referenceNumber: rma.number, date: receivedDate, userId: req.user?.userId,
+                },
+            });
+
+            const cost   = parseFloat(line.cost_per_unit);
+            const splits = await lots.returnSplits(client, {
+                itemId: line.item_id, shipmentId: rma.shipment_id, qty: rcv.qty_received,
+                tracked: lotTracked.has(line.item_id), lotNumber: rcv.lot_number,
+            });
+            for (const split of splits) {
+                // Units kept in stock come back as a cost layer at their shipped cost
+                if (rcv.disposition !== 'scrap')
+                    await costing.receive(client, {
+                        itemId: line.item_id, warehouseId: toWarehouseId, lotNumber: split.lot_number,
+                        qty: split.qty, unitCost: cost, date: receivedDate,
+                        sourceType: 'sales_return', sourceId: rma.id,
+                    });
+
+                await client.query(
+                    `INSERT INTO stock_ledger
+                        (item_id, warehouse_id, transaction_type, reference_type, reference_id,
+                         qty, cost_per_unit, notes, posting_date, created_by, lot_number, expiry_date)
+                     VALUES ($1,$2,'return','sales_return',$3,$4,$5,$6,$7,$8,$9,$10)`,
+                    [line.item_id, toWarehouseId, rma.id, split.qty, cost,
+                     `${rma.number} — ${rcv.disposition}`, receivedDate, req.user?.userId || null,
+                     split.lot_number, split.expiry_date]
+                );
+
+                if (rcv.disposition === 'scrap') {
+                    // Written straight back out — the unit never becomes available
+                    await client.query(
+                        `INSERT INTO stock_ledger
+                            (item_id, warehouse_id, transaction_type, reference_type, reference_id,
+                             qty, cost_per_unit, notes, posting_date, created_by, lot_number, expiry_date)
+                         VALUES ($1,$2,'adjustment','sales_return',$3,$4,$5,$6,$7,$8,$9,$10)`,
+                        [line.item_id, warehouseId, rma.id, -split.qty, cost,
+                         `${rma.number} — scrapped on inspection`, receivedDate, req.user?.userId || null,
+                         split.lot_number, split.expiry_date]
+                    );
+                }
+            }
+
+            if (rcv.disposition === 'scrap') {
+                scrapValue += rcv.qty_received * cost;
+            } else if (rcv.disposition === 'vendor_return') {
+                vendorReturnValue += rcv.qty_received * cost;
+            } else {
+                restockValue += rcv.qty_received * cost;
+            }
+        }
+
+        const { rows: [updated] } = await client.query(
+            `UPDATE sales_returns
+             SET status = 'received', received_date = $2, warehouse_id = $3, received_by = $4
+             WHERE id = $1 RETURNING *`,
+            [rma.id, receivedDate, warehouseId, req.user?.userId || null]
+        );
+
+        const { rows: [cust] } = await client.query(
+            `SELECT company_id FROM parties WHERE id = $1`, [rma.customer_id]
+        );
+        const journalEntry = await gl.postReturnReceipt(client, {
+            companyId: cust.company_id, salesReturn: updated,
+            restockValue, vendorReturnValue, scrapValue, userId: req.user?.userId,
+        });
+
+        await client.query(
+            `INSERT INTO audit_log (action, table_name, record_id, new_values)
+             VALUES ('receive_return','sales_returns',$1,$2)`,
+            [rma.id, JSON.stringify({ rma: rma.number, lines: req.body.lines, journal_entry: journalEntry?.number })]
+        );
+
+        await client.query('COMMIT');
+        res.json({ success: true, data: { ...updated, journal_entry: journalEntry } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// POST /api/returns/:id/vendor-return — send the units held for the vendor back
+router.post('/returns/:id/vendor-return', validate(VendorReturnSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows: [rma] } = await client.query(
+            `SELECT * FROM sales_returns WHERE id = $1 FOR UPDATE`, [req.params.id]
+        );
+        if (!rma) throw Object.assign(new Error('Return not found'), { status: 404 });
+        if (!['received','credited'].includes(rma.status))
+            throw Object.assign(new Error(`Return is ${rma.status} — receive it before returning to the vendor`), { status: 400 });
+        if (rma.vendor_returned_date)
+            throw Object.assign(new Error(`Return ${rma.number} already went back to the vendor`), { status: 409 });
+
+        const { rows: [hold] } = await client.query(`SELECT id FROM warehouses WHERE is_vendor_return`);
+        const { rows: groups } = hold ? await client.query(
+            `SELECT item_id, lot_number, MIN(expiry_date) AS expiry_date,
+                    SUM(qty) AS qty, SUM(total_cost) AS value
+             FROM   stock_ledger
+             WHERE  reference_type = 'sales_return' AND reference_id = $1 AND warehouse_id = $2
+             GROUP  BY item_id, lot_number
+             HAVING SUM(qty) > 0
+             ORDER  BY item_id, lot_number`, [rma.id, hold.id]
+        ) : { rows: [] };
+        if (!groups.length)
+            throw Object.assign(new Error(`Return ${rma.number} has nothing held for the vendor`), { status: 400 });
+
+        const returnedDate = req.body.returned_date || new Date().toISOString().slice(0, 10);
+        const event = {
+            referenceType: 'sales_return', referenceId: rma.id, referenceNumber: rma.number,
+            date: returnedDate, notes: req.body.notes, userId: req.user?.userId,
+        };
+        let value = 0;
+        const sent = [];
+        for (const g of groups) {
+            const qty = parseFloat(g.qty);
+            // Only the layers this return opened leave; the units go out at
+            // the value they were held at
+            await costing.consume(client, {
+                itemId: g.item_id, warehouseId: hold.id, lotNumber: g.lot_number, qty,
+                consumerType: 'sales_return', consumerId: rma.id,
+                source: { type: 'sales_return', id: rma.id },
+            });
+            await client.query(
+                `INSERT INTO stock_ledger
+                    (item_id, warehouse_id, transaction_type, reference_type, reference_id,
+                     qty, cost_per_unit, notes, posting_date, created_by, lot_number, expiry_date)
+                 VALUES ($1,$2,'vendor_return','sales_return',$3,$4,$5,$6,$7,$8,$9,$10)`,
+                [g.item_id, hold.id, rma.id, -qty, parseFloat(g.value) / qty,
+                 `${rma.number} — returned to vendor`, returnedDate, req.user?.userId || null,
+                 g.lot_number, g.expiry_date]
+            );
+            value += parseFloat(g.value);
+            sent.push({ item_id: g.item_id, lot_number: g.lot_number, qty });
+        }
+        for (const itemId of new Set(groups.map(g => g.item_id))) {
+            await serials.returnToVendor(client, { itemId, warehouseId: hold.id, returnId: rma.id, event });
+        }
+
+        const { rows: [updated] } = await client.query(
+            `UPDATE sales_returns SET vendor_returned_date = $2, vendor_returned_by = $3
+             WHERE id = $1 RETURNING *`,
+            [rma.id, returnedDate, req.user?.userId || null]
+        );
+
+        const { rows: [cust] } = await client.query(
+            `SELECT company_id FROM parties WHERE id = $1`, [rma.customer_id]
+        );
+        const journalEntry = await gl.postVendorReturn(client, {
+            companyId: cust.company_id, salesReturn: updated, value, userId: req.user?.userId,
+        });
+
+        await client.query(
+            `INSERT INTO audit_log (action, table_name, record_id, new_values)
+             VALUES ('vendor_return','sales_returns',$1,$2)`,
+            [rma.id, JSON.stringify({ rma: rma.number, lines: sent, notes: req.body.notes || null,
+                                      journal_entry: journalEntry?.number })]
+        );
+
+        await client.query('COMMIT');
+        res.json({ success: true, data: { ...updated, lines: sent, journal_entry: journalEntry } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// POST /api/returns/:id/credit-memo — credit the customer for what came back
+router.post('/returns/:id/credit-memo', validate(IssueCreditSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows: [rma] } = await client.query(
+            `SELECT * FROM sales_returns WHERE id = $1 FOR UPDATE`, [req.params.id]
+        );
+        if (!rma) throw Object.assign(new Error('Return not found'), { status: 404 });
+        if (rma.status !== 'received')
+            throw Object.assign(new Error(`Return is ${rma.status} — receive it before crediting`), { status: 400 });
+
+        const { rows: [sums] } = await client.query(
+            `SELECT COALESCE(SUM(qty_received * unit_price), 0) AS subtotal
+             FROM sales_return_lines WHERE return_id = $1`, [rma.id]
+        );
+        const subtotal = parseFloat(sums.subtotal);
+        if (subtotal <= 0) throw Object.assign(new Error('Nothing received to credit'), { status: 400 });
+
+        const { rows: [cust] } = await client.query(
+            `SELECT company_id, currency FROM parties WHERE id = $1`, [rma.customer_id]
+        );
+        let taxRate = 0, currency = cust.currency;
+        if (rma.invoice_id) {
+            const { rows: [inv] } = await client.query(
+                `SELECT tax_rate, currency FROM sales_invoices WHERE id = $1`, [rma.invoice_id]
+            );
+            taxRate  = inv ? parseFloat(inv.tax_rate) : 0;
+            currency = inv ? inv.currency : currency;
+        }
+        const taxAmount = parseFloat((subtotal * taxRate).toFixed(4));
+
+        // Credited in the invoice's currency at the rate of the memo date
+        const memoDate = req.body.memo_date || new Date().toISOString().slice(0, 10);
+        const rate     = await fx.rateOn(client, currency, memoDate);
+        const number   = await numbering.next(client, 'credit_memo');
+        let { rows: [memo] } = await client.query(
+            `INSERT INTO credit_memos
+                (number, customer_id, return_id, invoice_id, memo_date,
+                 subtotal, tax_amount, total, reason, created_by, currency, exchange_rate)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12) RETURNING *`,
+            [number, rma.customer_id, rma.id, rma.invoice_id,
+             memoDate,
+             subtotal.toFixed(4), taxAmount.toFixed(4), (subtotal + taxAmount).toFixed(4),
+             `Return ${rma.number}: ${rma.reason}`, req.user?.userId || null, currency, rate]
+        );
+
+        const journalEntry = await gl.postCreditMemo(client, {
+            companyId: cust.company_id, memo, userId: req.user?.userId,
+        });
+
+        let application = null;
+        if (req.body.apply_to_invoice && rma.invoice_id) {
+            const { rows: [inv] } = await client.query(
+                `SELECT balance_due, status FROM sales_invoices WHERE id = $1`, [rma.invoice_id]
+            );
+            if (inv && parseFloat(inv.balance_due) > 0 && !['paid','void'].includes(inv.status)) {
+                application = await applyCredit(client, memo, rma.invoice_id, memo.total, req.user?.userId);
+                memo = application.memo;
+            }
+        }
+
+        await client.query(
+            `UPDATE sales_returns SET status = 'credited' WHERE id = $1`, [rma.id]
+        );
+
+        await client.query(
+            `INSERT INTO audit_log (action, table_name, record_id, new_values)
+             VALUES ('issue_credit_memo','credit_memos',$1,$2)`,
+            [memo.id, JSON.stringify({ credit_memo: memo.number, rma: rma.number, total: memo.total,
+                                       applied: application?.amount_applied || 0 })]
+        );
+
+        await client.query('COMMIT');
+        res.status(201).json({ success: true, data: { ...memo, journal_entry: journalEntry } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// POST /api/returns/:id/cancel
+router.post('/returns/:id/cancel', async (req, res) => {
+    try {
+        const { rows } = await req.db.query(
+            `UPDATE sales_returns SET status = 'cancelled'
+             WHERE id = $1 AND status = 'authorized' RETURNING *`, [req.params.id]
+        );
+        if (!rows.length)
+            return res.status(400).json({ success: false, error: 'Return not found or already received' });
+        res.json({ success: true, data: rows[0] });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Credit Memos
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/credit-memos
+router.get('/credit-memos', async (req, res) => {
+    const { status, customer_id } = req.query;
+    try {
+        const { page, limit, offset } = parsePage(req.query);
+        const conds = []; const params = [];
+        if (status)      { params.push(status);      conds.push(`cm.status = $${params.length}`); }
+        if (customer_id) { params.push(customer_id); conds.push(`cm.customer_id = $${params.length}`); }
+        const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+
+        const { rows: [{ count }] } = await req.db.query(
+            `SELECT COUNT(*) FROM credit_memos cm ${where}`, params
+        );
+        const { rows } = await req.db.query(
+            `SELECT cm.*, p.name AS customer_name, p.code AS customer_code,
+                    r.number AS return_number, si.number AS invoice_number
+             FROM   credit_memos cm
+             JOIN   parties p ON p.id = cm.customer_id
+             LEFT JOIN sales_returns  r  ON r.id  = cm.return_id
+             LEFT JOIN sales_invoices si ON si.id = cm.invoice_id
+             ${where}
+             ORDER  BY cm.memo_date DESC, cm.number DESC
+             LIMIT $${params.length+1} OFFSET $${params.length+2}`,
+            [...params, limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// GET /api/credit-memos/:id
+router.get('/credit-memos/:id', async (req, res) => {
+    try {
+        const { rows: [memo] } = await req.db.query(
+            `SELECT cm.*, p.name AS customer_name, p.code AS customer_code,
+                    r.number AS return_number, si.number AS invoice_number
+             FROM   credit_memos cm
+             JOIN   parties p ON p.id = cm.customer_id
+             LEFT JOIN sales_returns  r  ON r.id  = cm.return_id
+             LEFT JOIN sales_invoices si ON si.id = cm.invoice_id
+             WHERE  cm.id = $1`, [req.params.id]
+        );
+        if (!memo) return res.status(404).json({ success: false, error: 'Credit memo not found' });
+
+        const { rows: applications } = await req.db.query(
+            `SELECT cma.*, si.number AS invoice_number
+             FROM   credit_memo_applications cma
+             JOIN   sales_invoices si ON si.id = cma.invoice_id
+             WHERE  cma.credit_memo_id = $1
+             ORDER  BY cma.created_at`, [memo.id]
+        );
+        res.json({ success: true, data: { ...memo, applications } });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/credit-memos/:id/apply — apply remaining credit to open invoices
+router.post('/credit-memos/:id/apply', validate(ApplyCreditSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+
+        let { rows: [memo] } = await client.query(
+            `SELECT * FROM credit_memos WHERE id = $1 FOR UPDATE`, [req.params.id]
+        );
+        if (!memo) throw Object.assign(new Error('Credit memo not found'), { status: 404 });
+        if (!['open','partially_applied'].includes(memo.status))
+            throw Object.assign(new Error(`Credit memo is ${memo.status}`), { status: 400 });
+
+        const total = req.body.applications.reduce((s, a) => s + a.amount, 0);
+        if (total > parseFloat(memo.balance) + 0.005)
+            throw Object.assign(new Error(`Total applied ${total} exceeds credit balance ${memo.balance}`), { status: 400 });
+
+        const applied = [];
+        for (const app of req.body.applications) {
+            const result = await applyCredit(client, memo, app.invoice_id, app.amount, req.user?.userId);
+            memo = result.memo;
+            applied.push({ invoice_id: result.invoice_id, invoice_number: result.invoice_number,
+                           amount_applied: result.amount_applied });
+        }
+
+        await client.query(
+            `INSERT INTO audit_log (action, table_name, record_id, new_values)
+             VALUES ('apply_credit_memo','credit_memos',$1,$2)`,
+            [memo.id, JSON.stringify({ credit_memo: memo.number, applications: applied })]
+        );
+
+        await client.query('COMMIT');
+        res.json({ success: true, data: { ...memo, applications: applied } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+module.exports = router;
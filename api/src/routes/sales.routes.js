@@ -4,38 +4,40 @@
 // Customers, Sales Orders, Shipments, Invoices, AR Payments, AR Aging
 
 const { Router } = require('express');
-const { query, pool }         = require('../db/pool');
 const { validate }            = require('../middleware/validate');
 const { parsePage, paginate } = require('../lib/pagination');
+const gl                      = require('../lib/gl-posting');
+const serials                 = require('../lib/serials');
+const lots                    = require('../lib/lots');
+const bins                    = require('../lib/bins');
+const costing                 = require('../lib/costing');
+const kits                    = require('../lib/kits');
+const transfers               = require('../lib/transfers');
+const numbering               = require('../lib/numbering');
+const webhooks                = require('../lib/webhooks');
+const credit                  = require('../lib/credit');
+const fx                      = require('../lib/fx');
+const documents               = require('../lib/documents');
+const mailer                  = require('../lib/mailer');
+const { requireRole }         = require('../middleware/tenant');
 const {
     CreateCustomerSchema, PatchCustomerSchema,
-    CreateSOSchema, CreateShipmentSchema, CreatePaymentSchema,
+    CreateSOSchema, CreateShipmentSchema, CreatePaymentSchema, ReleaseCreditHoldSchema,
+    SendDocumentSchema,
 } = require('../lib/schemas');
 
 const router = Router();
 
-// ── Number generator ──────────────────────────────────────────────────────────
-async function nextDocNumber(client, table, col, prefix) {
-    const year = new Date().getFullYear();
-    const pfx  = `${prefix}-${year}-`;
-    const { rows } = await client.query(
-        `SELECT ${col} FROM ${table} WHERE ${col} LIKE $1 ORDER BY ${col} DESC LIMIT 1`,
-        [`${pfx}%`]
-    );
-    const seq = rows.length === 0 ? 1 : parseInt(rows[0][col].split('-').pop(), 10) + 1;
-    return `${pfx}${String(seq).padStart(5, '0')}`;
-}
-
 // ── Tax helper ────────────────────────────────────────────────────────────────
-async function calculateInvoiceTax(customerId, subtotal) {
-    const { rows: [cust] } = await query(
+async function calculateInvoiceTax(client, customerId, subtotal) {
+    const { rows: [cust] } = await client.query(
         `SELECT tax_exempt, state_code FROM parties WHERE id = $1`, [customerId]
     );
     if (!cust) return { tax_amount: 0, rate: 0, state_code: null, exempt: false };
     if (cust.tax_exempt) return { tax_amount: 0, rate: 0, state_code: cust.state_code, exempt: true };
     if (!cust.state_code) return { tax_amount: 0, rate: 0, state_code: null, exempt: false };
 
-    const { rows: [stateRow] } = await query(
+    const { rows: [stateRow] } = await client.query(
         `SELECT tax_rate FROM state_tax_rates WHERE state_code = $1 AND is_active = true`,
         [cust.state_code]
     );
@@ -53,10 +55,10 @@ async function calculateInvoiceTax(customerId, subtotal) {
 router.get('/customers', async (req, res) => {
     try {
         const { page, limit, offset } = parsePage(req.query);
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM parties WHERE type IN ('customer','both')`
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT p.*,
                     COALESCE(ar.total_due,0) AS ar_balance
              FROM   parties p
@@ -72,7 +74,7 @@ router.get('/customers', async (req, res) => {
 
 router.get('/customers/:id', async (req, res) => {
     try {
-        const { rows: [cust] } = await query(
+        const { rows: [cust] } = await req.db.query(
             `SELECT p.*, COALESCE(ar.total_due,0) AS ar_balance,
                     ar.current_due, ar.days_1_30, ar.days_31_60, ar.days_61_90, ar.days_90plus
              FROM   parties p
@@ -81,12 +83,12 @@ router.get('/customers/:id', async (req, res) => {
         );
         if (!cust) return res.status(404).json({ error: 'Customer not found' });
 
-        const { rows: openInvoices } = await query(
+        const { rows: openInvoices } = await req.db.query(
             `SELECT * FROM sales_invoices
              WHERE customer_id = $1 AND status NOT IN ('paid','void')
              ORDER BY due_date`, [req.params.id]
         );
-        const { rows: recentOrders } = await query(
+        const { rows: recentOrders } = await req.db.query(
             `SELECT * FROM v_open_sales_orders WHERE customer_id = $1
              ORDER BY created_at DESC LIMIT 10`, [req.params.id]
         );
@@ -102,7 +104,7 @@ router.post('/customers', validate(CreateCustomerSchema), async (req, res) => {
             tax_exempt, tax_exempt_certificate, tax_exempt_expiry,
             state_code, vip_tier } = req.body;
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `INSERT INTO parties
                 (type,code,name,contact_name,email,phone,fax,website,
                  billing_address,shipping_address,
@@ -115,7 +117,8 @@ router.post('/customers', validate(CreateCustomerSchema), async (req, res) => {
              billing_address ? JSON.stringify(billing_address) : null,
              shipping_address ? JSON.stringify(shipping_address) : null,
              city || null, state_province || null, postal_code || null, country || 'US',
-             payment_terms_days, payment_terms_label || 'NET30', credit_limit, currency, notes || null,
+             payment_terms_days, payment_terms_label || 'NET30', credit_limit,
+             currency || await fx.baseCurrency(req.db), notes || null,
              tax_exempt, tax_exempt_certificate || null, tax_exempt_expiry || null,
              state_code || null, vip_tier]
         );
@@ -136,31 +139,32 @@ router.patch('/customers/:id', validate(PatchCustomerSchema), async (req, res) =
             ? JSON.stringify(v) : v;
     });
     try {
-        const { rows } = await query(
+        if (req.body.currency) await fx.assertCurrencyChange(req.db, req.params.id, req.body.currency);
+        const { rows } = await req.db.query(
             `UPDATE parties SET ${sets}, updated_at = NOW() WHERE id = $1 RETURNING *`,
             [req.params.id, ...values]
         );
         if (!rows.length) return res.status(404).json({ error: 'Customer not found' });
         res.json(rows[0]);
-    } catch (err) { res.status(500).json({ error: err.message }); }
+    } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
 });
 
 // ── Sales Orders ──────────────────────────────────────────────────────────────
 
-router.get('/sales-orders/dashboard', async (_req, res) => {
+router.get('/sales-orders/dashboard', async (req, res) => {
     try {
-        const { rows: [stats] } = await query(
+        const { rows: [stats] } = await req.db.query(
             `SELECT
                 COUNT(*) FILTER (WHERE status NOT IN ('cancelled'))                  AS total_orders,
                 COUNT(*) FILTER (WHERE status IN ('confirmed','partially_shipped'))  AS open_orders,
                 COUNT(*) FILTER (WHERE status IN ('fully_shipped','invoiced'))       AS shipped_orders,
                 COALESCE(SUM(total) FILTER (
-                    WHERE status NOT IN ('draft','cancelled')
+                    WHERE status NOT IN ('draft','credit_hold','cancelled')
                     AND DATE_TRUNC('month',order_date)=DATE_TRUNC('month',CURRENT_DATE)),0) AS revenue_mtd,
-                COALESCE(SUM(total) FILTER (WHERE status NOT IN ('draft','cancelled')),0) AS revenue_total
+                COALESCE(SUM(total) FILTER (WHERE status NOT IN ('draft','credit_hold','cancelled')),0) AS revenue_total
              FROM sales_orders`
         );
-        const { rows: recentOrders } = await query(
+        const { rows: recentOrders } = await req.db.query(
             `SELECT * FROM v_open_sales_orders ORDER BY created_at DESC LIMIT 5`
         );
         res.json({ ...stats, recent_orders: recentOrders });
@@ -174,10 +178,10 @@ router.get('/sales-orders', async (req, res) => {
         const cond   = status ? `WHERE so.status = $1` : '';
         const params = status ? [status] : [];
 
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM sales_orders so ${cond}`, params
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT so.id, so.number, so.status, so.order_date, so.requested_ship_date,
                     so.subtotal, so.tax_amount, so.total, so.created_at, so.notes,
                     p.code AS customer_code, p.name AS customer_name,
@@ -197,7 +201,7 @@ router.get('/sales-orders', async (req, res) => {
 
 router.get('/sales-orders/:id', async (req, res) => {
     try {
-        const { rows: [order] } = await query(
+        const { rows: [order] } = await req.db.query(
             `SELECT so.*, p.code AS customer_code, p.name AS customer_name,
                     p.email AS customer_email, p.phone AS customer_phone,
                     p.billing_address, p.shipping_address, p.payment_terms_days,
@@ -209,7 +213,7 @@ router.get('/sales-orders/:id', async (req, res) => {
         );
         if (!order) return res.status(404).json({ error: 'Order not found' });
 
-        const { rows: lines } = await query(
+        const { rows: lines } = await req.db.query(
             `SELECT sol.*, i.code AS item_code, i.name AS item_name,
                     i.unit_of_measure, i.category,
                     COALESCE(av.qty_available,0) AS stock_available
@@ -221,8 +225,22 @@ router.get('/sales-orders/:id', async (req, res) => {
              ORDER  BY sol.line_number`,
             [req.params.id, order.warehouse_id]
         );
+        // Bundle lines carry their components; a bundle has what they make
+        const exploded = await kits.orderComponents(req.db, lines.map(l => l.id));
+        const { rows: partStock } = await req.db.query(
+            `SELECT item_id, qty_available FROM v_stock_availability
+             WHERE warehouse_id = $1 AND item_id = ANY($2)`,
+            [order.warehouse_id, [...exploded.values()].flat().map(c => c.component_item_id)]
+        );
+        const partAvailable = new Map(partStock.map(r => [r.item_id, parseFloat(r.qty_available)]));
+        for (const line of lines) {
+            const parts = exploded.get(line.id);
+            if (!parts) continue;
+            line.components = parts.map(c => ({ ...c, stock_available: partAvailable.get(c.component_item_id) || 0 }));
+            line.stock_available = Math.min(...line.components.map(c => Math.floor(c.stock_available / parseFloat(c.qty_per))));
+        }
 
-        const { rows: shipsData } = await query(
+        const { rows: shipsData } = await req.db.query(
             `SELECT s.*, u.name AS created_by_name
              FROM   shipments s
              LEFT JOIN users u ON u.id = s.created_by
@@ -231,7 +249,7 @@ router.get('/sales-orders/:id', async (req, res) => {
             [req.params.id]
         );
 
-        const { rows: invoices } = await query(
+        const { rows: invoices } = await req.db.query(
             `SELECT * FROM sales_invoices WHERE sales_order_id = $1`, [req.params.id]
         );
 
@@ -243,22 +261,38 @@ router.post('/sales-orders', validate(CreateSOSchema), async (req, res) => {
     const { customer_id, warehouse_id, price_list_id, order_date, requested_ship_date,
             tax_rate, notes, lines, created_by } = req.body;
 
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
-        const number = await nextDocNumber(client, 'sales_orders', 'number', 'SO');
+        await transfers.assertNotTransit(client, [warehouse_id]);
+
+        // The order is in the customer's currency, and so must its price list be
+        const { rows: [customer] } = await client.query(
+            `SELECT currency FROM parties WHERE id = $1`, [customer_id]
+        );
+        if (!customer) throw Object.assign(new Error('Customer not found'), { status: 404 });
+        if (price_list_id) {
+            const { rows: [pl] } = await client.query(
+                `SELECT name, currency FROM price_lists WHERE id = $1`, [price_list_id]
+            );
+            if (pl && pl.currency !== customer.currency) throw Object.assign(new Error(
+                `Price list ${pl.name} is in ${pl.currency}; the customer is billed in ${customer.currency}`
+            ), { status: 400 });
+        }
 
+        const number = await numbering.next(client, 'sales_order');
         const { rows: [order] } = await client.query(
             `INSERT INTO sales_orders
                 (number, customer_id, warehouse_id, price_list_id, order_date,
-                 requested_ship_date, tax_rate, notes, created_by)
-             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING *`,
+                 requested_ship_date, tax_rate, notes, created_by, currency)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING *`,
             [number, customer_id, warehouse_id, price_list_id || null,
              order_date || new Date().toISOString().slice(0, 10),
-             requested_ship_date || null, tax_rate, notes || null, created_by || null]
+             requested_ship_date || null, tax_rate, notes || null, created_by || null,
+             customer.currency]
         );
 
-        let subtotal = 0;
+        let subtotal = 0, rate = null;
         for (let idx = 0; idx < lines.length; idx++) {
             const { item_id, qty_ordered, unit_price, discount_pct = 0, description } = lines[idx];
             if (!item_id || !qty_ordered) throw new Error('Each line requires item_id and qty_ordered');
@@ -268,7 +302,9 @@ router.post('/sales-orders', validate(CreateSOSchema), async (req, res) => {
                 const { rows: [item] } = await client.query(
                     `SELECT sale_price FROM items WHERE id = $1`, [item_id]
                 );
-                price = item ? parseFloat(item.sale_price) : 0;
+                // Item prices are in base currency
+                rate  = rate ?? await fx.rateOn(client, order.currency, order.order_date);
+                price = item ? fx.fromBase(item.sale_price, rate) : 0;
             }
 
             const { rows: [sol] } = await client.query(
@@ -279,6 +315,7 @@ router.post('/sales-orders', validate(CreateSOSchema), async (req, res) => {
                 [order.id, idx + 1, item_id, description || null,
                  qty_ordered, price, discount_pct]
             );
+            await kits.explode(client, sol);
             subtotal += parseFloat(sol.line_total);
         }
 
@@ -288,7 +325,7 @@ router.post('/sales-orders', validate(CreateSOSchema), async (req, res) => {
         );
 
         await client.query('COMMIT');
-        const { rows: [full] } = await query(
+        const { rows: [full] } = await req.db.query(
             `SELECT so.*, p.name AS customer_name, p.code AS customer_code, w.code AS warehouse_code
              FROM sales_orders so JOIN parties p ON p.id=so.customer_id JOIN warehouses w ON w.id=so.warehouse_id
              WHERE so.id = $1`, [order.id]
@@ -296,59 +333,121 @@ router.post('/sales-orders', validate(CreateSOSchema), async (req, res) => {
         res.status(201).json(full);
     } catch (err) {
         await client.query('ROLLBACK');
-        res.status(400).json({ error: err.message });
+        res.status(err.status || 400).json({ error: err.message });
     } finally { client.release(); }
 });
 
+// Reserve an order's lines and mark it confirmed — once it passed the credit
+// check, or when a manager releases its credit hold. Bundle lines reserve
+// their components.
+async function reserveAndConfirm(client, order) {
+    const { rows: lines } = await client.query(
+        `SELECT sol.*, i.code, i.name FROM sales_order_lines sol
+         JOIN items i ON i.id = sol.item_id
+         WHERE sol.sales_order_id = $1`, [order.id]
+    );
+    const exploded = await kits.orderComponents(client, lines.map(l => l.id));
+    const needs = [];
+    for (const line of lines) {
+        const parts = exploded.get(line.id);
+        if (!parts) { needs.push({ item_id: line.item_id, code: line.code, qty: line.qty_ordered }); continue; }
+        for (const c of parts) {
+            needs.push({ item_id: c.component_item_id, code: `${c.component_code} (in ${line.code})`, qty: c.qty_required });
+        }
+    }
+    const stockWatch = await webhooks.watchStock(client, order.warehouse_id, needs.map(n => n.item_id));
+
+    for (const need of needs) {
+        const { rows: [avail] } = await client.query(
+            `SELECT COALESCE(qty_available,0) AS qty_available FROM v_stock_availability
+             WHERE item_id = $1 AND warehouse_id = $2`,
+            [need.item_id, order.warehouse_id]
+        );
+        const available = avail ? parseFloat(avail.qty_available) : 0;
+        if (available < parseFloat(need.qty)) {
+            throw Object.assign(
+                new Error(`Insufficient stock for ${need.code} — need ${need.qty}, available ${available}`),
+                { status: 400 }
+            );
+        }
+        await client.query(
+            `INSERT INTO stock_reservations
+                (item_id, warehouse_id, reference_type, reference_id, qty_reserved, status)
+             VALUES ($1,$2,'sales_order',$3,$4,'active')`,
+            [need.item_id, order.warehouse_id, order.id, need.qty]
+        );
+    }
+
+    await client.query(
+        `UPDATE sales_orders SET status='confirmed', updated_at=NOW() WHERE id=$1`, [order.id]
+    );
+    await webhooks.emit(client, 'sales_order.confirmed', {
+        sales_order: { ...order, status: 'confirmed', lines },
+    });
+    await stockWatch.emitCrossings();
+}
+
+const ORDER_SUMMARY_SQL = `
+    SELECT so.*, p.name AS customer_name, p.code AS customer_code, w.code AS warehouse_code
+    FROM sales_orders so JOIN parties p ON p.id=so.customer_id JOIN warehouses w ON w.id=so.warehouse_id
+    WHERE so.id = $1`;
+
+// Confirming checks the customer's credit first (lib/credit.js). An order that
+// fails goes on credit hold instead — no stock is reserved — and the response
+// carries the hold. Confirming a held order again re-runs the check, so an
+// order clears by itself once the customer has paid down.
 router.post('/sales-orders/:id/confirm', async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
         const { rows: [order] } = await client.query(
             `SELECT * FROM sales_orders WHERE id = $1 FOR UPDATE`, [req.params.id]
         );
         if (!order) throw Object.assign(new Error('Order not found'), { status: 404 });
-        if (order.status !== 'draft')
+        if (!['draft', 'credit_hold'].includes(order.status))
             throw Object.assign(new Error(`Order is already ${order.status}`), { status: 400 });
 
-        const { rows: lines } = await client.query(
-            `SELECT sol.*, i.code, i.name FROM sales_order_lines sol
-             JOIN items i ON i.id = sol.item_id
-             WHERE sol.sales_order_id = $1`, [order.id]
-        );
-
-        for (const line of lines) {
-            const { rows: [avail] } = await client.query(
-                `SELECT COALESCE(qty_available,0) AS qty_available FROM v_stock_availability
-                 WHERE item_id = $1 AND warehouse_id = $2`,
-                [line.item_id, order.warehouse_id]
+        const check = await credit.checkOrder(client, order);
+        let hold = null;
+        if (check.hold && order.status === 'credit_hold') {
+            ({ rows: [hold] } = await client.query(
+                `SELECT * FROM credit_holds WHERE sales_order_id = $1 AND status = 'open'`, [order.id]
+            ));
+        } else if (check.hold) {
+            await client.query(
+                `UPDATE sales_orders SET status='credit_hold', updated_at=NOW() WHERE id=$1`, [order.id]
             );
-            const available = avail ? parseFloat(avail.qty_available) : 0;
-            if (available < parseFloat(line.qty_ordered)) {
-                throw Object.assign(
-                    new Error(`Insufficient stock for ${line.code} — need ${line.qty_ordered}, available ${available}`),
-                    { status: 400 }
-                );
-            }
+            ({ rows: [hold] } = await client.query(
+                `INSERT INTO credit_holds
+                    (sales_order_id, customer_id, reasons, credit_limit, open_ar, open_orders, order_total,
+                     exposure, overdue_days, overdue_balance, oldest_overdue_days, placed_by)
+                 VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12) RETURNING *`,
+                [order.id, order.customer_id, check.reasons, check.credit_limit, check.open_ar,
+                 check.open_orders, check.order_total, check.exposure, check.overdue_days,
+                 check.overdue_balance, check.oldest_overdue_days, req.user?.userId || null]
+            ));
             await client.query(
-                `INSERT INTO stock_reservations
-                    (item_id, warehouse_id, reference_type, reference_id, qty_reserved, status)
-                 VALUES ($1,$2,'sales_order',$3,$4,'active')`,
-                [line.item_id, order.warehouse_id, order.id, line.qty_ordered]
+                `INSERT INTO audit_log (user_id, action, table_name, record_id, new_values)
+                 VALUES ($1,'credit_hold.placed','sales_orders',$2,$3)`,
+                [req.user?.userId || null, order.id,
+                 JSON.stringify({ order: order.number, credit_hold: hold.id, reason: credit.describe(check) })]
             );
+        } else {
+            await reserveAndConfirm(client, order);
+            if (order.status === 'credit_hold') {
+                await client.query(
+                    `UPDATE credit_holds
+                     SET status='cleared', resolved_by=$2, resolved_at=NOW(),
+                         resolution_note='Within terms when confirmed again'
+                     WHERE sales_order_id=$1 AND status='open'`,
+                    [order.id, req.user?.userId || null]
+                );
+            }
         }
-
-        await client.query(
-            `UPDATE sales_orders SET status='confirmed', updated_at=NOW() WHERE id=$1`, [order.id]
-        );
         await client.query('COMMIT');
 
-        const { rows: [full] } = await query(
-            `SELECT so.*, p.name AS customer_name, p.code AS customer_code, w.code AS warehouse_code
-             FROM sales_orders so JOIN parties p ON p.id=so.customer_id JOIN warehouses w ON w.id=so.warehouse_id
-             WHERE so.id = $1`, [order.id]
-        );
-        res.json(full);
+        const { rows: [full] } = await req.db.query(ORDER_SUMMARY_SQL, [order.id]);
+        res.json(hold ? { ...full, credit_hold: { ...hold, reason: credit.describe(check) } } : full);
     } catch (err) {
         await client.query('ROLLBACK');
         res.status(err.status || 500).json({ error: err.message });
@@ -356,7 +455,7 @@ router.post('/sales-orders/:id/confirm', async (req, res) => {
 });
 
 router.post('/sales-orders/:id/cancel', async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
         const { rows: [order] } = await client.query(
@@ -374,9 +473,14 @@ router.post('/sales-orders/:id/cancel', async (req, res) => {
         await client.query(
             `UPDATE sales_orders SET status='cancelled', updated_at=NOW() WHERE id=$1`, [order.id]
         );
+        await client.query(
+            `UPDATE credit_holds SET status='cancelled', resolved_by=$2, resolved_at=NOW()
+             WHERE sales_order_id=$1 AND status='open'`,
+            [order.id, req.user?.userId || null]
+        );
         await client.query('COMMIT');
 
-        const { rows: [full] } = await query(
+        const { rows: [full] } = await req.db.query(
             `SELECT so.*, p.name AS customer_name, w.code AS warehouse_code
              FROM sales_orders so JOIN parties p ON p.id=so.customer_id JOIN warehouses w ON w.id=so.warehouse_id
              WHERE so.id=$1`, [order.id]
@@ -393,8 +497,8 @@ router.post('/sales-orders/:id/cancel', async (req, res) => {
 router.get('/shipments', async (req, res) => {
     try {
         const { page, limit, offset } = parsePage(req.query);
-        const { rows: [{ count }] } = await query(`SELECT COUNT(*) FROM shipments`);
-        const { rows } = await query(
+        const { rows: [{ count }] } = await req.db.query(`SELECT COUNT(*) FROM shipments`);
+        const { rows } = await req.db.query(
             `SELECT s.*, so.number AS order_number, p.name AS customer_name,
                     w.code AS warehouse_code,
                     sc.name AS carrier_name
@@ -413,7 +517,7 @@ router.get('/shipments', async (req, res) => {
 
 router.get('/shipments/:id', async (req, res) => {
     try {
-        const { rows: [shp] } = await query(
+        const { rows: [shp] } = await req.db.query(
             `SELECT s.*, so.number AS order_number, p.name AS customer_name
              FROM shipments s
              JOIN sales_orders so ON so.id = s.sales_order_id
@@ -421,8 +525,12 @@ router.get('/shipments/:id', async (req, res) => {
              WHERE s.id = $1`, [req.params.id]
         );
         if (!shp) return res.status(404).json({ error: 'Shipment not found' });
-        const { rows: lines } = await query(
-            `SELECT sl.*, i.code AS item_code, i.name AS item_name
+        const { rows: lines } = await req.db.query(
+            `SELECT sl.*, i.code AS item_code, i.name AS item_name,
+                    (SELECT array_agg(sn.serial_number ORDER BY sn.serial_number)
+                     FROM serial_number_events e JOIN serial_numbers sn ON sn.id = e.serial_id
+                     WHERE e.event_type = 'shipped' AND e.reference_type = 'shipment'
+                       AND e.reference_line_id = sl.id) AS serial_numbers
              FROM shipment_lines sl JOIN items i ON i.id = sl.item_id
              WHERE sl.shipment_id = $1`, [req.params.id]
         );
@@ -433,7 +541,7 @@ router.get('/shipments/:id', async (req, res) => {
 router.post('/shipments', validate(CreateShipmentSchema), async (req, res) => {
     const { sales_order_id, ship_date, carrier, tracking_number, notes, lines, created_by } = req.body;
 
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
         const { rows: [order] } = await client.query(
@@ -443,7 +551,7 @@ router.post('/shipments', validate(CreateShipmentSchema), async (req, res) => {
         if (!['confirmed','partially_shipped'].includes(order.status))
             throw Object.assign(new Error(`Cannot ship order in status "${order.status}"`), { status: 400 });
 
-        const number = await nextDocNumber(client, 'shipments', 'number', 'SHP');
+        const number = await numbering.next(client, 'shipment');
 
         const { rows: [shp] } = await client.query(
             `INSERT INTO shipments (number, sales_order_id, warehouse_id, ship_date, carrier, tracking_number, notes, status, created_by)
@@ -480,7 +588,7 @@ router.post('/shipments', validate(CreateShipmentSchema), async (req, res) => {
 });
 
 router.post('/shipments/:id/post', async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
 
@@ -504,42 +612,124 @@ router.post('/shipments/:id/post', async (req, res) => {
             `SELECT * FROM sales_orders WHERE id = $1 FOR UPDATE`, [lines[0].sales_order_id]
         );
 
+        // Bundle lines ship as their components: one stock movement per
+        // component, keyed by the order's component row (the line_id its
+        // serials and lots are given under). Other lines move themselves.
+        const exploded = await kits.orderComponents(client, lines.map(l => l.sales_order_line_id));
+        const movesOf  = new Map(lines.map(l => [l.id, !exploded.has(l.sales_order_line_id) ? [l]
+            : exploded.get(l.sales_order_line_id).map(c => ({
+                id: c.id, component_id: c.id, item_id: c.component_item_id,
+                qty_shipped: Math.round(parseFloat(l.qty_shipped) * parseFloat(c.qty_per) * 10000) / 10000,
+                sales_order_line_id: l.sales_order_line_id,
+            }))]));
+        const moves = [...movesOf.values()].flat();
+
+        // Serial-tracked lines: serials from the request, else whatever was picked for the order line
+        const lineSerials = await serials.captureForLines(
+            client, req.body.serials, moves, m => m.qty_shipped, 'shipment line',
+            m => serials.pickedForOrderLine(client, m.sales_order_line_id, m.item_id)
+        );
+        // Lot-tracked lines ship the lots named in the request, else FEFO
+        const lotPicks   = lots.parseLotPicks(req.body.lots);
+        const lotTracked = await lots.trackedItemIds(client, moves.map(m => m.item_id));
+        const stockWatch = await webhooks.watchStock(client, shp.warehouse_id, moves.map(m => m.item_id));
+
         let invoiceSubtotal = 0;
+        let cogsTotal       = 0;
 
         // ── Task 4: Negative Stock Prevention ────────────────────────────────
-        for (const line of lines) {
+        for (const move of moves) {
             const { rows: [stockCheck] } = await client.query(
                 `SELECT check_stock_availability($1, $2, $3) AS shortfall`,
-                [line.item_id, shp.warehouse_id, parseFloat(line.qty_shipped)]
+                [move.item_id, shp.warehouse_id, parseFloat(move.qty_shipped)]
             );
             const shortfall = parseFloat(stockCheck.shortfall);
             if (shortfall < 0) {
                 const { rows: [avail] } = await client.query(
                     `SELECT COALESCE(qty_available,0) AS qty_available
                      FROM v_stock_availability WHERE item_id=$1 AND warehouse_id=$2`,
-                    [line.item_id, shp.warehouse_id]
+                    [move.item_id, shp.warehouse_id]
                 );
                 throw Object.assign(
-                    new Error(`Insufficient stock for item ${line.item_id}: need ${line.qty_shipped}, available ${avail ? avail.qty_available : 0}`),
-                    { status: 400, available: avail ? avail.qty_available : 0, requested: line.qty_shipped }
+                    new Error(`Insufficient stock for item ${move.item_id}: need ${move.qty_shipped}, available ${avail ? avail.qty_available : 0}`),
+                    { status: 400, available: avail ? avail.qty_available : 0, requested: move.qty_shipped }
                 );
             }
         }
 
         for (const line of lines) {
+            // Take stock from the bins the picker was sent to first
+            const pickedBins = await bins.pickedBinIds(client, line.sales_order_line_id);
+            let lineCost = 0;
+            for (const move of movesOf.get(line.id)) {
+                const splits = await lots.allocate(client, {
+                    itemId: move.item_id, warehouseId: shp.warehouse_id, qty: move.qty_shipped,
+                    tracked: lotTracked.has(move.item_id), picks: lotPicks.get(move.id),
+                    asOf: shp.ship_date, label: `shipment line ${move.id}`,
+                });
+                for (const split of splits) {
+                    // FIFO layers (or the moving average) price what leaves
+                    const { unitCost } = await costing.consume(client, {
+                        itemId: move.item_id, warehouseId: shp.warehouse_id, lotNumber: split.lot_number,
+                        qty: split.qty, consumerType: 'shipment', consumerId: shp.id,
+                    });
+                    lineCost += split.qty * unitCost;
+                    const binSplits = await bins.split(client, {
+                        itemId: move.item_id, warehouseId: shp.warehouse_id, lotNumber: split.lot_number,
+                        qty: split.qty, preferBinIds: pickedBins,
+                    });
+                    for (const b of binSplits) {
+                        await client.query(
+                            `INSERT INTO stock_ledger
+                                (item_id, warehouse_id, transaction_type, reference_type, reference_id,
+                                 qty, cost_per_unit, notes, posting_date, created_by, lot_number, expiry_date,
+                                 bin_id)
+                             VALUES ($1,$2,'shipment','shipment',$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
+                            [
+                                move.item_id, shp.warehouse_id, shp.id,
+                                -b.qty,
+                                unitCost,
+                                `${shp.number} — SO ${order.number}`,
+                                shp.ship_date,
+                                req.body.posted_by || null,
+                                split.lot_number, split.expiry_date,
+                                b.bin_id
+                            ]
+                        );
+                    }
+                }
+
+                await serials.ship(client, {
+                    itemId: move.item_id, warehouseId: shp.warehouse_id, serials: lineSerials[move.id],
+                    salesOrderLineId: line.sales_order_line_id, customerId: order.customer_id,
+                    event: {
+                        referenceType: 'shipment', referenceId: shp.id, referenceLineId: line.id,
+                        referenceNumber: shp.number, date: shp.ship_date, userId: req.user?.userId,
+                    },
+                });
+
+                if (move.component_id) {
+                    await client.query(
+                        `UPDATE sales_order_line_components SET qty_shipped = qty_shipped + $1 WHERE id = $2`,
+                        [move.qty_shipped, move.component_id]
+                    );
+                }
+
+                await client.query(
+                    `UPDATE stock_reservations
+                     SET status='fulfilled', updated_at=NOW()
+                     WHERE item_id=$1 AND warehouse_id=$2
+                       AND reference_type='sales_order' AND reference_id=$3 AND status='active'`,
+                    [move.item_id, shp.warehouse_id, order.id]
+                );
+            }
+
+            // Returns credit stock back at what it actually cost; a bundle
+            // costs what its components did
+            const qtyShipped = parseFloat(line.qty_shipped);
             await client.query(
-                `INSERT INTO stock_ledger
-                    (item_id, warehouse_id, transaction_type, reference_type, reference_id,
-                     qty, cost_per_unit, notes, posting_date, created_by)
-                 VALUES ($1,$2,'shipment','shipment',$3,$4,$5,$6,$7,$8)`,
-                [
-                    line.item_id, shp.warehouse_id, shp.id,
-                    -parseFloat(line.qty_shipped),
-                    parseFloat(line.cost_per_unit),
-                    `${shp.number} — SO ${order.number}`,
-                    shp.ship_date,
-                    req.body.posted_by || null
-                ]
+                `UPDATE shipment_lines SET cost_per_unit = $1 WHERE id = $2`,
+                [Math.round(lineCost / qtyShipped * 10000) / 10000, line.id]
             );
 
             await client.query(
@@ -553,17 +743,10 @@ router.post('/shipments/:id/post', async (req, res) => {
                 [line.qty_shipped, line.sales_order_line_id]
             );
 
-            await client.query(
-                `UPDATE stock_reservations
-                 SET status='fulfilled', updated_at=NOW()
-                 WHERE item_id=$1 AND warehouse_id=$2
-                   AND reference_type='sales_order' AND reference_id=$3 AND status='active'`,
-                [line.item_id, shp.warehouse_id, order.id]
-            );
-
             invoiceSubtotal += parseFloat(line.qty_shipped)
                              * parseFloat(line.unit_price)
                              * (1 - parseFloat(line.discount_pct));
+            cogsTotal       += lineCost;
         }
 
         const { rows: [orderLines] } = await client.query(
@@ -586,10 +769,12 @@ router.post('/shipments/:id/post', async (req, res) => {
             `UPDATE shipments SET status='shipped' WHERE id=$1`, [shp.id]
         );
 
-        // Auto-generate invoice with state-based tax
-        const taxInfo   = await calculateInvoiceTax(order.customer_id, invoiceSubtotal);
+        // Auto-generate invoice with state-based tax, in the order's currency
+        // at the rate of the ship date
+        const rate      = await fx.rateOn(client, order.currency, shp.ship_date);
+        const taxInfo   = await calculateInvoiceTax(client, order.customer_id, invoiceSubtotal);
         const invTotal  = invoiceSubtotal + taxInfo.tax_amount;
-        const invNumber = await nextDocNumber(client, 'sales_invoices', 'number', 'INV');
+        const invNumber = await numbering.next(client, 'sales_invoice');
         const { rows: [cust] } = await client.query(
             `SELECT payment_terms_days FROM parties WHERE id = $1`, [order.customer_id]
         );
@@ -600,18 +785,23 @@ router.post('/shipments/:id/post', async (req, res) => {
             `INSERT INTO sales_invoices
                 (number, customer_id, sales_order_id, shipment_id, status,
                  invoice_date, due_date, subtotal, tax_amount, total,
-                 tax_rate, state_code, tax_exempt)
-             VALUES ($1,$2,$3,$4,'sent',$5,$6,$7,$8,$9,$10,$11,$12) RETURNING *`,
+                 tax_rate, state_code, tax_exempt, currency, exchange_rate)
+             VALUES ($1,$2,$3,$4,'sent',$5,$6,$7,$8,$9,$10,$11,$12,$13,$14) RETURNING *`,
             [invNumber, order.customer_id, order.id, shp.id,
              shp.ship_date, dueDate.toISOString().slice(0,10),
              invoiceSubtotal.toFixed(4), taxInfo.tax_amount.toFixed(4), invTotal.toFixed(4),
-             taxInfo.rate, taxInfo.state_code || null, taxInfo.exempt]
+             taxInfo.rate, taxInfo.state_code || null, taxInfo.exempt, order.currency, rate]
         );
 
+        const journalEntry = await gl.postShipment(client, {
+            shipment: shp, invoice, cogs: cogsTotal, userId: req.user?.userId,
+        });
+
         await client.query(
             `INSERT INTO audit_log (action, table_name, record_id, new_values)
              VALUES ('post_shipment','shipments',$1,$2)`,
-            [shp.id, JSON.stringify({ shipment: shp.number, order: order.number, invoice: invNumber })]
+            [shp.id, JSON.stringify({ shipment: shp.number, order: order.number, invoice: invNumber,
+                                     journal_entry: journalEntry?.number })]
         );
 
         await client.query(
@@ -666,8 +856,16 @@ router.post('/shipments/:id/post', async (req, res) => {
             );
         }
 
+        await webhooks.emit(client, 'shipment.posted', {
+            shipment:    { ...shp, status: 'shipped', lines },
+            sales_order: { id: order.id, number: order.number, status: newOrderStatus },
+            invoice:     { id: invoice.id, number: invoice.number, total: invoice.total },
+        });
+        await webhooks.emit(client, 'invoice.sent', { invoice });
+        await stockWatch.emitCrossings();
+
         await client.query('COMMIT');
-        res.json({ shipment: shp, invoice, order_status: newOrderStatus });
+        res.json({ shipment: shp, invoice, order_status: newOrderStatus, journal_entry: journalEntry });
     } catch (err) {
         await client.query('ROLLBACK');
         res.status(err.status || 500).json({ error: err.message });
@@ -679,8 +877,8 @@ router.post('/shipments/:id/post', async (req, res) => {
 router.get('/invoices', async (req, res) => {
     try {
         const { page, limit, offset } = parsePage(req.query);
-        const { rows: [{ count }] } = await query(`SELECT COUNT(*) FROM sales_invoices`);
-        const { rows } = await query(
+        const { rows: [{ count }] } = await req.db.query(`SELECT COUNT(*) FROM sales_invoices`);
+        const { rows } = await req.db.query(
             `SELECT si.*, p.name AS customer_name, p.code AS customer_code,
                     so.number AS order_number
              FROM   sales_invoices si
@@ -696,7 +894,7 @@ router.get('/invoices', async (req, res) => {
 
 router.get('/invoices/:id', async (req, res) => {
     try {
-        const { rows: [inv] } = await query(
+        const { rows: [inv] } = await req.db.query(
             `SELECT si.*, p.name AS customer_name, p.code AS customer_code,
                     so.number AS order_number, shp.number AS shipment_number
              FROM   sales_invoices si
@@ -706,7 +904,7 @@ router.get('/invoices/:id', async (req, res) => {
              WHERE  si.id = $1`, [req.params.id]
         );
         if (!inv) return res.status(404).json({ error: 'Invoice not found' });
-        const { rows: payments } = await query(
+        const { rows: payments } = await req.db.query(
             `SELECT pa.*, pr.payment_date, pr.method, pr.reference_number
              FROM payment_applications pa
              JOIN payments_received pr ON pr.id = pa.payment_id
@@ -717,15 +915,50 @@ router.get('/invoices/:id', async (req, res) => {
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-router.post('/invoices/:id/send', async (req, res) => {
+// Emails the invoice (HTML print view attached) to `to`, or the customer's
+// address; a draft becomes sent. With no address on file a draft is only
+// marked sent. A failed email keeps the invoice as it was and is logged.
+router.post('/invoices/:id/send', validate(SendDocumentSchema), async (req, res) => {
+    const { cc, message } = req.body;
+    const client = await req.db.connect();
     try {
-        const { rows } = await query(
-            `UPDATE sales_invoices SET status='sent', updated_at=NOW()
-             WHERE id=$1 AND status='draft' RETURNING *`, [req.params.id]
+        await client.query('BEGIN');
+        const { rows: [inv] } = await client.query(
+            `SELECT * FROM sales_invoices WHERE id = $1 FOR UPDATE`, [req.params.id]
         );
-        if (!rows.length) return res.status(400).json({ error: 'Invoice not found or not in draft' });
-        res.json(rows[0]);
-    } catch (err) { res.status(500).json({ error: err.message }); }
+        if (!inv) throw Object.assign(new Error('Invoice not found'), { status: 404 });
+        if (inv.status === 'void') throw Object.assign(new Error('Cannot send a void invoice'), { status: 400 });
+
+        let invoice = inv;
+        if (inv.status === 'draft') {
+            ({ rows: [invoice] } = await client.query(
+                `UPDATE sales_invoices SET status='sent', updated_at=NOW() WHERE id=$1 RETURNING *`, [inv.id]
+            ));
+            await webhooks.emit(client, 'invoice.sent', { invoice });
+        }
+
+        let email = null;
+        if (req.body.email) {
+            const doc = await documents.invoice(client, inv.id);
+            const to  = req.body.to || mailer.recipients('invoice', doc);
+            if (to.length) {
+                email = await mailer.record(client, await mailer.sendDocument(client, {
+                    docType: 'invoice', doc, to, cc, message, userId: req.user?.userId,
+                }));
+            }
+        }
+        if (!email && inv.status !== 'draft') {
+            throw Object.assign(new Error(req.body.email
+                ? 'Customer has no email address; pass `to` to email the invoice'
+                : 'Invoice is not in draft'), { status: 400 });
+        }
+        await client.query('COMMIT');
+        res.json({ ...invoice, email });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        const email = await mailer.logFailure(req.db, err);
+        res.status(err.status || 500).json({ error: err.message, email });
+    } finally { client.release(); }
 });
 
 // Task 6: Direct invoice payment (creates payment + applies it to this invoice)
@@ -734,7 +967,7 @@ router.post('/invoices/:id/payment', async (req, res) => {
     if (!amount || parseFloat(amount) <= 0)
         return res.status(400).json({ error: 'amount is required and must be positive' });
 
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
 
@@ -747,16 +980,20 @@ router.post('/invoices/:id/payment', async (req, res) => {
 
         const applyAmt = Math.min(parseFloat(amount), parseFloat(inv.balance_due));
 
+        // Paid in the invoice's currency, at the rate of the payment date
+        const payDate = payment_date || new Date().toISOString().slice(0, 10);
+        const rate    = await fx.rateOn(client, inv.currency, payDate);
         const { rows: [pmt] } = await client.query(
             `INSERT INTO payments_received
-                (customer_id, payment_date, amount, method, reference_number, notes)
-             VALUES ($1,$2,$3,$4,$5,$6) RETURNING *`,
+                (customer_id, payment_date, amount, method, reference_number, notes, currency, exchange_rate)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
             [inv.customer_id,
-             payment_date || new Date().toISOString().slice(0, 10),
+             payDate,
              applyAmt,
              method || 'check',
              reference_number || null,
-             notes || null]
+             notes || null,
+             inv.currency, rate]
         );
 
         await client.query(
@@ -765,6 +1002,11 @@ router.post('/invoices/:id/payment', async (req, res) => {
             [pmt.id, inv.id, applyAmt]
         );
 
+        await gl.postCustomerPayment(client, {
+            payment: pmt, applications: [{ amount_applied: applyAmt, exchange_rate: inv.exchange_rate }],
+            userId: req.user?.userId,
+        });
+
         const newPaid   = parseFloat(inv.amount_paid) + applyAmt;
         const invTotal  = parseFloat(inv.total);
         const newStatus = newPaid >= invTotal ? 'paid'
@@ -782,6 +1024,12 @@ router.post('/invoices/:id/payment', async (req, res) => {
              inv.id]
         );
 
+        await webhooks.emit(client, 'payment.received', {
+            payment:      pmt,
+            applications: [{ invoice_id: inv.id, invoice_number: inv.number,
+                             amount_applied: applyAmt, invoice_status: newStatus }],
+        });
+
         await client.query('COMMIT');
         res.status(201).json({ invoice: updated, payment: pmt, amount_applied: applyAmt });
     } catch (err) {
@@ -800,31 +1048,51 @@ router.post('/payments', validate(CreatePaymentSchema), async (req, res) => {
     if (totalApplied > parseFloat(amount))
         return res.status(400).json({ error: 'Total applied exceeds payment amount' });
 
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
 
+        // Paid in the customer's currency, at the rate of the payment date
+        const { rows: [customer] } = await client.query(
+            `SELECT currency FROM parties WHERE id = $1`, [customer_id]
+        );
+        if (!customer) throw Object.assign(new Error('Customer not found'), { status: 404 });
+        const payDate = payment_date || new Date().toISOString().slice(0,10);
+        const rate    = await fx.rateOn(client, customer.currency, payDate);
+
         const { rows: [pmt] } = await client.query(
             `INSERT INTO payments_received
-                (customer_id, payment_date, amount, method, reference_number, notes)
-             VALUES ($1,$2,$3,$4,$5,$6) RETURNING *`,
-            [customer_id, payment_date || new Date().toISOString().slice(0,10),
-             amount, method, reference_number || null, notes || null]
+                (customer_id, payment_date, amount, method, reference_number, notes, currency, exchange_rate)
+             VALUES ($1,$2,$3,$4,$5,$6,$7,$8) RETURNING *`,
+            [customer_id, payDate,
+             amount, method, reference_number || null, notes || null, customer.currency, rate]
         );
 
+        const applied = [], invoiceRates = [];
         for (const app of applications) {
+            const { rows: [inv] } = await client.query(
+                `SELECT number, currency, exchange_rate FROM sales_invoices WHERE id = $1`, [app.invoice_id]
+            );
+            if (inv && inv.currency !== pmt.currency) throw Object.assign(new Error(
+                `Invoice ${inv.number} is in ${inv.currency}; the payment is in ${pmt.currency}`
+            ), { status: 400 });
+            if (inv) invoiceRates.push({ amount_applied: app.amount_applied, exchange_rate: inv.exchange_rate });
+
             await client.query(
                 `INSERT INTO payment_applications (payment_id, invoice_id, amount_applied)
                  VALUES ($1,$2,$3)`,
                 [pmt.id, app.invoice_id, app.amount_applied]
             );
 
+            // Credit memo applications count towards amount_paid as well
             const { rows: [totals] } = await client.query(
-                `SELECT si.total, COALESCE(SUM(pa.amount_applied),0) AS paid_total
+                `SELECT si.number, si.total,
+                        (SELECT COALESCE(SUM(amount_applied),0) FROM payment_applications
+                         WHERE invoice_id = si.id)
+                      + (SELECT COALESCE(SUM(amount_applied),0) FROM credit_memo_applications
+                         WHERE invoice_id = si.id) AS paid_total
                  FROM sales_invoices si
-                 JOIN payment_applications pa ON pa.invoice_id = si.id
-                 WHERE si.id = $1
-                 GROUP BY si.total`, [app.invoice_id]
+                 WHERE si.id = $1`, [app.invoice_id]
             );
 
             if (totals) {
@@ -838,14 +1106,22 @@ router.post('/payments', validate(CreatePaymentSchema), async (req, res) => {
                      WHERE id=$3`,
                     [paidTotal, newStatus, app.invoice_id]
                 );
+                applied.push({ invoice_id: app.invoice_id, invoice_number: totals.number,
+                               amount_applied: app.amount_applied, invoice_status: newStatus });
             }
         }
 
+        await gl.postCustomerPayment(client, {
+            payment: pmt, applications: invoiceRates, userId: req.user?.userId,
+        });
+
+        await webhooks.emit(client, 'payment.received', { payment: pmt, applications: applied });
+
         await client.query('COMMIT');
         res.status(201).json(pmt);
     } catch (err) {
         await client.query('ROLLBACK');
-        res.status(400).json({ error: err.message });
+        res.status(err.status || 400).json({ error: err.message });
     } finally { client.release(); }
 });
 
@@ -853,33 +1129,140 @@ router.post('/payments', validate(CreatePaymentSchema), async (req, res) => {
 
 router.get('/customers/:id/ar', async (req, res) => {
     try {
-        const { rows: [aging] } = await query(
+        const { rows: [aging] } = await req.db.query(
             `SELECT * FROM v_ar_aging WHERE customer_id = $1`, [req.params.id]
         );
-        const { rows: invoices } = await query(
+        const { rows: invoices } = await req.db.query(
             `SELECT * FROM sales_invoices WHERE customer_id = $1 AND status NOT IN ('paid','void')
              ORDER BY due_date`, [req.params.id]
         );
-        res.json({ aging: aging || null, open_invoices: invoices });
+        const { rows: credits } = await req.db.query(
+            `SELECT * FROM credit_memos WHERE customer_id = $1 AND status IN ('open','partially_applied')
+             ORDER BY memo_date`, [req.params.id]
+        );
+        res.json({ aging: aging || null, open_invoices: invoices, open_credits: credits });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
-router.get('/ar-aging', async (_req, res) => {
+// Emails the customer's open-item statement (GET /api/print/statement/:id)
+router.post('/customers/:id/statement/send', validate(SendDocumentSchema), async (req, res) => {
+    const { cc, message } = req.body;
     try {
-        const { rows } = await query(`SELECT * FROM v_ar_aging ORDER BY total_due DESC`);
-        const { rows: [totals] } = await query(
+        const doc = await documents.statement(req.db, req.params.id);
+        if (!doc) return res.status(404).json({ error: 'Customer not found' });
+        const to = req.body.to || mailer.recipients('statement', doc);
+        if (!to.length)
+            return res.status(400).json({ error: 'Customer has no email address; pass `to` to email the statement' });
+        const entry = await mailer.sendDocument(req.db, {
+            docType: 'statement', doc, to, cc, message, userId: req.user?.userId,
+        });
+        res.json({ customer_id: doc.record.id, balance_due: doc.record.net_due, email: await mailer.record(req.db, entry) });
+    } catch (err) {
+        const email = await mailer.logFailure(req.db, err);
+        res.status(err.status || 500).json({ error: err.message, email });
+    }
+});
+
+router.get('/ar-aging', async (req, res) => {
+    try {
+        const { rows } = await req.db.query(`SELECT * FROM v_ar_aging ORDER BY total_due DESC`);
+        const { rows: [totals] } = await req.db.query(
             `SELECT COALESCE(SUM(current_due),0) AS current_due,
                     COALESCE(SUM(days_1_30),0)   AS days_1_30,
                     COALESCE(SUM(days_31_60),0)  AS days_31_60,
                     COALESCE(SUM(days_61_90),0)  AS days_61_90,
                     COALESCE(SUM(days_90plus),0) AS days_90plus,
-                    COALESCE(SUM(total_due),0)   AS total_due
+                    COALESCE(SUM(total_due),0)   AS total_due,
+                    COALESCE(SUM(unapplied_credits),0) AS unapplied_credits,
+                    COALESCE(SUM(net_due),0)     AS net_due
              FROM v_ar_aging`
         );
         res.json({ customers: rows, totals });
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// ── Credit ────────────────────────────────────────────────────────────────────
+
+// Exposure against the credit limit, and overdue AR, as the confirm check sees it
+router.get('/customers/:id/credit', async (req, res) => {
+    try {
+        const pos = await credit.position(req.db, req.params.id);
+        res.json({ ...pos, available_credit: pos.credit_limit > 0 ? pos.credit_limit - pos.exposure : null });
+    } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+// Hold queue (?status=open by default; released / cleared / cancelled, or all)
+router.get('/credit-holds', async (req, res) => {
+    const status = req.query.status || 'open';
+    try {
+        const { page, limit, offset } = parsePage(req.query);
+        const params = status === 'all' ? [] : [status];
+        const where  = status === 'all' ? '' : 'WHERE ch.status = $1';
+        const { rows: [{ count }] } = await req.db.query(
+            `SELECT COUNT(*) FROM credit_holds ch ${where}`, params
+        );
+        const { rows } = await req.db.query(
+            `SELECT ch.*, so.number AS order_number, so.status AS order_status,
+                    p.code AS customer_code, p.name AS customer_name,
+                    pb.name AS placed_by_name, rb.name AS resolved_by_name
+             FROM   credit_holds ch
+             JOIN   sales_orders so ON so.id = ch.sales_order_id
+             JOIN   parties p       ON p.id  = ch.customer_id
+             LEFT JOIN users pb     ON pb.id = ch.placed_by
+             LEFT JOIN users rb     ON rb.id = ch.resolved_by
+             ${where}
+             ORDER  BY ch.placed_at ${status === 'open' ? 'ASC' : 'DESC'}
+             LIMIT $${params.length+1} OFFSET $${params.length+2}`,
+            [...params, limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// Manager override: confirm the held order anyway. The note, the user and the
+// customer's position at release time go on the hold and into the audit log.
+router.post('/credit-holds/:id/release', requireRole('admin', 'manager'), validate(ReleaseCreditHoldSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [hold] } = await client.query(
+            `SELECT * FROM credit_holds WHERE id = $1 FOR UPDATE`, [req.params.id]
+        );
+        if (!hold) throw Object.assign(new Error('Credit hold not found'), { status: 404 });
+        if (hold.status !== 'open')
+            throw Object.assign(new Error(`Credit hold is already ${hold.status}`), { status: 400 });
+        const { rows: [order] } = await client.query(
+            `SELECT * FROM sales_orders WHERE id = $1 FOR UPDATE`, [hold.sales_order_id]
+        );
+
+        const check = await credit.checkOrder(client, order);
+        await reserveAndConfirm(client, order);
+        const { rows: [released] } = await client.query(
+            `UPDATE credit_holds
+             SET status='released', resolved_by=$2, resolved_at=NOW(), resolution_note=$3
+             WHERE id=$1 RETURNING *`,
+            [hold.id, req.user?.userId || null, req.body.note]
+        );
+        await client.query(
+            `INSERT INTO audit_log (user_id, action, table_name, record_id, entity_label, old_values, new_values, ip_address)
+             VALUES ($1,'credit_hold.released','credit_holds',$2,$3,$4,$5,$6)`,
+            [req.user?.userId || null, hold.id, `Credit hold — ${order.number}`,
+             JSON.stringify({ status: 'open', reasons: hold.reasons, exposure: hold.exposure,
+                              credit_limit: hold.credit_limit, overdue_balance: hold.overdue_balance }),
+             JSON.stringify({ status: 'released', note: req.body.note, reasons_at_release: check.reasons,
+                              exposure_at_release: check.exposure, credit_limit: check.credit_limit }),
+             req.ip || null]
+        );
+        await client.query('COMMIT');
+
+        const { rows: [full] } = await req.db.query(ORDER_SUMMARY_SQL, [order.id]);
+        res.json({ credit_hold: released, order: full });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ error: err.message });
+    } finally { client.release(); }
+});
+
 // ── Backorders ────────────────────────────────────────────────────────────────
 
 router.get('/backorders', async (req, res) => {
@@ -894,11 +1277,11 @@ router.get('/backorders', async (req, res) => {
 
         const where = `WHERE ${conds.join(' AND ')}`;
 
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM backorders b
              JOIN sales_orders so ON so.id = b.sales_order_id ${where}`, params
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT b.*,
                     so.number AS order_number,
                     p.name AS customer_name, p.code AS customer_code,
@@ -0,0 +1,149 @@
+'use strict';
+
+// routes/serials.routes.js
+// Serial number lookup — unit status and chain of custody for warranty and theft claims
+
+const { Router } = require('express');
+const { validate } = require('../middleware/validate');
+const { requireUserRole } = require('../middleware/roles');
+const { parsePage, paginate } = require('../lib/pagination');
+const serials = require('../lib/serials');
+const { z } = require('zod');
+
+const router = Router();
+
+// ── Schemas ───────────────────────────────────────────────────────────────────
+const UUID = z.string().uuid();
+
+const RegisterSerialsSchema = z.object({
+    item_id:        UUID,
+    warehouse_id:   UUID,
+    serial_numbers: z.array(z.string().trim().min(1).max(80)).min(1),
+    notes:          z.string().trim().optional(),
+});
+
+// ── GET /api/serials ──────────────────────────────────────────────────────────
+router.get('/', async (req, res) => {
+    const { item_id, status, warehouse_id, customer_id, q } = req.query;
+    try {
+        const { page, limit, offset } = parsePage(req.query);
+        const conds  = [];
+        const params = [];
+        if (item_id)      { params.push(item_id);      conds.push(`sn.item_id = $${params.length}`); }
+        if (status)       { params.push(status);       conds.push(`sn.status = $${params.length}`); }
+        if (warehouse_id) { params.push(warehouse_id); conds.push(`sn.warehouse_id = $${params.length}`); }
+        if (customer_id)  { params.push(customer_id);  conds.push(`sn.customer_id = $${params.length}`); }
+        if (q)            { params.push(`%${q}%`);     conds.push(`sn.serial_number ILIKE $${params.length}`); }
+        const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+
+        const { rows: [{ count }] } = await req.db.query(
+            `SELECT COUNT(*) FROM serial_numbers sn ${where}`, params
+        );
+        const { rows } = await req.db.query(
+            `SELECT sn.*, i.code AS item_code, i.name AS item_name,
+                    w.code AS warehouse_code, p.name AS customer_name
+             FROM   serial_numbers sn
+             JOIN   items i ON i.id = sn.item_id
+             LEFT JOIN warehouses w ON w.id = sn.warehouse_id
+             LEFT JOIN parties p ON p.id = sn.customer_id
+             ${where}
+             ORDER  BY i.code, sn.serial_number
+             LIMIT $${params.length+1} OFFSET $${params.length+2}`,
+            [...params, limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// ── GET /api/serials/:serial — full chain for a serial number ────────────────
+// The same serial string can exist under more than one item, so every match is
+// returned, each with its history oldest-first (receipt → transfers → shipment → return).
+router.get('/:serial', async (req, res) => {
+    try {
+        const { rows: units } = await req.db.query(
+            `SELECT sn.*, i.code AS item_code, i.name AS item_name,
+                    w.code AS warehouse_code, w.name AS warehouse_name,
+                    p.code AS customer_code, p.name AS customer_name
+             FROM   serial_numbers sn
+             JOIN   items i ON i.id = sn.item_id
+             LEFT JOIN warehouses w ON w.id = sn.warehouse_id
+             LEFT JOIN parties p ON p.id = sn.customer_id
+             WHERE  sn.serial_number = $1
+             ORDER  BY i.code`, [req.params.serial]
+        );
+        if (!units.length) return res.status(404).json({ success: false, error: 'Serial number not found' });
+
+        const { rows: events } = await req.db.query(
+            `SELECT e.*,
+                    fw.code AS from_warehouse_code, tw.code AS to_warehouse_code,
+                    p.code AS party_code, p.name AS party_name,
+                    u.name AS created_by_name
+             FROM   serial_number_events e
+             LEFT JOIN warehouses fw ON fw.id = e.from_warehouse_id
+             LEFT JOIN warehouses tw ON tw.id = e.to_warehouse_id
+             LEFT JOIN parties p ON p.id = e.party_id
+             LEFT JOIN users u ON u.id = e.created_by
+             WHERE  e.serial_id = ANY($1)
+             ORDER  BY e.created_at, e.id`, [units.map(u => u.id)]
+        );
+
+        const data = units.map(u => ({
+            ...u,
+            history: events.filter(e => e.serial_id === u.id),
+        }));
+        res.json({ success: true, data });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// ── POST /api/serials/register — capture serials for stock already on hand ───
+// Used when serial tracking is switched on for an item that already has stock.
+router.post('/register', requireUserRole('admin', 'manager'), validate(RegisterSerialsSchema), async (req, res) => {
+    const { item_id, warehouse_id, serial_numbers, notes } = req.body;
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+
+        const { rows: [item] } = await client.query(
+            `SELECT id, code, is_serial_tracked FROM items WHERE id = $1 FOR UPDATE`, [item_id]
+        );
+        if (!item) throw Object.assign(new Error('Item not found'), { status: 404 });
+        if (!item.is_serial_tracked)
+            throw Object.assign(new Error(`Item ${item.code} is not serial-tracked`), { status: 400 });
+        if (new Set(serial_numbers).size !== serial_numbers.length)
+            throw Object.assign(new Error('Duplicate serial numbers'), { status: 400 });
+
+        const { rows: [stock] } = await client.query(
+            `SELECT COALESCE(SUM(qty), 0) AS on_hand,
+                    (SELECT COUNT(*) FROM serial_numbers
+                     WHERE item_id = $1 AND warehouse_id = $2
+                       AND status IN ('in_stock','picked')) AS serialized
+             FROM stock_ledger WHERE item_id = $1 AND warehouse_id = $2`,
+            [item_id, warehouse_id]
+        );
+        const unserialized = parseFloat(stock.on_hand) - parseInt(stock.serialized, 10);
+        if (serial_numbers.length > unserialized)
+            throw Object.assign(
+                new Error(`Only ${Math.max(unserialized, 0)} unit(s) on hand without a serial number`),
+                { status: 400 }
+            );
+
+        await serials.receive(client, {
+            itemId: item_id, warehouseId: warehouse_id, serials: serial_numbers,
+            event: { type: 'registered', notes: notes || null, userId: req.user?.userId },
+        });
+
+        await client.query(
+            `INSERT INTO audit_log (action, table_name, record_id, new_values)
+             VALUES ('register_serials','items',$1,$2)`,
+            [item_id, JSON.stringify({ warehouse_id, serial_numbers })]
+        );
+
+        await client.query('COMMIT');
+        res.status(201).json({ success: true, data: { item_id, warehouse_id, registered: serial_numbers.length } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+module.exports = router;
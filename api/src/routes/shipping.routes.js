@@ -4,7 +4,6 @@
 // Module 6 — Fulfillment & Shipping
 
 const { Router } = require('express');
-const { query, pool } = require('../db/pool');
 const { z } = require('zod');
 const { validate } = require('../middleware/validate');
 
@@ -62,9 +61,9 @@ function mockRates(weightLb, fromZip, toZip) {
 }
 
 // ── GET /api/shipping/carriers ────────────────────────────────────────────────
-router.get('/carriers', async (_req, res) => {
+router.get('/carriers', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT * FROM shipping_carriers WHERE is_active = true ORDER BY code`
         );
         res.json({ success: true, data: rows });
@@ -79,7 +78,7 @@ router.post('/rate-quote', validate(RateQuoteSchema), async (req, res) => {
 
         // Persist quotes so they appear on the shipment record
         if (shipment_id) {
-            const client = await pool.connect();
+            const client = await req.db.connect();
             try {
                 for (const r of rates) {
                     await client.query(
@@ -102,7 +101,7 @@ router.patch('/shipments/:id/tracking', validate(AddTrackingSchema), async (req,
     const { carrier, service_level, tracking_number,
             freight_cost, weight_lb, shipped_by } = req.body;
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `UPDATE shipments
              SET carrier         = $1,
                  service_level   = COALESCE($2, service_level),
@@ -126,7 +125,7 @@ router.patch('/shipments/:id/tracking', validate(AddTrackingSchema), async (req,
 // ── GET /api/shipping/shipments/:id/quotes ────────────────────────────────────
 router.get('/shipments/:id/quotes', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT * FROM shipping_rate_quotes
              WHERE shipment_id = $1 ORDER BY rate ASC`,
             [req.params.id]
@@ -1,19 +1,19 @@
 'use strict';
 
 // routes/stock.routes.js
-// Warehouses, stock views, reorder alerts
+// Warehouses, stock views, reorder alerts, kit availability
 
 const { Router } = require('express');
-const { query, pool } = require('../db/pool');
+const kits = require('../lib/kits');
 
 const router = Router();
 
 // ── Warehouses ─────────────────────────────────────────────────────────────────
 
 // GET /api/warehouses
-router.get('/warehouses', async (_req, res) => {
+router.get('/warehouses', async (req, res) => {
     try {
-        const { rows } = await query(`SELECT * FROM warehouses WHERE is_active = true ORDER BY code`);
+        const { rows } = await req.db.query(`SELECT * FROM warehouses WHERE is_active = true AND NOT is_transit AND NOT is_vendor_return ORDER BY code`);
         res.json(rows);
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
@@ -21,9 +21,9 @@ router.get('/warehouses', async (_req, res) => {
 // ── Stock views ────────────────────────────────────────────────────────────────
 
 // GET /api/stock
-router.get('/', async (_req, res) => {
+router.get('/stock', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT * FROM v_stock_availability ORDER BY category, item_code, warehouse_code`
         );
         res.json(rows);
@@ -31,13 +31,13 @@ router.get('/', async (_req, res) => {
 });
 
 // GET /api/stock/dashboard
-router.get('/dashboard', async (_req, res) => {
+router.get('/stock/dashboard', async (req, res) => {
     try {
         const [items, stock, alerts, warehouses] = await Promise.all([
-            query(`SELECT COUNT(*) AS cnt FROM items WHERE is_active = true`),
-            query(`SELECT COALESCE(SUM(total_cost_value),0) AS total_value FROM v_stock_on_hand`),
-            query(`SELECT COUNT(*) AS cnt FROM v_reorder_alerts`),
-            query(`SELECT COUNT(*) AS cnt FROM warehouses WHERE is_active = true`)
+            req.db.query(`SELECT COUNT(*) AS cnt FROM items WHERE is_active = true`),
+            req.db.query(`SELECT COALESCE(SUM(total_cost_value),0) AS total_value FROM v_stock_on_hand`),
+            req.db.query(`SELECT COUNT(*) AS cnt FROM v_reorder_alerts`),
+            req.db.query(`SELECT COUNT(*) AS cnt FROM warehouses WHERE is_active = true AND NOT is_transit AND NOT is_vendor_return`)
         ]);
         res.json({
             total_items:         parseInt(items.rows[0].cnt, 10),
@@ -49,9 +49,9 @@ router.get('/dashboard', async (_req, res) => {
 });
 
 // GET /api/stock/reorder-alerts
-router.get('/reorder-alerts', async (_req, res) => {
+router.get('/stock/reorder-alerts', async (req, res) => {
     try {
-        const { rows } = await query(`
+        const { rows } = await req.db.query(`
             SELECT
                 i.id            AS item_id,
                 i.code          AS item_code,
@@ -78,21 +78,78 @@ router.get('/reorder-alerts', async (_req, res) => {
     } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
-// GET /api/stock/:itemId/availability
-router.get('/:itemId/availability', async (req, res) => {
+// GET /api/stock/lots — availability broken down by lot (?item_id, ?warehouse_id, ?include_expired)
+router.get('/stock/lots', async (req, res) => {
+    const { item_id, warehouse_id, include_expired } = req.query;
     try {
-        const { rows } = await query(
-            `SELECT * FROM v_stock_availability WHERE item_id = $1 ORDER BY warehouse_code`,
-            [req.params.itemId]
+        const conds  = ['lot_number IS NOT NULL'];
+        const params = [];
+        if (item_id)      { params.push(item_id);      conds.push(`item_id = $${params.length}`); }
+        if (warehouse_id) { params.push(warehouse_id); conds.push(`warehouse_id = $${params.length}`); }
+        if (include_expired !== 'true') conds.push('NOT is_expired');
+        const { rows } = await req.db.query(
+            `SELECT * FROM v_stock_availability_by_lot
+             WHERE ${conds.join(' AND ')}
+             ORDER BY item_code, warehouse_code, expiry_date NULLS LAST, lot_number`,
+            params
         );
+        res.json({ success: true, data: rows });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// GET /api/stock/kits  (?item_id, ?warehouse_id)
+// How many of each kit every warehouse could make from the components it has
+// available, and the component that runs out first (lib/kits.js)
+router.get('/stock/kits', async (req, res) => {
+    try {
+        res.json(await kits.availability(req.db, {
+            itemId: req.query.item_id, warehouseId: req.query.warehouse_id,
+        }));
+    } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// GET /api/stock/:itemId/availability  (?by=lot for one row per lot)
+// A bundle has no stock of its own: its rows are what its components make.
+router.get('/stock/:itemId/availability', async (req, res) => {
+    try {
+        const { rows: [item] } = await req.db.query(
+            `SELECT kit_type FROM items WHERE id = $1`, [req.params.itemId]
+        );
+        if (item && item.kit_type === 'bundle')
+            return res.json(await kits.availability(req.db, { itemId: req.params.itemId }));
+
+        const { rows } = req.query.by === 'lot'
+            ? await req.db.query(
+                `SELECT * FROM v_stock_availability_by_lot WHERE item_id = $1
+                 ORDER BY warehouse_code, expiry_date NULLS LAST, lot_number NULLS LAST`,
+                [req.params.itemId])
+            : await req.db.query(
+                `SELECT * FROM v_stock_availability WHERE item_id = $1 ORDER BY warehouse_code`,
+                [req.params.itemId]);
         res.json(rows);
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// GET /api/stock/:itemId/cost-layers — open FIFO layers, oldest first (?all=true includes used-up layers)
+router.get('/stock/:itemId/cost-layers', async (req, res) => {
+    try {
+        const { rows } = await req.db.query(
+            `SELECT cl.*, w.code AS warehouse_code,
+                    cl.qty_remaining * cl.unit_cost AS remaining_value
+             FROM   cost_layers cl
+             JOIN   warehouses w ON w.id = cl.warehouse_id
+             WHERE  cl.item_id = $1 ${req.query.all === 'true' ? '' : 'AND cl.qty_remaining > 0'}
+             ORDER  BY w.code, cl.layer_date, cl.created_at`,
+            [req.params.itemId]
+        );
+        res.json({ success: true, data: rows });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
 // GET /api/stock/:itemId/history
-router.get('/:itemId/history', async (req, res) => {
+router.get('/stock/:itemId/history', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT sl.*, w.code AS warehouse_code, w.name AS warehouse_name,
                     u.name AS created_by_name
              FROM   stock_ledger sl
@@ -4,22 +4,21 @@
 // State tax rates CRUD + tax calculation
 
 const { Router } = require('express');
-const { query }  = require('../db/pool');
 const { validate }            = require('../middleware/validate');
 const { UpdateTaxRateSchema } = require('../lib/schemas');
 
 const router = Router();
 
 // ── Helper ────────────────────────────────────────────────────────────────────
-async function calculateInvoiceTax(customerId, subtotal) {
-    const { rows: [cust] } = await query(
+async function calculateInvoiceTax(client, customerId, subtotal) {
+    const { rows: [cust] } = await client.query(
         `SELECT tax_exempt, state_code FROM parties WHERE id = $1`, [customerId]
     );
     if (!cust) return { tax_amount: 0, rate: 0, state_code: null, exempt: false };
     if (cust.tax_exempt) return { tax_amount: 0, rate: 0, state_code: cust.state_code, exempt: true };
     if (!cust.state_code) return { tax_amount: 0, rate: 0, state_code: null, exempt: false };
 
-    const { rows: [stateRow] } = await query(
+    const { rows: [stateRow] } = await client.query(
         `SELECT tax_rate FROM state_tax_rates WHERE state_code = $1 AND is_active = true`,
         [cust.state_code]
     );
@@ -33,9 +32,9 @@ async function calculateInvoiceTax(customerId, subtotal) {
 }
 
 // GET /api/tax/rates
-router.get('/rates', async (_req, res) => {
+router.get('/rates', async (req, res) => {
     try {
-        const { rows } = await query(`SELECT * FROM state_tax_rates ORDER BY state_name`);
+        const { rows } = await req.db.query(`SELECT * FROM state_tax_rates ORDER BY state_name`);
         res.json(rows);
     } catch (err) { res.status(500).json({ error: err.message }); }
 });
@@ -43,7 +42,7 @@ router.get('/rates', async (_req, res) => {
 // GET /api/tax/rates/:stateCode
 router.get('/rates/:stateCode', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT * FROM state_tax_rates WHERE state_code = $1`,
             [req.params.stateCode.toUpperCase()]
         );
@@ -56,7 +55,7 @@ router.get('/rates/:stateCode', async (req, res) => {
 router.put('/rates/:stateCode', validate(UpdateTaxRateSchema), async (req, res) => {
     const { tax_rate, is_active } = req.body;
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `UPDATE state_tax_rates
              SET tax_rate = $1, is_active = COALESCE($2, is_active), updated_at = NOW()
              WHERE state_code = $3 RETURNING *`,
@@ -72,7 +71,7 @@ router.get('/calculate', async (req, res) => {
     const { customerId, subtotal } = req.query;
     if (!customerId || subtotal == null) return res.status(400).json({ error: 'customerId and subtotal required' });
     try {
-        const taxInfo = await calculateInvoiceTax(customerId, parseFloat(subtotal));
+        const taxInfo = await calculateInvoiceTax(req.db, customerId, parseFloat(subtotal));
         res.json({ ...taxInfo, subtotal: parseFloat(subtotal),
                    total: parseFloat(subtotal) + taxInfo.tax_amount });
     } catch (err) { res.status(500).json({ error: err.message }); }
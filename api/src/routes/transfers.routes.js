@@ -1,12 +1,16 @@
 'use strict';
 
 // routes/transfers.routes.js
-// Stock Transfers between warehouses — Task 7
+// Stock Transfers between warehouses — Task 7. Posted in one step, or shipped
+// into the transit warehouse and received in one or more receipts
+// (lib/transfers.js).
 
 const { Router } = require('express');
-const { query, pool } = require('../db/pool');
 const { validate } = require('../middleware/validate');
+const { requireRole } = require('../middleware/tenant');
 const { parsePage, paginate } = require('../lib/pagination');
+const numbering = require('../lib/numbering');
+const transfers = require('../lib/transfers');
 const { z } = require('zod');
 
 const router = Router();
@@ -33,16 +37,43 @@ const CreateTransferSchema = z.object({
 }).refine(d => d.from_warehouse_id !== d.to_warehouse_id,
     { message: 'Source and destination warehouses must be different' });
 
-// ── Number generator ──────────────────────────────────────────────────────────
-async function nextTransferNumber(client) {
-    const year = new Date().getFullYear();
-    const pfx  = `TRF-${year}-`;
-    const { rows } = await client.query(
-        `SELECT number FROM stock_transfers WHERE number LIKE $1 ORDER BY number DESC LIMIT 1`,
-        [`${pfx}%`]
+const DateStr = z.string().regex(/^\d{4}-\d{2}-\d{2}$/);
+
+// serials / lots are checked by lib/serials and lib/lots
+const ShipTransferSchema = z.object({
+    carrier:         z.string().trim().toUpperCase().max(10).optional(),
+    tracking_number: z.string().trim().min(1).max(100).optional(),
+    shipped_date:    DateStr.optional(),
+    serials:         z.unknown().optional(),
+    lots:            z.unknown().optional(),
+    posted_by:       UUID.optional(),
+});
+
+const ReceiveTransferSchema = z.object({
+    lines: z.array(z.object({
+        line_id:      UUID,
+        qty_received: z.coerce.number().positive(),
+        notes:        z.string().trim().optional(),
+    })).min(1),
+    received_date: DateStr.optional(),
+    notes:         z.string().trim().optional(),
+    serials:       z.unknown().optional(),
+    lots:          z.unknown().optional(),
+    posted_by:     UUID.optional(),
+});
+
+const CloseTransferSchema = z.object({
+    reason_code: z.string().trim().toUpperCase().regex(/^[A-Z0-9_-]{1,20}$/, 'Reason codes are up to 20 letters, digits, _ or -'),
+    notes:       z.string().trim().optional(),
+});
+
+async function audit(client, req, action, transfer, oldValues, newValues) {
+    await client.query(
+        `INSERT INTO audit_log (user_id, action, table_name, record_id, entity_label, old_values, new_values, ip_address)
+         VALUES ($1,$2,'stock_transfers',$3,$4,$5,$6,$7)`,
+        [req.user?.userId || null, action, transfer.id, `Stock transfer — ${transfer.number}`,
+         oldValues && JSON.stringify(oldValues), newValues && JSON.stringify(newValues), req.ip || null]
     );
-    const seq = rows.length === 0 ? 1 : parseInt(rows[0].number.split('-').pop(), 10) + 1;
-    return `${pfx}${String(seq).padStart(5, '0')}`;
 }
 
 // ── GET /api/transfers ────────────────────────────────────────────────────────
@@ -53,10 +84,10 @@ router.get('/', async (req, res) => {
         const cond   = status ? `WHERE st.status = $1` : '';
         const params = status ? [status] : [];
 
-        const { rows: [{ count }] } = await query(
+        const { rows: [{ count }] } = await req.db.query(
             `SELECT COUNT(*) FROM stock_transfers st ${cond}`, params
         );
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `SELECT st.*,
                     fw.code AS from_warehouse_code, fw.name AS from_warehouse_name,
                     tw.code AS to_warehouse_code,   tw.name AS to_warehouse_name,
@@ -73,33 +104,90 @@ router.get('/', async (req, res) => {
     } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
-// ── GET /api/transfers/:id ────────────────────────────────────────────────────
-router.get('/:id', async (req, res) => {
+// ── GET /api/transfers/in-transit ─────────────────────────────────────────────
+// Lines with stock on its way, oldest shipment first
+router.get('/in-transit', async (req, res) => {
     try {
-        const { rows: [transfer] } = await query(
-            `SELECT st.*,
-                    fw.code AS from_warehouse_code, fw.name AS from_warehouse_name,
-                    tw.code AS to_warehouse_code,   tw.name AS to_warehouse_name
-             FROM   stock_transfers st
+        const params = [];
+        let where = `WHERE st.status IN ('in_transit','partially_received')
+                       AND stl.qty_shipped - stl.qty_received - stl.qty_short > 0`;
+        if (req.query.to_warehouse_id) {
+            params.push(req.query.to_warehouse_id);
+            where += ` AND st.to_warehouse_id = $${params.length}`;
+        }
+        const { rows } = await req.db.query(
+            `SELECT st.id AS transfer_id, st.number, st.status, st.shipped_date::text AS shipped_date,
+                    st.carrier, st.tracking_number,
+                    fw.code AS from_warehouse_code, tw.code AS to_warehouse_code,
+                    stl.id AS line_id, stl.line_number, i.code AS item_code, i.name AS item_name,
+                    stl.qty_shipped, stl.qty_received,
+                    stl.qty_shipped - stl.qty_received - stl.qty_short AS qty_in_transit,
+                    ROUND((stl.qty_shipped - stl.qty_received - stl.qty_short) * stl.cost_per_unit, 2) AS value_in_transit,
+                    CURRENT_DATE - st.shipped_date AS days_in_transit
+             FROM   stock_transfer_lines stl
+             JOIN   stock_transfers st ON st.id = stl.transfer_id
              JOIN   warehouses fw ON fw.id = st.from_warehouse_id
              JOIN   warehouses tw ON tw.id = st.to_warehouse_id
-             WHERE  st.id = $1`, [req.params.id]
+             JOIN   items i ON i.id = stl.item_id
+             ${where}
+             ORDER  BY st.shipped_date, st.number, stl.line_number`,
+            params
         );
-        if (!transfer) return res.status(404).json({ success: false, error: 'Transfer not found' });
+        res.json({ success: true, data: rows });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
 
-        const { rows: lines } = await query(
-            `SELECT stl.*, i.code AS item_code, i.name AS item_name,
-                    i.unit_of_measure,
-                    COALESCE(av.qty_available, 0) AS from_stock_available
+// ── GET /api/transfers/discrepancies?from=&to= ────────────────────────────────
+// Units shipped that never arrived, by lane (source → destination) and by
+// transfer line, for transfers closed between `from` and `to`
+router.get('/discrepancies', async (req, res) => {
+    try {
+        const params = [];
+        const conds  = [`stl.qty_short > 0`];
+        if (req.query.from) { params.push(req.query.from); conds.push(`st.closed_at::date >= $${params.length}`); }
+        if (req.query.to)   { params.push(req.query.to);   conds.push(`st.closed_at::date <= $${params.length}`); }
+        const { rows: lines } = await req.db.query(
+            `SELECT st.id AS transfer_id, st.number, st.closed_at, st.carrier, st.tracking_number,
+                    fw.code AS from_warehouse_code, tw.code AS to_warehouse_code,
+                    sa.number AS shortage_adjustment_number,
+                    stl.line_number, i.code AS item_code, i.name AS item_name,
+                    stl.qty_shipped, stl.qty_received, stl.qty_short,
+                    ROUND(stl.qty_short * stl.cost_per_unit, 2) AS value_short
              FROM   stock_transfer_lines stl
+             JOIN   stock_transfers st ON st.id = stl.transfer_id
+             JOIN   warehouses fw ON fw.id = st.from_warehouse_id
+             JOIN   warehouses tw ON tw.id = st.to_warehouse_id
              JOIN   items i ON i.id = stl.item_id
-             LEFT JOIN v_stock_availability av
-                    ON av.item_id = stl.item_id AND av.warehouse_id = $2
-             WHERE  stl.transfer_id = $1
-             ORDER  BY stl.line_number`,
-            [req.params.id, transfer.from_warehouse_id]
+             LEFT JOIN stock_adjustments sa ON sa.id = st.shortage_adjustment_id
+             WHERE  ${conds.join(' AND ')}
+             ORDER  BY st.closed_at, st.number, stl.line_number`,
+            params
         );
-        res.json({ success: true, data: { ...transfer, lines } });
+        const lanes = new Map();
+        for (const l of lines) {
+            const key  = `${l.from_warehouse_code} → ${l.to_warehouse_code}`;
+            const lane = lanes.get(key) || {
+                lane: key, from_warehouse_code: l.from_warehouse_code, to_warehouse_code: l.to_warehouse_code,
+                transfers: new Set(), qty_short: 0, value_short: 0,
+            };
+            lane.transfers.add(l.transfer_id);
+            lane.qty_short  += parseFloat(l.qty_short);
+            lane.value_short  = Math.round((lane.value_short + parseFloat(l.value_short)) * 100) / 100;
+            lanes.set(key, lane);
+        }
+        const byLane = [...lanes.values()]
+            .map(l => ({ ...l, transfers: l.transfers.size }))
+            .sort((a, b) => b.value_short - a.value_short);
+        res.json({ success: true, data: { lanes: byLane, lines } });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// ── GET /api/transfers/:id ────────────────────────────────────────────────────
+router.get('/:id', async (req, res) => {
+    try {
+        const data = await transfers.detail(req.db, req.params.id);
+        if (!data) return res.status(404).json({ success: false, error: 'Transfer not found' });
+        res.json({ success: true, data });
     } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 });
 
@@ -108,11 +196,12 @@ router.post('/', validate(CreateTransferSchema), async (req, res) => {
     const { from_warehouse_id, to_warehouse_id, transfer_date,
             notes, lines, created_by } = req.body;
 
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
+        await transfers.assertWarehouses(client, from_warehouse_id, to_warehouse_id);
 
-        const number = await nextTransferNumber(client);
+        const number = await numbering.next(client, 'stock_transfer');
 
         const { rows: [transfer] } = await client.query(
             `INSERT INTO stock_transfers
@@ -151,74 +240,15 @@ router.post('/', validate(CreateTransferSchema), async (req, res) => {
 });
 
 // ── POST /api/transfers/:id/post ──────────────────────────────────────────────
+// Move the stock in one step, on the transfer date
 router.post('/:id/post', async (req, res) => {
-    const client = await pool.connect();
+    const client = await req.db.connect();
     try {
         await client.query('BEGIN');
-
-        const { rows: [transfer] } = await client.query(
-            `SELECT * FROM stock_transfers WHERE id = $1 FOR UPDATE`, [req.params.id]
-        );
-        if (!transfer) throw Object.assign(new Error('Transfer not found'), { status: 404 });
-        if (transfer.status !== 'draft')
-            throw Object.assign(new Error(`Transfer is already ${transfer.status}`), { status: 400 });
-
-        const { rows: lines } = await client.query(
-            `SELECT * FROM stock_transfer_lines WHERE transfer_id = $1`, [transfer.id]
-        );
-        if (!lines.length) throw Object.assign(new Error('No lines to post'), { status: 400 });
-
-        const postedBy = req.body.posted_by || null;
-
-        for (const line of lines) {
-            // Check source stock availability
-            const { rows: [stockCheck] } = await client.query(
-                `SELECT check_stock_availability($1, $2, $3) AS shortfall`,
-                [line.item_id, transfer.from_warehouse_id, parseFloat(line.qty)]
-            );
-            if (parseFloat(stockCheck.shortfall) < 0) {
-                const { rows: [avail] } = await client.query(
-                    `SELECT COALESCE(qty_available,0) AS qty_available
-                     FROM v_stock_availability WHERE item_id=$1 AND warehouse_id=$2`,
-                    [line.item_id, transfer.from_warehouse_id]
-                );
-                throw Object.assign(
-                    new Error(`Insufficient stock for item ${line.item_id} in source warehouse: need ${line.qty}, available ${avail ? avail.qty_available : 0}`),
-                    { status: 400 }
-                );
-            }
-
-            // TRANSFER_OUT from source warehouse
-            await client.query(
-                `INSERT INTO stock_ledger
-                    (item_id, warehouse_id, transaction_type, reference_type, reference_id,
-                     qty, cost_per_unit, notes, posting_date, created_by)
-                 VALUES ($1,$2,'transfer_out','stock_transfer',$3,$4,$5,$6,$7,$8)`,
-                [line.item_id, transfer.from_warehouse_id, transfer.id,
-                 -parseFloat(line.qty),
-                 parseFloat(line.cost_per_unit),
-                 `${transfer.number} — OUT`,
-                 transfer.transfer_date, postedBy]
-            );
-
-            // TRANSFER_IN to destination warehouse
-            await client.query(
-                `INSERT INTO stock_ledger
-                    (item_id, warehouse_id, transaction_type, reference_type, reference_id,
-                     qty, cost_per_unit, notes, posting_date, created_by)
-                 VALUES ($1,$2,'transfer_in','stock_transfer',$3,$4,$5,$6,$7,$8)`,
-                [line.item_id, transfer.to_warehouse_id, transfer.id,
-                 parseFloat(line.qty),
-                 parseFloat(line.cost_per_unit),
-                 `${transfer.number} — IN`,
-                 transfer.transfer_date, postedBy]
-            );
-        }
-
-        await client.query(
-            `UPDATE stock_transfers SET status='posted', updated_at=NOW() WHERE id=$1`, [transfer.id]
-        );
-
+        const { transfer, lines } = await transfers.post(client, req.params.id, {
+            serials: req.body.serials, lots: req.body.lots,
+            userId: req.user?.userId, postedBy: req.body.posted_by || null,
+        });
         await client.query(
             `INSERT INTO audit_log (action, table_name, record_id, new_values)
              VALUES ('post_transfer','stock_transfers',$1,$2)`,
@@ -229,7 +259,6 @@ router.post('/:id/post', async (req, res) => {
                 line_count: lines.length
             })]
         );
-
         await client.query('COMMIT');
         res.json({ success: true, data: { id: transfer.id, number: transfer.number, status: 'posted' } });
     } catch (err) {
@@ -238,10 +267,73 @@ router.post('/:id/post', async (req, res) => {
     } finally { client.release(); }
 });
 
+// ── POST /api/transfers/:id/ship ──────────────────────────────────────────────
+// The stock leaves the source for the transit warehouse
+router.post('/:id/ship', validate(ShipTransferSchema), async (req, res) => {
+    const { carrier, tracking_number, shipped_date, serials, lots: lotPicks, posted_by } = req.body;
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const shipped = await transfers.ship(client, req.params.id, {
+            carrier, trackingNumber: tracking_number, shippedDate: shipped_date, serials, lots: lotPicks,
+            userId: req.user?.userId || null, postedBy: posted_by || null,
+        });
+        await audit(client, req, 'transfer.shipped', shipped, { status: 'draft' },
+            { status: shipped.status, carrier: shipped.carrier, tracking_number: shipped.tracking_number,
+              shipped_date: shipped_date || null });
+        await client.query('COMMIT');
+        res.json({ success: true, data: await transfers.detail(req.db, shipped.id) });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// ── POST /api/transfers/:id/receive ───────────────────────────────────────────
+// What arrived at the destination; the rest stays in transit
+router.post('/:id/receive', validate(ReceiveTransferSchema), async (req, res) => {
+    const { lines, received_date, notes, serials, lots: lotPicks, posted_by } = req.body;
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { transfer, receipt } = await transfers.receive(client, req.params.id, {
+            lines, receivedDate: received_date, notes, serials, lots: lotPicks,
+            userId: req.user?.userId || null, postedBy: posted_by || null,
+        });
+        await audit(client, req, 'transfer.received', transfer, null,
+            { status: transfer.status, receipt_id: receipt.id, lines });
+        await client.query('COMMIT');
+        res.json({ success: true, data: await transfers.detail(req.db, transfer.id) });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// ── POST /api/transfers/:id/close ─────────────────────────────────────────────
+// Stop waiting: write off what never arrived
+router.post('/:id/close', requireRole('admin', 'manager'), validate(CloseTransferSchema), async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { transfer, adjustment } = await transfers.close(client, req.params.id, {
+            reasonCode: req.body.reason_code, notes: req.body.notes || null, userId: req.user?.userId || null,
+        });
+        await audit(client, req, 'transfer.closed', transfer, null,
+            { status: transfer.status, reason_code: req.body.reason_code, notes: req.body.notes || null,
+              shortage_adjustment: adjustment.number, shortage_value: -parseFloat(adjustment.approval_value) });
+        await client.query('COMMIT');
+        res.json({ success: true, data: await transfers.detail(req.db, transfer.id) });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(err.status || 500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
 // ── POST /api/transfers/:id/cancel ───────────────────────────────────────────
 router.post('/:id/cancel', async (req, res) => {
     try {
-        const { rows } = await query(
+        const { rows } = await req.db.query(
             `UPDATE stock_transfers SET status='cancelled', updated_at=NOW()
              WHERE id=$1 AND status='draft' RETURNING *`, [req.params.id]
         );
@@ -0,0 +1,268 @@
+'use strict';
+
+// routes/webhooks.routes.js
+// Outbound webhooks — endpoints, event subscriptions and the delivery log (company admins only).
+// Events are queued by the modules that raise them (lib/webhooks.js) and sent by the dispatcher.
+
+const { Router } = require('express');
+const { z } = require('zod');
+const { validate } = require('../middleware/validate');
+const { parsePage, paginate } = require('../lib/pagination');
+const { requireRole } = require('../middleware/tenant');
+const webhooks = require('../lib/webhooks');
+
+const router = Router();
+
+router.use(requireRole('admin'));
+
+// ── Schemas ───────────────────────────────────────────────────────────────────
+const WebhookUrl = z.string().trim().max(2000).url()
+    .refine(u => /^https?:$/.test(new URL(u).protocol), 'URL must be http or https');
+const EventList  = z.array(z.enum(webhooks.EVENTS)).min(1)
+    .transform(events => [...new Set(events)]);
+
+const CreateEndpointSchema = z.object({
+    url:         WebhookUrl,
+    events:      EventList,
+    description: z.string().trim().max(200).optional(),
+    is_active:   z.boolean().default(true),
+});
+const PatchEndpointSchema = z.object({
+    url:         WebhookUrl.optional(),
+    events:      EventList.optional(),
+    description: z.string().trim().max(200).nullable().optional(),
+    is_active:   z.boolean().optional(),
+});
+
+// The secret is shown once, when created or rotated
+const ENDPOINT_COLUMNS = `id, url, description, events, is_active, created_at, updated_at,
+                          'whsec_…' || right(secret, 4) AS secret_hint`;
+
+async function audit(client, req, action, recordId, values) {
+    await client.query(
+        `INSERT INTO audit_log (user_id, action, table_name, record_id, new_values, ip_address)
+         VALUES ($1,$2,'webhook_endpoints',$3,$4,$5)`,
+        [req.user?.userId || null, action, recordId, JSON.stringify(values), req.ip || null]
+    );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Events
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/webhooks/events
+router.get('/events', (_req, res) => {
+    res.json({ success: true, data: webhooks.EVENTS });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Delivery log
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/webhooks/deliveries?status=&event_type=&endpoint_id=
+router.get('/deliveries', async (req, res) => {
+    const { status, event_type, endpoint_id } = req.query;
+    try {
+        const { page, limit, offset } = parsePage(req.query);
+        const conds = []; const params = [];
+        if (status)      { params.push(status);      conds.push(`d.status = $${params.length}`); }
+        if (event_type)  { params.push(event_type);  conds.push(`ev.event_type = $${params.length}`); }
+        if (endpoint_id) { params.push(endpoint_id); conds.push(`d.endpoint_id = $${params.length}`); }
+        const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+
+        const { rows: [{ count }] } = await req.db.query(
+            `SELECT COUNT(*) FROM webhook_deliveries d
+             JOIN webhook_events ev ON ev.id = d.event_id ${where}`, params
+        );
+        const { rows } = await req.db.query(
+            `SELECT d.id, d.event_id, ev.event_type, d.endpoint_id, e.url, d.status, d.attempts,
+                    d.next_attempt_at, d.last_attempt_at, d.response_status, d.error,
+                    d.delivered_at, d.created_at
+             FROM   webhook_deliveries d
+             JOIN   webhook_events ev   ON ev.id = d.event_id
+             JOIN   webhook_endpoints e ON e.id  = d.endpoint_id
+             ${where}
+             ORDER  BY d.created_at DESC
+             LIMIT $${params.length+1} OFFSET $${params.length+2}`,
+            [...params, limit, offset]
+        );
+        res.json(paginate(rows, parseInt(count, 10), page, limit));
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// GET /api/webhooks/deliveries/:id — with the payload and the receiver's response
+router.get('/deliveries/:id', async (req, res) => {
+    try {
+        const { rows: [row] } = await req.db.query(
+            `SELECT d.*, ev.event_type, ev.payload, ev.created_at AS event_created_at, e.url
+             FROM   webhook_deliveries d
+             JOIN   webhook_events ev   ON ev.id = d.event_id
+             JOIN   webhook_endpoints e ON e.id  = d.endpoint_id
+             WHERE  d.id = $1`, [req.params.id]
+        );
+        if (!row) return res.status(404).json({ success: false, error: 'Delivery not found' });
+        res.json({ success: true, data: row });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/webhooks/deliveries/:id/retry
+// A pending delivery is brought forward; a finished one is sent again as a new
+// delivery of the same event, leaving the original in the log.
+router.post('/deliveries/:id/retry', async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [d] } = await client.query(
+            `SELECT * FROM webhook_deliveries WHERE id = $1 FOR UPDATE`, [req.params.id]
+        );
+        if (!d) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, error: 'Delivery not found' }); }
+
+        const { rows: [queued] } = d.status === 'pending'
+            ? await client.query(
+                `UPDATE webhook_deliveries SET next_attempt_at = NOW() WHERE id = $1 RETURNING *`, [d.id])
+            : await client.query(
+                `INSERT INTO webhook_deliveries (event_id, endpoint_id) VALUES ($1,$2) RETURNING *`,
+                [d.event_id, d.endpoint_id]);
+        await client.query('COMMIT');
+        res.status(202).json({ success: true, data: queued });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Endpoints
+// ─────────────────────────────────────────────────────────────────────────────
+
+// GET /api/webhooks — with each endpoint's delivery counts
+router.get('/', async (req, res) => {
+    try {
+        const { rows } = await req.db.query(
+            `SELECT ${ENDPOINT_COLUMNS},
+                    (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.endpoint_id = e.id AND d.status = 'pending')::INT AS pending,
+                    (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.endpoint_id = e.id AND d.status = 'failed')::INT  AS failed,
+                    (SELECT MAX(d.delivered_at) FROM webhook_deliveries d WHERE d.endpoint_id = e.id) AS last_delivered_at
+             FROM   webhook_endpoints e
+             ORDER  BY e.created_at`
+        );
+        res.json({ success: true, data: rows });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// GET /api/webhooks/:id
+router.get('/:id', async (req, res) => {
+    try {
+        const { rows: [row] } = await req.db.query(
+            `SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints WHERE id = $1`, [req.params.id]
+        );
+        if (!row) return res.status(404).json({ success: false, error: 'Webhook endpoint not found' });
+        res.json({ success: true, data: row });
+    } catch (err) { res.status(500).json({ success: false, error: err.message }); }
+});
+
+// POST /api/webhooks — the response carries the signing secret, the only time it is shown
+router.post('/', validate(CreateEndpointSchema), async (req, res) => {
+    const { url, events, description, is_active } = req.body;
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const secret = webhooks.newSecret();
+        const { rows: [row] } = await client.query(
+            `INSERT INTO webhook_endpoints (url, events, description, is_active, secret, created_by)
+             VALUES ($1,$2,$3,$4,$5,$6) RETURNING ${ENDPOINT_COLUMNS}`,
+            [url, events, description || null, is_active, secret, req.user?.userId || null]
+        );
+        await audit(client, req, 'webhook.created', row.id, { url, events, is_active });
+        await client.query('COMMIT');
+        res.status(201).json({ success: true, data: { ...row, secret } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// PATCH /api/webhooks/:id
+router.patch('/:id', validate(PatchEndpointSchema), async (req, res) => {
+    const fields = Object.keys(req.body);
+    if (!fields.length) return res.status(400).json({ success: false, error: 'Nothing to update' });
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const sets = fields.map((f, i) => `${f} = $${i + 2}`);
+        const { rows: [row] } = await client.query(
+            `UPDATE webhook_endpoints SET ${sets.join(', ')} WHERE id = $1 RETURNING ${ENDPOINT_COLUMNS}`,
+            [req.params.id, ...fields.map(f => req.body[f])]
+        );
+        if (!row) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, error: 'Webhook endpoint not found' }); }
+        await audit(client, req, 'webhook.updated', row.id, req.body);
+        await client.query('COMMIT');
+        res.json({ success: true, data: row });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// POST /api/webhooks/:id/rotate-secret — the old secret stops working immediately
+router.post('/:id/rotate-secret', async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const secret = webhooks.newSecret();
+        const { rows: [row] } = await client.query(
+            `UPDATE webhook_endpoints SET secret = $2 WHERE id = $1 RETURNING ${ENDPOINT_COLUMNS}`,
+            [req.params.id, secret]
+        );
+        if (!row) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, error: 'Webhook endpoint not found' }); }
+        await audit(client, req, 'webhook.secret_rotated', row.id, {});
+        await client.query('COMMIT');
+        res.json({ success: true, data: { ...row, secret } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// POST /api/webhooks/:id/test — queue a `ping` event to this endpoint alone
+router.post('/:id/test', async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [ep] } = await client.query(
+            `SELECT id, url FROM webhook_endpoints WHERE id = $1`, [req.params.id]
+        );
+        if (!ep) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, error: 'Webhook endpoint not found' }); }
+        const eventId = await webhooks.emit(client, webhooks.PING,
+            { endpoint_id: ep.id, url: ep.url, message: 'Test delivery from Tick Tock' },
+            { endpointId: ep.id });
+        const { rows: [delivery] } = await client.query(
+            `SELECT * FROM webhook_deliveries WHERE event_id = $1`, [eventId]
+        );
+        await client.query('COMMIT');
+        res.status(202).json({ success: true, data: delivery });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+// DELETE /api/webhooks/:id — drops its queued and logged deliveries with it
+router.delete('/:id', async (req, res) => {
+    const client = await req.db.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows: [row] } = await client.query(
+            `DELETE FROM webhook_endpoints WHERE id = $1 RETURNING id, url`, [req.params.id]
+        );
+        if (!row) { await client.query('ROLLBACK'); return res.status(404).json({ success: false, error: 'Webhook endpoint not found' }); }
+        await audit(client, req, 'webhook.deleted', row.id, { url: row.url });
+        await client.query('COMMIT');
+        res.json({ success: true, data: { id: row.id } });
+    } catch (err) {
+        await client.query('ROLLBACK');
+        res.status(500).json({ success: false, error: err.message });
+    } finally { client.release(); }
+});
+
+module.exports = router;
@@ -13,6 +13,8 @@ const SERVER_START = Date.now();
 
 // ─── Middleware ───────────────────────────────────────────────────────────────
 const { requireAuth }                   = require('./middleware/auth');
+const { tenantMiddleware }              = require('./middleware/tenant');
+const { requirePlatformAdmin }          = require('./middleware/roles');
 const { errorHandler, notFoundHandler } = require('./middleware/error');
 const { apiLimiter, writeLimiter }      = require('./middleware/rateLimiter');
 
@@ -21,6 +23,7 @@ const authRouter        = require('./routes/auth.routes');
 const itemsRouter       = require('./routes/items.routes');
 const stockRouter       = require('./routes/stock.routes');
 const adjustmentsRouter = require('./routes/adjustments.routes');
+const cycleCountsRouter = require('./routes/cycle-counts.routes');
 const salesRouter       = require('./routes/sales.routes');
 const purchasingRouter  = require('./routes/purchasing.routes');
 const pricingRouter     = require('./routes/pricing.routes');
@@ -33,6 +36,7 @@ const dashboardRouter   = require('./routes/dashboard.routes');
 const companiesRouter   = require('./modules/companies/companies.routes');
 const reportsRouter     = require('./routes/reports.routes');
 const transfersRouter   = require('./routes/transfers.routes');
+const assemblyRouter    = require('./routes/assembly.routes');
 const pickListsRouter   = require('./routes/picklists.routes');
 const shippingRouter    = require('./routes/shipping.routes');
 const glRouter          = require('./routes/gl.routes');
@@ -40,6 +44,14 @@ const demandRouter      = require('./routes/demand.routes');
 const crmRouter         = require('./routes/crm.routes');
 const adminRouter       = require('./routes/admin.routes');
 const analyticsRouter   = require('./routes/analytics.routes');
+const returnsRouter     = require('./routes/returns.routes');
+const serialsRouter     = require('./routes/serials.routes');
+const binsRouter        = require('./routes/bins.routes');
+const webhooksRouter    = require('./routes/webhooks.routes');
+const emailRouter       = require('./routes/email.routes');
+const dunningRouter     = require('./routes/dunning.routes');
+const bankRouter        = require('./routes/bank.routes');
+const fxRouter          = require('./routes/fx.routes');
 
 // ─── App setup ────────────────────────────────────────────────────────────────
 const app = express();
@@ -101,38 +113,66 @@ app.use('/api', (req, res, next) => {
     next();
 });
 
+// ─── Tenant gate — company membership + tenant-bound req.db ──────────────────
+// /api/companies sets tenant context per route (platform-admin and company
+// switcher routes have none); /api/backup dumps the whole database, so it is
+// platform-admin only rather than tenant-scoped.
+app.use('/api', (req, res, next) => {
+    if (req.path.startsWith('/auth/') || req.path === '/health'
+        || req.path.startsWith('/companies') || req.path.startsWith('/backup')) return next();
+    tenantMiddleware(req, res, next);
+});
+
 // ─── Protected API routes ────────────────────────────────────────────────────
 app.use('/api/companies',           companiesRouter);
 app.use('/api/items',               itemsRouter);
 app.use('/api',                     stockRouter);       // /api/warehouses + /api/stock/*
 app.use('/api/adjustments',         adjustmentsRouter);
+app.use('/api/cycle-counts',        cycleCountsRouter);
 app.use('/api',                     salesRouter);       // /api/customers /api/sales-orders /api/shipments /api/invoices /api/payments /api/ar-aging
-app.use('/api',                     purchasingRouter);  // /api/vendors /api/purchase-orders /api/receipts /api/vendor-invoices /api/vendor-payments /api/ap-aging /api/reorder-suggestions
+app.use('/api',                     purchasingRouter);  // /api/vendors /api/purchase-orders /api/receipts /api/landed-costs /api/vendor-invoices /api/vendor-payments /api/ap-aging /api/reorder-suggestions
+app.use('/api',                     returnsRouter);     // /api/returns /api/credit-memos
 app.use('/api/pricing',             pricingRouter);
 app.use('/api/tax',                 taxRouter);
-app.use('/api/backup',              backupRouter);
+app.use('/api/backup',              requirePlatformAdmin, backupRouter);
 app.use('/api/migration',           migrationRouter);
 app.use('/api/print',               printRouter);
 app.use('/api/financials',          financialsRouter);
 app.use('/api/dashboard',           dashboardRouter);
 app.use('/api/reports',             reportsRouter);
 app.use('/api/transfers',           transfersRouter);
+app.use('/api/assembly-orders',     assemblyRouter);
 app.use('/api/picklists',           pickListsRouter);
+app.use('/api/serials',             serialsRouter);
+app.use('/api/bins',                binsRouter);
 app.use('/api/shipping',            shippingRouter);
 app.use('/api/gl',                  glRouter);
 app.use('/api/demand',              demandRouter);
 app.use('/api/crm',                 crmRouter);
 app.use('/api/admin',               adminRouter);
 app.use('/api/analytics',           analyticsRouter);
+app.use('/api/webhooks',            webhooksRouter);
+app.use('/api/email',               emailRouter);
+app.use('/api/dunning',             dunningRouter);
+app.use('/api/bank',                bankRouter);
+app.use('/api/fx',                  fxRouter);
 
 // ─── Error handling ───────────────────────────────────────────────────────────
 app.use(errorHandler);
 app.use(notFoundHandler);
 
 // ─── Start ────────────────────────────────────────────────────────────────────
-app.listen(PORT, () => {
-    console.log(`\n  Tick Tock Inc. API`);
-    console.log(`  ─────────────────────────────`);
-    console.log(`  Listening on http://localhost:${PORT}`);
-    console.log(`  DB: ${process.env.DATABASE_URL}\n`);
-});
+// Only when run directly — tests require() the app and listen on their own port
+// (and run webhook deliveries and recurring entries themselves).
+if (require.main === module) {
+    require('./lib/webhooks').startDispatcher();
+    require('./lib/recurring-journals').startScheduler();
+    app.listen(PORT, () => {
+        console.log(`\n  Tick Tock Inc. API`);
+        console.log(`  ─────────────────────────────`);
+        console.log(`  Listening on http://localhost:${PORT}`);
+        console.log(`  DB: ${process.env.DATABASE_URL}\n`);
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,58 @@
+-- ============================================================
+-- Tick Tock Inc. — Automatic GL Posting
+-- 018_gl_posting.sql
+-- ============================================================
+
+-- ── GRNI clearing account ─────────────────────────────────────────────────────
+-- Receipts credit GRNI; the matching vendor invoice clears it into AP.
+INSERT INTO gl_accounts (account_number, name, type, sub_type, normal_balance, description) VALUES
+  ('2050', 'Goods Received Not Invoiced', 'liability', 'current_liability', 'credit',
+   'Clearing account — receipts awaiting vendor invoice')
+ON CONFLICT (account_number) DO NOTHING;
+
+-- ── Journal entry → source document link ─────────────────────────────────────
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS company_id  UUID REFERENCES companies(id) ON DELETE CASCADE;
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS source_type VARCHAR(30);   -- 'shipment', 'purchase_receipt', ...
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS source_id   UUID;
+
+CREATE INDEX IF NOT EXISTS idx_je_source ON journal_entries (source_type, source_id);
+
+-- ── Account mappings (per company) ───────────────────────────────────────────
+-- The posting engine never hard-codes account numbers; each posting rule asks
+-- for a mapping key and this table resolves it to a GL account.
+CREATE TABLE IF NOT EXISTS gl_account_mappings (
+    id          UUID         PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id  UUID         NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    mapping_key VARCHAR(40)  NOT NULL
+                    CHECK (mapping_key IN (
+                        'cash', 'accounts_receivable', 'inventory',
+                        'accounts_payable', 'grni', 'sales_tax_payable',
+                        'sales_revenue', 'cogs', 'inventory_adjustment', 'purchase_tax'
+                    )),
+    account_id  UUID         NOT NULL REFERENCES gl_accounts(id),
+    updated_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    UNIQUE (company_id, mapping_key)
+);
+
+CREATE TRIGGER trg_gl_account_mappings_updated_at
+    BEFORE UPDATE ON gl_account_mappings
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- ── Seed: default mappings for every existing company ────────────────────────
+INSERT INTO gl_account_mappings (company_id, mapping_key, account_id)
+SELECT c.id, m.mapping_key, a.id
+FROM   companies c
+CROSS JOIN (VALUES
+    ('cash',                 '1010'),
+    ('accounts_receivable',  '1100'),
+    ('inventory',            '1200'),
+    ('accounts_payable',     '2010'),
+    ('grni',                 '2050'),
+    ('sales_tax_payable',    '2200'),
+    ('sales_revenue',        '4010'),
+    ('cogs',                 '5010'),
+    ('inventory_adjustment', '5100'),
+    ('purchase_tax',         '5030')
+) AS m(mapping_key, account_number)
+JOIN   gl_accounts a ON a.account_number = m.account_number
+ON CONFLICT (company_id, mapping_key) DO NOTHING;
@@ -0,0 +1,143 @@
+-- ============================================================
+-- Tick Tock Inc. — Sales Returns (RMA) & Credit Memos
+-- 019_returns.sql
+-- ============================================================
+
+-- ── Return Authorizations ─────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS sales_returns (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    number          VARCHAR(30)   NOT NULL UNIQUE,
+    customer_id     UUID          NOT NULL REFERENCES parties(id),
+    sales_order_id  UUID          REFERENCES sales_orders(id),
+    shipment_id     UUID          NOT NULL REFERENCES shipments(id),
+    invoice_id      UUID          REFERENCES sales_invoices(id),
+    warehouse_id    UUID          NOT NULL REFERENCES warehouses(id),   -- where the goods come back to
+    status          VARCHAR(15)   NOT NULL DEFAULT 'authorized'
+                        CHECK (status IN ('authorized','received','credited','cancelled')),
+    authorized_date DATE          NOT NULL DEFAULT CURRENT_DATE,
+    received_date   DATE,
+    reason          TEXT          NOT NULL,
+    notes           TEXT,
+    created_by      UUID          REFERENCES users(id),
+    received_by     UUID          REFERENCES users(id),
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS sales_return_lines (
+    id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    return_id        UUID          NOT NULL REFERENCES sales_returns(id) ON DELETE CASCADE,
+    line_number      INTEGER       NOT NULL,
+    shipment_line_id UUID          NOT NULL REFERENCES shipment_lines(id),
+    item_id          UUID          NOT NULL REFERENCES items(id),
+    qty_authorized   NUMERIC(14,4) NOT NULL CHECK (qty_authorized > 0),
+    qty_received     NUMERIC(14,4) NOT NULL DEFAULT 0 CHECK (qty_received >= 0),
+    unit_price       NUMERIC(14,4) NOT NULL DEFAULT 0,   -- net of line discount, from the SO line
+    cost_per_unit    NUMERIC(14,4) NOT NULL DEFAULT 0,   -- cost at which the goods shipped
+    disposition      VARCHAR(15)
+                         CHECK (disposition IN ('restock','scrap','vendor_return')),
+    inspection_notes TEXT,
+    UNIQUE (return_id, line_number),
+    CHECK (qty_received <= qty_authorized)
+);
+
+CREATE INDEX IF NOT EXISTS idx_returns_customer ON sales_returns (customer_id);
+CREATE INDEX IF NOT EXISTS idx_returns_status   ON sales_returns (status);
+CREATE INDEX IF NOT EXISTS idx_returns_shipment ON sales_returns (shipment_id);
+CREATE INDEX IF NOT EXISTS idx_rl_return        ON sales_return_lines (return_id);
+CREATE INDEX IF NOT EXISTS idx_rl_shipment_line ON sales_return_lines (shipment_line_id);
+
+CREATE TRIGGER trg_sales_returns_updated_at
+    BEFORE UPDATE ON sales_returns
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- ── Credit Memos ──────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS credit_memos (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    number          VARCHAR(30)   NOT NULL UNIQUE,
+    customer_id     UUID          NOT NULL REFERENCES parties(id),
+    return_id       UUID          REFERENCES sales_returns(id),
+    invoice_id      UUID          REFERENCES sales_invoices(id),        -- invoice being credited
+    status          VARCHAR(20)   NOT NULL DEFAULT 'open'
+                        CHECK (status IN ('open','partially_applied','applied','void')),
+    memo_date       DATE          NOT NULL DEFAULT CURRENT_DATE,
+    subtotal        NUMERIC(18,4) NOT NULL DEFAULT 0,
+    tax_amount      NUMERIC(18,4) NOT NULL DEFAULT 0,
+    total           NUMERIC(18,4) NOT NULL DEFAULT 0,
+    amount_applied  NUMERIC(18,4) NOT NULL DEFAULT 0,
+    balance         NUMERIC(18,4) GENERATED ALWAYS AS
+                        (GREATEST(ROUND(total - amount_applied, 4), 0)) STORED,
+    reason          TEXT,
+    created_by      UUID          REFERENCES users(id),
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS credit_memo_applications (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    credit_memo_id  UUID          NOT NULL REFERENCES credit_memos(id) ON DELETE CASCADE,
+    invoice_id      UUID          NOT NULL REFERENCES sales_invoices(id),
+    amount_applied  NUMERIC(14,4) NOT NULL CHECK (amount_applied > 0),
+    applied_date    DATE          NOT NULL DEFAULT CURRENT_DATE,
+    created_by      UUID          REFERENCES users(id),
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_cm_customer ON credit_memos (customer_id);
+CREATE INDEX IF NOT EXISTS idx_cm_status   ON credit_memos (status);
+CREATE INDEX IF NOT EXISTS idx_cma_memo    ON credit_memo_applications (credit_memo_id);
+CREATE INDEX IF NOT EXISTS idx_cma_invoice ON credit_memo_applications (invoice_id);
+
+CREATE TRIGGER trg_credit_memos_updated_at
+    BEFORE UPDATE ON credit_memos
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- ── GL: sales returns contra-revenue account + mapping ───────────────────────
+INSERT INTO gl_accounts (account_number, name, type, sub_type, normal_balance, description) VALUES
+  ('4050', 'Sales Returns & Allowances', 'revenue', NULL, 'debit', 'Contra-revenue — customer returns and credits')
+ON CONFLICT (account_number) DO NOTHING;
+
+-- Mapping keys are validated by the posting engine (lib/gl-posting.js MAPPING_KEYS)
+ALTER TABLE gl_account_mappings DROP CONSTRAINT IF EXISTS gl_account_mappings_mapping_key_check;
+
+INSERT INTO gl_account_mappings (company_id, mapping_key, account_id)
+SELECT c.id, 'sales_returns', a.id
+FROM   companies c
+JOIN   gl_accounts a ON a.account_number = '4050'
+ON CONFLICT (company_id, mapping_key) DO NOTHING;
+
+-- ── AR Aging: surface unapplied credits ──────────────────────────────────────
+-- Applied credits already reduce invoice balance_due (via amount_paid).
+-- Columns are appended so existing consumers keep working.
+CREATE OR REPLACE VIEW v_ar_aging AS
+SELECT
+    p.id            AS customer_id,
+    p.code          AS customer_code,
+    p.name          AS customer_name,
+    COALESCE(SUM(si.balance_due) FILTER (
+        WHERE si.due_date >= CURRENT_DATE), 0)                              AS current_due,
+    COALESCE(SUM(si.balance_due) FILTER (
+        WHERE si.due_date < CURRENT_DATE
+          AND si.due_date >= CURRENT_DATE - INTERVAL '30 days'), 0)         AS days_1_30,
+    COALESCE(SUM(si.balance_due) FILTER (
+        WHERE si.due_date < CURRENT_DATE - INTERVAL '30 days'
+          AND si.due_date >= CURRENT_DATE - INTERVAL '60 days'), 0)         AS days_31_60,
+    COALESCE(SUM(si.balance_due) FILTER (
+        WHERE si.due_date < CURRENT_DATE - INTERVAL '60 days'
+          AND si.due_date >= CURRENT_DATE - INTERVAL '90 days'), 0)         AS days_61_90,
+    COALESCE(SUM(si.balance_due) FILTER (
+        WHERE si.due_date < CURRENT_DATE - INTERVAL '90 days'), 0)          AS days_90plus,
+    COALESCE(SUM(si.balance_due), 0)                                        AS total_due,
+    COALESCE((SELECT SUM(cm.balance) FROM credit_memos cm
+              WHERE cm.customer_id = p.id
+                AND cm.status IN ('open','partially_applied')), 0)          AS unapplied_credits,
+    COALESCE(SUM(si.balance_due), 0)
+      - COALESCE((SELECT SUM(cm.balance) FROM credit_memos cm
+                  WHERE cm.customer_id = p.id
+                    AND cm.status IN ('open','partially_applied')), 0)      AS net_due
+FROM parties p
+LEFT JOIN sales_invoices si ON si.customer_id = p.id
+    AND si.status NOT IN ('paid','void')
+    AND si.balance_due > 0
+WHERE p.type IN ('customer','both') AND p.is_active = true
+GROUP BY p.id, p.code, p.name;
@@ -0,0 +1,55 @@
+-- ============================================================
+-- Tick Tock Inc. — Serial Number Tracking
+-- 020_serial_numbers.sql
+-- ============================================================
+
+ALTER TABLE items ADD COLUMN IF NOT EXISTS is_serial_tracked BOOLEAN NOT NULL DEFAULT false;
+
+-- ── Serial Numbers ────────────────────────────────────────────────────────────
+-- One row per physical unit. warehouse_id is where the unit sits right now
+-- (NULL once it has left the building); customer_id is who it last shipped to.
+CREATE TABLE IF NOT EXISTS serial_numbers (
+    id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    item_id           UUID          NOT NULL REFERENCES items(id),
+    serial_number     VARCHAR(80)   NOT NULL,
+    status            VARCHAR(15)   NOT NULL DEFAULT 'in_stock'
+                          CHECK (status IN ('in_stock','picked','shipped','scrapped')),
+    warehouse_id      UUID          REFERENCES warehouses(id),
+    customer_id       UUID          REFERENCES parties(id),
+    pick_list_line_id UUID          REFERENCES pick_list_lines(id) ON DELETE SET NULL,
+    created_at        TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    updated_at        TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    UNIQUE (item_id, serial_number)
+);
+
+-- ── Serial History ────────────────────────────────────────────────────────────
+-- APPEND ONLY — the chain of custody for warranty and theft claims.
+CREATE TABLE IF NOT EXISTS serial_number_events (
+    id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    serial_id         UUID          NOT NULL REFERENCES serial_numbers(id) ON DELETE CASCADE,
+    event_type        VARCHAR(20)   NOT NULL
+                          CHECK (event_type IN ('registered','received','transferred','picked',
+                                                'unpicked','shipped','returned','scrapped')),
+    from_warehouse_id UUID          REFERENCES warehouses(id),
+    to_warehouse_id   UUID          REFERENCES warehouses(id),
+    party_id          UUID          REFERENCES parties(id),    -- vendor on receipt, customer on ship/return
+    reference_type    VARCHAR(30),                              -- 'purchase_receipt', 'stock_transfer', 'shipment', ...
+    reference_id      UUID,
+    reference_line_id UUID,
+    reference_number  VARCHAR(30),
+    event_date        DATE          NOT NULL DEFAULT CURRENT_DATE,
+    notes             TEXT,
+    created_by        UUID          REFERENCES users(id),
+    created_at        TIMESTAMPTZ   NOT NULL DEFAULT clock_timestamp()   -- orders events within one transaction
+);
+
+CREATE INDEX IF NOT EXISTS idx_serials_number    ON serial_numbers (serial_number);
+CREATE INDEX IF NOT EXISTS idx_serials_item      ON serial_numbers (item_id, status);
+CREATE INDEX IF NOT EXISTS idx_serials_warehouse ON serial_numbers (warehouse_id);
+CREATE INDEX IF NOT EXISTS idx_serials_pick_line ON serial_numbers (pick_list_line_id);
+CREATE INDEX IF NOT EXISTS idx_sne_serial        ON serial_number_events (serial_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_sne_reference     ON serial_number_events (reference_type, reference_id);
+
+CREATE TRIGGER trg_serial_numbers_updated_at
+    BEFORE UPDATE ON serial_numbers
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
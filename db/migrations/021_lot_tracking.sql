@@ -0,0 +1,78 @@
+-- ============================================================
+-- Tick Tock Inc. — Lot / Batch Tracking with Expiry
+-- 021_lot_tracking.sql
+-- ============================================================
+
+ALTER TABLE items ADD COLUMN IF NOT EXISTS is_lot_tracked  BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE items ADD COLUMN IF NOT EXISTS shelf_life_days INTEGER CHECK (shelf_life_days > 0);   -- default expiry on receipt
+
+-- ── Lot on every movement ─────────────────────────────────────────────────────
+-- NULL lot_number = untracked stock. A lot keeps one expiry date per item;
+-- the posting routes copy it onto every movement of that lot.
+ALTER TABLE stock_ledger            ADD COLUMN IF NOT EXISTS lot_number  VARCHAR(50);
+ALTER TABLE stock_ledger            ADD COLUMN IF NOT EXISTS expiry_date DATE;
+ALTER TABLE purchase_receipt_lines  ADD COLUMN IF NOT EXISTS lot_number  VARCHAR(50);
+ALTER TABLE purchase_receipt_lines  ADD COLUMN IF NOT EXISTS expiry_date DATE;
+ALTER TABLE stock_adjustment_lines  ADD COLUMN IF NOT EXISTS lot_number  VARCHAR(50);
+ALTER TABLE stock_adjustment_lines  ADD COLUMN IF NOT EXISTS expiry_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_ledger_lot    ON stock_ledger (item_id, warehouse_id, lot_number);
+CREATE INDEX IF NOT EXISTS idx_ledger_expiry ON stock_ledger (expiry_date) WHERE expiry_date IS NOT NULL;
+
+-- ── Availability by lot ───────────────────────────────────────────────────────
+-- Rows for an item/warehouse add up to its v_stock_availability row. Reservations
+-- are held per item, so committed qty is spread across lots in FEFO order
+-- (unexpired lots by expiry, then undated stock, expired lots last) — the order
+-- pick lists suggest.
+CREATE OR REPLACE VIEW v_stock_availability_by_lot AS
+WITH lots AS (
+    SELECT sl.company_id, sl.item_id, sl.warehouse_id, sl.lot_number,
+           MIN(sl.expiry_date)  AS expiry_date,
+           SUM(sl.qty)          AS qty_on_hand,
+           SUM(sl.total_cost)   AS total_cost
+    FROM   stock_ledger sl
+    GROUP  BY sl.company_id, sl.item_id, sl.warehouse_id, sl.lot_number
+    HAVING SUM(sl.qty) <> 0
+),
+res AS (
+    SELECT company_id, item_id, warehouse_id, SUM(qty_reserved) AS qty_reserved
+    FROM   stock_reservations
+    WHERE  status = 'active'
+    GROUP  BY company_id, item_id, warehouse_id
+),
+ordered AS (
+    SELECT l.*,
+           COALESCE(r.qty_reserved, 0) AS qty_reserved,
+           SUM(GREATEST(l.qty_on_hand, 0)) OVER (
+               PARTITION BY l.company_id, l.item_id, l.warehouse_id
+               ORDER BY COALESCE(l.expiry_date < CURRENT_DATE, false),
+                        l.expiry_date NULLS LAST, l.lot_number NULLS LAST
+               ROWS UNBOUNDED PRECEDING
+           ) AS running_qty
+    FROM   lots l
+    LEFT JOIN res r USING (company_id, item_id, warehouse_id)
+)
+SELECT
+    o.company_id,
+    o.item_id,
+    o.warehouse_id,
+    i.code                  AS item_code,
+    i.name                  AS item_name,
+    i.category,
+    i.unit_of_measure,
+    w.code                  AS warehouse_code,
+    w.name                  AS warehouse_name,
+    o.lot_number,
+    o.expiry_date,
+    (o.expiry_date - CURRENT_DATE)                                  AS days_to_expiry,
+    COALESCE(o.expiry_date < CURRENT_DATE, false)                   AS is_expired,
+    o.qty_on_hand,
+    LEAST(GREATEST(o.qty_on_hand, 0),
+          GREATEST(o.qty_reserved - (o.running_qty - GREATEST(o.qty_on_hand, 0)), 0)) AS qty_committed,
+    GREATEST(o.qty_on_hand
+             - LEAST(GREATEST(o.qty_on_hand, 0),
+                     GREATEST(o.qty_reserved - (o.running_qty - GREATEST(o.qty_on_hand, 0)), 0)), 0) AS qty_available,
+    o.total_cost
+FROM   ordered o
+JOIN   items      i ON i.id = o.item_id
+JOIN   warehouses w ON w.id = o.warehouse_id;
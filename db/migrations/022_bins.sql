@@ -0,0 +1,86 @@
+-- ============================================================
+-- Tick Tock Inc. — Bin Locations inside Warehouses
+-- 022_bins.sql
+-- ============================================================
+
+-- ── Bins ──────────────────────────────────────────────────────────────────────
+-- pick_sequence is the walking path: pickers visit bins in ascending order.
+CREATE TABLE IF NOT EXISTS bins (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    warehouse_id    UUID          NOT NULL REFERENCES warehouses(id),
+    code            VARCHAR(30)   NOT NULL,                 -- e.g. 'A-03-2'
+    zone            VARCHAR(20)   NOT NULL,
+    aisle           VARCHAR(20),
+    shelf           VARCHAR(20),
+    bin_type        VARCHAR(15)   NOT NULL DEFAULT 'storage'
+                        CHECK (bin_type IN ('storage','receiving','shipping','quarantine')),
+    pick_sequence   INTEGER       NOT NULL DEFAULT 0,
+    is_active       BOOLEAN       NOT NULL DEFAULT true,
+    notes           TEXT,
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    UNIQUE (warehouse_id, code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bins_path ON bins (warehouse_id, pick_sequence, zone, aisle, shelf);
+
+CREATE TRIGGER trg_bins_updated_at
+    BEFORE UPDATE ON bins
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- ── Bin on every movement ─────────────────────────────────────────────────────
+-- NULL bin_id = in the warehouse but not put away yet (dock, returns area).
+ALTER TABLE stock_ledger           ADD COLUMN IF NOT EXISTS bin_id UUID REFERENCES bins(id);
+ALTER TABLE purchase_receipt_lines ADD COLUMN IF NOT EXISTS bin_id UUID REFERENCES bins(id);
+ALTER TABLE stock_adjustment_lines ADD COLUMN IF NOT EXISTS bin_id UUID REFERENCES bins(id);
+ALTER TABLE pick_list_lines        ADD COLUMN IF NOT EXISTS bin_id UUID REFERENCES bins(id);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_bin ON stock_ledger (bin_id, item_id) WHERE bin_id IS NOT NULL;
+
+-- ── Bin-to-bin moves ──────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS bin_moves (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    warehouse_id    UUID          NOT NULL REFERENCES warehouses(id),
+    item_id         UUID          NOT NULL REFERENCES items(id),
+    from_bin_id     UUID          REFERENCES bins(id),       -- NULL = from unassigned stock (putaway)
+    to_bin_id       UUID          NOT NULL REFERENCES bins(id),
+    lot_number      VARCHAR(50),
+    qty             NUMERIC(14,4) NOT NULL CHECK (qty > 0),
+    notes           TEXT,
+    created_by      UUID          REFERENCES users(id),
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    CHECK (from_bin_id IS DISTINCT FROM to_bin_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bin_moves_wh   ON bin_moves (warehouse_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_bin_moves_item ON bin_moves (item_id);
+
+-- ── Bin-level on-hand ─────────────────────────────────────────────────────────
+-- Rows for an item/warehouse add up to its v_stock_on_hand quantity; the
+-- bin_id NULL row is stock not yet put away.
+CREATE OR REPLACE VIEW v_stock_by_bin AS
+SELECT
+    sl.company_id,
+    sl.item_id,
+    sl.warehouse_id,
+    sl.bin_id,
+    i.code              AS item_code,
+    i.name              AS item_name,
+    w.code              AS warehouse_code,
+    b.code              AS bin_code,
+    b.zone,
+    b.aisle,
+    b.shelf,
+    b.bin_type,
+    b.pick_sequence,
+    sl.lot_number,
+    MIN(sl.expiry_date) AS expiry_date,
+    SUM(sl.qty)         AS qty_on_hand,
+    SUM(sl.total_cost)  AS total_cost
+FROM  stock_ledger sl
+JOIN  items      i ON i.id = sl.item_id
+JOIN  warehouses w ON w.id = sl.warehouse_id
+LEFT JOIN bins   b ON b.id = sl.bin_id
+GROUP BY sl.company_id, sl.item_id, sl.warehouse_id, sl.bin_id, sl.lot_number,
+         i.code, i.name, w.code, b.code, b.zone, b.aisle, b.shelf, b.bin_type, b.pick_sequence
+HAVING SUM(sl.qty) <> 0;
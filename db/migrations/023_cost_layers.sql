@@ -0,0 +1,106 @@
+-- ============================================================
+-- Tick Tock Inc. — FIFO Cost Layers
+-- 023_cost_layers.sql
+-- ============================================================
+
+-- ── Cost Layers ───────────────────────────────────────────────────────────────
+-- One layer per costed arrival of a FIFO item in a warehouse (receipt, gain,
+-- return, transfer in). Outbound movements draw layers down oldest first; a
+-- transferred layer keeps its original layer_date so it keeps its FIFO place.
+-- Average-cost items carry no layers — their cost is items.standard_cost.
+CREATE TABLE IF NOT EXISTS cost_layers (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    item_id         UUID          NOT NULL REFERENCES items(id),
+    warehouse_id    UUID          NOT NULL REFERENCES warehouses(id),
+    lot_number      VARCHAR(50),
+    layer_date      DATE          NOT NULL,
+    source_type     VARCHAR(30)   NOT NULL,   -- 'purchase_receipt', 'stock_transfer', 'stock_adjustment', 'sales_return', 'opening'
+    source_id       UUID,
+    qty_in          NUMERIC(14,4) NOT NULL CHECK (qty_in > 0),
+    qty_remaining   NUMERIC(14,4) NOT NULL CHECK (qty_remaining >= 0 AND qty_remaining <= qty_in),
+    unit_cost       NUMERIC(14,4) NOT NULL CHECK (unit_cost >= 0),
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX IF NOT EXISTS idx_cost_layers_open
+    ON cost_layers (item_id, warehouse_id, layer_date, created_at) WHERE qty_remaining > 0;
+CREATE INDEX IF NOT EXISTS idx_cost_layers_source ON cost_layers (source_type, source_id);
+
+-- ── Layer Consumption ─────────────────────────────────────────────────────────
+-- APPEND ONLY — which layers each outbound movement drew from, at what cost.
+CREATE TABLE IF NOT EXISTS cost_layer_consumptions (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    layer_id        UUID          NOT NULL REFERENCES cost_layers(id),
+    consumer_type   VARCHAR(30)   NOT NULL,   -- 'shipment', 'stock_transfer', 'stock_adjustment', ...
+    consumer_id     UUID,
+    qty             NUMERIC(14,4) NOT NULL CHECK (qty > 0),
+    unit_cost       NUMERIC(14,4) NOT NULL,
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_layer_cons_layer    ON cost_layer_consumptions (layer_id);
+CREATE INDEX IF NOT EXISTS idx_layer_cons_consumer ON cost_layer_consumptions (consumer_type, consumer_id);
+
+-- ── Opening layers ────────────────────────────────────────────────────────────
+-- FIFO items already holding stock start with one layer per warehouse/lot at
+-- the ledger's average cost for that stock.
+INSERT INTO cost_layers
+    (item_id, warehouse_id, lot_number, layer_date, source_type, qty_in, qty_remaining, unit_cost)
+SELECT sl.item_id, sl.warehouse_id, sl.lot_number, CURRENT_DATE, 'opening',
+       SUM(sl.qty), SUM(sl.qty), ROUND(GREATEST(SUM(sl.total_cost), 0) / SUM(sl.qty), 4)
+FROM   stock_ledger sl
+JOIN   items i ON i.id = sl.item_id
+WHERE  i.cost_method = 'fifo'
+  AND  NOT EXISTS (SELECT 1 FROM cost_layers cl WHERE cl.item_id = sl.item_id)
+GROUP  BY sl.item_id, sl.warehouse_id, sl.lot_number
+HAVING SUM(sl.qty) > 0;
+
+-- ── Inventory valuation ───────────────────────────────────────────────────────
+-- FIFO items are valued from their open layers (any on-hand not covered by a
+-- layer at standard cost); average-cost items at qty × standard_cost.
+CREATE OR REPLACE VIEW v_inventory_valuation AS
+WITH on_hand AS (
+    SELECT company_id, item_id, warehouse_id, SUM(qty) AS qty_on_hand
+    FROM   stock_ledger
+    GROUP  BY company_id, item_id, warehouse_id
+    HAVING SUM(qty) <> 0
+),
+layers AS (
+    SELECT item_id, warehouse_id,
+           SUM(qty_remaining)             AS layer_qty,
+           SUM(qty_remaining * unit_cost) AS layer_value
+    FROM   cost_layers
+    WHERE  qty_remaining > 0
+    GROUP  BY item_id, warehouse_id
+),
+valued AS (
+    SELECT oh.*, i.cost_method, i.standard_cost,
+           COALESCE(l.layer_qty, 0) AS layer_qty,
+           CASE WHEN i.cost_method = 'fifo'
+                THEN COALESCE(l.layer_value, 0)
+                     + GREATEST(oh.qty_on_hand - COALESCE(l.layer_qty, 0), 0) * i.standard_cost
+                ELSE oh.qty_on_hand * i.standard_cost
+           END AS total_value
+    FROM   on_hand oh
+    JOIN   items i ON i.id = oh.item_id
+    LEFT JOIN layers l ON l.item_id = oh.item_id AND l.warehouse_id = oh.warehouse_id
+)
+SELECT
+    v.company_id,
+    v.item_id,
+    v.warehouse_id,
+    i.code              AS item_code,
+    i.name              AS item_name,
+    i.category,
+    i.unit_of_measure,
+    v.cost_method,
+    v.standard_cost,
+    w.code              AS warehouse_code,
+    w.name              AS warehouse_name,
+    v.qty_on_hand,
+    v.layer_qty,
+    ROUND(v.total_value, 4)                                  AS total_value,
+    ROUND(v.total_value / NULLIF(v.qty_on_hand, 0), 4)      AS unit_cost
+FROM   valued v
+JOIN   items      i ON i.id = v.item_id
+JOIN   warehouses w ON w.id = v.warehouse_id;
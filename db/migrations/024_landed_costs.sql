@@ -0,0 +1,88 @@
+-- ============================================================
+-- Tick Tock Inc. — Landed Costs on Purchase Receipts
+-- 024_landed_costs.sql
+-- ============================================================
+
+-- ── Landed cost documents ─────────────────────────────────────────────────────
+-- Freight, duty, brokerage etc. billed separately from the goods. A document
+-- attaches to one or more posted receipts and, when posted, spreads its charges
+-- over their lines and revalues the stock received.
+CREATE TABLE IF NOT EXISTS landed_costs (
+    id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    number              VARCHAR(30)   NOT NULL UNIQUE,
+    vendor_id           UUID          REFERENCES parties(id),   -- forwarder / broker billing the charges
+    vendor_ref          VARCHAR(60),
+    doc_date            DATE          NOT NULL DEFAULT CURRENT_DATE,
+    allocation_method   VARCHAR(10)   NOT NULL DEFAULT 'value'
+                            CHECK (allocation_method IN ('value','quantity','weight')),
+    status              VARCHAR(10)   NOT NULL DEFAULT 'draft'
+                            CHECK (status IN ('draft','posted','cancelled')),
+    total_amount        NUMERIC(14,4) NOT NULL DEFAULT 0,
+    notes               TEXT,
+    created_by          UUID          REFERENCES users(id),
+    posted_at           TIMESTAMPTZ,
+    created_at          TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    updated_at          TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS landed_cost_charges (
+    id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    landed_cost_id      UUID          NOT NULL REFERENCES landed_costs(id) ON DELETE CASCADE,
+    charge_type         VARCHAR(15)   NOT NULL
+                            CHECK (charge_type IN ('freight','duty','brokerage','insurance','other')),
+    description         TEXT,
+    amount              NUMERIC(14,4) NOT NULL CHECK (amount > 0)
+);
+
+CREATE TABLE IF NOT EXISTS landed_cost_receipts (
+    landed_cost_id      UUID          NOT NULL REFERENCES landed_costs(id) ON DELETE CASCADE,
+    receipt_id          UUID          NOT NULL REFERENCES purchase_receipts(id),
+    PRIMARY KEY (landed_cost_id, receipt_id)
+);
+
+-- One row per receipt line when the document is posted. capitalized_amount went
+-- into the value of stock still on hand; expensed_amount is the share belonging
+-- to units already sold or consumed, charged straight to COGS.
+CREATE TABLE IF NOT EXISTS landed_cost_allocations (
+    id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    landed_cost_id      UUID          NOT NULL REFERENCES landed_costs(id) ON DELETE CASCADE,
+    receipt_id          UUID          NOT NULL REFERENCES purchase_receipts(id),
+    receipt_line_id     UUID          NOT NULL REFERENCES purchase_receipt_lines(id),
+    item_id             UUID          NOT NULL REFERENCES items(id),
+    qty                 NUMERIC(14,4) NOT NULL,
+    basis               NUMERIC(18,4) NOT NULL,   -- value, qty or weight the split was based on
+    allocated_amount    NUMERIC(14,4) NOT NULL,
+    cost_per_unit       NUMERIC(14,4) NOT NULL,
+    capitalized_amount  NUMERIC(14,4) NOT NULL DEFAULT 0,
+    expensed_amount     NUMERIC(14,4) NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_lc_status       ON landed_costs (status);
+CREATE INDEX IF NOT EXISTS idx_lc_receipts_rcv ON landed_cost_receipts (receipt_id);
+CREATE INDEX IF NOT EXISTS idx_lc_alloc_line   ON landed_cost_allocations (receipt_line_id);
+
+CREATE TRIGGER trg_landed_costs_updated_at
+    BEFORE UPDATE ON landed_costs
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- Running landed cost per unit on the receipt line (sum of posted allocations)
+ALTER TABLE purchase_receipt_lines ADD COLUMN IF NOT EXISTS landed_cost_per_unit NUMERIC(14,4) NOT NULL DEFAULT 0;
+
+-- ── Layer lineage ─────────────────────────────────────────────────────────────
+-- A layer carried to another warehouse by a transfer points back at the layer
+-- it came from, so a receipt's stock can still be found (and revalued) after it moves.
+ALTER TABLE cost_layers ADD COLUMN IF NOT EXISTS origin_layer_id UUID REFERENCES cost_layers(id);
+CREATE INDEX IF NOT EXISTS idx_cost_layers_origin ON cost_layers (origin_layer_id) WHERE origin_layer_id IS NOT NULL;
+
+-- ── GL: landed cost accrual ───────────────────────────────────────────────────
+-- Posting a landed cost credits this account; the forwarder's / broker's bill clears it.
+INSERT INTO gl_accounts (account_number, name, type, sub_type, normal_balance, description) VALUES
+  ('2060', 'Landed Costs Accrued', 'liability', 'current_liability', 'credit',
+   'Clearing account — freight, duty and brokerage capitalized into inventory, awaiting the bill')
+ON CONFLICT (account_number) DO NOTHING;
+
+INSERT INTO gl_account_mappings (company_id, mapping_key, account_id)
+SELECT c.id, 'landed_cost_accrual', a.id
+FROM   companies c
+JOIN   gl_accounts a ON a.account_number = '2060'
+ON CONFLICT (company_id, mapping_key) DO NOTHING;
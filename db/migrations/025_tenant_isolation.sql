@@ -0,0 +1,308 @@
+-- ============================================================
+-- Tick Tock Inc. — Tenant isolation for every tenant-scoped table
+-- 025_tenant_isolation.sql
+--
+-- 007 put company_id + RLS on the tables that existed then. Everything added
+-- since (transfers, pick lists, GL, CRM, returns, serials, bins, cost layers,
+-- landed costs, …) had neither, and the 007 tables had no default for
+-- company_id, so inserts had to name it. This migration:
+--   1. adds company_id to the newer tables, backfilled from their parent row
+--   2. defaults company_id to current_company_id() everywhere, so code running
+--      under withTenant() gets the tenant stamped on insert
+--   3. enables the same two RLS policies 007 uses on all of them
+--   4. makes document numbers and codes unique per company instead of
+--      globally — under RLS each tenant's numbering only sees its own rows,
+--      so a global UNIQUE (number) turns into cross-tenant collisions
+--   5. turns foreign keys between tenant tables into (company_id, id) pairs, so
+--      a row can only point at rows of its own company — FK checks do not go
+--      through RLS, so without this an order could name another tenant's
+--      customer or item
+--   6. makes views run as the caller (security_invoker) so RLS applies through
+--      them — by default a view reads its tables as the view owner, which
+--      bypasses RLS entirely. Views created after this point must be declared
+--      WITH (security_invoker = true).
+--
+-- Shared, non-tenant tables stay as they are: companies, company_users,
+-- company_settings (tenancy control layer), users, gl_accounts (chart of
+-- accounts), shipping_carriers, state_tax_rates, backup_log.
+-- ============================================================
+
+-- ───────────────────────────────────────────────────────────────────────
+-- 1. ADD company_id TO TENANT TABLES CREATED AFTER 007
+-- ───────────────────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  tbl  TEXT;
+  tbls TEXT[] := ARRAY[
+    'stock_transfers', 'stock_transfer_lines',
+    'pick_lists', 'pick_list_lines', 'backorders',
+    'shipping_rate_quotes',
+    'journal_entry_lines',
+    'replenishment_suggestions',
+    'customer_interactions', 'opportunities', 'opportunity_activities',
+    'customer_price_lists', 'price_list_items',
+    'payment_applications', 'payment_disbursements',
+    'sales_returns', 'sales_return_lines', 'credit_memos', 'credit_memo_applications',
+    'serial_numbers', 'serial_number_events',
+    'bins', 'bin_moves',
+    'cost_layers', 'cost_layer_consumptions',
+    'landed_costs', 'landed_cost_charges', 'landed_cost_receipts', 'landed_cost_allocations'
+  ];
+BEGIN
+  FOREACH tbl IN ARRAY tbls LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = tbl
+    ) THEN
+      RAISE NOTICE 'Table % does not exist — skipping', tbl;
+      CONTINUE;
+    END IF;
+
+    EXECUTE format(
+      'ALTER TABLE %I ADD COLUMN IF NOT EXISTS company_id UUID
+       REFERENCES companies(id) ON DELETE CASCADE',
+      tbl
+    );
+  END LOOP;
+END $$;
+
+-- ───────────────────────────────────────────────────────────────────────
+-- 2. BACKFILL FROM THE PARENT ROW
+--    child : fk column : parent — parents listed before their children.
+--    Anything still unset afterwards (orphans, empty parents) falls back to
+--    the default company, as 007 did.
+-- ───────────────────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  default_co UUID := '00000000-0000-0000-0000-000000000001';
+  spec  TEXT;
+  part  TEXT[];
+  specs TEXT[] := ARRAY[
+    'stock_transfers:from_warehouse_id:warehouses',
+    'stock_transfer_lines:transfer_id:stock_transfers',
+    'pick_lists:warehouse_id:warehouses',
+    'pick_list_lines:pick_list_id:pick_lists',
+    'backorders:sales_order_id:sales_orders',
+    'shipping_rate_quotes:shipment_id:shipments',
+    'journal_entry_lines:journal_entry_id:journal_entries',
+    'replenishment_suggestions:item_id:items',
+    'customer_interactions:customer_id:parties',
+    'opportunities:customer_id:parties',
+    'opportunity_activities:opportunity_id:opportunities',
+    'customer_price_lists:customer_id:parties',
+    'price_list_items:price_list_id:price_lists',
+    'payment_applications:payment_id:payments_received',
+    'payment_disbursements:payment_id:payments_made',
+    'sales_returns:customer_id:parties',
+    'sales_return_lines:return_id:sales_returns',
+    'credit_memos:customer_id:parties',
+    'credit_memo_applications:credit_memo_id:credit_memos',
+    'serial_numbers:item_id:items',
+    'serial_number_events:serial_id:serial_numbers',
+    'bins:warehouse_id:warehouses',
+    'bin_moves:item_id:items',
+    'cost_layers:item_id:items',
+    'cost_layer_consumptions:layer_id:cost_layers',
+    'landed_cost_receipts:receipt_id:purchase_receipts',
+    'landed_cost_allocations:receipt_id:purchase_receipts'
+  ];
+BEGIN
+  -- journal_entries has carried a nullable company_id since 014
+  UPDATE journal_entries SET company_id = default_co WHERE company_id IS NULL;
+
+  FOREACH spec IN ARRAY specs LOOP
+    part := string_to_array(spec, ':');
+    EXECUTE format(
+      'UPDATE %1$I c SET company_id = p.company_id
+       FROM   %3$I p
+       WHERE  p.id = c.%2$I AND c.company_id IS NULL',
+      part[1], part[2], part[3]
+    );
+  END LOOP;
+
+  -- Landed cost documents take the company of the receipts they cover
+  UPDATE landed_costs lc SET company_id = lcr.company_id
+  FROM   landed_cost_receipts lcr
+  WHERE  lcr.landed_cost_id = lc.id AND lc.company_id IS NULL;
+  UPDATE landed_cost_charges ch SET company_id = lc.company_id
+  FROM   landed_costs lc
+  WHERE  lc.id = ch.landed_cost_id AND ch.company_id IS NULL;
+
+  FOREACH spec IN ARRAY specs || ARRAY['landed_costs::', 'landed_cost_charges::'] LOOP
+    part := string_to_array(spec, ':');
+    EXECUTE format('UPDATE %I SET company_id = $1 WHERE company_id IS NULL', part[1])
+      USING default_co;
+  END LOOP;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_transfers_company        ON stock_transfers(company_id, status);
+CREATE INDEX IF NOT EXISTS idx_pick_lists_company       ON pick_lists(company_id, status);
+CREATE INDEX IF NOT EXISTS idx_backorders_company       ON backorders(company_id);
+CREATE INDEX IF NOT EXISTS idx_journal_entries_company  ON journal_entries(company_id, entry_date DESC);
+CREATE INDEX IF NOT EXISTS idx_je_lines_company         ON journal_entry_lines(company_id);
+CREATE INDEX IF NOT EXISTS idx_replenishment_company    ON replenishment_suggestions(company_id);
+CREATE INDEX IF NOT EXISTS idx_interactions_company     ON customer_interactions(company_id);
+CREATE INDEX IF NOT EXISTS idx_opportunities_company    ON opportunities(company_id);
+CREATE INDEX IF NOT EXISTS idx_sales_returns_company    ON sales_returns(company_id, status);
+CREATE INDEX IF NOT EXISTS idx_credit_memos_company     ON credit_memos(company_id, status);
+CREATE INDEX IF NOT EXISTS idx_serial_numbers_company   ON serial_numbers(company_id);
+CREATE INDEX IF NOT EXISTS idx_bins_company             ON bins(company_id);
+CREATE INDEX IF NOT EXISTS idx_cost_layers_company      ON cost_layers(company_id);
+CREATE INDEX IF NOT EXISTS idx_landed_costs_company     ON landed_costs(company_id, status);
+
+-- ───────────────────────────────────────────────────────────────────────
+-- 3. NOT NULL + DEFAULT current_company_id() ON EVERY TENANT TABLE
+-- 4. ROW LEVEL SECURITY — same two policies as 007
+-- ───────────────────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  tbl  TEXT;
+  tbls TEXT[] := ARRAY[
+    -- from 007
+    'items', 'warehouses', 'parties', 'price_lists',
+    'customer_item_price_locks', 'price_change_log',
+    'sales_orders', 'sales_order_lines', 'shipments', 'shipment_lines',
+    'sales_invoices', 'payments_received',
+    'purchase_orders', 'purchase_order_lines',
+    'purchase_receipts', 'purchase_receipt_lines',
+    'vendor_invoices', 'payments_made',
+    'stock_ledger', 'stock_reservations',
+    'stock_adjustments', 'stock_adjustment_lines',
+    'audit_log',
+    -- already carried company_id, never had RLS
+    'journal_entries', 'gl_account_mappings',
+    -- from step 1
+    'stock_transfers', 'stock_transfer_lines',
+    'pick_lists', 'pick_list_lines', 'backorders',
+    'shipping_rate_quotes',
+    'journal_entry_lines',
+    'replenishment_suggestions',
+    'customer_interactions', 'opportunities', 'opportunity_activities',
+    'customer_price_lists', 'price_list_items',
+    'payment_applications', 'payment_disbursements',
+    'sales_returns', 'sales_return_lines', 'credit_memos', 'credit_memo_applications',
+    'serial_numbers', 'serial_number_events',
+    'bins', 'bin_moves',
+    'cost_layers', 'cost_layer_consumptions',
+    'landed_costs', 'landed_cost_charges', 'landed_cost_receipts', 'landed_cost_allocations'
+  ];
+BEGIN
+  FOREACH tbl IN ARRAY tbls LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = tbl
+    ) THEN CONTINUE; END IF;
+
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN company_id SET NOT NULL', tbl);
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN company_id SET DEFAULT current_company_id()', tbl);
+
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tbl);
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+       TO erp_app
+       USING (company_id = current_company_id())',
+      tbl
+    );
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation_insert ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation_insert ON %I
+       AS PERMISSIVE FOR INSERT
+       TO erp_app
+       WITH CHECK (company_id = current_company_id())',
+      tbl
+    );
+  END LOOP;
+END $$;
+
+-- ───────────────────────────────────────────────────────────────────────
+-- 5. NUMBERS AND CODES UNIQUE PER COMPANY
+--    UNIQUE (number) / (code) / (upc_code) → UNIQUE (company_id, …)
+-- ───────────────────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  r   RECORD;
+BEGIN
+  FOR r IN
+    SELECT c.conrelid::regclass::text AS tbl, c.conname, a.attname AS col
+    FROM   pg_constraint c
+    JOIN   pg_attribute  a ON a.attrelid = c.conrelid AND a.attnum = c.conkey[1]
+    WHERE  c.contype = 'u'
+      AND  c.connamespace = 'public'::regnamespace
+      AND  array_length(c.conkey, 1) = 1
+      AND  a.attname IN ('number', 'code', 'upc_code')
+      AND  EXISTS (SELECT 1 FROM information_schema.columns col
+                   WHERE col.table_schema = 'public' AND col.table_name = c.conrelid::regclass::text
+                     AND col.column_name = 'company_id')
+  LOOP
+    EXECUTE format('ALTER TABLE %I DROP CONSTRAINT %I', r.tbl, r.conname);
+    EXECUTE format('ALTER TABLE %I ADD CONSTRAINT %I UNIQUE (company_id, %I)',
+                   r.tbl, r.tbl || '_company_' || r.col || '_key', r.col);
+  END LOOP;
+END $$;
+
+-- ───────────────────────────────────────────────────────────────────────
+-- 6. SAME-COMPANY FOREIGN KEYS
+--    child.x_id → parent(id) becomes (company_id, x_id) → parent(company_id, id)
+--    for every FK between two tenant tables. NOT VALID: enforced for new and
+--    updated rows without re-checking history.
+-- ───────────────────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  r        RECORD;
+  on_del   TEXT;
+BEGIN
+  FOR r IN
+    SELECT c.conname,
+           c.conrelid::regclass::text  AS child,
+           c.confrelid::regclass::text AS parent,
+           a.attname                   AS col,
+           c.confdeltype
+    FROM   pg_constraint c
+    JOIN   pg_attribute a  ON a.attrelid  = c.conrelid  AND a.attnum  = c.conkey[1]
+    JOIN   pg_attribute pa ON pa.attrelid = c.confrelid AND pa.attnum = c.confkey[1]
+    WHERE  c.contype = 'f'
+      AND  c.connamespace = 'public'::regnamespace
+      AND  array_length(c.conkey, 1) = 1
+      AND  pa.attname = 'id'
+      AND  a.attname <> 'company_id'
+      AND  EXISTS (SELECT 1 FROM pg_attribute x WHERE x.attrelid = c.conrelid  AND x.attname = 'company_id' AND NOT x.attisdropped)
+      AND  EXISTS (SELECT 1 FROM pg_attribute x WHERE x.attrelid = c.confrelid AND x.attname = 'company_id' AND NOT x.attisdropped)
+  LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_constraint
+      WHERE conrelid = r.parent::regclass AND conname = r.parent || '_company_id_id_key'
+    ) THEN
+      EXECUTE format('ALTER TABLE %I ADD CONSTRAINT %I UNIQUE (company_id, id)',
+                     r.parent, r.parent || '_company_id_id_key');
+    END IF;
+
+    on_del := CASE r.confdeltype
+                WHEN 'c' THEN 'ON DELETE CASCADE'
+                WHEN 'n' THEN format('ON DELETE SET NULL (%I)', r.col)
+                WHEN 'r' THEN 'ON DELETE RESTRICT'
+                ELSE ''
+              END;
+
+    EXECUTE format('ALTER TABLE %I DROP CONSTRAINT %I', r.child, r.conname);
+    EXECUTE format(
+      'ALTER TABLE %I ADD CONSTRAINT %I FOREIGN KEY (company_id, %I)
+       REFERENCES %I (company_id, id) %s NOT VALID',
+      r.child, r.conname, r.col, r.parent, on_del
+    );
+  END LOOP;
+END $$;
+
+-- ───────────────────────────────────────────────────────────────────────
+-- 7. VIEWS RUN AS THE CALLER (PostgreSQL 15+)
+-- ───────────────────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  v TEXT;
+BEGIN
+  FOR v IN SELECT viewname FROM pg_views WHERE schemaname = 'public' LOOP
+    EXECUTE format('ALTER VIEW %I SET (security_invoker = true)', v);
+  END LOOP;
+END $$;
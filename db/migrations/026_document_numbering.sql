@@ -0,0 +1,145 @@
+-- ============================================================
+-- Tick Tock Inc. — Per-tenant document numbering
+-- 026_document_numbering.sql
+--
+-- Every module used to number its documents by reading the highest existing
+-- number and adding one, which hands the same number to two concurrent
+-- requests. Numbers now come from one counter row per company and document
+-- type (lib/numbering.js), locked and advanced inside the transaction that
+-- creates the document:
+--   document_types      shared catalogue — default prefix / format / reset per type,
+--                       and whether accounting requires the series to be gap-free
+--   document_sequences  per company — its own prefix / format and the counter
+--
+-- Format tokens: {PREFIX} {YYYY} {YY} {MM} {DD} {SEQ}  ({SEQ} zero-padded to `padding`)
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS document_types (
+    doc_type        VARCHAR(30)   PRIMARY KEY,
+    name            VARCHAR(60)   NOT NULL,
+    prefix          VARCHAR(10)   NOT NULL,
+    format          VARCHAR(40)   NOT NULL DEFAULT '{PREFIX}-{YYYY}-{SEQ}',
+    padding         SMALLINT      NOT NULL DEFAULT 5 CHECK (padding BETWEEN 1 AND 10),
+    reset_period    VARCHAR(10)   NOT NULL DEFAULT 'yearly'
+                        CHECK (reset_period IN ('never','yearly','monthly','daily')),
+    gap_free        BOOLEAN       NOT NULL DEFAULT false   -- legal / audit series: no skipped numbers
+);
+
+-- Defaults reproduce the numbers each module generated before
+INSERT INTO document_types (doc_type, name, prefix, format, padding, reset_period, gap_free) VALUES
+  ('sales_order',      'Sales Order',        'SO',   '{PREFIX}-{YYYY}-{SEQ}',         5, 'yearly', false),
+  ('shipment',         'Shipment',           'SHP',  '{PREFIX}-{YYYY}-{SEQ}',         5, 'yearly', false),
+  ('sales_invoice',    'Sales Invoice',      'INV',  '{PREFIX}-{YYYY}-{SEQ}',         5, 'yearly', true),
+  ('sales_return',     'Return (RMA)',       'RMA',  '{PREFIX}-{YYYY}-{SEQ}',         5, 'yearly', false),
+  ('credit_memo',      'Credit Memo',        'CM',   '{PREFIX}-{YYYY}-{SEQ}',         5, 'yearly', true),
+  ('purchase_order',   'Purchase Order',     'PO',   '{PREFIX}-{YYYY}-{SEQ}',         5, 'yearly', false),
+  ('purchase_receipt', 'Purchase Receipt',   'RCV',  '{PREFIX}-{YYYY}-{SEQ}',         5, 'yearly', false),
+  ('vendor_invoice',   'Vendor Invoice',     'VINV', '{PREFIX}-{YYYY}-{SEQ}',         5, 'yearly', true),
+  ('landed_cost',      'Landed Cost',        'LC',   '{PREFIX}-{YYYY}-{SEQ}',         5, 'yearly', false),
+  ('stock_adjustment', 'Stock Adjustment',   'ADJ',  '{PREFIX}-{YYYY}{MM}{DD}-{SEQ}', 3, 'daily',  false),
+  ('stock_transfer',   'Stock Transfer',     'TRF',  '{PREFIX}-{YYYY}-{SEQ}',         5, 'yearly', false),
+  ('pick_list',        'Pick List',          'PL',   '{PREFIX}-{YYYY}-{SEQ}',         5, 'yearly', false),
+  ('opportunity',      'Opportunity',        'OPP',  '{PREFIX}-{YYYY}-{SEQ}',         4, 'yearly', false),
+  ('journal_entry',    'Journal Entry',      'JE',   '{PREFIX}-{SEQ}',                5, 'never',  true)
+ON CONFLICT (doc_type) DO NOTHING;
+
+-- period_key is the period the counter belongs to ('' / YYYY / YYYYMM / YYYYMMDD
+-- by reset_period); drawing a number in a new period restarts next_value at 1.
+CREATE TABLE IF NOT EXISTS document_sequences (
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    doc_type        VARCHAR(30)   NOT NULL REFERENCES document_types(doc_type),
+    prefix          VARCHAR(10)   NOT NULL,
+    format          VARCHAR(40)   NOT NULL,
+    padding         SMALLINT      NOT NULL CHECK (padding BETWEEN 1 AND 10),
+    reset_period    VARCHAR(10)   NOT NULL
+                        CHECK (reset_period IN ('never','yearly','monthly','daily')),
+    period_key      VARCHAR(8)    NOT NULL DEFAULT '',
+    next_value      BIGINT        NOT NULL DEFAULT 1 CHECK (next_value > 0),
+    updated_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (company_id, doc_type)
+);
+
+CREATE TRIGGER trg_document_sequences_updated_at
+    BEFORE UPDATE ON document_sequences
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+ALTER TABLE document_sequences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON document_sequences;
+CREATE POLICY tenant_isolation ON document_sequences
+  TO erp_app
+  USING (company_id = current_company_id());
+
+DROP POLICY IF EXISTS tenant_isolation_insert ON document_sequences;
+CREATE POLICY tenant_isolation_insert ON document_sequences
+  AS PERMISSIVE FOR INSERT
+  TO erp_app
+  WITH CHECK (company_id = current_company_id());
+
+-- ── Seed every company's counters from the numbers already issued ─────────────
+-- The counter continues after the highest number of the current period in the
+-- default format, so the first number drawn does not collide with history.
+DO $$
+DECLARE
+  spec    TEXT;
+  dtype   TEXT;
+  tbl     TEXT;
+  t       document_types%ROWTYPE;
+  pkey    TEXT;
+  head    TEXT;
+  specs   TEXT[] := ARRAY[
+    'sales_order:sales_orders',          'shipment:shipments',
+    'sales_invoice:sales_invoices',      'sales_return:sales_returns',
+    'credit_memo:credit_memos',          'purchase_order:purchase_orders',
+    'purchase_receipt:purchase_receipts', 'vendor_invoice:vendor_invoices',
+    'landed_cost:landed_costs',          'stock_adjustment:stock_adjustments',
+    'stock_transfer:stock_transfers',    'pick_list:pick_lists',
+    'opportunity:opportunities',         'journal_entry:journal_entries'
+  ];
+BEGIN
+  FOREACH spec IN ARRAY specs LOOP
+    dtype := split_part(spec, ':', 1);
+    tbl   := split_part(spec, ':', 2);
+    SELECT * INTO t FROM document_types WHERE doc_type = dtype;
+
+    pkey := CASE t.reset_period
+              WHEN 'yearly'  THEN to_char(CURRENT_DATE, 'YYYY')
+              WHEN 'monthly' THEN to_char(CURRENT_DATE, 'YYYYMM')
+              WHEN 'daily'   THEN to_char(CURRENT_DATE, 'YYYYMMDD')
+              ELSE '' END;
+    -- Everything in front of {SEQ}, rendered for today
+    head := split_part(t.format, '{SEQ}', 1);
+    head := replace(head, '{PREFIX}', t.prefix);
+    head := replace(head, '{YYYY}', to_char(CURRENT_DATE, 'YYYY'));
+    head := replace(head, '{YY}',   to_char(CURRENT_DATE, 'YY'));
+    head := replace(head, '{MM}',   to_char(CURRENT_DATE, 'MM'));
+    head := replace(head, '{DD}',   to_char(CURRENT_DATE, 'DD'));
+
+    IF NOT EXISTS (
+      SELECT 1 FROM information_schema.tables
+      WHERE table_schema = 'public' AND table_name = tbl
+    ) THEN CONTINUE; END IF;
+
+    EXECUTE format(
+      'INSERT INTO document_sequences
+          (company_id, doc_type, prefix, format, padding, reset_period, period_key, next_value)
+       SELECT c.id, $1, $2, $3, $4, $5, $6,
+              COALESCE((SELECT MAX(substr(d.number, length($7) + 1)::BIGINT)
+                        FROM   %I d
+                        WHERE  d.company_id = c.id
+                          AND  left(d.number, length($7)) = $7
+                          AND  substr(d.number, length($7) + 1) ~ ''^[0-9]{1,18}$''), 0) + 1
+       FROM   companies c
+       ON CONFLICT (company_id, doc_type) DO NOTHING',
+      tbl
+    ) USING dtype, t.prefix, t.format, t.padding, t.reset_period, pkey, head;
+  END LOOP;
+END $$;
+
+-- The per-company counters 007 kept in company_settings were never wired up
+ALTER TABLE company_settings
+  DROP COLUMN IF EXISTS next_so_number,
+  DROP COLUMN IF EXISTS next_po_number,
+  DROP COLUMN IF EXISTS next_invoice_number,
+  DROP COLUMN IF EXISTS next_adj_number;
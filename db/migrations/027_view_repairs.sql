@@ -0,0 +1,301 @@
+-- ============================================================
+-- Tick Tock Inc. — Views the psql-era migrations never built
+-- 027_view_repairs.sql
+--
+-- 007 rebuilds v_stock_on_hand and v_stock_availability with company_id,
+-- stock_status and a qty_available that never goes below zero, but its DROP
+-- VIEW fails while v_reorder_alerts and v_reorder_suggestions read them, so
+-- every database kept 001's versions. 016's v_customer_health does not parse
+-- (and sums columns sales_orders and sales_invoices do not have), so no
+-- database has it.
+--
+-- Both are built here as intended. The views reading the stock views are
+-- dropped with them and recreated unchanged. All of them run as the caller,
+-- like every view since 025.
+-- ============================================================
+
+DROP VIEW IF EXISTS v_sales_velocity;
+DROP VIEW IF EXISTS v_reorder_suggestions;
+DROP VIEW IF EXISTS v_reorder_alerts;
+DROP VIEW IF EXISTS v_stock_availability;
+DROP VIEW IF EXISTS v_stock_on_hand;
+DROP VIEW IF EXISTS v_customer_health;
+
+CREATE VIEW v_stock_on_hand WITH (security_invoker = true) AS
+SELECT
+  sl.company_id,
+  sl.item_id,
+  sl.warehouse_id,
+  i.code          AS item_code,
+  i.name          AS item_name,
+  i.category,
+  i.unit_of_measure,
+  i.standard_cost,
+  i.sale_price,
+  i.reorder_point,
+  i.reorder_qty,
+  w.code          AS warehouse_code,
+  w.name          AS warehouse_name,
+  SUM(sl.qty)               AS qty_on_hand,
+  SUM(sl.total_cost)        AS total_cost,
+  SUM(sl.total_cost)        AS total_cost_value,
+  CASE
+    WHEN SUM(sl.qty) <= 0              THEN 'out_of_stock'
+    WHEN SUM(sl.qty) <= i.reorder_point THEN 'low_stock'
+    ELSE 'in_stock'
+  END AS stock_status
+FROM  stock_ledger sl
+JOIN  items      i ON i.id = sl.item_id
+JOIN  warehouses w ON w.id = sl.warehouse_id
+GROUP BY sl.company_id, sl.item_id, sl.warehouse_id,
+         i.code, i.name, i.category, i.unit_of_measure, i.standard_cost,
+         i.sale_price, i.reorder_point, i.reorder_qty,
+         w.code, w.name;
+
+CREATE VIEW v_stock_availability WITH (security_invoker = true) AS
+SELECT
+  soh.company_id,
+  soh.item_id,
+  soh.warehouse_id,
+  soh.item_code,
+  soh.item_name,
+  soh.category,
+  soh.unit_of_measure,
+  soh.standard_cost,
+  soh.sale_price,
+  soh.reorder_point,
+  soh.reorder_qty,
+  soh.warehouse_code,
+  soh.warehouse_name,
+  soh.qty_on_hand,
+  soh.total_cost_value,
+  COALESCE(res.qty_reserved, 0)                                     AS qty_committed,
+  GREATEST(soh.qty_on_hand - COALESCE(res.qty_reserved, 0), 0)      AS qty_available,
+  soh.total_cost,
+  soh.stock_status
+FROM v_stock_on_hand soh
+LEFT JOIN (
+  SELECT company_id, item_id, warehouse_id, SUM(qty_reserved) AS qty_reserved
+  FROM   stock_reservations
+  WHERE  status = 'active'
+  GROUP  BY company_id, item_id, warehouse_id
+) res USING (company_id, item_id, warehouse_id);
+
+CREATE VIEW v_reorder_suggestions WITH (security_invoker = true) AS
+SELECT
+    i.id              AS item_id,
+    i.code            AS item_code,
+    i.name            AS item_name,
+    i.category,
+    i.reorder_point,
+    i.reorder_qty,
+    i.standard_cost,
+    i.lead_time_days,
+    COALESCE(soh_agg.qty_on_hand, 0)  AS qty_on_hand,
+    COALESCE(soo.qty_on_order,   0)   AS qty_on_order,
+    COALESCE(soh_agg.qty_on_hand, 0)
+        + COALESCE(soo.qty_on_order, 0)                   AS effective_qty,
+    GREATEST(
+        i.reorder_qty - COALESCE(soo.qty_on_order, 0), 0
+    )                                                      AS suggested_order_qty,
+    pv.id   AS preferred_vendor_id,
+    pv.code AS preferred_vendor_code,
+    pv.name AS preferred_vendor_name
+FROM items i
+LEFT JOIN (
+    SELECT item_id, SUM(qty_on_hand) AS qty_on_hand
+    FROM   v_stock_on_hand
+    GROUP  BY item_id
+) soh_agg ON soh_agg.item_id = i.id
+LEFT JOIN v_stock_on_order soo ON soo.item_id = i.id
+LEFT JOIN parties pv           ON pv.id = i.preferred_vendor_id
+WHERE i.is_active    = true
+  AND i.reorder_point > 0
+  AND (COALESCE(soh_agg.qty_on_hand, 0) + COALESCE(soo.qty_on_order, 0)) < i.reorder_point;
+
+CREATE VIEW v_reorder_alerts WITH (security_invoker = true) AS
+SELECT *
+FROM v_stock_availability
+WHERE qty_available <= reorder_point;
+
+-- As 015 has it
+CREATE VIEW v_sales_velocity WITH (security_invoker = true) AS
+WITH sold AS (
+    SELECT
+        item_id,
+        ABS(SUM(CASE WHEN posting_date >= CURRENT_DATE - 30 THEN qty ELSE 0 END)) AS sold_30d,
+        ABS(SUM(CASE WHEN posting_date >= CURRENT_DATE - 60 THEN qty ELSE 0 END)) AS sold_60d,
+        ABS(SUM(CASE WHEN posting_date >= CURRENT_DATE - 90 THEN qty ELSE 0 END)) AS sold_90d
+    FROM   stock_ledger
+    WHERE  transaction_type = 'shipment' AND qty < 0
+    GROUP  BY item_id
+),
+stock AS (
+    SELECT item_id, SUM(qty_available) AS total_available
+    FROM   v_stock_availability
+    GROUP  BY item_id
+),
+lead AS (
+    -- best lead time from most recent PO vendor per item
+    SELECT DISTINCT ON (pol.item_id)
+        pol.item_id,
+        po.vendor_id,
+        p.name  AS vendor_name,
+        COALESCE(p.lead_time_days, 14) AS lead_time_days
+    FROM   purchase_order_lines pol
+    JOIN   purchase_orders po ON po.id = pol.purchase_order_id
+    JOIN   parties p ON p.id = po.vendor_id
+    ORDER  BY pol.item_id, po.created_at DESC
+)
+SELECT
+    i.id            AS item_id,
+    i.code,
+    i.name          AS item_name,
+    i.unit_of_measure,
+    i.reorder_point,
+    i.reorder_qty,
+    i.standard_cost,
+    COALESCE(st.total_available, 0)           AS qty_available,
+    COALESCE(sold.sold_30d, 0)                AS sold_30d,
+    COALESCE(sold.sold_60d, 0)                AS sold_60d,
+    COALESCE(sold.sold_90d, 0)                AS sold_90d,
+    ROUND(COALESCE(sold.sold_30d, 0) / 30.0, 4) AS velocity_30d,
+    ROUND(COALESCE(sold.sold_60d, 0) / 60.0, 4) AS velocity_60d,
+    ROUND(COALESCE(sold.sold_90d, 0) / 90.0, 4) AS velocity_90d,
+    CASE
+        WHEN COALESCE(sold.sold_30d, 0) > 0
+        THEN ROUND(COALESCE(st.total_available, 0) / (sold.sold_30d / 30.0), 1)
+        ELSE NULL
+    END AS days_of_stock,
+    lead.vendor_id,
+    lead.vendor_name,
+    COALESCE(lead.lead_time_days, 14) AS lead_time_days,
+    CASE
+        WHEN COALESCE(st.total_available, 0) <= 0
+             THEN 'critical'
+        WHEN COALESCE(sold.sold_30d, 0) > 0
+             AND COALESCE(st.total_available, 0) / (sold.sold_30d / 30.0) < COALESCE(lead.lead_time_days, 14)
+             THEN 'critical'
+        WHEN COALESCE(st.total_available, 0) < i.reorder_point
+             THEN 'high'
+        WHEN COALESCE(st.total_available, 0) < COALESCE(i.reorder_qty, i.reorder_point * 2)
+             THEN 'normal'
+        ELSE 'ok'
+    END AS urgency
+FROM   items i
+LEFT JOIN sold  ON sold.item_id  = i.id
+LEFT JOIN stock st ON st.item_id = i.id
+LEFT JOIN lead  ON lead.item_id  = i.id
+WHERE  i.is_active = true;
+
+CREATE VIEW v_customer_health WITH (security_invoker = true) AS
+WITH orders_90d AS (
+    SELECT customer_id, COUNT(*) AS order_count_90d,
+           COALESCE(SUM(total), 0) AS revenue_90d
+    FROM   sales_orders
+    WHERE  status NOT IN ('cancelled','draft')
+      AND  order_date >= CURRENT_DATE - 90
+    GROUP  BY customer_id
+),
+orders_12m AS (
+    SELECT customer_id, COALESCE(SUM(total), 0) AS revenue_12m
+    FROM   sales_orders
+    WHERE  status NOT IN ('cancelled','draft')
+      AND  order_date >= CURRENT_DATE - 365
+    GROUP  BY customer_id
+),
+payment_speed AS (
+    -- Average days from invoice date to payment date
+    SELECT si.customer_id,
+           ROUND(AVG(
+               (pa.payment_date - si.invoice_date)
+           ), 1) AS avg_days_to_pay,
+           COUNT(DISTINCT si.id) AS invoices_paid
+    FROM   sales_invoices si
+    JOIN   payment_applications papp ON papp.invoice_id = si.id
+    JOIN   payments_received pa ON pa.id = papp.payment_id
+    GROUP  BY si.customer_id
+),
+ar_overdue AS (
+    SELECT si.customer_id,
+           COALESCE(SUM(si.balance_due), 0) AS overdue_balance
+    FROM   sales_invoices si
+    WHERE  si.status IN ('sent','partial_paid')
+      AND  si.due_date < CURRENT_DATE
+    GROUP  BY si.customer_id
+),
+last_order AS (
+    SELECT customer_id, MAX(order_date) AS last_order_date
+    FROM   sales_orders WHERE status NOT IN ('cancelled','draft')
+    GROUP  BY customer_id
+),
+interactions_30d AS (
+    SELECT customer_id, COUNT(*) AS interaction_count
+    FROM   customer_interactions
+    WHERE  interaction_date >= CURRENT_DATE - 30
+    GROUP  BY customer_id
+),
+-- Pre-aggregate raw data then score in outer query to avoid repeating expressions
+raw AS (
+    SELECT
+        p.id   AS customer_id,
+        p.code AS customer_code,
+        p.name AS customer_name,
+        p.vip_tier,
+        COALESCE(o90.order_count_90d, 0)   AS order_count_90d,
+        COALESCE(o90.revenue_90d, 0)       AS revenue_90d,
+        COALESCE(o12.revenue_12m, 0)       AS revenue_12m,
+        ps.avg_days_to_pay,
+        COALESCE(ps.invoices_paid, 0)      AS invoices_paid,
+        COALESCE(ar.overdue_balance, 0)    AS overdue_balance,
+        lo.last_order_date,
+        COALESCE(i30.interaction_count, 0) AS interactions_30d,
+        (CURRENT_DATE - lo.last_order_date) AS days_since_last_order
+    FROM   parties p
+    LEFT JOIN orders_90d    o90 ON o90.customer_id = p.id
+    LEFT JOIN orders_12m    o12 ON o12.customer_id = p.id
+    LEFT JOIN payment_speed ps  ON ps.customer_id  = p.id
+    LEFT JOIN ar_overdue    ar  ON ar.customer_id  = p.id
+    LEFT JOIN last_order    lo  ON lo.customer_id  = p.id
+    LEFT JOIN interactions_30d i30 ON i30.customer_id = p.id
+    WHERE  p.type IN ('customer','both') AND p.is_active = true
+),
+scored AS (
+    SELECT *,
+        LEAST(100, GREATEST(0,
+            CASE WHEN avg_days_to_pay IS NULL THEN 15
+                 WHEN avg_days_to_pay <= 15   THEN 30
+                 WHEN avg_days_to_pay <= 30   THEN 22
+                 WHEN avg_days_to_pay <= 45   THEN 14
+                 WHEN avg_days_to_pay <= 60   THEN 6
+                 ELSE 0 END
+            + CASE WHEN order_count_90d >= 10 THEN 30
+                   WHEN order_count_90d >= 5  THEN 22
+                   WHEN order_count_90d >= 2  THEN 14
+                   WHEN order_count_90d >= 1  THEN 8
+                   ELSE 0 END
+            + CASE WHEN revenue_12m >= 100000 THEN 25
+                   WHEN revenue_12m >= 50000  THEN 20
+                   WHEN revenue_12m >= 20000  THEN 14
+                   WHEN revenue_12m >= 5000   THEN 8
+                   ELSE 0 END
+            + CASE WHEN overdue_balance > 10000 THEN -20
+                   WHEN overdue_balance > 5000  THEN -12
+                   WHEN overdue_balance > 1000  THEN -6
+                   ELSE 0 END
+            + CASE WHEN last_order_date >= CURRENT_DATE - 30  THEN 15
+                   WHEN last_order_date >= CURRENT_DATE - 90  THEN 10
+                   WHEN last_order_date >= CURRENT_DATE - 180 THEN 5
+                   ELSE 0 END
+        )) AS health_score
+    FROM raw
+)
+SELECT *,
+    CASE
+        WHEN overdue_balance > 10000 THEN 'At Risk'
+        WHEN health_score >= 65      THEN 'Excellent'
+        WHEN health_score >= 45      THEN 'Good'
+        WHEN health_score >= 25      THEN 'Fair'
+        ELSE 'Poor'
+    END AS health_label
+FROM scored;
@@ -0,0 +1,52 @@
+-- ============================================================
+-- Tick Tock Inc. — Company preferences
+-- 028_company_preferences.sql
+--
+-- 017 meant to add a key-value company_settings table for the admin
+-- screen's settings, but 007 had already created company_settings as the
+-- typed one-row-per-company table, so 017's CREATE TABLE IF NOT EXISTS did
+-- nothing and its seed INSERT failed. The key-value store lives here under
+-- its own name, one set of keys per company, seeded for every company with
+-- 017's defaults. GET / PATCH /api/admin/settings read and write it.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS company_preferences (
+    company_id  UUID         NOT NULL DEFAULT current_company_id()
+                                 REFERENCES companies(id) ON DELETE CASCADE,
+    key         VARCHAR(60)  NOT NULL,
+    value       TEXT,
+    description VARCHAR(200),
+    updated_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    updated_by  UUID         REFERENCES users(id),
+    PRIMARY KEY (company_id, key)
+);
+
+INSERT INTO company_preferences (company_id, key, value, description)
+SELECT c.id, v.key, v.value, v.description
+FROM   companies c
+CROSS JOIN (VALUES
+  ('company_name',    'Tick Tock Inc.',                    'Company display name'),
+  ('company_address', '123 Watch Way, New York, NY 10001', 'Mailing address'),
+  ('company_phone',   '+1 (212) 555-0100',                 'Main phone'),
+  ('company_email',   'info@ticktockinc.com',              'Contact email'),
+  ('company_website', 'www.ticktockinc.com',               'Website URL'),
+  ('tax_id',          '12-3456789',                        'Federal Tax ID / EIN'),
+  ('currency',        'USD',                               'Default currency'),
+  ('fiscal_year_end', '12-31',                             'Fiscal year end (MM-DD)'),
+  ('invoice_terms',   'Net 30',                            'Default invoice payment terms'),
+  ('low_stock_days',  '14',                                'Reorder alert threshold (days of stock)')
+) AS v (key, value, description)
+ON CONFLICT (company_id, key) DO NOTHING;
+
+ALTER TABLE company_preferences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON company_preferences;
+CREATE POLICY tenant_isolation ON company_preferences
+  TO erp_app
+  USING (company_id = current_company_id());
+
+DROP POLICY IF EXISTS tenant_isolation_insert ON company_preferences;
+CREATE POLICY tenant_isolation_insert ON company_preferences
+  AS PERMISSIVE FOR INSERT
+  TO erp_app
+  WITH CHECK (company_id = current_company_id());
@@ -0,0 +1,108 @@
+-- ============================================================
+-- Tick Tock Inc. — Outbound webhooks
+-- 029_webhooks.sql
+--
+-- A company registers endpoint URLs and the business events each one wants
+-- (lib/webhooks.js has the catalogue). Route handlers write the event to the
+-- outbox (webhook_events) and one delivery per subscribed endpoint inside the
+-- same transaction as the change itself, so a rolled-back order never
+-- notifies anyone and a committed one is never lost. The dispatcher then
+-- POSTs pending deliveries, retrying failures with backoff.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    url             TEXT          NOT NULL,
+    description     VARCHAR(200),
+    events          TEXT[]        NOT NULL CHECK (cardinality(events) > 0),
+    secret          VARCHAR(80)   NOT NULL,   -- HMAC key for X-TickTock-Signature
+    is_active       BOOLEAN       NOT NULL DEFAULT true,
+    created_by      UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+CREATE TRIGGER trg_webhook_endpoints_updated_at
+    BEFORE UPDATE ON webhook_endpoints
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- The outbox: one row per event that at least one endpoint subscribed to.
+-- payload is the event's `data`; the envelope around it is built when sent.
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    event_type      VARCHAR(60)   NOT NULL,
+    payload         JSONB         NOT NULL,
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+-- One row per event and endpoint; doubles as the delivery log. A pending row
+-- whose next_attempt_at has passed is due; the dispatcher leases it by moving
+-- next_attempt_at forward before it sends.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    event_id        UUID          NOT NULL REFERENCES webhook_events(id) ON DELETE CASCADE,
+    endpoint_id     UUID          NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    status          VARCHAR(10)   NOT NULL DEFAULT 'pending'
+                        CHECK (status IN ('pending','succeeded','failed')),
+    attempts        INT           NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    last_attempt_at TIMESTAMPTZ,
+    response_status INT,
+    response_body   TEXT,         -- first 2 KB
+    error           TEXT,
+    delivered_at    TIMESTAMPTZ,
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_company ON webhook_endpoints (company_id) WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_webhook_events_company    ON webhook_events (company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due    ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_log    ON webhook_deliveries (company_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_ep     ON webhook_deliveries (endpoint_id, created_at DESC);
+
+-- ── Row-level security ────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  tbl TEXT;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY['webhook_endpoints', 'webhook_events', 'webhook_deliveries'] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tbl);
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+       TO erp_app
+       USING (company_id = current_company_id())',
+      tbl
+    );
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation_insert ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation_insert ON %I
+       AS PERMISSIVE FOR INSERT
+       TO erp_app
+       WITH CHECK (company_id = current_company_id())',
+      tbl
+    );
+  END LOOP;
+END $$;
+
+-- The dispatcher runs outside any request and so without a tenant; this is
+-- the one thing it needs to see across companies — which of them have
+-- deliveries due. It then works each company's queue under withTenant().
+CREATE OR REPLACE FUNCTION webhook_due_companies()
+RETURNS SETOF UUID
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT DISTINCT d.company_id
+  FROM   webhook_deliveries d
+  JOIN   webhook_endpoints e ON e.id = d.endpoint_id AND e.is_active
+  WHERE  d.status = 'pending' AND d.next_attempt_at <= NOW()
+$$;
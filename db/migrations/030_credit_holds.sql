@@ -0,0 +1,74 @@
+-- ============================================================
+-- Tick Tock Inc. — Customer credit limits and credit holds
+-- 030_credit_holds.sql
+--
+-- Confirming a sales order now checks the customer's exposure (open AR net
+-- of unapplied credits + the unshipped value of confirmed orders + this
+-- order) against parties.credit_limit, and their overdue invoices against the
+-- company's credit_overdue_days preference (lib/credit.js). An order that
+-- fails goes to status 'credit_hold' without reserving stock; a manager
+-- releases it (POST /api/credit-holds/:id/release) or it clears on a later
+-- confirm once the customer is back within terms.
+-- ============================================================
+
+ALTER TABLE sales_orders DROP CONSTRAINT IF EXISTS sales_orders_status_check;
+ALTER TABLE sales_orders ADD CONSTRAINT sales_orders_status_check
+    CHECK (status IN ('draft','credit_hold','confirmed','partially_shipped',
+                      'fully_shipped','invoiced','closed','cancelled'));
+
+-- One row per hold; the figures are what the check saw when it placed the
+-- hold. Released rows are the override trail: who let the order through,
+-- when, and why.
+--   open       waiting in the hold queue
+--   released   confirmed by a manager despite the check
+--   cleared    confirmed by a later check that passed
+--   cancelled  the order was cancelled while on hold
+CREATE TABLE IF NOT EXISTS credit_holds (
+    id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id          UUID          NOT NULL DEFAULT current_company_id()
+                                          REFERENCES companies(id) ON DELETE CASCADE,
+    sales_order_id      UUID          NOT NULL REFERENCES sales_orders(id) ON DELETE CASCADE,
+    customer_id         UUID          NOT NULL REFERENCES parties(id),
+    status              VARCHAR(10)   NOT NULL DEFAULT 'open'
+                            CHECK (status IN ('open','released','cleared','cancelled')),
+    reasons             TEXT[]        NOT NULL,   -- credit_limit | overdue
+    credit_limit        NUMERIC(14,2) NOT NULL,
+    open_ar             NUMERIC(18,4) NOT NULL,
+    open_orders         NUMERIC(18,4) NOT NULL,
+    order_total         NUMERIC(18,4) NOT NULL,
+    exposure            NUMERIC(18,4) NOT NULL,
+    overdue_days        INT,                      -- threshold in force, NULL = not checked
+    overdue_balance     NUMERIC(18,4) NOT NULL DEFAULT 0,
+    oldest_overdue_days INT,
+    placed_by           UUID          REFERENCES users(id),
+    placed_at           TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    resolved_by         UUID          REFERENCES users(id),
+    resolved_at         TIMESTAMPTZ,
+    resolution_note     TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_credit_holds_open  ON credit_holds (sales_order_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_credit_holds_company     ON credit_holds (company_id, status, placed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_credit_holds_customer    ON credit_holds (customer_id);
+
+ALTER TABLE credit_holds ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tenant_isolation ON credit_holds;
+CREATE POLICY tenant_isolation ON credit_holds
+  TO erp_app
+  USING (company_id = current_company_id());
+
+DROP POLICY IF EXISTS tenant_isolation_insert ON credit_holds;
+CREATE POLICY tenant_isolation_insert ON credit_holds
+  AS PERMISSIVE FOR INSERT
+  TO erp_app
+  WITH CHECK (company_id = current_company_id());
+
+-- Overdue threshold: hold orders for customers with invoices more than this
+-- many days past due. Empty turns the overdue check off. Companies without
+-- the row get the same default from lib/credit.js.
+INSERT INTO company_preferences (company_id, key, value, description)
+SELECT c.id, 'credit_overdue_days', '30',
+       'Hold orders when an invoice is more than this many days past due (empty = no overdue check)'
+FROM   companies c
+ON CONFLICT (company_id, key) DO NOTHING;
@@ -0,0 +1,89 @@
+-- ============================================================
+-- Tick Tock Inc. — Emailing invoices, purchase orders and statements
+-- 031_email.sql
+--
+-- The send endpoints render the document with lib/documents.js, attach it
+-- and hand the message to the configured transport (lib/mailer.js: SMTP, or
+-- .eml files in an outbox directory). Subject and body come from the
+-- company's template for the document type, or the built-in default when it
+-- has none. Every attempt is logged in email_messages, and any message can be
+-- sent again from there.
+-- ============================================================
+
+-- One override per company and document type. Placeholders like {{number}}
+-- are filled in when the message is built (lib/mailer.js lists them).
+CREATE TABLE IF NOT EXISTS email_templates (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    doc_type        VARCHAR(20)   NOT NULL
+                        CHECK (doc_type IN ('invoice','purchase_order','statement')),
+    subject         VARCHAR(200)  NOT NULL,
+    body            TEXT          NOT NULL,
+    updated_by      UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    UNIQUE (company_id, doc_type)
+);
+
+CREATE TRIGGER trg_email_templates_updated_at
+    BEFORE UPDATE ON email_templates
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- The sent-message log: what went to whom, through which transport, and how
+-- it ended. doc_id is the invoice, purchase order or customer (statements).
+-- resend_of links a resend to the message it repeats.
+CREATE TABLE IF NOT EXISTS email_messages (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    doc_type        VARCHAR(20)   NOT NULL
+                        CHECK (doc_type IN ('invoice','purchase_order','statement')),
+    doc_id          UUID          NOT NULL,
+    doc_number      VARCHAR(30),
+    party_id        UUID          REFERENCES parties(id),
+    from_address    VARCHAR(200)  NOT NULL,
+    to_addresses    TEXT[]        NOT NULL CHECK (cardinality(to_addresses) > 0),
+    cc_addresses    TEXT[]        NOT NULL DEFAULT '{}',
+    subject         VARCHAR(200)  NOT NULL,
+    body            TEXT          NOT NULL,
+    attachment_name VARCHAR(120),
+    transport       VARCHAR(20)   NOT NULL,
+    status          VARCHAR(10)   NOT NULL CHECK (status IN ('sent','failed')),
+    message_id      VARCHAR(200),             -- the Message-ID header
+    transport_response TEXT,                  -- SMTP reply, or the outbox file
+    error           TEXT,
+    resend_of       UUID          REFERENCES email_messages(id) ON DELETE SET NULL,
+    sent_by         UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_messages_doc     ON email_messages (doc_type, doc_id);
+CREATE INDEX IF NOT EXISTS idx_email_messages_company ON email_messages (company_id, created_at DESC);
+
+-- ── Row-level security ────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  tbl TEXT;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY['email_templates', 'email_messages'] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tbl);
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+       TO erp_app
+       USING (company_id = current_company_id())',
+      tbl
+    );
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation_insert ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation_insert ON %I
+       AS PERMISSIVE FOR INSERT
+       TO erp_app
+       WITH CHECK (company_id = current_company_id())',
+      tbl
+    );
+  END LOOP;
+END $$;
@@ -0,0 +1,98 @@
+-- ============================================================
+-- Tick Tock Inc. — PDF documents: letterhead and stored copies
+-- 032_document_files.sql
+--
+-- Every print view can be rendered as a PDF on the server (lib/pdf.js). The
+-- letterhead — name, address, contact lines and logo — comes from the
+-- company's company_settings row, filled in here from the company_* company
+-- preferences the HTML views and emails already use.
+--
+-- A rendered PDF can be kept in document_files, linked to the document it was
+-- made from; emailed documents keep the copy that was attached.
+-- ============================================================
+
+ALTER TABLE company_settings
+    ADD COLUMN IF NOT EXISTS company_name      TEXT,
+    ADD COLUMN IF NOT EXISTS company_address   TEXT,       -- free text, one line per row
+    ADD COLUMN IF NOT EXISTS company_phone     TEXT,
+    ADD COLUMN IF NOT EXISTS company_email     TEXT,
+    ADD COLUMN IF NOT EXISTS company_website   TEXT,
+    ADD COLUMN IF NOT EXISTS logo              BYTEA,
+    ADD COLUMN IF NOT EXISTS logo_content_type TEXT
+        CHECK (logo_content_type IN ('image/png','image/jpeg'));
+
+ALTER TABLE company_settings
+    ADD CONSTRAINT company_settings_logo_type
+        CHECK ((logo IS NULL) = (logo_content_type IS NULL));
+
+UPDATE company_settings cs
+SET    company_name    = COALESCE(p.company_name, c.name),
+       company_address = p.company_address,
+       company_phone   = p.company_phone,
+       company_email   = p.company_email,
+       company_website = p.company_website
+FROM   companies c
+LEFT JOIN (
+    SELECT company_id,
+           MAX(value) FILTER (WHERE key = 'company_name')    AS company_name,
+           MAX(value) FILTER (WHERE key = 'company_address') AS company_address,
+           MAX(value) FILTER (WHERE key = 'company_phone')   AS company_phone,
+           MAX(value) FILTER (WHERE key = 'company_email')   AS company_email,
+           MAX(value) FILTER (WHERE key = 'company_website') AS company_website
+    FROM   company_preferences
+    GROUP  BY company_id
+) p ON p.company_id = c.id
+WHERE  c.id = cs.company_id;
+
+-- Stored PDFs. doc_type/doc_id name the source record the same way the print
+-- routes do (statements are filed under the customer).
+CREATE TABLE IF NOT EXISTS document_files (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    doc_type        VARCHAR(20)   NOT NULL
+                        CHECK (doc_type IN ('invoice','sales_order','purchase_order','statement','adjustment',
+                                            'pick_list','packing_slip','bill_of_lading')),
+    doc_id          UUID          NOT NULL,
+    doc_number      VARCHAR(30),
+    file_name       VARCHAR(120)  NOT NULL,
+    content_type    VARCHAR(60)   NOT NULL DEFAULT 'application/pdf',
+    content         BYTEA         NOT NULL,
+    byte_size       INT           NOT NULL,
+    sha256          CHAR(64)      NOT NULL,
+    page_count      INT,
+    created_by      UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_files_doc ON document_files (doc_type, doc_id, created_at DESC);
+
+ALTER TABLE email_messages
+    ADD COLUMN IF NOT EXISTS document_file_id UUID REFERENCES document_files(id) ON DELETE SET NULL;
+
+-- ── Row-level security ────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  tbl TEXT;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY['document_files'] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tbl);
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+       TO erp_app
+       USING (company_id = current_company_id())',
+      tbl
+    );
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation_insert ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation_insert ON %I
+       AS PERMISSIVE FOR INSERT
+       TO erp_app
+       WITH CHECK (company_id = current_company_id())',
+      tbl
+    );
+  END LOOP;
+END $$;
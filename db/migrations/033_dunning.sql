@@ -0,0 +1,144 @@
+-- ============================================================
+-- Tick Tock Inc. — Dunning: reminder levels, runs and letters
+-- 033_dunning.sql
+--
+-- A dunning run (lib/dunning.js) looks at every open invoice past its due
+-- date and works out which reminder level its days overdue have reached.
+-- Customers with an invoice that has reached a level it has not been
+-- reminded at yet get one letter, at the highest level reached, listing all
+-- of their overdue invoices. Letters are queued for sending (email, or
+-- printed) and each one is recorded as a CRM interaction.
+--
+-- Levels are configured per company in dunning_levels; a company without any
+-- rows uses the built-in defaults in lib/dunning.js.
+-- ============================================================
+
+INSERT INTO document_types (doc_type, name, prefix, format, padding, reset_period, gap_free) VALUES
+  ('dunning_run',    'Dunning Run',    'DUN', '{PREFIX}-{YYYY}-{SEQ}', 5, 'yearly', false),
+  ('dunning_letter', 'Dunning Letter', 'DL',  '{PREFIX}-{YYYY}-{SEQ}', 5, 'yearly', false)
+ON CONFLICT (doc_type) DO NOTHING;
+
+-- Subject and body are templates: {{customer_name}}, {{total_overdue}} and the
+-- other placeholders lib/dunning.js lists are filled in when a run writes the
+-- letter. follow_up_days sets the CRM follow-up date (NULL = none).
+CREATE TABLE IF NOT EXISTS dunning_levels (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    level           SMALLINT      NOT NULL CHECK (level BETWEEN 1 AND 9),
+    name            VARCHAR(60)   NOT NULL,
+    days_overdue    INT           NOT NULL CHECK (days_overdue > 0),
+    follow_up_days  INT           CHECK (follow_up_days >= 0),
+    subject         VARCHAR(200)  NOT NULL,
+    body            TEXT          NOT NULL,
+    updated_by      UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    UNIQUE (company_id, level),
+    UNIQUE (company_id, days_overdue)
+);
+
+CREATE TRIGGER trg_dunning_levels_updated_at
+    BEFORE UPDATE ON dunning_levels
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+CREATE TABLE IF NOT EXISTS dunning_runs (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    number          VARCHAR(30)   NOT NULL,
+    as_of           DATE          NOT NULL,     -- days overdue are counted to this date
+    letter_count    INT           NOT NULL DEFAULT 0,
+    total_overdue   NUMERIC(18,4) NOT NULL DEFAULT 0,
+    created_by      UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    UNIQUE (company_id, number)
+);
+
+-- One letter per customer per run. Subject and body are the level's template
+-- as filled in for this customer.
+--   queued     waiting to be emailed or printed
+--   sent       emailed (email_message_id), or marked sent after printing
+--   cancelled  withdrawn; its invoices can be reminded at the same level again
+CREATE TABLE IF NOT EXISTS dunning_letters (
+    id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id        UUID          NOT NULL DEFAULT current_company_id()
+                                        REFERENCES companies(id) ON DELETE CASCADE,
+    number            VARCHAR(30)   NOT NULL,
+    run_id            UUID          NOT NULL REFERENCES dunning_runs(id) ON DELETE CASCADE,
+    customer_id       UUID          NOT NULL REFERENCES parties(id),
+    status            VARCHAR(10)   NOT NULL DEFAULT 'queued'
+                          CHECK (status IN ('queued','sent','cancelled')),
+    letter_date       DATE          NOT NULL,
+    level             SMALLINT      NOT NULL,
+    level_name        VARCHAR(60)   NOT NULL,
+    max_days_overdue  INT           NOT NULL,
+    total_overdue     NUMERIC(18,4) NOT NULL,
+    subject           VARCHAR(200)  NOT NULL,
+    body              TEXT          NOT NULL,
+    interaction_id    UUID          REFERENCES customer_interactions(id) ON DELETE SET NULL,
+    email_message_id  UUID          REFERENCES email_messages(id) ON DELETE SET NULL,
+    sent_at           TIMESTAMPTZ,
+    sent_by           UUID          REFERENCES users(id) ON DELETE SET NULL,
+    cancelled_at      TIMESTAMPTZ,
+    created_by        UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at        TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    UNIQUE (company_id, number)
+);
+
+-- The overdue invoices a letter lists, each with the level it had reached.
+-- An invoice's last reminder level is the highest one on a letter that was
+-- not cancelled.
+CREATE TABLE IF NOT EXISTS dunning_letter_lines (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    letter_id       UUID          NOT NULL REFERENCES dunning_letters(id) ON DELETE CASCADE,
+    invoice_id      UUID          NOT NULL REFERENCES sales_invoices(id),
+    level           SMALLINT      NOT NULL,
+    days_overdue    INT           NOT NULL,
+    balance_due     NUMERIC(18,4) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_dunning_letters_run      ON dunning_letters (run_id);
+CREATE INDEX IF NOT EXISTS idx_dunning_letters_customer ON dunning_letters (customer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_dunning_letters_status   ON dunning_letters (status) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_dunning_lines_letter     ON dunning_letter_lines (letter_id);
+CREATE INDEX IF NOT EXISTS idx_dunning_lines_invoice    ON dunning_letter_lines (invoice_id);
+
+-- Letters and activity statements can be printed, stored and emailed
+ALTER TABLE document_files DROP CONSTRAINT IF EXISTS document_files_doc_type_check;
+ALTER TABLE document_files ADD CONSTRAINT document_files_doc_type_check
+    CHECK (doc_type IN ('invoice','sales_order','purchase_order','statement','adjustment',
+                        'pick_list','packing_slip','bill_of_lading','activity_statement','dunning_letter'));
+
+ALTER TABLE email_messages DROP CONSTRAINT IF EXISTS email_messages_doc_type_check;
+ALTER TABLE email_messages ADD CONSTRAINT email_messages_doc_type_check
+    CHECK (doc_type IN ('invoice','purchase_order','statement','dunning_letter'));
+
+-- ── Row-level security ────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  tbl TEXT;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY['dunning_levels', 'dunning_runs', 'dunning_letters', 'dunning_letter_lines'] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tbl);
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+       TO erp_app
+       USING (company_id = current_company_id())',
+      tbl
+    );
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation_insert ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation_insert ON %I
+       AS PERMISSIVE FOR INSERT
+       TO erp_app
+       WITH CHECK (company_id = current_company_id())',
+      tbl
+    );
+  END LOOP;
+END $$;
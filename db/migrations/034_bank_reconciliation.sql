@@ -0,0 +1,163 @@
+-- ============================================================
+-- Tick Tock Inc. — Bank reconciliation
+-- 034_bank_reconciliation.sql
+--
+-- A bank account is linked to the GL cash account its payments post to.
+-- Statements are imported from the bank's files (CSV, OFX, BAI2 or
+-- camt.053; lib/bank-statements.js) and each statement line is matched to
+-- the book side: a customer payment, a vendor payment, or a manual journal
+-- entry on that cash account. Matching is automatic by the company's match
+-- rules (amount, date window, reference) or manual.
+--
+-- The reconciliation report (lib/bank-reconciliation.js) ties the bank
+-- balance to the GL balance of the cash account: payments not yet on a
+-- statement are in transit, statement lines not yet in the books are
+-- unrecorded, and what is left is the difference.
+-- ============================================================
+
+-- opening_balance is the bank balance at the end of opening_date. Statement
+-- lines and book entries on or before opening_date count as reconciled
+-- already; without an opening date the account reconciles from the start.
+CREATE TABLE IF NOT EXISTS bank_accounts (
+    id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id       UUID          NOT NULL DEFAULT current_company_id()
+                                       REFERENCES companies(id) ON DELETE CASCADE,
+    name             VARCHAR(100)  NOT NULL,
+    bank_name        VARCHAR(100),
+    account_number   VARCHAR(40),              -- checked against imported statements
+    routing_number   VARCHAR(20),
+    currency         CHAR(3)       NOT NULL DEFAULT 'USD',
+    gl_account_id    UUID          NOT NULL REFERENCES gl_accounts(id),
+    opening_balance  NUMERIC(18,4) NOT NULL DEFAULT 0,
+    opening_date     DATE,
+    is_active        BOOLEAN       NOT NULL DEFAULT true,
+    created_by       UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at       TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    updated_at       TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    UNIQUE (company_id, name),
+    UNIQUE (company_id, gl_account_id)        -- one bank account per cash account, so the report ties
+);
+
+CREATE TRIGGER trg_bank_accounts_updated_at
+    BEFORE UPDATE ON bank_accounts
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- One imported file. Balances are as the file states them (NULL when it has
+-- none); duplicate_count is the lines skipped as already imported.
+CREATE TABLE IF NOT EXISTS bank_statements (
+    id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id       UUID          NOT NULL DEFAULT current_company_id()
+                                       REFERENCES companies(id) ON DELETE CASCADE,
+    bank_account_id  UUID          NOT NULL REFERENCES bank_accounts(id),
+    format           VARCHAR(10)   NOT NULL CHECK (format IN ('csv','ofx','bai2','camt053')),
+    file_name        VARCHAR(200),
+    account_ref      VARCHAR(40),              -- the account number in the file
+    period_start     DATE          NOT NULL,
+    period_end       DATE          NOT NULL,
+    opening_balance  NUMERIC(18,4),
+    closing_balance  NUMERIC(18,4),
+    line_count       INT           NOT NULL DEFAULT 0,
+    duplicate_count  INT           NOT NULL DEFAULT 0,
+    total_credits    NUMERIC(18,4) NOT NULL DEFAULT 0,
+    total_debits     NUMERIC(18,4) NOT NULL DEFAULT 0,
+    imported_by      UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at       TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+-- amount is signed as the bank sees it: deposits positive, withdrawals
+-- negative. fingerprint (the bank's transaction id, or a hash of the line)
+-- stops the same transaction being imported twice from overlapping files.
+CREATE TABLE IF NOT EXISTS bank_statement_lines (
+    id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id       UUID          NOT NULL DEFAULT current_company_id()
+                                       REFERENCES companies(id) ON DELETE CASCADE,
+    statement_id     UUID          NOT NULL REFERENCES bank_statements(id) ON DELETE CASCADE,
+    bank_account_id  UUID          NOT NULL REFERENCES bank_accounts(id),
+    line_number      INT           NOT NULL,
+    txn_date         DATE          NOT NULL,
+    value_date       DATE,
+    amount           NUMERIC(18,4) NOT NULL CHECK (amount <> 0),
+    description      TEXT,
+    reference        VARCHAR(100),
+    external_id      VARCHAR(100),
+    txn_code         VARCHAR(20),              -- OFX TRNTYPE, BAI2 type code, camt bank transaction code
+    fingerprint      VARCHAR(64)   NOT NULL,
+    UNIQUE (bank_account_id, fingerprint)
+);
+
+-- Auto-match rules, tried in priority order. A rule matches a statement line
+-- to a book entry of the same sign whose amount is within amount_tolerance
+-- and whose date is within date_window_days; match_reference also requires
+-- the payment's reference (check number, wire ref) or entry number to appear
+-- on the statement line. Without rows the defaults in lib/bank-reconciliation.js apply.
+CREATE TABLE IF NOT EXISTS bank_match_rules (
+    id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id        UUID          NOT NULL DEFAULT current_company_id()
+                                        REFERENCES companies(id) ON DELETE CASCADE,
+    priority          SMALLINT      NOT NULL CHECK (priority BETWEEN 1 AND 9),
+    name              VARCHAR(60)   NOT NULL,
+    match_reference   BOOLEAN       NOT NULL DEFAULT false,
+    date_window_days  INT           NOT NULL DEFAULT 3 CHECK (date_window_days >= 0),
+    amount_tolerance  NUMERIC(18,4) NOT NULL DEFAULT 0 CHECK (amount_tolerance >= 0),
+    updated_by        UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at        TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    updated_at        TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    UNIQUE (company_id, priority)
+);
+
+CREATE TRIGGER trg_bank_match_rules_updated_at
+    BEFORE UPDATE ON bank_match_rules
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- A statement line cleared against book entries: usually one, several for a
+-- deposit the bank shows as one amount. Each book entry clears once.
+--   source_type payment_received / payment_made → payments_received / payments_made.id
+--   source_type journal_entry                   → journal_entries.id (fees, interest, transfers)
+CREATE TABLE IF NOT EXISTS bank_matches (
+    id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id         UUID          NOT NULL DEFAULT current_company_id()
+                                         REFERENCES companies(id) ON DELETE CASCADE,
+    statement_line_id  UUID          NOT NULL REFERENCES bank_statement_lines(id) ON DELETE CASCADE,
+    source_type        VARCHAR(20)   NOT NULL
+                           CHECK (source_type IN ('payment_received','payment_made','journal_entry')),
+    source_id          UUID          NOT NULL,
+    amount             NUMERIC(18,4) NOT NULL,
+    method             VARCHAR(10)   NOT NULL CHECK (method IN ('auto','manual')),
+    rule_name          VARCHAR(60),
+    matched_by         UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at         TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    UNIQUE (company_id, source_type, source_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_statements_account ON bank_statements (bank_account_id, period_end DESC);
+CREATE INDEX IF NOT EXISTS idx_bank_lines_statement    ON bank_statement_lines (statement_id);
+CREATE INDEX IF NOT EXISTS idx_bank_lines_account_date ON bank_statement_lines (bank_account_id, txn_date);
+CREATE INDEX IF NOT EXISTS idx_bank_matches_line       ON bank_matches (statement_line_id);
+
+-- ── Row-level security ────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  tbl TEXT;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY['bank_accounts', 'bank_statements', 'bank_statement_lines',
+                             'bank_match_rules', 'bank_matches'] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tbl);
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+       TO erp_app
+       USING (company_id = current_company_id())',
+      tbl
+    );
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation_insert ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation_insert ON %I
+       AS PERMISSIVE FOR INSERT
+       TO erp_app
+       WITH CHECK (company_id = current_company_id())',
+      tbl
+    );
+  END LOOP;
+END $$;
@@ -0,0 +1,100 @@
+-- ============================================================
+-- Tick Tock Inc. — Fiscal periods and year-end close
+-- 035_fiscal_periods.sql
+--
+-- A company's fiscal year ends on its `fiscal_year_end` preference (MM-DD)
+-- and is named after the calendar year it ends in. lib/periods.js divides
+-- it into twelve monthly periods. A year's rows are stored the first time
+-- one of its periods is closed, so a date without a period row is open.
+--
+--   open         everything posts
+--   soft_closed  operational postings (shipments, receipts, invoices,
+--                payments, adjustments, transfers, returns) are refused;
+--                company admins and managers may still post journal entries
+--   hard_closed  nothing posts
+--
+-- Closing a fiscal year posts one entry that moves every revenue, COGS and
+-- expense balance of the year into retained earnings, and hard-closes its
+-- periods. Reopening the year reverses that entry.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS fiscal_periods (
+    id             UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id     UUID          NOT NULL DEFAULT current_company_id()
+                                     REFERENCES companies(id) ON DELETE CASCADE,
+    fiscal_year    SMALLINT      NOT NULL,
+    period_number  SMALLINT      NOT NULL CHECK (period_number BETWEEN 1 AND 12),
+    start_date     DATE          NOT NULL,
+    end_date       DATE          NOT NULL,
+    status         VARCHAR(12)   NOT NULL DEFAULT 'open'
+                                     CHECK (status IN ('open','soft_closed','hard_closed')),
+    closed_by      UUID          REFERENCES users(id) ON DELETE SET NULL,
+    closed_at      TIMESTAMPTZ,
+    created_at     TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    updated_at     TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    CHECK (end_date >= start_date),
+    UNIQUE (company_id, fiscal_year, period_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fiscal_periods_dates ON fiscal_periods (company_id, start_date, end_date);
+
+DROP TRIGGER IF EXISTS trg_fiscal_periods_updated_at ON fiscal_periods;
+CREATE TRIGGER trg_fiscal_periods_updated_at
+    BEFORE UPDATE ON fiscal_periods
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- One row per year-end close. A reopened close keeps its row (the closing
+-- entry and its reversal point at it); closing again adds a new one.
+CREATE TABLE IF NOT EXISTS fiscal_year_closes (
+    id                UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id        UUID          NOT NULL DEFAULT current_company_id()
+                                        REFERENCES companies(id) ON DELETE CASCADE,
+    fiscal_year       SMALLINT      NOT NULL,
+    start_date        DATE          NOT NULL,
+    end_date          DATE          NOT NULL,
+    status            VARCHAR(10)   NOT NULL DEFAULT 'closed'
+                                        CHECK (status IN ('closed','reopened')),
+    journal_entry_id  UUID          REFERENCES journal_entries(id),
+    net_income        NUMERIC(18,4) NOT NULL DEFAULT 0,
+    closed_by         UUID          REFERENCES users(id) ON DELETE SET NULL,
+    closed_at         TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    reopened_by       UUID          REFERENCES users(id) ON DELETE SET NULL,
+    reopened_at       TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_fiscal_year_closes_closed
+    ON fiscal_year_closes (company_id, fiscal_year) WHERE status = 'closed';
+
+-- ── GL: retained earnings mapping ─────────────────────────────────────────────
+INSERT INTO gl_account_mappings (company_id, mapping_key, account_id)
+SELECT c.id, 'retained_earnings', a.id
+FROM   companies c
+JOIN   gl_accounts a ON a.account_number = '3020'
+ON CONFLICT (company_id, mapping_key) DO NOTHING;
+
+-- ── Row-level security ────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  tbl TEXT;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY['fiscal_periods', 'fiscal_year_closes'] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tbl);
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+       TO erp_app
+       USING (company_id = current_company_id())',
+      tbl
+    );
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation_insert ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation_insert ON %I
+       AS PERMISSIVE FOR INSERT
+       TO erp_app
+       WITH CHECK (company_id = current_company_id())',
+      tbl
+    );
+  END LOOP;
+END $$;
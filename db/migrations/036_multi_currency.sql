@@ -0,0 +1,234 @@
+-- ============================================================
+-- Tick Tock Inc. — Multi-currency sales and purchasing
+-- 036_multi_currency.sql
+--
+-- The company's base currency is companies.currency_code; the ledger is
+-- kept in it. Customers and vendors trade in parties.currency, and their
+-- orders, invoices, credit memos and payments are in that currency.
+--
+-- exchange_rates holds, per currency and day, how many base units one unit
+-- of the currency buys. A document takes the latest rate on or before its
+-- date when it is posted (shipment invoice, receipt, vendor invoice
+-- approval, credit memo, payment) and keeps it in exchange_rate; base_*
+-- columns are its amounts in base currency. Documents in base currency have
+-- a rate of 1.
+--
+-- Settling a document at a different rate than it was booked at is a
+-- realized FX gain or loss; revaluing what is still open at a later rate is
+-- unrealized, posted at the revaluation date and reversed the next day
+-- (fx_revaluations).
+-- ============================================================
+
+-- ── Exchange rates ────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id  UUID          NOT NULL DEFAULT current_company_id()
+                                  REFERENCES companies(id) ON DELETE CASCADE,
+    currency    CHAR(3)       NOT NULL CHECK (currency ~ '^[A-Z]{3}$'),
+    rate_date   DATE          NOT NULL,
+    rate        NUMERIC(18,8) NOT NULL CHECK (rate > 0),   -- base units per 1 unit of `currency`
+    source      VARCHAR(10)   NOT NULL DEFAULT 'manual' CHECK (source IN ('manual','import')),
+    created_by  UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at  TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    updated_at  TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    UNIQUE (company_id, currency, rate_date)
+);
+
+DROP TRIGGER IF EXISTS trg_exchange_rates_updated_at ON exchange_rates;
+CREATE TRIGGER trg_exchange_rates_updated_at
+    BEFORE UPDATE ON exchange_rates
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- ── Document currency and rate ────────────────────────────────────────────────
+ALTER TABLE sales_orders       ADD COLUMN IF NOT EXISTS currency CHAR(3);
+ALTER TABLE purchase_orders    ADD COLUMN IF NOT EXISTS currency CHAR(3);
+
+ALTER TABLE sales_invoices     ADD COLUMN IF NOT EXISTS currency      CHAR(3);
+ALTER TABLE sales_invoices     ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) CHECK (exchange_rate > 0);
+ALTER TABLE credit_memos       ADD COLUMN IF NOT EXISTS currency      CHAR(3);
+ALTER TABLE credit_memos       ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) CHECK (exchange_rate > 0);
+ALTER TABLE payments_received  ADD COLUMN IF NOT EXISTS currency      CHAR(3);
+ALTER TABLE payments_received  ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) CHECK (exchange_rate > 0);
+ALTER TABLE purchase_receipts  ADD COLUMN IF NOT EXISTS currency      CHAR(3);
+ALTER TABLE purchase_receipts  ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) CHECK (exchange_rate > 0);
+ALTER TABLE vendor_invoices    ADD COLUMN IF NOT EXISTS currency      CHAR(3);
+ALTER TABLE vendor_invoices    ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) CHECK (exchange_rate > 0);
+ALTER TABLE payments_made      ADD COLUMN IF NOT EXISTS currency      CHAR(3);
+ALTER TABLE payments_made      ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,8) CHECK (exchange_rate > 0);
+
+-- Everything before this migration was in base currency
+UPDATE sales_orders      d SET currency = c.currency_code FROM companies c WHERE c.id = d.company_id AND d.currency IS NULL;
+UPDATE purchase_orders   d SET currency = c.currency_code FROM companies c WHERE c.id = d.company_id AND d.currency IS NULL;
+UPDATE sales_invoices    d SET currency = c.currency_code, exchange_rate = 1 FROM companies c WHERE c.id = d.company_id AND d.currency IS NULL;
+UPDATE credit_memos      d SET currency = c.currency_code, exchange_rate = 1 FROM companies c WHERE c.id = d.company_id AND d.currency IS NULL;
+UPDATE payments_received d SET currency = c.currency_code, exchange_rate = 1 FROM companies c WHERE c.id = d.company_id AND d.currency IS NULL;
+UPDATE purchase_receipts d SET currency = c.currency_code, exchange_rate = 1 FROM companies c WHERE c.id = d.company_id AND d.currency IS NULL;
+UPDATE vendor_invoices   d SET currency = c.currency_code, exchange_rate = 1 FROM companies c WHERE c.id = d.company_id AND d.currency IS NULL;
+UPDATE payments_made     d SET currency = c.currency_code, exchange_rate = 1 FROM companies c WHERE c.id = d.company_id AND d.currency IS NULL;
+
+ALTER TABLE sales_orders      ALTER COLUMN currency SET NOT NULL;
+ALTER TABLE purchase_orders   ALTER COLUMN currency SET NOT NULL;
+ALTER TABLE sales_invoices    ALTER COLUMN currency SET NOT NULL;
+ALTER TABLE credit_memos      ALTER COLUMN currency SET NOT NULL;
+ALTER TABLE payments_received ALTER COLUMN currency SET NOT NULL;
+ALTER TABLE purchase_receipts ALTER COLUMN currency SET NOT NULL;
+ALTER TABLE vendor_invoices   ALTER COLUMN currency SET NOT NULL;
+ALTER TABLE payments_made     ALTER COLUMN currency SET NOT NULL;
+
+-- Rows inserted without a currency are in base currency at a rate of 1.
+-- Foreign-currency receipts and vendor invoices get their rate when posted.
+CREATE OR REPLACE FUNCTION fill_document_currency()
+RETURNS TRIGGER LANGUAGE plpgsql AS $$
+BEGIN
+  IF NEW.currency IS NULL THEN
+    SELECT currency_code INTO NEW.currency FROM companies WHERE id = NEW.company_id;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION fill_document_rate()
+RETURNS TRIGGER LANGUAGE plpgsql AS $$
+DECLARE
+  v_base CHAR(3);
+BEGIN
+  SELECT currency_code INTO v_base FROM companies WHERE id = NEW.company_id;
+  NEW.currency := COALESCE(NEW.currency, v_base);
+  IF NEW.exchange_rate IS NULL AND NEW.currency = v_base THEN
+    NEW.exchange_rate := 1;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DO $$
+DECLARE
+  tbl TEXT;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY['sales_orders', 'purchase_orders'] LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS trg_%s_currency ON %I', tbl, tbl);
+    EXECUTE format('CREATE TRIGGER trg_%s_currency BEFORE INSERT ON %I
+                    FOR EACH ROW EXECUTE FUNCTION fill_document_currency()', tbl, tbl);
+  END LOOP;
+  FOREACH tbl IN ARRAY ARRAY['sales_invoices', 'credit_memos', 'payments_received',
+                             'purchase_receipts', 'vendor_invoices', 'payments_made'] LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS trg_%s_currency ON %I', tbl, tbl);
+    EXECUTE format('CREATE TRIGGER trg_%s_currency BEFORE INSERT ON %I
+                    FOR EACH ROW EXECUTE FUNCTION fill_document_rate()', tbl, tbl);
+  END LOOP;
+END $$;
+
+-- ── Base-currency amounts ─────────────────────────────────────────────────────
+-- Rounded to the cent, as posted; null until the document has a rate.
+ALTER TABLE sales_invoices ADD COLUMN IF NOT EXISTS base_subtotal   NUMERIC(18,2)
+    GENERATED ALWAYS AS (ROUND(subtotal * exchange_rate, 2)) STORED;
+ALTER TABLE sales_invoices ADD COLUMN IF NOT EXISTS base_tax_amount NUMERIC(18,2)
+    GENERATED ALWAYS AS (ROUND(tax_amount * exchange_rate, 2)) STORED;
+ALTER TABLE sales_invoices ADD COLUMN IF NOT EXISTS base_total      NUMERIC(18,2)
+    GENERATED ALWAYS AS (ROUND(subtotal * exchange_rate, 2) + ROUND(tax_amount * exchange_rate, 2)) STORED;
+
+ALTER TABLE credit_memos   ADD COLUMN IF NOT EXISTS base_subtotal   NUMERIC(18,2)
+    GENERATED ALWAYS AS (ROUND(subtotal * exchange_rate, 2)) STORED;
+ALTER TABLE credit_memos   ADD COLUMN IF NOT EXISTS base_tax_amount NUMERIC(18,2)
+    GENERATED ALWAYS AS (ROUND(tax_amount * exchange_rate, 2)) STORED;
+ALTER TABLE credit_memos   ADD COLUMN IF NOT EXISTS base_total      NUMERIC(18,2)
+    GENERATED ALWAYS AS (ROUND(subtotal * exchange_rate, 2) + ROUND(tax_amount * exchange_rate, 2)) STORED;
+
+ALTER TABLE vendor_invoices ADD COLUMN IF NOT EXISTS base_subtotal   NUMERIC(18,2)
+    GENERATED ALWAYS AS (ROUND(subtotal * exchange_rate, 2)) STORED;
+ALTER TABLE vendor_invoices ADD COLUMN IF NOT EXISTS base_tax_amount NUMERIC(18,2)
+    GENERATED ALWAYS AS (ROUND(tax_amount * exchange_rate, 2)) STORED;
+ALTER TABLE vendor_invoices ADD COLUMN IF NOT EXISTS base_total      NUMERIC(18,2)
+    GENERATED ALWAYS AS (ROUND(subtotal * exchange_rate, 2) + ROUND(tax_amount * exchange_rate, 2)) STORED;
+
+ALTER TABLE payments_received ADD COLUMN IF NOT EXISTS base_amount NUMERIC(18,2)
+    GENERATED ALWAYS AS (ROUND(amount * exchange_rate, 2)) STORED;
+ALTER TABLE payments_made     ADD COLUMN IF NOT EXISTS base_amount NUMERIC(18,2)
+    GENERATED ALWAYS AS (ROUND(amount * exchange_rate, 2)) STORED;
+
+-- A receipt line's cost in base currency is what the stock is valued at
+ALTER TABLE purchase_receipt_lines ADD COLUMN IF NOT EXISTS base_unit_cost NUMERIC(14,4);
+UPDATE purchase_receipt_lines l SET base_unit_cost = l.actual_cost
+FROM   purchase_receipts r
+WHERE  r.id = l.receipt_id AND r.status = 'posted' AND l.base_unit_cost IS NULL;
+
+-- ── Unrealized FX revaluations ────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS fx_revaluations (
+    id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id         UUID          NOT NULL DEFAULT current_company_id()
+                                         REFERENCES companies(id) ON DELETE CASCADE,
+    as_of              DATE          NOT NULL,
+    ar_adjustment      NUMERIC(18,2) NOT NULL DEFAULT 0,   -- + raises AR (gain)
+    ap_adjustment      NUMERIC(18,2) NOT NULL DEFAULT 0,   -- + raises AP (loss)
+    document_count     INTEGER       NOT NULL DEFAULT 0,
+    journal_entry_id   UUID          REFERENCES journal_entries(id),
+    reversal_entry_id  UUID          REFERENCES journal_entries(id),
+    created_by         UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at         TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    UNIQUE (company_id, as_of)
+);
+
+-- ── GL: FX gain/loss accounts + mappings ──────────────────────────────────────
+INSERT INTO gl_accounts (account_number, name, type, sub_type, normal_balance, description) VALUES
+  ('4910', 'Realized FX Gain/Loss',   'revenue', NULL, 'credit', 'Exchange differences on settled invoices and payments'),
+  ('4920', 'Unrealized FX Gain/Loss', 'revenue', NULL, 'credit', 'Revaluation of open foreign-currency AR and AP')
+ON CONFLICT (account_number) DO NOTHING;
+
+INSERT INTO gl_account_mappings (company_id, mapping_key, account_id)
+SELECT c.id, m.mapping_key, a.id
+FROM   companies c
+CROSS JOIN (VALUES ('fx_realized', '4910'), ('fx_unrealized', '4920')) AS m(mapping_key, account_number)
+JOIN   gl_accounts a ON a.account_number = m.account_number
+ON CONFLICT (company_id, mapping_key) DO NOTHING;
+
+-- ── Purchase order status view — the PO's currency ────────────────────────────
+CREATE OR REPLACE VIEW v_purchase_order_status AS
+SELECT
+    po.id, po.number, po.status, po.order_date, po.expected_date, po.notes,
+    po.created_at, po.updated_at,
+    p.id   AS vendor_id,
+    p.code AS vendor_code,
+    p.name AS vendor_name,
+    w.code AS warehouse_code,
+    w.id   AS warehouse_id,
+    (SELECT COUNT(*)
+       FROM purchase_order_lines WHERE purchase_order_id = po.id)                AS line_count,
+    (SELECT COALESCE(SUM(qty_ordered),0)
+       FROM purchase_order_lines WHERE purchase_order_id = po.id)                AS total_qty_ordered,
+    (SELECT COALESCE(SUM(qty_received),0)
+       FROM purchase_order_lines WHERE purchase_order_id = po.id)                AS total_qty_received,
+    (SELECT COALESCE(SUM(qty_remaining),0)
+       FROM purchase_order_lines WHERE purchase_order_id = po.id)                AS total_qty_remaining,
+    (SELECT COALESCE(SUM(line_total),0)
+       FROM purchase_order_lines WHERE purchase_order_id = po.id)                AS po_total,
+    po.currency
+FROM purchase_orders po
+JOIN parties    p ON p.id = po.vendor_id
+JOIN warehouses w ON w.id = po.warehouse_id;
+
+-- ── Row-level security ────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  tbl TEXT;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY['exchange_rates', 'fx_revaluations'] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tbl);
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+       TO erp_app
+       USING (company_id = current_company_id())',
+      tbl
+    );
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation_insert ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation_insert ON %I
+       AS PERMISSIVE FOR INSERT
+       TO erp_app
+       WITH CHECK (company_id = current_company_id())',
+      tbl
+    );
+  END LOOP;
+END $$;
@@ -0,0 +1,114 @@
+-- ============================================================
+-- Tick Tock Inc. — Recurring journal entries and accrual reversals
+-- 037_recurring_journals.sql
+--
+-- A recurring template (rent, depreciation, insurance amortization) holds
+-- the lines of a journal entry and a schedule: every N weeks, months,
+-- quarters or years from its start date, optionally until an end date.
+-- lib/recurring-journals.js generates each occurrence that is due, as a
+-- draft or — with auto_post — a posted entry, catching up on missed ones.
+--
+-- A journal entry marked auto_reverse (an accrual) is reversed on the first
+-- day of the next fiscal period when it posts. Generated entries take the
+-- flag from their template.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS recurring_journal_templates (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    name            VARCHAR(100)  NOT NULL,
+    description     TEXT          NOT NULL,            -- the generated entries' description
+    reference       VARCHAR(100),
+    frequency       VARCHAR(10)   NOT NULL
+                                      CHECK (frequency IN ('weekly','monthly','quarterly','yearly')),
+    interval_count  SMALLINT      NOT NULL DEFAULT 1 CHECK (interval_count BETWEEN 1 AND 99),
+    start_date      DATE          NOT NULL,
+    end_date        DATE,
+    run_count       INT           NOT NULL DEFAULT 0,  -- occurrences generated so far
+    next_run_date   DATE,                              -- NULL once the schedule has ended
+    last_run_date   DATE,
+    last_error      TEXT,                              -- why the last scheduled run failed
+    auto_post       BOOLEAN       NOT NULL DEFAULT false,
+    auto_reverse    BOOLEAN       NOT NULL DEFAULT false,
+    is_active       BOOLEAN       NOT NULL DEFAULT true,
+    created_by      UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    updated_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    CHECK (end_date IS NULL OR end_date >= start_date),
+    UNIQUE (company_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS recurring_journal_template_lines (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    template_id     UUID          NOT NULL REFERENCES recurring_journal_templates(id) ON DELETE CASCADE,
+    line_number     INTEGER       NOT NULL,
+    account_id      UUID          NOT NULL REFERENCES gl_accounts(id),
+    description     TEXT,
+    debit           NUMERIC(14,2) NOT NULL DEFAULT 0 CHECK (debit >= 0),
+    credit          NUMERIC(14,2) NOT NULL DEFAULT 0 CHECK (credit >= 0),
+    UNIQUE (template_id, line_number),
+    CHECK (debit > 0 OR credit > 0),
+    CHECK (NOT (debit > 0 AND credit > 0))
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_journals_due
+    ON recurring_journal_templates (company_id, next_run_date) WHERE is_active;
+
+DROP TRIGGER IF EXISTS trg_recurring_journal_templates_updated_at ON recurring_journal_templates;
+CREATE TRIGGER trg_recurring_journal_templates_updated_at
+    BEFORE UPDATE ON recurring_journal_templates
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- ── Journal entries ───────────────────────────────────────────────────────────
+-- Generated entries point at their template (source_type 'recurring_journal'),
+-- reversals at the accrual they reverse (source_type 'accrual_reversal').
+ALTER TABLE journal_entries ADD COLUMN IF NOT EXISTS auto_reverse BOOLEAN NOT NULL DEFAULT false;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_je_recurring_occurrence
+    ON journal_entries (source_id, entry_date)
+    WHERE source_type = 'recurring_journal' AND status <> 'void';
+CREATE UNIQUE INDEX IF NOT EXISTS uq_je_accrual_reversal
+    ON journal_entries (source_id) WHERE source_type = 'accrual_reversal';
+
+-- The scheduler runs outside any request; like webhook_due_companies() this
+-- is the one cross-company read it needs. Each company's templates are then
+-- run under its own tenant.
+CREATE OR REPLACE FUNCTION recurring_journal_due_companies(as_of DATE)
+RETURNS SETOF UUID
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT DISTINCT company_id
+  FROM   recurring_journal_templates
+  WHERE  is_active AND next_run_date <= as_of
+$$;
+
+-- ── Row-level security ────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  tbl TEXT;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY['recurring_journal_templates', 'recurring_journal_template_lines'] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tbl);
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+       TO erp_app
+       USING (company_id = current_company_id())',
+      tbl
+    );
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation_insert ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation_insert ON %I
+       AS PERMISSIVE FOR INSERT
+       TO erp_app
+       WITH CHECK (company_id = current_company_id())',
+      tbl
+    );
+  END LOOP;
+END $$;
@@ -0,0 +1,127 @@
+-- ============================================================
+-- Tick Tock Inc. — Line-level three-way match and match tolerances
+-- 038_invoice_line_match.sql
+--
+-- Vendor invoices carry lines, each matched on its own against its PO line
+-- (price billed vs PO price) and what was received on it (qty billed vs qty
+-- received and not yet billed), within the price / quantity / amount
+-- tolerances of the vendor or, failing that, the company. A line outside
+-- tolerance is disputed with its reasons until it is resolved: the variance
+-- accepted, short-paid, or a credit requested from the vendor and recorded.
+-- lib/invoice-match.js does the matching. Invoices without lines are still
+-- matched on their totals.
+--
+-- The price variance on an approved invoice (billed beyond the receipt value
+-- of what it matched) posts to Purchase Price Variance instead of GRNI.
+-- ============================================================
+
+-- ── Tolerances ────────────────────────────────────────────────────────────────
+-- One company-wide row (vendor_id NULL) and optional per-vendor rows; a NULL
+-- field on a vendor row falls back to the company's, then to the defaults in
+-- lib/invoice-match.js (1% on price, nothing on quantity, no amount cap).
+CREATE TABLE IF NOT EXISTS match_tolerances (
+    id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id          UUID          NOT NULL DEFAULT current_company_id()
+                                          REFERENCES companies(id) ON DELETE CASCADE,
+    vendor_id           UUID          REFERENCES parties(id) ON DELETE CASCADE,
+    price_tolerance_pct NUMERIC(7,3)  CHECK (price_tolerance_pct >= 0),   -- unit price over PO price
+    qty_tolerance_pct   NUMERIC(7,3)  CHECK (qty_tolerance_pct >= 0),     -- qty billed over received
+    amount_tolerance    NUMERIC(14,2) CHECK (amount_tolerance >= 0),      -- per-line variance cap
+    updated_by          UUID          REFERENCES users(id) ON DELETE SET NULL,
+    updated_at          TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_match_tolerances_company
+    ON match_tolerances (company_id) WHERE vendor_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_match_tolerances_vendor
+    ON match_tolerances (company_id, vendor_id) WHERE vendor_id IS NOT NULL;
+
+DROP TRIGGER IF EXISTS trg_match_tolerances_updated_at ON match_tolerances;
+CREATE TRIGGER trg_match_tolerances_updated_at
+    BEFORE UPDATE ON match_tolerances
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+-- ── Vendor invoice lines ──────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS vendor_invoice_lines (
+    id                      UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id              UUID          NOT NULL DEFAULT current_company_id()
+                                              REFERENCES companies(id) ON DELETE CASCADE,
+    vendor_invoice_id       UUID          NOT NULL REFERENCES vendor_invoices(id) ON DELETE CASCADE,
+    line_number             INTEGER       NOT NULL,
+    purchase_order_line_id  UUID          REFERENCES purchase_order_lines(id),
+    receipt_line_id         UUID          REFERENCES purchase_receipt_lines(id),
+    item_id                 UUID          REFERENCES items(id),
+    description             TEXT,
+    qty_billed              NUMERIC(14,4) NOT NULL CHECK (qty_billed > 0),
+    unit_price              NUMERIC(14,4) NOT NULL CHECK (unit_price >= 0),
+    line_total              NUMERIC(14,4) GENERATED ALWAYS AS (qty_billed * unit_price) STORED,
+
+    -- Snapshot of the last match
+    match_status            VARCHAR(15)   NOT NULL DEFAULT 'unmatched'
+                                              CHECK (match_status IN ('unmatched','matched','disputed')),
+    po_unit_cost            NUMERIC(14,4),
+    qty_billable            NUMERIC(14,4),             -- received, less billed on other invoices
+    qty_matched             NUMERIC(14,4),             -- LEAST(qty_billed, qty_billable)
+    received_unit_cost      NUMERIC(14,4),             -- receipt cost, document currency
+    received_base_cost      NUMERIC(14,4),             -- receipt cost, base currency (GRNI)
+    variance_amount         NUMERIC(14,4),             -- billed beyond qty_matched at the lower price
+    dispute_reasons         TEXT[]        NOT NULL DEFAULT '{}',
+    match_notes             TEXT,
+
+    -- Resolution of a disputed line
+    resolution              VARCHAR(20)
+                                CHECK (resolution IN ('accepted','short_paid','credit_requested','credited')),
+    adjustment_amount       NUMERIC(14,4) NOT NULL DEFAULT 0,   -- short-paid or credited off the line
+    credit_reference        VARCHAR(60),                        -- the vendor's credit note
+    resolution_notes        TEXT,
+    resolved_by             UUID          REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at             TIMESTAMPTZ,
+
+    UNIQUE (vendor_invoice_id, line_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_vinv_lines_invoice  ON vendor_invoice_lines (vendor_invoice_id);
+CREATE INDEX IF NOT EXISTS idx_vinv_lines_po_line  ON vendor_invoice_lines (purchase_order_line_id);
+CREATE INDEX IF NOT EXISTS idx_vinv_lines_rcv_line ON vendor_invoice_lines (receipt_line_id);
+
+-- What short-pays and vendor credits took off the billed subtotal; subtotal
+-- and total are what is owed
+ALTER TABLE vendor_invoices ADD COLUMN IF NOT EXISTS adjustment_amount NUMERIC(18,4) NOT NULL DEFAULT 0;
+
+-- ── GL: purchase price variance account + mapping ────────────────────────────
+INSERT INTO gl_accounts (account_number, name, type, sub_type, normal_balance, description) VALUES
+  ('5040', 'Purchase Price Variance', 'cogs', NULL, 'debit', 'Vendor invoices billed above the receipt value')
+ON CONFLICT (account_number) DO NOTHING;
+
+INSERT INTO gl_account_mappings (company_id, mapping_key, account_id)
+SELECT c.id, 'purchase_price_variance', a.id
+FROM   companies c
+JOIN   gl_accounts a ON a.account_number = '5040'
+ON CONFLICT (company_id, mapping_key) DO NOTHING;
+
+-- ── Row-level security ────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  tbl TEXT;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY['match_tolerances', 'vendor_invoice_lines'] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tbl);
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+       TO erp_app
+       USING (company_id = current_company_id())',
+      tbl
+    );
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation_insert ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation_insert ON %I
+       AS PERMISSIVE FOR INSERT
+       TO erp_app
+       WITH CHECK (company_id = current_company_id())',
+      tbl
+    );
+  END LOOP;
+END $$;
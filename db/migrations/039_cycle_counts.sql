@@ -0,0 +1,132 @@
+-- ============================================================
+-- Tick Tock Inc. — Cycle counting with ABC classification
+-- 039_cycle_counts.sql
+--
+-- Items are classed A/B/C by their sales value over the last year (the
+-- shipments behind /api/analytics/top-items): A items make up the first 80%
+-- of it, B the next 15%, C the rest. Each class is counted every so many
+-- days. A schedule run turns the items due in a warehouse into cycle counts,
+-- one per day. Starting a count freezes what the system expects; counters
+-- then record what they find without seeing it (a blind count). Approved
+-- variances become a posted stock adjustment, each line with a reason code.
+--
+-- Classes and reason codes are configured per company in
+-- cycle_count_classes and adjustment_reason_codes; a company without rows
+-- uses the defaults in lib/cycle-counts.js and lib/adjustments.js.
+-- ============================================================
+
+INSERT INTO document_types (doc_type, name, prefix, format, padding, reset_period, gap_free) VALUES
+  ('cycle_count', 'Cycle Count', 'CC', '{PREFIX}-{YYYY}-{SEQ}', 5, 'yearly', false)
+ON CONFLICT (doc_type) DO NOTHING;
+
+-- ── ABC classification ────────────────────────────────────────────────────────
+-- value_pct: the cumulative share of sales value the class reaches up to
+CREATE TABLE IF NOT EXISTS cycle_count_classes (
+    id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id          UUID          NOT NULL DEFAULT current_company_id()
+                                          REFERENCES companies(id) ON DELETE CASCADE,
+    abc_class           CHAR(1)       NOT NULL CHECK (abc_class IN ('A','B','C')),
+    value_pct           NUMERIC(5,2)  NOT NULL CHECK (value_pct > 0 AND value_pct <= 100),
+    count_interval_days INT           NOT NULL CHECK (count_interval_days > 0),
+    updated_by          UUID          REFERENCES users(id) ON DELETE SET NULL,
+    updated_at          TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    UNIQUE (company_id, abc_class)
+);
+
+ALTER TABLE items ADD COLUMN IF NOT EXISTS abc_class         CHAR(1) CHECK (abc_class IN ('A','B','C'));
+ALTER TABLE items ADD COLUMN IF NOT EXISTS abc_sales_value   NUMERIC(14,2);
+ALTER TABLE items ADD COLUMN IF NOT EXISTS abc_classified_at TIMESTAMPTZ;
+
+-- ── Reason codes ──────────────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS adjustment_reason_codes (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    code            VARCHAR(20)   NOT NULL,
+    name            VARCHAR(100)  NOT NULL,
+    updated_by      UUID          REFERENCES users(id) ON DELETE SET NULL,
+    updated_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    UNIQUE (company_id, code)
+);
+
+ALTER TABLE stock_adjustments      ADD COLUMN IF NOT EXISTS reason_code VARCHAR(20);
+ALTER TABLE stock_adjustment_lines ADD COLUMN IF NOT EXISTS reason_code VARCHAR(20);
+
+-- ── Cycle counts ──────────────────────────────────────────────────────────────
+-- scheduled → in_progress (expected quantities frozen) → counted (every line
+-- counted) → closed (variances approved, adjustment posted); or cancelled
+CREATE TABLE IF NOT EXISTS cycle_counts (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    number          VARCHAR(30)   NOT NULL,
+    warehouse_id    UUID          NOT NULL REFERENCES warehouses(id),
+    scheduled_date  DATE          NOT NULL,
+    status          VARCHAR(15)   NOT NULL DEFAULT 'scheduled'
+                                      CHECK (status IN ('scheduled','in_progress','counted','closed','cancelled')),
+    notes           TEXT,
+    started_at      TIMESTAMPTZ,
+    started_by      UUID          REFERENCES users(id) ON DELETE SET NULL,
+    counted_at      TIMESTAMPTZ,
+    closed_at       TIMESTAMPTZ,
+    approved_by     UUID          REFERENCES users(id) ON DELETE SET NULL,
+    adjustment_id   UUID          REFERENCES stock_adjustments(id),
+    created_by      UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    UNIQUE (company_id, number)
+);
+
+-- One line per item, or per lot of a lot-tracked item once the count starts.
+-- qty_expected and unit_cost are frozen when the count starts.
+CREATE TABLE IF NOT EXISTS cycle_count_lines (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    cycle_count_id  UUID          NOT NULL REFERENCES cycle_counts(id) ON DELETE CASCADE,
+    item_id         UUID          NOT NULL REFERENCES items(id),
+    lot_number      VARCHAR(50),
+    abc_class       CHAR(1),
+    qty_expected    NUMERIC(14,4),
+    unit_cost       NUMERIC(14,4),
+    qty_counted     NUMERIC(14,4) CHECK (qty_counted >= 0),
+    qty_variance    NUMERIC(14,4) GENERATED ALWAYS AS (qty_counted - qty_expected) STORED,
+    counted_by      UUID          REFERENCES users(id) ON DELETE SET NULL,
+    counted_at      TIMESTAMPTZ,
+    approved        BOOLEAN,                   -- NULL until the count is approved
+    reason_code     VARCHAR(20),
+    notes           TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_cycle_count_lines_item
+    ON cycle_count_lines (cycle_count_id, item_id, COALESCE(lot_number, ''));
+CREATE INDEX IF NOT EXISTS idx_cycle_counts_warehouse ON cycle_counts (company_id, warehouse_id, status);
+CREATE INDEX IF NOT EXISTS idx_cycle_count_lines_item ON cycle_count_lines (item_id);
+
+ALTER TABLE stock_adjustments ADD COLUMN IF NOT EXISTS cycle_count_id UUID REFERENCES cycle_counts(id);
+
+-- ── Row-level security ────────────────────────────────────────────────────────
+DO $$
+DECLARE
+  tbl TEXT;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY['cycle_count_classes', 'adjustment_reason_codes', 'cycle_counts', 'cycle_count_lines'] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tbl);
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+       TO erp_app
+       USING (company_id = current_company_id())',
+      tbl
+    );
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation_insert ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation_insert ON %I
+       AS PERMISSIVE FOR INSERT
+       TO erp_app
+       WITH CHECK (company_id = current_company_id())',
+      tbl
+    );
+  END LOOP;
+END $$;
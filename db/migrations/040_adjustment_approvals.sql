@@ -0,0 +1,41 @@
+-- ============================================================
+-- Tick Tock Inc. — Stock adjustment approvals
+-- 040_adjustment_approvals.sql
+--
+-- Every adjustment line carries a reason code. Posting an adjustment worth
+-- more than the company's adjustment_approval_threshold preference, or whose
+-- lines under a reason code are worth more than that code's
+-- approval_threshold, needs an admin or manager: anyone else's post puts it
+-- in pending_approval, where it waits in the approval queue
+-- (GET /api/adjustments/approvals) to be approved (posted) or rejected with
+-- a comment. The worth is the gross value of the differences, gains and
+-- losses alike, at the lines' cost (lib/adjustments.js).
+-- ============================================================
+
+ALTER TABLE stock_adjustments DROP CONSTRAINT IF EXISTS stock_adjustments_status_check;
+ALTER TABLE stock_adjustments ADD CONSTRAINT stock_adjustments_status_check
+    CHECK (status IN ('draft','pending_approval','posted','rejected','cancelled'));
+
+-- What the check saw when the adjustment was submitted, and who decided
+ALTER TABLE stock_adjustments ADD COLUMN IF NOT EXISTS approval_value   NUMERIC(14,2);
+ALTER TABLE stock_adjustments ADD COLUMN IF NOT EXISTS approval_reasons TEXT[];
+ALTER TABLE stock_adjustments ADD COLUMN IF NOT EXISTS submitted_by     UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE stock_adjustments ADD COLUMN IF NOT EXISTS submitted_at     TIMESTAMPTZ;
+ALTER TABLE stock_adjustments ADD COLUMN IF NOT EXISTS reviewed_by      UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE stock_adjustments ADD COLUMN IF NOT EXISTS reviewed_at      TIMESTAMPTZ;
+ALTER TABLE stock_adjustments ADD COLUMN IF NOT EXISTS review_comment   TEXT;
+
+-- NULL: the code has no threshold of its own
+ALTER TABLE adjustment_reason_codes ADD COLUMN IF NOT EXISTS approval_threshold NUMERIC(14,2)
+    CHECK (approval_threshold >= 0);
+
+-- Company threshold. Empty turns approvals off. Companies without the row get
+-- the same default from lib/adjustments.js.
+INSERT INTO company_preferences (company_id, key, value, description)
+SELECT c.id, 'adjustment_approval_threshold', '1000',
+       'Stock adjustments worth more than this need a manager or admin to post them (empty = no approvals)'
+FROM   companies c
+ON CONFLICT (company_id, key) DO NOTHING;
+
+CREATE INDEX IF NOT EXISTS idx_stock_adj_pending ON stock_adjustments (company_id, submitted_at)
+    WHERE status = 'pending_approval';
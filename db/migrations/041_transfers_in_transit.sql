@@ -0,0 +1,175 @@
+-- ============================================================
+-- Tick Tock Inc. — Two-step transfers and in-transit stock
+-- 041_transfers_in_transit.sql
+--
+-- A transfer can now be shipped and received separately:
+--   draft → in_transit (shipped: stock leaves the source for the company's
+--   transit warehouse, with carrier and tracking) → partially_received →
+--   received (every unit arrived, or the rest written off on closing).
+-- POST /api/transfers/:id/post still moves a draft in one step (posted).
+--
+-- The transit warehouse (warehouses.is_transit, one per company) is created
+-- the first time a company ships a transfer. Its stock counts in inventory
+-- value but is never available. v_stock_availability gains qty_in_transit:
+-- what is on its way to each warehouse. A transfer closed short writes the
+-- missing units off through a stock adjustment on the transit warehouse, and
+-- the shortfall stays on the transfer lines (qty_short) as the record of
+-- shrink between warehouses.
+-- ============================================================
+
+ALTER TABLE warehouses ADD COLUMN IF NOT EXISTS is_transit BOOLEAN NOT NULL DEFAULT false;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_warehouses_transit ON warehouses (company_id) WHERE is_transit;
+
+ALTER TABLE stock_transfers ALTER COLUMN status TYPE VARCHAR(20);
+ALTER TABLE stock_transfers DROP CONSTRAINT IF EXISTS stock_transfers_status_check;
+ALTER TABLE stock_transfers ADD CONSTRAINT stock_transfers_status_check
+    CHECK (status IN ('draft','in_transit','partially_received','received','posted','cancelled'));
+
+ALTER TABLE stock_transfers ADD COLUMN IF NOT EXISTS transit_warehouse_id   UUID REFERENCES warehouses(id);
+ALTER TABLE stock_transfers ADD COLUMN IF NOT EXISTS carrier                VARCHAR(10) REFERENCES shipping_carriers(code);
+ALTER TABLE stock_transfers ADD COLUMN IF NOT EXISTS tracking_number        VARCHAR(100);
+ALTER TABLE stock_transfers ADD COLUMN IF NOT EXISTS shipped_date           DATE;
+ALTER TABLE stock_transfers ADD COLUMN IF NOT EXISTS shipped_by             UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE stock_transfers ADD COLUMN IF NOT EXISTS received_date          DATE;   -- the last receipt
+ALTER TABLE stock_transfers ADD COLUMN IF NOT EXISTS closed_by              UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE stock_transfers ADD COLUMN IF NOT EXISTS closed_at              TIMESTAMPTZ;
+ALTER TABLE stock_transfers ADD COLUMN IF NOT EXISTS close_notes            TEXT;
+ALTER TABLE stock_transfers ADD COLUMN IF NOT EXISTS shortage_adjustment_id UUID REFERENCES stock_adjustments(id);
+
+ALTER TABLE stock_transfer_lines ADD COLUMN IF NOT EXISTS qty_shipped  NUMERIC(14,4) NOT NULL DEFAULT 0;
+ALTER TABLE stock_transfer_lines ADD COLUMN IF NOT EXISTS qty_received NUMERIC(14,4) NOT NULL DEFAULT 0;
+ALTER TABLE stock_transfer_lines ADD COLUMN IF NOT EXISTS qty_short    NUMERIC(14,4) NOT NULL DEFAULT 0;
+ALTER TABLE stock_transfer_lines DROP CONSTRAINT IF EXISTS chk_transfer_line_arrived;
+ALTER TABLE stock_transfer_lines ADD CONSTRAINT chk_transfer_line_arrived
+    CHECK (qty_received >= 0 AND qty_short >= 0 AND qty_received + qty_short <= qty_shipped);
+
+-- Transfers posted in one step shipped and received everything
+UPDATE stock_transfer_lines l SET qty_shipped = l.qty, qty_received = l.qty
+FROM   stock_transfers t
+WHERE  t.id = l.transfer_id AND t.status = 'posted' AND l.qty_shipped = 0;
+
+-- One row per receipt against a shipped transfer
+CREATE TABLE IF NOT EXISTS stock_transfer_receipts (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    transfer_id     UUID          NOT NULL REFERENCES stock_transfers(id) ON DELETE CASCADE,
+    received_date   DATE          NOT NULL,
+    notes           TEXT,
+    received_by     UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS stock_transfer_receipt_lines (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    receipt_id      UUID          NOT NULL REFERENCES stock_transfer_receipts(id) ON DELETE CASCADE,
+    transfer_line_id UUID         NOT NULL REFERENCES stock_transfer_lines(id) ON DELETE CASCADE,
+    qty_received    NUMERIC(14,4) NOT NULL CHECK (qty_received > 0),
+    notes           TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_transfer_receipts_transfer ON stock_transfer_receipts (transfer_id);
+CREATE INDEX IF NOT EXISTS idx_transfer_receipt_lines     ON stock_transfer_receipt_lines (receipt_id);
+
+DO $$
+DECLARE
+  tbl TEXT;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY['stock_transfer_receipts', 'stock_transfer_receipt_lines'] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tbl);
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+       TO erp_app
+       USING (company_id = current_company_id())',
+      tbl
+    );
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation_insert ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation_insert ON %I
+       AS PERMISSIVE FOR INSERT
+       TO erp_app
+       WITH CHECK (company_id = current_company_id())',
+      tbl
+    );
+  END LOOP;
+END $$;
+
+-- ── Availability with in-transit stock ───────────────────────────────────────
+-- qty_in_transit: shipped to the warehouse and neither received nor written
+-- off yet. Stock sitting in the transit warehouse is never available. A
+-- warehouse with stock on its way but none on hand gets a row of its own.
+CREATE OR REPLACE VIEW v_stock_availability WITH (security_invoker = true) AS
+WITH res AS (
+  SELECT company_id, item_id, warehouse_id, SUM(qty_reserved) AS qty_reserved
+  FROM   stock_reservations
+  WHERE  status = 'active'
+  GROUP  BY company_id, item_id, warehouse_id
+),
+transit AS (
+  SELECT st.company_id, stl.item_id, st.to_warehouse_id AS warehouse_id,
+         SUM(stl.qty_shipped - stl.qty_received - stl.qty_short) AS qty_in_transit
+  FROM   stock_transfer_lines stl
+  JOIN   stock_transfers st ON st.id = stl.transfer_id
+  WHERE  st.status IN ('in_transit','partially_received')
+  GROUP  BY st.company_id, stl.item_id, st.to_warehouse_id
+  HAVING SUM(stl.qty_shipped - stl.qty_received - stl.qty_short) > 0
+)
+SELECT
+  soh.company_id,
+  soh.item_id,
+  soh.warehouse_id,
+  soh.item_code,
+  soh.item_name,
+  soh.category,
+  soh.unit_of_measure,
+  soh.standard_cost,
+  soh.sale_price,
+  soh.reorder_point,
+  soh.reorder_qty,
+  soh.warehouse_code,
+  soh.warehouse_name,
+  soh.qty_on_hand,
+  soh.total_cost_value,
+  COALESCE(res.qty_reserved, 0)                                     AS qty_committed,
+  CASE WHEN w.is_transit THEN 0
+       ELSE GREATEST(soh.qty_on_hand - COALESCE(res.qty_reserved, 0), 0)
+  END                                                               AS qty_available,
+  soh.total_cost,
+  soh.stock_status,
+  COALESCE(t.qty_in_transit, 0)                                     AS qty_in_transit
+FROM v_stock_on_hand soh
+JOIN warehouses w    ON w.id = soh.warehouse_id
+LEFT JOIN res        ON res.company_id = soh.company_id AND res.item_id = soh.item_id
+                    AND res.warehouse_id = soh.warehouse_id
+LEFT JOIN transit t  ON t.company_id = soh.company_id AND t.item_id = soh.item_id
+                    AND t.warehouse_id = soh.warehouse_id
+UNION ALL
+SELECT
+  t.company_id,
+  t.item_id,
+  t.warehouse_id,
+  i.code, i.name, i.category, i.unit_of_measure, i.standard_cost, i.sale_price,
+  i.reorder_point, i.reorder_qty,
+  w.code, w.name,
+  0, 0, 0, 0, 0,
+  'out_of_stock',
+  t.qty_in_transit
+FROM transit t
+JOIN items      i ON i.id = t.item_id
+JOIN warehouses w ON w.id = t.warehouse_id
+WHERE NOT EXISTS (
+  SELECT 1 FROM stock_ledger sl WHERE sl.item_id = t.item_id AND sl.warehouse_id = t.warehouse_id
+);
+
+-- The transit warehouse has no reorder point of its own to fall below
+CREATE OR REPLACE VIEW v_reorder_alerts WITH (security_invoker = true) AS
+SELECT a.*
+FROM   v_stock_availability a
+JOIN   warehouses w ON w.id = a.warehouse_id
+WHERE  a.qty_available <= a.reorder_point
+  AND  NOT w.is_transit;
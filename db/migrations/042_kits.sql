@@ -0,0 +1,125 @@
+-- ============================================================
+-- Tick Tock Inc. — Kits, bundles and assembly orders
+-- 042_kits.sql
+--
+-- A kit item (items.kit_type) has a bill of materials in item_components:
+-- so many of each component per kit. There are two kinds:
+--
+--   bundle    never stocked. A sales order line for it is exploded into its
+--             components when the order is entered; the components are
+--             reserved and shipped, and the bundle is what the customer is
+--             invoiced for (a watch + strap + box gift set).
+--   assembly  stocked like any item. Assembly orders consume the components
+--             and put finished kits on the shelf at what the components
+--             cost; disassembly orders break kits back into components.
+--
+-- Assembly orders move stock through stock_ledger only — inventory stays
+-- inventory, so no journal entry is posted.
+-- ============================================================
+
+INSERT INTO document_types (doc_type, name, prefix, format, padding, reset_period, gap_free) VALUES
+  ('assembly_order', 'Assembly Order', 'ASM', '{PREFIX}-{YYYY}-{SEQ}', 5, 'yearly', false)
+ON CONFLICT (doc_type) DO NOTHING;
+
+ALTER TABLE items ADD COLUMN IF NOT EXISTS kit_type VARCHAR(10) CHECK (kit_type IN ('bundle','assembly'));
+
+-- ── Bills of materials ───────────────────────────────────────────────────────
+CREATE TABLE IF NOT EXISTS item_components (
+    id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id          UUID          NOT NULL DEFAULT current_company_id()
+                                          REFERENCES companies(id) ON DELETE CASCADE,
+    kit_item_id         UUID          NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+    component_item_id   UUID          NOT NULL REFERENCES items(id),
+    qty                 NUMERIC(14,4) NOT NULL CHECK (qty > 0),
+    sort_order          INT           NOT NULL DEFAULT 0,
+    notes               TEXT,
+    UNIQUE (kit_item_id, component_item_id),
+    CHECK (kit_item_id <> component_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_components_component ON item_components (component_item_id);
+
+-- ── Bundle lines exploded on sales orders ────────────────────────────────────
+-- Frozen when the order is entered, so a later change to the bill of
+-- materials does not change what an open order ships.
+CREATE TABLE IF NOT EXISTS sales_order_line_components (
+    id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id          UUID          NOT NULL DEFAULT current_company_id()
+                                          REFERENCES companies(id) ON DELETE CASCADE,
+    sales_order_line_id UUID          NOT NULL REFERENCES sales_order_lines(id) ON DELETE CASCADE,
+    component_item_id   UUID          NOT NULL REFERENCES items(id),
+    qty_per             NUMERIC(14,4) NOT NULL CHECK (qty_per > 0),
+    qty_required        NUMERIC(14,4) NOT NULL CHECK (qty_required > 0),
+    qty_shipped         NUMERIC(14,4) NOT NULL DEFAULT 0,
+    sort_order          INT           NOT NULL DEFAULT 0,
+    UNIQUE (sales_order_line_id, component_item_id)
+);
+
+-- ── Assembly orders ──────────────────────────────────────────────────────────
+-- draft → posted, or cancelled. unit_cost is the cost of one kit: what the
+-- components cost on an assembly, what the kits cost on a disassembly.
+CREATE TABLE IF NOT EXISTS assembly_orders (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id      UUID          NOT NULL DEFAULT current_company_id()
+                                      REFERENCES companies(id) ON DELETE CASCADE,
+    number          VARCHAR(30)   NOT NULL,
+    order_type      VARCHAR(12)   NOT NULL DEFAULT 'assembly'
+                                      CHECK (order_type IN ('assembly','disassembly')),
+    kit_item_id     UUID          NOT NULL REFERENCES items(id),
+    warehouse_id    UUID          NOT NULL REFERENCES warehouses(id),
+    qty             NUMERIC(14,4) NOT NULL CHECK (qty > 0),
+    order_date      DATE          NOT NULL DEFAULT CURRENT_DATE,
+    status          VARCHAR(10)   NOT NULL DEFAULT 'draft'
+                                      CHECK (status IN ('draft','posted','cancelled')),
+    unit_cost       NUMERIC(14,4),
+    notes           TEXT,
+    created_by      UUID          REFERENCES users(id) ON DELETE SET NULL,
+    created_at      TIMESTAMPTZ   NOT NULL DEFAULT NOW(),
+    posted_by       UUID          REFERENCES users(id) ON DELETE SET NULL,
+    posted_at       TIMESTAMPTZ,
+    UNIQUE (company_id, number)
+);
+
+-- The bill of materials as of the order, scaled to its quantity
+CREATE TABLE IF NOT EXISTS assembly_order_lines (
+    id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id          UUID          NOT NULL DEFAULT current_company_id()
+                                          REFERENCES companies(id) ON DELETE CASCADE,
+    assembly_order_id   UUID          NOT NULL REFERENCES assembly_orders(id) ON DELETE CASCADE,
+    line_number         INT           NOT NULL,
+    component_item_id   UUID          NOT NULL REFERENCES items(id),
+    qty_per             NUMERIC(14,4) NOT NULL CHECK (qty_per > 0),
+    qty                 NUMERIC(14,4) NOT NULL CHECK (qty > 0),
+    cost_per_unit       NUMERIC(14,4),
+    UNIQUE (assembly_order_id, component_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assembly_orders_kit   ON assembly_orders (kit_item_id);
+CREATE INDEX IF NOT EXISTS idx_assembly_order_lines  ON assembly_order_lines (assembly_order_id);
+
+DO $$
+DECLARE
+  tbl TEXT;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY['item_components', 'sales_order_line_components',
+                             'assembly_orders', 'assembly_order_lines'] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tbl);
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+       TO erp_app
+       USING (company_id = current_company_id())',
+      tbl
+    );
+
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation_insert ON %I', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation_insert ON %I
+       AS PERMISSIVE FOR INSERT
+       TO erp_app
+       WITH CHECK (company_id = current_company_id())',
+      tbl
+    );
+  END LOOP;
+END $$;
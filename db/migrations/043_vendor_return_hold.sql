@@ -0,0 +1,99 @@
+-- ============================================================
+-- Tick Tock Inc. — Customer returns held for the vendor
+-- 043_vendor_return_hold.sql
+--
+-- Units a customer sends back that are inspected as vendor_return are not
+-- restocked: they go to the company's vendor-returns warehouse
+-- (warehouses.is_vendor_return, one per company, created the first time a
+-- return needs it) and wait there until POST /api/returns/:id/vendor-return
+-- sends them back. Like the transit warehouse, its stock counts in inventory
+-- value but is never available, and only returns move stock in or out of it.
+-- ============================================================
+
+ALTER TABLE warehouses ADD COLUMN IF NOT EXISTS is_vendor_return BOOLEAN NOT NULL DEFAULT false;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_warehouses_vendor_return ON warehouses (company_id) WHERE is_vendor_return;
+
+ALTER TABLE sales_returns ADD COLUMN IF NOT EXISTS vendor_returned_date DATE;
+ALTER TABLE sales_returns ADD COLUMN IF NOT EXISTS vendor_returned_by   UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- A serial sent back to the vendor leaves stock for good
+ALTER TABLE serial_numbers DROP CONSTRAINT IF EXISTS serial_numbers_status_check;
+ALTER TABLE serial_numbers ADD CONSTRAINT serial_numbers_status_check
+    CHECK (status IN ('in_stock','picked','shipped','scrapped','vendor_returned'));
+ALTER TABLE serial_number_events DROP CONSTRAINT IF EXISTS serial_number_events_event_type_check;
+ALTER TABLE serial_number_events ADD CONSTRAINT serial_number_events_event_type_check
+    CHECK (event_type IN ('registered','received','transferred','picked',
+                          'unpicked','shipped','returned','scrapped','vendor_returned'));
+
+-- ── Availability ──────────────────────────────────────────────────────────────
+-- As in 041, with the vendor-returns warehouse never available either
+CREATE OR REPLACE VIEW v_stock_availability WITH (security_invoker = true) AS
+WITH res AS (
+  SELECT company_id, item_id, warehouse_id, SUM(qty_reserved) AS qty_reserved
+  FROM   stock_reservations
+  WHERE  status = 'active'
+  GROUP  BY company_id, item_id, warehouse_id
+),
+transit AS (
+  SELECT st.company_id, stl.item_id, st.to_warehouse_id AS warehouse_id,
+         SUM(stl.qty_shipped - stl.qty_received - stl.qty_short) AS qty_in_transit
+  FROM   stock_transfer_lines stl
+  JOIN   stock_transfers st ON st.id = stl.transfer_id
+  WHERE  st.status IN ('in_transit','partially_received')
+  GROUP  BY st.company_id, stl.item_id, st.to_warehouse_id
+  HAVING SUM(stl.qty_shipped - stl.qty_received - stl.qty_short) > 0
+)
+SELECT
+  soh.company_id,
+  soh.item_id,
+  soh.warehouse_id,
+  soh.item_code,
+  soh.item_name,
+  soh.category,
+  soh.unit_of_measure,
+  soh.standard_cost,
+  soh.sale_price,
+  soh.reorder_point,
+  soh.reorder_qty,
+  soh.warehouse_code,
+  soh.warehouse_name,
+  soh.qty_on_hand,
+  soh.total_cost_value,
+  COALESCE(res.qty_reserved, 0)                                     AS qty_committed,
+  CASE WHEN w.is_transit OR w.is_vendor_return THEN 0
+       ELSE GREATEST(soh.qty_on_hand - COALESCE(res.qty_reserved, 0), 0)
+  END                                                               AS qty_available,
+  soh.total_cost,
+  soh.stock_status,
+  COALESCE(t.qty_in_transit, 0)                                     AS qty_in_transit
+FROM v_stock_on_hand soh
+JOIN warehouses w    ON w.id = soh.warehouse_id
+LEFT JOIN res        ON res.company_id = soh.company_id AND res.item_id = soh.item_id
+                    AND res.warehouse_id = soh.warehouse_id
+LEFT JOIN transit t  ON t.company_id = soh.company_id AND t.item_id = soh.item_id
+                    AND t.warehouse_id = soh.warehouse_id
+UNION ALL
+SELECT
+  t.company_id,
+  t.item_id,
+  t.warehouse_id,
+  i.code, i.name, i.category, i.unit_of_measure, i.standard_cost, i.sale_price,
+  i.reorder_point, i.reorder_qty,
+  w.code, w.name,
+  0, 0, 0, 0, 0,
+  'out_of_stock',
+  t.qty_in_transit
+FROM transit t
+JOIN items      i ON i.id = t.item_id
+JOIN warehouses w ON w.id = t.warehouse_id
+WHERE NOT EXISTS (
+  SELECT 1 FROM stock_ledger sl WHERE sl.item_id = t.item_id AND sl.warehouse_id = t.warehouse_id
+);
+
+CREATE OR REPLACE VIEW v_reorder_alerts WITH (security_invoker = true) AS
+SELECT a.*
+FROM   v_stock_availability a
+JOIN   warehouses w ON w.id = a.warehouse_id
+WHERE  a.qty_available <= a.reorder_point
+  AND  NOT w.is_transit
+  AND  NOT w.is_vendor_return;
@@ -0,0 +1,64 @@
+-- ============================================================
+-- Tick Tock Inc. — Same-company foreign keys for tables added since 025
+-- 044_tenant_foreign_keys.sql
+--
+-- 025 turned every foreign key between two tenant tables into a
+-- (company_id, id) pair, so a row can only point at rows of its own company
+-- (FK checks do not go through RLS). The tables added since — webhooks,
+-- credit holds, email, dunning, bank reconciliation, fiscal year closes, FX
+-- revaluations, recurring journals, invoice line matching, cycle counts,
+-- transfer receipts, kits and assembly orders — were created with plain
+-- single-column keys. This runs 025's step 6 again over the whole schema:
+-- parents get UNIQUE (company_id, id), and child.x_id → parent(id) becomes
+-- (company_id, x_id) → parent(company_id, id) with the same ON DELETE action.
+-- NOT VALID, as in 025: enforced for new and updated rows without re-checking
+-- history.
+--
+-- Tenant tables added from here on declare their keys this way from the start.
+-- ============================================================
+
+DO $$
+DECLARE
+  r        RECORD;
+  on_del   TEXT;
+BEGIN
+  FOR r IN
+    SELECT c.conname,
+           c.conrelid::regclass::text  AS child,
+           c.confrelid::regclass::text AS parent,
+           a.attname                   AS col,
+           c.confdeltype
+    FROM   pg_constraint c
+    JOIN   pg_attribute a  ON a.attrelid  = c.conrelid  AND a.attnum  = c.conkey[1]
+    JOIN   pg_attribute pa ON pa.attrelid = c.confrelid AND pa.attnum = c.confkey[1]
+    WHERE  c.contype = 'f'
+      AND  c.connamespace = 'public'::regnamespace
+      AND  array_length(c.conkey, 1) = 1
+      AND  pa.attname = 'id'
+      AND  a.attname <> 'company_id'
+      AND  EXISTS (SELECT 1 FROM pg_attribute x WHERE x.attrelid = c.conrelid  AND x.attname = 'company_id' AND NOT x.attisdropped)
+      AND  EXISTS (SELECT 1 FROM pg_attribute x WHERE x.attrelid = c.confrelid AND x.attname = 'company_id' AND NOT x.attisdropped)
+  LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_constraint
+      WHERE conrelid = r.parent::regclass AND conname = r.parent || '_company_id_id_key'
+    ) THEN
+      EXECUTE format('ALTER TABLE %I ADD CONSTRAINT %I UNIQUE (company_id, id)',
+                     r.parent, r.parent || '_company_id_id_key');
+    END IF;
+
+    on_del := CASE r.confdeltype
+                WHEN 'c' THEN 'ON DELETE CASCADE'
+                WHEN 'n' THEN format('ON DELETE SET NULL (%I)', r.col)
+                WHEN 'r' THEN 'ON DELETE RESTRICT'
+                ELSE ''
+              END;
+
+    EXECUTE format('ALTER TABLE %I DROP CONSTRAINT %I', r.child, r.conname);
+    EXECUTE format(
+      'ALTER TABLE %I ADD CONSTRAINT %I FOREIGN KEY (company_id, %I)
+       REFERENCES %I (company_id, id) %s NOT VALID',
+      r.child, r.conname, r.col, r.parent, on_del
+    );
+  END LOOP;
+END $$;
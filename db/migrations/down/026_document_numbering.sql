@@ -0,0 +1,16 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 026_document_numbering.sql
+--
+-- Drops the per-company counters and restores the company_settings counter
+-- columns 007 created (at their defaults — the counters were never used).
+-- Code from before 026 numbers documents from the highest existing number.
+-- ============================================================
+
+DROP TABLE IF EXISTS document_sequences;
+DROP TABLE IF EXISTS document_types;
+
+ALTER TABLE company_settings
+  ADD COLUMN IF NOT EXISTS next_so_number      INT NOT NULL DEFAULT 1000,
+  ADD COLUMN IF NOT EXISTS next_po_number      INT NOT NULL DEFAULT 1000,
+  ADD COLUMN IF NOT EXISTS next_invoice_number INT NOT NULL DEFAULT 1000,
+  ADD COLUMN IF NOT EXISTS next_adj_number     INT NOT NULL DEFAULT 1;
@@ -0,0 +1,168 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 027_view_repairs.sql
+--
+-- Puts back the stock views 001 and 003 built (no company_id) and the views
+-- reading them, and drops v_customer_health.
+-- ============================================================
+
+DROP VIEW IF EXISTS v_customer_health;
+DROP VIEW IF EXISTS v_sales_velocity;
+DROP VIEW IF EXISTS v_reorder_suggestions;
+DROP VIEW IF EXISTS v_reorder_alerts;
+DROP VIEW IF EXISTS v_stock_availability;
+DROP VIEW IF EXISTS v_stock_on_hand;
+
+CREATE VIEW v_stock_on_hand WITH (security_invoker = true) AS
+SELECT
+    sl.item_id,
+    sl.warehouse_id,
+    i.code      AS item_code,
+    i.name      AS item_name,
+    i.category,
+    i.unit_of_measure,
+    i.standard_cost,
+    i.sale_price,
+    i.reorder_point,
+    i.reorder_qty,
+    w.code      AS warehouse_code,
+    w.name      AS warehouse_name,
+    COALESCE(SUM(sl.qty), 0)                      AS qty_on_hand,
+    COALESCE(SUM(sl.qty * sl.cost_per_unit), 0)   AS total_cost_value
+FROM stock_ledger sl
+JOIN items      i ON i.id = sl.item_id
+JOIN warehouses w ON w.id = sl.warehouse_id
+GROUP BY sl.item_id, sl.warehouse_id, i.code, i.name, i.category,
+         i.unit_of_measure, i.standard_cost, i.sale_price,
+         i.reorder_point, i.reorder_qty, w.code, w.name;
+
+CREATE VIEW v_stock_availability WITH (security_invoker = true) AS
+SELECT
+    soh.item_id,
+    soh.warehouse_id,
+    soh.item_code,
+    soh.item_name,
+    soh.category,
+    soh.unit_of_measure,
+    soh.standard_cost,
+    soh.sale_price,
+    soh.reorder_point,
+    soh.reorder_qty,
+    soh.warehouse_code,
+    soh.warehouse_name,
+    soh.qty_on_hand,
+    soh.total_cost_value,
+    COALESCE(r.qty_committed, 0)                                    AS qty_committed,
+    soh.qty_on_hand - COALESCE(r.qty_committed, 0)                 AS qty_available
+FROM v_stock_on_hand soh
+LEFT JOIN (
+    SELECT item_id, warehouse_id, SUM(qty_reserved) AS qty_committed
+    FROM stock_reservations
+    WHERE status = 'active'
+    GROUP BY item_id, warehouse_id
+) r ON r.item_id = soh.item_id AND r.warehouse_id = soh.warehouse_id;
+
+CREATE VIEW v_reorder_alerts WITH (security_invoker = true) AS
+SELECT *
+FROM v_stock_availability
+WHERE qty_available <= reorder_point;
+
+CREATE VIEW v_reorder_suggestions WITH (security_invoker = true) AS
+SELECT
+    i.id              AS item_id,
+    i.code            AS item_code,
+    i.name            AS item_name,
+    i.category,
+    i.reorder_point,
+    i.reorder_qty,
+    i.standard_cost,
+    i.lead_time_days,
+    COALESCE(soh_agg.qty_on_hand, 0)  AS qty_on_hand,
+    COALESCE(soo.qty_on_order,   0)   AS qty_on_order,
+    COALESCE(soh_agg.qty_on_hand, 0)
+        + COALESCE(soo.qty_on_order, 0)                   AS effective_qty,
+    GREATEST(
+        i.reorder_qty - COALESCE(soo.qty_on_order, 0), 0
+    )                                                      AS suggested_order_qty,
+    pv.id   AS preferred_vendor_id,
+    pv.code AS preferred_vendor_code,
+    pv.name AS preferred_vendor_name
+FROM items i
+LEFT JOIN (
+    SELECT item_id, SUM(qty_on_hand) AS qty_on_hand
+    FROM   v_stock_on_hand
+    GROUP  BY item_id
+) soh_agg ON soh_agg.item_id = i.id
+LEFT JOIN v_stock_on_order soo ON soo.item_id = i.id
+LEFT JOIN parties pv           ON pv.id = i.preferred_vendor_id
+WHERE i.is_active    = true
+  AND i.reorder_point > 0
+  AND (COALESCE(soh_agg.qty_on_hand, 0) + COALESCE(soo.qty_on_order, 0)) < i.reorder_point;
+
+CREATE VIEW v_sales_velocity WITH (security_invoker = true) AS
+WITH sold AS (
+    SELECT
+        item_id,
+        ABS(SUM(CASE WHEN posting_date >= CURRENT_DATE - 30 THEN qty ELSE 0 END)) AS sold_30d,
+        ABS(SUM(CASE WHEN posting_date >= CURRENT_DATE - 60 THEN qty ELSE 0 END)) AS sold_60d,
+        ABS(SUM(CASE WHEN posting_date >= CURRENT_DATE - 90 THEN qty ELSE 0 END)) AS sold_90d
+    FROM   stock_ledger
+    WHERE  transaction_type = 'shipment' AND qty < 0
+    GROUP  BY item_id
+),
+stock AS (
+    SELECT item_id, SUM(qty_available) AS total_available
+    FROM   v_stock_availability
+    GROUP  BY item_id
+),
+lead AS (
+    -- best lead time from most recent PO vendor per item
+    SELECT DISTINCT ON (pol.item_id)
+        pol.item_id,
+        po.vendor_id,
+        p.name  AS vendor_name,
+        COALESCE(p.lead_time_days, 14) AS lead_time_days
+    FROM   purchase_order_lines pol
+    JOIN   purchase_orders po ON po.id = pol.purchase_order_id
+    JOIN   parties p ON p.id = po.vendor_id
+    ORDER  BY pol.item_id, po.created_at DESC
+)
+SELECT
+    i.id            AS item_id,
+    i.code,
+    i.name          AS item_name,
+    i.unit_of_measure,
+    i.reorder_point,
+    i.reorder_qty,
+    i.standard_cost,
+    COALESCE(st.total_available, 0)           AS qty_available,
+    COALESCE(sold.sold_30d, 0)                AS sold_30d,
+    COALESCE(sold.sold_60d, 0)                AS sold_60d,
+    COALESCE(sold.sold_90d, 0)                AS sold_90d,
+    ROUND(COALESCE(sold.sold_30d, 0) / 30.0, 4) AS velocity_30d,
+    ROUND(COALESCE(sold.sold_60d, 0) / 60.0, 4) AS velocity_60d,
+    ROUND(COALESCE(sold.sold_90d, 0) / 90.0, 4) AS velocity_90d,
+    CASE
+        WHEN COALESCE(sold.sold_30d, 0) > 0
+        THEN ROUND(COALESCE(st.total_available, 0) / (sold.sold_30d / 30.0), 1)
+        ELSE NULL
+    END AS days_of_stock,
+    lead.vendor_id,
+    lead.vendor_name,
+    COALESCE(lead.lead_time_days, 14) AS lead_time_days,
+    CASE
+        WHEN COALESCE(st.total_available, 0) <= 0
+             THEN 'critical'
+        WHEN COALESCE(sold.sold_30d, 0) > 0
+             AND COALESCE(st.total_available, 0) / (sold.sold_30d / 30.0) < COALESCE(lead.lead_time_days, 14)
+             THEN 'critical'
+        WHEN COALESCE(st.total_available, 0) < i.reorder_point
+             THEN 'high'
+        WHEN COALESCE(st.total_available, 0) < COALESCE(i.reorder_qty, i.reorder_point * 2)
+             THEN 'normal'
+        ELSE 'ok'
+    END AS urgency
+FROM   items i
+LEFT JOIN sold  ON sold.item_id  = i.id
+LEFT JOIN stock st ON st.item_id = i.id
+LEFT JOIN lead  ON lead.item_id  = i.id
+WHERE  i.is_active = true;
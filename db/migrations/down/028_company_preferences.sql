@@ -0,0 +1,5 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 028_company_preferences.sql
+-- ============================================================
+
+DROP TABLE IF EXISTS company_preferences;
@@ -0,0 +1,11 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 029_webhooks.sql
+--
+-- Drops endpoints, the outbox and the delivery log with everything still
+-- pending in it.
+-- ============================================================
+
+DROP FUNCTION IF EXISTS webhook_due_companies();
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhook_events;
+DROP TABLE IF EXISTS webhook_endpoints;
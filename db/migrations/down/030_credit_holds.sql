@@ -0,0 +1,16 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 030_credit_holds.sql
+--
+-- Orders still on credit hold go back to draft, so they can be confirmed
+-- again by code from before 030.
+-- ============================================================
+
+UPDATE sales_orders SET status = 'draft' WHERE status = 'credit_hold';
+
+ALTER TABLE sales_orders DROP CONSTRAINT IF EXISTS sales_orders_status_check;
+ALTER TABLE sales_orders ADD CONSTRAINT sales_orders_status_check
+    CHECK (status IN ('draft','confirmed','partially_shipped',
+                      'fully_shipped','invoiced','closed','cancelled'));
+
+DROP TABLE IF EXISTS credit_holds;
+DELETE FROM company_preferences WHERE key = 'credit_overdue_days';
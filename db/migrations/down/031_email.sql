@@ -0,0 +1,9 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 031_email.sql
+--
+-- Drops company email templates and the sent-message log. Documents keep the
+-- status their send gave them.
+-- ============================================================
+
+DROP TABLE IF EXISTS email_messages;
+DROP TABLE IF EXISTS email_templates;
@@ -0,0 +1,19 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 032_document_files.sql
+--
+-- Drops stored PDFs and the letterhead columns, logo included. Print views
+-- are still available as HTML.
+-- ============================================================
+
+ALTER TABLE email_messages DROP COLUMN IF EXISTS document_file_id;
+DROP TABLE IF EXISTS document_files;
+
+ALTER TABLE company_settings
+    DROP CONSTRAINT IF EXISTS company_settings_logo_type,
+    DROP COLUMN IF EXISTS logo_content_type,
+    DROP COLUMN IF EXISTS logo,
+    DROP COLUMN IF EXISTS company_website,
+    DROP COLUMN IF EXISTS company_email,
+    DROP COLUMN IF EXISTS company_phone,
+    DROP COLUMN IF EXISTS company_address,
+    DROP COLUMN IF EXISTS company_name;
@@ -0,0 +1,26 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 033_dunning.sql
+--
+-- Drops dunning levels, runs and letters, with the stored and emailed copies
+-- of letters and activity statements. The CRM interactions the runs recorded
+-- are kept.
+-- ============================================================
+
+DELETE FROM email_messages WHERE doc_type = 'dunning_letter';
+ALTER TABLE email_messages DROP CONSTRAINT IF EXISTS email_messages_doc_type_check;
+ALTER TABLE email_messages ADD CONSTRAINT email_messages_doc_type_check
+    CHECK (doc_type IN ('invoice','purchase_order','statement'));
+
+DELETE FROM document_files WHERE doc_type IN ('activity_statement','dunning_letter');
+ALTER TABLE document_files DROP CONSTRAINT IF EXISTS document_files_doc_type_check;
+ALTER TABLE document_files ADD CONSTRAINT document_files_doc_type_check
+    CHECK (doc_type IN ('invoice','sales_order','purchase_order','statement','adjustment',
+                        'pick_list','packing_slip','bill_of_lading'));
+
+DROP TABLE IF EXISTS dunning_letter_lines;
+DROP TABLE IF EXISTS dunning_letters;
+DROP TABLE IF EXISTS dunning_runs;
+DROP TABLE IF EXISTS dunning_levels;
+
+DELETE FROM document_sequences WHERE doc_type IN ('dunning_run','dunning_letter');
+DELETE FROM document_types     WHERE doc_type IN ('dunning_run','dunning_letter');
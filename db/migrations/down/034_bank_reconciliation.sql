@@ -0,0 +1,12 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 034_bank_reconciliation.sql
+--
+-- Drops bank accounts, imported statements, match rules and matches. The
+-- payments and journal entries they were matched to are not touched.
+-- ============================================================
+
+DROP TABLE IF EXISTS bank_matches;
+DROP TABLE IF EXISTS bank_match_rules;
+DROP TABLE IF EXISTS bank_statement_lines;
+DROP TABLE IF EXISTS bank_statements;
+DROP TABLE IF EXISTS bank_accounts;
@@ -0,0 +1,11 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 035_fiscal_periods.sql
+--
+-- Drops fiscal periods and year-end closes, which reopens every period.
+-- Closing entries already posted stay in the ledger; reopen the years
+-- first to reverse them.
+-- ============================================================
+
+DELETE FROM gl_account_mappings WHERE mapping_key = 'retained_earnings';
+DROP TABLE IF EXISTS fiscal_year_closes;
+DROP TABLE IF EXISTS fiscal_periods;
@@ -0,0 +1,59 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 036_multi_currency.sql
+--
+-- Drops exchange rates, revaluations and the currency columns of sales and
+-- purchasing documents. Foreign-currency documents keep their amounts but
+-- lose their rate; FX entries already posted stay in the ledger.
+-- ============================================================
+
+DELETE FROM gl_account_mappings WHERE mapping_key IN ('fx_realized', 'fx_unrealized');
+DROP TABLE IF EXISTS fx_revaluations;
+DROP TABLE IF EXISTS exchange_rates;
+
+-- The PO status view as it was, before its currency column goes
+DROP VIEW IF EXISTS v_purchase_order_status;
+CREATE VIEW v_purchase_order_status AS
+SELECT
+    po.id, po.number, po.status, po.order_date, po.expected_date, po.notes,
+    po.created_at, po.updated_at,
+    p.id   AS vendor_id,
+    p.code AS vendor_code,
+    p.name AS vendor_name,
+    w.code AS warehouse_code,
+    w.id   AS warehouse_id,
+    (SELECT COUNT(*)
+       FROM purchase_order_lines WHERE purchase_order_id = po.id)                AS line_count,
+    (SELECT COALESCE(SUM(qty_ordered),0)
+       FROM purchase_order_lines WHERE purchase_order_id = po.id)                AS total_qty_ordered,
+    (SELECT COALESCE(SUM(qty_received),0)
+       FROM purchase_order_lines WHERE purchase_order_id = po.id)                AS total_qty_received,
+    (SELECT COALESCE(SUM(qty_remaining),0)
+       FROM purchase_order_lines WHERE purchase_order_id = po.id)                AS total_qty_remaining,
+    (SELECT COALESCE(SUM(line_total),0)
+       FROM purchase_order_lines WHERE purchase_order_id = po.id)                AS po_total
+FROM purchase_orders po
+JOIN parties    p ON p.id = po.vendor_id
+JOIN warehouses w ON w.id = po.warehouse_id;
+
+ALTER TABLE purchase_receipt_lines DROP COLUMN IF EXISTS base_unit_cost;
+
+DO $$
+DECLARE
+  tbl TEXT;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY['sales_invoices', 'credit_memos', 'vendor_invoices'] LOOP
+    EXECUTE format('ALTER TABLE %I DROP COLUMN IF EXISTS base_total, DROP COLUMN IF EXISTS base_tax_amount,
+                    DROP COLUMN IF EXISTS base_subtotal', tbl);
+  END LOOP;
+  FOREACH tbl IN ARRAY ARRAY['payments_received', 'payments_made'] LOOP
+    EXECUTE format('ALTER TABLE %I DROP COLUMN IF EXISTS base_amount', tbl);
+  END LOOP;
+  FOREACH tbl IN ARRAY ARRAY['sales_orders', 'purchase_orders', 'sales_invoices', 'credit_memos',
+                             'payments_received', 'purchase_receipts', 'vendor_invoices', 'payments_made'] LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS trg_%s_currency ON %I', tbl, tbl);
+    EXECUTE format('ALTER TABLE %I DROP COLUMN IF EXISTS exchange_rate, DROP COLUMN IF EXISTS currency', tbl);
+  END LOOP;
+END $$;
+
+DROP FUNCTION IF EXISTS fill_document_rate();
+DROP FUNCTION IF EXISTS fill_document_currency();
@@ -0,0 +1,13 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 037_recurring_journals.sql
+--
+-- Drops recurring templates and the auto_reverse flag. Entries already
+-- generated and reversals already posted stay in the ledger.
+-- ============================================================
+
+DROP FUNCTION IF EXISTS recurring_journal_due_companies(DATE);
+DROP INDEX IF EXISTS uq_je_accrual_reversal;
+DROP INDEX IF EXISTS uq_je_recurring_occurrence;
+ALTER TABLE journal_entries DROP COLUMN IF EXISTS auto_reverse;
+DROP TABLE IF EXISTS recurring_journal_template_lines;
+DROP TABLE IF EXISTS recurring_journal_templates;
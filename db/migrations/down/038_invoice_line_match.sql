@@ -0,0 +1,12 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 038_invoice_line_match.sql
+--
+-- Drops vendor invoice lines and match tolerances. Subtotals already reduced
+-- by short-pays and vendor credits stay reduced; entries already posted to
+-- Purchase Price Variance stay in the ledger.
+-- ============================================================
+
+DELETE FROM gl_account_mappings WHERE mapping_key = 'purchase_price_variance';
+ALTER TABLE vendor_invoices DROP COLUMN IF EXISTS adjustment_amount;
+DROP TABLE IF EXISTS vendor_invoice_lines;
+DROP TABLE IF EXISTS match_tolerances;
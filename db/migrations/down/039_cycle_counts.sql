@@ -0,0 +1,19 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 039_cycle_counts.sql
+--
+-- Drops cycle counts, ABC classes and reason codes. Adjustments already
+-- posted from counts stay posted, without their reason codes.
+-- ============================================================
+
+ALTER TABLE stock_adjustments DROP COLUMN IF EXISTS cycle_count_id;
+DROP TABLE IF EXISTS cycle_count_lines;
+DROP TABLE IF EXISTS cycle_counts;
+ALTER TABLE stock_adjustment_lines DROP COLUMN IF EXISTS reason_code;
+ALTER TABLE stock_adjustments      DROP COLUMN IF EXISTS reason_code;
+DROP TABLE IF EXISTS adjustment_reason_codes;
+ALTER TABLE items DROP COLUMN IF EXISTS abc_classified_at;
+ALTER TABLE items DROP COLUMN IF EXISTS abc_sales_value;
+ALTER TABLE items DROP COLUMN IF EXISTS abc_class;
+DROP TABLE IF EXISTS cycle_count_classes;
+DELETE FROM document_sequences WHERE doc_type = 'cycle_count';
+DELETE FROM document_types WHERE doc_type = 'cycle_count';
@@ -0,0 +1,22 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 040_adjustment_approvals.sql
+--
+-- Adjustments waiting for approval, or rejected, go back to draft.
+-- ============================================================
+
+UPDATE stock_adjustments SET status = 'draft' WHERE status IN ('pending_approval','rejected');
+
+DROP INDEX IF EXISTS idx_stock_adj_pending;
+ALTER TABLE stock_adjustments DROP CONSTRAINT IF EXISTS stock_adjustments_status_check;
+ALTER TABLE stock_adjustments ADD CONSTRAINT stock_adjustments_status_check
+    CHECK (status IN ('draft','posted','cancelled'));
+
+ALTER TABLE adjustment_reason_codes DROP COLUMN IF EXISTS approval_threshold;
+ALTER TABLE stock_adjustments DROP COLUMN IF EXISTS review_comment;
+ALTER TABLE stock_adjustments DROP COLUMN IF EXISTS reviewed_at;
+ALTER TABLE stock_adjustments DROP COLUMN IF EXISTS reviewed_by;
+ALTER TABLE stock_adjustments DROP COLUMN IF EXISTS submitted_at;
+ALTER TABLE stock_adjustments DROP COLUMN IF EXISTS submitted_by;
+ALTER TABLE stock_adjustments DROP COLUMN IF EXISTS approval_reasons;
+ALTER TABLE stock_adjustments DROP COLUMN IF EXISTS approval_value;
+DELETE FROM company_preferences WHERE key = 'adjustment_approval_threshold';
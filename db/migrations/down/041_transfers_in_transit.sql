@@ -0,0 +1,80 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 041_transfers_in_transit.sql
+--
+-- Refused while a transfer is in transit: its stock sits in the transit
+-- warehouse, which one-step transfers know nothing about. Receive or close
+-- those transfers first. Received transfers become posted ones.
+-- ============================================================
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM stock_transfers WHERE status IN ('in_transit','partially_received')) THEN
+    RAISE EXCEPTION 'Transfers are still in transit — receive or close them before rolling back 041';
+  END IF;
+END $$;
+
+-- A view cannot lose a column in place, so qty_in_transit stays, always 0
+CREATE OR REPLACE VIEW v_reorder_alerts WITH (security_invoker = true) AS
+SELECT *
+FROM   v_stock_availability
+WHERE  qty_available <= reorder_point;
+
+CREATE OR REPLACE VIEW v_stock_availability WITH (security_invoker = true) AS
+SELECT
+  soh.company_id,
+  soh.item_id,
+  soh.warehouse_id,
+  soh.item_code,
+  soh.item_name,
+  soh.category,
+  soh.unit_of_measure,
+  soh.standard_cost,
+  soh.sale_price,
+  soh.reorder_point,
+  soh.reorder_qty,
+  soh.warehouse_code,
+  soh.warehouse_name,
+  soh.qty_on_hand,
+  soh.total_cost_value,
+  COALESCE(res.qty_reserved, 0)                                     AS qty_committed,
+  GREATEST(soh.qty_on_hand - COALESCE(res.qty_reserved, 0), 0)      AS qty_available,
+  soh.total_cost,
+  soh.stock_status,
+  0::numeric                                                        AS qty_in_transit
+FROM v_stock_on_hand soh
+LEFT JOIN (
+  SELECT company_id, item_id, warehouse_id, SUM(qty_reserved) AS qty_reserved
+  FROM   stock_reservations
+  WHERE  status = 'active'
+  GROUP  BY company_id, item_id, warehouse_id
+) res USING (company_id, item_id, warehouse_id);
+
+UPDATE stock_transfers SET status = 'posted' WHERE status = 'received';
+
+DROP TABLE IF EXISTS stock_transfer_receipt_lines;
+DROP TABLE IF EXISTS stock_transfer_receipts;
+
+ALTER TABLE stock_transfer_lines DROP CONSTRAINT IF EXISTS chk_transfer_line_arrived;
+ALTER TABLE stock_transfer_lines DROP COLUMN IF EXISTS qty_short;
+ALTER TABLE stock_transfer_lines DROP COLUMN IF EXISTS qty_received;
+ALTER TABLE stock_transfer_lines DROP COLUMN IF EXISTS qty_shipped;
+
+ALTER TABLE stock_transfers DROP COLUMN IF EXISTS shortage_adjustment_id;
+ALTER TABLE stock_transfers DROP COLUMN IF EXISTS close_notes;
+ALTER TABLE stock_transfers DROP COLUMN IF EXISTS closed_at;
+ALTER TABLE stock_transfers DROP COLUMN IF EXISTS closed_by;
+ALTER TABLE stock_transfers DROP COLUMN IF EXISTS received_date;
+ALTER TABLE stock_transfers DROP COLUMN IF EXISTS shipped_by;
+ALTER TABLE stock_transfers DROP COLUMN IF EXISTS shipped_date;
+ALTER TABLE stock_transfers DROP COLUMN IF EXISTS tracking_number;
+ALTER TABLE stock_transfers DROP COLUMN IF EXISTS carrier;
+ALTER TABLE stock_transfers DROP COLUMN IF EXISTS transit_warehouse_id;
+
+ALTER TABLE stock_transfers DROP CONSTRAINT IF EXISTS stock_transfers_status_check;
+ALTER TABLE stock_transfers ADD CONSTRAINT stock_transfers_status_check
+    CHECK (status IN ('draft','posted','cancelled'));
+ALTER TABLE stock_transfers ALTER COLUMN status TYPE VARCHAR(15);
+
+-- The transit warehouse stays (its ledger history is kept), as an ordinary one
+DROP INDEX IF EXISTS uq_warehouses_transit;
+ALTER TABLE warehouses DROP COLUMN IF EXISTS is_transit;
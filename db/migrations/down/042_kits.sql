@@ -0,0 +1,14 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 042_kits.sql
+--
+-- Drops bills of materials, exploded bundle lines and assembly orders. Stock
+-- already moved by posted assembly orders stays in stock_ledger.
+-- ============================================================
+
+DROP TABLE IF EXISTS assembly_order_lines;
+DROP TABLE IF EXISTS assembly_orders;
+DROP TABLE IF EXISTS sales_order_line_components;
+DROP TABLE IF EXISTS item_components;
+ALTER TABLE items DROP COLUMN IF EXISTS kit_type;
+DELETE FROM document_sequences WHERE doc_type = 'assembly_order';
+DELETE FROM document_types WHERE doc_type = 'assembly_order';
@@ -0,0 +1,98 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 043_vendor_return_hold.sql
+--
+-- Refused while serials have gone back to a vendor: 020 has no status for
+-- them. The vendor-returns warehouse stays (its ledger history is kept), as
+-- an ordinary one.
+-- ============================================================
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM serial_numbers WHERE status = 'vendor_returned') THEN
+    RAISE EXCEPTION 'Serials have been returned to vendors — 043 cannot be rolled back';
+  END IF;
+END $$;
+
+CREATE OR REPLACE VIEW v_reorder_alerts WITH (security_invoker = true) AS
+SELECT a.*
+FROM   v_stock_availability a
+JOIN   warehouses w ON w.id = a.warehouse_id
+WHERE  a.qty_available <= a.reorder_point
+  AND  NOT w.is_transit;
+
+CREATE OR REPLACE VIEW v_stock_availability WITH (security_invoker = true) AS
+WITH res AS (
+  SELECT company_id, item_id, warehouse_id, SUM(qty_reserved) AS qty_reserved
+  FROM   stock_reservations
+  WHERE  status = 'active'
+  GROUP  BY company_id, item_id, warehouse_id
+),
+transit AS (
+  SELECT st.company_id, stl.item_id, st.to_warehouse_id AS warehouse_id,
+         SUM(stl.qty_shipped - stl.qty_received - stl.qty_short) AS qty_in_transit
+  FROM   stock_transfer_lines stl
+  JOIN   stock_transfers st ON st.id = stl.transfer_id
+  WHERE  st.status IN ('in_transit','partially_received')
+  GROUP  BY st.company_id, stl.item_id, st.to_warehouse_id
+  HAVING SUM(stl.qty_shipped - stl.qty_received - stl.qty_short) > 0
+)
+SELECT
+  soh.company_id,
+  soh.item_id,
+  soh.warehouse_id,
+  soh.item_code,
+  soh.item_name,
+  soh.category,
+  soh.unit_of_measure,
+  soh.standard_cost,
+  soh.sale_price,
+  soh.reorder_point,
+  soh.reorder_qty,
+  soh.warehouse_code,
+  soh.warehouse_name,
+  soh.qty_on_hand,
+  soh.total_cost_value,
+  COALESCE(res.qty_reserved, 0)                                     AS qty_committed,
+  CASE WHEN w.is_transit THEN 0
+       ELSE GREATEST(soh.qty_on_hand - COALESCE(res.qty_reserved, 0), 0)
+  END                                                               AS qty_available,
+  soh.total_cost,
+  soh.stock_status,
+  COALESCE(t.qty_in_transit, 0)                                     AS qty_in_transit
+FROM v_stock_on_hand soh
+JOIN warehouses w    ON w.id = soh.warehouse_id
+LEFT JOIN res        ON res.company_id = soh.company_id AND res.item_id = soh.item_id
+                    AND res.warehouse_id = soh.warehouse_id
+LEFT JOIN transit t  ON t.company_id = soh.company_id AND t.item_id = soh.item_id
+                    AND t.warehouse_id = soh.warehouse_id
+UNION ALL
+SELECT
+  t.company_id,
+  t.item_id,
+  t.warehouse_id,
+  i.code, i.name, i.category, i.unit_of_measure, i.standard_cost, i.sale_price,
+  i.reorder_point, i.reorder_qty,
+  w.code, w.name,
+  0, 0, 0, 0, 0,
+  'out_of_stock',
+  t.qty_in_transit
+FROM transit t
+JOIN items      i ON i.id = t.item_id
+JOIN warehouses w ON w.id = t.warehouse_id
+WHERE NOT EXISTS (
+  SELECT 1 FROM stock_ledger sl WHERE sl.item_id = t.item_id AND sl.warehouse_id = t.warehouse_id
+);
+
+ALTER TABLE serial_number_events DROP CONSTRAINT IF EXISTS serial_number_events_event_type_check;
+ALTER TABLE serial_number_events ADD CONSTRAINT serial_number_events_event_type_check
+    CHECK (event_type IN ('registered','received','transferred','picked',
+                          'unpicked','shipped','returned','scrapped'));
+ALTER TABLE serial_numbers DROP CONSTRAINT IF EXISTS serial_numbers_status_check;
+ALTER TABLE serial_numbers ADD CONSTRAINT serial_numbers_status_check
+    CHECK (status IN ('in_stock','picked','shipped','scrapped'));
+
+ALTER TABLE sales_returns DROP COLUMN IF EXISTS vendor_returned_by;
+ALTER TABLE sales_returns DROP COLUMN IF EXISTS vendor_returned_date;
+
+DROP INDEX IF EXISTS uq_warehouses_vendor_return;
+ALTER TABLE warehouses DROP COLUMN IF EXISTS is_vendor_return;
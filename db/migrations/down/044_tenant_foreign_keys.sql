@@ -0,0 +1,77 @@
+-- ============================================================
+-- Tick Tock Inc. — Roll back 044_tenant_foreign_keys.sql
+--
+-- Turns the keys 044 paired with company_id back into single-column ones and
+-- drops the UNIQUE (company_id, id) constraints it added to their parents.
+-- Keys 025 paired stay as they are.
+-- ============================================================
+
+DO $$
+DECLARE
+  r        RECORD;
+  on_del   TEXT;
+  keys     TEXT[] := ARRAY[
+    'assembly_order_lines_assembly_order_id_fkey', 'assembly_order_lines_component_item_id_fkey',
+    'assembly_orders_kit_item_id_fkey', 'assembly_orders_warehouse_id_fkey',
+    'bank_matches_statement_line_id_fkey', 'bank_statement_lines_bank_account_id_fkey',
+    'bank_statement_lines_statement_id_fkey', 'bank_statements_bank_account_id_fkey',
+    'credit_holds_customer_id_fkey', 'credit_holds_sales_order_id_fkey',
+    'cycle_count_lines_cycle_count_id_fkey', 'cycle_count_lines_item_id_fkey',
+    'cycle_counts_adjustment_id_fkey', 'cycle_counts_warehouse_id_fkey',
+    'dunning_letter_lines_invoice_id_fkey', 'dunning_letter_lines_letter_id_fkey',
+    'dunning_letters_customer_id_fkey', 'dunning_letters_email_message_id_fkey',
+    'dunning_letters_interaction_id_fkey', 'dunning_letters_run_id_fkey',
+    'email_messages_document_file_id_fkey', 'email_messages_party_id_fkey',
+    'email_messages_resend_of_fkey',
+    'fiscal_year_closes_journal_entry_id_fkey',
+    'fx_revaluations_journal_entry_id_fkey', 'fx_revaluations_reversal_entry_id_fkey',
+    'item_components_component_item_id_fkey', 'item_components_kit_item_id_fkey',
+    'match_tolerances_vendor_id_fkey',
+    'recurring_journal_template_lines_template_id_fkey',
+    'sales_order_line_components_component_item_id_fkey',
+    'sales_order_line_components_sales_order_line_id_fkey',
+    'stock_adjustments_cycle_count_id_fkey',
+    'stock_transfer_receipt_lines_receipt_id_fkey', 'stock_transfer_receipt_lines_transfer_line_id_fkey',
+    'stock_transfer_receipts_transfer_id_fkey',
+    'stock_transfers_shortage_adjustment_id_fkey', 'stock_transfers_transit_warehouse_id_fkey',
+    'vendor_invoice_lines_item_id_fkey', 'vendor_invoice_lines_purchase_order_line_id_fkey',
+    'vendor_invoice_lines_receipt_line_id_fkey', 'vendor_invoice_lines_vendor_invoice_id_fkey',
+    'webhook_deliveries_endpoint_id_fkey', 'webhook_deliveries_event_id_fkey'
+  ];
+  parents  TEXT[] := ARRAY[
+    'assembly_orders', 'bank_accounts', 'bank_statement_lines', 'bank_statements',
+    'customer_interactions', 'cycle_counts', 'document_files', 'dunning_letters', 'dunning_runs',
+    'email_messages', 'recurring_journal_templates', 'stock_transfer_lines',
+    'stock_transfer_receipts', 'webhook_endpoints', 'webhook_events'
+  ];
+  tbl      TEXT;
+BEGIN
+  FOR r IN
+    SELECT c.conname,
+           c.conrelid::regclass::text  AS child,
+           c.confrelid::regclass::text AS parent,
+           a.attname                   AS col,
+           c.confdeltype
+    FROM   pg_constraint c
+    JOIN   pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = c.conkey[2]
+    WHERE  c.contype = 'f'
+      AND  c.connamespace = 'public'::regnamespace
+      AND  array_length(c.conkey, 1) = 2
+      AND  c.conname = ANY(keys)
+  LOOP
+    on_del := CASE r.confdeltype
+                WHEN 'c' THEN 'ON DELETE CASCADE'
+                WHEN 'n' THEN 'ON DELETE SET NULL'
+                WHEN 'r' THEN 'ON DELETE RESTRICT'
+                ELSE ''
+              END;
+
+    EXECUTE format('ALTER TABLE %I DROP CONSTRAINT %I', r.child, r.conname);
+    EXECUTE format('ALTER TABLE %I ADD CONSTRAINT %I FOREIGN KEY (%I) REFERENCES %I (id) %s',
+                   r.child, r.conname, r.col, r.parent, on_del);
+  END LOOP;
+
+  FOREACH tbl IN ARRAY parents LOOP
+    EXECUTE format('ALTER TABLE %I DROP CONSTRAINT IF EXISTS %I', tbl, tbl || '_company_id_id_key');
+  END LOOP;
+END $$;
@@ -0,0 +1,47 @@
+#!/bin/sh
+# docker/entrypoint.sh — Apply pending database migrations, then start the API
+#
+# Migrations run with MIGRATION_DATABASE_URL (falls back to DATABASE_URL) and
+# take an advisory lock, so several API containers starting together apply
+# them once. Set MIGRATE_ON_START=false to manage migrations separately:
+#   docker compose -f docker/docker-compose.yml run --rm api node scripts/migrate.js status
+#
+# The API itself connects as erp_app (DATABASE_URL), which 007 creates with a
+# placeholder password; ERP_APP_PASSWORD replaces it on every start.
+
+set -e
+
+if [ "${MIGRATE_ON_START:-true}" = "true" ]; then
+    # A volume first started with the old initdb.d mount has 001–017 applied but
+    # no schema_migrations history: record those once so `up` applies the rest
+    if node -e '
+        const { Client } = require("pg");
+        const client = new Client({ connectionString: process.env.MIGRATION_DATABASE_URL || process.env.DATABASE_URL });
+        (async () => {
+            await client.connect();
+            const { rows: [db] } = await client.query(
+                "SELECT to_regclass($1) IS NOT NULL AS built, to_regclass($2) IS NOT NULL AS tracked",
+                ["public.items", "public.schema_migrations"]
+            );
+            const history = db.tracked && (await client.query("SELECT 1 FROM schema_migrations LIMIT 1")).rows.length > 0;
+            await client.end();
+            process.exit(db.built && !history ? 0 : 1);
+        })().catch(() => process.exit(1));
+    '; then
+        node scripts/migrate.js baseline 017
+    fi
+    node scripts/migrate.js up
+fi
+
+if [ -n "${ERP_APP_PASSWORD:-}" ] && [ -n "${MIGRATION_DATABASE_URL:-}" ]; then
+    node -e '
+        const { Client } = require("pg");
+        const client = new Client({ connectionString: process.env.MIGRATION_DATABASE_URL });
+        client.connect()
+            .then(() => client.query(`ALTER ROLE erp_app PASSWORD ${client.escapeLiteral(process.env.ERP_APP_PASSWORD)}`))
+            .then(() => client.end())
+            .catch((err) => { console.error(`  Could not set the erp_app password: ${err.message}`); process.exit(1); });
+    '
+fi
+
+exec "$@"
@@ -13,16 +13,21 @@
 #
 # What this script does:
 #   1. Waits for PostgreSQL to accept connections
-#   2. Applies all migrations (001–007) in order
+#   2. Applies pending migrations (api/scripts/migrate.js — tracked in schema_migrations,
+#      so re-running this script is safe)
 #   3. Runs seed-users.js to create demo auth users
 #
+# A database built before the migration runner (psql loop, docker initdb.d) has
+# 001–017 and no history yet — record those once, then re-run this script to
+# apply the rest:
+#   DATABASE_URL=... node api/scripts/migrate.js baseline 017
+#
 # Prerequisites (local): psql, node
 
 set -euo pipefail
 
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 PROJECT_ROOT="$(cd "$SCRIPT_DIR/.." && pwd)"
-MIGRATIONS_DIR="$PROJECT_ROOT/db/migrations"
 API_DIR="$PROJECT_ROOT/api"
 
 DB_URL="${DATABASE_URL:-}"
@@ -56,14 +61,7 @@ for i in $(seq 1 30); do
 done
 
 # ── 2. Apply migrations ───────────────────────────────────────────────────────
-echo ""
-echo "Applying migrations:"
-for sql_file in "$MIGRATIONS_DIR"/0*.sql; do
-    name="$(basename "$sql_file")"
-    printf "  %-40s" "$name"
-    psql "$DB_URL" -f "$sql_file" -v ON_ERROR_STOP=1 -q
-    echo "✓"
-done
+MIGRATION_DATABASE_URL="${MIGRATION_DATABASE_URL:-$DB_URL}" node "$API_DIR/scripts/migrate.js" up
 
 # ── 3. Seed demo users ────────────────────────────────────────────────────────
 echo ""